@@ -70,6 +70,11 @@
      * @return {?}
      */
     function scheduleMicroTask(fn) {
+        if (typeof Zone == 'undefined') {
+            // Applications that run with a `NoopNgZone` don't load Zone.js.
+            Promise.resolve(null).then(function () { fn(); });
+            return;
+        }
         Zone.current.scheduleMicroTask('scheduleMicrotask', fn);
     }
     // Need to declare a new variable for global here since TypeScript
@@ -82,6 +87,14 @@
     function getTypeNameForDebugging(type) {
         return type['name'] || typeof type;
     }
+    /**
+     * Milliseconds since an arbitrary point in time, with sub-millisecond precision where available.
+     * @return {?}
+     */
+    function performanceNow() {
+        var /** @type {?} */ performance = global$1['performance'];
+        return performance && performance.now ? performance.now() : Date.now();
+    }
     // TODO: remove calls to assert in production environment
     // Note: Can't just export this and import in in other files
     // as `assert` is a reserved keyword in Dart
@@ -955,6 +968,48 @@
         AfterViewChecked.prototype.ngAfterViewChecked = function () { };
         return AfterViewChecked;
     }());
+    /**
+     * \@whatItDoes Lifecycle hook that turns a component into an error boundary for its subtree.
+     * \@howToUse
+     * ```
+     * \@Component({selector: 'widget-boundary', template: '<ng-content></ng-content>'})
+     * class WidgetBoundary implements OnViewError {
+     *   \@ContentChild('fallback') fallback: TemplateRef<any>;
+     *   constructor(vcRef: ViewContainerRef) {}
+     *
+     *   ngOnViewError(error: any) {
+     *     console.warn(error);
+     *     return this.fallback;
+     *   }
+     * }
+     * ```
+     *
+     * \@description
+     * `ngOnViewError` is called when the change detection or an event handler of the component's
+     * view, or of any view below it, throws. This includes the components projected into its
+     * `<ng-content>`. The error is reported to the `ErrorHandler`, but not rethrown, so the rest of
+     * the application keeps being checked. Instead, the component's view stops being checked and its
+     * content, including the projected nodes, is removed from the DOM.
+     *
+     * If `ngOnViewError` returns a `TemplateRef`, it is rendered next to the component as a fallback.
+     * This needs a `ViewContainerRef` at the component's element, i.e. the component has to inject
+     * `ViewContainerRef`. Errors thrown by `ngOnViewError` itself, or while rendering the fallback,
+     * are passed on to the next error boundary around the component.
+     *
+     * \@experimental
+     * @abstract
+     */
+    var OnViewError = (function () {
+        function OnViewError() {
+        }
+        /**
+         * @abstract
+         * @param {?} error
+         * @return {?}
+         */
+        OnViewError.prototype.ngOnViewError = function (error) { };
+        return OnViewError;
+    }());
 
     /**
      * Defines a schema that will allow:
@@ -1294,6 +1349,16 @@
             }
             return notFoundValue;
         };
+        /**
+         * @param {?} token
+         * @param {?=} notFoundValue
+         * @return {?}
+         */
+        _NullInjector.prototype.getAsync = function (token, notFoundValue) {
+            var _this = this;
+            if (notFoundValue === void 0) { notFoundValue = _THROW_IF_NOT_FOUND; }
+            return new Promise(function (resolve) { return resolve(_this.get(token, notFoundValue)); });
+        };
         return _NullInjector;
     }());
     /**
@@ -1331,10 +1396,41 @@
          * @return {?}
          */
         Injector.prototype.get = function (token, notFoundValue) { return unimplemented(); };
+        /**
+         * Retrieves an instance from the injector based on the provided token, waiting for
+         * providers whose factories return a `Promise`.
+         *
+         * The returned `Promise` is rejected in the cases where `get` would throw.
+         *
+         * By default this calls `get` and waits for its result if it is a `Promise`. Injectors that
+         * know their providers, like {\@link ReflectiveInjector}, also wait for every dependency
+         * on the way.
+         * @param {?} token
+         * @param {?=} notFoundValue
+         * @return {?}
+         */
+        Injector.prototype.getAsync = function (token, notFoundValue) {
+            var _this = this;
+            if (notFoundValue === void 0) { notFoundValue = _THROW_IF_NOT_FOUND; }
+            return new Promise(function (resolve) { return resolve(_this.get(token, notFoundValue)); });
+        };
         Injector.THROW_IF_NOT_FOUND = _THROW_IF_NOT_FOUND;
         Injector.NULL = new _NullInjector();
         return Injector;
     }());
+    /**
+     * Calls `getAsync` on injectors that have it and falls back to `get` for the others.
+     * @param {?} injector
+     * @param {?} token
+     * @param {?} notFoundValue
+     * @return {?}
+     */
+    function getAsyncFromInjector(injector, token, notFoundValue) {
+        if (typeof injector.getAsync === 'function') {
+            return injector.getAsync(token, notFoundValue);
+        }
+        return new Promise(function (resolve) { return resolve(injector.get(token, notFoundValue)); });
+    }
 
     /**
      * @license
@@ -1343,6 +1439,14 @@
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
+    var ProviderScope = {};
+    ProviderScope.Singleton = 0;
+    ProviderScope.Transient = 1;
+    ProviderScope.Resolution = 2;
+    ProviderScope[ProviderScope.Singleton] = "Singleton";
+    ProviderScope[ProviderScope.Transient] = "Transient";
+    ProviderScope[ProviderScope.Resolution] = "Resolution";
+
     var __extends$1 = (this && this.__extends) || function (d, b) {
         for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
         function __() { this.constructor = d; }
@@ -1375,6 +1479,13 @@
         }
         return '';
     }
+    /**
+     * @param {?} levels
+     * @return {?}
+     */
+    function constructSearchedLevels(levels) {
+        return levels && levels.length ? " Searched: " + levels.join(', ') + "." : '';
+    }
     /**
      * Base class for all errors arising from misconfigured providers.
      * \@stable
@@ -1391,6 +1502,7 @@
             this.keys = [key];
             this.injectors = [injector];
             this.constructResolvingMessage = constructResolvingMessage;
+            this.searchedLevels = null;
             this.message = this.constructResolvingMessage(this.keys);
         }
         /**
@@ -1401,7 +1513,18 @@
         AbstractProviderError.prototype.addKey = function (injector, key) {
             this.injectors.push(injector);
             this.keys.push(key);
-            this.message = this.constructResolvingMessage(this.keys);
+            this.message =
+                this.constructResolvingMessage(this.keys) + constructSearchedLevels(this.searchedLevels);
+        };
+        /**
+         * \@internal
+         * @param {?} levels
+         * @return {?}
+         */
+        AbstractProviderError.prototype.addSearchedLevels = function (levels) {
+            this.searchedLevels = levels;
+            this.message =
+                this.constructResolvingMessage(this.keys) + constructSearchedLevels(this.searchedLevels);
         };
         return AbstractProviderError;
     }(BaseError));
@@ -1464,6 +1587,65 @@
         }
         return CyclicDependencyError;
     }(AbstractProviderError));
+    /**
+     * Thrown when a singleton depends on a provider that is not a singleton.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * var injector = Injector.resolveAndCreate([
+     *   {provide: "one", useFactory: (two) => "two", deps: [[new Inject("two")]]},
+     *   {provide: "two", useFactory: () => "one", scope: ProviderScope.Transient}
+     * ]);
+     *
+     * expect(() => injector.get("one")).toThrowError();
+     * ```
+     * \@experimental
+     */
+    var ScopedDependencyError = (function (_super) {
+        __extends$1(ScopedDependencyError, _super);
+        /**
+         * @param {?} injector
+         * @param {?} key
+         * @param {?} scope
+         */
+        function ScopedDependencyError(injector, key, scope) {
+            _super.call(this, injector, key, function (keys) {
+                var first = stringify(keys[0].token);
+                return "Cannot inject " + first + " into a singleton, as its scope is " + ProviderScope[scope] + "!" + constructResolvingPath(keys);
+            });
+        }
+        return ScopedDependencyError;
+    }(AbstractProviderError));
+    /**
+     * Thrown when `get` asks for a singleton whose factory is still awaited by `getAsync`.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * var injector = Injector.resolveAndCreate([
+     *   {provide: "config", useFactory: () => fetchConfig()}
+     * ]);
+     *
+     * injector.getAsync("config");
+     * expect(() => injector.get("config")).toThrowError();
+     * ```
+     * \@experimental
+     */
+    var PendingAsyncProviderError = (function (_super) {
+        __extends$1(PendingAsyncProviderError, _super);
+        /**
+         * @param {?} injector
+         * @param {?} key
+         */
+        function PendingAsyncProviderError(injector, key) {
+            _super.call(this, injector, key, function (keys) {
+                var first = stringify(keys[0].token);
+                return "Cannot get " + first + " while getAsync is still waiting for it!" + constructResolvingPath(keys);
+            });
+        }
+        return PendingAsyncProviderError;
+    }(AbstractProviderError));
     /**
      * Thrown when a constructing type returns with an Error.
      *
@@ -1502,6 +1684,7 @@
             _super.call(this, 'DI Error', originalException);
             this.keys = [key];
             this.injectors = [injector];
+            this.searchedLevels = null;
         }
         /**
          * @param {?} injector
@@ -1512,13 +1695,19 @@
             this.injectors.push(injector);
             this.keys.push(key);
         };
+        /**
+         * \@internal
+         * @param {?} levels
+         * @return {?}
+         */
+        InstantiationError.prototype.addSearchedLevels = function (levels) { this.searchedLevels = levels; };
         Object.defineProperty(InstantiationError.prototype, "message", {
             /**
              * @return {?}
              */
             get: function () {
                 var /** @type {?} */ first = stringify(this.keys[0].token);
-                return this.originalError.message + ": Error during instantiation of " + first + "!" + constructResolvingPath(this.keys) + ".";
+                return this.originalError.message + ": Error during instantiation of " + first + "!" + constructResolvingPath(this.keys) + "." + constructSearchedLevels(this.searchedLevels);
             },
             enumerable: true,
             configurable: true
@@ -1554,6 +1743,29 @@
         }
         return InvalidProviderError;
     }(BaseError));
+    /**
+     * Thrown when a provider that doesn't create its own instances, i.e. a {\@link ValueProvider} or an
+     * {\@link ExistingProvider}, has a scope other than {\@link ProviderScope#Singleton}.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * expect(() => Injector.resolveAndCreate([
+     *   {provide: "config", useValue: {}, scope: ProviderScope.Transient}
+     * ])).toThrowError();
+     * ```
+     * \@experimental
+     */
+    var InvalidProviderScopeError = (function (_super) {
+        __extends$1(InvalidProviderScopeError, _super);
+        /**
+         * @param {?} provider
+         */
+        function InvalidProviderScopeError(provider) {
+            _super.call(this, "Invalid provider for " + stringify(provider.provide) + " - only providers with useClass or useFactory can have a scope, got: " + ProviderScope[provider.scope]);
+        }
+        return InvalidProviderScopeError;
+    }(BaseError));
     /**
      * Thrown when the class has no annotation information.
      *
@@ -1865,9 +2077,7 @@
                 // Retain the non-function case for compatibility with older tsickle
                 var /** @type {?} */ ctorParameters = typeof tsickleCtorParams === 'function' ? tsickleCtorParams() : tsickleCtorParams;
                 var /** @type {?} */ paramTypes = ctorParameters.map(function (ctorParam) { return ctorParam && ctorParam.type; });
-                var /** @type {?} */ paramAnnotations = ctorParameters.map(function (ctorParam) {
-                    return ctorParam && convertTsickleDecoratorIntoMetadata(ctorParam.decorators);
-                });
+                var /** @type {?} */ paramAnnotations = ctorParameters.map(function (ctorParam) { return ctorParam && convertTsickleDecoratorIntoMetadata(ctorParam.decorators); });
                 return this._zipTypesAndAnnotations(paramTypes, paramAnnotations);
             }
             // API for metadata created by invoking the decorators.
@@ -2128,13 +2338,6 @@
         return ReflectorReader;
     }());
 
-    /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
-     */
     var __extends$2 = (this && this.__extends) || function (d, b) {
         for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
         function __() { this.constructor = d; }
@@ -2272,11 +2475,20 @@
          * @param {?} key
          * @param {?} resolvedFactories
          * @param {?} multiProvider
-         */
-        function ResolvedReflectiveProvider_(key, resolvedFactories, multiProvider) {
+         * @param {?=} scope
+         * @param {?=} resolvedDecorators
+         * @param {?=} decoratedFactoryCounts
+         */
+        function ResolvedReflectiveProvider_(key, resolvedFactories, multiProvider, scope, resolvedDecorators, decoratedFactoryCounts) {
+            if (scope === void 0) { scope = ProviderScope.Singleton; }
+            if (resolvedDecorators === void 0) { resolvedDecorators = _EMPTY_LIST; }
+            if (decoratedFactoryCounts === void 0) { decoratedFactoryCounts = _EMPTY_LIST; }
             this.key = key;
             this.resolvedFactories = resolvedFactories;
             this.multiProvider = multiProvider;
+            this.scope = scope;
+            this.resolvedDecorators = resolvedDecorators;
+            this.decoratedFactoryCounts = decoratedFactoryCounts;
         }
         Object.defineProperty(ResolvedReflectiveProvider_.prototype, "resolvedFactory", {
             /**
@@ -2297,10 +2509,13 @@
         /**
          * @param {?} factory
          * @param {?} dependencies
+         * @param {?=} type
          */
-        function ResolvedReflectiveFactory(factory, dependencies) {
+        function ResolvedReflectiveFactory(factory, dependencies, type) {
+            if (type === void 0) { type = null; }
             this.factory = factory;
             this.dependencies = dependencies;
+            this.type = type;
         }
         return ResolvedReflectiveFactory;
     }());
@@ -2312,9 +2527,11 @@
     function resolveReflectiveFactory(provider) {
         var /** @type {?} */ factoryFn;
         var /** @type {?} */ resolvedDeps;
+        var /** @type {?} */ type = null;
         if (provider.useClass) {
             var /** @type {?} */ useClass = resolveForwardRef(provider.useClass);
             factoryFn = reflector.factory(useClass);
+            type = useClass;
             resolvedDeps = _dependenciesFor(useClass);
         }
         else if (provider.useExisting) {
@@ -2329,7 +2546,7 @@
             factoryFn = function () { return provider.useValue; };
             resolvedDeps = _EMPTY_LIST;
         }
-        return new ResolvedReflectiveFactory(factoryFn, resolvedDeps);
+        return new ResolvedReflectiveFactory(factoryFn, resolvedDeps, type);
     }
     /**
      * Converts the {\@link Provider} into {\@link ResolvedProvider}.
@@ -2340,7 +2557,14 @@
      * @return {?}
      */
     function resolveReflectiveProvider(provider) {
-        return new ResolvedReflectiveProvider_(ReflectiveKey.get(provider.provide), [resolveReflectiveFactory(provider)], provider.multi);
+        if (provider.useDecorator) {
+            var /** @type {?} */ decorator = new ResolvedReflectiveFactory(provider.useDecorator, constructDependencies(provider.useDecorator, provider.deps || _EMPTY_LIST));
+            return new ResolvedReflectiveProvider_(ReflectiveKey.get(provider.provide), _EMPTY_LIST, false, ProviderScope.Singleton, [decorator], [0]);
+        }
+        if (provider.scope && !provider.useClass && !provider.useFactory) {
+            throw new InvalidProviderScopeError(provider);
+        }
+        return new ResolvedReflectiveProvider_(ReflectiveKey.get(provider.provide), [resolveReflectiveFactory(provider)], provider.multi, provider.scope || ProviderScope.Singleton);
     }
     /**
      * Resolve a list of Providers.
@@ -2357,6 +2581,10 @@
      * Merges a list of ResolvedProviders into a list where
      * each key is contained exactly once and multi providers
      * have been merged.
+     *
+     * Decorators are appended to the provider declared before them for the same key, together with
+     * the number of factories of that provider. Decorators without such a provider decorate the value
+     * of the parent injector.
      * @param {?} providers
      * @param {?} normalizedProvidersMap
      * @return {?}
@@ -2365,6 +2593,19 @@
         for (var /** @type {?} */ i = 0; i < providers.length; i++) {
             var /** @type {?} */ provider = providers[i];
             var /** @type {?} */ existing = normalizedProvidersMap.get(provider.key.id);
+            if (isDecoratorOnly(provider)) {
+                if (existing) {
+                    normalizedProvidersMap.set(provider.key.id, new ResolvedReflectiveProvider_(existing.key, existing.resolvedFactories.slice(), existing.multiProvider, existing.scope, existing.resolvedDecorators.concat(provider.resolvedDecorators), existing.decoratedFactoryCounts.concat([existing.resolvedFactories.length])));
+                }
+                else {
+                    normalizedProvidersMap.set(provider.key.id, provider);
+                }
+                continue;
+            }
+            if (existing && isDecoratorOnly(existing)) {
+                // A regular provider replaces everything declared before it.
+                existing = null;
+            }
             if (existing) {
                 if (provider.multiProvider !== existing.multiProvider) {
                     throw new MixingMultiProvidersWithRegularProvidersError(existing, provider);
@@ -2381,7 +2622,7 @@
             else {
                 var /** @type {?} */ resolvedProvider = void 0;
                 if (provider.multiProvider) {
-                    resolvedProvider = new ResolvedReflectiveProvider_(provider.key, provider.resolvedFactories.slice(), provider.multiProvider);
+                    resolvedProvider = new ResolvedReflectiveProvider_(provider.key, provider.resolvedFactories.slice(), provider.multiProvider, provider.scope, provider.resolvedDecorators, provider.decoratedFactoryCounts);
                 }
                 else {
                     resolvedProvider = provider;
@@ -2391,6 +2632,126 @@
         }
         return normalizedProvidersMap;
     }
+    /**
+     * Checks a list of Providers without instantiating anything and returns the errors found:
+     * - a {\@link MixingMultiProvidersWithRegularProvidersError} for each token that has both kinds
+     *   of providers,
+     * - a {\@link NoProviderError} for each non optional dependency that is neither provided in the
+     *   list nor contained in `parentTokens`,
+     * - a {\@link CyclicDependencyError} for each dependency cycle,
+     * - a {\@link ScopedDependencyError} for each singleton that depends on a provider of the list
+     *   with another scope.
+     * @param {?} providers
+     * @param {?=} parentTokens
+     * @return {?}
+     */
+    function validateReflectiveProviders(providers, parentTokens) {
+        if (parentTokens === void 0) { parentTokens = []; }
+        var /** @type {?} */ errors = [];
+        var /** @type {?} */ resolved;
+        try {
+            resolved = _normalizeProviders(providers, []).map(resolveReflectiveProvider);
+        }
+        catch (e) {
+            errors.push(e);
+            return errors;
+        }
+        var /** @type {?} */ providersById = new Map();
+        resolved.forEach(function (provider) {
+            try {
+                mergeResolvedReflectiveProviders([provider], providersById);
+            }
+            catch (e) {
+                errors.push(e);
+            }
+        });
+        var /** @type {?} */ parentIds = new Set(parentTokens.map(function (token) { return ReflectiveKey.get(token).id; }));
+        parentIds.add(ReflectiveKey.get(Injector).id);
+        var /** @type {?} */ ownDeps = new Map();
+        providersById.forEach(function (provider, id) {
+            var /** @type {?} */ deps = [];
+            if (isDecoratorOnly(provider) && !parentIds.has(id)) {
+                errors.push(new NoProviderError(null, provider.key));
+            }
+            provider.resolvedFactories.concat(provider.resolvedDecorators).forEach(function (factory) { return factory.dependencies.forEach(function (dep) {
+                var /** @type {?} */ depId = dep.key.id;
+                var /** @type {?} */ inSelf = !(dep.lowerBoundVisibility instanceof SkipSelf) && providersById.has(depId);
+                var /** @type {?} */ inParent = !(dep.upperBoundVisibility instanceof Self) && parentIds.has(depId);
+                if (inSelf) {
+                    deps.push(providersById.get(depId));
+                }
+                else if (!inParent && !dep.optional) {
+                    var /** @type {?} */ error = new NoProviderError(null, dep.key);
+                    error.addKey(null, provider.key);
+                    errors.push(error);
+                }
+            }); });
+            ownDeps.set(provider, deps);
+        });
+        _validateScopes(ownDeps, errors);
+        _findCycles(ownDeps, errors);
+        return errors;
+    }
+    /**
+     * @param {?} ownDeps
+     * @param {?} errors
+     * @return {?}
+     */
+    function _validateScopes(ownDeps, errors) {
+        ownDeps.forEach(function (deps, provider) {
+            if (provider.scope !== ProviderScope.Singleton) {
+                return;
+            }
+            deps.forEach(function (dep) {
+                if (dep.scope !== ProviderScope.Singleton) {
+                    var /** @type {?} */ error = new ScopedDependencyError(null, dep.key, dep.scope);
+                    error.addKey(null, provider.key);
+                    errors.push(error);
+                }
+            });
+        });
+    }
+    /**
+     * Reports one error for every dependency that leads back to a provider on the current path.
+     * @param {?} ownDeps
+     * @param {?} errors
+     * @return {?}
+     */
+    function _findCycles(ownDeps, errors) {
+        var /** @type {?} */ visited = new Set();
+        var /** @type {?} */ path = [];
+        var /** @type {?} */ visit = function (provider) {
+            visited.add(provider);
+            path.push(provider);
+            ownDeps.get(provider).forEach(function (dep) {
+                var /** @type {?} */ cycleStart = path.indexOf(dep);
+                if (cycleStart !== -1) {
+                    var /** @type {?} */ error = new CyclicDependencyError(null, dep.key);
+                    for (var /** @type {?} */ i = path.length - 1; i >= cycleStart; i--) {
+                        error.addKey(null, path[i].key);
+                    }
+                    errors.push(error);
+                }
+                else if (!visited.has(dep)) {
+                    visit(dep);
+                }
+            });
+            path.pop();
+        };
+        ownDeps.forEach(function (deps, provider) {
+            if (!visited.has(provider)) {
+                visit(provider);
+            }
+        });
+    }
+    /**
+     * Whether the provider only decorates the value of the parent injector.
+     * @param {?} provider
+     * @return {?}
+     */
+    function isDecoratorOnly(provider) {
+        return provider.resolvedFactories.length === 0;
+    }
     /**
      * @param {?} providers
      * @param {?} res
@@ -2501,34 +2862,313 @@
         return new ReflectiveDependency(ReflectiveKey.get(token), optional, lowerBoundVisibility, upperBoundVisibility, depProps);
     }
 
-    // Threshold for the dynamic version
-    var /** @type {?} */ _MAX_CONSTRUCTION_COUNTER = 10;
-    var /** @type {?} */ UNDEFINED = new Object();
-    var ReflectiveProtoInjectorInlineStrategy = (function () {
+    /**
+     * @license
+     * Copyright Google Inc. All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Book-keeping for providers with `ProviderScope.Resolution`.
+     *
+     * A resolution starts with the outermost call to `Injector.get` and ends when that call returns.
+     * Nested calls, also across injectors, are part of the same resolution.
+     */
+    var /** @type {?} */ _resolutionDepth = 0;
+    var /** @type {?} */ _resolutionObjs = null;
+    /**
+     * @return {?}
+     */
+    function enterResolution() {
+        _resolutionDepth++;
+    }
+    /**
+     * @return {?}
+     */
+    function leaveResolution() {
+        if (--_resolutionDepth === 0) {
+            _resolutionObjs = null;
+        }
+    }
+    /**
+     * Returns the object that `owner` created for `id` during the current resolution, creating it
+     * via `factory` if needed. Outside of a resolution, a new object is created every time.
+     * @param {?} owner
+     * @param {?} id
+     * @param {?} factory
+     * @return {?}
+     */
+    function getResolutionScoped(owner, id, factory) {
+        if (_resolutionDepth === 0) {
+            return factory();
+        }
+        if (!_resolutionObjs) {
+            _resolutionObjs = new Map();
+        }
+        var /** @type {?} */ objs = _resolutionObjs.get(owner);
+        if (!objs) {
+            objs = new Map();
+            _resolutionObjs.set(owner, objs);
+        }
+        if (!objs.has(id)) {
+            objs.set(id, factory());
+        }
+        return objs.get(id);
+    }
+
+    var /** @type {?} */ _tracer = null;
+    /**
+     * @return {?}
+     */
+    function _now() {
+        var /** @type {?} */ performance = global$1['performance'];
+        return performance && performance.now ? performance.now() : Date.now();
+    }
+    /**
+     * Records every dependency lookup while it is installed via {\@link setResolutionTracer}.
+     *
+     * A lookup is recorded as one {\@link ResolutionTraceEntry}. Lookups that are needed to create
+     * the requested object are recorded right after it, with a higher `depth`. When a lookup fails
+     * with a `NoProviderError` or an `InstantiationError`, the levels that were searched are added
+     * to the error message.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * const tracer = new ResolutionTracer();
+     * setResolutionTracer(tracer);
+     * injector.get(Car);
+     * setResolutionTracer(null);
+     * console.log(tracer.entries);
+     * ```
+     *
+     * \@experimental All debugging apis are currently experimental.
+     */
+    var ResolutionTracer = (function () {
+        function ResolutionTracer() {
+            this.entries = [];
+            this._frames = [];
+            this._nodeEntries = new WeakMap();
+        }
         /**
-         * @param {?} protoEI
-         * @param {?} providers
+         * Forgets all entries recorded so far.
+         * @return {?}
          */
-        function ReflectiveProtoInjectorInlineStrategy(protoEI, providers) {
-            this.provider0 = null;
-            this.provider1 = null;
-            this.provider2 = null;
-            this.provider3 = null;
-            this.provider4 = null;
-            this.provider5 = null;
-            this.provider6 = null;
-            this.provider7 = null;
-            this.provider8 = null;
-            this.provider9 = null;
-            this.keyId0 = null;
-            this.keyId1 = null;
-            this.keyId2 = null;
-            this.keyId3 = null;
-            this.keyId4 = null;
-            this.keyId5 = null;
-            this.keyId6 = null;
-            this.keyId7 = null;
-            this.keyId8 = null;
+        ResolutionTracer.prototype.clear = function () {
+            this.entries = [];
+            this._nodeEntries = new WeakMap();
+        };
+        /**
+         * \@internal
+         * The entries of the lookups that started at the given node of `view`.
+         * @param {?} view
+         * @param {?} nodeIndex
+         * @return {?}
+         */
+        ResolutionTracer.prototype.entriesForNode = function (view, nodeIndex) {
+            var /** @type {?} */ nodes = this._nodeEntries.get(view);
+            return nodes && nodes.has(nodeIndex) ? nodes.get(nodeIndex).slice() : [];
+        };
+        /**
+         * \@internal
+         * @param {?} token
+         * @param {?} view
+         * @param {?} nodeIndex
+         * @return {?}
+         */
+        ResolutionTracer.prototype._start = function (token, view, nodeIndex) {
+            var /** @type {?} */ parent = this._frames.length ? this._frames[this._frames.length - 1] : null;
+            if (parent && parent.token === token && !parent.answered) {
+                // The level that was asked first delegates to the next one.
+                return null;
+            }
+            var /** @type {?} */ entry = {
+                token: stringify(token),
+                level: null,
+                source: null,
+                cached: null,
+                duration: 0,
+                depth: parent ? parent.entry.depth + 1 : 0,
+                searched: []
+            };
+            var /** @type {?} */ frame = {
+                token: token,
+                entry: entry,
+                view: parent ? parent.view : view,
+                nodeIndex: parent ? parent.nodeIndex : nodeIndex,
+                answered: false,
+                created: false,
+                constructionTime: 0
+            };
+            this.entries.push(entry);
+            if (frame.view) {
+                var /** @type {?} */ nodes = this._nodeEntries.get(frame.view);
+                if (!nodes) {
+                    nodes = new Map();
+                    this._nodeEntries.set(frame.view, nodes);
+                }
+                if (!nodes.has(frame.nodeIndex)) {
+                    nodes.set(frame.nodeIndex, []);
+                }
+                nodes.get(frame.nodeIndex).push(entry);
+            }
+            this._frames.push(frame);
+            return frame;
+        };
+        /**
+         * \@internal
+         * @param {?} frame
+         * @param {?} error
+         * @return {?}
+         */
+        ResolutionTracer.prototype._end = function (frame, error) {
+            this._frames.splice(this._frames.lastIndexOf(frame), 1);
+            if ((error instanceof AbstractProviderError || error instanceof InstantiationError) &&
+                !error.searchedLevels) {
+                error.addSearchedLevels(frame.entry.searched);
+            }
+        };
+        /**
+         * \@internal
+         * @return {?}
+         */
+        ResolutionTracer.prototype._current = function () {
+            return this._frames.length ? this._frames[this._frames.length - 1] : null;
+        };
+        return ResolutionTracer;
+    }());
+    /**
+     * Installs `tracer` to record all following dependency lookups, or stops recording if `tracer`
+     * is `null`.
+     *
+     * \@experimental All debugging apis are currently experimental.
+     * @param {?} tracer
+     * @return {?}
+     */
+    function setResolutionTracer(tracer) {
+        _tracer = tracer;
+    }
+    /**
+     * Returns the tracer installed via {\@link setResolutionTracer}, if any.
+     *
+     * \@experimental All debugging apis are currently experimental.
+     * @return {?}
+     */
+    function getResolutionTracer() {
+        return _tracer;
+    }
+    /**
+     * Runs the lookup `fn` for `token`. If `view` is given, the lookup started at its node
+     * `nodeIndex`. Lookups of a token that is still being searched for continue the
+     * ongoing lookup.
+     * @param {?} token
+     * @param {?} view
+     * @param {?} nodeIndex
+     * @param {?} fn
+     * @return {?}
+     */
+    function traceLookup(token, view, nodeIndex, fn) {
+        var /** @type {?} */ tracer = _tracer;
+        var /** @type {?} */ frame = tracer ? tracer._start(token, view, nodeIndex) : null;
+        if (!frame) {
+            return fn();
+        }
+        try {
+            var /** @type {?} */ result = fn();
+            tracer._end(frame, null);
+            return result;
+        }
+        catch (e) {
+            tracer._end(frame, e);
+            throw e;
+        }
+    }
+    /**
+     * Asks the injector level `source` for the current token via `fn`, which returns `notFound`
+     * if the level has no provider for it. Levels that create objects via `traceConstruction`
+     * pass `tracksCreation`, the others can't tell whether the object was cached.
+     * @param {?} level
+     * @param {?} source
+     * @param {?} notFound
+     * @param {?} tracksCreation
+     * @param {?} fn
+     * @return {?}
+     */
+    function traceLevel(level, source, notFound, tracksCreation, fn) {
+        var /** @type {?} */ frame = _tracer ? _tracer._current() : null;
+        if (!frame || frame.answered) {
+            return fn();
+        }
+        frame.entry.searched.push(level + " " + source);
+        var /** @type {?} */ start = _now();
+        var /** @type {?} */ result = fn();
+        if (result !== notFound) {
+            frame.answered = true;
+            frame.entry.level = level;
+            frame.entry.source = source;
+            if (tracksCreation) {
+                frame.entry.cached = !frame.created;
+                frame.entry.duration = frame.constructionTime;
+            }
+            else {
+                frame.entry.cached = null;
+                frame.entry.duration = _now() - start;
+            }
+        }
+        return result;
+    }
+    /**
+     * Creates the object for `token` via `fn` and records how long that took.
+     * @param {?} token
+     * @param {?} fn
+     * @return {?}
+     */
+    function traceConstruction(token, fn) {
+        var /** @type {?} */ frame = _tracer ? _tracer._current() : null;
+        if (!frame || frame.token !== token) {
+            return fn();
+        }
+        var /** @type {?} */ start = _now();
+        var /** @type {?} */ result = fn();
+        frame.created = true;
+        frame.constructionTime = _now() - start;
+        return result;
+    }
+
+    // Threshold for the dynamic version
+    var /** @type {?} */ _MAX_CONSTRUCTION_COUNTER = 10;
+    var /** @type {?} */ UNDEFINED = new Object();
+    var /** @type {?} */ _SKIP_SELF = new SkipSelf();
+    // Scope of the provider whose object is currently being created, null if none.
+    var /** @type {?} */ _instantiatingScope = null;
+    // Non singleton providers whose objects are currently being created, to detect cycles.
+    var /** @type {?} */ _scopedInConstruction = new Set();
+    var ReflectiveProtoInjectorInlineStrategy = (function () {
+        /**
+         * @param {?} protoEI
+         * @param {?} providers
+         */
+        function ReflectiveProtoInjectorInlineStrategy(protoEI, providers) {
+            this.provider0 = null;
+            this.provider1 = null;
+            this.provider2 = null;
+            this.provider3 = null;
+            this.provider4 = null;
+            this.provider5 = null;
+            this.provider6 = null;
+            this.provider7 = null;
+            this.provider8 = null;
+            this.provider9 = null;
+            this.keyId0 = null;
+            this.keyId1 = null;
+            this.keyId2 = null;
+            this.keyId3 = null;
+            this.keyId4 = null;
+            this.keyId5 = null;
+            this.keyId6 = null;
+            this.keyId7 = null;
+            this.keyId8 = null;
             this.keyId9 = null;
             var length = providers.length;
             if (length > 0) {
@@ -2649,6 +3289,16 @@
             this._strategy = providers.length > _MAX_CONSTRUCTION_COUNTER ?
                 new ReflectiveProtoInjectorDynamicStrategy(this, providers) :
                 new ReflectiveProtoInjectorInlineStrategy(this, providers);
+            this.scopedProviders = null;
+            for (var i = 0; i < providers.length; i++) {
+                var /** @type {?} */ provider = providers[i];
+                if (provider.scope && provider.scope !== ProviderScope.Singleton) {
+                    if (!this.scopedProviders) {
+                        this.scopedProviders = new Map();
+                    }
+                    this.scopedProviders.set(provider.key.id, provider);
+                }
+            }
         }
         /**
          * @param {?} providers
@@ -2792,6 +3442,54 @@
                 return this.obj9;
             throw new OutOfBoundsError(index);
         };
+        /**
+         * @param {?} index
+         * @param {?} obj
+         * @return {?}
+         */
+        ReflectiveInjectorInlineStrategy.prototype.setObjAtIndex = function (index, obj) {
+            if (index == 0) {
+                this.obj0 = obj;
+                return;
+            }
+            if (index == 1) {
+                this.obj1 = obj;
+                return;
+            }
+            if (index == 2) {
+                this.obj2 = obj;
+                return;
+            }
+            if (index == 3) {
+                this.obj3 = obj;
+                return;
+            }
+            if (index == 4) {
+                this.obj4 = obj;
+                return;
+            }
+            if (index == 5) {
+                this.obj5 = obj;
+                return;
+            }
+            if (index == 6) {
+                this.obj6 = obj;
+                return;
+            }
+            if (index == 7) {
+                this.obj7 = obj;
+                return;
+            }
+            if (index == 8) {
+                this.obj8 = obj;
+                return;
+            }
+            if (index == 9) {
+                this.obj9 = obj;
+                return;
+            }
+            throw new OutOfBoundsError(index);
+        };
         /**
          * @return {?}
          */
@@ -2845,6 +3543,17 @@
             }
             return this.objs[index];
         };
+        /**
+         * @param {?} index
+         * @param {?} obj
+         * @return {?}
+         */
+        ReflectiveInjectorDynamicStrategy.prototype.setObjAtIndex = function (index, obj) {
+            if (index < 0 || index >= this.objs.length) {
+                throw new OutOfBoundsError(index);
+            }
+            this.objs[index] = obj;
+        };
         /**
          * @return {?}
          */
@@ -2962,6 +3671,43 @@
             var /** @type {?} */ ResolvedReflectiveProviders = ReflectiveInjector.resolve(providers);
             return ReflectiveInjector.fromResolvedProviders(ResolvedReflectiveProviders, parent);
         };
+        /**
+         * Checks an array of provider definitions without instantiating anything.
+         *
+         * Returns the errors that the providers would cause at runtime: missing providers,
+         * dependency cycles, singletons depending on providers with another scope, and tokens that
+         * have both multi and regular providers. `parentTokens` lists the tokens the parent injector
+         * will provide.
+         *
+         * ### Example
+         *
+         * ```typescript
+         * \@Injectable()
+         * class Engine {
+         * }
+         *
+         * \@Injectable()
+         * class Car {
+         *   constructor(public engine:Engine) {}
+         * }
+         *
+         * expect(ReflectiveInjector.validate([Car, Engine])).toEqual([]);
+         *
+         * var errors = ReflectiveInjector.validate([Car]);
+         * expect(errors[0] instanceof NoProviderError).toBe(true);
+         * expect(errors[0].message).toEqual('No provider for Engine! (Car -> Engine)');
+         *
+         * expect(ReflectiveInjector.validate([Car], [Engine])).toEqual([]);
+         * ```
+         * \@experimental
+         * @param {?} providers
+         * @param {?=} parentTokens
+         * @return {?}
+         */
+        ReflectiveInjector.validate = function (providers, parentTokens) {
+            if (parentTokens === void 0) { parentTokens = []; }
+            return validateReflectiveProviders(providers, parentTokens);
+        };
         /**
          * Creates an injector from previously resolved providers.
          *
@@ -3133,6 +3879,69 @@
          * @return {?}
          */
         ReflectiveInjector.prototype.get = function (token, notFoundValue) { };
+        /**
+         * Retrieves an instance from the injector, waiting for every provider on the way whose
+         * factory returns a `Promise`.
+         *
+         * Dependencies are resolved one after the other, and each of them is awaited before the
+         * factory that needs it is called. Once resolved, the value (not the `Promise`) is cached
+         * like any other instance, so later calls to `get` return it as well. Concurrent calls share
+         * the pending factory of a singleton, and `get` throws while it is pending.
+         *
+         * ### Example
+         *
+         * ```typescript
+         * var injector = ReflectiveInjector.resolveAndCreate([
+         *   {provide: Config, useFactory: () => fetchConfig()},
+         *   {provide: Api, useFactory: (config) => new Api(config), deps: [Config]}
+         * ]);
+         *
+         * injector.getAsync(Api).then((api) => {
+         *   expect(api.config instanceof Config).toBe(true);
+         * });
+         * ```
+         * @abstract
+         * @param {?} token
+         * @param {?=} notFoundValue
+         * @return {?}
+         */
+        ReflectiveInjector.prototype.getAsync = function (token, notFoundValue) { };
+        /**
+         * Destroys the injector.
+         *
+         * Calls `ngOnDestroy` on the services that the injector created from a class, in reverse
+         * creation order, and then the callbacks registered via {\@link onDestroy}. Instances that were
+         * passed in via `useValue`, created by a `useFactory` or looked up in a parent injector are
+         * left alone. Every hook and callback is called even if an earlier one throws, and the first
+         * error is rethrown afterwards.
+         *
+         * Using a destroyed injector, e.g. via `get` or {\@link instantiateResolved}, throws, and so does
+         * a child injector whose lookup reaches it.
+         *
+         * ### Example
+         *
+         * ```typescript
+         * class Connection implements OnDestroy {
+         *   closed = false;
+         *   ngOnDestroy() { this.closed = true; }
+         * }
+         *
+         * var injector = ReflectiveInjector.resolveAndCreate([Connection]);
+         * var connection = injector.get(Connection);
+         * injector.destroy();
+         * expect(connection.closed).toBe(true);
+         * ```
+         * @abstract
+         * @return {?}
+         */
+        ReflectiveInjector.prototype.destroy = function () { };
+        /**
+         * Registers a callback that is called when the injector is destroyed.
+         * @abstract
+         * @param {?} callback
+         * @return {?}
+         */
+        ReflectiveInjector.prototype.onDestroy = function (callback) { };
         return ReflectiveInjector;
     }());
     var ReflectiveInjector_ = (function () {
@@ -3145,6 +3954,10 @@
             if (_parent === void 0) { _parent = null; }
             /** @internal */
             this._constructionCounter = 0;
+            this._destroyed = false;
+            this._destroyListeners = [];
+            this._instancesToDestroy = [];
+            this._pendingAsync = new Map();
             this._proto = _proto;
             this._parent = _parent;
             this._strategy = _proto._strategy.createInjectorStrategy(this);
@@ -3156,13 +3969,80 @@
          */
         ReflectiveInjector_.prototype.get = function (token, notFoundValue) {
             if (notFoundValue === void 0) { notFoundValue = THROW_IF_NOT_FOUND; }
-            return this._getByKey(ReflectiveKey.get(token), null, null, notFoundValue);
+            this._assertNotDestroyed();
+            enterResolution();
+            try {
+                return this._getByKey(ReflectiveKey.get(token), null, null, notFoundValue);
+            }
+            finally {
+                leaveResolution();
+            }
         };
         /**
          * @param {?} index
          * @return {?}
          */
         ReflectiveInjector_.prototype.getAt = function (index) { return this._strategy.getObjAtIndex(index); };
+        /**
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype.destroy = function () {
+            if (this._destroyed) {
+                throw new Error("The injector has already been destroyed.");
+            }
+            this._destroyed = true;
+            var /** @type {?} */ instances = this._instancesToDestroy;
+            this._instancesToDestroy = [];
+            // Every hook and callback runs even if an earlier one throws, so that none of them leaks
+            // its resources. The first error is rethrown afterwards.
+            var /** @type {?} */ errors = [];
+            var /** @type {?} */ callSafely = function (fn) {
+                try {
+                    fn();
+                }
+                catch (e) {
+                    errors.push(e);
+                }
+            };
+            var _loop_1 = function(i) {
+                var /** @type {?} */ instance = instances[i];
+                callSafely(function () { return instance.ngOnDestroy(); });
+            };
+            for (var /** @type {?} */ i = instances.length - 1; i >= 0; i--) {
+                _loop_1(i);
+            }
+            this._destroyListeners.forEach(callSafely);
+            if (errors.length > 0) {
+                throw errors[0];
+            }
+        };
+        /**
+         * @param {?} callback
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype.onDestroy = function (callback) { this._destroyListeners.push(callback); };
+        /**
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._assertNotDestroyed = function () {
+            if (this._destroyed) {
+                throw new Error("Cannot use an injector that has already been destroyed.");
+            }
+        };
+        /**
+         * Remembers `obj` for `destroy` if the injector owns it, i.e. if it is a singleton created
+         * from a class.
+         * @param {?} factory
+         * @param {?} scope
+         * @param {?} obj
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._trackForDestroy = function (factory, scope, obj) {
+            if (scope === ProviderScope.Singleton && factory.type && obj &&
+                typeof obj.ngOnDestroy === 'function') {
+                this._instancesToDestroy.push(obj);
+            }
+        };
         Object.defineProperty(ReflectiveInjector_.prototype, "parent", {
             /**
              * @return {?}
@@ -3182,6 +4062,13 @@
             enumerable: true,
             configurable: true
         });
+        /**
+         * \@internal
+         * Whether the object for the provider at `index` has already been created.
+         * @param {?} index
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._isInstantiatedAt = function (index) { return this._strategy.getObjAtIndex(index) !== UNDEFINED; };
         /**
          * @param {?} providers
          * @return {?}
@@ -3212,7 +4099,14 @@
          * @return {?}
          */
         ReflectiveInjector_.prototype.instantiateResolved = function (provider) {
-            return this._instantiateProvider(provider);
+            this._assertNotDestroyed();
+            enterResolution();
+            try {
+                return this._instantiateInScope(provider, null);
+            }
+            finally {
+                leaveResolution();
+            }
         };
         /**
          * \@internal
@@ -3220,25 +4114,116 @@
          * @return {?}
          */
         ReflectiveInjector_.prototype._new = function (provider) {
+            if (this._pendingAsync.has(provider)) {
+                throw new PendingAsyncProviderError(this, provider.key);
+            }
             if (this._constructionCounter++ > this._strategy.getMaxNumberOfObjects()) {
                 throw new CyclicDependencyError(this, provider.key);
             }
-            return this._instantiateProvider(provider);
+            return this._instantiateInScope(provider, ProviderScope.Singleton);
         };
         /**
+         * \@internal
          * @param {?} provider
          * @return {?}
          */
-        ReflectiveInjector_.prototype._instantiateProvider = function (provider) {
-            if (provider.multiProvider) {
-                var /** @type {?} */ res = new Array(provider.resolvedFactories.length);
-                for (var /** @type {?} */ i = 0; i < provider.resolvedFactories.length; ++i) {
-                    res[i] = this._instantiate(provider, provider.resolvedFactories[i]);
-                }
-                return res;
+        ReflectiveInjector_.prototype._getScoped = function (provider) {
+            var _this = this;
+            if (_instantiatingScope === ProviderScope.Singleton) {
+                throw new ScopedDependencyError(this, provider.key, provider.scope);
+            }
+            if (provider.scope === ProviderScope.Transient) {
+                return this._newScoped(provider);
+            }
+            return getResolutionScoped(this, provider.key.id, function () { return _this._newScoped(provider); });
+        };
+        /**
+         * @param {?} provider
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._newScoped = function (provider) {
+            if (_scopedInConstruction.has(provider)) {
+                throw new CyclicDependencyError(this, provider.key);
+            }
+            _scopedInConstruction.add(provider);
+            try {
+                return this._instantiateInScope(provider, provider.scope);
+            }
+            finally {
+                _scopedInConstruction.delete(provider);
+            }
+        };
+        /**
+         * @param {?} provider
+         * @param {?} scope
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._instantiateInScope = function (provider, scope) {
+            var _this = this;
+            var /** @type {?} */ previousScope = _instantiatingScope;
+            _instantiatingScope = scope;
+            try {
+                return getResolutionTracer() ?
+                    traceConstruction(provider.key.token, function () { return _this._instantiateProvider(provider); }) :
+                    this._instantiateProvider(provider);
+            }
+            finally {
+                _instantiatingScope = previousScope;
+            }
+        };
+        /**
+         * @param {?} provider
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._instantiateProvider = function (provider) {
+            var /** @type {?} */ obj;
+            var /** @type {?} */ decorators = provider.resolvedDecorators || [];
+            var /** @type {?} */ decorated = 0;
+            if (isDecoratorOnly(provider)) {
+                obj = this._getByKeyDefault(provider.key, THROW_IF_NOT_FOUND, _SKIP_SELF);
+            }
+            else if (provider.multiProvider) {
+                // Decorators only wrap the values declared before them.
+                var /** @type {?} */ counts = provider.decoratedFactoryCounts || [];
+                obj = [];
+                for (var /** @type {?} */ i = 0; i < provider.resolvedFactories.length; ++i) {
+                    for (; decorated < counts.length && counts[decorated] === i; ++decorated) {
+                        obj = this._decorate(provider, decorators[decorated], obj);
+                    }
+                    obj = obj.concat([this._instantiate(provider, provider.resolvedFactories[i])]);
+                }
             }
             else {
-                return this._instantiate(provider, provider.resolvedFactories[0]);
+                obj = this._instantiate(provider, provider.resolvedFactories[0]);
+            }
+            for (; decorated < decorators.length; ++decorated) {
+                obj = this._decorate(provider, decorators[decorated], obj);
+            }
+            return obj;
+        };
+        /**
+         * @param {?} provider
+         * @param {?} decorator
+         * @param {?} delegate
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._decorate = function (provider, decorator, delegate) {
+            var _this = this;
+            var /** @type {?} */ deps;
+            try {
+                deps = decorator.dependencies.map(function (dep) { return _this._getByReflectiveDependency(provider, dep); });
+            }
+            catch (e) {
+                if (e instanceof AbstractProviderError || e instanceof InstantiationError) {
+                    e.addKey(this, provider.key);
+                }
+                throw e;
+            }
+            try {
+                return decorator.factory.apply(decorator, [delegate].concat(deps));
+            }
+            catch (e) {
+                throw new InstantiationError(this, e, e.stack, provider.key);
             }
         };
         /**
@@ -3371,6 +4356,7 @@
             catch (e) {
                 throw new InstantiationError(this, e, e.stack, provider.key);
             }
+            this._trackForDestroy(ResolvedReflectiveFactory, _instantiatingScope, obj);
             return obj;
         };
         /**
@@ -3389,9 +4375,23 @@
          * @return {?}
          */
         ReflectiveInjector_.prototype._getByKey = function (key, lowerBoundVisibility, upperBoundVisibility, notFoundValue) {
+            var _this = this;
             if (key === INJECTOR_KEY) {
                 return this;
             }
+            if (getResolutionTracer()) {
+                return traceLookup(key.token, null, null, function () { return _this._getByKeyUntraced(key, lowerBoundVisibility, upperBoundVisibility, notFoundValue); });
+            }
+            return this._getByKeyUntraced(key, lowerBoundVisibility, upperBoundVisibility, notFoundValue);
+        };
+        /**
+         * @param {?} key
+         * @param {?} lowerBoundVisibility
+         * @param {?} upperBoundVisibility
+         * @param {?} notFoundValue
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._getByKeyUntraced = function (key, lowerBoundVisibility, upperBoundVisibility, notFoundValue) {
             if (upperBoundVisibility instanceof Self) {
                 return this._getByKeySelf(key, notFoundValue);
             }
@@ -3399,6 +4399,30 @@
                 return this._getByKeyDefault(key, notFoundValue, lowerBoundVisibility);
             }
         };
+        /**
+         * \@internal
+         * @param {?} keyId
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._getObjByKeyId = function (keyId) {
+            var /** @type {?} */ scopedProviders = this._proto.scopedProviders;
+            if (scopedProviders !== null && scopedProviders.has(keyId)) {
+                return this._getScoped(scopedProviders.get(keyId));
+            }
+            return this._strategy.getObjByKeyId(keyId);
+        };
+        /**
+         * @param {?} keyId
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._getTracedObjByKeyId = function (keyId) {
+            var _this = this;
+            if (!getResolutionTracer()) {
+                return this._getObjByKeyId(keyId);
+            }
+            var /** @type {?} */ level = this._parent ? 'host' : 'platform';
+            return traceLevel(level, 'ReflectiveInjector', UNDEFINED, true, function () { return _this._getObjByKeyId(keyId); });
+        };
         /**
          * \@internal
          * @param {?} key
@@ -3420,7 +4444,7 @@
          * @return {?}
          */
         ReflectiveInjector_.prototype._getByKeySelf = function (key, notFoundValue) {
-            var /** @type {?} */ obj = this._strategy.getObjByKeyId(key.id);
+            var /** @type {?} */ obj = this._getTracedObjByKeyId(key.id);
             return (obj !== UNDEFINED) ? obj : this._throwOrNull(key, notFoundValue);
         };
         /**
@@ -3440,7 +4464,8 @@
             }
             while (inj instanceof ReflectiveInjector_) {
                 var /** @type {?} */ inj_ = (inj);
-                var /** @type {?} */ obj = inj_._strategy.getObjByKeyId(key.id);
+                inj_._assertNotDestroyed();
+                var /** @type {?} */ obj = inj_._getTracedObjByKeyId(key.id);
                 if (obj !== UNDEFINED)
                     return obj;
                 inj = inj_._parent;
@@ -3452,6 +4477,193 @@
                 return this._throwOrNull(key, notFoundValue);
             }
         };
+        /**
+         * @param {?} token
+         * @param {?=} notFoundValue
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype.getAsync = function (token, notFoundValue) {
+            var _this = this;
+            if (notFoundValue === void 0) { notFoundValue = THROW_IF_NOT_FOUND; }
+            if (this._destroyed) {
+                return new Promise(function () { return _this._assertNotDestroyed(); });
+            }
+            var /** @type {?} */ resolution = { path: [], scope: null, objs: new Map() };
+            return this._getByKeyAsync(ReflectiveKey.get(token), null, null, notFoundValue, resolution);
+        };
+        /**
+         * @param {?} key
+         * @param {?} lowerBoundVisibility
+         * @param {?} upperBoundVisibility
+         * @param {?} notFoundValue
+         * @param {?} resolution
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._getByKeyAsync = function (key, lowerBoundVisibility, upperBoundVisibility, notFoundValue, resolution) {
+            var _this = this;
+            if (key === INJECTOR_KEY) {
+                return Promise.resolve(this);
+            }
+            var /** @type {?} */ inj = this;
+            if (upperBoundVisibility instanceof Self) {
+                var /** @type {?} */ index = this._indexOfKeyId(key.id);
+                if (index !== -1) {
+                    return this._getAtIndexAsync(index, resolution);
+                }
+                inj = null;
+            }
+            else if (lowerBoundVisibility instanceof SkipSelf) {
+                inj = this._parent;
+            }
+            var _loop_2 = function() {
+                var /** @type {?} */ inj_ = (inj);
+                if (inj_._destroyed) {
+                    return { value: new Promise(function () { return inj_._assertNotDestroyed(); }) };
+                }
+                var /** @type {?} */ index = inj_._indexOfKeyId(key.id);
+                if (index !== -1) {
+                    return { value: inj_._getAtIndexAsync(index, resolution) };
+                }
+                inj = inj_._parent;
+            };
+            while (inj instanceof ReflectiveInjector_) {
+                var state_2 = _loop_2();
+                if (typeof state_2 === "object") return state_2.value;
+            }
+            if (inj !== null) {
+                return getAsyncFromInjector(inj, key.token, notFoundValue);
+            }
+            return new Promise(function (resolve) { return resolve(_this._throwOrNull(key, notFoundValue)); });
+        };
+        /**
+         * @param {?} keyId
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._indexOfKeyId = function (keyId) {
+            for (var /** @type {?} */ i = 0; i < this._proto.numberOfProviders; i++) {
+                if (this._proto.getProviderAtIndex(i).key.id === keyId) {
+                    return i;
+                }
+            }
+            return -1;
+        };
+        /**
+         * @param {?} index
+         * @param {?} resolution
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._getAtIndexAsync = function (index, resolution) {
+            var _this = this;
+            var /** @type {?} */ provider = this._proto.getProviderAtIndex(index);
+            if (resolution.path.indexOf(provider) !== -1) {
+                return Promise.reject(new CyclicDependencyError(this, provider.key));
+            }
+            if (provider.scope && provider.scope !== ProviderScope.Singleton) {
+                if (resolution.scope === ProviderScope.Singleton) {
+                    return Promise.reject(new ScopedDependencyError(this, provider.key, provider.scope));
+                }
+                if (provider.scope === ProviderScope.Transient) {
+                    return this._instantiateProviderAsync(provider, resolution);
+                }
+                var /** @type {?} */ objs = resolution.objs.get(this);
+                if (!objs) {
+                    objs = new Map();
+                    resolution.objs.set(this, objs);
+                }
+                if (!objs.has(provider)) {
+                    objs.set(provider, this._instantiateProviderAsync(provider, resolution));
+                }
+                return objs.get(provider);
+            }
+            var /** @type {?} */ existing = this._strategy.getObjAtIndex(index);
+            if (existing !== UNDEFINED) {
+                return Promise.resolve(existing);
+            }
+            // Concurrent calls wait for the same factory instead of calling it again.
+            var /** @type {?} */ pending = this._pendingAsync.get(provider);
+            if (!pending) {
+                pending = this._instantiateProviderAsync(provider, resolution).then(function (obj) {
+                    _this._pendingAsync.delete(provider);
+                    _this._strategy.setObjAtIndex(index, obj);
+                    return obj;
+                }, function (e) {
+                    _this._pendingAsync.delete(provider);
+                    throw e;
+                });
+                this._pendingAsync.set(provider, pending);
+            }
+            return pending;
+        };
+        /**
+         * @param {?} provider
+         * @param {?} resolution
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._instantiateProviderAsync = function (provider, resolution) {
+            var _this = this;
+            var /** @type {?} */ depResolution = {
+                path: resolution.path.concat([provider]),
+                scope: provider.scope || ProviderScope.Singleton,
+                objs: resolution.objs
+            };
+            var /** @type {?} */ chain;
+            var /** @type {?} */ decorators = provider.resolvedDecorators || [];
+            var /** @type {?} */ decorated = 0;
+            var /** @type {?} */ decorate = function (obj) { return _this._instantiateAsync(provider, decorators[decorated++], depResolution, [obj]); };
+            if (isDecoratorOnly(provider)) {
+                chain = this._getByKeyAsync(provider.key, _SKIP_SELF, null, THROW_IF_NOT_FOUND, resolution);
+            }
+            else if (provider.multiProvider) {
+                // Decorators only wrap the values declared before them.
+                var /** @type {?} */ counts_1 = provider.decoratedFactoryCounts || [];
+                chain = Promise.resolve([]);
+                provider.resolvedFactories.forEach(function (factory, i) {
+                    for (var /** @type {?} */ d = 0; d < counts_1.length; d++) {
+                        if (counts_1[d] === i) {
+                            chain = chain.then(decorate);
+                        }
+                    }
+                    chain = chain.then(function (res) { return _this._instantiateAsync(provider, factory, depResolution)
+                        .then(function (obj) { return res.concat([obj]); }); });
+                });
+            }
+            else {
+                chain = this._instantiateAsync(provider, provider.resolvedFactories[0], depResolution);
+            }
+            return chain.then(function decorateRest(obj) {
+                return decorated < decorators.length ? decorate(obj).then(decorateRest) : obj;
+            });
+        };
+        /**
+         * @param {?} provider
+         * @param {?} ResolvedReflectiveFactory
+         * @param {?} resolution
+         * @param {?=} leadingArgs
+         * @return {?}
+         */
+        ReflectiveInjector_.prototype._instantiateAsync = function (provider, ResolvedReflectiveFactory, resolution, leadingArgs) {
+            var _this = this;
+            if (leadingArgs === void 0) { leadingArgs = []; }
+            var /** @type {?} */ factory = ResolvedReflectiveFactory.factory;
+            var /** @type {?} */ deps = leadingArgs.slice();
+            var /** @type {?} */ chain = Promise.resolve(null);
+            ResolvedReflectiveFactory.dependencies.forEach(function (dep) {
+                chain = chain
+                    .then(function () { return _this._getByKeyAsync(dep.key, dep.lowerBoundVisibility, dep.upperBoundVisibility, dep.optional ? null : THROW_IF_NOT_FOUND, resolution); })
+                    .then(function (obj) { deps.push(obj); });
+            });
+            return chain.then(function () { return new Promise(function (resolve) { return resolve(factory.apply(void 0, deps)); }).then(function (obj) {
+                _this._trackForDestroy(ResolvedReflectiveFactory, resolution.scope, obj);
+                return obj;
+            }, function (e) {
+                throw new InstantiationError(_this, e, e.stack, provider.key);
+            }); }, function (e) {
+                if (e instanceof AbstractProviderError || e instanceof InstantiationError) {
+                    e.addKey(_this, provider.key);
+                }
+                throw e;
+            });
+        };
         Object.defineProperty(ReflectiveInjector_.prototype, "displayName", {
             /**
              * @return {?}
@@ -3485,12 +4697,30 @@
     }
 
     /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
+     * A multi provider token for the {\@link ErrorReporter}s that the {\@link ErrorHandler} of an
+     * application sends its {\@link ErrorReport}s to.
      *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
+     * ### Example
+     *
+     * ```
+     * class CollectorReporter implements ErrorReporter {
+     *   constructor(private http: Http) {}
+     *   report(report: ErrorReport) { this.http.post('/errors', report).subscribe(); }
+     * }
+     *
+     * \@NgModule({
+     *   providers: [{provide: ERROR_REPORTERS, useClass: CollectorReporter, multi: true}]
+     * })
+     * class MyModule {}
+     * ```
+     *
+     * \@experimental
      */
+    var /** @type {?} */ ERROR_REPORTERS = new OpaqueToken('ErrorReporters');
+    // Identical errors are only reported once within this time.
+    var /** @type {?} */ _REPORT_DEDUPLICATION_TIME = 60 * 1000;
+    // At most this many reports are sent per minute, the others are dropped.
+    var /** @type {?} */ _MAX_REPORTS_PER_MINUTE = 10;
     /**
      * \@whatItDoes Provides a hook for centralized exception handling.
      *
@@ -3515,6 +4745,10 @@
      * class MyModule {}
      * ```
      *
+     * Besides logging, the default implementation sends an {\@link ErrorReport} of every error to the
+     * {\@link ErrorReporter}s registered via {\@link ERROR_REPORTERS}. Identical errors are only
+     * reported once a minute, and no more than 10 reports are sent per minute.
+     *
      * \@stable
      */
     var ErrorHandler = (function () {
@@ -3527,6 +4761,18 @@
              * @internal
              */
             this._console = console;
+            /**
+             * @internal
+             */
+            this._reporters = [];
+            /**
+             * @internal
+             */
+            this._lastReportTimes = new Map();
+            /**
+             * @internal
+             */
+            this._recentReportTimes = [];
             this.rethrowError = rethrowError;
         }
         /**
@@ -3549,11 +4795,92 @@
                 this._console.error('ERROR CONTEXT:');
                 this._console.error(context);
             }
+            if (this._reporters.length) {
+                this._report(this.createReport(error));
+            }
             // We rethrow exceptions, so operations like 'bootstrap' will result in an error
             // when an error happens. If we do not rethrow, bootstrap will always succeed.
             if (this.rethrowError)
                 throw error;
         };
+        /**
+         * Registers a reporter that receives an {\@link ErrorReport} for the errors handled from now on.
+         *
+         * Reporters that are provided via {\@link ERROR_REPORTERS} are registered when the application
+         * is bootstrapped, before its module is created. This requires the `ErrorHandler` of the
+         * application to extend this class.
+         *
+         * \@experimental
+         * @param {?} reporter
+         * @return {?}
+         */
+        ErrorHandler.prototype.addReporter = function (reporter) { this._reporters.push(reporter); };
+        /**
+         * Collects what is known about `error` into an {\@link ErrorReport}.
+         *
+         * \@experimental
+         * @param {?} error
+         * @return {?}
+         */
+        ErrorHandler.prototype.createReport = function (error) {
+            var _this = this;
+            var /** @type {?} */ errorChain = [];
+            for (var /** @type {?} */ e = error; e; e = ((e)).originalError) {
+                errorChain.push(e);
+            }
+            var /** @type {?} */ context = this._findContext(error);
+            var /** @type {?} */ component = null;
+            if (context) {
+                component = context.viewComponent || context.component;
+            }
+            return {
+                message: this._extractMessage(error),
+                errorChain: errorChain.map(function (e) { return _this._extractMessage(e); }),
+                originalError: errorChain[errorChain.length - 1],
+                stack: this._findOriginalStack(error),
+                source: context ? context.source : null,
+                component: component ? stringify(component.constructor) : null,
+                providerTokens: context && context.providerTokens ?
+                    context.providerTokens.map(function (token) { return stringify(token); }) :
+                    null
+            };
+        };
+        /**
+         * \@internal
+         * @param {?} report
+         * @return {?}
+         */
+        ErrorHandler.prototype._report = function (report) {
+            var _this = this;
+            var /** @type {?} */ now = Date.now();
+            var /** @type {?} */ key = report.message + "\n" + report.source;
+            var /** @type {?} */ lastReportTime = this._lastReportTimes.get(key);
+            if (lastReportTime !== undefined && now - lastReportTime < _REPORT_DEDUPLICATION_TIME) {
+                return;
+            }
+            while (this._recentReportTimes.length && now - this._recentReportTimes[0] >= 60 * 1000) {
+                this._recentReportTimes.shift();
+            }
+            if (this._recentReportTimes.length >= _MAX_REPORTS_PER_MINUTE) {
+                return;
+            }
+            this._lastReportTimes.forEach(function (time, reportedKey) {
+                if (now - time >= _REPORT_DEDUPLICATION_TIME) {
+                    _this._lastReportTimes.delete(reportedKey);
+                }
+            });
+            this._lastReportTimes.set(key, now);
+            this._recentReportTimes.push(now);
+            this._reporters.forEach(function (reporter) {
+                try {
+                    reporter.report(report);
+                }
+                catch (e) {
+                    // A failing reporter must not break error handling.
+                    _this._console.error("ERROR REPORTER FAILED: " + _this._extractMessage(e));
+                }
+            });
+        };
         /**
          * \@internal
          * @param {?} error
@@ -3915,13 +5242,6 @@
         return Console;
     }());
 
-    /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
-     */
     var __extends$4 = (this && this.__extends) || function (d, b) {
         for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
         function __() { this.constructor = d; }
@@ -4069,18 +5389,22 @@
         return ElementRef;
     }());
 
-    /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
-     */
-    var __extends$6 = (this && this.__extends) || function (d, b) {
+    var __extends$7 = (this && this.__extends) || function (d, b) {
         for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
         function __() { this.constructor = d; }
         d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
     };
+    var /** @type {?} */ _getCurrentNoopZone = function () { return null; };
+    /**
+     * Sets the function that returns the zone which the `EventEmitter`s created at that moment
+     * schedule change detection in. The zone code registers it, so that the facade doesn't depend
+     * on it.
+     * @param {?} getCurrentNoopZone
+     * @return {?}
+     */
+    function setNoopZoneGetter(getCurrentNoopZone) {
+        _getCurrentNoopZone = getCurrentNoopZone;
+    }
     /**
      * Use by directives and components to emit custom Events.
      *
@@ -4129,7 +5453,7 @@
      * \@stable
      */
     var EventEmitter = (function (_super) {
-        __extends$6(EventEmitter, _super);
+        __extends$7(EventEmitter, _super);
         /**
          * Creates an instance of [EventEmitter], which depending on [isAsync],
          * delivers events synchronously or asynchronously.
@@ -4139,12 +5463,19 @@
             if (isAsync === void 0) { isAsync = false; }
             _super.call(this);
             this.__isAsync = isAsync;
+            this.__noopZone = _getCurrentNoopZone();
         }
         /**
          * @param {?=} value
          * @return {?}
          */
-        EventEmitter.prototype.emit = function (value) { _super.prototype.next.call(this, value); };
+        EventEmitter.prototype.emit = function (value) {
+            _super.prototype.next.call(this, value);
+            // Without Zone.js, nothing else tells Angular that the listeners might have changed state.
+            if (this.__noopZone) {
+                this.__noopZone.scheduleTick();
+            }
+        };
         /**
          * @param {?=} generatorOrNext
          * @param {?=} error
@@ -4185,9 +5516,22 @@
         return EventEmitter;
     }(rxjs_Subject.Subject));
 
+    var __extends$6 = (this && this.__extends) || function (d, b) {
+        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
     /**
-     * An injectable service for executing work inside or outside of the Angular zone.
-     *
+     * Passed by {\@link NoopNgZone} to skip the setup of Zone.js.
+     */
+    var /** @type {?} */ _NOOP_ZONE_OPTIONS = {};
+    /**
+     * The {\@link NoopNgZone} whose `run` is currently executing, if any.
+     */
+    var /** @type {?} */ _currentNoopZone = null;
+    /**
+     * An injectable service for executing work inside or outside of the Angular zone.
+     *
      * The most common use of this service is to optimize performance when starting a work consisting of
      * one or more asynchronous tasks that don't require UI updates or error handling to be handled by
      * Angular. Such tasks can be kicked off via {\@link runOutsideAngular} and if needed, these tasks
@@ -4260,7 +5604,7 @@
          * @param {?} __0
          */
         function NgZone(_a) {
-            var _b = _a.enableLongStackTrace, enableLongStackTrace = _b === void 0 ? false : _b;
+            var _b = _a.enableLongStackTrace, enableLongStackTrace = _b === void 0 ? false : _b, _c = _a.trackPendingTasks, trackPendingTasks = _c === void 0 ? false : _c;
             this._hasPendingMicrotasks = false;
             this._hasPendingMacrotasks = false;
             this._isStable = true;
@@ -4269,6 +5613,11 @@
             this._onMicrotaskEmpty = new EventEmitter(false);
             this._onStable = new EventEmitter(false);
             this._onErrorEvents = new EventEmitter(false);
+            this._pendingTasks = null;
+            this._onPendingTasksChange = null;
+            if (arguments[0] === _NOOP_ZONE_OPTIONS) {
+                return;
+            }
             if (typeof Zone == 'undefined') {
                 throw new Error('Angular requires Zone.js prolyfill.');
             }
@@ -4280,12 +5629,18 @@
             if (enableLongStackTrace && Zone['longStackTraceZoneSpec']) {
                 this.inner = this.inner.fork(Zone['longStackTraceZoneSpec']);
             }
+            if (trackPendingTasks) {
+                this.forkInnerZoneWithTaskTracking();
+            }
             this.forkInnerZoneWithAngularBehavior();
         }
         /**
          * @return {?}
          */
-        NgZone.isInAngularZone = function () { return Zone.current.get('isAngularZone') === true; };
+        NgZone.isInAngularZone = function () {
+            return _currentNoopZone !== null ||
+                (typeof Zone != 'undefined' && Zone.current.get('isAngularZone') === true);
+        };
         /**
          * @return {?}
          */
@@ -4404,6 +5759,29 @@
             enumerable: true,
             configurable: true
         });
+        /**
+         * Returns the micro- and macrotasks, e.g. timers and XHRs, that the Angular zone is waiting
+         * for, oldest first. Periodic tasks, e.g. intervals, are pending until they are cancelled.
+         *
+         * Tasks are only tracked if the zone was created with `trackPendingTasks: true`, as that
+         * records a stack trace whenever a task is scheduled. Otherwise the result is always empty.
+         * @return {?}
+         */
+        NgZone.prototype.getPendingTasks = function () {
+            if (!this._pendingTasks) {
+                return [];
+            }
+            var /** @type {?} */ now = Date.now();
+            var /** @type {?} */ tasks = [];
+            this._pendingTasks.forEach(function (info) { return tasks.push({
+                type: info.type,
+                source: info.source,
+                creationStack: info.creationStack,
+                creationTime: info.creationTime,
+                age: now - info.creationTime
+            }); });
+            return tasks;
+        };
         /**
          * @return {?}
          */
@@ -4427,6 +5805,53 @@
                 }
             }
         };
+        /**
+         * @return {?}
+         */
+        NgZone.prototype.forkInnerZoneWithTaskTracking = function () {
+            var _this = this;
+            this._pendingTasks = new Map();
+            this._onPendingTasksChange = new EventEmitter(false);
+            // As the parent of the Angular zone, this zone also sees the tasks of its child zones.
+            this.inner = this.inner.fork({
+                name: 'angularTaskTracking',
+                onScheduleTask: function (delegate, current, target, task) {
+                    if (task.type !== 'eventTask') {
+                        _this._pendingTasks.set(task, {
+                            type: task.type,
+                            source: task.source,
+                            creationStack: new Error(task.type + " scheduled by " + task.source).stack,
+                            creationTime: Date.now()
+                        });
+                        _this._onPendingTasksChange.emit(null);
+                    }
+                    return delegate.scheduleTask(target, task);
+                },
+                onInvokeTask: function (delegate, current, target, task, applyThis, applyArgs) {
+                    try {
+                        return delegate.invokeTask(target, task, applyThis, applyArgs);
+                    }
+                    finally {
+                        if (!task.data || !task.data.isPeriodic) {
+                            _this._untrackTask(task);
+                        }
+                    }
+                },
+                onCancelTask: function (delegate, current, target, task) {
+                    _this._untrackTask(task);
+                    return delegate.cancelTask(target, task);
+                }
+            });
+        };
+        /**
+         * @param {?} task
+         * @return {?}
+         */
+        NgZone.prototype._untrackTask = function (task) {
+            if (this._pendingTasks.delete(task)) {
+                this._onPendingTasksChange.emit(null);
+            }
+        };
         /**
          * @return {?}
          */
@@ -4510,6 +5935,111 @@
         NgZone.prototype.triggerError = function (error) { this._onErrorEvents.emit(error); };
         return NgZone;
     }());
+    /**
+     * An {\@link NgZone} for applications that run without Zone.js, e.g. widgets that are embedded
+     * into pages that must not have their globals patched.
+     *
+     * As nothing tells it when asynchronous work finishes, change detection only runs:
+     * - after `run`, as with Zone.js,
+     * - after the event handlers of templates,
+     * - after `ChangeDetectorRef.markForCheck()`,
+     * - after an `EventEmitter` that was created inside of `run`, e.g. by a component, emits,
+     * - after `scheduleTick()` was called.
+     *
+     * Change detection that is scheduled by the last four runs in a microtask, once for all work
+     * that was scheduled until then. The zone is stable when no change detection is scheduled, so
+     * `Testability.whenStable` waits for it. Other work that `whenStable` should wait for can be
+     * tracked via `Testability.increasePendingRequestCount`.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * platformBrowser().bootstrapModuleFactory(MyModuleNgFactory, {ngZone: new NoopNgZone()});
+     * ```
+     *
+     * \@experimental
+     */
+    var NoopNgZone = (function (_super) {
+        __extends$6(NoopNgZone, _super);
+        function NoopNgZone() {
+            _super.call(this, _NOOP_ZONE_OPTIONS);
+        }
+        /**
+         * @param {?} fn
+         * @return {?}
+         */
+        NoopNgZone.prototype.run = function (fn) {
+            var /** @type {?} */ previous = _currentNoopZone;
+            _currentNoopZone = this;
+            this.onEnter();
+            try {
+                return fn();
+            }
+            finally {
+                _currentNoopZone = previous;
+                this.onLeave();
+            }
+        };
+        /**
+         * @param {?} fn
+         * @return {?}
+         */
+        NoopNgZone.prototype.runGuarded = function (fn) {
+            try {
+                return this.run(fn);
+            }
+            catch (e) {
+                this.triggerError(e);
+            }
+        };
+        /**
+         * @param {?} fn
+         * @return {?}
+         */
+        NoopNgZone.prototype.runOutsideAngular = function (fn) {
+            var /** @type {?} */ previous = _currentNoopZone;
+            _currentNoopZone = null;
+            try {
+                return fn();
+            }
+            finally {
+                _currentNoopZone = previous;
+            }
+        };
+        /**
+         * Schedules change detection in a microtask, unless it is already scheduled.
+         * @return {?}
+         */
+        NoopNgZone.prototype.scheduleTick = function () {
+            var _this = this;
+            if (this._hasPendingMicrotasks) {
+                return;
+            }
+            this._hasPendingMicrotasks = true;
+            if (this._isStable) {
+                this._isStable = false;
+                this._onUnstable.emit(null);
+            }
+            Promise.resolve(null).then(function () {
+                _this._hasPendingMicrotasks = false;
+                try {
+                    _this.checkStable();
+                }
+                catch (e) {
+                    _this.triggerError(e);
+                }
+            });
+        };
+        return NoopNgZone;
+    }(NgZone));
+    /**
+     * Returns the {\@link NoopNgZone} whose `run` is currently executing, if any.
+     * @return {?}
+     */
+    function getCurrentNoopZone() {
+        return _currentNoopZone;
+    }
+    setNoopZoneGetter(getCurrentNoopZone);
 
     var AnimationQueue = (function () {
         /**
@@ -6269,436 +7799,824 @@
     var /** @type {?} */ defaultIterableDiffers = new IterableDiffers(iterableDiff);
     var /** @type {?} */ defaultKeyValueDiffers = new KeyValueDiffers(keyValDiff);
 
-    var RenderComponentType = (function () {
-        /**
-         * @param {?} id
-         * @param {?} templateUrl
-         * @param {?} slotCount
-         * @param {?} encapsulation
-         * @param {?} styles
-         * @param {?} animations
-         */
-        function RenderComponentType(id, templateUrl, slotCount, encapsulation, styles, animations) {
-            this.id = id;
-            this.templateUrl = templateUrl;
-            this.slotCount = slotCount;
-            this.encapsulation = encapsulation;
-            this.styles = styles;
-            this.animations = animations;
-        }
-        return RenderComponentType;
-    }());
+    var /** @type {?} */ _monitor = null;
     /**
-     * @abstract
+     * Counts how often every template binding changes, to find the bindings that keep change
+     * detection busy.
+     *
+     * While installed via {\@link setBindingMonitor}, every binding that is checked in dev mode is
+     * recorded by the source location of its template expression. A binding is hot once it has
+     * changed in `hotThreshold` ticks in a row, e.g. because it is bound to a new object literal or
+     * to a method that returns a new array every time. Changes where the new value equals the old
+     * one apart from its identity are counted as `identityChanges`.
+     *
+     * Ticks are counted by `ApplicationRef.tick()`. Bindings that are checked outside of a tick,
+     * e.g. via `ChangeDetectorRef.detectChanges()`, count towards the last tick. The first check
+     * of a binding is not a change, and neither is the second pass of `tick()` in dev mode, which
+     * only verifies that no binding changed.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * const monitor = new BindingMonitor();
+     * setBindingMonitor(monitor);
+     * // interact with the application
+     * setBindingMonitor(null);
+     * console.table(monitor.getHotBindings());
+     * ```
+     *
+     * \@experimental All debugging apis are currently experimental.
      */
-    var RenderDebugInfo = (function () {
-        function RenderDebugInfo() {
+    var BindingMonitor = (function () {
+        /**
+         * @param {?=} hotThreshold
+         */
+        function BindingMonitor(hotThreshold) {
+            if (hotThreshold === void 0) { hotThreshold = 3; }
+            this.hotThreshold = hotThreshold;
+            this._ticks = 0;
+            this._records = new Map();
         }
-        Object.defineProperty(RenderDebugInfo.prototype, "injector", {
-            /**
-             * @return {?}
-             */
-            get: function () { return unimplemented(); },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(RenderDebugInfo.prototype, "component", {
-            /**
-             * @return {?}
-             */
-            get: function () { return unimplemented(); },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(RenderDebugInfo.prototype, "providerTokens", {
-            /**
-             * @return {?}
-             */
-            get: function () { return unimplemented(); },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(RenderDebugInfo.prototype, "references", {
-            /**
-             * @return {?}
-             */
-            get: function () { return unimplemented(); },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(RenderDebugInfo.prototype, "context", {
-            /**
-             * @return {?}
-             */
-            get: function () { return unimplemented(); },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(RenderDebugInfo.prototype, "source", {
+        Object.defineProperty(BindingMonitor.prototype, "ticks", {
             /**
+             * The number of ticks observed so far.
              * @return {?}
              */
-            get: function () { return unimplemented(); },
+            get: function () { return this._ticks; },
             enumerable: true,
             configurable: true
         });
-        return RenderDebugInfo;
-    }());
-    /**
-     * \@experimental
-     * @abstract
-     */
-    var Renderer = (function () {
-        function Renderer() {
-        }
-        /**
-         * @abstract
-         * @param {?} selectorOrNode
-         * @param {?=} debugInfo
-         * @return {?}
-         */
-        Renderer.prototype.selectRootElement = function (selectorOrNode, debugInfo) { };
         /**
-         * @abstract
-         * @param {?} parentElement
-         * @param {?} name
-         * @param {?=} debugInfo
-         * @return {?}
-         */
-        Renderer.prototype.createElement = function (parentElement, name, debugInfo) { };
-        /**
-         * @abstract
-         * @param {?} hostElement
-         * @return {?}
-         */
-        Renderer.prototype.createViewRoot = function (hostElement) { };
-        /**
-         * @abstract
-         * @param {?} parentElement
-         * @param {?=} debugInfo
-         * @return {?}
-         */
-        Renderer.prototype.createTemplateAnchor = function (parentElement, debugInfo) { };
-        /**
-         * @abstract
-         * @param {?} parentElement
-         * @param {?} value
-         * @param {?=} debugInfo
+         * Returns a report of all recorded bindings, the ones that changed most often first.
          * @return {?}
          */
-        Renderer.prototype.createText = function (parentElement, value, debugInfo) { };
+        BindingMonitor.prototype.getReport = function () {
+            var _this = this;
+            var /** @type {?} */ reports = [];
+            this._records.forEach(function (record) { return reports.push(_this._toReport(record)); });
+            return reports.sort(function (a, b) { return b.changedTicks - a.changedTicks || b.changes - a.changes; });
+        };
         /**
-         * @abstract
-         * @param {?} parentElement
-         * @param {?} nodes
+         * Returns the reports of the bindings that are currently hot.
          * @return {?}
          */
-        Renderer.prototype.projectNodes = function (parentElement, nodes) { };
+        BindingMonitor.prototype.getHotBindings = function () { return this.getReport().filter(function (report) { return report.hot; }); };
         /**
-         * @abstract
-         * @param {?} node
-         * @param {?} viewRootNodes
+         * Forgets all bindings and ticks recorded so far.
          * @return {?}
          */
-        Renderer.prototype.attachViewAfter = function (node, viewRootNodes) { };
+        BindingMonitor.prototype.clear = function () {
+            this._ticks = 0;
+            this._records = new Map();
+        };
         /**
-         * @abstract
-         * @param {?} viewRootNodes
+         * \@internal
          * @return {?}
          */
-        Renderer.prototype.detachView = function (viewRootNodes) { };
+        BindingMonitor.prototype._startTick = function () { this._ticks++; };
         /**
-         * @abstract
-         * @param {?} hostElement
-         * @param {?} viewAllNodes
+         * \@internal
+         * @param {?} view
+         * @param {?} oldValue
+         * @param {?} newValue
+         * @param {?} changed
          * @return {?}
          */
-        Renderer.prototype.destroyView = function (hostElement, viewAllNodes) { };
+        BindingMonitor.prototype._bindingChecked = function (view, oldValue, newValue, changed) {
+            var /** @type {?} */ debugContext = view._currentDebugContext;
+            if (!debugContext) {
+                // Only views that were compiled in dev mode know where their bindings are.
+                return;
+            }
+            var /** @type {?} */ source = debugContext.source;
+            var /** @type {?} */ record = this._records.get(source);
+            if (!record) {
+                record = {
+                    source: source,
+                    component: stringify(_constructorOf(debugContext.viewComponent)),
+                    checks: 0,
+                    changes: 0,
+                    identityChanges: 0,
+                    checkedTicks: 0,
+                    changedTicks: 0,
+                    streak: 0,
+                    changedInPreviousTick: false,
+                    lastCheckedTick: -1,
+                    lastChangedTick: -1,
+                    lastValue: undefined
+                };
+                this._records.set(source, record);
+            }
+            var /** @type {?} */ tick = this._ticks;
+            record.checks++;
+            if (record.lastCheckedTick !== tick) {
+                record.changedInPreviousTick = record.lastChangedTick === record.lastCheckedTick;
+                record.checkedTicks++;
+                record.lastCheckedTick = tick;
+            }
+            if (!changed || view.numberOfChecks === 0) {
+                return;
+            }
+            record.changes++;
+            record.lastValue = newValue;
+            if (devModeEqual(oldValue, newValue)) {
+                record.identityChanges++;
+            }
+            if (record.lastChangedTick !== tick) {
+                record.streak = record.changedInPreviousTick ? record.streak + 1 : 1;
+                record.changedTicks++;
+                record.lastChangedTick = tick;
+            }
+        };
         /**
-         * @abstract
-         * @param {?} renderElement
-         * @param {?} name
-         * @param {?} callback
+         * @param {?} record
          * @return {?}
          */
-        Renderer.prototype.listen = function (renderElement, name, callback) { };
-        /**
-         * @abstract
-         * @param {?} target
-         * @param {?} name
-         * @param {?} callback
-         * @return {?}
+        BindingMonitor.prototype._toReport = function (record) {
+            // A binding that was checked in a later tick without changing is no longer on a streak.
+            var /** @type {?} */ streak = record.lastChangedTick === record.lastCheckedTick ? record.streak : 0;
+            return {
+                source: record.source,
+                component: record.component,
+                checks: record.checks,
+                changes: record.changes,
+                identityChanges: record.identityChanges,
+                checkedTicks: record.checkedTicks,
+                changedTicks: record.changedTicks,
+                consecutiveChangedTicks: streak,
+                lastValue: record.lastValue,
+                hot: streak >= this.hotThreshold
+            };
+        };
+        return BindingMonitor;
+    }());
+    /**
+     * @param {?} obj
+     * @return {?}
+     */
+    function _constructorOf(obj) {
+        return isPresent(obj) ? obj.constructor : null;
+    }
+    /**
+     * Installs `monitor` to record all following binding checks, or stops recording if `monitor`
+     * is `null`.
+     *
+     * \@experimental All debugging apis are currently experimental.
+     * @param {?} monitor
+     * @return {?}
+     */
+    function setBindingMonitor(monitor) {
+        _monitor = monitor;
+    }
+    /**
+     * Returns the monitor installed via {\@link setBindingMonitor}, if any.
+     *
+     * \@experimental All debugging apis are currently experimental.
+     * @return {?}
+     */
+    function getBindingMonitor() {
+        return _monitor;
+    }
+
+    var /** @type {?} */ _profiler = null;
+    /**
+     * Records how long change detection spends in every view.
+     *
+     * While installed via {\@link setChangeDetectionProfiler}, every `ApplicationRef.tick()` is
+     * recorded as a tree of {\@link ChangeDetectionProfile}s: the tick is the root, and every checked
+     * view is a child of the view that checked it. Views that are checked outside of a tick, e.g. via
+     * `ChangeDetectorRef.detectChanges()`, are recorded as a root of their own. The second pass of
+     * `tick()` in dev mode, which only verifies that no binding changed, is not recorded.
+     *
+     * Only the last `maxTicks` roots are kept.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * const profiler = new ChangeDetectionProfiler();
+     * setChangeDetectionProfiler(profiler);
+     * appRef.tick();
+     * setChangeDetectionProfiler(null);
+     * const json = JSON.stringify({traceEvents: profiler.toTraceEvents()});
+     * ```
+     *
+     * \@experimental All debugging apis are currently experimental.
+     */
+    var ChangeDetectionProfiler = (function () {
+        /**
+         * @param {?=} maxTicks
          */
-        Renderer.prototype.listenGlobal = function (target, name, callback) { };
+        function ChangeDetectionProfiler(maxTicks) {
+            if (maxTicks === void 0) { maxTicks = 100; }
+            this.maxTicks = maxTicks;
+            this.ticks = [];
+            this._stack = [];
+            this._views = [];
+            this._implicitRoot = null;
+        }
         /**
-         * @abstract
-         * @param {?} renderElement
-         * @param {?} propertyName
-         * @param {?} propertyValue
+         * Forgets all ticks recorded so far.
          * @return {?}
          */
-        Renderer.prototype.setElementProperty = function (renderElement, propertyName, propertyValue) { };
+        ChangeDetectionProfiler.prototype.clear = function () { this.ticks = []; };
         /**
-         * @abstract
-         * @param {?} renderElement
-         * @param {?} attributeName
-         * @param {?} attributeValue
+         * Returns all recorded ticks as children of a single root, e.g. to render a flame graph.
          * @return {?}
          */
-        Renderer.prototype.setElementAttribute = function (renderElement, attributeName, attributeValue) { };
+        ChangeDetectionProfiler.prototype.toTree = function () {
+            var /** @type {?} */ start = this.ticks.length ? this.ticks[0].start : 0;
+            var /** @type {?} */ end = this.ticks.length ?
+                this.ticks[this.ticks.length - 1].start + this.ticks[this.ticks.length - 1].duration :
+                0;
+            return {
+                name: 'ChangeDetection',
+                start: start,
+                duration: end - start,
+                numberOfChecks: null,
+                changedBindings: this.ticks.reduce(function (sum, tick) { return sum + tick.changedBindings; }, 0),
+                children: this.ticks.slice()
+            };
+        };
         /**
-         * Used only in debug mode to serialize property changes to dom nodes as attributes.
-         * @abstract
-         * @param {?} renderElement
-         * @param {?} propertyName
-         * @param {?} propertyValue
+         * Returns the recorded ticks as complete events of the Chrome trace event format, which
+         * `chrome://tracing` and the performance panel of the DevTools can load as
+         * `{"traceEvents": [...]}`.
          * @return {?}
          */
-        Renderer.prototype.setBindingDebugInfo = function (renderElement, propertyName, propertyValue) { };
+        ChangeDetectionProfiler.prototype.toTraceEvents = function () {
+            var /** @type {?} */ events = [];
+            this.ticks.forEach(function (tick) { return _addTraceEvents(tick, events); });
+            return events;
+        };
         /**
-         * @abstract
-         * @param {?} renderElement
-         * @param {?} className
-         * @param {?} isAdd
+         * \@internal
          * @return {?}
          */
-        Renderer.prototype.setElementClass = function (renderElement, className, isAdd) { };
+        ChangeDetectionProfiler.prototype._startTick = function () { this._enter('ApplicationRef#tick', null); };
         /**
-         * @abstract
-         * @param {?} renderElement
-         * @param {?} styleName
-         * @param {?} styleValue
+         * \@internal
          * @return {?}
          */
-        Renderer.prototype.setElementStyle = function (renderElement, styleName, styleValue) { };
+        ChangeDetectionProfiler.prototype._endTick = function () {
+            if (this._stack.length) {
+                this._leave(this._stack[0]);
+            }
+        };
         /**
-         * @abstract
-         * @param {?} renderElement
-         * @param {?} methodName
-         * @param {?=} args
+         * \@internal
+         * @param {?} view
          * @return {?}
          */
-        Renderer.prototype.invokeElementMethod = function (renderElement, methodName, args) { };
+        ChangeDetectionProfiler.prototype._enterView = function (view) {
+            if (!this._stack.length) {
+                this._implicitRoot = this._enter('detectChanges', null);
+            }
+            this._enter(stringify(view.clazz), view);
+        };
         /**
-         * @abstract
-         * @param {?} renderNode
-         * @param {?} text
+         * \@internal
+         * @param {?} view
          * @return {?}
          */
-        Renderer.prototype.setText = function (renderNode, text) { };
+        ChangeDetectionProfiler.prototype._leaveView = function (view) {
+            var /** @type {?} */ index = this._views.lastIndexOf(view);
+            if (index === -1) {
+                return;
+            }
+            var /** @type {?} */ profile = this._stack[index];
+            profile.numberOfChecks = view.numberOfChecks;
+            this._leave(profile);
+            if (this._stack.length === 1 && this._stack[0] === this._implicitRoot) {
+                this._leave(this._implicitRoot);
+                this._implicitRoot = null;
+            }
+        };
         /**
-         * @abstract
-         * @param {?} element
-         * @param {?} startingStyles
-         * @param {?} keyframes
-         * @param {?} duration
-         * @param {?} delay
-         * @param {?} easing
-         * @param {?=} previousPlayers
+         * \@internal
          * @return {?}
          */
-        Renderer.prototype.animate = function (element, startingStyles, keyframes, duration, delay, easing, previousPlayers) { };
-        return Renderer;
-    }());
-    /**
-     * Injectable service that provides a low-level interface for modifying the UI.
-     *
-     * Use this service to bypass Angular's templating and make custom UI changes that can't be
-     * expressed declaratively. For example if you need to set a property or an attribute whose name is
-     * not statically known, use {\@link #setElementProperty} or {\@link #setElementAttribute}
-     * respectively.
-     *
-     * If you are implementing a custom renderer, you must implement this interface.
-     *
-     * The default Renderer implementation is `DomRenderer`. Also available is `WebWorkerRenderer`.
-     * \@experimental
-     * @abstract
-     */
-    var RootRenderer = (function () {
-        function RootRenderer() {
-        }
+        ChangeDetectionProfiler.prototype._bindingChanged = function () {
+            if (this._stack.length) {
+                this._stack[this._stack.length - 1].changedBindings++;
+            }
+        };
         /**
-         * @abstract
-         * @param {?} componentType
+         * @param {?} name
+         * @param {?} view
          * @return {?}
          */
-        RootRenderer.prototype.renderComponent = function (componentType) { };
-        return RootRenderer;
-    }());
-
-    var SecurityContext = {};
-    SecurityContext.NONE = 0;
-    SecurityContext.HTML = 1;
-    SecurityContext.STYLE = 2;
-    SecurityContext.SCRIPT = 3;
-    SecurityContext.URL = 4;
-    SecurityContext.RESOURCE_URL = 5;
-    SecurityContext[SecurityContext.NONE] = "NONE";
-    SecurityContext[SecurityContext.HTML] = "HTML";
-    SecurityContext[SecurityContext.STYLE] = "STYLE";
-    SecurityContext[SecurityContext.SCRIPT] = "SCRIPT";
-    SecurityContext[SecurityContext.URL] = "URL";
-    SecurityContext[SecurityContext.RESOURCE_URL] = "RESOURCE_URL";
-    /**
-     * Sanitizer is used by the views to sanitize potentially dangerous values.
-     *
-     * \@stable
-     * @abstract
-     */
-    var Sanitizer = (function () {
-        function Sanitizer() {
-        }
+        ChangeDetectionProfiler.prototype._enter = function (name, view) {
+            var /** @type {?} */ profile = {
+                name: name,
+                start: performanceNow(),
+                duration: 0,
+                numberOfChecks: null,
+                changedBindings: 0,
+                children: []
+            };
+            if (this._stack.length) {
+                this._stack[this._stack.length - 1].children.push(profile);
+            }
+            this._stack.push(profile);
+            this._views.push(view);
+            return profile;
+        };
         /**
-         * @abstract
-         * @param {?} context
-         * @param {?} value
+         * Ends `profile` and all profiles that were started after it, e.g. because their view
+         * threw an error.
+         * @param {?} profile
          * @return {?}
          */
-        Sanitizer.prototype.sanitize = function (context, value) { };
-        return Sanitizer;
+        ChangeDetectionProfiler.prototype._leave = function (profile) {
+            var /** @type {?} */ end = performanceNow();
+            var /** @type {?} */ current;
+            do {
+                current = this._stack.pop();
+                this._views.pop();
+                current.duration = end - current.start;
+                if (this._stack.length) {
+                    this._stack[this._stack.length - 1].changedBindings += current.changedBindings;
+                }
+            } while (current !== profile);
+            if (!this._stack.length) {
+                this.ticks.push(profile);
+                if (this.ticks.length > this.maxTicks) {
+                    this.ticks.shift();
+                }
+            }
+        };
+        return ChangeDetectionProfiler;
     }());
-
     /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
+     * @param {?} profile
+     * @param {?} events
+     * @return {?}
      */
-    var __extends$7 = (this && this.__extends) || function (d, b) {
-        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
-        function __() { this.constructor = d; }
-        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
-    };
+    function _addTraceEvents(profile, events) {
+        events.push({
+            name: profile.name,
+            cat: 'change_detection',
+            ph: 'X',
+            ts: Math.round(profile.start * 1000),
+            dur: Math.round(profile.duration * 1000),
+            pid: 1,
+            tid: 1,
+            args: { numberOfChecks: profile.numberOfChecks, changedBindings: profile.changedBindings }
+        });
+        profile.children.forEach(function (child) { return _addTraceEvents(child, events); });
+    }
     /**
-     * An error thrown if application changes model breaking the top-down data flow.
-     *
-     * This exception is only thrown in dev mode.
-     *
-     * <!-- TODO: Add a link once the dev mode option is configurable -->
-     *
-     * ### Example
-     *
-     * ```typescript
-     * \@Component({
-     *   selector: 'parent',
-     *   template: '<child [prop]="parentProp"></child>',
-     * })
-     * class Parent {
-     *   parentProp = 'init';
-     * }
+     * Installs `profiler` to record all following change detection runs, or stops recording if
+     * `profiler` is `null`.
      *
-     * \@Directive({selector: 'child', inputs: ['prop']})
-     * class Child {
-     *   constructor(public parent: Parent) {}
+     * \@experimental All debugging apis are currently experimental.
+     * @param {?} profiler
+     * @return {?}
+     */
+    function setChangeDetectionProfiler(profiler) {
+        _profiler = profiler;
+    }
+    /**
+     * Returns the profiler installed via {\@link setChangeDetectionProfiler}, if any.
      *
-     *   set prop(v) {
-     *     // this updates the parent property, which is disallowed during change detection
-     *     // this will result in ExpressionChangedAfterItHasBeenCheckedError
-     *     this.parent.parentProp = 'updated';
-     *   }
-     * }
-     * ```
-     * \@stable
+     * \@experimental All debugging apis are currently experimental.
+     * @return {?}
      */
-    var ExpressionChangedAfterItHasBeenCheckedError = (function (_super) {
-        __extends$7(ExpressionChangedAfterItHasBeenCheckedError, _super);
+    function getChangeDetectionProfiler() {
+        return _profiler;
+    }
+
+    var RenderComponentType = (function () {
         /**
-         * @param {?} oldValue
-         * @param {?} currValue
-         * @param {?} isFirstCheck
+         * @param {?} id
+         * @param {?} templateUrl
+         * @param {?} slotCount
+         * @param {?} encapsulation
+         * @param {?} styles
+         * @param {?} animations
          */
-        function ExpressionChangedAfterItHasBeenCheckedError(oldValue, currValue, isFirstCheck) {
-            var msg = "Expression has changed after it was checked. Previous value: '" + oldValue + "'. Current value: '" + currValue + "'.";
-            if (isFirstCheck) {
-                msg +=
-                    " It seems like the view has been created after its parent and its children have been dirty checked." +
-                        " Has it been created in a change detection hook ?";
-            }
-            _super.call(this, msg);
+        function RenderComponentType(id, templateUrl, slotCount, encapsulation, styles, animations) {
+            this.id = id;
+            this.templateUrl = templateUrl;
+            this.slotCount = slotCount;
+            this.encapsulation = encapsulation;
+            this.styles = styles;
+            this.animations = animations;
         }
-        return ExpressionChangedAfterItHasBeenCheckedError;
-    }(BaseError));
+        return RenderComponentType;
+    }());
     /**
-     * Thrown when an exception was raised during view creation, change detection or destruction.
-     *
-     * This error wraps the original exception to attach additional contextual information that can
-     * be useful for debugging.
-     * \@stable
+     * @abstract
      */
-    var ViewWrappedError = (function (_super) {
-        __extends$7(ViewWrappedError, _super);
-        /**
-         * @param {?} originalError
-         * @param {?} context
-         */
-        function ViewWrappedError(originalError, context) {
-            _super.call(this, "Error in " + context.source, originalError);
-            this.context = context;
+    var RenderDebugInfo = (function () {
+        function RenderDebugInfo() {
         }
-        return ViewWrappedError;
-    }(WrappedError));
+        Object.defineProperty(RenderDebugInfo.prototype, "injector", {
+            /**
+             * @return {?}
+             */
+            get: function () { return unimplemented(); },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(RenderDebugInfo.prototype, "component", {
+            /**
+             * @return {?}
+             */
+            get: function () { return unimplemented(); },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(RenderDebugInfo.prototype, "providerTokens", {
+            /**
+             * @return {?}
+             */
+            get: function () { return unimplemented(); },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(RenderDebugInfo.prototype, "references", {
+            /**
+             * @return {?}
+             */
+            get: function () { return unimplemented(); },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(RenderDebugInfo.prototype, "context", {
+            /**
+             * @return {?}
+             */
+            get: function () { return unimplemented(); },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(RenderDebugInfo.prototype, "source", {
+            /**
+             * @return {?}
+             */
+            get: function () { return unimplemented(); },
+            enumerable: true,
+            configurable: true
+        });
+        return RenderDebugInfo;
+    }());
     /**
-     * Thrown when a destroyed view is used.
-     *
-     * This error indicates a bug in the framework.
-     *
-     * This is an internal Angular error.
-     * \@stable
+     * \@experimental
+     * @abstract
      */
-    var ViewDestroyedError = (function (_super) {
-        __extends$7(ViewDestroyedError, _super);
+    var Renderer = (function () {
+        function Renderer() {
+        }
         /**
-         * @param {?} details
+         * @abstract
+         * @param {?} selectorOrNode
+         * @param {?=} debugInfo
+         * @return {?}
          */
-        function ViewDestroyedError(details) {
-            _super.call(this, "Attempt to use a destroyed view: " + details);
-        }
-        return ViewDestroyedError;
-    }(BaseError));
-
-    var ViewUtils = (function () {
+        Renderer.prototype.selectRootElement = function (selectorOrNode, debugInfo) { };
         /**
-         * @param {?} _renderer
-         * @param {?} sanitizer
-         * @param {?} animationQueue
+         * @abstract
+         * @param {?} parentElement
+         * @param {?} name
+         * @param {?=} debugInfo
+         * @return {?}
          */
-        function ViewUtils(_renderer, sanitizer, animationQueue) {
-            this._renderer = _renderer;
-            this.animationQueue = animationQueue;
-            this.sanitizer = sanitizer;
-        }
+        Renderer.prototype.createElement = function (parentElement, name, debugInfo) { };
         /**
-         * \@internal
-         * @param {?} renderComponentType
+         * @abstract
+         * @param {?} hostElement
          * @return {?}
          */
-        ViewUtils.prototype.renderComponent = function (renderComponentType) {
-            return this._renderer.renderComponent(renderComponentType);
-        };
-        ViewUtils.decorators = [
-            { type: Injectable },
-        ];
-        /** @nocollapse */
-        ViewUtils.ctorParameters = function () { return [
-            { type: RootRenderer, },
-            { type: Sanitizer, },
-            { type: AnimationQueue, },
-        ]; };
-        return ViewUtils;
+        Renderer.prototype.createViewRoot = function (hostElement) { };
+        /**
+         * @abstract
+         * @param {?} parentElement
+         * @param {?=} debugInfo
+         * @return {?}
+         */
+        Renderer.prototype.createTemplateAnchor = function (parentElement, debugInfo) { };
+        /**
+         * @abstract
+         * @param {?} parentElement
+         * @param {?} value
+         * @param {?=} debugInfo
+         * @return {?}
+         */
+        Renderer.prototype.createText = function (parentElement, value, debugInfo) { };
+        /**
+         * @abstract
+         * @param {?} parentElement
+         * @param {?} nodes
+         * @return {?}
+         */
+        Renderer.prototype.projectNodes = function (parentElement, nodes) { };
+        /**
+         * @abstract
+         * @param {?} node
+         * @param {?} viewRootNodes
+         * @return {?}
+         */
+        Renderer.prototype.attachViewAfter = function (node, viewRootNodes) { };
+        /**
+         * @abstract
+         * @param {?} viewRootNodes
+         * @return {?}
+         */
+        Renderer.prototype.detachView = function (viewRootNodes) { };
+        /**
+         * @abstract
+         * @param {?} hostElement
+         * @param {?} viewAllNodes
+         * @return {?}
+         */
+        Renderer.prototype.destroyView = function (hostElement, viewAllNodes) { };
+        /**
+         * @abstract
+         * @param {?} renderElement
+         * @param {?} name
+         * @param {?} callback
+         * @return {?}
+         */
+        Renderer.prototype.listen = function (renderElement, name, callback) { };
+        /**
+         * @abstract
+         * @param {?} target
+         * @param {?} name
+         * @param {?} callback
+         * @return {?}
+         */
+        Renderer.prototype.listenGlobal = function (target, name, callback) { };
+        /**
+         * @abstract
+         * @param {?} renderElement
+         * @param {?} propertyName
+         * @param {?} propertyValue
+         * @return {?}
+         */
+        Renderer.prototype.setElementProperty = function (renderElement, propertyName, propertyValue) { };
+        /**
+         * @abstract
+         * @param {?} renderElement
+         * @param {?} attributeName
+         * @param {?} attributeValue
+         * @return {?}
+         */
+        Renderer.prototype.setElementAttribute = function (renderElement, attributeName, attributeValue) { };
+        /**
+         * Used only in debug mode to serialize property changes to dom nodes as attributes.
+         * @abstract
+         * @param {?} renderElement
+         * @param {?} propertyName
+         * @param {?} propertyValue
+         * @return {?}
+         */
+        Renderer.prototype.setBindingDebugInfo = function (renderElement, propertyName, propertyValue) { };
+        /**
+         * @abstract
+         * @param {?} renderElement
+         * @param {?} className
+         * @param {?} isAdd
+         * @return {?}
+         */
+        Renderer.prototype.setElementClass = function (renderElement, className, isAdd) { };
+        /**
+         * @abstract
+         * @param {?} renderElement
+         * @param {?} styleName
+         * @param {?} styleValue
+         * @return {?}
+         */
+        Renderer.prototype.setElementStyle = function (renderElement, styleName, styleValue) { };
+        /**
+         * @abstract
+         * @param {?} renderElement
+         * @param {?} methodName
+         * @param {?=} args
+         * @return {?}
+         */
+        Renderer.prototype.invokeElementMethod = function (renderElement, methodName, args) { };
+        /**
+         * @abstract
+         * @param {?} renderNode
+         * @param {?} text
+         * @return {?}
+         */
+        Renderer.prototype.setText = function (renderNode, text) { };
+        /**
+         * @abstract
+         * @param {?} element
+         * @param {?} startingStyles
+         * @param {?} keyframes
+         * @param {?} duration
+         * @param {?} delay
+         * @param {?} easing
+         * @param {?=} previousPlayers
+         * @return {?}
+         */
+        Renderer.prototype.animate = function (element, startingStyles, keyframes, duration, delay, easing, previousPlayers) { };
+        return Renderer;
     }());
-    var /** @type {?} */ nextRenderComponentTypeId = 0;
-    /**
-     * @param {?} templateUrl
-     * @param {?} slotCount
-     * @param {?} encapsulation
-     * @param {?} styles
-     * @param {?} animations
-     * @return {?}
-     */
-    function createRenderComponentType(templateUrl, slotCount, encapsulation, styles, animations) {
-        return new RenderComponentType("" + nextRenderComponentTypeId++, templateUrl, slotCount, encapsulation, styles, animations);
-    }
+    /**
+     * Injectable service that provides a low-level interface for modifying the UI.
+     *
+     * Use this service to bypass Angular's templating and make custom UI changes that can't be
+     * expressed declaratively. For example if you need to set a property or an attribute whose name is
+     * not statically known, use {\@link #setElementProperty} or {\@link #setElementAttribute}
+     * respectively.
+     *
+     * If you are implementing a custom renderer, you must implement this interface.
+     *
+     * The default Renderer implementation is `DomRenderer`. Also available is `WebWorkerRenderer`.
+     * \@experimental
+     * @abstract
+     */
+    var RootRenderer = (function () {
+        function RootRenderer() {
+        }
+        /**
+         * @abstract
+         * @param {?} componentType
+         * @return {?}
+         */
+        RootRenderer.prototype.renderComponent = function (componentType) { };
+        return RootRenderer;
+    }());
+
+    var SecurityContext = {};
+    SecurityContext.NONE = 0;
+    SecurityContext.HTML = 1;
+    SecurityContext.STYLE = 2;
+    SecurityContext.SCRIPT = 3;
+    SecurityContext.URL = 4;
+    SecurityContext.RESOURCE_URL = 5;
+    SecurityContext[SecurityContext.NONE] = "NONE";
+    SecurityContext[SecurityContext.HTML] = "HTML";
+    SecurityContext[SecurityContext.STYLE] = "STYLE";
+    SecurityContext[SecurityContext.SCRIPT] = "SCRIPT";
+    SecurityContext[SecurityContext.URL] = "URL";
+    SecurityContext[SecurityContext.RESOURCE_URL] = "RESOURCE_URL";
+    /**
+     * Sanitizer is used by the views to sanitize potentially dangerous values.
+     *
+     * \@stable
+     * @abstract
+     */
+    var Sanitizer = (function () {
+        function Sanitizer() {
+        }
+        /**
+         * @abstract
+         * @param {?} context
+         * @param {?} value
+         * @return {?}
+         */
+        Sanitizer.prototype.sanitize = function (context, value) { };
+        return Sanitizer;
+    }());
+
+    var __extends$8 = (this && this.__extends) || function (d, b) {
+        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+    /**
+     * An error thrown if application changes model breaking the top-down data flow.
+     *
+     * This exception is only thrown in dev mode.
+     *
+     * <!-- TODO: Add a link once the dev mode option is configurable -->
+     *
+     * ### Example
+     *
+     * ```typescript
+     * \@Component({
+     *   selector: 'parent',
+     *   template: '<child [prop]="parentProp"></child>',
+     * })
+     * class Parent {
+     *   parentProp = 'init';
+     * }
+     *
+     * \@Directive({selector: 'child', inputs: ['prop']})
+     * class Child {
+     *   constructor(public parent: Parent) {}
+     *
+     *   set prop(v) {
+     *     // this updates the parent property, which is disallowed during change detection
+     *     // this will result in ExpressionChangedAfterItHasBeenCheckedError
+     *     this.parent.parentProp = 'updated';
+     *   }
+     * }
+     * ```
+     * \@stable
+     */
+    var ExpressionChangedAfterItHasBeenCheckedError = (function (_super) {
+        __extends$8(ExpressionChangedAfterItHasBeenCheckedError, _super);
+        /**
+         * @param {?} oldValue
+         * @param {?} currValue
+         * @param {?} isFirstCheck
+         */
+        function ExpressionChangedAfterItHasBeenCheckedError(oldValue, currValue, isFirstCheck) {
+            var msg = "Expression has changed after it was checked. Previous value: '" + oldValue + "'. Current value: '" + currValue + "'.";
+            if (isFirstCheck) {
+                msg +=
+                    " It seems like the view has been created after its parent and its children have been dirty checked." +
+                        " Has it been created in a change detection hook ?";
+            }
+            _super.call(this, msg);
+        }
+        return ExpressionChangedAfterItHasBeenCheckedError;
+    }(BaseError));
+    /**
+     * Thrown when an exception was raised during view creation, change detection or destruction.
+     *
+     * This error wraps the original exception to attach additional contextual information that can
+     * be useful for debugging.
+     * \@stable
+     */
+    var ViewWrappedError = (function (_super) {
+        __extends$8(ViewWrappedError, _super);
+        /**
+         * @param {?} originalError
+         * @param {?} context
+         */
+        function ViewWrappedError(originalError, context) {
+            _super.call(this, "Error in " + context.source, originalError);
+            this.context = context;
+        }
+        return ViewWrappedError;
+    }(WrappedError));
+    /**
+     * Thrown when a destroyed view is used.
+     *
+     * This error indicates a bug in the framework.
+     *
+     * This is an internal Angular error.
+     * \@stable
+     */
+    var ViewDestroyedError = (function (_super) {
+        __extends$8(ViewDestroyedError, _super);
+        /**
+         * @param {?} details
+         */
+        function ViewDestroyedError(details) {
+            _super.call(this, "Attempt to use a destroyed view: " + details);
+        }
+        return ViewDestroyedError;
+    }(BaseError));
+
+    var ViewUtils = (function () {
+        /**
+         * @param {?} _renderer
+         * @param {?} sanitizer
+         * @param {?} animationQueue
+         * @param {?=} zone
+         * @param {?=} errorHandler
+         */
+        function ViewUtils(_renderer, sanitizer, animationQueue, zone, errorHandler) {
+            if (zone === void 0) { zone = null; }
+            if (errorHandler === void 0) { errorHandler = null; }
+            this._renderer = _renderer;
+            this.animationQueue = animationQueue;
+            this.errorHandler = errorHandler;
+            this.sanitizer = sanitizer;
+            this.noopZone = zone instanceof NoopNgZone ? zone : null;
+        }
+        /**
+         * \@internal
+         * @param {?} renderComponentType
+         * @return {?}
+         */
+        ViewUtils.prototype.renderComponent = function (renderComponentType) {
+            return this._renderer.renderComponent(renderComponentType);
+        };
+        ViewUtils.decorators = [
+            { type: Injectable },
+        ];
+        /** @nocollapse */
+        ViewUtils.ctorParameters = function () { return [
+            { type: RootRenderer, },
+            { type: Sanitizer, },
+            { type: AnimationQueue, },
+            { type: NgZone, decorators: [{ type: Optional },] },
+            { type: ErrorHandler, decorators: [{ type: Optional },] },
+        ]; };
+        return ViewUtils;
+    }());
+    var /** @type {?} */ nextRenderComponentTypeId = 0;
+    /**
+     * @param {?} templateUrl
+     * @param {?} slotCount
+     * @param {?} encapsulation
+     * @param {?} styles
+     * @param {?} animations
+     * @return {?}
+     */
+    function createRenderComponentType(templateUrl, slotCount, encapsulation, styles, animations) {
+        return new RenderComponentType("" + nextRenderComponentTypeId++, templateUrl, slotCount, encapsulation, styles, animations);
+    }
     /**
      * @param {?} e
      * @param {?} array
@@ -6799,7 +8717,18 @@
             return false;
         }
         else {
-            return isFirstCheck || forceUpdate || !looseIdentical(oldValue, newValue);
+            var /** @type {?} */ changed = isFirstCheck || forceUpdate || !looseIdentical(oldValue, newValue);
+            if (changed) {
+                var /** @type {?} */ profiler = getChangeDetectionProfiler();
+                if (profiler) {
+                    profiler._bindingChanged();
+                }
+            }
+            var /** @type {?} */ monitor = getBindingMonitor();
+            if (monitor) {
+                monitor._bindingChecked(view, oldValue, newValue, changed);
+            }
+            return changed;
         }
     }
     /**
@@ -7693,13 +9622,6 @@
         getComponentFactoryViewClass: getComponentFactoryViewClass
     });
 
-    /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
-     */
     var __extends$5 = (this && this.__extends) || function (d, b) {
         for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
         function __() { this.constructor = d; }
@@ -7907,14 +9829,7 @@
         return ComponentFactory;
     }());
 
-    /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
-     */
-    var __extends$8 = (this && this.__extends) || function (d, b) {
+    var __extends$9 = (this && this.__extends) || function (d, b) {
         for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
         function __() { this.constructor = d; }
         d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
@@ -7923,7 +9838,7 @@
      * \@stable
      */
     var NoComponentFactoryError = (function (_super) {
-        __extends$8(NoComponentFactoryError, _super);
+        __extends$9(NoComponentFactoryError, _super);
         /**
          * @param {?} component
          */
@@ -8009,7 +9924,7 @@
      * @param {?=} flags
      * @return {?}
      */
-    function createScope(signature, flags) {
+    function createScope$1(signature, flags) {
         if (flags === void 0) { flags = null; }
         return events.createScope(signature, flags);
     }
@@ -8039,4425 +9954,9105 @@
     }
 
     /**
-     * True if WTF is enabled.
-     */
-    var /** @type {?} */ wtfEnabled = detectWTF();
-    /**
-     * @param {?=} arg0
-     * @param {?=} arg1
-     * @return {?}
-     */
-    function noopScope(arg0, arg1) {
-        return null;
-    }
-    /**
-     * Create trace scope.
-     *
-     * Scopes must be strictly nested and are analogous to stack frames, but
-     * do not have to follow the stack frames. Instead it is recommended that they follow logical
-     * nesting. You may want to use
-     * [Event
-     * Signatures](http://google.github.io/tracing-framework/instrumenting-code.html#custom-events)
-     * as they are defined in WTF.
+     * Sends scopes and time ranges to the Web Tracing Framework (WTF).
      *
-     * Used to mark scope entry. The return value is used to leave the scope.
+     * It is installed by default when WTF is present when Angular is loaded.
      *
-     *     var myScope = wtfCreateScope('MyClass#myMethod(ascii someVal)');
+     * \@experimental
+     */
+    var WtfProfilingBackend = (function () {
+        function WtfProfilingBackend() {
+        }
+        /**
+         * @param {?} signature
+         * @param {?=} flags
+         * @return {?}
+         */
+        WtfProfilingBackend.prototype.createScope = function (signature, flags) {
+            if (flags === void 0) { flags = null; }
+            return createScope$1(signature, flags);
+        };
+        /**
+         * @param {?} scope
+         * @param {?=} returnValue
+         * @return {?}
+         */
+        WtfProfilingBackend.prototype.leaveScope = function (scope, returnValue) { leave(scope, returnValue); };
+        /**
+         * @param {?} rangeType
+         * @param {?} action
+         * @return {?}
+         */
+        WtfProfilingBackend.prototype.beginTimeRange = function (rangeType, action) { return startTimeRange(rangeType, action); };
+        /**
+         * @param {?} range
+         * @return {?}
+         */
+        WtfProfilingBackend.prototype.endTimeRange = function (range) { endTimeRange(range); };
+        return WtfProfilingBackend;
+    }());
+    /**
+     * Records scopes and time ranges as measures of the User Timing API, which the performance
+     * panel of the browser DevTools shows in its timings track.
      *
-     *     someMethod() {
-     *        var s = myScope('Foo'); // 'Foo' gets stored in tracing UI
-     *        // DO SOME WORK HERE
-     *        return wtfLeave(s, 123); // Return value 123
-     *     }
+     * A scope created for `'AppView#check(ascii id)'` and entered with `MyComp` is measured as
+     * `AppView#check MyComp`.
      *
-     * Note, adding try-finally block around the work to ensure that `wtfLeave` gets called can
-     * negatively impact the performance of your application. For this reason we recommend that
-     * you don't add them to ensure that `wtfLeave` gets called. In production `wtfLeave` is a noop and
-     * so try-finally block has no value. When debugging perf issues, skipping `wtfLeave`, do to
-     * exception, will produce incorrect trace, but presence of exception signifies logic error which
-     * needs to be fixed before the app should be profiled. Add try-finally only when you expect that
-     * an exception is expected during normal execution while profiling.
-     *
-     * @experimental
-     */
-    var /** @type {?} */ wtfCreateScope = wtfEnabled ? createScope : function (signature, flags) { return noopScope; };
-    /**
-     * Used to mark end of Scope.
-     *
-     * - `scope` to end.
-     * - `returnValue` (optional) to be passed to the WTF.
-     *
-     * Returns the `returnValue for easy chaining.
-     * @experimental
-     */
-    var /** @type {?} */ wtfLeave = wtfEnabled ? leave : function (s, r) { return r; };
-    /**
-     * Used to mark Async start. Async are similar to scope but they don't have to be strictly nested.
-     * The return value is used in the call to [endAsync]. Async ranges only work if WTF has been
-     * enabled.
-     *
-     *     someMethod() {
-     *        var s = wtfStartTimeRange('HTTP:GET', 'some.url');
-     *        var future = new Future.delay(5).then((_) {
-     *          wtfEndTimeRange(s);
-     *        });
-     *     }
-     * @experimental
-     */
-    var /** @type {?} */ wtfStartTimeRange = wtfEnabled ? startTimeRange : function (rangeType, action) { return null; };
-    /**
-     * Ends a async time range operation.
-     * [range] is the return value from [wtfStartTimeRange] Async ranges only work if WTF has been
-     * enabled.
-     * @experimental
-     */
-    var /** @type {?} */ wtfEndTimeRange = wtfEnabled ? endTimeRange : function (r) { return null; };
-
-    /**
-     * The Testability service provides testing hooks that can be accessed from
-     * the browser and by services such as Protractor. Each bootstrapped Angular
-     * application on the page will have an instance of Testability.
      * \@experimental
      */
-    var Testability = (function () {
+    var UserTimingProfilingBackend = (function () {
         /**
-         * @param {?} _ngZone
+         * @param {?=} performance
          */
-        function Testability(_ngZone) {
-            this._ngZone = _ngZone;
-            /** @internal */
-            this._pendingCount = 0;
-            /** @internal */
-            this._isZoneStable = true;
-            /**
-             * Whether any work was done since the last 'whenStable' callback. This is
-             * useful to detect if this could have potentially destabilized another
-             * component while it is stabilizing.
-             * @internal
-             */
-            this._didWork = false;
-            /** @internal */
-            this._callbacks = [];
-            this._watchAngularEvents();
+        function UserTimingProfilingBackend(performance) {
+            if (performance === void 0) { performance = global$1['performance']; }
+            this._performance = performance;
+            this._markId = 0;
         }
         /**
-         * \@internal
+         * @param {?} signature
+         * @param {?=} flags
          * @return {?}
          */
-        Testability.prototype._watchAngularEvents = function () {
+        UserTimingProfilingBackend.prototype.createScope = function (signature, flags) {
             var _this = this;
-            this._ngZone.onUnstable.subscribe({
-                next: function () {
-                    _this._didWork = true;
-                    _this._isZoneStable = false;
-                }
-            });
-            this._ngZone.runOutsideAngular(function () {
-                _this._ngZone.onStable.subscribe({
-                    next: function () {
-                        NgZone.assertNotInAngularZone();
-                        scheduleMicroTask(function () {
-                            _this._isZoneStable = true;
-                            _this._runCallbacksIfReady();
-                        });
-                    }
-                });
-            });
+            if (flags === void 0) { flags = null; }
+            var /** @type {?} */ scopeName = _scopeName(signature);
+            return function (arg0, arg1) { return _this._mark(_eventName(scopeName, arg0)); };
         };
         /**
+         * @param {?} scope
+         * @param {?=} returnValue
          * @return {?}
          */
-        Testability.prototype.increasePendingRequestCount = function () {
-            this._pendingCount += 1;
-            this._didWork = true;
-            return this._pendingCount;
-        };
+        UserTimingProfilingBackend.prototype.leaveScope = function (scope, returnValue) { this._measure(scope); };
         /**
+         * @param {?} rangeType
+         * @param {?} action
          * @return {?}
          */
-        Testability.prototype.decreasePendingRequestCount = function () {
-            this._pendingCount -= 1;
-            if (this._pendingCount < 0) {
-                throw new Error('pending async requests below zero');
-            }
-            this._runCallbacksIfReady();
-            return this._pendingCount;
+        UserTimingProfilingBackend.prototype.beginTimeRange = function (rangeType, action) { return this._mark(_eventName(rangeType, action)); };
+        /**
+         * @param {?} range
+         * @return {?}
+         */
+        UserTimingProfilingBackend.prototype.endTimeRange = function (range) { this._measure(range); };
+        /**
+         * @param {?} name
+         * @return {?}
+         */
+        UserTimingProfilingBackend.prototype._mark = function (name) {
+            var /** @type {?} */ markName = name + " #" + this._markId++;
+            this._performance.mark(markName);
+            return { name: name, markName: markName };
         };
         /**
+         * @param {?} mark
          * @return {?}
          */
-        Testability.prototype.isStable = function () {
-            return this._isZoneStable && this._pendingCount == 0 && !this._ngZone.hasPendingMacrotasks;
+        UserTimingProfilingBackend.prototype._measure = function (mark) {
+            this._performance.measure(mark.name, mark.markName);
+            this._performance.clearMarks(mark.markName);
         };
+        return UserTimingProfilingBackend;
+    }());
+    /**
+     * Keeps the last `capacity` {\@link ProfilingEvent}s in memory, e.g. to inspect them in a test
+     * or to attach them to an error report.
+     *
+     * Events are added when their scope is left or their time range ends, so the outer scope of
+     * nested scopes comes after the inner ones.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * const backend = new MemoryProfilingBackend();
+     * setProfilingBackend(backend);
+     * appRef.tick();
+     * setProfilingBackend(null);
+     * console.log(backend.events);
+     * ```
+     *
+     * \@experimental
+     */
+    var MemoryProfilingBackend = (function () {
         /**
-         * \@internal
+         * @param {?=} capacity
+         */
+        function MemoryProfilingBackend(capacity) {
+            if (capacity === void 0) { capacity = 1000; }
+            this.capacity = capacity;
+            this._events = [];
+            this._next = 0;
+        }
+        Object.defineProperty(MemoryProfilingBackend.prototype, "events", {
+            /**
+             * The recorded events, oldest first.
+             * @return {?}
+             */
+            get: function () {
+                return this._events.slice(this._next).concat(this._events.slice(0, this._next));
+            },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * Forgets all events recorded so far.
          * @return {?}
          */
-        Testability.prototype._runCallbacksIfReady = function () {
-            var _this = this;
-            if (this.isStable()) {
-                // Schedules the call backs in a new frame so that it is always async.
-                scheduleMicroTask(function () {
-                    while (_this._callbacks.length !== 0) {
-                        (_this._callbacks.pop())(_this._didWork);
-                    }
-                    _this._didWork = false;
-                });
-            }
-            else {
-                // Not Ready
-                this._didWork = true;
-            }
+        MemoryProfilingBackend.prototype.clear = function () {
+            this._events = [];
+            this._next = 0;
         };
         /**
-         * @param {?} callback
+         * @param {?} signature
+         * @param {?=} flags
          * @return {?}
          */
-        Testability.prototype.whenStable = function (callback) {
-            this._callbacks.push(callback);
-            this._runCallbacksIfReady();
+        MemoryProfilingBackend.prototype.createScope = function (signature, flags) {
+            if (flags === void 0) { flags = null; }
+            var /** @type {?} */ scopeName = _scopeName(signature);
+            return function (arg0, arg1) { return _startEvent('scope', _eventName(scopeName, arg0)); };
         };
         /**
+         * @param {?} scope
+         * @param {?=} returnValue
          * @return {?}
          */
-        Testability.prototype.getPendingRequestCount = function () { return this._pendingCount; };
+        MemoryProfilingBackend.prototype.leaveScope = function (scope, returnValue) { this._add(scope); };
         /**
-         * @deprecated use findProviders
-         * @param {?} using
-         * @param {?} provider
-         * @param {?} exactMatch
+         * @param {?} rangeType
+         * @param {?} action
          * @return {?}
          */
-        Testability.prototype.findBindings = function (using, provider, exactMatch) {
-            // TODO(juliemr): implement.
-            return [];
+        MemoryProfilingBackend.prototype.beginTimeRange = function (rangeType, action) {
+            return _startEvent('range', _eventName(rangeType, action));
         };
         /**
-         * @param {?} using
-         * @param {?} provider
-         * @param {?} exactMatch
+         * @param {?} range
          * @return {?}
          */
-        Testability.prototype.findProviders = function (using, provider, exactMatch) {
-            // TODO(juliemr): implement.
-            return [];
+        MemoryProfilingBackend.prototype.endTimeRange = function (range) { this._add(range); };
+        /**
+         * @param {?} event
+         * @return {?}
+         */
+        MemoryProfilingBackend.prototype._add = function (event) {
+            event.duration = performanceNow() - event.start;
+            if (this._events.length < this.capacity) {
+                this._events.push(event);
+            }
+            else if (this.capacity > 0) {
+                this._events[this._next] = event;
+                this._next = (this._next + 1) % this.capacity;
+            }
         };
-        Testability.decorators = [
-            { type: Injectable },
-        ];
-        /** @nocollapse */
-        Testability.ctorParameters = function () { return [
-            { type: NgZone, },
-        ]; };
-        return Testability;
+        return MemoryProfilingBackend;
     }());
     /**
-     * A global registry of {\@link Testability} instances for specific elements.
+     * Records scopes and time ranges in the Chrome trace event format, which `chrome://tracing`
+     * and the performance panel of the DevTools can load.
+     *
+     * Scopes are recorded as complete events, time ranges as async events.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * const backend = new TraceEventProfilingBackend();
+     * setProfilingBackend(backend);
+     * appRef.tick();
+     * setProfilingBackend(null);
+     * download(backend.toJson());
+     * ```
+     *
      * \@experimental
      */
-    var TestabilityRegistry = (function () {
-        function TestabilityRegistry() {
-            /** @internal */
-            this._applications = new Map();
-            _testabilityGetter.addToWindow(this);
+    var TraceEventProfilingBackend = (function () {
+        function TraceEventProfilingBackend() {
+            this.traceEvents = [];
+            this._rangeId = 0;
         }
         /**
-         * @param {?} token
-         * @param {?} testability
-         * @return {?}
-         */
-        TestabilityRegistry.prototype.registerApplication = function (token, testability) {
-            this._applications.set(token, testability);
-        };
-        /**
-         * @param {?} elem
+         * Forgets all events recorded so far.
          * @return {?}
          */
-        TestabilityRegistry.prototype.getTestability = function (elem) { return this._applications.get(elem); };
+        TraceEventProfilingBackend.prototype.clear = function () { this.traceEvents = []; };
         /**
+         * Returns the recorded events as a trace file.
          * @return {?}
          */
-        TestabilityRegistry.prototype.getAllTestabilities = function () { return Array.from(this._applications.values()); };
+        TraceEventProfilingBackend.prototype.toJson = function () { return JSON.stringify({ traceEvents: this.traceEvents }); };
         /**
+         * @param {?} signature
+         * @param {?=} flags
          * @return {?}
          */
-        TestabilityRegistry.prototype.getAllRootElements = function () { return Array.from(this._applications.keys()); };
+        TraceEventProfilingBackend.prototype.createScope = function (signature, flags) {
+            if (flags === void 0) { flags = null; }
+            var /** @type {?} */ scopeName = _scopeName(signature);
+            return function (arg0, arg1) { return ({ name: scopeName, args: _traceArgs(arg0, arg1), start: performanceNow() }); };
+        };
         /**
-         * @param {?} elem
-         * @param {?=} findInAncestors
+         * @param {?} scope
+         * @param {?=} returnValue
          * @return {?}
          */
-        TestabilityRegistry.prototype.findTestabilityInTree = function (elem, findInAncestors) {
-            if (findInAncestors === void 0) { findInAncestors = true; }
-            return _testabilityGetter.findTestabilityInTree(this, elem, findInAncestors);
+        TraceEventProfilingBackend.prototype.leaveScope = function (scope, returnValue) {
+            this.traceEvents.push({
+                name: scope.name,
+                cat: 'angular',
+                ph: 'X',
+                ts: _micros(scope.start),
+                dur: _micros(performanceNow() - scope.start),
+                pid: 1,
+                tid: 1,
+                args: scope.args
+            });
         };
-        TestabilityRegistry.decorators = [
-            { type: Injectable },
-        ];
-        /** @nocollapse */
-        TestabilityRegistry.ctorParameters = function () { return []; };
-        return TestabilityRegistry;
-    }());
-    var _NoopGetTestability = (function () {
-        function _NoopGetTestability() {
-        }
         /**
-         * @param {?} registry
+         * @param {?} rangeType
+         * @param {?} action
          * @return {?}
          */
-        _NoopGetTestability.prototype.addToWindow = function (registry) { };
+        TraceEventProfilingBackend.prototype.beginTimeRange = function (rangeType, action) {
+            var /** @type {?} */ range = { name: rangeType, id: this._rangeId++ };
+            this.traceEvents.push({
+                name: rangeType,
+                cat: 'angular',
+                ph: 'b',
+                id: range.id,
+                ts: _micros(performanceNow()),
+                pid: 1,
+                tid: 1,
+                args: { action: action }
+            });
+            return range;
+        };
         /**
-         * @param {?} registry
-         * @param {?} elem
-         * @param {?} findInAncestors
+         * @param {?} range
          * @return {?}
          */
-        _NoopGetTestability.prototype.findTestabilityInTree = function (registry, elem, findInAncestors) {
-            return null;
+        TraceEventProfilingBackend.prototype.endTimeRange = function (range) {
+            this.traceEvents.push({
+                name: range.name,
+                cat: 'angular',
+                ph: 'e',
+                id: range.id,
+                ts: _micros(performanceNow()),
+                pid: 1,
+                tid: 1
+            });
         };
-        return _NoopGetTestability;
+        return TraceEventProfilingBackend;
     }());
     /**
-     * Set the {\@link GetTestability} implementation used by the Angular testing framework.
-     * \@experimental
-     * @param {?} getter
+     * @param {?} kind
+     * @param {?} name
      * @return {?}
      */
-    function setTestabilityGetter(getter) {
-        _testabilityGetter = getter;
+    function _startEvent(kind, name) {
+        return { kind: kind, name: name, start: performanceNow(), duration: 0 };
     }
-    var /** @type {?} */ _testabilityGetter = new _NoopGetTestability();
-
     /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
+     * Strips the argument list from a WTF event signature, e.g. `'AppView#check(ascii id)'`.
+     * @param {?} signature
+     * @return {?}
      */
-    var __extends$3 = (this && this.__extends) || function (d, b) {
-        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
-        function __() { this.constructor = d; }
-        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
-    };
-    var /** @type {?} */ _devMode = true;
-    var /** @type {?} */ _runModeLocked = false;
-    var /** @type {?} */ _platform;
+    function _scopeName(signature) {
+        var /** @type {?} */ paren = signature.indexOf('(');
+        return paren === -1 ? signature : signature.substring(0, paren);
+    }
     /**
-     * Disable Angular's development mode, which turns off assertions and other
-     * checks within the framework.
-     *
-     * One important assertion this disables verifies that a change detection pass
-     * does not result in additional changes to any bindings (also known as
-     * unidirectional data flow).
-     *
-     * \@stable
+     * @param {?} name
+     * @param {?} arg
      * @return {?}
      */
-    function enableProdMode() {
-        if (_runModeLocked) {
-            throw new Error('Cannot enable prod mode after platform setup.');
-        }
-        _devMode = false;
+    function _eventName(name, arg) {
+        return isPresent(arg) ? name + " " + stringify(arg) : name;
     }
     /**
-     * Returns whether Angular is in development mode. After called once,
-     * the value is locked and won't change any more.
-     *
-     * By default, this is true, unless a user calls `enableProdMode` before calling this.
-     *
-     * \@experimental APIs related to application bootstrap are currently under review.
+     * @param {?} arg0
+     * @param {?} arg1
      * @return {?}
      */
-    function isDevMode() {
-        _runModeLocked = true;
-        return _devMode;
+    function _traceArgs(arg0, arg1) {
+        var /** @type {?} */ args = {};
+        if (isPresent(arg0)) {
+            args['arg0'] = stringify(arg0);
+        }
+        if (isPresent(arg1)) {
+            args['arg1'] = stringify(arg1);
+        }
+        return args;
     }
     /**
-     * A token for third-party components that can register themselves with NgProbe.
+     * @param {?} millis
+     * @return {?}
+     */
+    function _micros(millis) {
+        return Math.round(millis * 1000);
+    }
+
+    /**
+     * True if WTF is enabled.
+     */
+    var /** @type {?} */ wtfEnabled = detectWTF();
+    var /** @type {?} */ _backend = wtfEnabled ? new WtfProfilingBackend() : null;
+    /**
+     * Installs the backend that all following scopes and time ranges are sent to, or disables
+     * profiling if `backend` is `null`.
+     *
+     * When WTF is present at load time, a {\@link WtfProfilingBackend} is installed by default.
+     * Scopes and time ranges that are open while the backend changes are still closed on the backend
+     * they were opened on.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * setProfilingBackend(new UserTimingProfilingBackend());
+     * ```
      *
      * \@experimental
+     * @param {?} backend
+     * @return {?}
      */
-    var NgProbeToken = (function () {
-        /**
-         * @param {?} name
-         * @param {?} token
-         */
-        function NgProbeToken(name, token) {
-            this.name = name;
-            this.token = token;
-        }
-        return NgProbeToken;
-    }());
+    function setProfilingBackend(backend) {
+        _backend = backend;
+    }
     /**
-     * Creates a platform.
-     * Platforms have to be eagerly created via this function.
+     * Returns the backend installed via {\@link setProfilingBackend}, if any.
      *
-     * \@experimental APIs related to application bootstrap are currently under review.
-     * @param {?} injector
+     * \@experimental
      * @return {?}
      */
-    function createPlatform(injector) {
-        if (_platform && !_platform.destroyed) {
-            throw new Error('There can be only one platform. Destroy the previous one to create a new one.');
-        }
-        _platform = injector.get(PlatformRef);
-        var /** @type {?} */ inits = (injector.get(PLATFORM_INITIALIZER, null));
-        if (inits)
-            inits.forEach(function (init) { return init(); });
-        return _platform;
+    function getProfilingBackend() {
+        return _backend;
     }
     /**
-     * Creates a factory for a platform
-     *
-     * \@experimental APIs related to application bootstrap are currently under review.
-     * @param {?} parentPlatformFactory
-     * @param {?} name
-     * @param {?=} providers
+     * An open scope or time range, together with the backend that has to close it.
+     */
+    var _OpenEvent = (function () {
+        /**
+         * @param {?} backend
+         * @param {?} handle
+         */
+        function _OpenEvent(backend, handle) {
+            this.backend = backend;
+            this.handle = handle;
+        }
+        return _OpenEvent;
+    }());
+    /**
+     * @param {?} signature
+     * @param {?=} flags
      * @return {?}
      */
-    function createPlatformFactory(parentPlatformFactory, name, providers) {
-        if (providers === void 0) { providers = []; }
-        var /** @type {?} */ marker = new OpaqueToken("Platform: " + name);
-        return function (extraProviders) {
-            if (extraProviders === void 0) { extraProviders = []; }
-            if (!getPlatform()) {
-                if (parentPlatformFactory) {
-                    parentPlatformFactory(providers.concat(extraProviders).concat({ provide: marker, useValue: true }));
-                }
-                else {
-                    createPlatform(ReflectiveInjector.resolveAndCreate(providers.concat(extraProviders).concat({ provide: marker, useValue: true })));
-                }
+    function createScope(signature, flags) {
+        if (flags === void 0) { flags = null; }
+        // Scopes are usually created when a module is loaded, i.e. before a backend is installed,
+        // so the scope of the backend is only created on first use.
+        var /** @type {?} */ scopeBackend = null;
+        var /** @type {?} */ backendScope = null;
+        return function (arg0, arg1) {
+            if (!_backend) {
+                return null;
             }
-            return assertPlatform(marker);
+            if (scopeBackend !== _backend) {
+                scopeBackend = _backend;
+                backendScope = _backend.createScope(signature, flags);
+            }
+            return new _OpenEvent(scopeBackend, backendScope(arg0, arg1));
         };
     }
     /**
-     * Checks that there currently is a platform
-     * which contains the given token as a provider.
+     * Create trace scope, which is sent to the backend installed via {\@link setProfilingBackend}.
      *
-     * \@experimental APIs related to application bootstrap are currently under review.
-     * @param {?} requiredToken
-     * @return {?}
+     * Scopes must be strictly nested and are analogous to stack frames, but
+     * do not have to follow the stack frames. Instead it is recommended that they follow logical
+     * nesting. You may want to use
+     * [Event
+     * Signatures](http://google.github.io/tracing-framework/instrumenting-code.html#custom-events)
+     * as they are defined in WTF.
+     *
+     * Used to mark scope entry. The return value is used to leave the scope.
+     *
+     *     var myScope = wtfCreateScope('MyClass#myMethod(ascii someVal)');
+     *
+     *     someMethod() {
+     *        var s = myScope('Foo'); // 'Foo' gets stored in tracing UI
+     *        // DO SOME WORK HERE
+     *        return wtfLeave(s, 123); // Return value 123
+     *     }
+     *
+     * Note, adding try-finally block around the work to ensure that `wtfLeave` gets called can
+     * negatively impact the performance of your application. For this reason we recommend that
+     * you don't add them to ensure that `wtfLeave` gets called. In production `wtfLeave` is a noop and
+     * so try-finally block has no value. When debugging perf issues, skipping `wtfLeave`, do to
+     * exception, will produce incorrect trace, but presence of exception signifies logic error which
+     * needs to be fixed before the app should be profiled. Add try-finally only when you expect that
+     * an exception is expected during normal execution while profiling.
+     *
+     * @experimental
      */
-    function assertPlatform(requiredToken) {
-        var /** @type {?} */ platform = getPlatform();
-        if (!platform) {
-            throw new Error('No platform exists!');
-        }
-        if (!platform.injector.get(requiredToken, null)) {
-            throw new Error('A platform with a different configuration has been created. Please destroy it first.');
-        }
-        return platform;
-    }
+    var /** @type {?} */ wtfCreateScope = createScope;
     /**
-     * Destroy the existing platform.
+     * Used to mark end of Scope.
      *
-     * \@experimental APIs related to application bootstrap are currently under review.
-     * @return {?}
+     * - `scope` to end.
+     * - `returnValue` (optional) to be passed to the WTF.
+     *
+     * Returns the `returnValue for easy chaining.
+     * @experimental
      */
-    function destroyPlatform() {
-        if (_platform && !_platform.destroyed) {
-            _platform.destroy();
+    var /** @type {?} */ wtfLeave = function (scope, returnValue) {
+        if (scope instanceof _OpenEvent) {
+            scope.backend.leaveScope(scope.handle, returnValue);
         }
-    }
+        return returnValue;
+    };
     /**
-     * Returns the current platform.
+     * Used to mark Async start. Async are similar to scope but they don't have to be strictly nested.
+     * The return value is used in the call to [endAsync]. Async ranges only work if a profiling
+     * backend has been installed.
      *
-     * \@experimental APIs related to application bootstrap are currently under review.
-     * @return {?}
+     *     someMethod() {
+     *        var s = wtfStartTimeRange('HTTP:GET', 'some.url');
+     *        var future = new Future.delay(5).then((_) {
+     *          wtfEndTimeRange(s);
+     *        });
+     *     }
+     * @experimental
      */
-    function getPlatform() {
-        return _platform && !_platform.destroyed ? _platform : null;
-    }
+    var /** @type {?} */ wtfStartTimeRange = function (rangeType, action) { return _backend ? new _OpenEvent(_backend, _backend.beginTimeRange(rangeType, action)) : null; };
     /**
-     * The Angular platform is the entry point for Angular on a web page. Each page
-     * has exactly one platform, and services (such as reflection) which are common
-     * to every Angular application running on the page are bound in its scope.
-     *
-     * A page's platform is initialized implicitly when {\@link bootstrap}() is called, or
-     * explicitly by calling {\@link createPlatform}().
-     *
-     * \@stable
+     * Ends a async time range operation.
+     * [range] is the return value from [wtfStartTimeRange] Async ranges only work if a profiling
+     * backend has been installed.
+     * @experimental
+     */
+    var /** @type {?} */ wtfEndTimeRange = function (range) {
+        if (range instanceof _OpenEvent) {
+            range.backend.endTimeRange(range.handle);
+        }
+    };
+
+    /**
+     * \@experimental Animation support is experimental.
      * @abstract
      */
-    var PlatformRef = (function () {
-        function PlatformRef() {
+    var AnimationPlayer_ = (function () {
+        function AnimationPlayer() {
         }
         /**
-         * Creates an instance of an `\@NgModule` for the given platform
-         * for offline compilation.
-         *
-         * ## Simple Example
-         *
-         * ```typescript
-         * my_module.ts:
-         *
-         * \@NgModule({
-         *   imports: [BrowserModule]
-         * })
-         * class MyModule {}
-         *
-         * main.ts:
-         * import {MyModuleNgFactory} from './my_module.ngfactory';
-         * import {platformBrowser} from '\@angular/platform-browser';
-         *
-         * let moduleRef = platformBrowser().bootstrapModuleFactory(MyModuleNgFactory);
-         * ```
-         *
-         * \@experimental APIs related to application bootstrap are currently under review.
-         * @param {?} moduleFactory
+         * @abstract
+         * @param {?} fn
          * @return {?}
          */
-        PlatformRef.prototype.bootstrapModuleFactory = function (moduleFactory) {
-            throw unimplemented();
-        };
+        AnimationPlayer.prototype.onDone = function (fn) { };
         /**
-         * Creates an instance of an `\@NgModule` for a given platform using the given runtime compiler.
-         *
-         * ## Simple Example
-         *
-         * ```typescript
-         * \@NgModule({
-         *   imports: [BrowserModule]
-         * })
-         * class MyModule {}
-         *
-         * let moduleRef = platformBrowser().bootstrapModule(MyModule);
-         * ```
-         * \@stable
-         * @param {?} moduleType
-         * @param {?=} compilerOptions
+         * @abstract
+         * @param {?} fn
          * @return {?}
          */
-        PlatformRef.prototype.bootstrapModule = function (moduleType, compilerOptions) {
-            if (compilerOptions === void 0) { compilerOptions = []; }
-            throw unimplemented();
-        };
+        AnimationPlayer.prototype.onStart = function (fn) { };
         /**
-         * Register a listener to be called when the platform is disposed.
          * @abstract
-         * @param {?} callback
          * @return {?}
          */
-        PlatformRef.prototype.onDestroy = function (callback) { };
-        Object.defineProperty(PlatformRef.prototype, "injector", {
-            /**
-             * Retrieve the platform {\@link Injector}, which is the parent injector for
-             * every Angular application on the page and provides singleton providers.
-             * @return {?}
-             */
-            get: function () { throw unimplemented(); },
-            enumerable: true,
-            configurable: true
-        });
-        ;
+        AnimationPlayer.prototype.init = function () { };
         /**
-         * Destroy the Angular platform and all Angular applications on the page.
          * @abstract
          * @return {?}
          */
-        PlatformRef.prototype.destroy = function () { };
-        Object.defineProperty(PlatformRef.prototype, "destroyed", {
-            /**
-             * @return {?}
-             */
-            get: function () { throw unimplemented(); },
-            enumerable: true,
-            configurable: true
-        });
-        return PlatformRef;
-    }());
-    /**
-     * @param {?} errorHandler
-     * @param {?} callback
-     * @return {?}
-     */
-    function _callAndReportToErrorHandler(errorHandler, callback) {
-        try {
-            var /** @type {?} */ result = callback();
-            if (isPromise(result)) {
-                return result.catch(function (e) {
-                    errorHandler.handleError(e);
-                    // rethrow as the exception handler might not do it
-                    throw e;
-                });
-            }
-            return result;
-        }
-        catch (e) {
-            errorHandler.handleError(e);
-            // rethrow as the exception handler might not do it
-            throw e;
-        }
-    }
-    var PlatformRef_ = (function (_super) {
-        __extends$3(PlatformRef_, _super);
+        AnimationPlayer.prototype.hasStarted = function () { };
         /**
-         * @param {?} _injector
+         * @abstract
+         * @return {?}
          */
-        function PlatformRef_(_injector) {
-            _super.call(this);
-            this._injector = _injector;
-            this._modules = [];
-            this._destroyListeners = [];
-            this._destroyed = false;
-        }
+        AnimationPlayer.prototype.play = function () { };
         /**
-         * @param {?} callback
+         * @abstract
          * @return {?}
          */
-        PlatformRef_.prototype.onDestroy = function (callback) { this._destroyListeners.push(callback); };
-        Object.defineProperty(PlatformRef_.prototype, "injector", {
+        AnimationPlayer.prototype.pause = function () { };
+        /**
+         * @abstract
+         * @return {?}
+         */
+        AnimationPlayer.prototype.restart = function () { };
+        /**
+         * @abstract
+         * @return {?}
+         */
+        AnimationPlayer.prototype.finish = function () { };
+        /**
+         * @abstract
+         * @return {?}
+         */
+        AnimationPlayer.prototype.destroy = function () { };
+        /**
+         * @abstract
+         * @return {?}
+         */
+        AnimationPlayer.prototype.reset = function () { };
+        /**
+         * @abstract
+         * @param {?} p
+         * @return {?}
+         */
+        AnimationPlayer.prototype.setPosition = function (p) { };
+        /**
+         * @abstract
+         * @return {?}
+         */
+        AnimationPlayer.prototype.getPosition = function () { };
+        Object.defineProperty(AnimationPlayer.prototype, "parentPlayer", {
             /**
              * @return {?}
              */
-            get: function () { return this._injector; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(PlatformRef_.prototype, "destroyed", {
+            get: function () { throw new Error('NOT IMPLEMENTED: Base Class'); },
             /**
+             * @param {?} player
              * @return {?}
              */
-            get: function () { return this._destroyed; },
+            set: function (player) { throw new Error('NOT IMPLEMENTED: Base Class'); },
             enumerable: true,
             configurable: true
         });
+        return AnimationPlayer;
+    }());
+    var NoOpAnimationPlayer_ = (function () {
+        function NoOpAnimationPlayer() {
+            var _this = this;
+            this._onDoneFns = [];
+            this._onStartFns = [];
+            this._started = false;
+            this.parentPlayer = null;
+            scheduleMicroTask(function () { return _this._onFinish(); });
+        }
         /**
+         * \@internal
          * @return {?}
          */
-        PlatformRef_.prototype.destroy = function () {
-            if (this._destroyed) {
-                throw new Error('The platform has already been destroyed!');
-            }
-            this._modules.slice().forEach(function (module) { return module.destroy(); });
-            this._destroyListeners.forEach(function (listener) { return listener(); });
-            this._destroyed = true;
+        NoOpAnimationPlayer.prototype._onFinish = function () {
+            this._onDoneFns.forEach(function (fn) { return fn(); });
+            this._onDoneFns = [];
         };
         /**
-         * @param {?} moduleFactory
+         * @param {?} fn
          * @return {?}
          */
-        PlatformRef_.prototype.bootstrapModuleFactory = function (moduleFactory) {
-            return this._bootstrapModuleFactoryWithZone(moduleFactory, null);
-        };
+        NoOpAnimationPlayer.prototype.onStart = function (fn) { this._onStartFns.push(fn); };
         /**
-         * @param {?} moduleFactory
-         * @param {?} ngZone
+         * @param {?} fn
          * @return {?}
          */
-        PlatformRef_.prototype._bootstrapModuleFactoryWithZone = function (moduleFactory, ngZone) {
-            var _this = this;
-            // Note: We need to create the NgZone _before_ we instantiate the module,
-            // as instantiating the module creates some providers eagerly.
-            // So we create a mini parent injector that just contains the new NgZone and
-            // pass that as parent to the NgModuleFactory.
-            if (!ngZone)
-                ngZone = new NgZone({ enableLongStackTrace: isDevMode() });
-            // Attention: Don't use ApplicationRef.run here,
-            // as we want to be sure that all possible constructor calls are inside `ngZone.run`!
-            return ngZone.run(function () {
-                var /** @type {?} */ ngZoneInjector = ReflectiveInjector.resolveAndCreate([{ provide: NgZone, useValue: ngZone }], _this.injector);
-                var /** @type {?} */ moduleRef = (moduleFactory.create(ngZoneInjector));
-                var /** @type {?} */ exceptionHandler = moduleRef.injector.get(ErrorHandler, null);
-                if (!exceptionHandler) {
-                    throw new Error('No ErrorHandler. Is platform module (BrowserModule) included?');
-                }
-                moduleRef.onDestroy(function () { return ListWrapper.remove(_this._modules, moduleRef); });
-                ngZone.onError.subscribe({ next: function (error) { exceptionHandler.handleError(error); } });
-                return _callAndReportToErrorHandler(exceptionHandler, function () {
-                    var /** @type {?} */ initStatus = moduleRef.injector.get(ApplicationInitStatus);
-                    return initStatus.donePromise.then(function () {
-                        _this._moduleDoBootstrap(moduleRef);
-                        return moduleRef;
-                    });
-                });
-            });
-        };
+        NoOpAnimationPlayer.prototype.onDone = function (fn) { this._onDoneFns.push(fn); };
         /**
-         * @param {?} moduleType
-         * @param {?=} compilerOptions
          * @return {?}
          */
-        PlatformRef_.prototype.bootstrapModule = function (moduleType, compilerOptions) {
-            if (compilerOptions === void 0) { compilerOptions = []; }
-            return this._bootstrapModuleWithZone(moduleType, compilerOptions, null);
-        };
+        NoOpAnimationPlayer.prototype.hasStarted = function () { return this._started; };
         /**
-         * @param {?} moduleType
-         * @param {?=} compilerOptions
-         * @param {?} ngZone
-         * @param {?=} componentFactoryCallback
          * @return {?}
          */
-        PlatformRef_.prototype._bootstrapModuleWithZone = function (moduleType, compilerOptions, ngZone, componentFactoryCallback) {
-            var _this = this;
-            if (compilerOptions === void 0) { compilerOptions = []; }
-            var /** @type {?} */ compilerFactory = this.injector.get(CompilerFactory);
-            var /** @type {?} */ compiler = compilerFactory.createCompiler(Array.isArray(compilerOptions) ? compilerOptions : [compilerOptions]);
-            // ugly internal api hack: generate host component factories for all declared components and
-            // pass the factories into the callback - this is used by UpdateAdapter to get hold of all
-            // factories.
-            if (componentFactoryCallback) {
-                return compiler.compileModuleAndAllComponentsAsync(moduleType)
-                    .then(function (_a) {
-                    var ngModuleFactory = _a.ngModuleFactory, componentFactories = _a.componentFactories;
-                    componentFactoryCallback(componentFactories);
-                    return _this._bootstrapModuleFactoryWithZone(ngModuleFactory, ngZone);
-                });
-            }
-            return compiler.compileModuleAsync(moduleType)
-                .then(function (moduleFactory) { return _this._bootstrapModuleFactoryWithZone(moduleFactory, ngZone); });
-        };
+        NoOpAnimationPlayer.prototype.init = function () { };
         /**
-         * @param {?} moduleRef
          * @return {?}
          */
-        PlatformRef_.prototype._moduleDoBootstrap = function (moduleRef) {
-            var /** @type {?} */ appRef = moduleRef.injector.get(ApplicationRef);
-            if (moduleRef.bootstrapFactories.length > 0) {
-                moduleRef.bootstrapFactories.forEach(function (compFactory) { return appRef.bootstrap(compFactory); });
-            }
-            else if (moduleRef.instance.ngDoBootstrap) {
-                moduleRef.instance.ngDoBootstrap(appRef);
-            }
-            else {
-                throw new Error(("The module " + stringify(moduleRef.instance.constructor) + " was bootstrapped, but it does not declare \"@NgModule.bootstrap\" components nor a \"ngDoBootstrap\" method. ") +
-                    "Please define one of these.");
+        NoOpAnimationPlayer.prototype.play = function () {
+            if (!this.hasStarted()) {
+                this._onStartFns.forEach(function (fn) { return fn(); });
+                this._onStartFns = [];
             }
+            this._started = true;
         };
-        PlatformRef_.decorators = [
-            { type: Injectable },
-        ];
-        /** @nocollapse */
-        PlatformRef_.ctorParameters = function () { return [
-            { type: Injector, },
-        ]; };
-        return PlatformRef_;
-    }(PlatformRef));
-    /**
-     * A reference to an Angular application running on a page.
-     *
-     * For more about Angular applications, see the documentation for {\@link bootstrap}.
-     *
-     * \@stable
-     * @abstract
-     */
-    var ApplicationRef = (function () {
-        function ApplicationRef() {
-        }
         /**
-         * Bootstrap a new component at the root level of the application.
-         *
-         * ### Bootstrap process
-         *
-         * When bootstrapping a new root component into an application, Angular mounts the
-         * specified application component onto DOM elements identified by the [componentType]'s
-         * selector and kicks off automatic change detection to finish initializing the component.
-         *
-         * ### Example
-         * {\@example core/ts/platform/platform.ts region='longform'}
-         * @abstract
-         * @param {?} componentFactory
          * @return {?}
          */
-        ApplicationRef.prototype.bootstrap = function (componentFactory) { };
+        NoOpAnimationPlayer.prototype.pause = function () { };
         /**
-         * Invoke this method to explicitly process change detection and its side-effects.
-         *
-         * In development mode, `tick()` also performs a second change detection cycle to ensure that no
-         * further changes are detected. If additional changes are picked up during this second cycle,
-         * bindings in the app have side-effects that cannot be resolved in a single change detection
-         * pass.
-         * In this case, Angular throws an error, since an Angular application can only have one change
-         * detection pass during which all change detection must complete.
-         * @abstract
          * @return {?}
          */
-        ApplicationRef.prototype.tick = function () { };
-        Object.defineProperty(ApplicationRef.prototype, "componentTypes", {
-            /**
-             * Get a list of component types registered to this application.
-             * This list is populated even before the component is created.
-             * @return {?}
-             */
-            get: function () { return (unimplemented()); },
-            enumerable: true,
-            configurable: true
-        });
-        ;
-        Object.defineProperty(ApplicationRef.prototype, "components", {
-            /**
-             * Get a list of components registered to this application.
-             * @return {?}
-             */
-            get: function () { return (unimplemented()); },
-            enumerable: true,
-            configurable: true
-        });
-        ;
+        NoOpAnimationPlayer.prototype.restart = function () { };
         /**
-         * Attaches a view so that it will be dirty checked.
-         * The view will be automatically detached when it is destroyed.
-         * This will throw if the view is already attached to a ViewContainer.
-         * @param {?} view
          * @return {?}
          */
-        ApplicationRef.prototype.attachView = function (view) { unimplemented(); };
+        NoOpAnimationPlayer.prototype.finish = function () { this._onFinish(); };
         /**
-         * Detaches a view from dirty checking again.
-         * @param {?} view
          * @return {?}
          */
-        ApplicationRef.prototype.detachView = function (view) { unimplemented(); };
-        Object.defineProperty(ApplicationRef.prototype, "viewCount", {
-            /**
-             * Returns the number of attached views.
-             * @return {?}
-             */
-            get: function () { return unimplemented(); },
-            enumerable: true,
-            configurable: true
-        });
-        return ApplicationRef;
-    }());
-    var ApplicationRef_ = (function (_super) {
-        __extends$3(ApplicationRef_, _super);
+        NoOpAnimationPlayer.prototype.destroy = function () { };
         /**
-         * @param {?} _zone
-         * @param {?} _console
-         * @param {?} _injector
-         * @param {?} _exceptionHandler
-         * @param {?} _componentFactoryResolver
-         * @param {?} _initStatus
-         * @param {?} _testabilityRegistry
-         * @param {?} _testability
-         */
-        function ApplicationRef_(_zone, _console, _injector, _exceptionHandler, _componentFactoryResolver, _initStatus, _testabilityRegistry, _testability) {
-            var _this = this;
-            _super.call(this);
-            this._zone = _zone;
-            this._console = _console;
-            this._injector = _injector;
-            this._exceptionHandler = _exceptionHandler;
-            this._componentFactoryResolver = _componentFactoryResolver;
-            this._initStatus = _initStatus;
-            this._testabilityRegistry = _testabilityRegistry;
-            this._testability = _testability;
-            this._bootstrapListeners = [];
-            this._rootComponents = [];
-            this._rootComponentTypes = [];
-            this._views = [];
-            this._runningTick = false;
-            this._enforceNoNewChanges = false;
-            this._enforceNoNewChanges = isDevMode();
-            this._zone.onMicrotaskEmpty.subscribe({ next: function () { _this._zone.run(function () { _this.tick(); }); } });
-        }
-        /**
-         * @param {?} viewRef
-         * @return {?}
-         */
-        ApplicationRef_.prototype.attachView = function (viewRef) {
-            var /** @type {?} */ view = ((viewRef)).internalView;
-            this._views.push(view);
-            view.attachToAppRef(this);
-        };
-        /**
-         * @param {?} viewRef
-         * @return {?}
-         */
-        ApplicationRef_.prototype.detachView = function (viewRef) {
-            var /** @type {?} */ view = ((viewRef)).internalView;
-            ListWrapper.remove(this._views, view);
-            view.detach();
-        };
-        /**
-         * @param {?} componentOrFactory
-         * @return {?}
-         */
-        ApplicationRef_.prototype.bootstrap = function (componentOrFactory) {
-            var _this = this;
-            if (!this._initStatus.done) {
-                throw new Error('Cannot bootstrap as there are still asynchronous initializers running. Bootstrap components in the `ngDoBootstrap` method of the root module.');
-            }
-            var /** @type {?} */ componentFactory;
-            if (componentOrFactory instanceof ComponentFactory) {
-                componentFactory = componentOrFactory;
-            }
-            else {
-                componentFactory = this._componentFactoryResolver.resolveComponentFactory(componentOrFactory);
-            }
-            this._rootComponentTypes.push(componentFactory.componentType);
-            var /** @type {?} */ compRef = componentFactory.create(this._injector, [], componentFactory.selector);
-            compRef.onDestroy(function () { _this._unloadComponent(compRef); });
-            var /** @type {?} */ testability = compRef.injector.get(Testability, null);
-            if (testability) {
-                compRef.injector.get(TestabilityRegistry)
-                    .registerApplication(compRef.location.nativeElement, testability);
-            }
-            this._loadComponent(compRef);
-            if (isDevMode()) {
-                this._console.log("Angular is running in the development mode. Call enableProdMode() to enable the production mode.");
-            }
-            return compRef;
-        };
-        /**
-         * @param {?} componentRef
          * @return {?}
          */
-        ApplicationRef_.prototype._loadComponent = function (componentRef) {
-            this.attachView(componentRef.hostView);
-            this.tick();
-            this._rootComponents.push(componentRef);
-            // Get the listeners lazily to prevent DI cycles.
-            var /** @type {?} */ listeners = (this._injector.get(APP_BOOTSTRAP_LISTENER, [])
-                .concat(this._bootstrapListeners));
-            listeners.forEach(function (listener) { return listener(componentRef); });
-        };
+        NoOpAnimationPlayer.prototype.reset = function () { };
         /**
-         * @param {?} componentRef
+         * @param {?} p
          * @return {?}
          */
-        ApplicationRef_.prototype._unloadComponent = function (componentRef) {
-            this.detachView(componentRef.hostView);
-            ListWrapper.remove(this._rootComponents, componentRef);
-        };
+        NoOpAnimationPlayer.prototype.setPosition = function (p) { };
         /**
          * @return {?}
          */
-        ApplicationRef_.prototype.tick = function () {
-            if (this._runningTick) {
-                throw new Error('ApplicationRef.tick is called recursively');
-            }
-            var /** @type {?} */ scope = ApplicationRef_._tickScope();
-            try {
-                this._runningTick = true;
-                this._views.forEach(function (view) { return view.ref.detectChanges(); });
-                if (this._enforceNoNewChanges) {
-                    this._views.forEach(function (view) { return view.ref.checkNoChanges(); });
-                }
-            }
-            finally {
-                this._runningTick = false;
-                wtfLeave(scope);
-            }
-        };
+        NoOpAnimationPlayer.prototype.getPosition = function () { return 0; };
+        return NoOpAnimationPlayer;
+    }());
+
+    var __extends$10 = (this && this.__extends) || function (d, b) {
+        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+    var /** @type {?} */ _VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+    var /** @type {?} */ _RAW_TEXT_ELEMENTS = ['script', 'style'];
+    /**
+     * Properties that the DOM reflects as attributes, so that they are part of the serialized HTML.
+     */
+    var /** @type {?} */ _REFLECTED_PROPERTIES = {
+        'alt': 'alt',
+        'className': 'class',
+        'href': 'href',
+        'htmlFor': 'for',
+        'id': 'id',
+        'name': 'name',
+        'src': 'src',
+        'tabIndex': 'tabindex',
+        'title': 'title',
+        'type': 'type'
+    };
+    var /** @type {?} */ _BOOLEAN_PROPERTIES = ['checked', 'disabled', 'hidden', 'readOnly', 'required', 'selected'];
+    var /** @type {?} */ _TEMPLATE_COMMENT_TEXT = 'template bindings={}';
+    var /** @type {?} */ _TEMPLATE_BINDINGS_EXP = /^template bindings=(.*)$/;
+    /**
+     * The text of the comment that marks where the embedded views that follow a template anchor end
+     * in the serialized HTML, so that hydration can tell them from the nodes after them.
+     */
+    var /** @type {?} */ CONTAINER_END_COMMENT_TEXT = 'container end';
+    var /** @type {?} */ _CONTAINER_END_COMMENT = "<!--" + CONTAINER_END_COMMENT_TEXT + "-->";
+    var /** @type {?} */ _COMPONENT_REGEX = /%COMP%/g;
+    /**
+     * A node of the tree that {\@link MemoryRootRenderer} renders into.
+     *
+     * The nodes mimic the parts of the DOM that are needed to inspect and serialize the tree, e.g.
+     * `nodeType`, `nodeName`, `parentNode`, `childNodes` and `outerHTML`.
+     *
+     * \@experimental
+     * @abstract
+     */
+    var MemoryNode = (function () {
         /**
-         * @return {?}
+         * @param {?} nodeType
+         * @param {?} nodeName
          */
-        ApplicationRef_.prototype.ngOnDestroy = function () {
-            // TODO(alxhub): Dispose of the NgZone.
-            this._views.slice().forEach(function (view) { return view.destroy(); });
-        };
-        Object.defineProperty(ApplicationRef_.prototype, "viewCount", {
+        function MemoryNode(nodeType, nodeName) {
+            this.nodeType = nodeType;
+            this.nodeName = nodeName;
+            this.parentNode = null;
+            /**
+             * Whether the node was attached as a root node of an embedded view.
+             * \@internal
+             */
+            this._viewRootNode = false;
+        }
+        Object.defineProperty(MemoryNode.prototype, "nextSibling", {
             /**
              * @return {?}
              */
-            get: function () { return this._views.length; },
+            get: function () {
+                if (!this.parentNode) {
+                    return null;
+                }
+                var /** @type {?} */ siblings = this.parentNode.childNodes;
+                return siblings[siblings.indexOf(this) + 1] || null;
+            },
             enumerable: true,
             configurable: true
         });
-        Object.defineProperty(ApplicationRef_.prototype, "componentTypes", {
+        Object.defineProperty(MemoryNode.prototype, "textContent", {
             /**
+             * @abstract
              * @return {?}
              */
-            get: function () { return this._rootComponentTypes; },
+            get: function () { },
             enumerable: true,
             configurable: true
         });
-        Object.defineProperty(ApplicationRef_.prototype, "components", {
+        Object.defineProperty(MemoryNode.prototype, "outerHTML", {
             /**
+             * @abstract
              * @return {?}
              */
-            get: function () { return this._rootComponents; },
+            get: function () { },
             enumerable: true,
             configurable: true
         });
-        /** @internal */
-        ApplicationRef_._tickScope = wtfCreateScope('ApplicationRef#tick()');
-        ApplicationRef_.decorators = [
-            { type: Injectable },
-        ];
-        /** @nocollapse */
-        ApplicationRef_.ctorParameters = function () { return [
-            { type: NgZone, },
-            { type: Console, },
-            { type: Injector, },
-            { type: ErrorHandler, },
-            { type: ComponentFactoryResolver, },
-            { type: ApplicationInitStatus, },
-            { type: TestabilityRegistry, decorators: [{ type: Optional },] },
-            { type: Testability, decorators: [{ type: Optional },] },
-        ]; };
-        return ApplicationRef_;
-    }(ApplicationRef));
-
-    /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
-     */
-    var __extends$9 = (this && this.__extends) || function (d, b) {
-        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
-        function __() { this.constructor = d; }
-        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
-    };
+        /**
+         * Removes this node from its parent, if any.
+         * @return {?}
+         */
+        MemoryNode.prototype.remove = function () {
+            if (this.parentNode) {
+                this.parentNode.removeChild(this);
+            }
+        };
+        return MemoryNode;
+    }());
     /**
-     * Represents an instance of an NgModule created via a {\@link NgModuleFactory}.
-     *
-     * `NgModuleRef` provides access to the NgModule Instance as well other objects related to this
-     * NgModule Instance.
-     *
-     * \@stable
-     * @abstract
+     * \@experimental
      */
-    var NgModuleRef = (function () {
-        function NgModuleRef() {
+    var MemoryText = (function (_super) {
+        __extends$10(MemoryText, _super);
+        /**
+         * @param {?} nodeValue
+         */
+        function MemoryText(nodeValue) {
+            _super.call(this, 3, '#text');
+            this.nodeValue = nodeValue;
         }
-        Object.defineProperty(NgModuleRef.prototype, "injector", {
+        Object.defineProperty(MemoryText.prototype, "textContent", {
             /**
-             * The injector that contains all of the providers of the NgModule.
              * @return {?}
              */
-            get: function () { return unimplemented(); },
+            get: function () { return this.nodeValue; },
             enumerable: true,
             configurable: true
         });
-        Object.defineProperty(NgModuleRef.prototype, "componentFactoryResolver", {
+        Object.defineProperty(MemoryText.prototype, "outerHTML", {
             /**
-             * The ComponentFactoryResolver to get hold of the ComponentFactories
-             * declared in the `entryComponents` property of the module.
              * @return {?}
              */
-            get: function () { return unimplemented(); },
+            get: function () {
+                return this.parentNode instanceof MemoryElement &&
+                    _RAW_TEXT_ELEMENTS.indexOf(this.parentNode.nodeName) !== -1 ?
+                    this.nodeValue :
+                    _escapeText(this.nodeValue);
+            },
             enumerable: true,
             configurable: true
         });
-        Object.defineProperty(NgModuleRef.prototype, "instance", {
+        return MemoryText;
+    }(MemoryNode));
+    /**
+     * \@experimental
+     */
+    var MemoryComment = (function (_super) {
+        __extends$10(MemoryComment, _super);
+        /**
+         * @param {?} nodeValue
+         */
+        function MemoryComment(nodeValue) {
+            _super.call(this, 8, '#comment');
+            this.nodeValue = nodeValue;
+            /**
+             * Whether the comment was created as a template anchor.
+             * \@internal
+             */
+            this._templateAnchor = false;
+        }
+        Object.defineProperty(MemoryComment.prototype, "textContent", {
             /**
-             * The NgModule instance.
              * @return {?}
              */
-            get: function () { return unimplemented(); },
+            get: function () { return ''; },
             enumerable: true,
             configurable: true
         });
-        /**
-         * Destroys the module instance and all of the data structures associated with it.
-         * @abstract
-         * @return {?}
-         */
-        NgModuleRef.prototype.destroy = function () { };
-        /**
-         * Allows to register a callback that will be called when the module is destroyed.
-         * @abstract
-         * @param {?} callback
-         * @return {?}
-         */
-        NgModuleRef.prototype.onDestroy = function (callback) { };
-        return NgModuleRef;
-    }());
+        Object.defineProperty(MemoryComment.prototype, "outerHTML", {
+            /**
+             * @return {?}
+             */
+            get: function () { return "<!--" + this.nodeValue.replace(/--/g, '- -') + "-->"; },
+            enumerable: true,
+            configurable: true
+        });
+        return MemoryComment;
+    }(MemoryNode));
     /**
+     * An element of the tree that {\@link MemoryRootRenderer} renders into.
+     *
+     * Classes and styles are kept in the `class` and `style` attributes. Properties are kept in
+     * `properties`, apart from a few that the DOM reflects as attributes, like `id`, `className`,
+     * `href` and `disabled`, which are set as attributes as well. `innerHTML` is serialized as is.
+     *
+     * In the serialized HTML, the root nodes of the embedded views that follow a template anchor are
+     * followed by a `<!--container end-->` comment, unless the anchor is a root node of an embedded
+     * view itself.
+     *
      * \@experimental
      */
-    var NgModuleFactory = (function () {
+    var MemoryElement = (function (_super) {
+        __extends$10(MemoryElement, _super);
         /**
-         * @param {?} _injectorClass
-         * @param {?} _moduleType
+         * @param {?} nodeName
          */
-        function NgModuleFactory(_injectorClass, _moduleType) {
-            this._injectorClass = _injectorClass;
-            this._moduleType = _moduleType;
+        function MemoryElement(nodeName) {
+            _super.call(this, nodeName === '#document' ? 9 : 1, nodeName);
+            this.attributes = {};
+            this.properties = {};
+            this.childNodes = [];
+            this.listeners = [];
+            this._styles = {};
         }
-        Object.defineProperty(NgModuleFactory.prototype, "moduleType", {
+        Object.defineProperty(MemoryElement.prototype, "children", {
             /**
              * @return {?}
              */
-            get: function () { return this._moduleType; },
+            get: function () {
+                return (this.childNodes.filter(function (node) { return node instanceof MemoryElement; }));
+            },
             enumerable: true,
             configurable: true
         });
         /**
-         * @param {?} parentInjector
+         * @param {?} name
          * @return {?}
          */
-        NgModuleFactory.prototype.create = function (parentInjector) {
-            if (!parentInjector) {
-                parentInjector = Injector.NULL;
-            }
-            var /** @type {?} */ instance = new this._injectorClass(parentInjector);
-            instance.create();
-            return instance;
+        MemoryElement.prototype.getAttribute = function (name) {
+            return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
         };
-        return NgModuleFactory;
-    }());
-    var /** @type {?} */ _UNDEFINED = new Object();
-    /**
-     * @abstract
-     */
-    var NgModuleInjector = (function (_super) {
-        __extends$9(NgModuleInjector, _super);
         /**
-         * @param {?} parent
-         * @param {?} factories
-         * @param {?} bootstrapFactories
+         * @param {?} name
+         * @param {?} value
+         * @return {?}
          */
-        function NgModuleInjector(parent, factories, bootstrapFactories) {
-            _super.call(this, factories, parent.get(ComponentFactoryResolver, ComponentFactoryResolver.NULL));
-            this.parent = parent;
-            this.bootstrapFactories = bootstrapFactories;
-            this._destroyListeners = [];
-            this._destroyed = false;
-        }
+        MemoryElement.prototype.setAttribute = function (name, value) {
+            if (name === 'style') {
+                this._styles = _parseStyles(value);
+            }
+            this.attributes[name] = String(value);
+        };
         /**
+         * @param {?} name
          * @return {?}
          */
-        NgModuleInjector.prototype.create = function () { this.instance = this.createInternal(); };
+        MemoryElement.prototype.removeAttribute = function (name) {
+            if (name === 'style') {
+                this._styles = {};
+            }
+            delete this.attributes[name];
+        };
+        Object.defineProperty(MemoryElement.prototype, "classList", {
+            /**
+             * @return {?}
+             */
+            get: function () {
+                var /** @type {?} */ classes = this.getAttribute('class');
+                return classes ? classes.split(/\s+/).filter(function (name) { return !!name; }) : [];
+            },
+            enumerable: true,
+            configurable: true
+        });
         /**
-         * @abstract
+         * @param {?} name
          * @return {?}
          */
-        NgModuleInjector.prototype.createInternal = function () { };
+        MemoryElement.prototype.getStyle = function (name) { return this._styles[_camelCaseToDashCase(name)] || null; };
         /**
-         * @param {?} token
-         * @param {?=} notFoundValue
+         * @param {?} name
+         * @param {?} value
          * @return {?}
          */
-        NgModuleInjector.prototype.get = function (token, notFoundValue) {
-            if (notFoundValue === void 0) { notFoundValue = THROW_IF_NOT_FOUND; }
-            if (token === Injector || token === ComponentFactoryResolver) {
-                return this;
+        MemoryElement.prototype.setStyle = function (name, value) {
+            var _this = this;
+            if (isPresent(value) && value !== '') {
+                this._styles[_camelCaseToDashCase(name)] = String(value);
+            }
+            else {
+                delete this._styles[_camelCaseToDashCase(name)];
+            }
+            var /** @type {?} */ style = Object.keys(this._styles).map(function (key) { return (key + ": " + _this._styles[key] + ";"); }).join(' ');
+            if (style) {
+                this.attributes['style'] = style;
+            }
+            else {
+                delete this.attributes['style'];
             }
-            var /** @type {?} */ result = this.getInternal(token, _UNDEFINED);
-            return result === _UNDEFINED ? this.parent.get(token, notFoundValue) : result;
         };
         /**
-         * @abstract
-         * @param {?} token
-         * @param {?} notFoundValue
+         * @param {?} node
          * @return {?}
          */
-        NgModuleInjector.prototype.getInternal = function (token, notFoundValue) { };
-        Object.defineProperty(NgModuleInjector.prototype, "injector", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(NgModuleInjector.prototype, "componentFactoryResolver", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this; },
-            enumerable: true,
-            configurable: true
-        });
+        MemoryElement.prototype.appendChild = function (node) { return this.insertBefore(node, null); };
         /**
+         * Inserts `node` before `refNode`, or at the end if `refNode` is `null`.
+         * @param {?} node
+         * @param {?} refNode
          * @return {?}
          */
-        NgModuleInjector.prototype.destroy = function () {
-            if (this._destroyed) {
-                throw new Error("The ng module " + stringify(this.instance.constructor) + " has already been destroyed.");
+        MemoryElement.prototype.insertBefore = function (node, refNode) {
+            if (node === refNode) {
+                refNode = node.nextSibling;
             }
-            this._destroyed = true;
-            this.destroyInternal();
-            this._destroyListeners.forEach(function (listener) { return listener(); });
+            node.remove();
+            var /** @type {?} */ index = refNode ? this.childNodes.indexOf(refNode) : -1;
+            if (index === -1) {
+                this.childNodes.push(node);
+            }
+            else {
+                this.childNodes.splice(index, 0, node);
+            }
+            node.parentNode = this;
+            return node;
         };
         /**
-         * @param {?} callback
+         * @param {?} node
          * @return {?}
          */
-        NgModuleInjector.prototype.onDestroy = function (callback) { this._destroyListeners.push(callback); };
+        MemoryElement.prototype.removeChild = function (node) {
+            var /** @type {?} */ index = this.childNodes.indexOf(node);
+            if (index !== -1) {
+                this.childNodes.splice(index, 1);
+                node.parentNode = null;
+            }
+            return node;
+        };
         /**
-         * @abstract
+         * Returns the first descendant that matches `selector`, which can be a tag name, `#id`,
+         * `.class`, `[attribute]` or `[attribute=value]`, or a combination of those.
+         * @param {?} selector
          * @return {?}
          */
-        NgModuleInjector.prototype.destroyInternal = function () { };
-        return NgModuleInjector;
-    }(CodegenComponentFactoryResolver));
-
-    /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
-     */
-    /**
-     * Used to load ng module factories.
-     * \@stable
-     * @abstract
-     */
-    var NgModuleFactoryLoader = (function () {
-        function NgModuleFactoryLoader() {
-        }
+        MemoryElement.prototype.querySelector = function (selector) {
+            var /** @type {?} */ matcher = _compileSelector(selector);
+            var /** @type {?} */ result = null;
+            _visitElements(this, function (element) {
+                if (!result && matcher(element)) {
+                    result = element;
+                }
+            });
+            return result;
+        };
         /**
-         * @abstract
-         * @param {?} path
+         * Calls the listeners of this element for `eventName`.
+         * @param {?} eventName
+         * @param {?=} event
          * @return {?}
          */
-        NgModuleFactoryLoader.prototype.load = function (path) { };
-        return NgModuleFactoryLoader;
-    }());
-    var /** @type {?} */ moduleFactories = new Map();
-    /**
-     * Registers a loaded module. Should only be called from generated NgModuleFactory code.
-     * \@experimental
-     * @param {?} id
-     * @param {?} factory
-     * @return {?}
-     */
-    function registerModuleFactory(id, factory) {
-        var /** @type {?} */ existing = moduleFactories.get(id);
-        if (existing) {
-            throw new Error("Duplicate module registered for " + id + " - " + existing.moduleType.name + " vs " + factory.moduleType.name);
-        }
-        moduleFactories.set(id, factory);
-    }
-    /**
-     * Returns the NgModuleFactory with the given id, if it exists and has been loaded.
-     * Factories for modules that do not specify an `id` cannot be retrieved. Throws if the module
-     * cannot be found.
-     * \@experimental
-     * @param {?} id
-     * @return {?}
-     */
-    function getModuleFactory(id) {
-        var /** @type {?} */ factory = moduleFactories.get(id);
-        if (!factory)
-            throw new Error("No module with ID " + id + " loaded");
-        return factory;
-    }
-
-    /**
-     * An unmodifiable list of items that Angular keeps up to date when the state
-     * of the application changes.
-     *
-     * The type of object that {\@link Query} and {\@link ViewQueryMetadata} provide.
-     *
-     * Implements an iterable interface, therefore it can be used in both ES6
-     * javascript `for (var i of items)` loops as well as in Angular templates with
-     * `*ngFor="let i of myList"`.
-     *
-     * Changes can be observed by subscribing to the changes `Observable`.
-     *
-     * NOTE: In the future this class will implement an `Observable` interface.
-     *
-     * ### Example ([live demo](http://plnkr.co/edit/RX8sJnQYl9FWuSCWme5z?p=preview))
-     * ```typescript
-     * \@Component({...})
-     * class Container {
-     *   \@ViewChildren(Item) items:QueryList<Item>;
-     * }
-     * ```
-     * \@stable
-     */
-    var QueryList = (function () {
-        function QueryList() {
-            this._dirty = true;
-            this._results = [];
-            this._emitter = new EventEmitter();
-        }
-        Object.defineProperty(QueryList.prototype, "changes", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._emitter; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(QueryList.prototype, "length", {
+        MemoryElement.prototype.dispatchEvent = function (eventName, event) {
+            if (event === void 0) { event = { type: eventName, target: this }; }
+            this.listeners.slice().forEach(function (listener) {
+                if (listener.name === eventName) {
+                    listener.callback(event);
+                }
+            });
+        };
+        Object.defineProperty(MemoryElement.prototype, "textContent", {
             /**
              * @return {?}
              */
-            get: function () { return this._results.length; },
+            get: function () {
+                return this.childNodes.map(function (node) { return node.textContent; }).join('');
+            },
             enumerable: true,
             configurable: true
         });
-        Object.defineProperty(QueryList.prototype, "first", {
+        Object.defineProperty(MemoryElement.prototype, "innerHTML", {
             /**
              * @return {?}
              */
-            get: function () { return this._results[0]; },
+            get: function () {
+                var _this = this;
+                if (this.properties.hasOwnProperty('innerHTML')) {
+                    return String(this.properties['innerHTML']);
+                }
+                return this.childNodes.map(function (node, i) { return _this._childHTML(i); }).join('');
+            },
             enumerable: true,
             configurable: true
         });
-        Object.defineProperty(QueryList.prototype, "last", {
+        Object.defineProperty(MemoryElement.prototype, "outerHTML", {
             /**
              * @return {?}
              */
-            get: function () { return this._results[this.length - 1]; },
+            get: function () { return "" + this._openTag() + this.innerHTML + this._closeTag(); },
             enumerable: true,
             configurable: true
         });
         /**
-         * See
-         * [Array.map](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/map)
-         * @param {?} fn
+         * The markup of the child at `index`, followed by the comment that marks the end of a
+         * container if the child is the last node of one.
+         * \@internal
+         * @param {?} index
          * @return {?}
          */
-        QueryList.prototype.map = function (fn) { return this._results.map(fn); };
+        MemoryElement.prototype._childHTML = function (index) {
+            var /** @type {?} */ next = this.childNodes[index + 1];
+            var /** @type {?} */ start = index;
+            while (start >= 0 && this.childNodes[start]._viewRootNode) {
+                start--;
+            }
+            var /** @type {?} */ anchor = this.childNodes[start];
+            var /** @type {?} */ endsContainer = (!next || !next._viewRootNode) &&
+                anchor instanceof MemoryComment && anchor._templateAnchor;
+            return this.childNodes[index].outerHTML + (endsContainer ? _CONTAINER_END_COMMENT : '');
+        };
         /**
-         * See
-         * [Array.filter](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/filter)
-         * @param {?} fn
+         * The markup before the children of this element, i.e. its start tag.
+         * \@internal
          * @return {?}
          */
-        QueryList.prototype.filter = function (fn) {
-            return this._results.filter(fn);
+        MemoryElement.prototype._openTag = function () {
+            var _this = this;
+            if (this.nodeType === 9) {
+                return '';
+            }
+            var /** @type {?} */ attributes = Object.keys(this.attributes)
+                .map(function (name) { return _this.attributes[name] === '' ? " " + name :
+                " " + name + "=\"" + _escapeAttribute(_this.attributes[name]) + "\""; })
+                .join('');
+            return "<" + this.nodeName + attributes + ">";
         };
         /**
-         * See
-         * [Array.find](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/find)
-         * @param {?} fn
+         * The markup after the children of this element, i.e. its end tag.
+         * \@internal
          * @return {?}
          */
-        QueryList.prototype.find = function (fn) { return this._results.find(fn); };
+        MemoryElement.prototype._closeTag = function () {
+            if (this.nodeType === 9 || _VOID_ELEMENTS.indexOf(this.nodeName) !== -1) {
+                return '';
+            }
+            return "</" + this.nodeName + ">";
+        };
+        return MemoryElement;
+    }(MemoryNode));
+    /**
+     * A {\@link RootRenderer} that renders into a tree of {\@link MemoryNode}s instead of the DOM,
+     * e.g. to run component tests or to prerender pages in Node without a DOM shim.
+     *
+     * Root components are rendered into the elements of `document` that match their selectors, so
+     * those have to be added first, unless `rootElementContainer` is set. In that case, root
+     * elements whose selector is a tag name are appended to it if they don't exist yet. The styles
+     * of all rendered components are collected in `styles`. Global listeners are registered in
+     * `globalListeners` and are called via `dispatchGlobalEvent`. Animations finish right away.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * const rootRenderer = new MemoryRootRenderer();
+     * rootRenderer.document.appendChild(new MemoryElement('my-app'));
+     * // bootstrap with `{provide: RootRenderer, useValue: rootRenderer}`
+     * console.log(rootRenderer.document.outerHTML);
+     * ```
+     *
+     * \@experimental
+     */
+    var MemoryRootRenderer = (function () {
         /**
-         * See
-         * [Array.reduce](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/reduce)
-         * @param {?} fn
-         * @param {?} init
-         * @return {?}
+         * @param {?=} appId
          */
-        QueryList.prototype.reduce = function (fn, init) {
-            return this._results.reduce(fn, init);
-        };
+        function MemoryRootRenderer(appId) {
+            if (appId === void 0) { appId = null; }
+            this.appId = appId;
+            this.document = new MemoryElement('#document');
+            this.styles = [];
+            this.globalListeners = [];
+            this.rootElementContainer = null;
+            this._renderers = new Map();
+        }
         /**
-         * See
-         * [Array.forEach](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/forEach)
-         * @param {?} fn
+         * @param {?} componentType
          * @return {?}
          */
-        QueryList.prototype.forEach = function (fn) { this._results.forEach(fn); };
+        MemoryRootRenderer.prototype.renderComponent = function (componentType) {
+            var /** @type {?} */ renderer = this._renderers.get(componentType.id);
+            if (!renderer) {
+                renderer = new MemoryRenderer(this, componentType);
+                this._renderers.set(componentType.id, renderer);
+            }
+            return renderer;
+        };
         /**
-         * See
-         * [Array.some](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/some)
-         * @param {?} fn
+         * Calls the global listeners for `target`, i.e. `window`, `document` or `body`, and
+         * `eventName`.
+         * @param {?} target
+         * @param {?} eventName
+         * @param {?=} event
          * @return {?}
          */
-        QueryList.prototype.some = function (fn) {
-            return this._results.some(fn);
+        MemoryRootRenderer.prototype.dispatchGlobalEvent = function (target, eventName, event) {
+            if (event === void 0) { event = { type: eventName, target: target }; }
+            this.globalListeners.slice().forEach(function (listener) {
+                if (listener.target === target && listener.name === eventName) {
+                    listener.callback(event);
+                }
+            });
         };
+        MemoryRootRenderer.decorators = [
+            { type: Injectable },
+        ];
+        /** @nocollapse */
+        MemoryRootRenderer.ctorParameters = function () { return [
+            { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [APP_ID,] },] },
+        ]; };
+        return MemoryRootRenderer;
+    }());
+    var MemoryRenderer = (function () {
         /**
+         * @param {?} _rootRenderer
+         * @param {?} componentType
+         */
+        function MemoryRenderer(_rootRenderer, componentType) {
+            this._rootRenderer = _rootRenderer;
+            this._contentAttr = null;
+            this._hostAttr = null;
+            var /** @type {?} */ styleShimId = isPresent(_rootRenderer.appId) ? _rootRenderer.appId + "-" + componentType.id : componentType.id;
+            (_a = this._rootRenderer.styles).push.apply(_a, _flattenStyles(styleShimId, componentType.styles, []));
+            if (componentType.encapsulation === ViewEncapsulation.Emulated) {
+                this._contentAttr = "_ngcontent-" + styleShimId;
+                this._hostAttr = "_nghost-" + styleShimId;
+            }
+            var _a;
+        }
+        /**
+         * @param {?} selectorOrNode
+         * @param {?=} debugInfo
          * @return {?}
          */
-        QueryList.prototype.toArray = function () { return this._results.slice(); };
+        MemoryRenderer.prototype.selectRootElement = function (selectorOrNode, debugInfo) {
+            var /** @type {?} */ el;
+            if (typeof selectorOrNode === 'string') {
+                el = this._rootRenderer.document.querySelector(selectorOrNode);
+                var /** @type {?} */ container = this._rootRenderer.rootElementContainer;
+                if (!el && container && /^[\w-]+$/.test(selectorOrNode)) {
+                    el = container.appendChild(new MemoryElement(selectorOrNode.toLowerCase()));
+                }
+                if (!el) {
+                    throw new Error("The selector \"" + selectorOrNode + "\" did not match any elements");
+                }
+            }
+            else {
+                el = selectorOrNode;
+            }
+            el.childNodes.slice().forEach(function (node) { return node.remove(); });
+            return el;
+        };
         /**
+         * @param {?} parent
+         * @param {?} name
+         * @param {?=} debugInfo
          * @return {?}
          */
-        QueryList.prototype[getSymbolIterator()] = function () { return ((this._results))[getSymbolIterator()](); };
+        MemoryRenderer.prototype.createElement = function (parent, name, debugInfo) {
+            // Namespaced names look like `:svg:rect`.
+            var /** @type {?} */ el = new MemoryElement(name[0] === ':' ? name.substring(name.indexOf(':', 1) + 1) : name);
+            if (this._contentAttr) {
+                el.setAttribute(this._contentAttr, '');
+            }
+            if (parent) {
+                parent.appendChild(el);
+            }
+            return el;
+        };
         /**
+         * @param {?} hostElement
          * @return {?}
          */
-        QueryList.prototype.toString = function () { return this._results.toString(); };
+        MemoryRenderer.prototype.createViewRoot = function (hostElement) {
+            if (this._hostAttr) {
+                hostElement.setAttribute(this._hostAttr, '');
+            }
+            return hostElement;
+        };
         /**
-         * @param {?} res
+         * @param {?} parentElement
+         * @param {?=} debugInfo
          * @return {?}
          */
-        QueryList.prototype.reset = function (res) {
-            this._results = ListWrapper.flatten(res);
-            this._dirty = false;
+        MemoryRenderer.prototype.createTemplateAnchor = function (parentElement, debugInfo) {
+            var /** @type {?} */ comment = new MemoryComment(_TEMPLATE_COMMENT_TEXT);
+            comment._templateAnchor = true;
+            if (parentElement) {
+                parentElement.appendChild(comment);
+            }
+            return comment;
         };
         /**
+         * @param {?} parentElement
+         * @param {?} value
+         * @param {?=} debugInfo
          * @return {?}
          */
-        QueryList.prototype.notifyOnChanges = function () { this._emitter.emit(this); };
+        MemoryRenderer.prototype.createText = function (parentElement, value, debugInfo) {
+            var /** @type {?} */ node = new MemoryText(value);
+            if (parentElement) {
+                parentElement.appendChild(node);
+            }
+            return node;
+        };
         /**
-         * internal
+         * @param {?} parentElement
+         * @param {?} nodes
          * @return {?}
          */
-        QueryList.prototype.setDirty = function () { this._dirty = true; };
-        Object.defineProperty(QueryList.prototype, "dirty", {
-            /**
-             * internal
-             * @return {?}
-             */
-            get: function () { return this._dirty; },
-            enumerable: true,
-            configurable: true
-        });
-        return QueryList;
-    }());
-
-    var /** @type {?} */ _SEPARATOR = '#';
-    var /** @type {?} */ FACTORY_CLASS_SUFFIX = 'NgFactory';
-    /**
-     * Configuration for SystemJsNgModuleLoader.
-     * token.
-     *
-     * \@experimental
-     * @abstract
-     */
-    var SystemJsNgModuleLoaderConfig = (function () {
-        function SystemJsNgModuleLoaderConfig() {
-        }
-        return SystemJsNgModuleLoaderConfig;
-    }());
-    var /** @type {?} */ DEFAULT_CONFIG = {
-        factoryPathPrefix: '',
-        factoryPathSuffix: '.ngfactory',
-    };
-    /**
-     * NgModuleFactoryLoader that uses SystemJS to load NgModuleFactory
-     * \@experimental
-     */
-    var SystemJsNgModuleLoader = (function () {
+        MemoryRenderer.prototype.projectNodes = function (parentElement, nodes) {
+            if (parentElement) {
+                nodes.forEach(function (node) { return parentElement.appendChild(node); });
+            }
+        };
         /**
-         * @param {?} _compiler
-         * @param {?=} config
+         * @param {?} node
+         * @param {?} viewRootNodes
+         * @return {?}
          */
-        function SystemJsNgModuleLoader(_compiler, config) {
-            this._compiler = _compiler;
-            this._config = config || DEFAULT_CONFIG;
-        }
+        MemoryRenderer.prototype.attachViewAfter = function (node, viewRootNodes) {
+            var /** @type {?} */ parent = node.parentNode;
+            if (parent) {
+                var /** @type {?} */ nextSibling_1 = node.nextSibling;
+                viewRootNodes.forEach(function (rootNode) {
+                    rootNode._viewRootNode = true;
+                    parent.insertBefore(rootNode, nextSibling_1);
+                });
+            }
+        };
         /**
-         * @param {?} path
+         * @param {?} viewRootNodes
          * @return {?}
          */
-        SystemJsNgModuleLoader.prototype.load = function (path) {
-            var /** @type {?} */ offlineMode = this._compiler instanceof Compiler;
-            return offlineMode ? this.loadFactory(path) : this.loadAndCompile(path);
+        MemoryRenderer.prototype.detachView = function (viewRootNodes) {
+            viewRootNodes.forEach(function (node) {
+                node._viewRootNode = false;
+                node.remove();
+            });
         };
         /**
-         * @param {?} path
+         * @param {?} hostElement
+         * @param {?} viewAllNodes
          * @return {?}
          */
-        SystemJsNgModuleLoader.prototype.loadAndCompile = function (path) {
-            var _this = this;
-            var _a = path.split(_SEPARATOR), module = _a[0], exportName = _a[1];
-            if (exportName === undefined) {
-                exportName = 'default';
+        MemoryRenderer.prototype.destroyView = function (hostElement, viewAllNodes) { };
+        /**
+         * @param {?} renderElement
+         * @param {?} name
+         * @param {?} callback
+         * @return {?}
+         */
+        MemoryRenderer.prototype.listen = function (renderElement, name, callback) {
+            return _addListener(renderElement.listeners, { name: name, callback: callback });
+        };
+        /**
+         * @param {?} target
+         * @param {?} name
+         * @param {?} callback
+         * @return {?}
+         */
+        MemoryRenderer.prototype.listenGlobal = function (target, name, callback) {
+            return _addListener(this._rootRenderer.globalListeners, { target: target, name: name, callback: callback });
+        };
+        /**
+         * @param {?} renderElement
+         * @param {?} propertyName
+         * @param {?} propertyValue
+         * @return {?}
+         */
+        MemoryRenderer.prototype.setElementProperty = function (renderElement, propertyName, propertyValue) {
+            renderElement.properties[propertyName] = propertyValue;
+            if (_REFLECTED_PROPERTIES.hasOwnProperty(propertyName)) {
+                this.setElementAttribute(renderElement, _REFLECTED_PROPERTIES[propertyName], propertyValue);
+            }
+            else if (_BOOLEAN_PROPERTIES.indexOf(propertyName) !== -1) {
+                this.setElementAttribute(renderElement, propertyName.toLowerCase(), propertyValue ? '' : null);
+            }
+            else if (propertyName === 'textContent') {
+                renderElement.childNodes.slice().forEach(function (node) { return node.remove(); });
+                if (isPresent(propertyValue) && propertyValue !== '') {
+                    renderElement.appendChild(new MemoryText(String(propertyValue)));
+                }
             }
-            return System.import(module)
-                .then(function (module) { return module[exportName]; })
-                .then(function (type) { return checkNotEmpty(type, module, exportName); })
-                .then(function (type) { return _this._compiler.compileModuleAsync(type); });
         };
         /**
-         * @param {?} path
+         * @param {?} renderElement
+         * @param {?} attributeName
+         * @param {?} attributeValue
          * @return {?}
          */
-        SystemJsNgModuleLoader.prototype.loadFactory = function (path) {
-            var _a = path.split(_SEPARATOR), module = _a[0], exportName = _a[1];
-            var /** @type {?} */ factoryClassSuffix = FACTORY_CLASS_SUFFIX;
-            if (exportName === undefined) {
-                exportName = 'default';
-                factoryClassSuffix = '';
+        MemoryRenderer.prototype.setElementAttribute = function (renderElement, attributeName, attributeValue) {
+            // Namespaced names look like `:xlink:href`.
+            var /** @type {?} */ name = attributeName[0] === ':' ? attributeName.substring(1) : attributeName;
+            if (isPresent(attributeValue)) {
+                renderElement.setAttribute(name, attributeValue);
+            }
+            else {
+                renderElement.removeAttribute(name);
             }
-            return System.import(this._config.factoryPathPrefix + module + this._config.factoryPathSuffix)
-                .then(function (module) { return module[exportName + factoryClassSuffix]; })
-                .then(function (factory) { return checkNotEmpty(factory, module, exportName); });
         };
-        SystemJsNgModuleLoader.decorators = [
-            { type: Injectable },
-        ];
-        /** @nocollapse */
-        SystemJsNgModuleLoader.ctorParameters = function () { return [
-            { type: Compiler, },
-            { type: SystemJsNgModuleLoaderConfig, decorators: [{ type: Optional },] },
-        ]; };
-        return SystemJsNgModuleLoader;
+        /**
+         * @param {?} renderElement
+         * @param {?} propertyName
+         * @param {?} propertyValue
+         * @return {?}
+         */
+        MemoryRenderer.prototype.setBindingDebugInfo = function (renderElement, propertyName, propertyValue) {
+            if (renderElement instanceof MemoryComment) {
+                // Like the DOM renderer, list the bindings of template anchors in their text.
+                var /** @type {?} */ match = _TEMPLATE_BINDINGS_EXP.exec(renderElement.nodeValue.replace(/\n/g, ''));
+                var /** @type {?} */ bindings = match ? JSON.parse(match[1]) : {};
+                bindings[propertyName] = propertyValue;
+                renderElement.nodeValue = "template bindings=" + JSON.stringify(bindings, null, 2);
+            }
+            else {
+                this.setElementAttribute(renderElement, propertyName, propertyValue);
+            }
+        };
+        /**
+         * @param {?} renderElement
+         * @param {?} className
+         * @param {?} isAdd
+         * @return {?}
+         */
+        MemoryRenderer.prototype.setElementClass = function (renderElement, className, isAdd) {
+            var /** @type {?} */ classes = renderElement.classList.filter(function (name) { return name !== className; });
+            if (isAdd) {
+                classes.push(className);
+            }
+            if (classes.length) {
+                renderElement.setAttribute('class', classes.join(' '));
+            }
+            else {
+                renderElement.removeAttribute('class');
+            }
+        };
+        /**
+         * @param {?} renderElement
+         * @param {?} styleName
+         * @param {?} styleValue
+         * @return {?}
+         */
+        MemoryRenderer.prototype.setElementStyle = function (renderElement, styleName, styleValue) {
+            renderElement.setStyle(styleName, styleValue);
+        };
+        /**
+         * Calls `methodName` if the element has such a method, and does nothing otherwise, e.g. for
+         * `focus()`.
+         * @param {?} renderElement
+         * @param {?} methodName
+         * @param {?=} args
+         * @return {?}
+         */
+        MemoryRenderer.prototype.invokeElementMethod = function (renderElement, methodName, args) {
+            if (typeof renderElement[methodName] === 'function') {
+                renderElement[methodName].apply(renderElement, args || []);
+            }
+        };
+        /**
+         * @param {?} renderNode
+         * @param {?} text
+         * @return {?}
+         */
+        MemoryRenderer.prototype.setText = function (renderNode, text) { renderNode.nodeValue = text; };
+        /**
+         * @param {?} element
+         * @param {?} startingStyles
+         * @param {?} keyframes
+         * @param {?} duration
+         * @param {?} delay
+         * @param {?} easing
+         * @param {?=} previousPlayers
+         * @return {?}
+         */
+        MemoryRenderer.prototype.animate = function (element, startingStyles, keyframes, duration, delay, easing, previousPlayers) {
+            if (previousPlayers === void 0) { previousPlayers = []; }
+            return new NoOpAnimationPlayer_();
+        };
+        return MemoryRenderer;
     }());
     /**
-     * @param {?} value
-     * @param {?} modulePath
-     * @param {?} exportName
+     * @param {?} listeners
+     * @param {?} listener
      * @return {?}
      */
-    function checkNotEmpty(value, modulePath, exportName) {
-        if (!value) {
-            throw new Error("Cannot find '" + exportName + "' in '" + modulePath + "'");
+    function _addListener(listeners, listener) {
+        listeners.push(listener);
+        return function () {
+            var /** @type {?} */ index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        };
+    }
+    /**
+     * @param {?} compId
+     * @param {?} styles
+     * @param {?} target
+     * @return {?}
+     */
+    function _flattenStyles(compId, styles, target) {
+        for (var /** @type {?} */ i = 0; i < styles.length; i++) {
+            var /** @type {?} */ style = styles[i];
+            if (Array.isArray(style)) {
+                _flattenStyles(compId, style, target);
+            }
+            else {
+                style = style.replace(_COMPONENT_REGEX, compId);
+                target.push(style);
+            }
         }
-        return value;
+        return target;
     }
-
     /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
+     * @param {?} selector
+     * @return {?}
      */
-    var __extends$10 = (this && this.__extends) || function (d, b) {
-        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
-        function __() { this.constructor = d; }
-        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
-    };
+    function _compileSelector(selector) {
+        var /** @type {?} */ conditions = [];
+        var /** @type {?} */ partExp = /([#.]?)([\w-]+)|\[\s*([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*\]/g;
+        var /** @type {?} */ consumed = 0;
+        var /** @type {?} */ match;
+        var _loop_1 = function() {
+            consumed += match[0].length;
+            if (match[3]) {
+                var /** @type {?} */ name_1 = match[3];
+                var /** @type {?} */ value_1 = [match[4], match[5], match[6]].find(function (group) { return group !== undefined; });
+                conditions.push(function (el) { return el.attributes.hasOwnProperty(name_1) &&
+                    (value_1 === undefined || el.attributes[name_1] === value_1); });
+            }
+            else if (match[1] === '#') {
+                var /** @type {?} */ id_1 = match[2];
+                conditions.push(function (el) { return el.attributes['id'] === id_1; });
+            }
+            else if (match[1] === '.') {
+                var /** @type {?} */ className_1 = match[2];
+                conditions.push(function (el) { return el.classList.indexOf(className_1) !== -1; });
+            }
+            else {
+                var /** @type {?} */ tagName_1 = match[2].toLowerCase();
+                conditions.push(function (el) { return el.nodeName.toLowerCase() === tagName_1; });
+            }
+        };
+        while ((match = partExp.exec(selector)) !== null && match.index === consumed) {
+            _loop_1();
+        }
+        if (!conditions.length || consumed !== selector.trim().length) {
+            throw new Error("Unsupported selector \"" + selector + "\"");
+        }
+        return function (el) { return conditions.every(function (condition) { return condition(el); }); };
+    }
     /**
-     * Represents an Embedded Template that can be used to instantiate Embedded Views.
-     *
-     * You can access a `TemplateRef`, in two ways. Via a directive placed on a `<template>` element (or
-     * directive prefixed with `*`) and have the `TemplateRef` for this Embedded View injected into the
-     * constructor of the directive using the `TemplateRef` Token. Alternatively you can query for the
-     * `TemplateRef` from a Component or a Directive via {\@link Query}.
-     *
-     * To instantiate Embedded Views based on a Template, use
-     * {\@link ViewContainerRef#createEmbeddedView}, which will create the View and attach it to the
-     * View Container.
-     * \@stable
-     * @abstract
+     * @param {?} element
+     * @param {?} visitor
+     * @return {?}
      */
-    var TemplateRef = (function () {
-        function TemplateRef() {
-        }
-        Object.defineProperty(TemplateRef.prototype, "elementRef", {
-            /**
-             * @return {?}
-             */
-            get: function () { return null; },
-            enumerable: true,
-            configurable: true
+    function _visitElements(element, visitor) {
+        element.children.forEach(function (child) {
+            visitor(child);
+            _visitElements(child, visitor);
         });
-        /**
-         * @abstract
-         * @param {?} context
-         * @return {?}
-         */
-        TemplateRef.prototype.createEmbeddedView = function (context) { };
-        return TemplateRef;
-    }());
-    var TemplateRef_ = (function (_super) {
-        __extends$10(TemplateRef_, _super);
-        /**
-         * @param {?} _parentView
-         * @param {?} _nodeIndex
-         * @param {?} _nativeElement
-         */
-        function TemplateRef_(_parentView, _nodeIndex, _nativeElement) {
-            _super.call(this);
-            this._parentView = _parentView;
-            this._nodeIndex = _nodeIndex;
-            this._nativeElement = _nativeElement;
-        }
-        /**
-         * @param {?} context
-         * @return {?}
-         */
-        TemplateRef_.prototype.createEmbeddedView = function (context) {
-            var /** @type {?} */ view = this._parentView.createEmbeddedViewInternal(this._nodeIndex);
-            view.create(context || ({}));
-            return view.ref;
-        };
-        Object.defineProperty(TemplateRef_.prototype, "elementRef", {
-            /**
-             * @return {?}
-             */
-            get: function () { return new ElementRef(this._nativeElement); },
-            enumerable: true,
-            configurable: true
+    }
+    /**
+     * @param {?} style
+     * @return {?}
+     */
+    function _parseStyles(style) {
+        var /** @type {?} */ styles = {};
+        String(style).split(';').forEach(function (declaration) {
+            var /** @type {?} */ colon = declaration.indexOf(':');
+            if (colon !== -1) {
+                styles[declaration.substring(0, colon).trim()] = declaration.substring(colon + 1).trim();
+            }
         });
-        return TemplateRef_;
-    }(TemplateRef));
+        return styles;
+    }
+    /**
+     * @param {?} input
+     * @return {?}
+     */
+    function _camelCaseToDashCase(input) {
+        return input.replace(/[A-Z]/g, function (m) { return '-' + m.toLowerCase(); });
+    }
+    /**
+     * @param {?} text
+     * @return {?}
+     */
+    function _escapeText(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+    /**
+     * @param {?} value
+     * @return {?}
+     */
+    function _escapeAttribute(value) {
+        return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+    }
 
     /**
-     * Represents a container where one or more Views can be attached.
-     *
-     * The container can contain two kinds of Views. Host Views, created by instantiating a
-     * {\@link Component} via {\@link #createComponent}, and Embedded Views, created by instantiating an
-     * {\@link TemplateRef Embedded Template} via {\@link #createEmbeddedView}.
+     * The properties that replace the content of an element, so that the server-rendered
+     * children of the element must not be removed when hydration finishes.
+     */
+    var /** @type {?} */ _CONTENT_PROPERTIES = ['innerHTML', 'innerText', 'textContent'];
+    /**
+     * The template anchors of the containers whose views are being created, innermost last.
+     */
+    var /** @type {?} */ _creatingInContainers = [];
+    /**
+     * Calls `create`, during which the root nodes of new views can claim the server-rendered nodes
+     * that follow the template anchor `anchor` of a container.
+     * @param {?} anchor
+     * @param {?} create
+     * @return {?}
+     */
+    function createInContainer(anchor, create) {
+        _creatingInContainers.push(anchor);
+        try {
+            return create();
+        }
+        finally {
+            _creatingInContainers.pop();
+        }
+    }
+    /**
+     * A {\@link RootRenderer} that reuses the DOM rendered on the server, e.g. via
+     * {\@link renderModuleToString}, instead of creating it anew, and otherwise forwards to the
+     * renderers of its delegate, e.g. the DOM renderer of the platform.
+     *
+     * While hydrating, root components take over the elements that match their selectors without
+     * clearing them. Every element, text and template anchor that is created in an element taken
+     * over this way claims the next server-rendered child of that element with the same tag, or
+     * of the same kind for texts and anchors, in creation order. Static texts have to match as
+     * well, while bound texts are updated by change detection. The root nodes of the embedded
+     * views that a `ViewContainerRef` creates, e.g. for `ngIf` or `ngFor`, claim the nodes that
+     * follow the template anchor of that container. Other nodes without a parent element, e.g.
+     * projected content, are always created anew. Listeners and bindings are then applied to the
+     * claimed nodes as usual.
+     *
+     * The nodes that follow a container only claim server-rendered nodes after the
+     * `<!--container end-->` comment that the server puts after its embedded views. Containers
+     * that are root nodes of embedded views themselves, e.g. an `ngIf` directly inside an `ngFor`,
+     * share the end comment of the outer container, so their embedded views can still claim the
+     * nodes of later views of the outer container if they have the same tag.
+     *
+     * Nodes that don't match are created anew in their place, and a warning with the template
+     * location from `DebugContext.source` is logged in dev mode. Server-rendered nodes that were
+     * not claimed, e.g. projected content or end comments, and the `style[ng-transition]`
+     * elements of the server are removed by `finishHydration()`, which also ends hydration. The
+     * platform calls it once the components of the bootstrapped module have been checked for the
+     * first time, so components bootstrapped later, e.g. by `ngDoBootstrap` after a delay, are
+     * rendered anew.
+     *
+     * The `APP_ID` of the client has to be the one used on the server, so that the attributes of
+     * emulated view encapsulation match. This renderer should wrap the DOM renderer directly, so
+     * that debug renderers see the claimed nodes.
      *
-     * The location of the View Container within the containing View is specified by the Anchor
-     * `element`. Each View Container can have only one Anchor Element and each Anchor Element can only
-     * have a single View Container.
+     * ### Example
      *
-     * Root elements of Views attached to this container become siblings of the Anchor Element in
-     * the Rendered View.
+     * ```typescript
+     * const hydration = new HydrationRootRenderer(domRootRenderer, document);
+     * // bootstrap with `{provide: RootRenderer, useValue: hydration}`
+     * platformBrowser().bootstrapModuleFactory(AppModuleNgFactory);
+     * ```
      *
-     * To access a `ViewContainerRef` of an Element, you can either place a {\@link Directive} injected
-     * with `ViewContainerRef` on the Element, or you obtain it via a {\@link ViewChild} query.
-     * \@stable
-     * @abstract
+     * \@experimental
      */
-    var ViewContainerRef = (function () {
-        function ViewContainerRef() {
+    var HydrationRootRenderer = (function () {
+        /**
+         * @param {?} _delegate
+         * @param {?} document
+         */
+        function HydrationRootRenderer(_delegate, document) {
+            this._delegate = _delegate;
+            this.document = document;
+            this._hydrating = true;
+            this._renderers = new Map();
+            this._claimed = new Set();
+            this._serverChildren = new Map();
+            this._containers = new Map();
+            this._ownContent = new Set();
         }
-        Object.defineProperty(ViewContainerRef.prototype, "element", {
-            /**
-             * Anchor element that specifies the location of this container in the containing View.
-             * <!-- TODO: rename to anchorElement -->
-             * @return {?}
-             */
-            get: function () { return (unimplemented()); },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(ViewContainerRef.prototype, "injector", {
-            /**
-             * @return {?}
-             */
-            get: function () { return (unimplemented()); },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(ViewContainerRef.prototype, "parentInjector", {
+        Object.defineProperty(HydrationRootRenderer.prototype, "hydrating", {
             /**
+             * Whether nodes are still claimed, i.e. `finishHydration()` wasn't called yet.
              * @return {?}
              */
-            get: function () { return (unimplemented()); },
+            get: function () { return this._hydrating; },
             enumerable: true,
             configurable: true
         });
         /**
-         * Destroys all Views in this container.
-         * @abstract
+         * @param {?} componentType
          * @return {?}
          */
-        ViewContainerRef.prototype.clear = function () { };
+        HydrationRootRenderer.prototype.renderComponent = function (componentType) {
+            var /** @type {?} */ renderer = this._renderers.get(componentType.id);
+            if (!renderer) {
+                renderer = new HydrationRenderer(this, this._delegate.renderComponent(componentType));
+                this._renderers.set(componentType.id, renderer);
+            }
+            return renderer;
+        };
         /**
-         * Returns the {\@link ViewRef} for the View located in this container at the specified index.
-         * @abstract
-         * @param {?} index
+         * Removes the server-rendered nodes that were not claimed as well as the styles of the
+         * server and stops claiming nodes.
          * @return {?}
          */
-        ViewContainerRef.prototype.get = function (index) { };
-        Object.defineProperty(ViewContainerRef.prototype, "length", {
-            /**
-             * Returns the number of Views currently attached to this container.
-             * @return {?}
-             */
-            get: function () { return (unimplemented()); },
-            enumerable: true,
-            configurable: true
-        });
-        ;
+        HydrationRootRenderer.prototype.finishHydration = function () {
+            var _this = this;
+            if (!this._hydrating) {
+                return;
+            }
+            this._hydrating = false;
+            this._serverChildren.forEach(function (state, parent) {
+                if (_this._ownContent.has(parent)) {
+                    return;
+                }
+                state.children.forEach(function (child) {
+                    if (!_this._claimed.has(child) && child.parentNode === parent) {
+                        parent.removeChild(child);
+                    }
+                });
+            });
+            var /** @type {?} */ style;
+            while ((style = this.document.querySelector('style[ng-transition]'))) {
+                style.parentNode.removeChild(style);
+            }
+            this._claimed.clear();
+            this._serverChildren.clear();
+            this._containers.clear();
+            this._ownContent.clear();
+        };
         /**
-         * Instantiates an Embedded View based on the {\@link TemplateRef `templateRef`} and inserts it
-         * into this container at the specified `index`.
-         *
-         * If `index` is not specified, the new View will be inserted as the last View in the container.
-         *
-         * Returns the {\@link ViewRef} for the newly created View.
-         * @abstract
-         * @param {?} templateRef
-         * @param {?=} context
-         * @param {?=} index
+         * \@internal
+         * Claims `node` and remembers its current children, which are claimed by the nodes that are
+         * created in it later on.
+         * @param {?} node
          * @return {?}
          */
-        ViewContainerRef.prototype.createEmbeddedView = function (templateRef, context, index) { };
+        HydrationRootRenderer.prototype._claim = function (node) {
+            this._claimed.add(node);
+            var /** @type {?} */ state = this._serverChildren.get(node.parentNode);
+            if (node.nodeType === 8 && state) {
+                var /** @type {?} */ next = state.children.indexOf(node) + 1;
+                var /** @type {?} */ end = _indexOfContainerEnd(state.children, next);
+                this._containers.set(node, { state: state, next: next, end: end === -1 ? state.children.length : end });
+            }
+            else if (node.nodeType === 1) {
+                this._serverChildren.set(node, { children: Array.from(node.childNodes), next: 0 });
+            }
+            return node;
+        };
         /**
-         * Instantiates a single {\@link Component} and inserts its Host View into this container at the
-         * specified `index`.
-         *
-         * The component is instantiated using its {\@link ComponentFactory} which can be
-         * obtained via {\@link ComponentFactoryResolver#resolveComponentFactory}.
-         *
-         * If `index` is not specified, the new View will be inserted as the last View in the container.
-         *
-         * You can optionally specify the {\@link Injector} that will be used as parent for the Component.
-         *
-         * Returns the {\@link ComponentRef} of the Host View created for the newly instantiated Component.
-         * @abstract
-         * @param {?} componentFactory
-         * @param {?=} index
-         * @param {?=} injector
-         * @param {?=} projectableNodes
+         * \@internal
+         * Returns the next unclaimed server-rendered child of `parent` that `matches`, or `null`.
+         * Children that are skipped stay unclaimed, e.g. for embedded views, and the embedded views
+         * of containers are skipped up to their end comment.
+         * @param {?} parent
+         * @param {?} matches
+         * @return {?}
+         */
+        HydrationRootRenderer.prototype._claimChild = function (parent, matches) {
+            var /** @type {?} */ state = this._serverChildren.get(parent);
+            for (var /** @type {?} */ i = state.next; i < state.children.length; i++) {
+                var /** @type {?} */ child = state.children[i];
+                var /** @type {?} */ end = child.nodeType === 8 && !_isContainerEnd(child) ?
+                    _indexOfContainerEnd(state.children, i + 1) :
+                    -1;
+                if (!this._claimed.has(child) && matches(child)) {
+                    state.next = (end === -1 ? i : end) + 1;
+                    return this._claim(child);
+                }
+                if (end !== -1) {
+                    i = end;
+                }
+            }
+            return null;
+        };
+        /**
+         * \@internal
+         * Returns the next unclaimed server-rendered node that directly follows the template anchor
+         * of the container whose views are being created, or the nodes already claimed for it,
+         * before the end comment of the container and that `matches`, or `null`.
+         * @param {?} matches
          * @return {?}
          */
-        ViewContainerRef.prototype.createComponent = function (componentFactory, index, injector, projectableNodes) { };
+        HydrationRootRenderer.prototype._claimViewNode = function (matches) {
+            var /** @type {?} */ anchor = _creatingInContainers[_creatingInContainers.length - 1];
+            var /** @type {?} */ container = anchor ? this._containers.get(anchor) : null;
+            if (!container) {
+                return null;
+            }
+            var /** @type {?} */ node = container.state.children[container.next];
+            if (container.next < container.end && !this._claimed.has(node) && matches(node)) {
+                container.next++;
+                return this._claim(node);
+            }
+            return null;
+        };
         /**
-         * Inserts a View identified by a {\@link ViewRef} into the container at the specified `index`.
-         *
-         * If `index` is not specified, the new View will be inserted as the last View in the container.
-         *
-         * Returns the inserted {\@link ViewRef}.
-         * @abstract
-         * @param {?} viewRef
-         * @param {?=} index
+         * \@internal
+         * Returns the first unclaimed server-rendered child of `parent` that follows the nodes
+         * claimed so far, i.e. where a node that is created anew has to be inserted.
+         * @param {?} parent
          * @return {?}
          */
-        ViewContainerRef.prototype.insert = function (viewRef, index) { };
+        HydrationRootRenderer.prototype._nextServerChild = function (parent) {
+            var /** @type {?} */ state = this._serverChildren.get(parent);
+            for (var /** @type {?} */ i = state.next; i < state.children.length; i++) {
+                var /** @type {?} */ child = state.children[i];
+                if (!this._claimed.has(child) && child.parentNode === parent) {
+                    return child;
+                }
+            }
+            return null;
+        };
         /**
-         * Moves a View identified by a {\@link ViewRef} into the container at the specified `index`.
-         *
-         * Returns the inserted {\@link ViewRef}.
-         * @abstract
-         * @param {?} viewRef
-         * @param {?} currentIndex
+         * \@internal
+         * @param {?} parent
          * @return {?}
          */
-        ViewContainerRef.prototype.move = function (viewRef, currentIndex) { };
+        HydrationRootRenderer.prototype._isHydrated = function (parent) { return this._hydrating && this._serverChildren.has(parent); };
         /**
-         * Returns the index of the View, specified via {\@link ViewRef}, within the current container or
-         * `-1` if this container doesn't contain the View.
-         * @abstract
-         * @param {?} viewRef
+         * \@internal
+         * @param {?} element
          * @return {?}
          */
-        ViewContainerRef.prototype.indexOf = function (viewRef) { };
-        /**
-         * Destroys a View attached to this container at the specified `index`.
-         *
-         * If `index` is not specified, the last View in the container will be removed.
-         * @abstract
-         * @param {?=} index
-         * @return {?}
+        HydrationRootRenderer.prototype._markOwnContent = function (element) {
+            if (this._isHydrated(element)) {
+                this._ownContent.add(element);
+            }
+        };
+        return HydrationRootRenderer;
+    }());
+    var HydrationRenderer = (function () {
+        /**
+         * @param {?} _root
+         * @param {?} _delegate
          */
-        ViewContainerRef.prototype.remove = function (index) { };
+        function HydrationRenderer(_root, _delegate) {
+            this._root = _root;
+            this._delegate = _delegate;
+        }
         /**
-         * Use along with {\@link #insert} to move a View within the current container.
-         *
-         * If the `index` param is omitted, the last {\@link ViewRef} is detached.
-         * @abstract
-         * @param {?=} index
+         * @param {?} selectorOrNode
+         * @param {?=} debugInfo
          * @return {?}
          */
-        ViewContainerRef.prototype.detach = function (index) { };
-        return ViewContainerRef;
-    }());
-    var ViewContainerRef_ = (function () {
+        HydrationRenderer.prototype.selectRootElement = function (selectorOrNode, debugInfo) {
+            if (this._root.hydrating) {
+                var /** @type {?} */ el = typeof selectorOrNode === 'string' ?
+                    this._root.document.querySelector(selectorOrNode) :
+                    selectorOrNode;
+                if (el) {
+                    return this._root._claim(el);
+                }
+            }
+            return this._delegate.selectRootElement(selectorOrNode, debugInfo);
+        };
         /**
-         * @param {?} _element
+         * @param {?} parentElement
+         * @param {?} name
+         * @param {?=} debugInfo
+         * @return {?}
          */
-        function ViewContainerRef_(_element) {
-            this._element = _element;
-            /** @internal */
-            this._createComponentInContainerScope = wtfCreateScope('ViewContainerRef#createComponent()');
-            /** @internal */
-            this._insertScope = wtfCreateScope('ViewContainerRef#insert()');
-            /** @internal */
-            this._removeScope = wtfCreateScope('ViewContainerRef#remove()');
-            /** @internal */
-            this._detachScope = wtfCreateScope('ViewContainerRef#detach()');
-        }
+        HydrationRenderer.prototype.createElement = function (parentElement, name, debugInfo) {
+            var _this = this;
+            // Namespaced names look like `:svg:rect`.
+            var /** @type {?} */ tagName = (name[0] === ':' ? name.substring(name.indexOf(':', 1) + 1) : name).toLowerCase();
+            return this._claimOrCreate(parentElement, function (node) { return node.nodeType === 1 && node.nodeName.toLowerCase() === tagName; }, "<" + tagName + ">", debugInfo, function (parent) { return _this._delegate.createElement(parent, name, debugInfo); });
+        };
         /**
-         * @param {?} index
+         * @param {?} hostElement
          * @return {?}
          */
-        ViewContainerRef_.prototype.get = function (index) { return this._element.nestedViews[index].ref; };
-        Object.defineProperty(ViewContainerRef_.prototype, "length", {
-            /**
-             * @return {?}
-             */
-            get: function () {
-                var /** @type {?} */ views = this._element.nestedViews;
-                return isPresent(views) ? views.length : 0;
-            },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(ViewContainerRef_.prototype, "element", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._element.elementRef; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(ViewContainerRef_.prototype, "injector", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._element.injector; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(ViewContainerRef_.prototype, "parentInjector", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._element.parentInjector; },
-            enumerable: true,
-            configurable: true
-        });
+        HydrationRenderer.prototype.createViewRoot = function (hostElement) { return this._delegate.createViewRoot(hostElement); };
         /**
-         * @param {?} templateRef
-         * @param {?=} context
-         * @param {?=} index
+         * @param {?} parentElement
+         * @param {?=} debugInfo
          * @return {?}
          */
-        ViewContainerRef_.prototype.createEmbeddedView = function (templateRef, context, index) {
-            if (context === void 0) { context = null; }
-            if (index === void 0) { index = -1; }
-            var /** @type {?} */ viewRef = templateRef.createEmbeddedView(context);
-            this.insert(viewRef, index);
-            return viewRef;
+        HydrationRenderer.prototype.createTemplateAnchor = function (parentElement, debugInfo) {
+            var _this = this;
+            return this._claimOrCreate(parentElement, function (node) { return node.nodeType === 8 && !_isContainerEnd(node); }, 'a template anchor', debugInfo, function (parent) { return _this._delegate.createTemplateAnchor(parent, debugInfo); });
         };
         /**
-         * @param {?} componentFactory
-         * @param {?=} index
-         * @param {?=} injector
-         * @param {?=} projectableNodes
+         * @param {?} parentElement
+         * @param {?} value
+         * @param {?=} debugInfo
          * @return {?}
          */
-        ViewContainerRef_.prototype.createComponent = function (componentFactory, index, injector, projectableNodes) {
-            if (index === void 0) { index = -1; }
-            if (injector === void 0) { injector = null; }
-            if (projectableNodes === void 0) { projectableNodes = null; }
-            var /** @type {?} */ s = this._createComponentInContainerScope();
-            var /** @type {?} */ contextInjector = injector || this._element.parentInjector;
-            var /** @type {?} */ componentRef = componentFactory.create(contextInjector, projectableNodes);
-            this.insert(componentRef.hostView, index);
-            return wtfLeave(s, componentRef);
+        HydrationRenderer.prototype.createText = function (parentElement, value, debugInfo) {
+            var _this = this;
+            // Bound texts are created empty and can have any value on the server.
+            return this._claimOrCreate(parentElement, function (node) { return node.nodeType === 3 && (value === '' || node.nodeValue === value); }, "the text \"" + value + "\"", debugInfo, function (parent) { return _this._delegate.createText(parent, value, debugInfo); });
         };
         /**
-         * @param {?} viewRef
-         * @param {?=} index
+         * @param {?} parentElement
+         * @param {?} nodes
          * @return {?}
          */
-        ViewContainerRef_.prototype.insert = function (viewRef, index) {
-            if (index === void 0) { index = -1; }
-            var /** @type {?} */ s = this._insertScope();
-            if (index == -1)
-                index = this.length;
-            var /** @type {?} */ viewRef_ = (viewRef);
-            this._element.attachView(viewRef_.internalView, index);
-            return wtfLeave(s, viewRef_);
+        HydrationRenderer.prototype.projectNodes = function (parentElement, nodes) {
+            if (!this._root.hydrating || !_areChildrenInOrder(parentElement, nodes)) {
+                this._delegate.projectNodes(parentElement, nodes);
+            }
         };
         /**
-         * @param {?} viewRef
-         * @param {?} currentIndex
+         * @param {?} node
+         * @param {?} viewRootNodes
          * @return {?}
          */
-        ViewContainerRef_.prototype.move = function (viewRef, currentIndex) {
-            var /** @type {?} */ s = this._insertScope();
-            if (currentIndex == -1)
-                return;
-            var /** @type {?} */ viewRef_ = (viewRef);
-            this._element.moveView(viewRef_.internalView, currentIndex);
-            return wtfLeave(s, viewRef_);
+        HydrationRenderer.prototype.attachViewAfter = function (node, viewRootNodes) {
+            // Claimed root nodes are already in place, and moving them could e.g. reload iframes.
+            if (!this._root.hydrating || !_areSiblingsInOrder(node, viewRootNodes)) {
+                this._delegate.attachViewAfter(node, viewRootNodes);
+            }
         };
         /**
-         * @param {?} viewRef
+         * @param {?} viewRootNodes
          * @return {?}
          */
-        ViewContainerRef_.prototype.indexOf = function (viewRef) {
-            return this._element.nestedViews.indexOf(((viewRef)).internalView);
+        HydrationRenderer.prototype.detachView = function (viewRootNodes) { this._delegate.detachView(viewRootNodes); };
+        /**
+         * @param {?} hostElement
+         * @param {?} viewAllNodes
+         * @return {?}
+         */
+        HydrationRenderer.prototype.destroyView = function (hostElement, viewAllNodes) {
+            this._delegate.destroyView(hostElement, viewAllNodes);
         };
         /**
-         * @param {?=} index
+         * @param {?} renderElement
+         * @param {?} name
+         * @param {?} callback
          * @return {?}
          */
-        ViewContainerRef_.prototype.remove = function (index) {
-            if (index === void 0) { index = -1; }
-            var /** @type {?} */ s = this._removeScope();
-            if (index == -1)
-                index = this.length - 1;
-            var /** @type {?} */ view = this._element.detachView(index);
-            view.destroy();
-            // view is intentionally not returned to the client.
-            wtfLeave(s);
+        HydrationRenderer.prototype.listen = function (renderElement, name, callback) {
+            return this._delegate.listen(renderElement, name, callback);
         };
         /**
-         * @param {?=} index
+         * @param {?} target
+         * @param {?} name
+         * @param {?} callback
          * @return {?}
          */
-        ViewContainerRef_.prototype.detach = function (index) {
-            if (index === void 0) { index = -1; }
-            var /** @type {?} */ s = this._detachScope();
-            if (index == -1)
-                index = this.length - 1;
-            var /** @type {?} */ view = this._element.detachView(index);
-            return wtfLeave(s, view.ref);
+        HydrationRenderer.prototype.listenGlobal = function (target, name, callback) {
+            return this._delegate.listenGlobal(target, name, callback);
         };
         /**
+         * @param {?} renderElement
+         * @param {?} propertyName
+         * @param {?} propertyValue
          * @return {?}
          */
-        ViewContainerRef_.prototype.clear = function () {
-            for (var /** @type {?} */ i = this.length - 1; i >= 0; i--) {
-                this.remove(i);
+        HydrationRenderer.prototype.setElementProperty = function (renderElement, propertyName, propertyValue) {
+            if (_CONTENT_PROPERTIES.indexOf(propertyName) !== -1) {
+                this._root._markOwnContent(renderElement);
             }
+            this._delegate.setElementProperty(renderElement, propertyName, propertyValue);
         };
-        return ViewContainerRef_;
-    }());
-
-    /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
-     */
-    var __extends$11 = (this && this.__extends) || function (d, b) {
-        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
-        function __() { this.constructor = d; }
-        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
-    };
-    /**
-     * \@stable
-     * @abstract
-     */
-    var ViewRef = (function (_super) {
-        __extends$11(ViewRef, _super);
-        function ViewRef() {
-            _super.apply(this, arguments);
-        }
         /**
-         * Destroys the view and all of the data structures associated with it.
-         * @abstract
+         * @param {?} renderElement
+         * @param {?} attributeName
+         * @param {?} attributeValue
          * @return {?}
          */
-        ViewRef.prototype.destroy = function () { };
-        Object.defineProperty(ViewRef.prototype, "destroyed", {
-            /**
-             * @return {?}
-             */
-            get: function () { return (unimplemented()); },
-            enumerable: true,
-            configurable: true
-        });
+        HydrationRenderer.prototype.setElementAttribute = function (renderElement, attributeName, attributeValue) {
+            this._delegate.setElementAttribute(renderElement, attributeName, attributeValue);
+        };
         /**
-         * @abstract
-         * @param {?} callback
+         * @param {?} renderElement
+         * @param {?} propertyName
+         * @param {?} propertyValue
          * @return {?}
          */
-        ViewRef.prototype.onDestroy = function (callback) { };
-        return ViewRef;
-    }(ChangeDetectorRef));
-    /**
-     * Represents an Angular View.
-     *
-     * <!-- TODO: move the next two paragraphs to the dev guide -->
-     * A View is a fundamental building block of the application UI. It is the smallest grouping of
-     * Elements which are created and destroyed together.
-     *
-     * Properties of elements in a View can change, but the structure (number and order) of elements in
-     * a View cannot. Changing the structure of Elements can only be done by inserting, moving or
-     * removing nested Views via a {\@link ViewContainerRef}. Each View can contain many View Containers.
-     * <!-- /TODO -->
-     *
-     * ### Example
-     *
-     * Given this template...
-     *
-     * ```
-     * Count: {{items.length}}
-     * <ul>
-     *   <li *ngFor="let  item of items">{{item}}</li>
-     * </ul>
-     * ```
-     *
-     * We have two {\@link TemplateRef}s:
-     *
-     * Outer {\@link TemplateRef}:
-     * ```
-     * Count: {{items.length}}
-     * <ul>
-     *   <template ngFor let-item [ngForOf]="items"></template>
-     * </ul>
-     * ```
-     *
-     * Inner {\@link TemplateRef}:
-     * ```
-     *   <li>{{item}}</li>
-     * ```
-     *
-     * Notice that the original template is broken down into two separate {\@link TemplateRef}s.
-     *
-     * The outer/inner {\@link TemplateRef}s are then assembled into views like so:
-     *
-     * ```
-     * <!-- ViewRef: outer-0 -->
-     * Count: 2
-     * <ul>
-     *   <template view-container-ref></template>
-     *   <!-- ViewRef: inner-1 --><li>first</li><!-- /ViewRef: inner-1 -->
-     *   <!-- ViewRef: inner-2 --><li>second</li><!-- /ViewRef: inner-2 -->
-     * </ul>
-     * <!-- /ViewRef: outer-0 -->
-     * ```
-     * \@experimental
-     * @abstract
-     */
-    var EmbeddedViewRef = (function (_super) {
-        __extends$11(EmbeddedViewRef, _super);
-        function EmbeddedViewRef() {
-            _super.apply(this, arguments);
-        }
-        Object.defineProperty(EmbeddedViewRef.prototype, "context", {
-            /**
-             * @return {?}
-             */
-            get: function () { return unimplemented(); },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(EmbeddedViewRef.prototype, "rootNodes", {
-            /**
-             * @return {?}
-             */
-            get: function () { return (unimplemented()); },
-            enumerable: true,
-            configurable: true
-        });
-        ;
-        return EmbeddedViewRef;
-    }(ViewRef));
-    var ViewRef_ = (function () {
-        /**
-         * @param {?} _view
-         * @param {?} animationQueue
-         */
-        function ViewRef_(_view, animationQueue) {
-            this._view = _view;
-            this.animationQueue = animationQueue;
-            this._view = _view;
-            this._originalMode = this._view.cdMode;
-        }
-        Object.defineProperty(ViewRef_.prototype, "internalView", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._view; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(ViewRef_.prototype, "rootNodes", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._view.flatRootNodes; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(ViewRef_.prototype, "context", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._view.context; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(ViewRef_.prototype, "destroyed", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._view.destroyed; },
-            enumerable: true,
-            configurable: true
-        });
+        HydrationRenderer.prototype.setBindingDebugInfo = function (renderElement, propertyName, propertyValue) {
+            this._delegate.setBindingDebugInfo(renderElement, propertyName, propertyValue);
+        };
         /**
+         * @param {?} renderElement
+         * @param {?} className
+         * @param {?} isAdd
          * @return {?}
          */
-        ViewRef_.prototype.markForCheck = function () { this._view.markPathToRootAsCheckOnce(); };
+        HydrationRenderer.prototype.setElementClass = function (renderElement, className, isAdd) {
+            this._delegate.setElementClass(renderElement, className, isAdd);
+        };
         /**
+         * @param {?} renderElement
+         * @param {?} styleName
+         * @param {?} styleValue
          * @return {?}
          */
-        ViewRef_.prototype.detach = function () { this._view.cdMode = ChangeDetectorStatus.Detached; };
+        HydrationRenderer.prototype.setElementStyle = function (renderElement, styleName, styleValue) {
+            this._delegate.setElementStyle(renderElement, styleName, styleValue);
+        };
         /**
+         * @param {?} renderElement
+         * @param {?} methodName
+         * @param {?=} args
          * @return {?}
          */
-        ViewRef_.prototype.detectChanges = function () {
-            this._view.detectChanges(false);
-            this.animationQueue.flush();
+        HydrationRenderer.prototype.invokeElementMethod = function (renderElement, methodName, args) {
+            this._delegate.invokeElementMethod(renderElement, methodName, args);
         };
         /**
+         * @param {?} renderNode
+         * @param {?} text
          * @return {?}
          */
-        ViewRef_.prototype.checkNoChanges = function () { this._view.detectChanges(true); };
+        HydrationRenderer.prototype.setText = function (renderNode, text) { this._delegate.setText(renderNode, text); };
         /**
+         * @param {?} element
+         * @param {?} startingStyles
+         * @param {?} keyframes
+         * @param {?} duration
+         * @param {?} delay
+         * @param {?} easing
+         * @param {?=} previousPlayers
          * @return {?}
          */
-        ViewRef_.prototype.reattach = function () {
-            this._view.cdMode = this._originalMode;
-            this.markForCheck();
+        HydrationRenderer.prototype.animate = function (element, startingStyles, keyframes, duration, delay, easing, previousPlayers) {
+            if (previousPlayers === void 0) { previousPlayers = []; }
+            return this._delegate.animate(element, startingStyles, keyframes, duration, delay, easing, previousPlayers);
         };
         /**
-         * @param {?} callback
+         * Claims a server-rendered node that `matches`, or creates a new one via `create` and puts
+         * it where the server-rendered node was expected.
+         * @param {?} parentElement
+         * @param {?} matches
+         * @param {?} description
+         * @param {?} debugInfo
+         * @param {?} create
          * @return {?}
          */
-        ViewRef_.prototype.onDestroy = function (callback) {
-            if (!this._view.disposables) {
-                this._view.disposables = [];
+        HydrationRenderer.prototype._claimOrCreate = function (parentElement, matches, description, debugInfo, create) {
+            if (!this._root.hydrating) {
+                return create(parentElement);
             }
-            this._view.disposables.push(callback);
+            if (!parentElement) {
+                // Root nodes of embedded views that were not rendered on the server are expected, and
+                // projected content is not claimed at all.
+                return this._root._claimViewNode(matches) || create(null);
+            }
+            if (!this._root._isHydrated(parentElement)) {
+                return create(parentElement);
+            }
+            var /** @type {?} */ claimed = this._root._claimChild(parentElement, matches);
+            if (claimed) {
+                return claimed;
+            }
+            var /** @type {?} */ nextChild = this._root._nextServerChild(parentElement);
+            if (isDevMode()) {
+                var /** @type {?} */ source = debugInfo && debugInfo.source ? " at " + debugInfo.source : '';
+                warn("Hydration mismatch" + source + ": expected " + description + ", found " + _describe(nextChild) + ". Creating it anew.");
+            }
+            var /** @type {?} */ node = create(null);
+            parentElement.insertBefore(node, nextChild);
+            return node;
         };
-        /**
-         * @return {?}
-         */
-        ViewRef_.prototype.destroy = function () { this._view.detachAndDestroy(); };
-        return ViewRef_;
+        return HydrationRenderer;
     }());
+    /**
+     * @param {?} node
+     * @return {?}
+     */
+    function _describe(node) {
+        if (!node) {
+            return 'nothing';
+        }
+        switch (node.nodeType) {
+            case 1:
+                return "<" + node.nodeName.toLowerCase() + ">";
+            case 3:
+                return "the text \"" + node.nodeValue + "\"";
+            case 8:
+                return 'a comment';
+        }
+        return node.nodeName;
+    }
+    /**
+     * @param {?} node
+     * @return {?}
+     */
+    function _isContainerEnd(node) {
+        return node.nodeType === 8 && node.nodeValue === CONTAINER_END_COMMENT_TEXT;
+    }
+    /**
+     * Returns the index of the first end comment of a container in `nodes` from `start` on, or -1.
+     * @param {?} nodes
+     * @param {?} start
+     * @return {?}
+     */
+    function _indexOfContainerEnd(nodes, start) {
+        for (var /** @type {?} */ i = start; i < nodes.length; i++) {
+            if (_isContainerEnd(nodes[i])) {
+                return i;
+            }
+        }
+        return -1;
+    }
+    /**
+     * @param {?} node
+     * @param {?} nodes
+     * @return {?}
+     */
+    function _areSiblingsInOrder(node, nodes) {
+        return nodes.every(function (sibling, i) { return (i === 0 ? node : nodes[i - 1]).nextSibling === sibling; });
+    }
+    /**
+     * @param {?} parent
+     * @param {?} nodes
+     * @return {?}
+     */
+    function _areChildrenInOrder(parent, nodes) {
+        return nodes.every(function (node, i) { return node.parentNode === parent && (i === 0 || nodes[i - 1].nextSibling === node); });
+    }
 
     /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
+     * Predicates for `DebugElement.query()` and `DebugElement.queryAll()` that only look at the debug
+     * tree, so that they work the same with every renderer, including server renderers whose
+     * elements have no `matches()` method.
      *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
+     * ### Example
+     *
+     * ```typescript
+     * fixture.debugElement.queryAll(DebugSelector.css('ul > li:has(.done)'));
+     * fixture.debugElement.query(DebugSelector.directive(HeroComponent));
+     * ```
+     *
+     * \@experimental All debugging apis are currently experimental.
      */
-    var __extends$12 = (this && this.__extends) || function (d, b) {
-        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
-        function __() { this.constructor = d; }
-        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
-    };
-    var EventListener = (function () {
+    var DebugSelector = (function () {
+        function DebugSelector() {
+        }
+        /**
+         * Matches all elements.
+         * @return {?}
+         */
+        DebugSelector.all = function () { return function (debugElement) { return true; }; };
         /**
+         * Matches elements by a CSS selector.
+         *
+         * Supported are tag names, `*`, `#id`, `.class`, attribute selectors with the operators
+         * `=`, `~=`, `^=`, `$=` and `*=`, `:has()`, descendant and child combinators, and lists
+         * separated by commas. Classes and ids are matched against both attributes and bound
+         * properties. In addition, the debug tree can be queried via
+         * - `:directive(Name)`: elements with a directive or component whose class is named `Name`,
+         * - `:ref(name)`: elements with a template reference variable `#name`,
+         * - `:property(name)` and `:property(name=value)`: elements with a bound property `name`,
+         *   whose value converted to a string is `value`.
+         * @param {?} selector
+         * @return {?}
+         */
+        DebugSelector.css = function (selector) {
+            var /** @type {?} */ selectors = _parse(selector);
+            return function (debugElement) { return _matchesList(debugElement, selectors, null); };
+        };
+        /**
+         * Matches elements that have an instance of `type` as directive or component.
+         * @param {?} type
+         * @return {?}
+         */
+        DebugSelector.directive = function (type) {
+            return function (debugElement) { return (debugElement.providerTokens || []).indexOf(type) !== -1; };
+        };
+        /**
+         * Matches elements that have the template reference variable `#name`.
          * @param {?} name
-         * @param {?} callback
+         * @return {?}
          */
-        function EventListener(name, callback) {
-            this.name = name;
-            this.callback = callback;
-        }
-        ;
-        return EventListener;
+        DebugSelector.ref = function (name) { return function (debugElement) { return _hasReference(debugElement, name); }; };
+        /**
+         * Matches elements with a bound property `name`, whose value is `value` if given.
+         * @param {?} name
+         * @param {?=} value
+         * @return {?}
+         */
+        DebugSelector.property = function (name, value) {
+            return function (debugElement) { return debugElement.properties.hasOwnProperty(name) &&
+                (value === undefined || debugElement.properties[name] === value); };
+        };
+        return DebugSelector;
     }());
-    /**
-     * \@experimental All debugging apis are currently experimental.
-     */
-    var DebugNode = (function () {
+    var /** @type {?} */ _ATTRIBUTE_OPERATORS = ['~=', '^=', '$=', '*=', '='];
+    var _SelectorParser = (function () {
         /**
-         * @param {?} nativeNode
-         * @param {?} parent
-         * @param {?} _debugInfo
+         * @param {?} source
          */
-        function DebugNode(nativeNode, parent, _debugInfo) {
-            this._debugInfo = _debugInfo;
-            this.nativeNode = nativeNode;
-            if (parent && parent instanceof DebugElement) {
-                parent.addChild(this);
+        function _SelectorParser(source) {
+            this.source = source;
+            this.index = 0;
+        }
+        /**
+         * @param {?} relative
+         * @return {?}
+         */
+        _SelectorParser.prototype.parseList = function (relative) {
+            var /** @type {?} */ selectors = [this.parseComplex(relative)];
+            while (this.skip(',')) {
+                selectors.push(this.parseComplex(relative));
             }
-            else {
-                this.parent = null;
+            return selectors;
+        };
+        /**
+         * @param {?} relative
+         * @return {?}
+         */
+        _SelectorParser.prototype.parseComplex = function (relative) {
+            var /** @type {?} */ parts = [];
+            this.skipWhitespace();
+            var /** @type {?} */ combinator = relative && this.skip('>') ? '>' : ' ';
+            while (true) {
+                parts.push({ combinator: combinator, compound: this.parseCompound() });
+                var /** @type {?} */ hadWhitespace = this.skipWhitespace();
+                if (this.skip('>')) {
+                    combinator = '>';
+                }
+                else if (hadWhitespace && !this.atEnd() && !this.peek(',') && !this.peek(')')) {
+                    combinator = ' ';
+                }
+                else {
+                    return parts;
+                }
             }
-            this.listeners = [];
-        }
-        Object.defineProperty(DebugNode.prototype, "injector", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._debugInfo ? this._debugInfo.injector : null; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(DebugNode.prototype, "componentInstance", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._debugInfo ? this._debugInfo.component : null; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(DebugNode.prototype, "context", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._debugInfo ? this._debugInfo.context : null; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(DebugNode.prototype, "references", {
-            /**
-             * @return {?}
-             */
-            get: function () {
-                return this._debugInfo ? this._debugInfo.references : null;
-            },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(DebugNode.prototype, "providerTokens", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._debugInfo ? this._debugInfo.providerTokens : null; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(DebugNode.prototype, "source", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._debugInfo ? this._debugInfo.source : null; },
-            enumerable: true,
-            configurable: true
-        });
-        return DebugNode;
-    }());
-    /**
-     * \@experimental All debugging apis are currently experimental.
-     */
-    var DebugElement = (function (_super) {
-        __extends$12(DebugElement, _super);
+        };
         /**
-         * @param {?} nativeNode
-         * @param {?} parent
-         * @param {?} _debugInfo
+         * @return {?}
          */
-        function DebugElement(nativeNode, parent, _debugInfo) {
-            _super.call(this, nativeNode, parent, _debugInfo);
-            this.properties = {};
-            this.attributes = {};
-            this.classes = {};
-            this.styles = {};
-            this.childNodes = [];
-            this.nativeElement = nativeNode;
-        }
+        _SelectorParser.prototype.parseCompound = function () {
+            this.skipWhitespace();
+            var /** @type {?} */ compound = { tagName: null, conditions: [] };
+            if (this.skip('*')) {
+                compound.tagName = '*';
+            }
+            else if (/[\w-]/.test(this.source.charAt(this.index))) {
+                compound.tagName = this.parseName().toLowerCase();
+            }
+            while (!this.atEnd()) {
+                if (this.skip('#')) {
+                    compound.conditions.push({ kind: 'id', name: this.parseName() });
+                }
+                else if (this.skip('.')) {
+                    compound.conditions.push({ kind: 'class', name: this.parseName() });
+                }
+                else if (this.skip('[')) {
+                    compound.conditions.push(this.parseAttribute());
+                }
+                else if (this.skip(':')) {
+                    compound.conditions.push(this.parsePseudo());
+                }
+                else {
+                    break;
+                }
+            }
+            if (compound.tagName === null && !compound.conditions.length) {
+                this.error('expected a selector');
+            }
+            return compound;
+        };
         /**
-         * @param {?} child
          * @return {?}
          */
-        DebugElement.prototype.addChild = function (child) {
-            if (child) {
-                this.childNodes.push(child);
-                child.parent = this;
+        _SelectorParser.prototype.parseAttribute = function () {
+            var _this = this;
+            this.skipWhitespace();
+            var /** @type {?} */ condition = { kind: 'attribute', name: this.parseName(), operator: null, value: null };
+            this.skipWhitespace();
+            condition.operator = _ATTRIBUTE_OPERATORS.find(function (operator) { return _this.skip(operator); }) || null;
+            if (condition.operator) {
+                this.skipWhitespace();
+                condition.value = this.parseValue();
+                this.skipWhitespace();
+            }
+            this.expect(']');
+            return condition;
+        };
+        /**
+         * @return {?}
+         */
+        _SelectorParser.prototype.parsePseudo = function () {
+            var /** @type {?} */ name = this.parseName();
+            this.expect('(');
+            var /** @type {?} */ condition;
+            if (name === 'has') {
+                condition = { kind: 'has', selectors: this.parseList(true) };
+            }
+            else if (name === 'directive' || name === 'ref') {
+                this.skipWhitespace();
+                condition = { kind: name, name: this.parseName() };
+            }
+            else if (name === 'property') {
+                this.skipWhitespace();
+                condition = { kind: 'property', name: this.parseName(), value: null };
+                this.skipWhitespace();
+                if (this.skip('=')) {
+                    this.skipWhitespace();
+                    condition.value = this.parseValue();
+                }
+            }
+            else {
+                this.error("unsupported pseudo class :" + name);
             }
+            this.skipWhitespace();
+            this.expect(')');
+            return condition;
         };
         /**
-         * @param {?} child
          * @return {?}
          */
-        DebugElement.prototype.removeChild = function (child) {
-            var /** @type {?} */ childIndex = this.childNodes.indexOf(child);
-            if (childIndex !== -1) {
-                child.parent = null;
-                this.childNodes.splice(childIndex, 1);
+        _SelectorParser.prototype.parseName = function () {
+            var /** @type {?} */ match = /^[\w-]+/.exec(this.source.substring(this.index));
+            if (!match) {
+                this.error('expected a name');
             }
+            this.index += match[0].length;
+            return match[0];
         };
         /**
-         * @param {?} child
-         * @param {?} newChildren
          * @return {?}
          */
-        DebugElement.prototype.insertChildrenAfter = function (child, newChildren) {
-            var /** @type {?} */ siblingIndex = this.childNodes.indexOf(child);
-            if (siblingIndex !== -1) {
-                var /** @type {?} */ previousChildren = this.childNodes.slice(0, siblingIndex + 1);
-                var /** @type {?} */ nextChildren = this.childNodes.slice(siblingIndex + 1);
-                this.childNodes = previousChildren.concat(newChildren, nextChildren);
-                for (var /** @type {?} */ i = 0; i < newChildren.length; ++i) {
-                    var /** @type {?} */ newChild = newChildren[i];
-                    if (newChild.parent) {
-                        newChild.parent.removeChild(newChild);
-                    }
-                    newChild.parent = this;
-                }
+        _SelectorParser.prototype.parseValue = function () {
+            var /** @type {?} */ quote = this.source.charAt(this.index);
+            if (quote !== '"' && quote !== '\'') {
+                var /** @type {?} */ match = /^[^\s\])]*/.exec(this.source.substring(this.index));
+                this.index += match[0].length;
+                return match[0];
+            }
+            var /** @type {?} */ end = this.source.indexOf(quote, this.index + 1);
+            if (end === -1) {
+                this.error('unterminated string');
             }
+            var /** @type {?} */ value = this.source.substring(this.index + 1, end);
+            this.index = end + 1;
+            return value;
         };
         /**
-         * @param {?} predicate
          * @return {?}
          */
-        DebugElement.prototype.query = function (predicate) {
-            var /** @type {?} */ results = this.queryAll(predicate);
-            return results[0] || null;
+        _SelectorParser.prototype.skipWhitespace = function () {
+            var /** @type {?} */ start = this.index;
+            while (/\s/.test(this.source.charAt(this.index))) {
+                this.index++;
+            }
+            return this.index > start;
         };
         /**
-         * @param {?} predicate
+         * @param {?} token
          * @return {?}
          */
-        DebugElement.prototype.queryAll = function (predicate) {
-            var /** @type {?} */ matches = [];
-            _queryElementChildren(this, predicate, matches);
-            return matches;
+        _SelectorParser.prototype.skip = function (token) {
+            if (!this.peek(token)) {
+                return false;
+            }
+            this.index += token.length;
+            if (token === ',' || token === '>') {
+                this.skipWhitespace();
+            }
+            return true;
         };
         /**
-         * @param {?} predicate
+         * @param {?} token
          * @return {?}
          */
-        DebugElement.prototype.queryAllNodes = function (predicate) {
-            var /** @type {?} */ matches = [];
-            _queryNodeChildren(this, predicate, matches);
-            return matches;
+        _SelectorParser.prototype.peek = function (token) { return this.source.substr(this.index, token.length) === token; };
+        /**
+         * @param {?} token
+         * @return {?}
+         */
+        _SelectorParser.prototype.expect = function (token) {
+            if (!this.skip(token)) {
+                this.error("expected \"" + token + "\"");
+            }
         };
-        Object.defineProperty(DebugElement.prototype, "children", {
-            /**
-             * @return {?}
-             */
-            get: function () {
-                return (this.childNodes.filter(function (node) { return node instanceof DebugElement; }));
-            },
-            enumerable: true,
-            configurable: true
-        });
         /**
-         * @param {?} eventName
-         * @param {?} eventObj
          * @return {?}
          */
-        DebugElement.prototype.triggerEventHandler = function (eventName, eventObj) {
-            this.listeners.forEach(function (listener) {
-                if (listener.name == eventName) {
-                    listener.callback(eventObj);
-                }
-            });
+        _SelectorParser.prototype.atEnd = function () { return this.index >= this.source.length; };
+        /**
+         * @param {?} message
+         * @return {?}
+         */
+        _SelectorParser.prototype.error = function (message) {
+            throw new Error("Invalid selector \"" + this.source + "\": " + message + " at position " + this.index + ".");
         };
-        return DebugElement;
-    }(DebugNode));
+        return _SelectorParser;
+    }());
     /**
-     * \@experimental
-     * @param {?} debugEls
+     * @param {?} selector
      * @return {?}
      */
-    function asNativeElements(debugEls) {
-        return debugEls.map(function (el) { return el.nativeElement; });
+    function _parse(selector) {
+        var /** @type {?} */ parser = new _SelectorParser(selector);
+        var /** @type {?} */ selectors = parser.parseList(false);
+        parser.skipWhitespace();
+        if (!parser.atEnd()) {
+            parser.error('unexpected character');
+        }
+        return selectors;
     }
     /**
+     * Returns whether `element` matches one of `selectors`. Combinators only look at the ancestors
+     * of `element` up to `scope`, the element that a `:has()` belongs to.
      * @param {?} element
-     * @param {?} predicate
-     * @param {?} matches
+     * @param {?} selectors
+     * @param {?} scope
      * @return {?}
      */
-    function _queryElementChildren(element, predicate, matches) {
-        element.childNodes.forEach(function (node) {
-            if (node instanceof DebugElement) {
-                if (predicate(node)) {
-                    matches.push(node);
-                }
-                _queryElementChildren(node, predicate, matches);
-            }
-        });
+    function _matchesList(element, selectors, scope) {
+        return selectors.some(function (parts) { return _matchesComplex(element, parts, parts.length - 1, scope); });
     }
     /**
-     * @param {?} parentNode
-     * @param {?} predicate
-     * @param {?} matches
+     * @param {?} element
+     * @param {?} parts
+     * @param {?} index
+     * @param {?} scope
      * @return {?}
      */
-    function _queryNodeChildren(parentNode, predicate, matches) {
-        if (parentNode instanceof DebugElement) {
-            parentNode.childNodes.forEach(function (node) {
-                if (predicate(node)) {
-                    matches.push(node);
-                }
-                if (node instanceof DebugElement) {
-                    _queryNodeChildren(node, predicate, matches);
-                }
-            });
+    function _matchesComplex(element, parts, index, scope) {
+        if (!_matchesCompound(element, parts[index].compound)) {
+            return false;
+        }
+        var /** @type {?} */ combinator = parts[index].combinator;
+        if (index === 0) {
+            return !scope || (combinator === '>' ? element.parent === scope : element !== scope);
+        }
+        for (var /** @type {?} */ ancestor = element.parent; ancestor && ancestor !== scope; ancestor = ancestor.parent) {
+            if (_matchesComplex(ancestor, parts, index - 1, scope)) {
+                return true;
+            }
+            if (combinator === '>') {
+                break;
+            }
         }
+        return false;
     }
-    // Need to keep the nodes in a global Map so that multiple angular apps are supported.
-    var /** @type {?} */ _nativeNodeToDebugNode = new Map();
     /**
-     * \@experimental
-     * @param {?} nativeNode
+     * @param {?} element
+     * @param {?} compound
      * @return {?}
      */
-    function getDebugNode(nativeNode) {
-        return _nativeNodeToDebugNode.get(nativeNode);
+    function _matchesCompound(element, compound) {
+        if (compound.tagName !== null && compound.tagName !== '*' &&
+            String(element.name).toLowerCase() !== compound.tagName) {
+            return false;
+        }
+        return compound.conditions.every(function (condition) { return _matchesCondition(element, condition); });
     }
     /**
-     * @param {?} node
+     * @param {?} element
+     * @param {?} condition
      * @return {?}
      */
-    function indexDebugNode(node) {
-        _nativeNodeToDebugNode.set(node.nativeNode, node);
+    function _matchesCondition(element, condition) {
+        switch (condition.kind) {
+            case 'id':
+                return element.attributes['id'] === condition.name ||
+                    element.properties['id'] === condition.name;
+            case 'class':
+                return _hasClass(element, condition.name);
+            case 'attribute':
+                return _matchesAttribute(element.attributes[condition.name], condition);
+            case 'has':
+                return _hasDescendant(element, function (descendant) { return _matchesList(descendant, condition.selectors, element); });
+            case 'directive':
+                return (element.providerTokens || []).some(function (token) { return stringify(token) === condition.name; });
+            case 'ref':
+                return _hasReference(element, condition.name);
+            case 'property':
+                return element.properties.hasOwnProperty(condition.name) &&
+                    (condition.value === null ||
+                        String(element.properties[condition.name]) === condition.value);
+        }
+        return false;
     }
     /**
-     * @param {?} node
+     * @param {?} element
+     * @param {?} name
      * @return {?}
      */
-    function removeDebugNodeFromIndex(node) {
-        _nativeNodeToDebugNode.delete(node.nativeNode);
+    function _hasClass(element, name) {
+        if (element.classes.hasOwnProperty(name)) {
+            return element.classes[name];
+        }
+        var /** @type {?} */ classNames = [element.attributes['class'], element.properties['className']];
+        return classNames.some(function (value) { return typeof value === 'string' && value.split(/\s+/).indexOf(name) !== -1; });
     }
-
     /**
+     * @param {?} value
+     * @param {?} condition
      * @return {?}
      */
-    function _reflector() {
-        return reflector;
+    function _matchesAttribute(value, condition) {
+        if (value === null || value === undefined) {
+            return false;
+        }
+        var /** @type {?} */ actual = String(value);
+        var /** @type {?} */ expected = condition.value;
+        switch (condition.operator) {
+            case null:
+                return true;
+            case '=':
+                return actual === expected;
+            case '~=':
+                return actual.split(/\s+/).indexOf(expected) !== -1;
+            case '^=':
+                return !!expected && actual.startsWith(expected);
+            case '$=':
+                return !!expected && actual.endsWith(expected);
+            case '*=':
+                return !!expected && actual.indexOf(expected) !== -1;
+        }
+        return false;
     }
-    var /** @type {?} */ _CORE_PLATFORM_PROVIDERS = [
-        PlatformRef_,
-        { provide: PlatformRef, useExisting: PlatformRef_ },
-        { provide: Reflector, useFactory: _reflector, deps: [] },
-        { provide: ReflectorReader, useExisting: Reflector },
-        TestabilityRegistry,
-        Console,
-    ];
-    /**
-     * This platform has to be included in any other platform
-     *
-     * @experimental
-     */
-    var /** @type {?} */ platformCore = createPlatformFactory(null, 'core', _CORE_PLATFORM_PROVIDERS);
-
-    /**
-     * @experimental i18n support is experimental.
-     */
-    var /** @type {?} */ LOCALE_ID = new OpaqueToken('LocaleId');
     /**
-     * @experimental i18n support is experimental.
+     * @param {?} element
+     * @param {?} predicate
+     * @return {?}
      */
-    var /** @type {?} */ TRANSLATIONS = new OpaqueToken('Translations');
+    function _hasDescendant(element, predicate) {
+        return element.children.some(function (child) { return predicate(child) || _hasDescendant(child, predicate); });
+    }
     /**
-     * @experimental i18n support is experimental.
+     * @param {?} element
+     * @param {?} name
+     * @return {?}
      */
-    var /** @type {?} */ TRANSLATIONS_FORMAT = new OpaqueToken('TranslationsFormat');
+    function _hasReference(element, name) {
+        var /** @type {?} */ references = element.references;
+        return !!references && references.hasOwnProperty(name);
+    }
 
+    var /** @type {?} */ _GENERATED_ATTRIBUTE = /^(_ngcontent-|_nghost-|ng-reflect-)/;
     /**
+     * Compares two snapshots created via `DebugElement.toSnapshot()`, e.g. a golden file and the
+     * snapshot of the current test run, and returns their differences in document order.
+     *
+     * Every difference has the path of the value that differs, e.g.
+     * `children[1].attributes.title`. Values that only exist in one of the snapshots are
+     * `undefined` in the other one.
+     *
+     * \@experimental All debugging apis are currently experimental.
+     * @param {?} expected
+     * @param {?} actual
      * @return {?}
      */
-    function _iterableDiffersFactory() {
-        return defaultIterableDiffers;
+    function diffSnapshots(expected, actual) {
+        var /** @type {?} */ differences = [];
+        _diff('', expected, actual, differences);
+        return differences;
     }
     /**
+     * @param {?} path
+     * @param {?} expected
+     * @param {?} actual
+     * @param {?} differences
      * @return {?}
      */
-    function _keyValueDiffersFactory() {
-        return defaultKeyValueDiffers;
+    function _diff(path, expected, actual, differences) {
+        if (Array.isArray(expected) && Array.isArray(actual)) {
+            var /** @type {?} */ length = Math.max(expected.length, actual.length);
+            for (var /** @type {?} */ i = 0; i < length; i++) {
+                _diff(path + "[" + i + "]", expected[i], actual[i], differences);
+            }
+        }
+        else if (_isObject(expected) && _isObject(actual)) {
+            var /** @type {?} */ keys_1 = Object.keys(expected);
+            Object.keys(actual).forEach(function (key) {
+                if (!expected.hasOwnProperty(key)) {
+                    keys_1.push(key);
+                }
+            });
+            keys_1.forEach(function (key) { return _diff(path ? path + "." + key : key, expected[key], actual[key], differences); });
+        }
+        else if (expected !== actual) {
+            differences.push({ path: path, expected: expected, actual: actual });
+        }
     }
     /**
-     * @param {?=} locale
+     * @param {?} value
      * @return {?}
      */
-    function _localeFactory(locale) {
-        return locale || 'en-US';
+    function _isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
     }
     /**
-     * This module includes the providers of \@angular/core that are needed
-     * to bootstrap components via `ApplicationRef`.
+     * \@internal
+     * @param {?} name
+     * @return {?}
+     */
+    function isGeneratedAttribute(name) {
+        return _GENERATED_ATTRIBUTE.test(name);
+    }
+    /**
+     * Returns the names of the properties of `component` that are inputs.
      *
-     * \@experimental
+     * \@internal
+     * @param {?} component
+     * @return {?}
      */
-    var ApplicationModule = (function () {
-        function ApplicationModule() {
+    function getInputNames(component) {
+        var /** @type {?} */ type = component.constructor;
+        var /** @type {?} */ names = [];
+        reflector.annotations(type).forEach(function (annotation) {
+            if (annotation instanceof Directive && annotation.inputs) {
+                annotation.inputs.forEach(function (input) { return names.push(input.split(':')[0].trim()); });
+            }
+        });
+        var /** @type {?} */ propMetadata = reflector.propMetadata(type);
+        Object.keys(propMetadata).forEach(function (name) {
+            if (propMetadata[name].some(function (metadata) { return metadata instanceof Input; }) &&
+                names.indexOf(name) === -1) {
+                names.push(name);
+            }
+        });
+        return names;
+    }
+    /**
+     * Converts `value` into a value that `JSON.stringify` keeps as is.
+     *
+     * Arrays and plain objects are converted recursively, instances of other classes are replaced
+     * with the name of their class, e.g. `'[Hero]'`.
+     *
+     * \@internal
+     * @param {?} value
+     * @param {?} sortKeys
+     * @param {?=} parents
+     * @return {?}
+     */
+    function toSnapshotValue(value, sortKeys, parents) {
+        if (parents === void 0) { parents = []; }
+        if (value === undefined || value === null) {
+            return null;
         }
-        ApplicationModule.decorators = [
-            { type: NgModule, args: [{
-                        providers: [
-                            ApplicationRef_,
-                            { provide: ApplicationRef, useExisting: ApplicationRef_ },
-                            ApplicationInitStatus,
-                            Compiler,
-                            APP_ID_RANDOM_PROVIDER,
-                            ViewUtils,
-                            AnimationQueue,
-                            { provide: IterableDiffers, useFactory: _iterableDiffersFactory },
-                            { provide: KeyValueDiffers, useFactory: _keyValueDiffersFactory },
-                            {
-                                provide: LOCALE_ID,
-                                useFactory: _localeFactory,
-                                deps: [[new Inject(LOCALE_ID), new Optional(), new SkipSelf()]]
-                            },
-                        ]
-                    },] },
-        ];
-        /** @nocollapse */
-        ApplicationModule.ctorParameters = function () { return []; };
-        return ApplicationModule;
-    }());
-
+        if (typeof value === 'number') {
+            return isFinite(value) ? value : String(value);
+        }
+        if (typeof value === 'string' || typeof value === 'boolean') {
+            return value;
+        }
+        if (typeof value === 'function') {
+            return "[Function " + stringify(value) + "]";
+        }
+        if (parents.indexOf(value) !== -1) {
+            return '[Circular]';
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        var /** @type {?} */ nestedParents = parents.concat([value]);
+        if (Array.isArray(value)) {
+            return value.map(function (item) { return toSnapshotValue(item, sortKeys, nestedParents); });
+        }
+        var /** @type {?} */ proto = Object.getPrototypeOf(value);
+        if (proto !== Object.prototype && proto !== null) {
+            return "[" + stringify(value.constructor) + "]";
+        }
+        return toSnapshotMap(value, sortKeys, function (item) { return toSnapshotValue(item, sortKeys, nestedParents); });
+    }
     /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
+     * Copies the entries of `map` for which `transform` doesn't return `undefined`.
      *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
+     * \@internal
+     * @param {?} map
+     * @param {?} sortKeys
+     * @param {?} transform
+     * @return {?}
      */
-    var /** @type {?} */ FILL_STYLE_FLAG = 'true'; // TODO (matsko): change to boolean
-    var /** @type {?} */ ANY_STATE = '*';
-    var /** @type {?} */ DEFAULT_STATE = '*';
-    var /** @type {?} */ EMPTY_STATE = 'void';
+    function toSnapshotMap(map, sortKeys, transform) {
+        var /** @type {?} */ keys = Object.keys(map);
+        if (sortKeys) {
+            keys.sort();
+        }
+        var /** @type {?} */ result = {};
+        keys.forEach(function (key) {
+            var /** @type {?} */ value = transform(map[key], key);
+            if (value !== undefined) {
+                result[key] = value;
+            }
+        });
+        return result;
+    }
 
-    var AnimationGroupPlayer = (function () {
+    var __extends$11 = (this && this.__extends) || function (d, b) {
+        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+    var EventListener = (function () {
         /**
-         * @param {?} _players
+         * @param {?} name
+         * @param {?} callback
          */
-        function AnimationGroupPlayer(_players) {
-            var _this = this;
-            this._players = _players;
-            this._onDoneFns = [];
-            this._onStartFns = [];
-            this._finished = false;
-            this._started = false;
-            this._destroyed = false;
-            this.parentPlayer = null;
-            var count = 0;
-            var total = this._players.length;
-            if (total == 0) {
-                scheduleMicroTask(function () { return _this._onFinish(); });
+        function EventListener(name, callback) {
+            this.name = name;
+            this.callback = callback;
+        }
+        ;
+        return EventListener;
+    }());
+    /**
+     * \@experimental All debugging apis are currently experimental.
+     */
+    var DebugNode = (function () {
+        /**
+         * @param {?} nativeNode
+         * @param {?} parent
+         * @param {?} _debugInfo
+         */
+        function DebugNode(nativeNode, parent, _debugInfo) {
+            this._debugInfo = _debugInfo;
+            this.nativeNode = nativeNode;
+            if (parent && parent instanceof DebugElement) {
+                parent.addChild(this);
             }
             else {
-                this._players.forEach(function (player) {
-                    player.parentPlayer = _this;
-                    player.onDone(function () {
-                        if (++count >= total) {
-                            _this._onFinish();
-                        }
-                    });
-                });
+                this.parent = null;
             }
+            this.listeners = [];
+            /** @internal */
+            this._text = null;
+        }
+        Object.defineProperty(DebugNode.prototype, "injector", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._debugInfo ? this._debugInfo.injector : null; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugNode.prototype, "componentInstance", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._debugInfo ? this._debugInfo.component : null; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugNode.prototype, "context", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._debugInfo ? this._debugInfo.context : null; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugNode.prototype, "references", {
+            /**
+             * @return {?}
+             */
+            get: function () {
+                return this._debugInfo ? this._debugInfo.references : null;
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugNode.prototype, "providerTokens", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._debugInfo ? this._debugInfo.providerTokens : null; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugNode.prototype, "source", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._debugInfo ? this._debugInfo.source : null; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugNode.prototype, "resolutionTrace", {
+            /**
+             * The dependency lookups that started at this node while a {\@link ResolutionTracer} was
+             * installed.
+             * @return {?}
+             */
+            get: function () {
+                var /** @type {?} */ tracer = getResolutionTracer();
+                if (!tracer || !this._debugInfo) {
+                    return [];
+                }
+                var /** @type {?} */ context = (this._debugInfo);
+                return tracer.entriesForNode(context._view, context._nodeIndex);
+            },
+            enumerable: true,
+            configurable: true
+        });
+        return DebugNode;
+    }());
+    /**
+     * \@experimental All debugging apis are currently experimental.
+     */
+    var DebugElement = (function (_super) {
+        __extends$11(DebugElement, _super);
+        /**
+         * @param {?} nativeNode
+         * @param {?} parent
+         * @param {?} _debugInfo
+         */
+        function DebugElement(nativeNode, parent, _debugInfo) {
+            _super.call(this, nativeNode, parent, _debugInfo);
+            this.properties = {};
+            this.attributes = {};
+            this.classes = {};
+            this.styles = {};
+            this.childNodes = [];
+            /**
+             * The binding debug info that the renderer was given for the element, by attribute name.
+             * \@internal
+             */
+            this._bindingDebugInfo = {};
+            /**
+             * The global listeners of the root renderer that created the element, as
+             * `{target, listener}` entries.
+             * \@internal
+             */
+            this._globalListeners = [];
+            this.nativeElement = nativeNode;
         }
         /**
+         * @param {?} child
          * @return {?}
          */
-        AnimationGroupPlayer.prototype._onFinish = function () {
-            if (!this._finished) {
-                this._finished = true;
-                this._onDoneFns.forEach(function (fn) { return fn(); });
-                this._onDoneFns = [];
+        DebugElement.prototype.addChild = function (child) {
+            if (child) {
+                this.childNodes.push(child);
+                child.parent = this;
             }
         };
         /**
+         * @param {?} child
          * @return {?}
          */
-        AnimationGroupPlayer.prototype.init = function () { this._players.forEach(function (player) { return player.init(); }); };
-        /**
-         * @param {?} fn
-         * @return {?}
-         */
-        AnimationGroupPlayer.prototype.onStart = function (fn) { this._onStartFns.push(fn); };
+        DebugElement.prototype.removeChild = function (child) {
+            var /** @type {?} */ childIndex = this.childNodes.indexOf(child);
+            if (childIndex !== -1) {
+                child.parent = null;
+                this.childNodes.splice(childIndex, 1);
+            }
+        };
         /**
-         * @param {?} fn
+         * @param {?} child
+         * @param {?} newChildren
          * @return {?}
          */
-        AnimationGroupPlayer.prototype.onDone = function (fn) { this._onDoneFns.push(fn); };
-        /**
-         * @return {?}
-         */
-        AnimationGroupPlayer.prototype.hasStarted = function () { return this._started; };
-        /**
-         * @return {?}
-         */
-        AnimationGroupPlayer.prototype.play = function () {
-            if (!isPresent(this.parentPlayer)) {
-                this.init();
-            }
-            if (!this.hasStarted()) {
-                this._onStartFns.forEach(function (fn) { return fn(); });
-                this._onStartFns = [];
-                this._started = true;
-            }
-            this._players.forEach(function (player) { return player.play(); });
-        };
-        /**
-         * @return {?}
-         */
-        AnimationGroupPlayer.prototype.pause = function () { this._players.forEach(function (player) { return player.pause(); }); };
-        /**
-         * @return {?}
-         */
-        AnimationGroupPlayer.prototype.restart = function () { this._players.forEach(function (player) { return player.restart(); }); };
-        /**
-         * @return {?}
-         */
-        AnimationGroupPlayer.prototype.finish = function () {
-            this._onFinish();
-            this._players.forEach(function (player) { return player.finish(); });
-        };
-        /**
-         * @return {?}
-         */
-        AnimationGroupPlayer.prototype.destroy = function () {
-            if (!this._destroyed) {
-                this._onFinish();
-                this._players.forEach(function (player) { return player.destroy(); });
-                this._destroyed = true;
+        DebugElement.prototype.insertChildrenAfter = function (child, newChildren) {
+            var /** @type {?} */ siblingIndex = this.childNodes.indexOf(child);
+            if (siblingIndex !== -1) {
+                var /** @type {?} */ previousChildren = this.childNodes.slice(0, siblingIndex + 1);
+                var /** @type {?} */ nextChildren = this.childNodes.slice(siblingIndex + 1);
+                this.childNodes = previousChildren.concat(newChildren, nextChildren);
+                for (var /** @type {?} */ i = 0; i < newChildren.length; ++i) {
+                    var /** @type {?} */ newChild = newChildren[i];
+                    if (newChild.parent) {
+                        newChild.parent.removeChild(newChild);
+                    }
+                    newChild.parent = this;
+                }
             }
         };
         /**
+         * Returns the first descendant that matches `predicate`, which can also be a selector as
+         * supported by {\@link DebugSelector#css}.
+         * @param {?} predicate
          * @return {?}
          */
-        AnimationGroupPlayer.prototype.reset = function () {
-            this._players.forEach(function (player) { return player.reset(); });
-            this._destroyed = false;
-            this._finished = false;
-            this._started = false;
+        DebugElement.prototype.query = function (predicate) {
+            var /** @type {?} */ results = this.queryAll(predicate);
+            return results[0] || null;
         };
         /**
-         * @param {?} p
+         * Returns all descendants that match `predicate`, which can also be a selector as supported
+         * by {\@link DebugSelector#css}.
+         * @param {?} predicate
          * @return {?}
          */
-        AnimationGroupPlayer.prototype.setPosition = function (p) {
-            this._players.forEach(function (player) { player.setPosition(p); });
+        DebugElement.prototype.queryAll = function (predicate) {
+            var /** @type {?} */ matches = [];
+            _queryElementChildren(this, typeof predicate === 'string' ? DebugSelector.css(predicate) : predicate, matches);
+            return matches;
         };
         /**
+         * @param {?} predicate
          * @return {?}
          */
-        AnimationGroupPlayer.prototype.getPosition = function () {
-            var /** @type {?} */ min = 0;
-            this._players.forEach(function (player) {
-                var /** @type {?} */ p = player.getPosition();
-                min = Math.min(p, min);
-            });
-            return min;
+        DebugElement.prototype.queryAllNodes = function (predicate) {
+            var /** @type {?} */ matches = [];
+            _queryNodeChildren(this, predicate, matches);
+            return matches;
         };
-        Object.defineProperty(AnimationGroupPlayer.prototype, "players", {
+        Object.defineProperty(DebugElement.prototype, "children", {
             /**
              * @return {?}
              */
-            get: function () { return this._players; },
+            get: function () {
+                return (this.childNodes.filter(function (node) { return node instanceof DebugElement; }));
+            },
             enumerable: true,
             configurable: true
         });
-        return AnimationGroupPlayer;
-    }());
-
-    /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
-     */
-    var AnimationKeyframe = (function () {
-        /**
-         * @param {?} offset
-         * @param {?} styles
-         */
-        function AnimationKeyframe(offset, styles) {
-            this.offset = offset;
-            this.styles = styles;
-        }
-        return AnimationKeyframe;
-    }());
-
-    /**
-     * \@experimental Animation support is experimental.
-     * @abstract
-     */
-    var AnimationPlayer = (function () {
-        function AnimationPlayer() {
-        }
-        /**
-         * @abstract
-         * @param {?} fn
-         * @return {?}
-         */
-        AnimationPlayer.prototype.onDone = function (fn) { };
-        /**
-         * @abstract
-         * @param {?} fn
-         * @return {?}
-         */
-        AnimationPlayer.prototype.onStart = function (fn) { };
-        /**
-         * @abstract
-         * @return {?}
-         */
-        AnimationPlayer.prototype.init = function () { };
-        /**
-         * @abstract
-         * @return {?}
-         */
-        AnimationPlayer.prototype.hasStarted = function () { };
-        /**
-         * @abstract
-         * @return {?}
-         */
-        AnimationPlayer.prototype.play = function () { };
-        /**
-         * @abstract
-         * @return {?}
-         */
-        AnimationPlayer.prototype.pause = function () { };
-        /**
-         * @abstract
-         * @return {?}
-         */
-        AnimationPlayer.prototype.restart = function () { };
-        /**
-         * @abstract
-         * @return {?}
-         */
-        AnimationPlayer.prototype.finish = function () { };
-        /**
-         * @abstract
-         * @return {?}
-         */
-        AnimationPlayer.prototype.destroy = function () { };
         /**
-         * @abstract
+         * @param {?} eventName
+         * @param {?} eventObj
          * @return {?}
          */
-        AnimationPlayer.prototype.reset = function () { };
+        DebugElement.prototype.triggerEventHandler = function (eventName, eventObj) {
+            this.listeners.forEach(function (listener) {
+                if (listener.name == eventName) {
+                    listener.callback(eventObj);
+                }
+            });
+        };
         /**
-         * @abstract
-         * @param {?} p
+         * Dispatches an event like the browser would, without needing a DOM.
+         *
+         * The listeners of this element are called first, then the ones of its ancestors, and
+         * finally the global listeners for `body`, `document` and `window`, e.g. from
+         * `\@HostListener('document:click')`. Propagation stops when a listener calls
+         * `stopPropagation()`, or right away when `eventObj.bubbles` is `false`.
+         *
+         * If no `eventObj` is given, a plain object is created with `type`, `target`, `bubbles`,
+         * `defaultPrevented` and the methods mentioned above and `preventDefault()`. The event is
+         * dispatched in the `NgZone` of the application, so that change detection runs afterwards.
+         *
+         * Returns `false` if a listener called `preventDefault()`, like `EventTarget.dispatchEvent()`.
+         * @param {?} eventName
+         * @param {?=} eventObj
          * @return {?}
          */
-        AnimationPlayer.prototype.setPosition = function (p) { };
+        DebugElement.prototype.dispatchEvent = function (eventName, eventObj) {
+            var _this = this;
+            var /** @type {?} */ event = eventObj || _createEvent(eventName, this.nativeElement);
+            var /** @type {?} */ zone = this.injector ? this.injector.get(NgZone, null) : null;
+            var /** @type {?} */ dispatch = function () { return _dispatchEvent(_this, eventName, event); };
+            zone ? zone.run(dispatch) : dispatch();
+            return !event.defaultPrevented;
+        };
         /**
-         * @abstract
+         * Returns the state of this element and its descendants as a tree that only contains
+         * strings, numbers, booleans, arrays, plain objects and `null`s, e.g. to compare it with a
+         * golden file via {\@link diffSnapshots}.
+         *
+         * Text nodes are trimmed, and the ones that only contain whitespace are left out, as are
+         * template anchors, removed classes and styles, and attributes that were set to `null`.
+         * @param {?=} options
          * @return {?}
          */
-        AnimationPlayer.prototype.getPosition = function () { };
-        Object.defineProperty(AnimationPlayer.prototype, "parentPlayer", {
+        DebugElement.prototype.toSnapshot = function (options) {
+            if (options === void 0) { options = {}; }
+            return (_toSnapshot(this, options));
+        };
+        return DebugElement;
+    }(DebugNode));
+    /**
+     * @param {?} eventName
+     * @param {?} target
+     * @return {?}
+     */
+    function _createEvent(eventName, target) {
+        return {
+            type: eventName,
+            target: target,
+            bubbles: true,
+            defaultPrevented: false,
             /**
              * @return {?}
              */
-            get: function () { throw new Error('NOT IMPLEMENTED: Base Class'); },
+            preventDefault: function () { this.defaultPrevented = true; },
             /**
-             * @param {?} player
              * @return {?}
              */
-            set: function (player) { throw new Error('NOT IMPLEMENTED: Base Class'); },
-            enumerable: true,
-            configurable: true
-        });
-        return AnimationPlayer;
-    }());
-    var NoOpAnimationPlayer = (function () {
-        function NoOpAnimationPlayer() {
-            var _this = this;
-            this._onDoneFns = [];
-            this._onStartFns = [];
-            this._started = false;
-            this.parentPlayer = null;
-            scheduleMicroTask(function () { return _this._onFinish(); });
-        }
-        /**
-         * \@internal
-         * @return {?}
-         */
-        NoOpAnimationPlayer.prototype._onFinish = function () {
-            this._onDoneFns.forEach(function (fn) { return fn(); });
-            this._onDoneFns = [];
+            stopPropagation: function () { },
+            /**
+             * @return {?}
+             */
+            stopImmediatePropagation: function () { }
         };
-        /**
-         * @param {?} fn
-         * @return {?}
-         */
-        NoOpAnimationPlayer.prototype.onStart = function (fn) { this._onStartFns.push(fn); };
-        /**
-         * @param {?} fn
-         * @return {?}
-         */
-        NoOpAnimationPlayer.prototype.onDone = function (fn) { this._onDoneFns.push(fn); };
-        /**
-         * @return {?}
-         */
-        NoOpAnimationPlayer.prototype.hasStarted = function () { return this._started; };
-        /**
-         * @return {?}
-         */
-        NoOpAnimationPlayer.prototype.init = function () { };
-        /**
-         * @return {?}
-         */
-        NoOpAnimationPlayer.prototype.play = function () {
-            if (!this.hasStarted()) {
-                this._onStartFns.forEach(function (fn) { return fn(); });
-                this._onStartFns = [];
+    }
+    /**
+     * @param {?} element
+     * @param {?} eventName
+     * @param {?} event
+     * @return {?}
+     */
+    function _dispatchEvent(element, eventName, event) {
+        var /** @type {?} */ propagationStopped = event.bubbles === false;
+        var /** @type {?} */ immediatePropagationStopped = false;
+        // Wraps the methods of the event itself, so that native events keep working as well.
+        var /** @type {?} */ ownMethods = ['stopPropagation', 'stopImmediatePropagation'].filter(function (name) { return event.hasOwnProperty(name); });
+        var /** @type {?} */ stopPropagation = event.stopPropagation;
+        var /** @type {?} */ stopImmediatePropagation = event.stopImmediatePropagation;
+        event.stopPropagation = function () {
+            propagationStopped = true;
+            if (stopPropagation) {
+                stopPropagation.apply(this, arguments);
+            }
+        };
+        event.stopImmediatePropagation = function () {
+            propagationStopped = immediatePropagationStopped = true;
+            if (stopImmediatePropagation) {
+                stopImmediatePropagation.apply(this, arguments);
+            }
+        };
+        var /** @type {?} */ callListeners = function (listeners) {
+            for (var /** @type {?} */ i = 0; i < listeners.length && !immediatePropagationStopped; i++) {
+                if (listeners[i].name === eventName) {
+                    listeners[i].callback(event);
+                }
             }
-            this._started = true;
         };
+        try {
+            for (var /** @type {?} */ current = element; current; current = current.parent) {
+                callListeners(current.listeners.slice());
+                if (propagationStopped) {
+                    return;
+                }
+            }
+            var _loop_1 = function(i) {
+                callListeners(element._globalListeners.filter(function (entry) { return entry.target === _GLOBAL_EVENT_TARGETS[i]; })
+                    .map(function (entry) { return entry.listener; }));
+                if (propagationStopped) {
+                    return { value: void 0 };
+                }
+            };
+            for (var /** @type {?} */ i = 0; i < _GLOBAL_EVENT_TARGETS.length; i++) {
+                var state_1 = _loop_1(i);
+                if (typeof state_1 === "object") return state_1.value;
+            }
+        }
+        finally {
+            delete event.stopPropagation;
+            delete event.stopImmediatePropagation;
+            if (ownMethods.indexOf('stopPropagation') !== -1) {
+                event.stopPropagation = stopPropagation;
+            }
+            if (ownMethods.indexOf('stopImmediatePropagation') !== -1) {
+                event.stopImmediatePropagation = stopImmediatePropagation;
+            }
+        }
+    }
+    /**
+     * @param {?} node
+     * @param {?} options
+     * @return {?}
+     */
+    function _toSnapshot(node, options) {
+        if (!(node instanceof DebugElement)) {
+            var /** @type {?} */ text = node._text !== null ? node._text.trim() : '';
+            return text ? { text: text } : null;
+        }
+        var /** @type {?} */ sortKeys = !!options.sortKeys;
+        var /** @type {?} */ snapshot = { name: node.name };
+        var /** @type {?} */ component = node.componentInstance;
+        if (component) {
+            snapshot.component = stringify(component.constructor);
+            if (options.includeInputs) {
+                var /** @type {?} */ inputs_1 = {};
+                getInputNames(component).forEach(function (name) { return inputs_1[name] = component[name]; });
+                snapshot.inputs = toSnapshotValue(inputs_1, sortKeys);
+            }
+        }
+        snapshot.attributes = toSnapshotMap(node.attributes, sortKeys, function (value, name) { return value === null || value === undefined ||
+            (options.dropGeneratedAttributes && isGeneratedAttribute(name)) ?
+            undefined :
+            String(value); });
+        snapshot.properties = toSnapshotValue(node.properties, sortKeys);
+        snapshot.classes = Object.keys(node.classes).filter(function (name) { return node.classes[name]; });
+        if (sortKeys) {
+            snapshot.classes.sort();
+        }
+        snapshot.styles = toSnapshotMap(node.styles, sortKeys, function (value) { return value === null || value === undefined ? undefined : String(value); });
+        snapshot.listeners = node.listeners.map(function (listener) { return listener.name; });
+        snapshot.children = node.childNodes.map(function (child) { return _toSnapshot(child, options); })
+            .filter(function (child) { return child !== null; });
+        return snapshot;
+    }
+    /**
+     * \@experimental
+     * @param {?} debugEls
+     * @return {?}
+     */
+    function asNativeElements(debugEls) {
+        return debugEls.map(function (el) { return el.nativeElement; });
+    }
+    /**
+     * @param {?} element
+     * @param {?} predicate
+     * @param {?} matches
+     * @return {?}
+     */
+    function _queryElementChildren(element, predicate, matches) {
+        element.childNodes.forEach(function (node) {
+            if (node instanceof DebugElement) {
+                if (predicate(node)) {
+                    matches.push(node);
+                }
+                _queryElementChildren(node, predicate, matches);
+            }
+        });
+    }
+    /**
+     * @param {?} parentNode
+     * @param {?} predicate
+     * @param {?} matches
+     * @return {?}
+     */
+    function _queryNodeChildren(parentNode, predicate, matches) {
+        if (parentNode instanceof DebugElement) {
+            parentNode.childNodes.forEach(function (node) {
+                if (predicate(node)) {
+                    matches.push(node);
+                }
+                if (node instanceof DebugElement) {
+                    _queryNodeChildren(node, predicate, matches);
+                }
+            });
+        }
+    }
+    // In the order in which a bubbling event reaches them.
+    var /** @type {?} */ _GLOBAL_EVENT_TARGETS = ['body', 'document', 'window'];
+    // Need to keep the nodes in a global Map so that multiple angular apps are supported.
+    var /** @type {?} */ _nativeNodeToDebugNode = new Map();
+    /**
+     * \@experimental
+     * @param {?} nativeNode
+     * @return {?}
+     */
+    function getDebugNode(nativeNode) {
+        return _nativeNodeToDebugNode.get(nativeNode);
+    }
+    /**
+     * @return {?}
+     */
+    function getAllDebugNodes() {
+        return Array.from(_nativeNodeToDebugNode.values());
+    }
+    /**
+     * @param {?} node
+     * @return {?}
+     */
+    function indexDebugNode(node) {
+        _nativeNodeToDebugNode.set(node.nativeNode, node);
+    }
+    /**
+     * @param {?} node
+     * @return {?}
+     */
+    function removeDebugNodeFromIndex(node) {
+        _nativeNodeToDebugNode.delete(node.nativeNode);
+    }
+
+    /**
+     * The Testability service provides testing hooks that can be accessed from
+     * the browser and by services such as Protractor. Each bootstrapped Angular
+     * application on the page will have an instance of Testability.
+     * \@experimental
+     */
+    var Testability = (function () {
         /**
-         * @return {?}
-         */
-        NoOpAnimationPlayer.prototype.pause = function () { };
-        /**
-         * @return {?}
-         */
-        NoOpAnimationPlayer.prototype.restart = function () { };
-        /**
-         * @return {?}
+         * @param {?} _ngZone
          */
-        NoOpAnimationPlayer.prototype.finish = function () { this._onFinish(); };
+        function Testability(_ngZone) {
+            this._ngZone = _ngZone;
+            /** @internal */
+            this._pendingCount = 0;
+            /** @internal */
+            this._isZoneStable = true;
+            /** @internal */
+            this._isTickScheduled = false;
+            /**
+             * Whether any work was done since the last 'whenStable' callback. This is
+             * useful to detect if this could have potentially destabilized another
+             * component while it is stabilizing.
+             * @internal
+             */
+            this._didWork = false;
+            /** @internal */
+            this._callbacks = [];
+            /** @internal */
+            this._updateScheduled = false;
+            /** @internal */
+            this._lastPendingWorkKey = null;
+            this._watchAngularEvents();
+        }
         /**
+         * \@internal
          * @return {?}
          */
-        NoOpAnimationPlayer.prototype.destroy = function () { };
+        Testability.prototype._watchAngularEvents = function () {
+            var _this = this;
+            this._ngZone.onUnstable.subscribe({
+                next: function () {
+                    _this._didWork = true;
+                    _this._isZoneStable = false;
+                    _this._pendingWorkChanged();
+                }
+            });
+            if (this._ngZone._onPendingTasksChange) {
+                this._ngZone._onPendingTasksChange.subscribe({ next: function () { _this._pendingWorkChanged(); } });
+            }
+            this._ngZone.runOutsideAngular(function () {
+                _this._ngZone.onStable.subscribe({
+                    next: function () {
+                        NgZone.assertNotInAngularZone();
+                        scheduleMicroTask(function () {
+                            _this._isZoneStable = true;
+                            _this._runCallbacksIfReady();
+                        });
+                    }
+                });
+            });
+        };
         /**
          * @return {?}
          */
-        NoOpAnimationPlayer.prototype.reset = function () { };
+        Testability.prototype.increasePendingRequestCount = function () {
+            this._pendingCount += 1;
+            this._didWork = true;
+            this._pendingWorkChanged();
+            return this._pendingCount;
+        };
         /**
-         * @param {?} p
          * @return {?}
          */
-        NoOpAnimationPlayer.prototype.setPosition = function (p) { };
+        Testability.prototype.decreasePendingRequestCount = function () {
+            this._pendingCount -= 1;
+            if (this._pendingCount < 0) {
+                throw new Error('pending async requests below zero');
+            }
+            this._runCallbacksIfReady();
+            return this._pendingCount;
+        };
         /**
          * @return {?}
          */
-        NoOpAnimationPlayer.prototype.getPosition = function () { return 0; };
-        return NoOpAnimationPlayer;
-    }());
-
-    var AnimationSequencePlayer = (function () {
+        Testability.prototype.isStable = function () {
+            return this._isZoneStable && !this._isTickScheduled && this._pendingCount == 0 &&
+                !this._ngZone.hasPendingMacrotasks;
+        };
         /**
-         * @param {?} _players
+         * \@internal
+         * Called by `ApplicationRef` while a tick of its `TickScheduler` is pending.
+         * @param {?} scheduled
+         * @return {?}
          */
-        function AnimationSequencePlayer(_players) {
-            var _this = this;
-            this._players = _players;
-            this._currentIndex = 0;
-            this._onDoneFns = [];
-            this._onStartFns = [];
-            this._finished = false;
-            this._started = false;
-            this._destroyed = false;
-            this.parentPlayer = null;
-            this._players.forEach(function (player) { player.parentPlayer = _this; });
-            this._onNext(false);
-        }
+        Testability.prototype._setTickScheduled = function (scheduled) {
+            this._isTickScheduled = scheduled;
+            if (scheduled) {
+                this._didWork = true;
+            }
+            else {
+                this._runCallbacksIfReady();
+            }
+        };
         /**
-         * @param {?} start
+         * \@internal
          * @return {?}
          */
-        AnimationSequencePlayer.prototype._onNext = function (start) {
+        Testability.prototype._runCallbacksIfReady = function () {
             var _this = this;
-            if (this._finished)
-                return;
-            if (this._players.length == 0) {
-                this._activePlayer = new NoOpAnimationPlayer();
-                scheduleMicroTask(function () { return _this._onFinish(); });
-            }
-            else if (this._currentIndex >= this._players.length) {
-                this._activePlayer = new NoOpAnimationPlayer();
-                this._onFinish();
+            if (this.isStable()) {
+                // Schedules the call backs in a new frame so that it is always async.
+                scheduleMicroTask(function () {
+                    while (_this._callbacks.length !== 0) {
+                        var /** @type {?} */ waiter = _this._callbacks.pop();
+                        clearTimeout(waiter.timeoutId);
+                        waiter.doneCb(_this._didWork);
+                    }
+                    _this._didWork = false;
+                });
             }
             else {
-                var /** @type {?} */ player = this._players[this._currentIndex++];
-                player.onDone(function () { return _this._onNext(true); });
-                this._activePlayer = player;
-                if (start) {
-                    player.play();
-                }
+                // Not Ready
+                this._didWork = true;
+                this._pendingWorkChanged();
             }
         };
         /**
+         * Calls `callback` with whether any work was done once the application is stable.
+         *
+         * If the application is not stable within `timeout` milliseconds, `callback` is called with
+         * the {\@link PendingWork} that it is still waiting for as second argument instead.
+         * `updateCallback` is called with the pending work whenever it changes; if it returns `true`,
+         * the wait is cancelled and `callback` is not called.
+         * @param {?} callback
+         * @param {?=} timeout
+         * @param {?=} updateCallback
          * @return {?}
          */
-        AnimationSequencePlayer.prototype._onFinish = function () {
-            if (!this._finished) {
-                this._finished = true;
-                this._onDoneFns.forEach(function (fn) { return fn(); });
-                this._onDoneFns = [];
+        Testability.prototype.whenStable = function (callback, timeout, updateCallback) {
+            var _this = this;
+            var /** @type {?} */ waiter = { doneCb: callback, updateCb: updateCallback, timeoutId: null };
+            if (timeout > 0) {
+                // A timer in the Angular zone would itself keep the application unstable.
+                waiter.timeoutId = this._ngZone.runOutsideAngular(function () { return setTimeout(function () {
+                    _this._removeWaiter(waiter);
+                    callback(_this._didWork, _this._getPendingWork("Testability.whenStable timed out after " + timeout + "ms"));
+                }, timeout); });
+            }
+            this._callbacks.push(waiter);
+            this._runCallbacksIfReady();
+        };
+        /**
+         * \@internal
+         * @param {?} waiter
+         * @return {?}
+         */
+        Testability.prototype._removeWaiter = function (waiter) {
+            clearTimeout(waiter.timeoutId);
+            var /** @type {?} */ index = this._callbacks.indexOf(waiter);
+            if (index !== -1) {
+                this._callbacks.splice(index, 1);
             }
         };
         /**
+         * \@internal
+         * Sends the update callbacks the pending work once the current work is done, if it changed.
          * @return {?}
          */
-        AnimationSequencePlayer.prototype.init = function () { this._players.forEach(function (player) { return player.init(); }); };
+        Testability.prototype._pendingWorkChanged = function () {
+            var _this = this;
+            if (this._updateScheduled || !this._callbacks.some(function (waiter) { return !!waiter.updateCb; })) {
+                return;
+            }
+            this._updateScheduled = true;
+            this._ngZone.runOutsideAngular(function () { return scheduleMicroTask(function () {
+                _this._updateScheduled = false;
+                if (_this.isStable()) {
+                    return;
+                }
+                var /** @type {?} */ pendingWork = _this._getPendingWork('Testability is waiting for');
+                var /** @type {?} */ key = [
+                    pendingWork.pendingRequestCount, pendingWork.hasPendingMacrotasks, _this._isZoneStable,
+                    _this._isTickScheduled
+                ].concat(pendingWork.pendingTasks.map(function (task) { return (task.source + "@" + task.creationTime); }))
+                    .join();
+                if (key === _this._lastPendingWorkKey) {
+                    return;
+                }
+                _this._lastPendingWorkKey = key;
+                _this._callbacks.slice().forEach(function (waiter) {
+                    if (waiter.updateCb && waiter.updateCb(pendingWork)) {
+                        _this._removeWaiter(waiter);
+                    }
+                });
+            }); });
+        };
         /**
-         * @param {?} fn
+         * \@internal
+         * @param {?} prefix
          * @return {?}
          */
-        AnimationSequencePlayer.prototype.onStart = function (fn) { this._onStartFns.push(fn); };
+        Testability.prototype._getPendingWork = function (prefix) {
+            var /** @type {?} */ pendingTasks = this.getPendingTasks();
+            var /** @type {?} */ hasPendingMacrotasks = this._ngZone.hasPendingMacrotasks;
+            var /** @type {?} */ parts = [];
+            if (this._pendingCount > 0) {
+                parts.push(this._pendingCount + " pending request(s)");
+            }
+            if (pendingTasks.length) {
+                parts.push("pending tasks: " + pendingTasks.map(function (task) { return (task.source + " (" + task.age + "ms)"); }).join(', '));
+            }
+            else if (hasPendingMacrotasks) {
+                parts.push('pending macrotasks (create the NgZone with `trackPendingTasks: true` to list them)');
+            }
+            if (!this._isZoneStable || this._isTickScheduled) {
+                parts.push('change detection');
+            }
+            return {
+                pendingRequestCount: this._pendingCount,
+                hasPendingMacrotasks: hasPendingMacrotasks,
+                pendingTasks: pendingTasks,
+                description: prefix + ": " + (parts.length ? parts.join(', ') : 'nothing') + "."
+            };
+        };
         /**
-         * @param {?} fn
+         * Returns the work that the application is currently waiting for.
          * @return {?}
          */
-        AnimationSequencePlayer.prototype.onDone = function (fn) { this._onDoneFns.push(fn); };
+        Testability.prototype.getPendingWork = function () { return this._getPendingWork('Testability is waiting for'); };
         /**
          * @return {?}
          */
-        AnimationSequencePlayer.prototype.hasStarted = function () { return this._started; };
+        Testability.prototype.getPendingRequestCount = function () { return this._pendingCount; };
         /**
+         * Returns the tasks that the zone of the application is waiting for, e.g. to find out why
+         * `whenStable` doesn't call back. Tasks are only tracked if the `NgZone` of the application
+         * was created with `trackPendingTasks: true`.
          * @return {?}
          */
-        AnimationSequencePlayer.prototype.play = function () {
-            if (!isPresent(this.parentPlayer)) {
-                this.init();
-            }
-            if (!this.hasStarted()) {
-                this._onStartFns.forEach(function (fn) { return fn(); });
-                this._onStartFns = [];
-                this._started = true;
+        Testability.prototype.getPendingTasks = function () { return this._ngZone.getPendingTasks(); };
+        /**
+         * @deprecated use findProviders
+         *
+         * Returns the elements in `using`, including `using` itself, that have a binding whose name
+         * or current value is `provider`, or contains it unless `exactMatch` is set.
+         *
+         * Property bindings are matched by property name, input bindings by the name of the
+         * input, e.g. `userName` for `[userName]="user.name"`. Only bindings of components that
+         * were compiled in dev mode are known.
+         * @param {?} using
+         * @param {?} provider
+         * @param {?} exactMatch
+         * @return {?}
+         */
+        Testability.prototype.findBindings = function (using, provider, exactMatch) {
+            return _findElements(using, function (debugEl) {
+                var /** @type {?} */ bindings = [];
+                Object.keys(debugEl.properties).forEach(function (name) { return bindings.push([name, debugEl.properties[name]]); });
+                Object.keys(debugEl._bindingDebugInfo).forEach(function (name) {
+                    if (name.startsWith(_BINDING_DEBUG_INFO_PREFIX)) {
+                        bindings.push([_dashCaseToCamelCase(name.substring(_BINDING_DEBUG_INFO_PREFIX.length)), debugEl._bindingDebugInfo[name]]);
+                    }
+                });
+                return bindings.some(function (_a) {
+                    var name = _a[0], value = _a[1];
+                    return _matches(name, provider, exactMatch) ||
+                        (isPresent(value) && _matches(String(value), provider, exactMatch));
+                });
+            });
+        };
+        /**
+         * Returns the elements in `using`, including `using` itself, that have a provider whose
+         * token's name is `provider`, or contains it unless `exactMatch` is set.
+         * @param {?} using
+         * @param {?} provider
+         * @param {?} exactMatch
+         * @return {?}
+         */
+        Testability.prototype.findProviders = function (using, provider, exactMatch) {
+            return _findElements(using, function (debugEl) { return (debugEl.providerTokens || [])
+                .some(function (token) { return _matches(stringify(token), provider, exactMatch); }); });
+        };
+        Testability.decorators = [
+            { type: Injectable },
+        ];
+        /** @nocollapse */
+        Testability.ctorParameters = function () { return [
+            { type: NgZone, },
+        ]; };
+        return Testability;
+    }());
+    var /** @type {?} */ _BINDING_DEBUG_INFO_PREFIX = 'ng-reflect-';
+    /**
+     * Returns the native elements of the debug elements in `root` that match `predicate`.
+     * @param {?} root
+     * @param {?} predicate
+     * @return {?}
+     */
+    function _findElements(root, predicate) {
+        var /** @type {?} */ rootDebugNode = getDebugNode(root);
+        return getAllDebugNodes()
+            .filter(function (node) { return node instanceof DebugElement && _isInside(node, root, rootDebugNode) &&
+            predicate(node); })
+            .map(function (debugEl) { return debugEl.nativeElement; });
+    }
+    /**
+     * @param {?} node
+     * @param {?} root
+     * @param {?} rootDebugNode
+     * @return {?}
+     */
+    function _isInside(node, root, rootDebugNode) {
+        if (!rootDebugNode) {
+            // E.g. the document, which contains the root elements of the applications.
+            return !root || !root.contains || root.contains(node.nativeNode);
+        }
+        for (var /** @type {?} */ current = node; current; current = current.parent) {
+            if (current === rootDebugNode) {
+                return true;
             }
-            this._activePlayer.play();
+        }
+        return false;
+    }
+    /**
+     * @param {?} value
+     * @param {?} search
+     * @param {?} exactMatch
+     * @return {?}
+     */
+    function _matches(value, search, exactMatch) {
+        return exactMatch ? value === search : value.indexOf(search) !== -1;
+    }
+    /**
+     * @param {?} input
+     * @return {?}
+     */
+    function _dashCaseToCamelCase(input) {
+        return input.replace(/-([a-z])/g, function (m, c) { return c.toUpperCase(); });
+    }
+    /**
+     * A global registry of {\@link Testability} instances for specific elements.
+     * \@experimental
+     */
+    var TestabilityRegistry = (function () {
+        function TestabilityRegistry() {
+            /** @internal */
+            this._applications = new Map();
+            _testabilityGetter.addToWindow(this);
+        }
+        /**
+         * @param {?} token
+         * @param {?} testability
+         * @return {?}
+         */
+        TestabilityRegistry.prototype.registerApplication = function (token, testability) {
+            this._applications.set(token, testability);
         };
         /**
+         * Removes the application registered for `token`, e.g. when its root component is destroyed.
+         * @param {?} token
          * @return {?}
          */
-        AnimationSequencePlayer.prototype.pause = function () { this._activePlayer.pause(); };
+        TestabilityRegistry.prototype.unregisterApplication = function (token) { this._applications.delete(token); };
         /**
          * @return {?}
          */
-        AnimationSequencePlayer.prototype.restart = function () {
-            this.reset();
-            if (this._players.length > 0) {
-                this._players[0].restart();
+        TestabilityRegistry.prototype.unregisterAllApplications = function () { this._applications.clear(); };
+        /**
+         * @param {?} elem
+         * @return {?}
+         */
+        TestabilityRegistry.prototype.getTestability = function (elem) { return this._applications.get(elem); };
+        /**
+         * @return {?}
+         */
+        TestabilityRegistry.prototype.getAllTestabilities = function () { return Array.from(this._applications.values()); };
+        /**
+         * @return {?}
+         */
+        TestabilityRegistry.prototype.getAllRootElements = function () { return Array.from(this._applications.keys()); };
+        /**
+         * Calls `callback` with whether any work was done once all registered applications are
+         * stable at the same time.
+         *
+         * If the applications are not stable within `timeout` milliseconds, `callback` is called with
+         * the pending work of the applications that are still busy as second argument instead, keyed
+         * by their root elements.
+         * @param {?} callback
+         * @param {?=} timeout
+         * @return {?}
+         */
+        TestabilityRegistry.prototype.whenAllStable = function (callback, timeout) { this._whenAllStable(callback, timeout, false); };
+        /**
+         * @param {?} callback
+         * @param {?} timeout
+         * @param {?} didWorkBefore
+         * @return {?}
+         */
+        TestabilityRegistry.prototype._whenAllStable = function (callback, timeout, didWorkBefore) {
+            var _this = this;
+            var /** @type {?} */ testabilities = _unique(this.getAllTestabilities());
+            if (!testabilities.length) {
+                scheduleMicroTask(function () { return callback(didWorkBefore); });
+                return;
             }
+            var /** @type {?} */ remaining = testabilities.length;
+            var /** @type {?} */ didWork = didWorkBefore;
+            var /** @type {?} */ timedOut = [];
+            testabilities.forEach(function (testability) {
+                testability.whenStable(function (didWorkInApp, pendingWork) {
+                    didWork = didWork || didWorkInApp;
+                    if (pendingWork) {
+                        timedOut.push(testability);
+                    }
+                    if (--remaining > 0) {
+                        return;
+                    }
+                    if (timedOut.length) {
+                        callback(didWork, _this._getPendingWork(timedOut));
+                    }
+                    else if (testabilities.some(function (other) { return !other.isStable(); })) {
+                        // An application that became stable first may have been destabilized by
+                        // the work of the others in the meantime.
+                        _this._whenAllStable(callback, timeout, didWork);
+                    }
+                    else {
+                        callback(didWork);
+                    }
+                }, timeout);
+            });
         };
         /**
+         * Returns the work that the registered applications which are not stable are waiting for,
+         * keyed by their root elements.
          * @return {?}
          */
-        AnimationSequencePlayer.prototype.reset = function () {
-            this._players.forEach(function (player) { return player.reset(); });
-            this._destroyed = false;
-            this._finished = false;
-            this._started = false;
+        TestabilityRegistry.prototype.getPendingWork = function () {
+            return this._getPendingWork(this.getAllTestabilities().filter(function (testability) { return !testability.isStable(); }));
         };
         /**
+         * @param {?} testabilities
          * @return {?}
          */
-        AnimationSequencePlayer.prototype.finish = function () {
-            this._onFinish();
-            this._players.forEach(function (player) { return player.finish(); });
+        TestabilityRegistry.prototype._getPendingWork = function (testabilities) {
+            var /** @type {?} */ pendingWork = new Map();
+            this._applications.forEach(function (testability, rootElement) {
+                if (testabilities.indexOf(testability) !== -1) {
+                    pendingWork.set(rootElement, testability.getPendingWork());
+                }
+            });
+            return pendingWork;
         };
         /**
+         * @param {?} elem
+         * @param {?=} findInAncestors
          * @return {?}
          */
-        AnimationSequencePlayer.prototype.destroy = function () {
-            if (!this._destroyed) {
-                this._onFinish();
-                this._players.forEach(function (player) { return player.destroy(); });
-                this._destroyed = true;
-                this._activePlayer = new NoOpAnimationPlayer();
-            }
+        TestabilityRegistry.prototype.findTestabilityInTree = function (elem, findInAncestors) {
+            if (findInAncestors === void 0) { findInAncestors = true; }
+            return _testabilityGetter.findTestabilityInTree(this, elem, findInAncestors);
         };
+        TestabilityRegistry.decorators = [
+            { type: Injectable },
+        ];
+        /** @nocollapse */
+        TestabilityRegistry.ctorParameters = function () { return []; };
+        return TestabilityRegistry;
+    }());
+    /**
+     * @param {?} items
+     * @return {?}
+     */
+    function _unique(items) {
+        return items.filter(function (item, index) { return items.indexOf(item) === index; });
+    }
+    var _NoopGetTestability = (function () {
+        function _NoopGetTestability() {
+        }
         /**
-         * @param {?} p
+         * @param {?} registry
          * @return {?}
          */
-        AnimationSequencePlayer.prototype.setPosition = function (p) { this._players[0].setPosition(p); };
+        _NoopGetTestability.prototype.addToWindow = function (registry) { };
         /**
+         * @param {?} registry
+         * @param {?} elem
+         * @param {?} findInAncestors
          * @return {?}
          */
-        AnimationSequencePlayer.prototype.getPosition = function () { return this._players[0].getPosition(); };
-        Object.defineProperty(AnimationSequencePlayer.prototype, "players", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._players; },
-            enumerable: true,
-            configurable: true
-        });
-        return AnimationSequencePlayer;
+        _NoopGetTestability.prototype.findTestabilityInTree = function (registry, elem, findInAncestors) {
+            return null;
+        };
+        return _NoopGetTestability;
     }());
-
     /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
+     * Set the {\@link GetTestability} implementation used by the Angular testing framework.
+     * \@experimental
+     * @param {?} getter
+     * @return {?}
      */
-    var __extends$13 = (this && this.__extends) || function (d, b) {
+    function setTestabilityGetter(getter) {
+        _testabilityGetter = getter;
+    }
+    var /** @type {?} */ _testabilityGetter = new _NoopGetTestability();
+
+    var __extends$12 = (this && this.__extends) || function (d, b) {
         for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
         function __() { this.constructor = d; }
         d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
     };
     /**
-     * @experimental Animation support is experimental.
-     */
-    var /** @type {?} */ AUTO_STYLE = '*';
-    /**
-     * Metadata representing the entry of animations.
-     * Instances of this class are provided via the animation DSL when the {\@link trigger trigger
-     * animation function} is called.
+     * Decides when `ApplicationRef` runs change detection after the application did some work.
      *
-     * \@experimental Animation support is experimental.
+     * By default, `ApplicationRef.tick()` runs as soon as the zone has no more pending microtasks.
+     * When a `TickScheduler` is provided, e.g. via the `tickScheduler` option of
+     * {\@link PlatformRef#bootstrapModuleFactory}, all requests for change detection until the
+     * scheduled tick runs are coalesced into that one tick. `ApplicationRef.flushTick()` runs the
+     * scheduled tick right away.
+     *
+     * `Testability` reports the application as unstable until the scheduled tick has run.
+     *
+     * \@experimental
+     * @abstract
      */
-    var AnimationEntryMetadata = (function () {
+    var TickScheduler = (function () {
+        function TickScheduler() {
+        }
         /**
-         * @param {?} name
-         * @param {?} definitions
+         * Arranges for `tick` to be called later and returns a handle for `cancel`.
+         * @abstract
+         * @param {?} tick
+         * @return {?}
          */
-        function AnimationEntryMetadata(name, definitions) {
-            this.name = name;
-            this.definitions = definitions;
-        }
-        return AnimationEntryMetadata;
+        TickScheduler.prototype.schedule = function (tick) { };
+        /**
+         * Cancels the call that `schedule` returned `handle` for.
+         * @abstract
+         * @param {?} handle
+         * @return {?}
+         */
+        TickScheduler.prototype.cancel = function (handle) { };
+        return TickScheduler;
     }());
     /**
-     * \@experimental Animation support is experimental.
-     * @abstract
+     * Runs at most one tick per animation frame.
+     *
+     * Browsers don't run animation frames for pages in background tabs, so those don't run change
+     * detection until they are shown again. Where `requestAnimationFrame` is not available, a
+     * timeout is used instead.
+     *
+     * \@experimental
      */
-    var AnimationStateMetadata = (function () {
-        function AnimationStateMetadata() {
+    var AnimationFrameTickScheduler = (function (_super) {
+        __extends$12(AnimationFrameTickScheduler, _super);
+        function AnimationFrameTickScheduler() {
+            _super.apply(this, arguments);
         }
-        return AnimationStateMetadata;
-    }());
+        /**
+         * @param {?} tick
+         * @return {?}
+         */
+        AnimationFrameTickScheduler.prototype.schedule = function (tick) {
+            return global$1['requestAnimationFrame'] ? global$1['requestAnimationFrame'](tick) :
+                setTimeout(tick, 0);
+        };
+        /**
+         * @param {?} handle
+         * @return {?}
+         */
+        AnimationFrameTickScheduler.prototype.cancel = function (handle) {
+            if (global$1['cancelAnimationFrame']) {
+                global$1['cancelAnimationFrame'](handle);
+            }
+            else {
+                clearTimeout(handle);
+            }
+        };
+        return AnimationFrameTickScheduler;
+    }(TickScheduler));
     /**
-     * Metadata representing the entry of animations.
-     * Instances of this class are provided via the animation DSL when the {\@link state state animation
-     * function} is called.
+     * Runs at most one tick per macrotask, `delay` milliseconds after change detection was first
+     * requested.
      *
-     * \@experimental Animation support is experimental.
+     * \@experimental
      */
-    var AnimationStateDeclarationMetadata = (function (_super) {
-        __extends$13(AnimationStateDeclarationMetadata, _super);
+    var TimeoutTickScheduler = (function (_super) {
+        __extends$12(TimeoutTickScheduler, _super);
         /**
-         * @param {?} stateNameExpr
-         * @param {?} styles
+         * @param {?=} delay
          */
-        function AnimationStateDeclarationMetadata(stateNameExpr, styles) {
+        function TimeoutTickScheduler(delay) {
+            if (delay === void 0) { delay = 0; }
             _super.call(this);
-            this.stateNameExpr = stateNameExpr;
-            this.styles = styles;
+            this.delay = delay;
         }
-        return AnimationStateDeclarationMetadata;
-    }(AnimationStateMetadata));
-    /**
-     * Metadata representing the entry of animations.
-     * Instances of this class are provided via the animation DSL when the
-     * {\@link transition transition animation function} is called.
-     *
-     * \@experimental Animation support is experimental.
-     */
-    var AnimationStateTransitionMetadata = (function (_super) {
-        __extends$13(AnimationStateTransitionMetadata, _super);
         /**
-         * @param {?} stateChangeExpr
-         * @param {?} steps
+         * @param {?} tick
+         * @return {?}
          */
-        function AnimationStateTransitionMetadata(stateChangeExpr, steps) {
-            _super.call(this);
-            this.stateChangeExpr = stateChangeExpr;
-            this.steps = steps;
-        }
-        return AnimationStateTransitionMetadata;
-    }(AnimationStateMetadata));
+        TimeoutTickScheduler.prototype.schedule = function (tick) { return setTimeout(tick, this.delay); };
+        /**
+         * @param {?} handle
+         * @return {?}
+         */
+        TimeoutTickScheduler.prototype.cancel = function (handle) { clearTimeout(handle); };
+        return TimeoutTickScheduler;
+    }(TickScheduler));
+
+    var __extends$3 = (this && this.__extends) || function (d, b) {
+        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+    var /** @type {?} */ _devMode = true;
+    var /** @type {?} */ _runModeLocked = false;
+    var /** @type {?} */ _platform;
     /**
-     * \@experimental Animation support is experimental.
-     * @abstract
+     * Disable Angular's development mode, which turns off assertions and other
+     * checks within the framework.
+     *
+     * One important assertion this disables verifies that a change detection pass
+     * does not result in additional changes to any bindings (also known as
+     * unidirectional data flow).
+     *
+     * \@stable
+     * @return {?}
      */
-    var AnimationMetadata = (function () {
-        function AnimationMetadata() {
+    function enableProdMode() {
+        if (_runModeLocked) {
+            throw new Error('Cannot enable prod mode after platform setup.');
         }
-        return AnimationMetadata;
-    }());
+        _devMode = false;
+    }
     /**
-     * Metadata representing the entry of animations.
-     * Instances of this class are provided via the animation DSL when the {\@link keyframes keyframes
-     * animation function} is called.
+     * Returns whether Angular is in development mode. After called once,
+     * the value is locked and won't change any more.
      *
-     * \@experimental Animation support is experimental.
+     * By default, this is true, unless a user calls `enableProdMode` before calling this.
+     *
+     * \@experimental APIs related to application bootstrap are currently under review.
+     * @return {?}
      */
-    var AnimationKeyframesSequenceMetadata = (function (_super) {
-        __extends$13(AnimationKeyframesSequenceMetadata, _super);
-        /**
-         * @param {?} steps
-         */
-        function AnimationKeyframesSequenceMetadata(steps) {
-            _super.call(this);
-            this.steps = steps;
-        }
-        return AnimationKeyframesSequenceMetadata;
-    }(AnimationMetadata));
+    function isDevMode() {
+        _runModeLocked = true;
+        return _devMode;
+    }
     /**
-     * Metadata representing the entry of animations.
-     * Instances of this class are provided via the animation DSL when the {\@link style style animation
-     * function} is called.
+     * A token for third-party components that can register themselves with NgProbe.
      *
-     * \@experimental Animation support is experimental.
+     * \@experimental
      */
-    var AnimationStyleMetadata = (function (_super) {
-        __extends$13(AnimationStyleMetadata, _super);
+    var NgProbeToken = (function () {
         /**
-         * @param {?} styles
-         * @param {?=} offset
+         * @param {?} name
+         * @param {?} token
          */
-        function AnimationStyleMetadata(styles, offset) {
-            if (offset === void 0) { offset = null; }
-            _super.call(this);
-            this.styles = styles;
-            this.offset = offset;
+        function NgProbeToken(name, token) {
+            this.name = name;
+            this.token = token;
         }
-        return AnimationStyleMetadata;
-    }(AnimationMetadata));
+        return NgProbeToken;
+    }());
     /**
-     * Metadata representing the entry of animations.
-     * Instances of this class are provided via the animation DSL when the {\@link animate animate
-     * animation function} is called.
+     * A token that allows to create another platform while the platform that provides it is
+     * running, e.g. to render several modules on the server at the same time.
+     */
+    var /** @type {?} */ ALLOW_MULTIPLE_PLATFORMS = new OpaqueToken('AllowMultipleToken');
+    /**
+     * Creates a platform.
+     * Platforms have to be eagerly created via this function.
      *
-     * \@experimental Animation support is experimental.
+     * \@experimental APIs related to application bootstrap are currently under review.
+     * @param {?} injector
+     * @return {?}
      */
-    var AnimationAnimateMetadata = (function (_super) {
-        __extends$13(AnimationAnimateMetadata, _super);
-        /**
-         * @param {?} timings
-         * @param {?} styles
-         */
-        function AnimationAnimateMetadata(timings, styles) {
-            _super.call(this);
-            this.timings = timings;
-            this.styles = styles;
+    function createPlatform(injector) {
+        if (_platform && !_platform.destroyed &&
+            !_platform.injector.get(ALLOW_MULTIPLE_PLATFORMS, false)) {
+            throw new Error('There can be only one platform. Destroy the previous one to create a new one.');
         }
-        return AnimationAnimateMetadata;
-    }(AnimationMetadata));
+        _platform = injector.get(PlatformRef);
+        var /** @type {?} */ inits = (injector.get(PLATFORM_INITIALIZER, null));
+        if (inits)
+            inits.forEach(function (init) { return init(); });
+        return _platform;
+    }
     /**
-     * \@experimental Animation support is experimental.
-     * @abstract
+     * Creates a factory for a platform
+     *
+     * \@experimental APIs related to application bootstrap are currently under review.
+     * @param {?} parentPlatformFactory
+     * @param {?} name
+     * @param {?=} providers
+     * @return {?}
      */
-    var AnimationWithStepsMetadata = (function (_super) {
-        __extends$13(AnimationWithStepsMetadata, _super);
-        function AnimationWithStepsMetadata() {
-            _super.call(this);
-        }
-        Object.defineProperty(AnimationWithStepsMetadata.prototype, "steps", {
-            /**
-             * @return {?}
-             */
-            get: function () { throw new Error('NOT IMPLEMENTED: Base Class'); },
-            enumerable: true,
-            configurable: true
-        });
-        return AnimationWithStepsMetadata;
-    }(AnimationMetadata));
+    function createPlatformFactory(parentPlatformFactory, name, providers) {
+        if (providers === void 0) { providers = []; }
+        var /** @type {?} */ marker = new OpaqueToken("Platform: " + name);
+        return function (extraProviders) {
+            if (extraProviders === void 0) { extraProviders = []; }
+            var /** @type {?} */ platform = getPlatform();
+            if (!platform || platform.injector.get(ALLOW_MULTIPLE_PLATFORMS, false)) {
+                if (parentPlatformFactory) {
+                    parentPlatformFactory(providers.concat(extraProviders).concat({ provide: marker, useValue: true }));
+                }
+                else {
+                    createPlatform(ReflectiveInjector.resolveAndCreate(providers.concat(extraProviders).concat({ provide: marker, useValue: true })));
+                }
+            }
+            return assertPlatform(marker);
+        };
+    }
     /**
-     * Metadata representing the entry of animations.
-     * Instances of this class are provided via the animation DSL when the {\@link sequence sequence
-     * animation function} is called.
+     * Checks that there currently is a platform
+     * which contains the given token as a provider.
      *
-     * \@experimental Animation support is experimental.
+     * \@experimental APIs related to application bootstrap are currently under review.
+     * @param {?} requiredToken
+     * @return {?}
      */
-    var AnimationSequenceMetadata = (function (_super) {
-        __extends$13(AnimationSequenceMetadata, _super);
-        /**
-         * @param {?} _steps
-         */
-        function AnimationSequenceMetadata(_steps) {
-            _super.call(this);
-            this._steps = _steps;
+    function assertPlatform(requiredToken) {
+        var /** @type {?} */ platform = getPlatform();
+        if (!platform) {
+            throw new Error('No platform exists!');
         }
-        Object.defineProperty(AnimationSequenceMetadata.prototype, "steps", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._steps; },
-            enumerable: true,
-            configurable: true
-        });
-        return AnimationSequenceMetadata;
-    }(AnimationWithStepsMetadata));
+        if (!platform.injector.get(requiredToken, null)) {
+            throw new Error('A platform with a different configuration has been created. Please destroy it first.');
+        }
+        return platform;
+    }
     /**
-     * Metadata representing the entry of animations.
-     * Instances of this class are provided via the animation DSL when the {\@link group group animation
-     * function} is called.
+     * Destroy the existing platform.
      *
-     * \@experimental Animation support is experimental.
+     * \@experimental APIs related to application bootstrap are currently under review.
+     * @return {?}
      */
-    var AnimationGroupMetadata = (function (_super) {
-        __extends$13(AnimationGroupMetadata, _super);
-        /**
-         * @param {?} _steps
-         */
-        function AnimationGroupMetadata(_steps) {
-            _super.call(this);
-            this._steps = _steps;
+    function destroyPlatform() {
+        if (_platform && !_platform.destroyed) {
+            _platform.destroy();
         }
-        Object.defineProperty(AnimationGroupMetadata.prototype, "steps", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._steps; },
-            enumerable: true,
-            configurable: true
-        });
-        return AnimationGroupMetadata;
-    }(AnimationWithStepsMetadata));
+    }
     /**
-     * `animate` is an animation-specific function that is designed to be used inside of Angular2's
-     * animation
-     * DSL language. If this information is new, please navigate to the
-     * {\@link Component#animations-anchor component animations metadata
-     * page} to gain a better understanding of how animations in Angular2 are used.
-     *
-     * `animate` specifies an animation step that will apply the provided `styles` data for a given
-     * amount of
-     * time based on the provided `timing` expression value. Calls to `animate` are expected to be
-     * used within {\@link sequence an animation sequence}, {\@link group group}, or {\@link transition
-     * transition}.
+     * Returns the current platform.
      *
-     * ### Usage
+     * \@experimental APIs related to application bootstrap are currently under review.
+     * @return {?}
+     */
+    function getPlatform() {
+        return _platform && !_platform.destroyed ? _platform : null;
+    }
+    /**
+     * The Angular platform is the entry point for Angular on a web page. Each page
+     * has exactly one platform, and services (such as reflection) which are common
+     * to every Angular application running on the page are bound in its scope.
      *
-     * The `animate` function accepts two input parameters: `timing` and `styles`:
+     * A page's platform is initialized implicitly when {\@link bootstrap}() is called, or
+     * explicitly by calling {\@link createPlatform}().
      *
-     * - `timing` is a string based value that can be a combination of a duration with optional
-     * delay and easing values. The format for the expression breaks down to `duration delay easing`
-     * (therefore a value such as `1s 100ms ease-out` will be parse itself into `duration=1000,
-     * delay=100, easing=ease-out`.
-     * If a numeric value is provided then that will be used as the `duration` value in millisecond
-     * form.
-     * - `styles` is the style input data which can either be a call to {\@link style style} or {\@link
-     * keyframes keyframes}.
-     * If left empty then the styles from the destination state will be collected and used (this is
-     * useful when
-     * describing an animation step that will complete an animation by {\@link
-     * transition#the-final-animate-call animating to the final state}).
-     *
-     * ```typescript
-     * // various functions for specifying timing data
-     * animate(500, style(...))
-     * animate("1s", style(...))
-     * animate("100ms 0.5s", style(...))
-     * animate("5s ease", style(...))
-     * animate("5s 10ms cubic-bezier(.17,.67,.88,.1)", style(...))
-     *
-     * // either style() of keyframes() can be used
-     * animate(500, style({ background: "red" }))
-     * animate(500, keyframes([
-     *   style({ background: "blue" })),
-     *   style({ background: "red" }))
-     * ])
-     * ```
-     *
-     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
-     *
-     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
-     *
-     * \@experimental Animation support is experimental.
-     * @param {?} timing
-     * @param {?=} styles
-     * @return {?}
+     * \@stable
+     * @abstract
      */
-    function animate(timing, styles) {
-        if (styles === void 0) { styles = null; }
-        var /** @type {?} */ stylesEntry = styles;
-        if (!isPresent(stylesEntry)) {
-            var /** @type {?} */ EMPTY_STYLE = {};
-            stylesEntry = new AnimationStyleMetadata([EMPTY_STYLE], 1);
+    var PlatformRef = (function () {
+        function PlatformRef() {
         }
-        return new AnimationAnimateMetadata(timing, stylesEntry);
-    }
+        /**
+         * Creates an instance of an `\@NgModule` for the given platform
+         * for offline compilation.
+         *
+         * ## Simple Example
+         *
+         * ```typescript
+         * my_module.ts:
+         *
+         * \@NgModule({
+         *   imports: [BrowserModule]
+         * })
+         * class MyModule {}
+         *
+         * main.ts:
+         * import {MyModuleNgFactory} from './my_module.ngfactory';
+         * import {platformBrowser} from '\@angular/platform-browser';
+         *
+         * let moduleRef = platformBrowser().bootstrapModuleFactory(MyModuleNgFactory);
+         * ```
+         *
+         * To run the application without Zone.js, pass a {\@link NoopNgZone} as `options.ngZone`. To
+         * coalesce change detection, e.g. into one tick per animation frame, pass a
+         * {\@link TickScheduler} as `options.tickScheduler`.
+         *
+         * \@experimental APIs related to application bootstrap are currently under review.
+         * @param {?} moduleFactory
+         * @param {?=} options
+         * @return {?}
+         */
+        PlatformRef.prototype.bootstrapModuleFactory = function (moduleFactory, options) {
+            throw unimplemented();
+        };
+        /**
+         * Creates an instance of an `\@NgModule` for a given platform using the given runtime compiler.
+         *
+         * ## Simple Example
+         *
+         * ```typescript
+         * \@NgModule({
+         *   imports: [BrowserModule]
+         * })
+         * class MyModule {}
+         *
+         * let moduleRef = platformBrowser().bootstrapModule(MyModule);
+         * ```
+         * \@stable
+         * @param {?} moduleType
+         * @param {?=} compilerOptions
+         * @return {?}
+         */
+        PlatformRef.prototype.bootstrapModule = function (moduleType, compilerOptions) {
+            if (compilerOptions === void 0) { compilerOptions = []; }
+            throw unimplemented();
+        };
+        /**
+         * Register a listener to be called when the platform is disposed.
+         * @abstract
+         * @param {?} callback
+         * @return {?}
+         */
+        PlatformRef.prototype.onDestroy = function (callback) { };
+        Object.defineProperty(PlatformRef.prototype, "injector", {
+            /**
+             * Retrieve the platform {\@link Injector}, which is the parent injector for
+             * every Angular application on the page and provides singleton providers.
+             * @return {?}
+             */
+            get: function () { throw unimplemented(); },
+            enumerable: true,
+            configurable: true
+        });
+        ;
+        /**
+         * Destroy the Angular platform and all Angular applications on the page.
+         * @abstract
+         * @return {?}
+         */
+        PlatformRef.prototype.destroy = function () { };
+        Object.defineProperty(PlatformRef.prototype, "destroyed", {
+            /**
+             * @return {?}
+             */
+            get: function () { throw unimplemented(); },
+            enumerable: true,
+            configurable: true
+        });
+        return PlatformRef;
+    }());
     /**
-     * `group` is an animation-specific function that is designed to be used inside of Angular2's
-     * animation
-     * DSL language. If this information is new, please navigate to the
-     * {\@link Component#animations-anchor component animations metadata
-     * page} to gain a better understanding of how animations in Angular2 are used.
-     *
-     * `group` specifies a list of animation steps that are all run in parallel. Grouped animations
-     * are useful when a series of styles must be animated/closed off
-     * at different statrting/ending times.
-     *
-     * The `group` function can either be used within a {\@link sequence sequence} or a {\@link transition
-     * transition}
-     * and it will only continue to the next instruction once all of the inner animation steps
-     * have completed.
-     *
-     * ### Usage
-     *
-     * The `steps` data that is passed into the `group` animation function can either consist
-     * of {\@link style style} or {\@link animate animate} function calls. Each call to `style()` or
-     * `animate()`
-     * within a group will be executed instantly (use {\@link keyframes keyframes} or a
-     * {\@link animate#usage animate() with a delay value} to offset styles to be applied at a later
-     * time).
-     *
-     * ```typescript
-     * group([
-     *   animate("1s", { background: "black" }))
-     *   animate("2s", { color: "white" }))
-     * ])
-     * ```
-     *
-     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
-     *
-     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
-     *
-     * \@experimental Animation support is experimental.
-     * @param {?} steps
+     * @param {?} errorHandler
+     * @param {?} callback
      * @return {?}
      */
-    function group(steps) {
-        return new AnimationGroupMetadata(steps);
+    function _callAndReportToErrorHandler(errorHandler, callback) {
+        try {
+            var /** @type {?} */ result = callback();
+            if (isPromise(result)) {
+                return result.catch(function (e) {
+                    errorHandler.handleError(e);
+                    // rethrow as the exception handler might not do it
+                    throw e;
+                });
+            }
+            return result;
+        }
+        catch (e) {
+            errorHandler.handleError(e);
+            // rethrow as the exception handler might not do it
+            throw e;
+        }
     }
     /**
-     * `sequence` is an animation-specific function that is designed to be used inside of Angular2's
-     * animation
-     * DSL language. If this information is new, please navigate to the
-     * {\@link Component#animations-anchor component animations metadata
-     * page} to gain a better understanding of how animations in Angular2 are used.
-     *
-     * `sequence` Specifies a list of animation steps that are run one by one. (`sequence` is used
-     * by default when an array is passed as animation data into {\@link transition transition}.)
-     *
-     * The `sequence` function can either be used within a {\@link group group} or a {\@link transition
-     * transition}
-     * and it will only continue to the next instruction once each of the inner animation steps
-     * have completed.
-     *
-     * To perform animation styling in parallel with other animation steps then
-     * have a look at the {\@link group group} animation function.
-     *
-     * ### Usage
-     *
-     * The `steps` data that is passed into the `sequence` animation function can either consist
-     * of {\@link style style} or {\@link animate animate} function calls. A call to `style()` will apply
-     * the
-     * provided styling data immediately while a call to `animate()` will apply its styling
-     * data over a given time depending on its timing data.
-     *
-     * ```typescript
-     * sequence([
-     *   style({ opacity: 0 })),
-     *   animate("1s", { opacity: 1 }))
-     * ])
-     * ```
-     *
-     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
-     *
-     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
-     *
-     * \@experimental Animation support is experimental.
-     * @param {?} steps
+     * Registers the {\@link ERROR_REPORTERS} of `injector` with its {\@link ErrorHandler}, and returns
+     * the latter, if it has been created already.
+     * @param {?} injector
      * @return {?}
      */
-    function sequence(steps) {
-        return new AnimationSequenceMetadata(steps);
+    function _addErrorReporters(injector) {
+        var /** @type {?} */ errorHandler = injector.get(ErrorHandler, null);
+        if (!errorHandler) {
+            return null;
+        }
+        var /** @type {?} */ reporters = injector.get(ERROR_REPORTERS, null);
+        if (!reporters || !reporters.length) {
+            return errorHandler;
+        }
+        if (errorHandler instanceof ErrorHandler) {
+            reporters.forEach(function (reporter) { return errorHandler.addReporter(reporter); });
+        }
+        else if (isDevMode()) {
+            var /** @type {?} */ console = injector.get(Console, null);
+            if (console) {
+                console.warn("The ERROR_REPORTERS are ignored, as " + stringify(errorHandler.constructor) + " does not extend ErrorHandler.");
+            }
+        }
+        return errorHandler;
     }
-    /**
-     * `style` is an animation-specific function that is designed to be used inside of Angular2's
-     * animation
-     * DSL language. If this information is new, please navigate to the
-     * {\@link Component#animations-anchor component animations metadata
-     * page} to gain a better understanding of how animations in Angular2 are used.
-     *
-     * `style` declares a key/value object containing CSS properties/styles that can then
-     * be used for {\@link state animation states}, within an {\@link sequence animation sequence}, or as
-     * styling data for both {\@link animate animate} and {\@link keyframes keyframes}.
-     *
-     * ### Usage
-     *
-     * `style` takes in a key/value string map as data and expects one or more CSS property/value
-     * pairs to be defined.
-     *
-     * ```typescript
-     * // string values are used for css properties
-     * style({ background: "red", color: "blue" })
-     *
-     * // numerical (pixel) values are also supported
-     * style({ width: 100, height: 0 })
-     * ```
-     *
-     * #### Auto-styles (using `*`)
-     *
-     * When an asterix (`*`) character is used as a value then it will be detected from the element
-     * being animated
-     * and applied as animation data when the animation starts.
-     *
-     * This feature proves useful for a state depending on layout and/or environment factors; in such
-     * cases
-     * the styles are calculated just before the animation starts.
-     *
-     * ```typescript
-     * // the steps below will animate from 0 to the
-     * // actual height of the element
-     * style({ height: 0 }),
-     * animate("1s", style({ height: "*" }))
-     * ```
-     *
-     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
-     *
-     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
-     *
-     * \@experimental Animation support is experimental.
-     * @param {?} tokens
-     * @return {?}
-     */
-    function style(tokens) {
-        var /** @type {?} */ input;
-        var /** @type {?} */ offset = null;
-        if (typeof tokens === 'string') {
-            input = [(tokens)];
+    var PlatformRef_ = (function (_super) {
+        __extends$3(PlatformRef_, _super);
+        /**
+         * @param {?} _injector
+         */
+        function PlatformRef_(_injector) {
+            _super.call(this);
+            this._injector = _injector;
+            this._modules = [];
+            this._destroyListeners = [];
+            this._destroyed = false;
         }
-        else {
-            if (Array.isArray(tokens)) {
-                input = (tokens);
-            }
-            else {
-                input = [(tokens)];
+        /**
+         * @param {?} callback
+         * @return {?}
+         */
+        PlatformRef_.prototype.onDestroy = function (callback) { this._destroyListeners.push(callback); };
+        Object.defineProperty(PlatformRef_.prototype, "injector", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._injector; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(PlatformRef_.prototype, "destroyed", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._destroyed; },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * @return {?}
+         */
+        PlatformRef_.prototype.destroy = function () {
+            if (this._destroyed) {
+                throw new Error('The platform has already been destroyed!');
             }
-            input.forEach(function (entry) {
-                var /** @type {?} */ entryOffset = ((entry) /** TODO #9100 */)['offset'];
-                if (isPresent(entryOffset)) {
-                    offset = offset == null ? parseFloat(entryOffset) : offset;
+            this._modules.slice().forEach(function (module) { return module.destroy(); });
+            this._destroyListeners.forEach(function (listener) { return listener(); });
+            this._destroyed = true;
+        };
+        /**
+         * @param {?} moduleFactory
+         * @param {?=} options
+         * @return {?}
+         */
+        PlatformRef_.prototype.bootstrapModuleFactory = function (moduleFactory, options) {
+            return this._bootstrapModuleFactoryWithZone(moduleFactory, options ? options.ngZone : null, options ? options.tickScheduler : null);
+        };
+        /**
+         * @param {?} moduleFactory
+         * @param {?} ngZone
+         * @param {?=} tickScheduler
+         * @return {?}
+         */
+        PlatformRef_.prototype._bootstrapModuleFactoryWithZone = function (moduleFactory, ngZone, tickScheduler) {
+            var _this = this;
+            if (tickScheduler === void 0) { tickScheduler = null; }
+            // Note: We need to create the NgZone _before_ we instantiate the module,
+            // as instantiating the module creates some providers eagerly.
+            // So we create a mini parent injector that just contains the new NgZone and
+            // pass that as parent to the NgModuleFactory.
+            if (!ngZone)
+                ngZone = new NgZone({ enableLongStackTrace: isDevMode() });
+            // Attention: Don't use ApplicationRef.run here,
+            // as we want to be sure that all possible constructor calls are inside `ngZone.run`!
+            return ngZone.run(function () {
+                var /** @type {?} */ providers = [{ provide: NgZone, useValue: ngZone }];
+                if (tickScheduler) {
+                    providers.push({ provide: TickScheduler, useValue: tickScheduler });
+                }
+                var /** @type {?} */ ngZoneInjector = ReflectiveInjector.resolveAndCreate(providers, _this.injector);
+                // The reporters are registered before the module is created, so that they learn
+                // about the errors of its eager providers, unless the ErrorHandler is eager itself.
+                var /** @type {?} */ earlyErrorHandler = null;
+                var /** @type {?} */ moduleRef;
+                try {
+                    moduleRef = (moduleFactory._create(ngZoneInjector, function (injector) {
+                        earlyErrorHandler = _addErrorReporters(injector);
+                    }));
+                }
+                catch (e) {
+                    if (earlyErrorHandler) {
+                        earlyErrorHandler.handleError(e);
+                    }
+                    throw e;
+                }
+                var /** @type {?} */ exceptionHandler = moduleRef.injector.get(ErrorHandler, null);
+                if (!exceptionHandler) {
+                    throw new Error('No ErrorHandler. Is platform module (BrowserModule) included?');
                 }
+                if (!earlyErrorHandler) {
+                    _addErrorReporters(moduleRef.injector);
+                }
+                _this._modules.push(moduleRef);
+                moduleRef.onDestroy(function () { return ListWrapper.remove(_this._modules, moduleRef); });
+                ngZone.onError.subscribe({ next: function (error) { exceptionHandler.handleError(error); } });
+                return _callAndReportToErrorHandler(exceptionHandler, function () {
+                    var /** @type {?} */ initStatus = moduleRef.injector.get(ApplicationInitStatus);
+                    return initStatus.donePromise.then(function () {
+                        _this._moduleDoBootstrap(moduleRef);
+                        return moduleRef;
+                    });
+                });
             });
-        }
-        return new AnimationStyleMetadata(input, offset);
-    }
+        };
+        /**
+         * @param {?} moduleType
+         * @param {?=} compilerOptions
+         * @return {?}
+         */
+        PlatformRef_.prototype.bootstrapModule = function (moduleType, compilerOptions) {
+            if (compilerOptions === void 0) { compilerOptions = []; }
+            return this._bootstrapModuleWithZone(moduleType, compilerOptions, null);
+        };
+        /**
+         * @param {?} moduleType
+         * @param {?=} compilerOptions
+         * @param {?} ngZone
+         * @param {?=} componentFactoryCallback
+         * @return {?}
+         */
+        PlatformRef_.prototype._bootstrapModuleWithZone = function (moduleType, compilerOptions, ngZone, componentFactoryCallback) {
+            var _this = this;
+            if (compilerOptions === void 0) { compilerOptions = []; }
+            var /** @type {?} */ compilerFactory = this.injector.get(CompilerFactory);
+            var /** @type {?} */ compiler = compilerFactory.createCompiler(Array.isArray(compilerOptions) ? compilerOptions : [compilerOptions]);
+            // ugly internal api hack: generate host component factories for all declared components and
+            // pass the factories into the callback - this is used by UpdateAdapter to get hold of all
+            // factories.
+            if (componentFactoryCallback) {
+                return compiler.compileModuleAndAllComponentsAsync(moduleType)
+                    .then(function (_a) {
+                    var ngModuleFactory = _a.ngModuleFactory, componentFactories = _a.componentFactories;
+                    componentFactoryCallback(componentFactories);
+                    return _this._bootstrapModuleFactoryWithZone(ngModuleFactory, ngZone);
+                });
+            }
+            return compiler.compileModuleAsync(moduleType)
+                .then(function (moduleFactory) { return _this._bootstrapModuleFactoryWithZone(moduleFactory, ngZone); });
+        };
+        /**
+         * @param {?} moduleRef
+         * @return {?}
+         */
+        PlatformRef_.prototype._moduleDoBootstrap = function (moduleRef) {
+            var /** @type {?} */ appRef = moduleRef.injector.get(ApplicationRef);
+            if (moduleRef.bootstrapFactories.length > 0) {
+                moduleRef.bootstrapFactories.forEach(function (compFactory) { return appRef.bootstrap(compFactory); });
+            }
+            else if (moduleRef.instance.ngDoBootstrap) {
+                moduleRef.instance.ngDoBootstrap(appRef);
+            }
+            else {
+                throw new Error(("The module " + stringify(moduleRef.instance.constructor) + " was bootstrapped, but it does not declare \"@NgModule.bootstrap\" components nor a \"ngDoBootstrap\" method. ") +
+                    "Please define one of these.");
+            }
+            // Bootstrapping checks the components once, after which they have claimed all the
+            // server-rendered nodes they need.
+            var /** @type {?} */ rootRenderer = moduleRef.injector.get(RootRenderer, null);
+            if (rootRenderer instanceof HydrationRootRenderer) {
+                rootRenderer.finishHydration();
+            }
+        };
+        PlatformRef_.decorators = [
+            { type: Injectable },
+        ];
+        /** @nocollapse */
+        PlatformRef_.ctorParameters = function () { return [
+            { type: Injector, },
+        ]; };
+        return PlatformRef_;
+    }(PlatformRef));
     /**
-     * `state` is an animation-specific function that is designed to be used inside of Angular2's
-     * animation
-     * DSL language. If this information is new, please navigate to the
-     * {\@link Component#animations-anchor component animations metadata
-     * page} to gain a better understanding of how animations in Angular2 are used.
-     *
-     * `state` declares an animation state within the given trigger. When a state is
-     * active within a component then its associated styles will persist on
-     * the element that the trigger is attached to (even when the animation ends).
-     *
-     * To animate between states, have a look at the animation {\@link transition transition}
-     * DSL function. To register states to an animation trigger please have a look
-     * at the {\@link trigger trigger} function.
-     *
-     * #### The `void` state
-     *
-     * The `void` state value is a reserved word that angular uses to determine when the element is not
-     * apart
-     * of the application anymore (e.g. when an `ngIf` evaluates to false then the state of the
-     * associated element
-     * is void).
-     *
-     * #### The `*` (default) state
-     *
-     * The `*` state (when styled) is a fallback state that will be used if
-     * the state that is being animated is not declared within the trigger.
-     *
-     * ### Usage
-     *
-     * `state` will declare an animation state with its associated styles
-     * within the given trigger.
-     *
-     * - `stateNameExpr` can be one or more state names separated by commas.
-     * - `styles` refers to the {\@link style styling data} that will be persisted on the element once
-     * the state
-     * has been reached.
-     *
-     * ```typescript
-     * // "void" is a reserved name for a state and is used to represent
-     * // the state in which an element is detached from from the application.
-     * state("void", style({ height: 0 }))
-     *
-     * // user-defined states
-     * state("closed", style({ height: 0 }))
-     * state("open, visible", style({ height: "*" }))
-     * ```
-     *
-     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
+     * A reference to an Angular application running on a page.
      *
-     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
+     * For more about Angular applications, see the documentation for {\@link bootstrap}.
      *
-     * \@experimental Animation support is experimental.
-     * @param {?} stateNameExpr
-     * @param {?} styles
-     * @return {?}
+     * \@stable
+     * @abstract
      */
-    function state(stateNameExpr, styles) {
-        return new AnimationStateDeclarationMetadata(stateNameExpr, styles);
-    }
-    /**
-     * `keyframes` is an animation-specific function that is designed to be used inside of Angular2's
-     * animation
-     * DSL language. If this information is new, please navigate to the
-     * {\@link Component#animations-anchor component animations metadata
-     * page} to gain a better understanding of how animations in Angular2 are used.
+    var ApplicationRef = (function () {
+        function ApplicationRef() {
+        }
+        /**
+         * Bootstrap a new component at the root level of the application.
+         *
+         * ### Bootstrap process
+         *
+         * When bootstrapping a new root component into an application, Angular mounts the
+         * specified application component onto DOM elements identified by the [componentType]'s
+         * selector and kicks off automatic change detection to finish initializing the component.
+         *
+         * ### Example
+         * {\@example core/ts/platform/platform.ts region='longform'}
+         * @abstract
+         * @param {?} componentFactory
+         * @return {?}
+         */
+        ApplicationRef.prototype.bootstrap = function (componentFactory) { };
+        /**
+         * Invoke this method to explicitly process change detection and its side-effects.
+         *
+         * In development mode, `tick()` also performs a second change detection cycle to ensure that no
+         * further changes are detected. If additional changes are picked up during this second cycle,
+         * bindings in the app have side-effects that cannot be resolved in a single change detection
+         * pass.
+         * In this case, Angular throws an error, since an Angular application can only have one change
+         * detection pass during which all change detection must complete.
+         * @abstract
+         * @return {?}
+         */
+        ApplicationRef.prototype.tick = function () { };
+        /**
+         * Runs the tick that the {\@link TickScheduler} of the application has scheduled right away,
+         * instead of waiting for it. Returns whether a tick was scheduled.
+         * @abstract
+         * @return {?}
+         */
+        ApplicationRef.prototype.flushTick = function () { };
+        Object.defineProperty(ApplicationRef.prototype, "componentTypes", {
+            /**
+             * Get a list of component types registered to this application.
+             * This list is populated even before the component is created.
+             * @return {?}
+             */
+            get: function () { return (unimplemented()); },
+            enumerable: true,
+            configurable: true
+        });
+        ;
+        Object.defineProperty(ApplicationRef.prototype, "components", {
+            /**
+             * Get a list of components registered to this application.
+             * @return {?}
+             */
+            get: function () { return (unimplemented()); },
+            enumerable: true,
+            configurable: true
+        });
+        ;
+        /**
+         * Attaches a view so that it will be dirty checked.
+         * The view will be automatically detached when it is destroyed.
+         * This will throw if the view is already attached to a ViewContainer.
+         * @param {?} view
+         * @return {?}
+         */
+        ApplicationRef.prototype.attachView = function (view) { unimplemented(); };
+        /**
+         * Detaches a view from dirty checking again.
+         * @param {?} view
+         * @return {?}
+         */
+        ApplicationRef.prototype.detachView = function (view) { unimplemented(); };
+        Object.defineProperty(ApplicationRef.prototype, "viewCount", {
+            /**
+             * Returns the number of attached views.
+             * @return {?}
+             */
+            get: function () { return unimplemented(); },
+            enumerable: true,
+            configurable: true
+        });
+        return ApplicationRef;
+    }());
+    var ApplicationRef_ = (function (_super) {
+        __extends$3(ApplicationRef_, _super);
+        /**
+         * @param {?} _zone
+         * @param {?} _console
+         * @param {?} _injector
+         * @param {?} _exceptionHandler
+         * @param {?} _componentFactoryResolver
+         * @param {?} _initStatus
+         * @param {?} _testabilityRegistry
+         * @param {?} _testability
+         * @param {?=} _tickScheduler
+         */
+        function ApplicationRef_(_zone, _console, _injector, _exceptionHandler, _componentFactoryResolver, _initStatus, _testabilityRegistry, _testability, _tickScheduler) {
+            var _this = this;
+            if (_tickScheduler === void 0) { _tickScheduler = null; }
+            _super.call(this);
+            this._zone = _zone;
+            this._console = _console;
+            this._injector = _injector;
+            this._exceptionHandler = _exceptionHandler;
+            this._componentFactoryResolver = _componentFactoryResolver;
+            this._initStatus = _initStatus;
+            this._testabilityRegistry = _testabilityRegistry;
+            this._testability = _testability;
+            this._tickScheduler = _tickScheduler;
+            this._bootstrapListeners = [];
+            this._rootComponents = [];
+            this._rootComponentTypes = [];
+            this._views = [];
+            this._runningTick = false;
+            this._enforceNoNewChanges = false;
+            this._scheduledTick = null;
+            this._runningScheduledTick = false;
+            this._enforceNoNewChanges = isDevMode();
+            this._zone.onMicrotaskEmpty.subscribe({
+                next: function () {
+                    if (_this._tickScheduler) {
+                        _this._scheduleTick();
+                    }
+                    else {
+                        _this._zone.run(function () { _this.tick(); });
+                    }
+                }
+            });
+        }
+        /**
+         * @return {?}
+         */
+        ApplicationRef_.prototype._scheduleTick = function () {
+            var _this = this;
+            // Running the scheduled tick makes the zone empty again, which must not schedule the next.
+            if (this._scheduledTick !== null || this._runningScheduledTick) {
+                return;
+            }
+            this._scheduledTick = this._zone.runOutsideAngular(function () { return _this._tickScheduler.schedule(function () { return _this._runScheduledTick(); }); });
+            if (this._testability) {
+                this._testability._setTickScheduled(true);
+            }
+        };
+        /**
+         * @return {?}
+         */
+        ApplicationRef_.prototype._runScheduledTick = function () {
+            var _this = this;
+            this._scheduledTick = null;
+            this._runningScheduledTick = true;
+            try {
+                this._zone.runGuarded(function () { _this.tick(); });
+            }
+            finally {
+                this._runningScheduledTick = false;
+                if (this._testability) {
+                    this._testability._setTickScheduled(false);
+                }
+            }
+        };
+        /**
+         * @return {?}
+         */
+        ApplicationRef_.prototype._cancelScheduledTick = function () {
+            if (this._scheduledTick === null) {
+                return false;
+            }
+            this._tickScheduler.cancel(this._scheduledTick);
+            this._scheduledTick = null;
+            if (this._testability) {
+                this._testability._setTickScheduled(false);
+            }
+            return true;
+        };
+        /**
+         * @param {?} viewRef
+         * @return {?}
+         */
+        ApplicationRef_.prototype.attachView = function (viewRef) {
+            var /** @type {?} */ view = ((viewRef)).internalView;
+            this._views.push(view);
+            view.attachToAppRef(this);
+        };
+        /**
+         * @param {?} viewRef
+         * @return {?}
+         */
+        ApplicationRef_.prototype.detachView = function (viewRef) {
+            var /** @type {?} */ view = ((viewRef)).internalView;
+            ListWrapper.remove(this._views, view);
+            view.detach();
+        };
+        /**
+         * @param {?} componentOrFactory
+         * @return {?}
+         */
+        ApplicationRef_.prototype.bootstrap = function (componentOrFactory) {
+            var _this = this;
+            if (!this._initStatus.done) {
+                throw new Error('Cannot bootstrap as there are still asynchronous initializers running. Bootstrap components in the `ngDoBootstrap` method of the root module.');
+            }
+            var /** @type {?} */ componentFactory;
+            if (componentOrFactory instanceof ComponentFactory) {
+                componentFactory = componentOrFactory;
+            }
+            else {
+                componentFactory = this._componentFactoryResolver.resolveComponentFactory(componentOrFactory);
+            }
+            this._rootComponentTypes.push(componentFactory.componentType);
+            var /** @type {?} */ compRef = componentFactory.create(this._injector, [], componentFactory.selector);
+            compRef.onDestroy(function () { _this._unloadComponent(compRef); });
+            var /** @type {?} */ testability = compRef.injector.get(Testability, null);
+            if (testability) {
+                compRef.injector.get(TestabilityRegistry)
+                    .registerApplication(compRef.location.nativeElement, testability);
+            }
+            this._loadComponent(compRef);
+            if (isDevMode()) {
+                this._console.log("Angular is running in the development mode. Call enableProdMode() to enable the production mode.");
+            }
+            return compRef;
+        };
+        /**
+         * @param {?} componentRef
+         * @return {?}
+         */
+        ApplicationRef_.prototype._loadComponent = function (componentRef) {
+            this.attachView(componentRef.hostView);
+            this.tick();
+            this._rootComponents.push(componentRef);
+            // Get the listeners lazily to prevent DI cycles.
+            var /** @type {?} */ listeners = (this._injector.get(APP_BOOTSTRAP_LISTENER, [])
+                .concat(this._bootstrapListeners));
+            listeners.forEach(function (listener) { return listener(componentRef); });
+        };
+        /**
+         * @param {?} componentRef
+         * @return {?}
+         */
+        ApplicationRef_.prototype._unloadComponent = function (componentRef) {
+            this.detachView(componentRef.hostView);
+            ListWrapper.remove(this._rootComponents, componentRef);
+            if (this._testabilityRegistry) {
+                this._testabilityRegistry.unregisterApplication(componentRef.location.nativeElement);
+            }
+        };
+        /**
+         * @return {?}
+         */
+        ApplicationRef_.prototype.tick = function () {
+            if (this._runningTick) {
+                throw new Error('ApplicationRef.tick is called recursively');
+            }
+            // This tick covers the work that a scheduled tick was waiting for.
+            this._cancelScheduledTick();
+            var /** @type {?} */ scope = ApplicationRef_._tickScope();
+            var /** @type {?} */ profiler = getChangeDetectionProfiler();
+            var /** @type {?} */ monitor = getBindingMonitor();
+            try {
+                this._runningTick = true;
+                if (profiler) {
+                    profiler._startTick();
+                }
+                if (monitor) {
+                    monitor._startTick();
+                }
+                this._views.forEach(function (view) { return view.ref.detectChanges(); });
+                if (this._enforceNoNewChanges) {
+                    this._views.forEach(function (view) { return view.ref.checkNoChanges(); });
+                }
+            }
+            finally {
+                this._runningTick = false;
+                if (profiler) {
+                    profiler._endTick();
+                }
+                wtfLeave(scope);
+            }
+        };
+        /**
+         * @return {?}
+         */
+        ApplicationRef_.prototype.flushTick = function () {
+            if (!this._cancelScheduledTick()) {
+                return false;
+            }
+            this._runScheduledTick();
+            return true;
+        };
+        /**
+         * @return {?}
+         */
+        ApplicationRef_.prototype.ngOnDestroy = function () {
+            // TODO(alxhub): Dispose of the NgZone.
+            this._cancelScheduledTick();
+            this._views.slice().forEach(function (view) { return view.destroy(); });
+        };
+        Object.defineProperty(ApplicationRef_.prototype, "viewCount", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._views.length; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(ApplicationRef_.prototype, "componentTypes", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._rootComponentTypes; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(ApplicationRef_.prototype, "components", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._rootComponents; },
+            enumerable: true,
+            configurable: true
+        });
+        /** @internal */
+        ApplicationRef_._tickScope = wtfCreateScope('ApplicationRef#tick()');
+        ApplicationRef_.decorators = [
+            { type: Injectable },
+        ];
+        /** @nocollapse */
+        ApplicationRef_.ctorParameters = function () { return [
+            { type: NgZone, },
+            { type: Console, },
+            { type: Injector, },
+            { type: ErrorHandler, },
+            { type: ComponentFactoryResolver, },
+            { type: ApplicationInitStatus, },
+            { type: TestabilityRegistry, decorators: [{ type: Optional },] },
+            { type: Testability, decorators: [{ type: Optional },] },
+            { type: TickScheduler, decorators: [{ type: Optional },] },
+        ]; };
+        return ApplicationRef_;
+    }(ApplicationRef));
+
+    /**
+     * How the arguments of every renderer method are recorded: `node` as a node id, `nodes` as
+     * a list of node ids, `selectorOrNode` as a string or a node id and `value` as a value that
+     * `JSON.stringify` can handle. Arguments that aren't listed, like debug infos and callbacks,
+     * are not recorded.
+     */
+    var /** @type {?} */ _ARGUMENTS = {
+        selectRootElement: ['selectorOrNode'],
+        createElement: ['node', 'value'],
+        createViewRoot: ['node'],
+        createTemplateAnchor: ['node'],
+        createText: ['node', 'value'],
+        projectNodes: ['node', 'nodes'],
+        attachViewAfter: ['node', 'nodes'],
+        detachView: ['nodes'],
+        destroyView: ['node', 'nodes'],
+        listen: ['node', 'value'],
+        listenGlobal: ['value', 'value'],
+        setElementProperty: ['node', 'value', 'value'],
+        setElementAttribute: ['node', 'value', 'value'],
+        setBindingDebugInfo: ['node', 'value', 'value'],
+        setElementClass: ['node', 'value', 'value'],
+        setElementStyle: ['node', 'value', 'value'],
+        invokeElementMethod: ['node', 'value', 'value'],
+        setText: ['node', 'value'],
+        animate: ['node', 'value', 'value', 'value', 'value', 'value']
+    };
+    /**
+     * The methods whose result is a new node.
+     */
+    var /** @type {?} */ _NODE_FACTORIES = ['selectRootElement', 'createElement', 'createViewRoot', 'createTemplateAnchor', 'createText'];
+    /**
+     * A {\@link RootRenderer} that records every call to the renderers it creates as
+     * {\@link RenderCommand}s and then forwards it to the renderers of its delegate.
+     *
+     * Nodes are identified by ids that are assigned in the order in which the nodes are first seen,
+     * so recording the same interaction twice yields the same commands. The commands can be
+     * serialized via `JSON.stringify`, and applied to another renderer via
+     * {\@link RenderCommandReplayer}.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * const recorder = new RecordingRootRenderer(domRootRenderer);
+     * // bootstrap with `{provide: RootRenderer, useValue: recorder}`
+     * recorder.clear();
+     * appRef.tick();
+     * console.log(`${recorder.commands.length} renderer calls`);
+     * ```
+     *
+     * \@experimental
+     */
+    var RecordingRootRenderer = (function () {
+        /**
+         * @param {?} _delegate
+         */
+        function RecordingRootRenderer(_delegate) {
+            this._delegate = _delegate;
+            this.commands = [];
+            this._renderers = new Map();
+            this._componentTypes = new Map();
+            this._recordedComponents = new Set();
+            this._nodeIds = new WeakMap();
+            this._nextNodeId = 0;
+            this._nextListenerId = 0;
+        }
+        /**
+         * @param {?} componentType
+         * @return {?}
+         */
+        RecordingRootRenderer.prototype.renderComponent = function (componentType) {
+            var /** @type {?} */ renderer = this._renderers.get(componentType.id);
+            if (!renderer) {
+                this._componentTypes.set(componentType.id, toSnapshotValue({
+                    id: componentType.id,
+                    templateUrl: componentType.templateUrl,
+                    slotCount: componentType.slotCount,
+                    encapsulation: componentType.encapsulation,
+                    styles: componentType.styles
+                }, false));
+                this._recordRenderComponent(componentType.id);
+                renderer = new RecordingRenderer(this, componentType.id, this._delegate.renderComponent(componentType));
+                this._renderers.set(componentType.id, renderer);
+            }
+            return renderer;
+        };
+        /**
+         * Forgets the commands recorded so far.
+         *
+         * Node ids stay the same, so the commands recorded afterwards can refer to nodes that were
+         * created before. The `renderComponent` command of a renderer is recorded again before its
+         * next call.
+         * @return {?}
+         */
+        RecordingRootRenderer.prototype.clear = function () {
+            this.commands = [];
+            this._recordedComponents.clear();
+        };
+        /**
+         * Returns the id of `node` in the recorded commands.
+         * @param {?} node
+         * @return {?}
+         */
+        RecordingRootRenderer.prototype.getNodeId = function (node) {
+            var /** @type {?} */ id = this._nodeIds.get(node);
+            if (id === undefined) {
+                id = this._nextNodeId++;
+                this._nodeIds.set(node, id);
+            }
+            return id;
+        };
+        /**
+         * \@internal
+         * @param {?} component
+         * @param {?} method
+         * @param {?} args
+         * @param {?} call
+         * @return {?}
+         */
+        RecordingRootRenderer.prototype._record = function (component, method, args, call) {
+            var _this = this;
+            this._recordRenderComponent(component);
+            var /** @type {?} */ command = {
+                component: component,
+                method: method,
+                args: _ARGUMENTS[method].map(function (kind, index) { return _this._recordArgument(kind, args[index]); })
+            };
+            this.commands.push(command);
+            var /** @type {?} */ result = call();
+            if (_NODE_FACTORIES.indexOf(method) !== -1) {
+                command.result = this.getNodeId(result);
+            }
+            else if (method === 'listen' || method === 'listenGlobal') {
+                var /** @type {?} */ listenerId_1 = command.result = this._nextListenerId++;
+                return function () {
+                    _this.commands.push({ component: component, method: 'unlisten', args: [listenerId_1] });
+                    result();
+                };
+            }
+            return result;
+        };
+        /**
+         * @param {?} component
+         * @return {?}
+         */
+        RecordingRootRenderer.prototype._recordRenderComponent = function (component) {
+            if (!this._recordedComponents.has(component)) {
+                this._recordedComponents.add(component);
+                this.commands.push({ component: component, method: 'renderComponent', args: [this._componentTypes.get(component)] });
+            }
+        };
+        /**
+         * @param {?} kind
+         * @param {?} arg
+         * @return {?}
+         */
+        RecordingRootRenderer.prototype._recordArgument = function (kind, arg) {
+            var _this = this;
+            switch (kind) {
+                case 'node':
+                    return isPresent(arg) ? this.getNodeId(arg) : null;
+                case 'nodes':
+                    return (arg || []).map(function (node) { return _this.getNodeId(node); });
+                case 'selectorOrNode':
+                    return typeof arg === 'string' ? arg : this.getNodeId(arg);
+                default:
+                    return toSnapshotValue(arg, false);
+            }
+        };
+        return RecordingRootRenderer;
+    }());
+    var RecordingRenderer = (function () {
+        /**
+         * @param {?} _root
+         * @param {?} _component
+         * @param {?} _delegate
+         */
+        function RecordingRenderer(_root, _component, _delegate) {
+            this._root = _root;
+            this._component = _component;
+            this._delegate = _delegate;
+        }
+        /**
+         * @param {?} method
+         * @param {?} args
+         * @return {?}
+         */
+        RecordingRenderer.prototype._record = function (method, args) {
+            var _this = this;
+            return this._root._record(this._component, method, args, function () { return _this._delegate[method].apply(_this._delegate, args); });
+        };
+        /**
+         * @param {?} selectorOrNode
+         * @param {?=} debugInfo
+         * @return {?}
+         */
+        RecordingRenderer.prototype.selectRootElement = function (selectorOrNode, debugInfo) {
+            return this._record('selectRootElement', [selectorOrNode, debugInfo]);
+        };
+        /**
+         * @param {?} parentElement
+         * @param {?} name
+         * @param {?=} debugInfo
+         * @return {?}
+         */
+        RecordingRenderer.prototype.createElement = function (parentElement, name, debugInfo) {
+            return this._record('createElement', [parentElement, name, debugInfo]);
+        };
+        /**
+         * @param {?} hostElement
+         * @return {?}
+         */
+        RecordingRenderer.prototype.createViewRoot = function (hostElement) { return this._record('createViewRoot', [hostElement]); };
+        /**
+         * @param {?} parentElement
+         * @param {?=} debugInfo
+         * @return {?}
+         */
+        RecordingRenderer.prototype.createTemplateAnchor = function (parentElement, debugInfo) {
+            return this._record('createTemplateAnchor', [parentElement, debugInfo]);
+        };
+        /**
+         * @param {?} parentElement
+         * @param {?} value
+         * @param {?=} debugInfo
+         * @return {?}
+         */
+        RecordingRenderer.prototype.createText = function (parentElement, value, debugInfo) {
+            return this._record('createText', [parentElement, value, debugInfo]);
+        };
+        /**
+         * @param {?} parentElement
+         * @param {?} nodes
+         * @return {?}
+         */
+        RecordingRenderer.prototype.projectNodes = function (parentElement, nodes) { this._record('projectNodes', [parentElement, nodes]); };
+        /**
+         * @param {?} node
+         * @param {?} viewRootNodes
+         * @return {?}
+         */
+        RecordingRenderer.prototype.attachViewAfter = function (node, viewRootNodes) {
+            this._record('attachViewAfter', [node, viewRootNodes]);
+        };
+        /**
+         * @param {?} viewRootNodes
+         * @return {?}
+         */
+        RecordingRenderer.prototype.detachView = function (viewRootNodes) { this._record('detachView', [viewRootNodes]); };
+        /**
+         * @param {?} hostElement
+         * @param {?} viewAllNodes
+         * @return {?}
+         */
+        RecordingRenderer.prototype.destroyView = function (hostElement, viewAllNodes) {
+            this._record('destroyView', [hostElement, viewAllNodes]);
+        };
+        /**
+         * @param {?} renderElement
+         * @param {?} name
+         * @param {?} callback
+         * @return {?}
+         */
+        RecordingRenderer.prototype.listen = function (renderElement, name, callback) {
+            return this._record('listen', [renderElement, name, callback]);
+        };
+        /**
+         * @param {?} target
+         * @param {?} name
+         * @param {?} callback
+         * @return {?}
+         */
+        RecordingRenderer.prototype.listenGlobal = function (target, name, callback) {
+            return this._record('listenGlobal', [target, name, callback]);
+        };
+        /**
+         * @param {?} renderElement
+         * @param {?} propertyName
+         * @param {?} propertyValue
+         * @return {?}
+         */
+        RecordingRenderer.prototype.setElementProperty = function (renderElement, propertyName, propertyValue) {
+            this._record('setElementProperty', [renderElement, propertyName, propertyValue]);
+        };
+        /**
+         * @param {?} renderElement
+         * @param {?} attributeName
+         * @param {?} attributeValue
+         * @return {?}
+         */
+        RecordingRenderer.prototype.setElementAttribute = function (renderElement, attributeName, attributeValue) {
+            this._record('setElementAttribute', [renderElement, attributeName, attributeValue]);
+        };
+        /**
+         * @param {?} renderElement
+         * @param {?} propertyName
+         * @param {?} propertyValue
+         * @return {?}
+         */
+        RecordingRenderer.prototype.setBindingDebugInfo = function (renderElement, propertyName, propertyValue) {
+            this._record('setBindingDebugInfo', [renderElement, propertyName, propertyValue]);
+        };
+        /**
+         * @param {?} renderElement
+         * @param {?} className
+         * @param {?} isAdd
+         * @return {?}
+         */
+        RecordingRenderer.prototype.setElementClass = function (renderElement, className, isAdd) {
+            this._record('setElementClass', [renderElement, className, isAdd]);
+        };
+        /**
+         * @param {?} renderElement
+         * @param {?} styleName
+         * @param {?} styleValue
+         * @return {?}
+         */
+        RecordingRenderer.prototype.setElementStyle = function (renderElement, styleName, styleValue) {
+            this._record('setElementStyle', [renderElement, styleName, styleValue]);
+        };
+        /**
+         * @param {?} renderElement
+         * @param {?} methodName
+         * @param {?=} args
+         * @return {?}
+         */
+        RecordingRenderer.prototype.invokeElementMethod = function (renderElement, methodName, args) {
+            this._record('invokeElementMethod', [renderElement, methodName, args]);
+        };
+        /**
+         * @param {?} renderNode
+         * @param {?} text
+         * @return {?}
+         */
+        RecordingRenderer.prototype.setText = function (renderNode, text) { this._record('setText', [renderNode, text]); };
+        /**
+         * @param {?} element
+         * @param {?} startingStyles
+         * @param {?} keyframes
+         * @param {?} duration
+         * @param {?} delay
+         * @param {?} easing
+         * @param {?=} previousPlayers
+         * @return {?}
+         */
+        RecordingRenderer.prototype.animate = function (element, startingStyles, keyframes, duration, delay, easing, previousPlayers) {
+            if (previousPlayers === void 0) { previousPlayers = []; }
+            return this._record('animate', [element, startingStyles, keyframes, duration, delay, easing, previousPlayers]);
+        };
+        return RecordingRenderer;
+    }());
+    /**
+     * Applies {\@link RenderCommand}s recorded by a {\@link RecordingRootRenderer} to the renderers
+     * of another {\@link RootRenderer}.
+     *
+     * Nodes are created anew, except for nodes that were not created by a recorded command, e.g.
+     * the host element of a root component that was selected by passing the node itself, which
+     * can be passed via `setNode`. The nodes are kept across calls of `replay`, so the commands
+     * recorded after `clear()` can be replayed after the ones recorded before, or with the nodes
+     * they refer to passed via `setNode`. Listeners are registered without a callback, and `animate`
+     * commands are skipped as their styles and keyframes are not recorded as objects. Values that
+     * are not serializable, e.g. objects bound to properties, are applied as recorded.
+     *
+     * \@experimental
+     */
+    var RenderCommandReplayer = (function () {
+        /**
+         * @param {?} _rootRenderer
+         */
+        function RenderCommandReplayer(_rootRenderer) {
+            this._rootRenderer = _rootRenderer;
+            this._renderers = new Map();
+            this._nodes = new Map();
+            this._unlisteners = new Map();
+        }
+        /**
+         * Applies `commands` in order.
+         * @param {?} commands
+         * @return {?}
+         */
+        RenderCommandReplayer.prototype.replay = function (commands) {
+            var _this = this;
+            commands.forEach(function (command) { return _this._apply(command); });
+        };
+        /**
+         * Returns the node of the target renderer for the recorded node id `id`.
+         * @param {?} id
+         * @return {?}
+         */
+        RenderCommandReplayer.prototype.getNode = function (id) { return this._nodes.has(id) ? this._nodes.get(id) : null; };
+        /**
+         * Makes commands that reference the recorded node id `id` use `node`.
+         * @param {?} id
+         * @param {?} node
+         * @return {?}
+         */
+        RenderCommandReplayer.prototype.setNode = function (id, node) { this._nodes.set(id, node); };
+        /**
+         * @param {?} command
+         * @return {?}
+         */
+        RenderCommandReplayer.prototype._apply = function (command) {
+            var _this = this;
+            if (command.method === 'renderComponent') {
+                var /** @type {?} */ type = command.args[0];
+                if (this._renderers.has(command.component)) {
+                    return;
+                }
+                this._renderers.set(command.component, this._rootRenderer.renderComponent(new RenderComponentType(type.id, type.templateUrl, type.slotCount, type.encapsulation, type.styles, {})));
+                return;
+            }
+            if (command.method === 'unlisten') {
+                var /** @type {?} */ unlisten = this._unlisteners.get(command.args[0]);
+                this._unlisteners.delete(command.args[0]);
+                if (unlisten) {
+                    unlisten();
+                }
+                return;
+            }
+            if (command.method === 'animate') {
+                return;
+            }
+            var /** @type {?} */ renderer = this._renderers.get(command.component);
+            if (!renderer) {
+                throw new Error("Cannot replay " + command.method + ": the renderComponent command for component " + command.component + " is missing.");
+            }
+            var /** @type {?} */ args = _ARGUMENTS[command.method].map(function (kind, index) { return _this._replayArgument(command, kind, command.args[index]); });
+            if (command.method === 'listen' || command.method === 'listenGlobal') {
+                args.push(function () { });
+            }
+            var /** @type {?} */ result = ((renderer))[command.method].apply(renderer, args);
+            if (_NODE_FACTORIES.indexOf(command.method) !== -1) {
+                this._nodes.set(command.result, result);
+            }
+            else if (command.method === 'listen' || command.method === 'listenGlobal') {
+                this._unlisteners.set(command.result, result);
+            }
+        };
+        /**
+         * @param {?} command
+         * @param {?} kind
+         * @param {?} arg
+         * @return {?}
+         */
+        RenderCommandReplayer.prototype._replayArgument = function (command, kind, arg) {
+            var _this = this;
+            switch (kind) {
+                case 'node':
+                    return arg === null ? null : this._getKnownNode(command, arg);
+                case 'nodes':
+                    return arg.map(function (id) { return _this._getKnownNode(command, id); });
+                case 'selectorOrNode':
+                    return typeof arg === 'string' ? arg : this._getKnownNode(command, arg);
+                default:
+                    return arg;
+            }
+        };
+        /**
+         * @param {?} command
+         * @param {?} id
+         * @return {?}
+         */
+        RenderCommandReplayer.prototype._getKnownNode = function (command, id) {
+            if (!this._nodes.has(id)) {
+                throw new Error("Cannot replay " + command.method + ": node " + id + " is unknown. Replay the commands that created it first, or pass it via setNode.");
+            }
+            return this._nodes.get(id);
+        };
+        return RenderCommandReplayer;
+    }());
+
+    var __extends$13 = (this && this.__extends) || function (d, b) {
+        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+    /**
+     * Represents an instance of an NgModule created via a {\@link NgModuleFactory}.
+     *
+     * `NgModuleRef` provides access to the NgModule Instance as well other objects related to this
+     * NgModule Instance.
+     *
+     * \@stable
+     * @abstract
+     */
+    var NgModuleRef = (function () {
+        function NgModuleRef() {
+        }
+        Object.defineProperty(NgModuleRef.prototype, "injector", {
+            /**
+             * The injector that contains all of the providers of the NgModule.
+             * @return {?}
+             */
+            get: function () { return unimplemented(); },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(NgModuleRef.prototype, "componentFactoryResolver", {
+            /**
+             * The ComponentFactoryResolver to get hold of the ComponentFactories
+             * declared in the `entryComponents` property of the module.
+             * @return {?}
+             */
+            get: function () { return unimplemented(); },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(NgModuleRef.prototype, "instance", {
+            /**
+             * The NgModule instance.
+             * @return {?}
+             */
+            get: function () { return unimplemented(); },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * Destroys the module instance and all of the data structures associated with it.
+         * @abstract
+         * @return {?}
+         */
+        NgModuleRef.prototype.destroy = function () { };
+        /**
+         * Allows to register a callback that will be called when the module is destroyed.
+         * @abstract
+         * @param {?} callback
+         * @return {?}
+         */
+        NgModuleRef.prototype.onDestroy = function (callback) { };
+        return NgModuleRef;
+    }());
+    /**
+     * \@experimental
+     */
+    var NgModuleFactory = (function () {
+        /**
+         * @param {?} _injectorClass
+         * @param {?} _moduleType
+         */
+        function NgModuleFactory(_injectorClass, _moduleType) {
+            this._injectorClass = _injectorClass;
+            this._moduleType = _moduleType;
+            this._scopedProviders = null;
+        }
+        Object.defineProperty(NgModuleFactory.prototype, "moduleType", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._moduleType; },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * @param {?} parentInjector
+         * @return {?}
+         */
+        NgModuleFactory.prototype.create = function (parentInjector) { return this._create(parentInjector, null); };
+        /**
+         * \@internal
+         * Calls `beforeCreate` with the injector of the module before the module and its eager
+         * providers are created. Only the other providers can be retrieved from it at that point.
+         * @param {?} parentInjector
+         * @param {?} beforeCreate
+         * @return {?}
+         */
+        NgModuleFactory.prototype._create = function (parentInjector, beforeCreate) {
+            if (!parentInjector) {
+                parentInjector = Injector.NULL;
+            }
+            var /** @type {?} */ instance = new this._injectorClass(parentInjector);
+            if (this._scopedProviders === null) {
+                this._scopedProviders = _resolveScopedProviders(this._moduleType);
+            }
+            instance._setScopedProviders(this._scopedProviders);
+            if (beforeCreate) {
+                beforeCreate(instance);
+            }
+            instance.create();
+            return instance;
+        };
+        return NgModuleFactory;
+    }());
+    /**
+     * Resolves the providers of the module, and of the modules it imports, whose scope is not
+     * {\@link ProviderScope#Singleton}. The compiler turns every provider into a singleton, so these
+     * are read from the `\@NgModule` metadata and created by a {\@link ReflectiveInjector} instead.
+     * @param {?} moduleType
+     * @return {?}
+     */
+    function _resolveScopedProviders(moduleType) {
+        var /** @type {?} */ providers = getModuleProviders(moduleType);
+        if (!providers.some(_hasScope)) {
+            return [];
+        }
+        // The module and its singletons are compiled, so they can't get a new instance of a scoped
+        // provider for each lookup.
+        var /** @type {?} */ scopeError = validateReflectiveProviders(providers.concat([moduleType]))
+            .find(function (error) { return error instanceof ScopedDependencyError; });
+        if (scopeError) {
+            throw scopeError;
+        }
+        return resolveReflectiveProviders(providers)
+            .filter(function (provider) { return provider.scope !== ProviderScope.Singleton; });
+    }
+    /**
+     * Returns the providers declared in the `\@NgModule` metadata of the module and of the modules it
+     * imports or exports, in the order of the compiler: those of the other modules first, so that the
+     * module's own providers override them. The list can contain nested arrays.
+     * @param {?} moduleType
+     * @return {?}
+     */
+    function getModuleProviders(moduleType) {
+        return _collectModuleProviders(moduleType, new Set(), []);
+    }
+    /**
+     * @param {?} moduleType
+     * @param {?} visited
+     * @param {?} providers
+     * @return {?}
+     */
+    function _collectModuleProviders(moduleType, visited, providers) {
+        if (visited.has(moduleType)) {
+            return providers;
+        }
+        visited.add(moduleType);
+        var /** @type {?} */ metadata = reflector.annotations(moduleType).filter(function (annotation) { return annotation instanceof NgModule; }).pop();
+        if (!metadata) {
+            return providers;
+        }
+        var /** @type {?} */ visitModules = function (modules) { return modules.forEach(function (module) {
+            module = resolveForwardRef(module);
+            if (Array.isArray(module)) {
+                visitModules(module);
+            }
+            else if (module && module.ngModule) {
+                _collectModuleProviders(module.ngModule, visited, providers);
+                providers.push(module.providers || []);
+            }
+            else if (module) {
+                _collectModuleProviders(module, visited, providers);
+            }
+        }); };
+        visitModules(metadata.imports || []);
+        visitModules(metadata.exports || []);
+        providers.push(metadata.providers || []);
+        return providers;
+    }
+    /**
+     * @param {?} provider
+     * @return {?}
+     */
+    function _hasScope(provider) {
+        return Array.isArray(provider) ? provider.some(_hasScope) : !!(provider && provider.scope);
+    }
+    var /** @type {?} */ _UNDEFINED = new Object();
+    /**
+     * @abstract
+     */
+    var NgModuleInjector = (function (_super) {
+        __extends$13(NgModuleInjector, _super);
+        /**
+         * @param {?} parent
+         * @param {?} factories
+         * @param {?} bootstrapFactories
+         */
+        function NgModuleInjector(parent, factories, bootstrapFactories) {
+            _super.call(this, factories, parent.get(ComponentFactoryResolver, ComponentFactoryResolver.NULL));
+            this.parent = parent;
+            this.bootstrapFactories = bootstrapFactories;
+            this._destroyListeners = [];
+            this._destroyed = false;
+            this._scopedInjector = null;
+            this._scopedTokens = null;
+        }
+        /**
+         * \@internal
+         * Lets a {\@link ReflectiveInjector} create the given providers instead of the compiled getters.
+         * @param {?} providers
+         * @return {?}
+         */
+        NgModuleInjector.prototype._setScopedProviders = function (providers) {
+            if (providers.length > 0) {
+                this._scopedInjector = ReflectiveInjector.fromResolvedProviders(providers, this);
+                this._scopedTokens = new Set(providers.map(function (provider) { return provider.key.token; }));
+            }
+        };
+        /**
+         * @return {?}
+         */
+        NgModuleInjector.prototype.create = function () { this.instance = this.createInternal(); };
+        /**
+         * @abstract
+         * @return {?}
+         */
+        NgModuleInjector.prototype.createInternal = function () { };
+        /**
+         * @param {?} token
+         * @param {?=} notFoundValue
+         * @return {?}
+         */
+        NgModuleInjector.prototype.get = function (token, notFoundValue) {
+            var _this = this;
+            if (notFoundValue === void 0) { notFoundValue = THROW_IF_NOT_FOUND; }
+            if (token === Injector || token === ComponentFactoryResolver) {
+                return this;
+            }
+            if (this._scopedTokens !== null && this._scopedTokens.has(token)) {
+                return this._scopedInjector.get(token, notFoundValue);
+            }
+            if (getResolutionTracer()) {
+                return traceLookup(token, null, null, function () { return _this._getTraced(token, notFoundValue); });
+            }
+            var /** @type {?} */ result = this.getInternal(token, _UNDEFINED);
+            return result === _UNDEFINED ? this.parent.get(token, notFoundValue) : result;
+        };
+        /**
+         * @param {?} token
+         * @param {?} notFoundValue
+         * @return {?}
+         */
+        NgModuleInjector.prototype._getTraced = function (token, notFoundValue) {
+            var _this = this;
+            var /** @type {?} */ name = this.instance ? stringify(this.instance.constructor) : 'NgModule';
+            var /** @type {?} */ result = traceLevel('module', name, _UNDEFINED, false, function () { return _this.getInternal(token, _UNDEFINED); });
+            return result === _UNDEFINED ? this.parent.get(token, notFoundValue) : result;
+        };
+        /**
+         * @param {?} token
+         * @param {?=} notFoundValue
+         * @return {?}
+         */
+        NgModuleInjector.prototype.getAsync = function (token, notFoundValue) {
+            var _this = this;
+            if (notFoundValue === void 0) { notFoundValue = THROW_IF_NOT_FOUND; }
+            if (token === Injector || token === ComponentFactoryResolver) {
+                return Promise.resolve(this);
+            }
+            if (this._scopedTokens !== null && this._scopedTokens.has(token)) {
+                return this._scopedInjector.getAsync(token, notFoundValue);
+            }
+            return new Promise(function (resolve) { return resolve(_this.getInternal(token, _UNDEFINED)); }).then(function (result) { return result === _UNDEFINED ? getAsyncFromInjector(_this.parent, token, notFoundValue) : result; });
+        };
+        /**
+         * @abstract
+         * @param {?} token
+         * @param {?} notFoundValue
+         * @return {?}
+         */
+        NgModuleInjector.prototype.getInternal = function (token, notFoundValue) { };
+        Object.defineProperty(NgModuleInjector.prototype, "injector", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(NgModuleInjector.prototype, "componentFactoryResolver", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this; },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * @return {?}
+         */
+        NgModuleInjector.prototype.destroy = function () {
+            if (this._destroyed) {
+                throw new Error("The ng module " + stringify(this.instance.constructor) + " has already been destroyed.");
+            }
+            this._destroyed = true;
+            if (this._scopedInjector) {
+                this._scopedInjector.destroy();
+            }
+            this.destroyInternal();
+            this._destroyListeners.forEach(function (listener) { return listener(); });
+        };
+        /**
+         * @param {?} callback
+         * @return {?}
+         */
+        NgModuleInjector.prototype.onDestroy = function (callback) { this._destroyListeners.push(callback); };
+        /**
+         * @abstract
+         * @return {?}
+         */
+        NgModuleInjector.prototype.destroyInternal = function () { };
+        return NgModuleInjector;
+    }(CodegenComponentFactoryResolver));
+
+    /**
+     * @license
+     * Copyright Google Inc. All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    /**
+     * Used to load ng module factories.
+     * \@stable
+     * @abstract
+     */
+    var NgModuleFactoryLoader = (function () {
+        function NgModuleFactoryLoader() {
+        }
+        /**
+         * @abstract
+         * @param {?} path
+         * @return {?}
+         */
+        NgModuleFactoryLoader.prototype.load = function (path) { };
+        return NgModuleFactoryLoader;
+    }());
+    var /** @type {?} */ moduleFactories = new Map();
+    /**
+     * Registers a loaded module. Should only be called from generated NgModuleFactory code.
+     * \@experimental
+     * @param {?} id
+     * @param {?} factory
+     * @return {?}
+     */
+    function registerModuleFactory(id, factory) {
+        var /** @type {?} */ existing = moduleFactories.get(id);
+        if (existing) {
+            throw new Error("Duplicate module registered for " + id + " - " + existing.moduleType.name + " vs " + factory.moduleType.name);
+        }
+        moduleFactories.set(id, factory);
+    }
+    /**
+     * Returns the NgModuleFactory with the given id, if it exists and has been loaded.
+     * Factories for modules that do not specify an `id` cannot be retrieved. Throws if the module
+     * cannot be found.
+     * \@experimental
+     * @param {?} id
+     * @return {?}
+     */
+    function getModuleFactory(id) {
+        var /** @type {?} */ factory = moduleFactories.get(id);
+        if (!factory)
+            throw new Error("No module with ID " + id + " loaded");
+        return factory;
+    }
+
+    /**
+     * An unmodifiable list of items that Angular keeps up to date when the state
+     * of the application changes.
+     *
+     * The type of object that {\@link Query} and {\@link ViewQueryMetadata} provide.
+     *
+     * Implements an iterable interface, therefore it can be used in both ES6
+     * javascript `for (var i of items)` loops as well as in Angular templates with
+     * `*ngFor="let i of myList"`.
+     *
+     * Changes can be observed by subscribing to the changes `Observable`.
+     *
+     * NOTE: In the future this class will implement an `Observable` interface.
+     *
+     * ### Example ([live demo](http://plnkr.co/edit/RX8sJnQYl9FWuSCWme5z?p=preview))
+     * ```typescript
+     * \@Component({...})
+     * class Container {
+     *   \@ViewChildren(Item) items:QueryList<Item>;
+     * }
+     * ```
+     * \@stable
+     */
+    var QueryList = (function () {
+        function QueryList() {
+            this._dirty = true;
+            this._results = [];
+            this._emitter = new EventEmitter();
+        }
+        Object.defineProperty(QueryList.prototype, "changes", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._emitter; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(QueryList.prototype, "length", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._results.length; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(QueryList.prototype, "first", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._results[0]; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(QueryList.prototype, "last", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._results[this.length - 1]; },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * See
+         * [Array.map](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/map)
+         * @param {?} fn
+         * @return {?}
+         */
+        QueryList.prototype.map = function (fn) { return this._results.map(fn); };
+        /**
+         * See
+         * [Array.filter](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/filter)
+         * @param {?} fn
+         * @return {?}
+         */
+        QueryList.prototype.filter = function (fn) {
+            return this._results.filter(fn);
+        };
+        /**
+         * See
+         * [Array.find](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/find)
+         * @param {?} fn
+         * @return {?}
+         */
+        QueryList.prototype.find = function (fn) { return this._results.find(fn); };
+        /**
+         * See
+         * [Array.reduce](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/reduce)
+         * @param {?} fn
+         * @param {?} init
+         * @return {?}
+         */
+        QueryList.prototype.reduce = function (fn, init) {
+            return this._results.reduce(fn, init);
+        };
+        /**
+         * See
+         * [Array.forEach](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/forEach)
+         * @param {?} fn
+         * @return {?}
+         */
+        QueryList.prototype.forEach = function (fn) { this._results.forEach(fn); };
+        /**
+         * See
+         * [Array.some](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/some)
+         * @param {?} fn
+         * @return {?}
+         */
+        QueryList.prototype.some = function (fn) {
+            return this._results.some(fn);
+        };
+        /**
+         * @return {?}
+         */
+        QueryList.prototype.toArray = function () { return this._results.slice(); };
+        /**
+         * @return {?}
+         */
+        QueryList.prototype[getSymbolIterator()] = function () { return ((this._results))[getSymbolIterator()](); };
+        /**
+         * @return {?}
+         */
+        QueryList.prototype.toString = function () { return this._results.toString(); };
+        /**
+         * @param {?} res
+         * @return {?}
+         */
+        QueryList.prototype.reset = function (res) {
+            this._results = ListWrapper.flatten(res);
+            this._dirty = false;
+        };
+        /**
+         * @return {?}
+         */
+        QueryList.prototype.notifyOnChanges = function () { this._emitter.emit(this); };
+        /**
+         * internal
+         * @return {?}
+         */
+        QueryList.prototype.setDirty = function () { this._dirty = true; };
+        Object.defineProperty(QueryList.prototype, "dirty", {
+            /**
+             * internal
+             * @return {?}
+             */
+            get: function () { return this._dirty; },
+            enumerable: true,
+            configurable: true
+        });
+        return QueryList;
+    }());
+
+    var /** @type {?} */ _SEPARATOR = '#';
+    var /** @type {?} */ FACTORY_CLASS_SUFFIX = 'NgFactory';
+    /**
+     * Configuration for SystemJsNgModuleLoader.
+     * token.
+     *
+     * \@experimental
+     * @abstract
+     */
+    var SystemJsNgModuleLoaderConfig = (function () {
+        function SystemJsNgModuleLoaderConfig() {
+        }
+        return SystemJsNgModuleLoaderConfig;
+    }());
+    var /** @type {?} */ DEFAULT_CONFIG = {
+        factoryPathPrefix: '',
+        factoryPathSuffix: '.ngfactory',
+    };
+    /**
+     * NgModuleFactoryLoader that uses SystemJS to load NgModuleFactory
+     * \@experimental
+     */
+    var SystemJsNgModuleLoader = (function () {
+        /**
+         * @param {?} _compiler
+         * @param {?=} config
+         */
+        function SystemJsNgModuleLoader(_compiler, config) {
+            this._compiler = _compiler;
+            this._config = config || DEFAULT_CONFIG;
+        }
+        /**
+         * @param {?} path
+         * @return {?}
+         */
+        SystemJsNgModuleLoader.prototype.load = function (path) {
+            var /** @type {?} */ offlineMode = this._compiler instanceof Compiler;
+            return offlineMode ? this.loadFactory(path) : this.loadAndCompile(path);
+        };
+        /**
+         * @param {?} path
+         * @return {?}
+         */
+        SystemJsNgModuleLoader.prototype.loadAndCompile = function (path) {
+            var _this = this;
+            var _a = path.split(_SEPARATOR), module = _a[0], exportName = _a[1];
+            if (exportName === undefined) {
+                exportName = 'default';
+            }
+            return System.import(module)
+                .then(function (module) { return module[exportName]; })
+                .then(function (type) { return checkNotEmpty(type, module, exportName); })
+                .then(function (type) { return _this._compiler.compileModuleAsync(type); });
+        };
+        /**
+         * @param {?} path
+         * @return {?}
+         */
+        SystemJsNgModuleLoader.prototype.loadFactory = function (path) {
+            var _a = path.split(_SEPARATOR), module = _a[0], exportName = _a[1];
+            var /** @type {?} */ factoryClassSuffix = FACTORY_CLASS_SUFFIX;
+            if (exportName === undefined) {
+                exportName = 'default';
+                factoryClassSuffix = '';
+            }
+            return System.import(this._config.factoryPathPrefix + module + this._config.factoryPathSuffix)
+                .then(function (module) { return module[exportName + factoryClassSuffix]; })
+                .then(function (factory) { return checkNotEmpty(factory, module, exportName); });
+        };
+        SystemJsNgModuleLoader.decorators = [
+            { type: Injectable },
+        ];
+        /** @nocollapse */
+        SystemJsNgModuleLoader.ctorParameters = function () { return [
+            { type: Compiler, },
+            { type: SystemJsNgModuleLoaderConfig, decorators: [{ type: Optional },] },
+        ]; };
+        return SystemJsNgModuleLoader;
+    }());
+    /**
+     * @param {?} value
+     * @param {?} modulePath
+     * @param {?} exportName
+     * @return {?}
+     */
+    function checkNotEmpty(value, modulePath, exportName) {
+        if (!value) {
+            throw new Error("Cannot find '" + exportName + "' in '" + modulePath + "'");
+        }
+        return value;
+    }
+
+    var __extends$14 = (this && this.__extends) || function (d, b) {
+        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+    /**
+     * Represents an Embedded Template that can be used to instantiate Embedded Views.
+     *
+     * You can access a `TemplateRef`, in two ways. Via a directive placed on a `<template>` element (or
+     * directive prefixed with `*`) and have the `TemplateRef` for this Embedded View injected into the
+     * constructor of the directive using the `TemplateRef` Token. Alternatively you can query for the
+     * `TemplateRef` from a Component or a Directive via {\@link Query}.
+     *
+     * To instantiate Embedded Views based on a Template, use
+     * {\@link ViewContainerRef#createEmbeddedView}, which will create the View and attach it to the
+     * View Container.
+     * \@stable
+     * @abstract
+     */
+    var TemplateRef = (function () {
+        function TemplateRef() {
+        }
+        Object.defineProperty(TemplateRef.prototype, "elementRef", {
+            /**
+             * @return {?}
+             */
+            get: function () { return null; },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * @abstract
+         * @param {?} context
+         * @return {?}
+         */
+        TemplateRef.prototype.createEmbeddedView = function (context) { };
+        return TemplateRef;
+    }());
+    var TemplateRef_ = (function (_super) {
+        __extends$14(TemplateRef_, _super);
+        /**
+         * @param {?} _parentView
+         * @param {?} _nodeIndex
+         * @param {?} _nativeElement
+         */
+        function TemplateRef_(_parentView, _nodeIndex, _nativeElement) {
+            _super.call(this);
+            this._parentView = _parentView;
+            this._nodeIndex = _nodeIndex;
+            this._nativeElement = _nativeElement;
+        }
+        /**
+         * @param {?} context
+         * @return {?}
+         */
+        TemplateRef_.prototype.createEmbeddedView = function (context) {
+            var /** @type {?} */ view = this._parentView.createEmbeddedViewInternal(this._nodeIndex);
+            view.create(context || ({}));
+            return view.ref;
+        };
+        Object.defineProperty(TemplateRef_.prototype, "elementRef", {
+            /**
+             * @return {?}
+             */
+            get: function () { return new ElementRef(this._nativeElement); },
+            enumerable: true,
+            configurable: true
+        });
+        return TemplateRef_;
+    }(TemplateRef));
+
+    /**
+     * Represents a container where one or more Views can be attached.
+     *
+     * The container can contain two kinds of Views. Host Views, created by instantiating a
+     * {\@link Component} via {\@link #createComponent}, and Embedded Views, created by instantiating an
+     * {\@link TemplateRef Embedded Template} via {\@link #createEmbeddedView}.
+     *
+     * The location of the View Container within the containing View is specified by the Anchor
+     * `element`. Each View Container can have only one Anchor Element and each Anchor Element can only
+     * have a single View Container.
+     *
+     * Root elements of Views attached to this container become siblings of the Anchor Element in
+     * the Rendered View.
+     *
+     * To access a `ViewContainerRef` of an Element, you can either place a {\@link Directive} injected
+     * with `ViewContainerRef` on the Element, or you obtain it via a {\@link ViewChild} query.
+     * \@stable
+     * @abstract
+     */
+    var ViewContainerRef = (function () {
+        function ViewContainerRef() {
+        }
+        Object.defineProperty(ViewContainerRef.prototype, "element", {
+            /**
+             * Anchor element that specifies the location of this container in the containing View.
+             * <!-- TODO: rename to anchorElement -->
+             * @return {?}
+             */
+            get: function () { return (unimplemented()); },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(ViewContainerRef.prototype, "injector", {
+            /**
+             * @return {?}
+             */
+            get: function () { return (unimplemented()); },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(ViewContainerRef.prototype, "parentInjector", {
+            /**
+             * @return {?}
+             */
+            get: function () { return (unimplemented()); },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * Destroys all Views in this container.
+         * @abstract
+         * @return {?}
+         */
+        ViewContainerRef.prototype.clear = function () { };
+        /**
+         * Returns the {\@link ViewRef} for the View located in this container at the specified index.
+         * @abstract
+         * @param {?} index
+         * @return {?}
+         */
+        ViewContainerRef.prototype.get = function (index) { };
+        Object.defineProperty(ViewContainerRef.prototype, "length", {
+            /**
+             * Returns the number of Views currently attached to this container.
+             * @return {?}
+             */
+            get: function () { return (unimplemented()); },
+            enumerable: true,
+            configurable: true
+        });
+        ;
+        /**
+         * Instantiates an Embedded View based on the {\@link TemplateRef `templateRef`} and inserts it
+         * into this container at the specified `index`.
+         *
+         * If `index` is not specified, the new View will be inserted as the last View in the container.
+         *
+         * Returns the {\@link ViewRef} for the newly created View.
+         * @abstract
+         * @param {?} templateRef
+         * @param {?=} context
+         * @param {?=} index
+         * @return {?}
+         */
+        ViewContainerRef.prototype.createEmbeddedView = function (templateRef, context, index) { };
+        /**
+         * Instantiates a single {\@link Component} and inserts its Host View into this container at the
+         * specified `index`.
+         *
+         * The component is instantiated using its {\@link ComponentFactory} which can be
+         * obtained via {\@link ComponentFactoryResolver#resolveComponentFactory}.
+         *
+         * If `index` is not specified, the new View will be inserted as the last View in the container.
+         *
+         * You can optionally specify the {\@link Injector} that will be used as parent for the Component.
+         *
+         * Returns the {\@link ComponentRef} of the Host View created for the newly instantiated Component.
+         * @abstract
+         * @param {?} componentFactory
+         * @param {?=} index
+         * @param {?=} injector
+         * @param {?=} projectableNodes
+         * @return {?}
+         */
+        ViewContainerRef.prototype.createComponent = function (componentFactory, index, injector, projectableNodes) { };
+        /**
+         * Inserts a View identified by a {\@link ViewRef} into the container at the specified `index`.
+         *
+         * If `index` is not specified, the new View will be inserted as the last View in the container.
+         *
+         * Returns the inserted {\@link ViewRef}.
+         * @abstract
+         * @param {?} viewRef
+         * @param {?=} index
+         * @return {?}
+         */
+        ViewContainerRef.prototype.insert = function (viewRef, index) { };
+        /**
+         * Moves a View identified by a {\@link ViewRef} into the container at the specified `index`.
+         *
+         * Returns the inserted {\@link ViewRef}.
+         * @abstract
+         * @param {?} viewRef
+         * @param {?} currentIndex
+         * @return {?}
+         */
+        ViewContainerRef.prototype.move = function (viewRef, currentIndex) { };
+        /**
+         * Returns the index of the View, specified via {\@link ViewRef}, within the current container or
+         * `-1` if this container doesn't contain the View.
+         * @abstract
+         * @param {?} viewRef
+         * @return {?}
+         */
+        ViewContainerRef.prototype.indexOf = function (viewRef) { };
+        /**
+         * Destroys a View attached to this container at the specified `index`.
+         *
+         * If `index` is not specified, the last View in the container will be removed.
+         * @abstract
+         * @param {?=} index
+         * @return {?}
+         */
+        ViewContainerRef.prototype.remove = function (index) { };
+        /**
+         * Use along with {\@link #insert} to move a View within the current container.
+         *
+         * If the `index` param is omitted, the last {\@link ViewRef} is detached.
+         * @abstract
+         * @param {?=} index
+         * @return {?}
+         */
+        ViewContainerRef.prototype.detach = function (index) { };
+        return ViewContainerRef;
+    }());
+    var ViewContainerRef_ = (function () {
+        /**
+         * @param {?} _element
+         */
+        function ViewContainerRef_(_element) {
+            this._element = _element;
+            /** @internal */
+            this._createComponentInContainerScope = wtfCreateScope('ViewContainerRef#createComponent()');
+            /** @internal */
+            this._insertScope = wtfCreateScope('ViewContainerRef#insert()');
+            /** @internal */
+            this._removeScope = wtfCreateScope('ViewContainerRef#remove()');
+            /** @internal */
+            this._detachScope = wtfCreateScope('ViewContainerRef#detach()');
+        }
+        /**
+         * @param {?} index
+         * @return {?}
+         */
+        ViewContainerRef_.prototype.get = function (index) { return this._element.nestedViews[index].ref; };
+        Object.defineProperty(ViewContainerRef_.prototype, "length", {
+            /**
+             * @return {?}
+             */
+            get: function () {
+                var /** @type {?} */ views = this._element.nestedViews;
+                return isPresent(views) ? views.length : 0;
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(ViewContainerRef_.prototype, "element", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._element.elementRef; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(ViewContainerRef_.prototype, "injector", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._element.injector; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(ViewContainerRef_.prototype, "parentInjector", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._element.parentInjector; },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * @param {?} templateRef
+         * @param {?=} context
+         * @param {?=} index
+         * @return {?}
+         */
+        ViewContainerRef_.prototype.createEmbeddedView = function (templateRef, context, index) {
+            if (context === void 0) { context = null; }
+            if (index === void 0) { index = -1; }
+            // While hydrating, the root nodes of the view claim the server-rendered nodes of this
+            // container.
+            var /** @type {?} */ viewRef = createInContainer(this._element.nativeElement, function () { return templateRef.createEmbeddedView(context); });
+            this.insert(viewRef, index);
+            return viewRef;
+        };
+        /**
+         * @param {?} componentFactory
+         * @param {?=} index
+         * @param {?=} injector
+         * @param {?=} projectableNodes
+         * @return {?}
+         */
+        ViewContainerRef_.prototype.createComponent = function (componentFactory, index, injector, projectableNodes) {
+            if (index === void 0) { index = -1; }
+            if (injector === void 0) { injector = null; }
+            if (projectableNodes === void 0) { projectableNodes = null; }
+            var /** @type {?} */ s = this._createComponentInContainerScope();
+            var /** @type {?} */ contextInjector = injector || this._element.parentInjector;
+            var /** @type {?} */ componentRef = createInContainer(this._element.nativeElement, function () { return componentFactory.create(contextInjector, projectableNodes); });
+            this.insert(componentRef.hostView, index);
+            return wtfLeave(s, componentRef);
+        };
+        /**
+         * @param {?} viewRef
+         * @param {?=} index
+         * @return {?}
+         */
+        ViewContainerRef_.prototype.insert = function (viewRef, index) {
+            if (index === void 0) { index = -1; }
+            var /** @type {?} */ s = this._insertScope();
+            if (index == -1)
+                index = this.length;
+            var /** @type {?} */ viewRef_ = (viewRef);
+            this._element.attachView(viewRef_.internalView, index);
+            return wtfLeave(s, viewRef_);
+        };
+        /**
+         * @param {?} viewRef
+         * @param {?} currentIndex
+         * @return {?}
+         */
+        ViewContainerRef_.prototype.move = function (viewRef, currentIndex) {
+            var /** @type {?} */ s = this._insertScope();
+            if (currentIndex == -1)
+                return;
+            var /** @type {?} */ viewRef_ = (viewRef);
+            this._element.moveView(viewRef_.internalView, currentIndex);
+            return wtfLeave(s, viewRef_);
+        };
+        /**
+         * @param {?} viewRef
+         * @return {?}
+         */
+        ViewContainerRef_.prototype.indexOf = function (viewRef) {
+            return this._element.nestedViews.indexOf(((viewRef)).internalView);
+        };
+        /**
+         * @param {?=} index
+         * @return {?}
+         */
+        ViewContainerRef_.prototype.remove = function (index) {
+            if (index === void 0) { index = -1; }
+            var /** @type {?} */ s = this._removeScope();
+            if (index == -1)
+                index = this.length - 1;
+            var /** @type {?} */ view = this._element.detachView(index);
+            view.destroy();
+            // view is intentionally not returned to the client.
+            wtfLeave(s);
+        };
+        /**
+         * @param {?=} index
+         * @return {?}
+         */
+        ViewContainerRef_.prototype.detach = function (index) {
+            if (index === void 0) { index = -1; }
+            var /** @type {?} */ s = this._detachScope();
+            if (index == -1)
+                index = this.length - 1;
+            var /** @type {?} */ view = this._element.detachView(index);
+            return wtfLeave(s, view.ref);
+        };
+        /**
+         * @return {?}
+         */
+        ViewContainerRef_.prototype.clear = function () {
+            for (var /** @type {?} */ i = this.length - 1; i >= 0; i--) {
+                this.remove(i);
+            }
+        };
+        return ViewContainerRef_;
+    }());
+
+    var __extends$15 = (this && this.__extends) || function (d, b) {
+        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+    /**
+     * \@stable
+     * @abstract
+     */
+    var ViewRef = (function (_super) {
+        __extends$15(ViewRef, _super);
+        function ViewRef() {
+            _super.apply(this, arguments);
+        }
+        /**
+         * Destroys the view and all of the data structures associated with it.
+         * @abstract
+         * @return {?}
+         */
+        ViewRef.prototype.destroy = function () { };
+        Object.defineProperty(ViewRef.prototype, "destroyed", {
+            /**
+             * @return {?}
+             */
+            get: function () { return (unimplemented()); },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * @abstract
+         * @param {?} callback
+         * @return {?}
+         */
+        ViewRef.prototype.onDestroy = function (callback) { };
+        return ViewRef;
+    }(ChangeDetectorRef));
+    /**
+     * Represents an Angular View.
      *
-     * `keyframes` specifies a collection of {\@link style style} entries each optionally characterized
-     * by an `offset` value.
+     * <!-- TODO: move the next two paragraphs to the dev guide -->
+     * A View is a fundamental building block of the application UI. It is the smallest grouping of
+     * Elements which are created and destroyed together.
      *
-     * ### Usage
+     * Properties of elements in a View can change, but the structure (number and order) of elements in
+     * a View cannot. Changing the structure of Elements can only be done by inserting, moving or
+     * removing nested Views via a {\@link ViewContainerRef}. Each View can contain many View Containers.
+     * <!-- /TODO -->
      *
-     * The `keyframes` animation function is designed to be used alongside the {\@link animate animate}
-     * animation function. Instead of applying animations from where they are
-     * currently to their destination, keyframes can describe how each style entry is applied
-     * and at what point within the animation arc (much like CSS Keyframe Animations do).
+     * ### Example
      *
-     * For each `style()` entry an `offset` value can be set. Doing so allows to specifiy at
-     * what percentage of the animate time the styles will be applied.
+     * Given this template...
      *
-     * ```typescript
-     * // the provided offset values describe when each backgroundColor value is applied.
-     * animate("5s", keyframes([
-     *   style({ backgroundColor: "red", offset: 0 }),
-     *   style({ backgroundColor: "blue", offset: 0.2 }),
-     *   style({ backgroundColor: "orange", offset: 0.3 }),
-     *   style({ backgroundColor: "black", offset: 1 })
-     * ]))
      * ```
+     * Count: {{items.length}}
+     * <ul>
+     *   <li *ngFor="let  item of items">{{item}}</li>
+     * </ul>
+     * ```
+     *
+     * We have two {\@link TemplateRef}s:
+     *
+     * Outer {\@link TemplateRef}:
+     * ```
+     * Count: {{items.length}}
+     * <ul>
+     *   <template ngFor let-item [ngForOf]="items"></template>
+     * </ul>
+     * ```
+     *
+     * Inner {\@link TemplateRef}:
+     * ```
+     *   <li>{{item}}</li>
+     * ```
+     *
+     * Notice that the original template is broken down into two separate {\@link TemplateRef}s.
+     *
+     * The outer/inner {\@link TemplateRef}s are then assembled into views like so:
+     *
+     * ```
+     * <!-- ViewRef: outer-0 -->
+     * Count: 2
+     * <ul>
+     *   <template view-container-ref></template>
+     *   <!-- ViewRef: inner-1 --><li>first</li><!-- /ViewRef: inner-1 -->
+     *   <!-- ViewRef: inner-2 --><li>second</li><!-- /ViewRef: inner-2 -->
+     * </ul>
+     * <!-- /ViewRef: outer-0 -->
+     * ```
+     * \@experimental
+     * @abstract
+     */
+    var EmbeddedViewRef = (function (_super) {
+        __extends$15(EmbeddedViewRef, _super);
+        function EmbeddedViewRef() {
+            _super.apply(this, arguments);
+        }
+        Object.defineProperty(EmbeddedViewRef.prototype, "context", {
+            /**
+             * @return {?}
+             */
+            get: function () { return unimplemented(); },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(EmbeddedViewRef.prototype, "rootNodes", {
+            /**
+             * @return {?}
+             */
+            get: function () { return (unimplemented()); },
+            enumerable: true,
+            configurable: true
+        });
+        ;
+        return EmbeddedViewRef;
+    }(ViewRef));
+    var ViewRef_ = (function () {
+        /**
+         * @param {?} _view
+         * @param {?} animationQueue
+         */
+        function ViewRef_(_view, animationQueue) {
+            this._view = _view;
+            this.animationQueue = animationQueue;
+            this._view = _view;
+            this._originalMode = this._view.cdMode;
+        }
+        Object.defineProperty(ViewRef_.prototype, "internalView", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._view; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(ViewRef_.prototype, "rootNodes", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._view.flatRootNodes; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(ViewRef_.prototype, "context", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._view.context; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(ViewRef_.prototype, "destroyed", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._view.destroyed; },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * @return {?}
+         */
+        ViewRef_.prototype.markForCheck = function () {
+            this._view.markPathToRootAsCheckOnce();
+            var /** @type {?} */ noopZone = this._view.viewUtils.noopZone;
+            if (noopZone) {
+                noopZone.scheduleTick();
+            }
+        };
+        /**
+         * @return {?}
+         */
+        ViewRef_.prototype.detach = function () { this._view.cdMode = ChangeDetectorStatus.Detached; };
+        /**
+         * @return {?}
+         */
+        ViewRef_.prototype.detectChanges = function () {
+            this._view.detectChanges(false);
+            this.animationQueue.flush();
+        };
+        /**
+         * @return {?}
+         */
+        ViewRef_.prototype.checkNoChanges = function () { this._view.detectChanges(true); };
+        /**
+         * @return {?}
+         */
+        ViewRef_.prototype.reattach = function () {
+            this._view.cdMode = this._originalMode;
+            this.markForCheck();
+        };
+        /**
+         * @param {?} callback
+         * @return {?}
+         */
+        ViewRef_.prototype.onDestroy = function (callback) {
+            if (!this._view.disposables) {
+                this._view.disposables = [];
+            }
+            this._view.disposables.push(callback);
+        };
+        /**
+         * @return {?}
+         */
+        ViewRef_.prototype.destroy = function () { this._view.detachAndDestroy(); };
+        return ViewRef_;
+    }());
+
+    var __extends$16 = (this && this.__extends) || function (d, b) {
+        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+    var ElementInjector = (function (_super) {
+        __extends$16(ElementInjector, _super);
+        /**
+         * @param {?} _view
+         * @param {?} _nodeIndex
+         */
+        function ElementInjector(_view, _nodeIndex) {
+            _super.call(this);
+            this._view = _view;
+            this._nodeIndex = _nodeIndex;
+        }
+        /**
+         * @param {?} token
+         * @param {?=} notFoundValue
+         * @return {?}
+         */
+        ElementInjector.prototype.get = function (token, notFoundValue) {
+            if (notFoundValue === void 0) { notFoundValue = THROW_IF_NOT_FOUND; }
+            return this._view.injectorGet(token, this._nodeIndex, notFoundValue);
+        };
+        return ElementInjector;
+    }(Injector));
+
+    var AnimationGroupPlayer_ = (function () {
+        /**
+         * @param {?} _players
+         */
+        function AnimationGroupPlayer(_players) {
+            var _this = this;
+            this._players = _players;
+            this._onDoneFns = [];
+            this._onStartFns = [];
+            this._finished = false;
+            this._started = false;
+            this._destroyed = false;
+            this.parentPlayer = null;
+            var count = 0;
+            var total = this._players.length;
+            if (total == 0) {
+                scheduleMicroTask(function () { return _this._onFinish(); });
+            }
+            else {
+                this._players.forEach(function (player) {
+                    player.parentPlayer = _this;
+                    player.onDone(function () {
+                        if (++count >= total) {
+                            _this._onFinish();
+                        }
+                    });
+                });
+            }
+        }
+        /**
+         * @return {?}
+         */
+        AnimationGroupPlayer.prototype._onFinish = function () {
+            if (!this._finished) {
+                this._finished = true;
+                this._onDoneFns.forEach(function (fn) { return fn(); });
+                this._onDoneFns = [];
+            }
+        };
+        /**
+         * @return {?}
+         */
+        AnimationGroupPlayer.prototype.init = function () { this._players.forEach(function (player) { return player.init(); }); };
+        /**
+         * @param {?} fn
+         * @return {?}
+         */
+        AnimationGroupPlayer.prototype.onStart = function (fn) { this._onStartFns.push(fn); };
+        /**
+         * @param {?} fn
+         * @return {?}
+         */
+        AnimationGroupPlayer.prototype.onDone = function (fn) { this._onDoneFns.push(fn); };
+        /**
+         * @return {?}
+         */
+        AnimationGroupPlayer.prototype.hasStarted = function () { return this._started; };
+        /**
+         * @return {?}
+         */
+        AnimationGroupPlayer.prototype.play = function () {
+            if (!isPresent(this.parentPlayer)) {
+                this.init();
+            }
+            if (!this.hasStarted()) {
+                this._onStartFns.forEach(function (fn) { return fn(); });
+                this._onStartFns = [];
+                this._started = true;
+            }
+            this._players.forEach(function (player) { return player.play(); });
+        };
+        /**
+         * @return {?}
+         */
+        AnimationGroupPlayer.prototype.pause = function () { this._players.forEach(function (player) { return player.pause(); }); };
+        /**
+         * @return {?}
+         */
+        AnimationGroupPlayer.prototype.restart = function () { this._players.forEach(function (player) { return player.restart(); }); };
+        /**
+         * @return {?}
+         */
+        AnimationGroupPlayer.prototype.finish = function () {
+            this._onFinish();
+            this._players.forEach(function (player) { return player.finish(); });
+        };
+        /**
+         * @return {?}
+         */
+        AnimationGroupPlayer.prototype.destroy = function () {
+            if (!this._destroyed) {
+                this._onFinish();
+                this._players.forEach(function (player) { return player.destroy(); });
+                this._destroyed = true;
+            }
+        };
+        /**
+         * @return {?}
+         */
+        AnimationGroupPlayer.prototype.reset = function () {
+            this._players.forEach(function (player) { return player.reset(); });
+            this._destroyed = false;
+            this._finished = false;
+            this._started = false;
+        };
+        /**
+         * @param {?} p
+         * @return {?}
+         */
+        AnimationGroupPlayer.prototype.setPosition = function (p) {
+            this._players.forEach(function (player) { player.setPosition(p); });
+        };
+        /**
+         * @return {?}
+         */
+        AnimationGroupPlayer.prototype.getPosition = function () {
+            var /** @type {?} */ min = 0;
+            this._players.forEach(function (player) {
+                var /** @type {?} */ p = player.getPosition();
+                min = Math.min(p, min);
+            });
+            return min;
+        };
+        Object.defineProperty(AnimationGroupPlayer.prototype, "players", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._players; },
+            enumerable: true,
+            configurable: true
+        });
+        return AnimationGroupPlayer;
+    }());
+
+    var AnimationSequencePlayer_ = (function () {
+        /**
+         * @param {?} _players
+         */
+        function AnimationSequencePlayer(_players) {
+            var _this = this;
+            this._players = _players;
+            this._currentIndex = 0;
+            this._onDoneFns = [];
+            this._onStartFns = [];
+            this._finished = false;
+            this._started = false;
+            this._destroyed = false;
+            this.parentPlayer = null;
+            this._players.forEach(function (player) { player.parentPlayer = _this; });
+            this._onNext(false);
+        }
+        /**
+         * @param {?} start
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype._onNext = function (start) {
+            var _this = this;
+            if (this._finished)
+                return;
+            if (this._players.length == 0) {
+                this._activePlayer = new NoOpAnimationPlayer_();
+                scheduleMicroTask(function () { return _this._onFinish(); });
+            }
+            else if (this._currentIndex >= this._players.length) {
+                this._activePlayer = new NoOpAnimationPlayer_();
+                this._onFinish();
+            }
+            else {
+                var /** @type {?} */ player = this._players[this._currentIndex++];
+                player.onDone(function () { return _this._onNext(true); });
+                this._activePlayer = player;
+                if (start) {
+                    player.play();
+                }
+            }
+        };
+        /**
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype._onFinish = function () {
+            if (!this._finished) {
+                this._finished = true;
+                this._onDoneFns.forEach(function (fn) { return fn(); });
+                this._onDoneFns = [];
+            }
+        };
+        /**
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype.init = function () { this._players.forEach(function (player) { return player.init(); }); };
+        /**
+         * @param {?} fn
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype.onStart = function (fn) { this._onStartFns.push(fn); };
+        /**
+         * @param {?} fn
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype.onDone = function (fn) { this._onDoneFns.push(fn); };
+        /**
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype.hasStarted = function () { return this._started; };
+        /**
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype.play = function () {
+            if (!isPresent(this.parentPlayer)) {
+                this.init();
+            }
+            if (!this.hasStarted()) {
+                this._onStartFns.forEach(function (fn) { return fn(); });
+                this._onStartFns = [];
+                this._started = true;
+            }
+            this._activePlayer.play();
+        };
+        /**
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype.pause = function () { this._activePlayer.pause(); };
+        /**
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype.restart = function () {
+            this.reset();
+            if (this._players.length > 0) {
+                this._players[0].restart();
+            }
+        };
+        /**
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype.reset = function () {
+            this._players.forEach(function (player) { return player.reset(); });
+            this._destroyed = false;
+            this._finished = false;
+            this._started = false;
+        };
+        /**
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype.finish = function () {
+            this._onFinish();
+            this._players.forEach(function (player) { return player.finish(); });
+        };
+        /**
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype.destroy = function () {
+            if (!this._destroyed) {
+                this._onFinish();
+                this._players.forEach(function (player) { return player.destroy(); });
+                this._destroyed = true;
+                this._activePlayer = new NoOpAnimationPlayer_();
+            }
+        };
+        /**
+         * @param {?} p
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype.setPosition = function (p) { this._players[0].setPosition(p); };
+        /**
+         * @return {?}
+         */
+        AnimationSequencePlayer.prototype.getPosition = function () { return this._players[0].getPosition(); };
+        Object.defineProperty(AnimationSequencePlayer.prototype, "players", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._players; },
+            enumerable: true,
+            configurable: true
+        });
+        return AnimationSequencePlayer;
+    }());
+
+    var ViewAnimationMap = (function () {
+        function ViewAnimationMap() {
+            this._map = new Map();
+            this._allPlayers = [];
+        }
+        /**
+         * @param {?} element
+         * @param {?} animationName
+         * @return {?}
+         */
+        ViewAnimationMap.prototype.find = function (element, animationName) {
+            var /** @type {?} */ playersByAnimation = this._map.get(element);
+            if (isPresent(playersByAnimation)) {
+                return playersByAnimation[animationName];
+            }
+        };
+        /**
+         * @param {?} element
+         * @return {?}
+         */
+        ViewAnimationMap.prototype.findAllPlayersByElement = function (element) {
+            var /** @type {?} */ el = this._map.get(element);
+            return el ? Object.keys(el).map(function (k) { return el[k]; }) : [];
+        };
+        /**
+         * @param {?} element
+         * @param {?} animationName
+         * @param {?} player
+         * @return {?}
+         */
+        ViewAnimationMap.prototype.set = function (element, animationName, player) {
+            var /** @type {?} */ playersByAnimation = this._map.get(element);
+            if (!isPresent(playersByAnimation)) {
+                playersByAnimation = {};
+            }
+            var /** @type {?} */ existingEntry = playersByAnimation[animationName];
+            if (isPresent(existingEntry)) {
+                this.remove(element, animationName);
+            }
+            playersByAnimation[animationName] = player;
+            this._allPlayers.push(player);
+            this._map.set(element, playersByAnimation);
+        };
+        /**
+         * @return {?}
+         */
+        ViewAnimationMap.prototype.getAllPlayers = function () { return this._allPlayers; };
+        /**
+         * @param {?} element
+         * @param {?} animationName
+         * @param {?=} targetPlayer
+         * @return {?}
+         */
+        ViewAnimationMap.prototype.remove = function (element, animationName, targetPlayer) {
+            if (targetPlayer === void 0) { targetPlayer = null; }
+            var /** @type {?} */ playersByAnimation = this._map.get(element);
+            if (playersByAnimation) {
+                var /** @type {?} */ player = playersByAnimation[animationName];
+                if (!targetPlayer || player === targetPlayer) {
+                    delete playersByAnimation[animationName];
+                    var /** @type {?} */ index = this._allPlayers.indexOf(player);
+                    this._allPlayers.splice(index, 1);
+                    if (Object.keys(playersByAnimation).length === 0) {
+                        this._map.delete(element);
+                    }
+                }
+            }
+        };
+        return ViewAnimationMap;
+    }());
+
+    var AnimationViewContext = (function () {
+        /**
+         * @param {?} _animationQueue
+         */
+        function AnimationViewContext(_animationQueue) {
+            this._animationQueue = _animationQueue;
+            this._players = new ViewAnimationMap();
+        }
+        /**
+         * @param {?} callback
+         * @return {?}
+         */
+        AnimationViewContext.prototype.onAllActiveAnimationsDone = function (callback) {
+            var /** @type {?} */ activeAnimationPlayers = this._players.getAllPlayers();
+            // we check for the length to avoid having GroupAnimationPlayer
+            // issue an unnecessary microtask when zero players are passed in
+            if (activeAnimationPlayers.length) {
+                new AnimationGroupPlayer_(activeAnimationPlayers).onDone(function () { return callback(); });
+            }
+            else {
+                callback();
+            }
+        };
+        /**
+         * @param {?} element
+         * @param {?} animationName
+         * @param {?} player
+         * @return {?}
+         */
+        AnimationViewContext.prototype.queueAnimation = function (element, animationName, player) {
+            var _this = this;
+            this._animationQueue.enqueue(player);
+            this._players.set(element, animationName, player);
+            player.onDone(function () { return _this._players.remove(element, animationName, player); });
+        };
+        /**
+         * @param {?} element
+         * @param {?=} animationName
+         * @return {?}
+         */
+        AnimationViewContext.prototype.getAnimationPlayers = function (element, animationName) {
+            if (animationName === void 0) { animationName = null; }
+            var /** @type {?} */ players = [];
+            if (animationName) {
+                var /** @type {?} */ currentPlayer = this._players.find(element, animationName);
+                if (currentPlayer) {
+                    _recursePlayers(currentPlayer, players);
+                }
+            }
+            else {
+                this._players.findAllPlayersByElement(element).forEach(function (player) { return _recursePlayers(player, players); });
+            }
+            return players;
+        };
+        return AnimationViewContext;
+    }());
+    /**
+     * @param {?} player
+     * @param {?} collectedPlayers
+     * @return {?}
+     */
+    function _recursePlayers(player, collectedPlayers) {
+        if ((player instanceof AnimationGroupPlayer_) || (player instanceof AnimationSequencePlayer_)) {
+            player.players.forEach(function (player) { return _recursePlayers(player, collectedPlayers); });
+        }
+        else {
+            collectedPlayers.push(player);
+        }
+    }
+
+    var ViewType = {};
+    ViewType.HOST = 0;
+    ViewType.COMPONENT = 1;
+    ViewType.EMBEDDED = 2;
+    ViewType[ViewType.HOST] = "HOST";
+    ViewType[ViewType.COMPONENT] = "COMPONENT";
+    ViewType[ViewType.EMBEDDED] = "EMBEDDED";
+
+    var StaticNodeDebugInfo = (function () {
+        /**
+         * @param {?} providerTokens
+         * @param {?} componentToken
+         * @param {?} refTokens
+         */
+        function StaticNodeDebugInfo(providerTokens, componentToken, refTokens) {
+            this.providerTokens = providerTokens;
+            this.componentToken = componentToken;
+            this.refTokens = refTokens;
+        }
+        return StaticNodeDebugInfo;
+    }());
+    var DebugContext = (function () {
+        /**
+         * @param {?} _view
+         * @param {?} _nodeIndex
+         * @param {?} _tplRow
+         * @param {?} _tplCol
+         */
+        function DebugContext(_view, _nodeIndex, _tplRow, _tplCol) {
+            this._view = _view;
+            this._nodeIndex = _nodeIndex;
+            this._tplRow = _tplRow;
+            this._tplCol = _tplCol;
+        }
+        Object.defineProperty(DebugContext.prototype, "_staticNodeInfo", {
+            /**
+             * @return {?}
+             */
+            get: function () {
+                return isPresent(this._nodeIndex) ? this._view.staticNodeDebugInfos[this._nodeIndex] : null;
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugContext.prototype, "context", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._view.context; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugContext.prototype, "component", {
+            /**
+             * @return {?}
+             */
+            get: function () {
+                var /** @type {?} */ staticNodeInfo = this._staticNodeInfo;
+                if (isPresent(staticNodeInfo) && isPresent(staticNodeInfo.componentToken)) {
+                    return this.injector.get(staticNodeInfo.componentToken);
+                }
+                return null;
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugContext.prototype, "componentRenderElement", {
+            /**
+             * @return {?}
+             */
+            get: function () {
+                var /** @type {?} */ componentView = this._view;
+                while (isPresent(componentView.parentView) && componentView.type !== ViewType.COMPONENT) {
+                    componentView = (componentView.parentView);
+                }
+                return componentView.parentElement;
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugContext.prototype, "viewComponent", {
+            /**
+             * The component whose template contains the node.
+             * @return {?}
+             */
+            get: function () {
+                var /** @type {?} */ componentView = this._view;
+                while (isPresent(componentView.parentView) && componentView.type !== ViewType.COMPONENT) {
+                    componentView = (componentView.parentView);
+                }
+                return componentView.type === ViewType.COMPONENT ? componentView.context : null;
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugContext.prototype, "injector", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._view.injector(this._nodeIndex); },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugContext.prototype, "renderNode", {
+            /**
+             * @return {?}
+             */
+            get: function () {
+                if (isPresent(this._nodeIndex) && this._view.allNodes) {
+                    return this._view.allNodes[this._nodeIndex];
+                }
+                else {
+                    return null;
+                }
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugContext.prototype, "providerTokens", {
+            /**
+             * @return {?}
+             */
+            get: function () {
+                var /** @type {?} */ staticNodeInfo = this._staticNodeInfo;
+                return isPresent(staticNodeInfo) ? staticNodeInfo.providerTokens : null;
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugContext.prototype, "source", {
+            /**
+             * @return {?}
+             */
+            get: function () {
+                return this._view.componentType.templateUrl + ":" + this._tplRow + ":" + this._tplCol;
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(DebugContext.prototype, "references", {
+            /**
+             * @return {?}
+             */
+            get: function () {
+                var _this = this;
+                var /** @type {?} */ varValues = {};
+                var /** @type {?} */ staticNodeInfo = this._staticNodeInfo;
+                if (isPresent(staticNodeInfo)) {
+                    var /** @type {?} */ refs_1 = staticNodeInfo.refTokens;
+                    Object.keys(refs_1).forEach(function (refName) {
+                        var /** @type {?} */ refToken = refs_1[refName];
+                        var /** @type {?} */ varValue;
+                        if (isBlank(refToken)) {
+                            varValue = _this._view.allNodes ? _this._view.allNodes[_this._nodeIndex] : null;
+                        }
+                        else {
+                            varValue = _this._view.injectorGet(refToken, _this._nodeIndex, null);
+                        }
+                        varValues[refName] = varValue;
+                    });
+                }
+                return varValues;
+            },
+            enumerable: true,
+            configurable: true
+        });
+        return DebugContext;
+    }());
+
+    var __extends$17 = (this && this.__extends) || function (d, b) {
+        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+    var /** @type {?} */ _scope_check = wtfCreateScope("AppView#check(ascii id)");
+    /**
+     * @experimental
+     */
+    var /** @type {?} */ EMPTY_CONTEXT = new Object();
+    var /** @type {?} */ UNDEFINED$1 = new Object();
+    /**
+     * Cost of making objects: http://jsperf.com/instantiate-size-of-object
      *
-     * Alternatively, if there are no `offset` values used within the style entries then the offsets
-     * will
-     * be calculated automatically.
+     * @abstract
+     */
+    var AppView = (function () {
+        /**
+         * @param {?} clazz
+         * @param {?} componentType
+         * @param {?} type
+         * @param {?} viewUtils
+         * @param {?} parentView
+         * @param {?} parentIndex
+         * @param {?} parentElement
+         * @param {?} cdMode
+         * @param {?=} declaredViewContainer
+         */
+        function AppView(clazz, componentType, type, viewUtils, parentView, parentIndex, parentElement, cdMode, declaredViewContainer) {
+            if (declaredViewContainer === void 0) { declaredViewContainer = null; }
+            this.clazz = clazz;
+            this.componentType = componentType;
+            this.type = type;
+            this.viewUtils = viewUtils;
+            this.parentView = parentView;
+            this.parentIndex = parentIndex;
+            this.parentElement = parentElement;
+            this.cdMode = cdMode;
+            this.declaredViewContainer = declaredViewContainer;
+            this.numberOfChecks = 0;
+            this.throwOnChange = false;
+            this._errorBoundaryFailed = false;
+            this._errorBoundary = UNDEFINED$1;
+            this._errorBoundaries = null;
+            /**
+             * \@internal
+             * The view containers of the elements of this view.
+             */
+            this._viewContainers = null;
+            this.ref = new ViewRef_(this, viewUtils.animationQueue);
+            if (type === ViewType.COMPONENT && isPresent(parentView)) {
+                // Until its component is known, the view may be the error boundary of the content
+                // children that are created before it.
+                parentView._errorBoundaries = parentView._errorBoundaries || [];
+                parentView._errorBoundaries.push(this);
+            }
+            if (type === ViewType.COMPONENT || type === ViewType.HOST) {
+                this.renderer = viewUtils.renderComponent(componentType);
+            }
+            else {
+                this.renderer = parentView.renderer;
+            }
+            this._directRenderer = this.renderer.directRenderer;
+        }
+        Object.defineProperty(AppView.prototype, "animationContext", {
+            /**
+             * @return {?}
+             */
+            get: function () {
+                if (!this._animationContext) {
+                    this._animationContext = new AnimationViewContext(this.viewUtils.animationQueue);
+                }
+                return this._animationContext;
+            },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(AppView.prototype, "destroyed", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this.cdMode === ChangeDetectorStatus.Destroyed; },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * @param {?} context
+         * @return {?}
+         */
+        AppView.prototype.create = function (context) {
+            this.context = context;
+            if (this.type === ViewType.COMPONENT && isPresent(this.parentView) &&
+                !_isErrorBoundary(context)) {
+                var /** @type {?} */ boundaries = this.parentView._errorBoundaries;
+                // Content children are created before their host, so this is usually the last one.
+                var /** @type {?} */ index = boundaries ? boundaries.lastIndexOf(this) : -1;
+                if (index !== -1) {
+                    boundaries.splice(index, 1);
+                }
+            }
+            return this.createInternal(null);
+        };
+        /**
+         * @param {?} rootSelectorOrNode
+         * @param {?} hostInjector
+         * @param {?} projectableNodes
+         * @return {?}
+         */
+        AppView.prototype.createHostView = function (rootSelectorOrNode, hostInjector, projectableNodes) {
+            this.context = (EMPTY_CONTEXT);
+            this._hasExternalHostElement = isPresent(rootSelectorOrNode);
+            this._hostInjector = hostInjector;
+            this._hostProjectableNodes = projectableNodes;
+            return this.createInternal(rootSelectorOrNode);
+        };
+        /**
+         * Overwritten by implementations.
+         * Returns the ComponentRef for the host element for ViewType.HOST.
+         * @param {?} rootSelectorOrNode
+         * @return {?}
+         */
+        AppView.prototype.createInternal = function (rootSelectorOrNode) { return null; };
+        /**
+         * Overwritten by implementations.
+         * @param {?} templateNodeIndex
+         * @return {?}
+         */
+        AppView.prototype.createEmbeddedViewInternal = function (templateNodeIndex) { return null; };
+        /**
+         * @param {?} lastRootNode
+         * @param {?} allNodes
+         * @param {?} disposables
+         * @return {?}
+         */
+        AppView.prototype.init = function (lastRootNode, allNodes, disposables) {
+            this.lastRootNode = lastRootNode;
+            this.allNodes = allNodes;
+            this.disposables = disposables;
+            if (this.type === ViewType.COMPONENT) {
+                this.dirtyParentQueriesInternal();
+            }
+        };
+        /**
+         * @param {?} token
+         * @param {?} nodeIndex
+         * @param {?=} notFoundValue
+         * @return {?}
+         */
+        AppView.prototype.injectorGet = function (token, nodeIndex, notFoundValue) {
+            var _this = this;
+            if (notFoundValue === void 0) { notFoundValue = THROW_IF_NOT_FOUND; }
+            if (getResolutionTracer()) {
+                return traceLookup(token, this, nodeIndex, function () { return _this._injectorGet(token, nodeIndex, notFoundValue, true); });
+            }
+            return this._injectorGet(token, nodeIndex, notFoundValue, false);
+        };
+        /**
+         * @param {?} token
+         * @param {?} nodeIndex
+         * @param {?} notFoundValue
+         * @param {?} traced
+         * @return {?}
+         */
+        AppView.prototype._injectorGet = function (token, nodeIndex, notFoundValue, traced) {
+            var /** @type {?} */ result = UNDEFINED$1;
+            var /** @type {?} */ view = this;
+            var _loop_1 = function() {
+                if (isPresent(nodeIndex)) {
+                    if (traced) {
+                        var /** @type {?} */ elementView_1 = view;
+                        var /** @type {?} */ elementIndex_1 = nodeIndex;
+                        result = traceLevel('element', stringify(view.clazz) + "#" + nodeIndex, UNDEFINED$1, false, function () { return elementView_1.injectorGetInternal(token, elementIndex_1, UNDEFINED$1); });
+                    }
+                    else {
+                        result = view.injectorGetInternal(token, nodeIndex, UNDEFINED$1);
+                    }
+                }
+                if (result === UNDEFINED$1 && view.type === ViewType.HOST) {
+                    result = view._hostInjector.get(token, notFoundValue);
+                }
+                nodeIndex = view.parentIndex;
+                view = view.parentView;
+            };
+            while (result === UNDEFINED$1) {
+                _loop_1();
+            }
+            return result;
+        };
+        /**
+         * Overwritten by implementations
+         * @param {?} token
+         * @param {?} nodeIndex
+         * @param {?} notFoundResult
+         * @return {?}
+         */
+        AppView.prototype.injectorGetInternal = function (token, nodeIndex, notFoundResult) {
+            return notFoundResult;
+        };
+        /**
+         * @param {?} nodeIndex
+         * @return {?}
+         */
+        AppView.prototype.injector = function (nodeIndex) { return new ElementInjector(this, nodeIndex); };
+        /**
+         * @return {?}
+         */
+        AppView.prototype.detachAndDestroy = function () {
+            if (this.viewContainer) {
+                this.viewContainer.detachView(this.viewContainer.nestedViews.indexOf(this));
+            }
+            else if (this.appRef) {
+                this.appRef.detachView(this.ref);
+            }
+            else if (this._hasExternalHostElement) {
+                this.detach();
+            }
+            this.destroy();
+        };
+        /**
+         * @return {?}
+         */
+        AppView.prototype.destroy = function () {
+            var _this = this;
+            if (this.cdMode === ChangeDetectorStatus.Destroyed) {
+                return;
+            }
+            var /** @type {?} */ hostElement = this.type === ViewType.COMPONENT ? this.parentElement : null;
+            if (this.disposables) {
+                for (var /** @type {?} */ i = 0; i < this.disposables.length; i++) {
+                    this.disposables[i]();
+                }
+            }
+            this.destroyInternal();
+            this.dirtyParentQueriesInternal();
+            if (this._animationContext) {
+                this._animationContext.onAllActiveAnimationsDone(function () { return _this.renderer.destroyView(hostElement, _this.allNodes); });
+            }
+            else {
+                this.renderer.destroyView(hostElement, this.allNodes);
+            }
+            this.cdMode = ChangeDetectorStatus.Destroyed;
+        };
+        /**
+         * Overwritten by implementations
+         * @return {?}
+         */
+        AppView.prototype.destroyInternal = function () { };
+        /**
+         * Overwritten by implementations
+         * @return {?}
+         */
+        AppView.prototype.detachInternal = function () { };
+        /**
+         * @return {?}
+         */
+        AppView.prototype.detach = function () {
+            var _this = this;
+            this.detachInternal();
+            if (this._animationContext) {
+                this._animationContext.onAllActiveAnimationsDone(function () { return _this._renderDetach(); });
+            }
+            else {
+                this._renderDetach();
+            }
+            if (this.declaredViewContainer && this.declaredViewContainer !== this.viewContainer &&
+                this.declaredViewContainer.projectedViews) {
+                var /** @type {?} */ projectedViews = this.declaredViewContainer.projectedViews;
+                var /** @type {?} */ index = projectedViews.indexOf(this);
+                // perf: pop is faster than splice!
+                if (index >= projectedViews.length - 1) {
+                    projectedViews.pop();
+                }
+                else {
+                    projectedViews.splice(index, 1);
+                }
+            }
+            this.appRef = null;
+            this.viewContainer = null;
+            this.dirtyParentQueriesInternal();
+        };
+        /**
+         * @return {?}
+         */
+        AppView.prototype._renderDetach = function () {
+            if (this._directRenderer) {
+                this.visitRootNodesInternal(this._directRenderer.remove, null);
+            }
+            else {
+                this.renderer.detachView(this.flatRootNodes);
+            }
+        };
+        /**
+         * @param {?} appRef
+         * @return {?}
+         */
+        AppView.prototype.attachToAppRef = function (appRef) {
+            if (this.viewContainer) {
+                throw new Error('This view is already attached to a ViewContainer!');
+            }
+            this.appRef = appRef;
+            this.dirtyParentQueriesInternal();
+        };
+        /**
+         * @param {?} viewContainer
+         * @param {?} prevView
+         * @return {?}
+         */
+        AppView.prototype.attachAfter = function (viewContainer, prevView) {
+            if (this.appRef) {
+                throw new Error('This view is already attached directly to the ApplicationRef!');
+            }
+            this._renderAttach(viewContainer, prevView);
+            this.viewContainer = viewContainer;
+            if (this.declaredViewContainer && this.declaredViewContainer !== viewContainer) {
+                if (!this.declaredViewContainer.projectedViews) {
+                    this.declaredViewContainer.projectedViews = [];
+                }
+                this.declaredViewContainer.projectedViews.push(this);
+            }
+            this.dirtyParentQueriesInternal();
+        };
+        /**
+         * @param {?} viewContainer
+         * @param {?} prevView
+         * @return {?}
+         */
+        AppView.prototype.moveAfter = function (viewContainer, prevView) {
+            this._renderAttach(viewContainer, prevView);
+            this.dirtyParentQueriesInternal();
+        };
+        /**
+         * @param {?} viewContainer
+         * @param {?} prevView
+         * @return {?}
+         */
+        AppView.prototype._renderAttach = function (viewContainer, prevView) {
+            var /** @type {?} */ prevNode = prevView ? prevView.lastRootNode : viewContainer.nativeElement;
+            if (this._directRenderer) {
+                var /** @type {?} */ nextSibling = this._directRenderer.nextSibling(prevNode);
+                if (nextSibling) {
+                    this.visitRootNodesInternal(this._directRenderer.insertBefore, nextSibling);
+                }
+                else {
+                    var /** @type {?} */ parentElement = this._directRenderer.parentElement(prevNode);
+                    if (parentElement) {
+                        this.visitRootNodesInternal(this._directRenderer.appendChild, parentElement);
+                    }
+                }
+            }
+            else {
+                this.renderer.attachViewAfter(prevNode, this.flatRootNodes);
+            }
+        };
+        Object.defineProperty(AppView.prototype, "changeDetectorRef", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this.ref; },
+            enumerable: true,
+            configurable: true
+        });
+        Object.defineProperty(AppView.prototype, "flatRootNodes", {
+            /**
+             * @return {?}
+             */
+            get: function () {
+                var /** @type {?} */ nodes = [];
+                this.visitRootNodesInternal(addToArray, nodes);
+                return nodes;
+            },
+            enumerable: true,
+            configurable: true
+        });
+        /**
+         * @param {?} parentElement
+         * @param {?} ngContentIndex
+         * @return {?}
+         */
+        AppView.prototype.projectNodes = function (parentElement, ngContentIndex) {
+            if (this._directRenderer) {
+                this.visitProjectedNodes(ngContentIndex, this._directRenderer.appendChild, parentElement);
+            }
+            else {
+                var /** @type {?} */ nodes = [];
+                this.visitProjectedNodes(ngContentIndex, addToArray, nodes);
+                this.renderer.projectNodes(parentElement, nodes);
+            }
+        };
+        /**
+         * @param {?} ngContentIndex
+         * @param {?} cb
+         * @param {?} c
+         * @return {?}
+         */
+        AppView.prototype.visitProjectedNodes = function (ngContentIndex, cb, c) {
+            switch (this.type) {
+                case ViewType.EMBEDDED:
+                    this.parentView.visitProjectedNodes(ngContentIndex, cb, c);
+                    break;
+                case ViewType.COMPONENT:
+                    if (this.parentView.type === ViewType.HOST) {
+                        var /** @type {?} */ nodes = this.parentView._hostProjectableNodes[ngContentIndex] || [];
+                        for (var /** @type {?} */ i = 0; i < nodes.length; i++) {
+                            cb(nodes[i], c);
+                        }
+                    }
+                    else {
+                        this.parentView.visitProjectableNodesInternal(this.parentIndex, ngContentIndex, cb, c);
+                    }
+                    break;
+            }
+        };
+        /**
+         * Overwritten by implementations
+         * @param {?} cb
+         * @param {?} c
+         * @return {?}
+         */
+        AppView.prototype.visitRootNodesInternal = function (cb, c) { };
+        /**
+         * Overwritten by implementations
+         * @param {?} nodeIndex
+         * @param {?} ngContentIndex
+         * @param {?} cb
+         * @param {?} c
+         * @return {?}
+         */
+        AppView.prototype.visitProjectableNodesInternal = function (nodeIndex, ngContentIndex, cb, c) { };
+        /**
+         * Overwritten by implementations
+         * @return {?}
+         */
+        AppView.prototype.dirtyParentQueriesInternal = function () { };
+        /**
+         * @param {?} throwOnChange
+         * @return {?}
+         */
+        AppView.prototype.internalDetectChanges = function (throwOnChange) {
+            if (this.cdMode === ChangeDetectorStatus.Detached) {
+                return;
+            }
+            var /** @type {?} */ boundary = this._getErrorBoundary();
+            if (boundary) {
+                try {
+                    this.detectChanges(throwOnChange);
+                }
+                catch (e) {
+                    _containError(boundary, e);
+                }
+            }
+            else {
+                this.detectChanges(throwOnChange);
+            }
+        };
+        /**
+         * @param {?} throwOnChange
+         * @return {?}
+         */
+        AppView.prototype.detectChanges = function (throwOnChange) {
+            if (this.cdMode === ChangeDetectorStatus.Checked ||
+                this.cdMode === ChangeDetectorStatus.Errored)
+                return;
+            if (this.cdMode === ChangeDetectorStatus.Destroyed) {
+                this.throwDestroyedError('detectChanges');
+            }
+            // The scope is only entered once the view is really checked, as the returns above would
+            // leave it open in the profiling backend.
+            var /** @type {?} */ s = _scope_check(this.clazz);
+            this.throwOnChange = throwOnChange;
+            var /** @type {?} */ profiler = throwOnChange ? null : getChangeDetectionProfiler();
+            if (profiler) {
+                profiler._enterView(this);
+            }
+            try {
+                this.detectChangesInternal();
+                if (this.cdMode === ChangeDetectorStatus.CheckOnce)
+                    this.cdMode = ChangeDetectorStatus.Checked;
+                this.numberOfChecks++;
+            }
+            finally {
+                // Error boundaries keep the application running after errors, so the scope has to be
+                // left for them as well.
+                if (profiler) {
+                    profiler._leaveView(this);
+                }
+                wtfLeave(s);
+            }
+        };
+        /**
+         * Overwritten by implementations
+         * @return {?}
+         */
+        AppView.prototype.detectChangesInternal = function () { };
+        /**
+         * @return {?}
+         */
+        AppView.prototype.markAsCheckOnce = function () { this.cdMode = ChangeDetectorStatus.CheckOnce; };
+        /**
+         * @return {?}
+         */
+        AppView.prototype.markPathToRootAsCheckOnce = function () {
+            var /** @type {?} */ c = this;
+            while (isPresent(c) && c.cdMode !== ChangeDetectorStatus.Detached) {
+                if (c.cdMode === ChangeDetectorStatus.Checked) {
+                    c.cdMode = ChangeDetectorStatus.CheckOnce;
+                }
+                if (c.type === ViewType.COMPONENT) {
+                    c = c.parentView;
+                }
+                else {
+                    c = c.viewContainer ? c.viewContainer.parentView : null;
+                }
+            }
+        };
+        /**
+         * @param {?} cb
+         * @return {?}
+         */
+        AppView.prototype.eventHandler = function (cb) {
+            var _this = this;
+            var /** @type {?} */ handler = cb;
+            // The components of the content children of this view might not be known yet.
+            if (_findErrorBoundary(this, null, true)) {
+                handler = function (eventName, event) {
+                    try {
+                        return cb.call(_this, eventName, event);
+                    }
+                    catch (e) {
+                        var /** @type {?} */ boundary = _this._getErrorBoundary();
+                        if (!boundary) {
+                            throw e;
+                        }
+                        _containError(boundary, e);
+                        return true;
+                    }
+                };
+            }
+            var /** @type {?} */ noopZone = this.viewUtils.noopZone;
+            // Without Zone.js, running the handler in the zone is what triggers change detection.
+            return noopZone ? function (eventName, event) { return noopZone.runGuarded(function () { return handler(eventName, event); }); } :
+                handler;
+        };
+        /**
+         * Returns the closest component view, starting at this view, whose component implements
+         * `OnViewError`. Once the views are created, it doesn't change anymore.
+         * @return {?}
+         */
+        AppView.prototype._getErrorBoundary = function () {
+            if (this._errorBoundary === UNDEFINED$1) {
+                this._errorBoundary = _findErrorBoundary(this, null, false);
+            }
+            return this._errorBoundary;
+        };
+        /**
+         * Stops checking this component view after `error` was thrown in it or below it, removes
+         * its content and renders the fallback template of the component, if any.
+         * Later errors, e.g. from event handlers of the removed content, are ignored.
+         * @param {?} error
+         * @return {?}
+         */
+        AppView.prototype._failErrorBoundary = function (error) {
+            if (this._errorBoundaryFailed) {
+                return;
+            }
+            var /** @type {?} */ component = this.context;
+            this._errorBoundaryFailed = true;
+            this.cdMode = ChangeDetectorStatus.Errored;
+            this._removeContent();
+            try {
+                var /** @type {?} */ fallback = component.ngOnViewError(error);
+                if (fallback) {
+                    var /** @type {?} */ viewContainer = _findViewContainer(this.parentView, this.parentIndex);
+                    if (!viewContainer) {
+                        throw new Error(stringify(component.constructor) + " needs to inject ViewContainerRef to render a fallback template.");
+                    }
+                    // The view container has already been checked in this turn, so check the
+                    // fallback right away.
+                    viewContainer.vcRef.createEmbeddedView(fallback).detectChanges();
+                }
+            }
+            catch (e) {
+                // Errors of the boundary itself go to the boundary around it.
+                var /** @type {?} */ outer = _findErrorBoundary(this.parentView, this.parentIndex, false);
+                if (!outer) {
+                    throw e;
+                }
+                _containError(outer, e);
+            }
+        };
+        /**
+         * Removes the nodes of this component view from the DOM, together with the embedded views of
+         * its view containers and the nodes projected into it. Unlike other views, component views
+         * have no root nodes that could be detached.
+         * @return {?}
+         */
+        AppView.prototype._removeContent = function () {
+            var _this = this;
+            var /** @type {?} */ nodes = this.allNodes.slice();
+            if (this._viewContainers) {
+                this._viewContainers.forEach(function (viewContainer) { return viewContainer.visitNestedViewRootNodes(addToArray, nodes); });
+            }
+            for (var /** @type {?} */ i = 0; i < this.componentType.slotCount; i++) {
+                this.visitProjectedNodes(i, addToArray, nodes);
+            }
+            if (this._directRenderer) {
+                nodes.forEach(function (node) { return _this._directRenderer.remove(node); });
+            }
+            else {
+                this.renderer.detachView(nodes);
+            }
+        };
+        /**
+         * @param {?} details
+         * @return {?}
+         */
+        AppView.prototype.throwDestroyedError = function (details) { throw new ViewDestroyedError(details); };
+        return AppView;
+    }());
+    /**
+     * @param {?} component
+     * @return {?}
+     */
+    function _isErrorBoundary(component) {
+        return isPresent(component) && typeof component.ngOnViewError === 'function';
+    }
+    /**
+     * Reports `error` to the `ErrorHandler` of the application and lets `boundary` contain it.
+     * @param {?} boundary
+     * @param {?} error
+     * @return {?}
+     */
+    function _containError(boundary, error) {
+        var /** @type {?} */ errorHandler = boundary.viewUtils.errorHandler;
+        if (errorHandler) {
+            try {
+                errorHandler.handleError(error);
+            }
+            catch (e) {
+                // The error is contained even if the handler rethrows it.
+                if (e !== error) {
+                    throw e;
+                }
+            }
+        }
+        boundary._failErrorBoundary(error);
+    }
+    /**
+     * Returns the view container of the element at `nodeIndex` of `view`, or `null`.
+     * @param {?} view
+     * @param {?} nodeIndex
+     * @return {?}
+     */
+    function _findViewContainer(view, nodeIndex) {
+        var /** @type {?} */ viewContainers = view._viewContainers || [];
+        for (var /** @type {?} */ i = 0; i < viewContainers.length; i++) {
+            if (viewContainers[i].index === nodeIndex) {
+                return viewContainers[i];
+            }
+        }
+        return null;
+    }
+    /**
+     * Returns the closest error boundary of the node at `nodeIndex` of `view`, or of `view` itself if
+     * `nodeIndex` is `null`. Like the injector, it follows the element hierarchy, so the components
+     * that content children are projected into are boundaries of them as well.
      *
-     * ```typescript
-     * animate("5s", keyframes([
-     *   style({ backgroundColor: "red" }) // offset = 0
-     *   style({ backgroundColor: "blue" }) // offset = 0.33
-     *   style({ backgroundColor: "orange" }) // offset = 0.66
-     *   style({ backgroundColor: "black" }) // offset = 1
-     * ]))
-     * ```
+     * With `includePending`, component views whose component has not been created yet are returned
+     * as well.
+     * @param {?} view
+     * @param {?} nodeIndex
+     * @param {?} includePending
+     * @return {?}
+     */
+    function _findErrorBoundary(view, nodeIndex, includePending) {
+        while (isPresent(view)) {
+            var /** @type {?} */ boundaries = isPresent(nodeIndex) ? view._errorBoundaries : null;
+            if (boundaries) {
+                // Hosts are created before their content, so the innermost boundary is the last one.
+                for (var /** @type {?} */ i = boundaries.length - 1; i >= 0; i--) {
+                    var /** @type {?} */ boundary = boundaries[i];
+                    if (boundary.parentIndex >= nodeIndex) {
+                        continue;
+                    }
+                    if (isPresent(boundary.context) ?
+                        view.injectorGetInternal(boundary.context.constructor, nodeIndex, UNDEFINED$1) === boundary.context :
+                        includePending) {
+                        return boundary;
+                    }
+                }
+            }
+            if (view.type === ViewType.COMPONENT && _isErrorBoundary(view.context)) {
+                return view;
+            }
+            if (isPresent(view.parentView)) {
+                nodeIndex = view.parentIndex;
+                view = view.parentView;
+            }
+            else if (view.viewContainer) {
+                nodeIndex = view.viewContainer.index;
+                view = view.viewContainer.parentView;
+            }
+            else {
+                view = null;
+            }
+        }
+        return null;
+    }
+    var DebugAppView = (function (_super) {
+        __extends$17(DebugAppView, _super);
+        /**
+         * @param {?} clazz
+         * @param {?} componentType
+         * @param {?} type
+         * @param {?} viewUtils
+         * @param {?} parentView
+         * @param {?} parentIndex
+         * @param {?} parentNode
+         * @param {?} cdMode
+         * @param {?} staticNodeDebugInfos
+         * @param {?=} declaredViewContainer
+         */
+        function DebugAppView(clazz, componentType, type, viewUtils, parentView, parentIndex, parentNode, cdMode, staticNodeDebugInfos, declaredViewContainer) {
+            if (declaredViewContainer === void 0) { declaredViewContainer = null; }
+            _super.call(this, clazz, componentType, type, viewUtils, parentView, parentIndex, parentNode, cdMode, declaredViewContainer);
+            this.staticNodeDebugInfos = staticNodeDebugInfos;
+            this._currentDebugContext = null;
+        }
+        /**
+         * @param {?} context
+         * @return {?}
+         */
+        DebugAppView.prototype.create = function (context) {
+            this._resetDebug();
+            try {
+                return _super.prototype.create.call(this, context);
+            }
+            catch (e) {
+                this._rethrowWithContext(e);
+                throw e;
+            }
+        };
+        /**
+         * @param {?} rootSelectorOrNode
+         * @param {?} injector
+         * @param {?=} projectableNodes
+         * @return {?}
+         */
+        DebugAppView.prototype.createHostView = function (rootSelectorOrNode, injector, projectableNodes) {
+            if (projectableNodes === void 0) { projectableNodes = null; }
+            this._resetDebug();
+            try {
+                return _super.prototype.createHostView.call(this, rootSelectorOrNode, injector, projectableNodes);
+            }
+            catch (e) {
+                this._rethrowWithContext(e);
+                throw e;
+            }
+        };
+        /**
+         * @param {?} token
+         * @param {?} nodeIndex
+         * @param {?=} notFoundResult
+         * @return {?}
+         */
+        DebugAppView.prototype.injectorGet = function (token, nodeIndex, notFoundResult) {
+            this._resetDebug();
+            try {
+                return _super.prototype.injectorGet.call(this, token, nodeIndex, notFoundResult);
+            }
+            catch (e) {
+                this._rethrowWithContext(e);
+                throw e;
+            }
+        };
+        /**
+         * @return {?}
+         */
+        DebugAppView.prototype.detach = function () {
+            this._resetDebug();
+            try {
+                _super.prototype.detach.call(this);
+            }
+            catch (e) {
+                this._rethrowWithContext(e);
+                throw e;
+            }
+        };
+        /**
+         * @return {?}
+         */
+        DebugAppView.prototype.destroy = function () {
+            this._resetDebug();
+            try {
+                _super.prototype.destroy.call(this);
+            }
+            catch (e) {
+                this._rethrowWithContext(e);
+                throw e;
+            }
+        };
+        /**
+         * @param {?} throwOnChange
+         * @return {?}
+         */
+        DebugAppView.prototype.detectChanges = function (throwOnChange) {
+            this._resetDebug();
+            try {
+                _super.prototype.detectChanges.call(this, throwOnChange);
+            }
+            catch (e) {
+                this._rethrowWithContext(e);
+                throw e;
+            }
+        };
+        /**
+         * @return {?}
+         */
+        DebugAppView.prototype._resetDebug = function () { this._currentDebugContext = null; };
+        /**
+         * @param {?} nodeIndex
+         * @param {?} rowNum
+         * @param {?} colNum
+         * @return {?}
+         */
+        DebugAppView.prototype.debug = function (nodeIndex, rowNum, colNum) {
+            return this._currentDebugContext = new DebugContext(this, nodeIndex, rowNum, colNum);
+        };
+        /**
+         * @param {?} e
+         * @return {?}
+         */
+        DebugAppView.prototype._rethrowWithContext = function (e) {
+            if (!(e instanceof ViewWrappedError)) {
+                if (!(e instanceof ExpressionChangedAfterItHasBeenCheckedError)) {
+                    this.cdMode = ChangeDetectorStatus.Errored;
+                }
+                if (isPresent(this._currentDebugContext)) {
+                    throw new ViewWrappedError(e, this._currentDebugContext);
+                }
+            }
+        };
+        /**
+         * @param {?} cb
+         * @return {?}
+         */
+        DebugAppView.prototype.eventHandler = function (cb) {
+            var _this = this;
+            return _super.prototype.eventHandler.call(this, function (eventName, event) {
+                _this._resetDebug();
+                try {
+                    return cb.call(_this, eventName, event);
+                }
+                catch (e) {
+                    _this._rethrowWithContext(e);
+                    throw e;
+                }
+            });
+        };
+        return DebugAppView;
+    }(AppView));
+
+    /**
+     * Walks from `injector` up to the root injector and describes the providers of every level.
      *
-     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
+     * The result only contains strings, booleans and `null`s and can therefore be passed to
+     * `JSON.stringify`. The first level is the given injector, the last one is the root.
      *
-     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
+     * Levels of kind `module` list the providers of the `\@NgModule` metadata of the module and of the
+     * modules it imports. Element levels list the providers of the element, but only in dev mode.
+     * `instantiated` is `null` when it can't be told from the code generated for the level, and
+     * `providers` is `null` for levels of kind `unknown`.
      *
-     * \@experimental Animation support is experimental.
-     * @param {?} steps
+     * \@experimental All debugging apis are currently experimental.
+     * @param {?} injector
      * @return {?}
      */
-    function keyframes(steps) {
-        return new AnimationKeyframesSequenceMetadata(steps);
+    function getInjectorGraph(injector) {
+        var /** @type {?} */ levels = [];
+        var /** @type {?} */ inj = injector;
+        while (inj && inj !== Injector.NULL) {
+            if (inj instanceof ReflectiveInjector_) {
+                levels.push(_describeReflectiveInjector(inj));
+                inj = inj.parent;
+            }
+            else if (inj instanceof NgModuleInjector) {
+                levels.push(_describeModuleInjector(inj));
+                inj = inj.parent;
+            }
+            else if (inj instanceof ElementInjector) {
+                inj = _describeElementInjector(inj, levels);
+            }
+            else {
+                levels.push({ kind: 'unknown', name: stringify(inj.constructor), providers: null });
+                inj = inj.parent instanceof Injector ? inj.parent : null;
+            }
+        }
+        return levels;
     }
     /**
-     * `transition` is an animation-specific function that is designed to be used inside of Angular2's
-     * animation
-     * DSL language. If this information is new, please navigate to the
-     * {\@link Component#animations-anchor component animations metadata
-     * page} to gain a better understanding of how animations in Angular2 are used.
-     *
-     * `transition` declares the {\@link sequence sequence of animation steps} that will be run when the
-     * provided
-     * `stateChangeExpr` value is satisfied. The `stateChangeExpr` consists of a `state1 => state2`
-     * which consists
-     * of two known states (use an asterix (`*`) to refer to a dynamic starting and/or ending state).
-     *
-     * A function can also be provided as the `stateChangeExpr` argument for a transition and this
-     * function will be executed each time a state change occurs. If the value returned within the
-     * function is true then the associated animation will be run.
-     *
-     * Animation transitions are placed within an {\@link trigger animation trigger}. For an transition
-     * to animate to
-     * a state value and persist its styles then one or more {\@link state animation states} is expected
-     * to be defined.
-     *
-     * ### Usage
-     *
-     * An animation transition is kicked off the `stateChangeExpr` predicate evaluates to true based on
-     * what the
-     * previous state is and what the current state has become. In other words, if a transition is
-     * defined that
-     * matches the old/current state criteria then the associated animation will be triggered.
-     *
-     * ```typescript
-     * // all transition/state changes are defined within an animation trigger
-     * trigger("myAnimationTrigger", [
-     *   // if a state is defined then its styles will be persisted when the
-     *   // animation has fully completed itself
-     *   state("on", style({ background: "green" })),
-     *   state("off", style({ background: "grey" })),
-     *
-     *   // a transition animation that will be kicked off when the state value
-     *   // bound to "myAnimationTrigger" changes from "on" to "off"
-     *   transition("on => off", animate(500)),
-     *
-     *   // it is also possible to do run the same animation for both directions
-     *   transition("on <=> off", animate(500)),
-     *
-     *   // or to define multiple states pairs separated by commas
-     *   transition("on => off, off => void", animate(500)),
-     *
-     *   // this is a catch-all state change for when an element is inserted into
-     *   // the page and the destination state is unknown
-     *   transition("void => *", [
-     *     style({ opacity: 0 }),
-     *     animate(500)
-     *   ]),
-     *
-     *   // this will capture a state change between any states
-     *   transition("* => *", animate("1s 0s")),
-     *
-     *   // you can also go full out and include a function
-     *   transition((fromState, toState) => {
-     *     // when `true` then it will allow the animation below to be invoked
-     *     return fromState == "off" && toState == "on";
-     *   }, animate("1s 0s"))
-     * ])
-     * ```
-     *
-     * The template associated with this component will make use of the `myAnimationTrigger`
-     * animation trigger by binding to an element within its template code.
-     *
-     * ```html
-     * <!-- somewhere inside of my-component-tpl.html -->
-     * <div [\@myAnimationTrigger]="myStatusExp">...</div>
-     * ```
-     *
-     * #### The final `animate` call
-     *
-     * If the final step within the transition steps is a call to `animate()` that **only**
-     * uses a timing value with **no style data** then it will be automatically used as the final
-     * animation
-     * arc for the element to animate itself to the final state. This involves an automatic mix of
-     * adding/removing CSS styles so that the element will be in the exact state it should be for the
-     * applied state to be presented correctly.
-     *
-     * ```
-     * // start off by hiding the element, but make sure that it animates properly to whatever state
-     * // is currently active for "myAnimationTrigger"
-     * transition("void => *", [
-     *   style({ opacity: 0 }),
-     *   animate(500)
-     * ])
-     * ```
-     *
-     * ### Transition Aliases (`:enter` and `:leave`)
-     *
-     * Given that enter (insertion) and leave (removal) animations are so common,
-     * the `transition` function accepts both `:enter` and `:leave` values which
-     * are aliases for the `void => *` and `* => void` state changes.
-     *
-     * ```
-     * transition(":enter", [
-     *   style({ opacity: 0 }),
-     *   animate(500, style({ opacity: 1 }))
-     * ])
-     * transition(":leave", [
-     *   animate(500, style({ opacity: 0 }))
-     * ])
-     * ```
-     *
-     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
-     *
-     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
-     *
-     * \@experimental Animation support is experimental.
-     * @param {?} stateChangeExpr
-     * @param {?} steps
+     * @param {?} inj
+     * @return {?}
+     */
+    function _describeReflectiveInjector(inj) {
+        var /** @type {?} */ providers = [];
+        for (var /** @type {?} */ i = 0; i < inj._proto.numberOfProviders; i++) {
+            var /** @type {?} */ provider = inj._proto.getProviderAtIndex(i);
+            providers.push({
+                token: provider.key.displayName,
+                multi: !!provider.multiProvider,
+                instantiated: inj._isInstantiatedAt(i)
+            });
+        }
+        return { kind: 'reflective', name: 'ReflectiveInjector', providers: providers };
+    }
+    /**
+     * @param {?} inj
+     * @return {?}
+     */
+    function _describeModuleInjector(inj) {
+        var /** @type {?} */ moduleType = inj.instance ? inj.instance.constructor : null;
+        if (!moduleType) {
+            return { kind: 'module', name: 'NgModule', providers: [] };
+        }
+        var /** @type {?} */ providersByToken = new Map();
+        _addProviders(getModuleProviders(moduleType), providersByToken);
+        var /** @type {?} */ providers = [];
+        providersByToken.forEach(function (provider, token) {
+            // Scoped providers are created by a ReflectiveInjector for each lookup.
+            var /** @type {?} */ instantiated = provider.scope ? null : _isInstantiated(inj, NgModuleInjector, "_" + _fieldName(token) + "_");
+            providers.push({ token: stringify(token), multi: !!provider.multi, instantiated: instantiated });
+        });
+        return { kind: 'module', name: stringify(moduleType), providers: providers };
+    }
+    /**
+     * Adds a level for every element between the given element and its host view and
+     * returns the injector the host view was created with.
+     * @param {?} inj
+     * @param {?} levels
+     * @return {?}
+     */
+    function _describeElementInjector(inj, levels) {
+        var /** @type {?} */ view = inj._view;
+        var /** @type {?} */ nodeIndex = inj._nodeIndex;
+        if (!(view instanceof AppView)) {
+            levels.push({ kind: 'unknown', name: stringify(inj.constructor), providers: null });
+            return null;
+        }
+        while (view) {
+            if (nodeIndex != null) {
+                levels.push(_describeElement(view, nodeIndex));
+            }
+            if (view.type === ViewType.HOST) {
+                return view._hostInjector || null;
+            }
+            nodeIndex = view.parentIndex;
+            view = view.parentView;
+        }
+        return null;
+    }
+    /**
+     * @param {?} view
+     * @param {?} nodeIndex
      * @return {?}
      */
-    function transition(stateChangeExpr, steps) {
-        var /** @type {?} */ animationData = Array.isArray(steps) ? new AnimationSequenceMetadata(steps) : steps;
-        return new AnimationStateTransitionMetadata(stateChangeExpr, animationData);
+    function _describeElement(view, nodeIndex) {
+        var /** @type {?} */ debugInfo = view.staticNodeDebugInfos ? view.staticNodeDebugInfos[nodeIndex] : null;
+        var /** @type {?} */ tokens = debugInfo ? debugInfo.providerTokens : [];
+        var /** @type {?} */ multiTokens = _multiTokensOfDirectives(tokens);
+        return {
+            kind: 'element',
+            name: stringify(view.clazz) + "#" + nodeIndex,
+            providers: tokens.map(function (token) { return ({
+                token: stringify(token),
+                multi: multiTokens.has(token),
+                instantiated: _isInstantiated(view, AppView, "_" + _fieldName(token) + "_" + nodeIndex + "_")
+            }); })
+        };
     }
     /**
-     * `trigger` is an animation-specific function that is designed to be used inside of Angular2's
-     * animation
-     * DSL language. If this information is new, please navigate to the
-     * {\@link Component#animations-anchor component animations metadata
-     * page} to gain a better understanding of how animations in Angular2 are used.
-     *
-     * `trigger` Creates an animation trigger which will a list of {\@link state state} and {\@link
-     * transition transition}
-     * entries that will be evaluated when the expression bound to the trigger changes.
+     * Returns the tokens of the multi providers that the directives among `tokens` declare in their
+     * `providers` and `viewProviders`.
+     * @param {?} tokens
+     * @return {?}
+     */
+    function _multiTokensOfDirectives(tokens) {
+        var /** @type {?} */ multiTokens = new Set();
+        tokens.forEach(function (token) {
+            if (!(token instanceof Type)) {
+                return;
+            }
+            reflector.annotations(token).forEach(function (annotation) {
+                var /** @type {?} */ providersByToken = new Map();
+                if (annotation instanceof Directive) {
+                    _addProviders(annotation.providers || [], providersByToken);
+                }
+                if (annotation instanceof Component) {
+                    _addProviders(annotation.viewProviders || [], providersByToken);
+                }
+                providersByToken.forEach(function (provider, providerToken) {
+                    if (provider.multi) {
+                        multiTokens.add(providerToken);
+                    }
+                });
+            });
+        });
+        return multiTokens;
+    }
+    /**
+     * Flattens `providers` into a map from token to the last provider declared for it.
+     * @param {?} providers
+     * @param {?} providersByToken
+     * @return {?}
+     */
+    function _addProviders(providers, providersByToken) {
+        providers.forEach(function (provider) {
+            if (Array.isArray(provider)) {
+                _addProviders(provider, providersByToken);
+            }
+            else if (provider instanceof Type) {
+                providersByToken.set(provider, { provide: provider, useClass: provider });
+            }
+            else if (provider && provider.provide !== undefined) {
+                providersByToken.set(resolveForwardRef(provider.provide), provider);
+            }
+        });
+    }
+    /**
+     * The compiler stores every provider of a view or module in a field whose name starts with the
+     * given prefix, built from the token, and ends with a counter. Eager providers are assigned to the
+     * field when the view or module is created. Lazy ones are created by a getter of that name, which
+     * stores them in a field with an additional `_` in front.
      *
-     * Triggers are registered within the component annotation data under the
-     * {\@link Component#animations-anchor animations section}. An animation trigger can
-     * be placed on an element within a template by referencing the name of the
-     * trigger followed by the expression value that the trigger is bound to
-     * (in the form of `[\@triggerName]="expression"`.
+     * Returns `null` if no such field exists, e.g. for tokens without a name.
+     * @param {?} target
+     * @param {?} baseClass
+     * @param {?} prefix
+     * @return {?}
+     */
+    function _isInstantiated(target, baseClass, prefix) {
+        var /** @type {?} */ isField = function (name) { return name.startsWith(prefix) && /^\d+$/.test(name.slice(prefix.length)); };
+        for (var /** @type {?} */ proto = Object.getPrototypeOf(target); proto && proto !== baseClass.prototype; proto = Object.getPrototypeOf(proto)) {
+            var /** @type {?} */ getter = Object.getOwnPropertyNames(proto).find(isField);
+            if (getter) {
+                return target['_' + getter] != null;
+            }
+        }
+        var /** @type {?} */ field = Object.keys(target).find(isField);
+        return field ? target[field] != null : null;
+    }
+    /**
+     * @param {?} token
+     * @return {?}
+     */
+    function _fieldName(token) {
+        return stringify(token).replace(/\W/g, '_');
+    }
+
+    /**
+     * @return {?}
+     */
+    function _reflector() {
+        return reflector;
+    }
+    var /** @type {?} */ _CORE_PLATFORM_PROVIDERS = [
+        PlatformRef_,
+        { provide: PlatformRef, useExisting: PlatformRef_ },
+        { provide: Reflector, useFactory: _reflector, deps: [] },
+        { provide: ReflectorReader, useExisting: Reflector },
+        TestabilityRegistry,
+        Console,
+    ];
+    /**
+     * This platform has to be included in any other platform
      *
-     * ### Usage
+     * @experimental
+     */
+    var /** @type {?} */ platformCore = createPlatformFactory(null, 'core', _CORE_PLATFORM_PROVIDERS);
+
+    var /** @type {?} */ _DEFAULT_TIMEOUT = 10000;
+    /**
+     * Renders a module on the server and resolves with the HTML of the document once the
+     * application is stable.
+     *
+     * A new platform is created via `platformFactory` with a {\@link MemoryRootRenderer} as
+     * provider, and `moduleFactory` is bootstrapped on it. The module has to render with that
+     * renderer, e.g. by providing `{provide: RootRenderer, useExisting: MemoryRootRenderer}`. Root
+     * components whose selector is a tag name are added to the `body` of the document if they are
+     * missing. Rendering waits until the `NgZone` of the application is stable and its
+     * {\@link Testability} has no pending requests, but not longer than `options.timeout`. The
+     * styles of the rendered components are added to the `head` of the document with an
+     * `ng-transition` attribute, so that hydration can remove them once the client has added its
+     * own, and the module and the platform are destroyed afterwards. Several modules can be
+     * rendered at the same time, as the platform doesn't prevent other platforms from being
+     * created.
      *
-     * `trigger` will create an animation trigger reference based on the provided `name` value.
-     * The provided `animation` value is expected to be an array consisting of {\@link state state} and
-     * {\@link transition transition}
-     * declarations.
+     * ### Example
      *
      * ```typescript
-     * \@Component({
-     *   selector: 'my-component',
-     *   templateUrl: 'my-component-tpl.html',
-     *   animations: [
-     *     trigger("myAnimationTrigger", [
-     *       state(...),
-     *       state(...),
-     *       transition(...),
-     *       transition(...)
-     *     ])
-     *   ]
-     * })
-     * class MyComponent {
-     *   myStatusExp = "something";
-     * }
-     * ```
-     *
-     * The template associated with this component will make use of the `myAnimationTrigger`
-     * animation trigger by binding to an element within its template code.
-     *
-     * ```html
-     * <!-- somewhere inside of my-component-tpl.html -->
-     * <div [\@myAnimationTrigger]="myStatusExp">...</div>
+     * renderModuleToString(platformServer, AppServerModuleNgFactory, {timeout: 5000})
+     *     .then(html => response.send(html));
      * ```
      *
-     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
-     *
-     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
-     *
-     * \@experimental Animation support is experimental.
-     * @param {?} name
-     * @param {?} animation
+     * \@experimental
+     * @param {?} platformFactory
+     * @param {?} moduleFactory
+     * @param {?=} options
      * @return {?}
      */
-    function trigger(name, animation) {
-        return new AnimationEntryMetadata(name, animation);
+    function renderModuleToString(platformFactory, moduleFactory, options) {
+        if (options === void 0) { options = {}; }
+        var /** @type {?} */ chunks = [];
+        return _renderModule(platformFactory, moduleFactory, options, function (chunk) { return chunks.push(chunk); }, false)
+            .then(function () { return chunks.join(''); });
     }
-
     /**
-     * @param {?} previousStyles
-     * @param {?} newStyles
-     * @param {?=} nullValue
+     * Renders a module like {\@link renderModuleToString}, but emits the HTML in chunks.
+     *
+     * Everything before the first root component is emitted as soon as the module is bootstrapped,
+     * so that clients can start to load the resources in the `head`. The root components and the
+     * rest of the document follow once the application is stable, with every child of a root
+     * component emitted as soon as it is serialized. The rendering starts when the observable is
+     * subscribed to.
+     *
+     * \@experimental
+     * @param {?} platformFactory
+     * @param {?} moduleFactory
+     * @param {?=} options
      * @return {?}
      */
-    function prepareFinalAnimationStyles(previousStyles, newStyles, nullValue) {
-        if (nullValue === void 0) { nullValue = null; }
-        var /** @type {?} */ finalStyles = {};
-        Object.keys(newStyles).forEach(function (prop) {
-            var /** @type {?} */ value = newStyles[prop];
-            finalStyles[prop] = value == AUTO_STYLE ? nullValue : value.toString();
-        });
-        Object.keys(previousStyles).forEach(function (prop) {
-            if (!isPresent(finalStyles[prop])) {
-                finalStyles[prop] = nullValue;
-            }
+    function renderModuleToStream(platformFactory, moduleFactory, options) {
+        if (options === void 0) { options = {}; }
+        return new rxjs_Observable.Observable(function (subscriber) {
+            _renderModule(platformFactory, moduleFactory, options, function (chunk) { return subscriber.next(chunk); }, true)
+                .then(function () { return subscriber.complete(); }, function (error) { return subscriber.error(error); });
         });
-        return finalStyles;
     }
     /**
-     * @param {?} collectedStyles
-     * @param {?} finalStateStyles
-     * @param {?} keyframes
+     * @param {?} platformFactory
+     * @param {?} moduleFactory
+     * @param {?} options
+     * @param {?} write
+     * @param {?} flushEarly
      * @return {?}
      */
-    function balanceAnimationKeyframes(collectedStyles, finalStateStyles, keyframes) {
-        var /** @type {?} */ limit = keyframes.length - 1;
-        var /** @type {?} */ firstKeyframe = keyframes[0];
-        // phase 1: copy all the styles from the first keyframe into the lookup map
-        var /** @type {?} */ flatenedFirstKeyframeStyles = flattenStyles(firstKeyframe.styles.styles);
-        var /** @type {?} */ extraFirstKeyframeStyles = {};
-        var /** @type {?} */ hasExtraFirstStyles = false;
-        Object.keys(collectedStyles).forEach(function (prop) {
-            var /** @type {?} */ value = (collectedStyles[prop]);
-            // if the style is already defined in the first keyframe then
-            // we do not replace it.
-            if (!flatenedFirstKeyframeStyles[prop]) {
-                flatenedFirstKeyframeStyles[prop] = value;
-                extraFirstKeyframeStyles[prop] = value;
-                hasExtraFirstStyles = true;
+    function _renderModule(platformFactory, moduleFactory, options, write, flushEarly) {
+        var /** @type {?} */ document = options.document || _createDocument();
+        var /** @type {?} */ rootRenderer = new MemoryRootRenderer(options.appId || null);
+        rootRenderer.document = document;
+        rootRenderer.rootElementContainer = document.querySelector('body') || document;
+        var /** @type {?} */ platform;
+        try {
+            // Every render has a platform of its own, so that several modules can be rendered at once.
+            platform = platformFactory([
+                { provide: ALLOW_MULTIPLE_PLATFORMS, useValue: true },
+                { provide: MemoryRootRenderer, useValue: rootRenderer }
+            ].concat(options.extraProviders || []));
+        }
+        catch (error) {
+            return Promise.reject(error);
+        }
+        var /** @type {?} */ moduleRef = null;
+        // The module is destroyed before the platform, so that the `ngOnDestroy` hooks of its
+        // components and providers run, e.g. to stop their timers. The platform is destroyed even if
+        // that fails.
+        var /** @type {?} */ destroy = function () {
+            try {
+                if (moduleRef) {
+                    moduleRef.destroy();
+                }
             }
-        });
-        var /** @type {?} */ keyframeCollectedStyles = StringMapWrapper.merge({}, flatenedFirstKeyframeStyles);
-        // phase 2: normalize the final keyframe
-        var /** @type {?} */ finalKeyframe = keyframes[limit];
-        finalKeyframe.styles.styles.unshift(finalStateStyles);
-        var /** @type {?} */ flatenedFinalKeyframeStyles = flattenStyles(finalKeyframe.styles.styles);
-        var /** @type {?} */ extraFinalKeyframeStyles = {};
-        var /** @type {?} */ hasExtraFinalStyles = false;
-        Object.keys(keyframeCollectedStyles).forEach(function (prop) {
-            if (!isPresent(flatenedFinalKeyframeStyles[prop])) {
-                extraFinalKeyframeStyles[prop] = AUTO_STYLE;
-                hasExtraFinalStyles = true;
+            finally {
+                if (!platform.destroyed) {
+                    platform.destroy();
+                }
+            }
+        };
+        return platform.bootstrapModuleFactory(moduleFactory, options)
+            .then(function (ref) {
+            moduleRef = ref;
+            var /** @type {?} */ rootElements = moduleRef.injector.get(ApplicationRef).components.map(function (componentRef) { return componentRef.location.nativeElement; });
+            if (rootElements.some(function (element) { return !_contains(document, element); })) {
+                throw new Error('The root components were not rendered into the document. ' +
+                    'Provide {provide: RootRenderer, useExisting: MemoryRootRenderer} in the module.');
+            }
+            var /** @type {?} */ chunks = null;
+            var /** @type {?} */ styleCount = 0;
+            if (flushEarly) {
+                // Only the markup around the root elements is serialized now; their content is
+                // serialized once the application is stable.
+                styleCount = _addStyles(document, rootRenderer.styles, options.appId);
+                chunks = [];
+                _splitAtElements(document, rootElements, chunks);
+                while (chunks.length && typeof chunks[0] === 'string') {
+                    write(chunks.shift());
+                }
             }
+            return _whenStable(moduleRef, isPresent(options.timeout) ? options.timeout : _DEFAULT_TIMEOUT)
+                .then(function () {
+                if (!chunks) {
+                    _addStyles(document, rootRenderer.styles, options.appId);
+                    write(document.outerHTML);
+                    return;
+                }
+                // Styles of components created while waiting can't go into the `head` anymore.
+                var /** @type {?} */ lateStyles = rootRenderer.styles.slice(styleCount);
+                if (lateStyles.length) {
+                    write(lateStyles.map(function (style) { return _createStyle(style, options.appId).outerHTML; }).join(''));
+                }
+                chunks.forEach(function (chunk) { return typeof chunk === 'string' ? write(chunk) : _writeChildren(chunk, write); });
+            });
+        })
+            .then(destroy, function (error) {
+            destroy();
+            throw error;
         });
-        if (hasExtraFinalStyles) {
-            finalKeyframe.styles.styles.push(extraFinalKeyframeStyles);
+    }
+    /**
+     * Resolves once the application is stable or `timeout` has passed, and warns about the pending
+     * work in the latter case.
+     * @param {?} moduleRef
+     * @param {?} timeout
+     * @return {?}
+     */
+    function _whenStable(moduleRef, timeout) {
+        var /** @type {?} */ zone = moduleRef.injector.get(NgZone);
+        var /** @type {?} */ testability = moduleRef.injector.get(Testability, null) || new Testability(zone);
+        // A new `Testability` only learns about the zone on its next `onStable`.
+        var /** @type {?} */ zoneStable = zone.isStable ?
+            Promise.resolve(null) :
+            new Promise(function (resolve) {
+                var /** @type {?} */ subscription = zone.onStable.subscribe(function () {
+                    subscription.unsubscribe();
+                    resolve(null);
+                });
+            });
+        return zoneStable.then(function () { return new Promise(function (resolve) {
+            testability.whenStable(function (didWork, pendingWork) {
+                if (pendingWork) {
+                    moduleRef.injector.get(Console).warn(pendingWork.description + " Rendering the current state.");
+                }
+                resolve(null);
+            }, timeout);
+        }); });
+    }
+    /**
+     * Splits the markup of `node` into strings and the elements of `elements`, which are
+     * serialized later.
+     * @param {?} node
+     * @param {?} elements
+     * @param {?} chunks
+     * @return {?}
+     */
+    function _splitAtElements(node, elements, chunks) {
+        if (elements.indexOf(node) !== -1) {
+            chunks.push(node);
         }
-        Object.keys(flatenedFinalKeyframeStyles).forEach(function (prop) {
-            if (!isPresent(flatenedFirstKeyframeStyles[prop])) {
-                extraFirstKeyframeStyles[prop] = AUTO_STYLE;
-                hasExtraFirstStyles = true;
+        else if (node instanceof MemoryElement &&
+            elements.some(function (element) { return _contains(node, element); })) {
+            _appendChunk(chunks, node._openTag());
+            node.childNodes.forEach(function (child) { return _splitAtElements(child, elements, chunks); });
+            _appendChunk(chunks, node._closeTag());
+        }
+        else {
+            _appendChunk(chunks, node.outerHTML);
+        }
+    }
+    /**
+     * Writes the markup of `element` in one chunk per child, so that the first children can be sent
+     * before the last ones are serialized.
+     * @param {?} element
+     * @param {?} write
+     * @return {?}
+     */
+    function _writeChildren(element, write) {
+        write(element._openTag());
+        for (var /** @type {?} */ i = 0; i < element.childNodes.length; i++) {
+            write(element._childHTML(i));
+        }
+        write(element._closeTag());
+    }
+    /**
+     * @param {?} chunks
+     * @param {?} markup
+     * @return {?}
+     */
+    function _appendChunk(chunks, markup) {
+        if (!markup) {
+            return;
+        }
+        if (typeof chunks[chunks.length - 1] === 'string') {
+            chunks[chunks.length - 1] += markup;
+        }
+        else {
+            chunks.push(markup);
+        }
+    }
+    /**
+     * @param {?} ancestor
+     * @param {?} node
+     * @return {?}
+     */
+    function _contains(ancestor, node) {
+        for (; node; node = node.parentNode) {
+            if (node === ancestor) {
+                return true;
             }
-        });
-        if (hasExtraFirstStyles) {
-            firstKeyframe.styles.styles.push(extraFirstKeyframeStyles);
         }
-        collectAndResolveStyles(collectedStyles, [finalStateStyles]);
-        return keyframes;
+        return false;
     }
     /**
-     * @param {?} styles
      * @return {?}
      */
-    function clearStyles(styles) {
-        var /** @type {?} */ finalStyles = {};
-        Object.keys(styles).forEach(function (key) { finalStyles[key] = null; });
-        return finalStyles;
+    function _createDocument() {
+        var /** @type {?} */ document = new MemoryElement('#document');
+        var /** @type {?} */ html = document.appendChild(new MemoryElement('html'));
+        html.appendChild(new MemoryElement('head'));
+        html.appendChild(new MemoryElement('body'));
+        return document;
     }
     /**
-     * @param {?} collection
+     * Adds `style` elements for `styles` to the `head` of `document`, if it has one, and returns
+     * how many were added.
+     * @param {?} document
      * @param {?} styles
+     * @param {?} appId
      * @return {?}
      */
-    function collectAndResolveStyles(collection, styles) {
-        return styles.map(function (entry) {
-            var /** @type {?} */ stylesObj = {};
-            Object.keys(entry).forEach(function (prop) {
-                var /** @type {?} */ value = entry[prop];
-                if (value == FILL_STYLE_FLAG) {
-                    value = collection[prop];
-                    if (!isPresent(value)) {
-                        value = AUTO_STYLE;
-                    }
-                }
-                collection[prop] = value;
-                stylesObj[prop] = value;
-            });
-            return stylesObj;
-        });
+    function _addStyles(document, styles, appId) {
+        var /** @type {?} */ head = document.querySelector('head');
+        if (!head) {
+            return 0;
+        }
+        styles.forEach(function (style) { return head.appendChild(_createStyle(style, appId)); });
+        return styles.length;
+    }
+    /**
+     * @param {?} style
+     * @param {?} appId
+     * @return {?}
+     */
+    function _createStyle(style, appId) {
+        var /** @type {?} */ element = new MemoryElement('style');
+        element.setAttribute('ng-transition', appId || '');
+        element.appendChild(new MemoryText(style));
+        return element;
     }
+
+    /**
+     * @experimental i18n support is experimental.
+     */
+    var /** @type {?} */ LOCALE_ID = new OpaqueToken('LocaleId');
+    /**
+     * @experimental i18n support is experimental.
+     */
+    var /** @type {?} */ TRANSLATIONS = new OpaqueToken('Translations');
+    /**
+     * @experimental i18n support is experimental.
+     */
+    var /** @type {?} */ TRANSLATIONS_FORMAT = new OpaqueToken('TranslationsFormat');
+
     /**
-     * @param {?} element
-     * @param {?} renderer
-     * @param {?} styles
      * @return {?}
      */
-    function renderStyles(element, renderer, styles) {
-        Object.keys(styles).forEach(function (prop) { renderer.setElementStyle(element, prop, styles[prop]); });
+    function _iterableDiffersFactory() {
+        return defaultIterableDiffers;
     }
     /**
-     * @param {?} styles
      * @return {?}
      */
-    function flattenStyles(styles) {
-        var /** @type {?} */ finalStyles = {};
-        styles.forEach(function (entry) {
-            Object.keys(entry).forEach(function (prop) { finalStyles[prop] = (entry[prop]); });
-        });
-        return finalStyles;
+    function _keyValueDiffersFactory() {
+        return defaultKeyValueDiffers;
     }
-
     /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
+     * @param {?=} locale
+     * @return {?}
      */
-    var AnimationStyles = (function () {
-        /**
-         * @param {?} styles
-         */
-        function AnimationStyles(styles) {
-            this.styles = styles;
-        }
-        return AnimationStyles;
-    }());
-
+    function _localeFactory(locale) {
+        return locale || 'en-US';
+    }
     /**
-     * An instance of this class is returned as an event parameter when an animation
-     * callback is captured for an animation either during the start or done phase.
-     *
-     * ```typescript
-     * \@Component({
-     *   host: {
-     *     '[\@myAnimationTrigger]': 'someExpression',
-     *     '(\@myAnimationTrigger.start)': 'captureStartEvent($event)',
-     *     '(\@myAnimationTrigger.done)': 'captureDoneEvent($event)',
-     *   },
-     *   animations: [
-     *     trigger("myAnimationTrigger", [
-     *        // ...
-     *     ])
-     *   ]
-     * })
-     * class MyComponent {
-     *   someExpression: any = false;
-     *   captureStartEvent(event: AnimationTransitionEvent) {
-     *     // the toState, fromState and totalTime data is accessible from the event variable
-     *   }
-     *
-     *   captureDoneEvent(event: AnimationTransitionEvent) {
-     *     // the toState, fromState and totalTime data is accessible from the event variable
-     *   }
-     * }
-     * ```
+     * This module includes the providers of \@angular/core that are needed
+     * to bootstrap components via `ApplicationRef`.
      *
-     * \@experimental Animation support is experimental.
+     * \@experimental
      */
-    var AnimationTransitionEvent = (function () {
-        /**
-         * @param {?} __0
-         */
-        function AnimationTransitionEvent(_a) {
-            var fromState = _a.fromState, toState = _a.toState, totalTime = _a.totalTime, phaseName = _a.phaseName, element = _a.element, triggerName = _a.triggerName;
-            this.fromState = fromState;
-            this.toState = toState;
-            this.totalTime = totalTime;
-            this.phaseName = phaseName;
-            this.element = new ElementRef(element);
-            this.triggerName = triggerName;
-        }
-        return AnimationTransitionEvent;
-    }());
-
-    var AnimationTransition = (function () {
-        /**
-         * @param {?} _player
-         * @param {?} _element
-         * @param {?} _triggerName
-         * @param {?} _fromState
-         * @param {?} _toState
-         * @param {?} _totalTime
-         */
-        function AnimationTransition(_player, _element, _triggerName, _fromState, _toState, _totalTime) {
-            this._player = _player;
-            this._element = _element;
-            this._triggerName = _triggerName;
-            this._fromState = _fromState;
-            this._toState = _toState;
-            this._totalTime = _totalTime;
-        }
-        /**
-         * @param {?} phaseName
-         * @return {?}
-         */
-        AnimationTransition.prototype._createEvent = function (phaseName) {
-            return new AnimationTransitionEvent({
-                fromState: this._fromState,
-                toState: this._toState,
-                totalTime: this._totalTime,
-                phaseName: phaseName,
-                element: this._element,
-                triggerName: this._triggerName
-            });
-        };
-        /**
-         * @param {?} callback
-         * @return {?}
-         */
-        AnimationTransition.prototype.onStart = function (callback) {
-            var _this = this;
-            var /** @type {?} */ fn = (Zone.current.wrap(function () { return callback(_this._createEvent('start')); }, 'player.onStart'));
-            this._player.onStart(fn);
-        };
-        /**
-         * @param {?} callback
-         * @return {?}
-         */
-        AnimationTransition.prototype.onDone = function (callback) {
-            var _this = this;
-            var /** @type {?} */ fn = (Zone.current.wrap(function () { return callback(_this._createEvent('done')); }, 'player.onDone'));
-            this._player.onDone(fn);
-        };
-        return AnimationTransition;
-    }());
-
-    var DebugDomRootRenderer = (function () {
-        /**
-         * @param {?} _delegate
-         */
-        function DebugDomRootRenderer(_delegate) {
-            this._delegate = _delegate;
-        }
-        /**
-         * @param {?} componentProto
-         * @return {?}
-         */
-        DebugDomRootRenderer.prototype.renderComponent = function (componentProto) {
-            return new DebugDomRenderer(this._delegate.renderComponent(componentProto));
-        };
-        return DebugDomRootRenderer;
-    }());
-    var DebugDomRenderer = (function () {
-        /**
-         * @param {?} _delegate
-         */
-        function DebugDomRenderer(_delegate) {
-            this._delegate = _delegate;
+    var ApplicationModule = (function () {
+        function ApplicationModule() {
         }
+        ApplicationModule.decorators = [
+            { type: NgModule, args: [{
+                        providers: [
+                            ApplicationRef_,
+                            { provide: ApplicationRef, useExisting: ApplicationRef_ },
+                            ApplicationInitStatus,
+                            Compiler,
+                            APP_ID_RANDOM_PROVIDER,
+                            ViewUtils,
+                            AnimationQueue,
+                            { provide: IterableDiffers, useFactory: _iterableDiffersFactory },
+                            { provide: KeyValueDiffers, useFactory: _keyValueDiffersFactory },
+                            {
+                                provide: LOCALE_ID,
+                                useFactory: _localeFactory,
+                                deps: [[new Inject(LOCALE_ID), new Optional(), new SkipSelf()]]
+                            },
+                        ]
+                    },] },
+        ];
+        /** @nocollapse */
+        ApplicationModule.ctorParameters = function () { return []; };
+        return ApplicationModule;
+    }());
+
+    /**
+     * @license
+     * Copyright Google Inc. All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    var /** @type {?} */ FILL_STYLE_FLAG = 'true'; // TODO (matsko): change to boolean
+    var /** @type {?} */ ANY_STATE = '*';
+    var /** @type {?} */ DEFAULT_STATE = '*';
+    var /** @type {?} */ EMPTY_STATE = 'void';
+
+    /**
+     * @license
+     * Copyright Google Inc. All Rights Reserved.
+     *
+     * Use of this source code is governed by an MIT-style license that can be
+     * found in the LICENSE file at https://angular.io/license
+     */
+    var AnimationKeyframe = (function () {
         /**
-         * @param {?} selectorOrNode
-         * @param {?=} debugInfo
-         * @return {?}
-         */
-        DebugDomRenderer.prototype.selectRootElement = function (selectorOrNode, debugInfo) {
-            var /** @type {?} */ nativeEl = this._delegate.selectRootElement(selectorOrNode, debugInfo);
-            var /** @type {?} */ debugEl = new DebugElement(nativeEl, null, debugInfo);
-            indexDebugNode(debugEl);
-            return nativeEl;
-        };
-        /**
-         * @param {?} parentElement
-         * @param {?} name
-         * @param {?=} debugInfo
-         * @return {?}
-         */
-        DebugDomRenderer.prototype.createElement = function (parentElement, name, debugInfo) {
-            var /** @type {?} */ nativeEl = this._delegate.createElement(parentElement, name, debugInfo);
-            var /** @type {?} */ debugEl = new DebugElement(nativeEl, getDebugNode(parentElement), debugInfo);
-            debugEl.name = name;
-            indexDebugNode(debugEl);
-            return nativeEl;
-        };
-        /**
-         * @param {?} hostElement
-         * @return {?}
-         */
-        DebugDomRenderer.prototype.createViewRoot = function (hostElement) { return this._delegate.createViewRoot(hostElement); };
-        /**
-         * @param {?} parentElement
-         * @param {?=} debugInfo
-         * @return {?}
-         */
-        DebugDomRenderer.prototype.createTemplateAnchor = function (parentElement, debugInfo) {
-            var /** @type {?} */ comment = this._delegate.createTemplateAnchor(parentElement, debugInfo);
-            var /** @type {?} */ debugEl = new DebugNode(comment, getDebugNode(parentElement), debugInfo);
-            indexDebugNode(debugEl);
-            return comment;
-        };
-        /**
-         * @param {?} parentElement
-         * @param {?} value
-         * @param {?=} debugInfo
-         * @return {?}
-         */
-        DebugDomRenderer.prototype.createText = function (parentElement, value, debugInfo) {
-            var /** @type {?} */ text = this._delegate.createText(parentElement, value, debugInfo);
-            var /** @type {?} */ debugEl = new DebugNode(text, getDebugNode(parentElement), debugInfo);
-            indexDebugNode(debugEl);
-            return text;
-        };
-        /**
-         * @param {?} parentElement
-         * @param {?} nodes
-         * @return {?}
-         */
-        DebugDomRenderer.prototype.projectNodes = function (parentElement, nodes) {
-            var /** @type {?} */ debugParent = getDebugNode(parentElement);
-            if (isPresent(debugParent) && debugParent instanceof DebugElement) {
-                var /** @type {?} */ debugElement_1 = debugParent;
-                nodes.forEach(function (node) { debugElement_1.addChild(getDebugNode(node)); });
-            }
-            this._delegate.projectNodes(parentElement, nodes);
-        };
-        /**
-         * @param {?} node
-         * @param {?} viewRootNodes
-         * @return {?}
+         * @param {?} offset
+         * @param {?} styles
          */
-        DebugDomRenderer.prototype.attachViewAfter = function (node, viewRootNodes) {
-            var /** @type {?} */ debugNode = getDebugNode(node);
-            if (isPresent(debugNode)) {
-                var /** @type {?} */ debugParent = debugNode.parent;
-                if (viewRootNodes.length > 0 && isPresent(debugParent)) {
-                    var /** @type {?} */ debugViewRootNodes_1 = [];
-                    viewRootNodes.forEach(function (rootNode) { return debugViewRootNodes_1.push(getDebugNode(rootNode)); });
-                    debugParent.insertChildrenAfter(debugNode, debugViewRootNodes_1);
-                }
-            }
-            this._delegate.attachViewAfter(node, viewRootNodes);
-        };
+        function AnimationKeyframe(offset, styles) {
+            this.offset = offset;
+            this.styles = styles;
+        }
+        return AnimationKeyframe;
+    }());
+
+    var __extends$18 = (this && this.__extends) || function (d, b) {
+        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
+        function __() { this.constructor = d; }
+        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
+    };
+    /**
+     * @experimental Animation support is experimental.
+     */
+    var /** @type {?} */ AUTO_STYLE = '*';
+    /**
+     * Metadata representing the entry of animations.
+     * Instances of this class are provided via the animation DSL when the {\@link trigger trigger
+     * animation function} is called.
+     *
+     * \@experimental Animation support is experimental.
+     */
+    var AnimationEntryMetadata = (function () {
         /**
-         * @param {?} viewRootNodes
-         * @return {?}
+         * @param {?} name
+         * @param {?} definitions
          */
-        DebugDomRenderer.prototype.detachView = function (viewRootNodes) {
-            viewRootNodes.forEach(function (node) {
-                var /** @type {?} */ debugNode = getDebugNode(node);
-                if (isPresent(debugNode) && isPresent(debugNode.parent)) {
-                    debugNode.parent.removeChild(debugNode);
-                }
-            });
-            this._delegate.detachView(viewRootNodes);
-        };
+        function AnimationEntryMetadata(name, definitions) {
+            this.name = name;
+            this.definitions = definitions;
+        }
+        return AnimationEntryMetadata;
+    }());
+    /**
+     * \@experimental Animation support is experimental.
+     * @abstract
+     */
+    var AnimationStateMetadata = (function () {
+        function AnimationStateMetadata() {
+        }
+        return AnimationStateMetadata;
+    }());
+    /**
+     * Metadata representing the entry of animations.
+     * Instances of this class are provided via the animation DSL when the {\@link state state animation
+     * function} is called.
+     *
+     * \@experimental Animation support is experimental.
+     */
+    var AnimationStateDeclarationMetadata = (function (_super) {
+        __extends$18(AnimationStateDeclarationMetadata, _super);
         /**
-         * @param {?} hostElement
-         * @param {?} viewAllNodes
-         * @return {?}
+         * @param {?} stateNameExpr
+         * @param {?} styles
          */
-        DebugDomRenderer.prototype.destroyView = function (hostElement, viewAllNodes) {
-            viewAllNodes = viewAllNodes || [];
-            viewAllNodes.forEach(function (node) { removeDebugNodeFromIndex(getDebugNode(node)); });
-            this._delegate.destroyView(hostElement, viewAllNodes);
-        };
+        function AnimationStateDeclarationMetadata(stateNameExpr, styles) {
+            _super.call(this);
+            this.stateNameExpr = stateNameExpr;
+            this.styles = styles;
+        }
+        return AnimationStateDeclarationMetadata;
+    }(AnimationStateMetadata));
+    /**
+     * Metadata representing the entry of animations.
+     * Instances of this class are provided via the animation DSL when the
+     * {\@link transition transition animation function} is called.
+     *
+     * \@experimental Animation support is experimental.
+     */
+    var AnimationStateTransitionMetadata = (function (_super) {
+        __extends$18(AnimationStateTransitionMetadata, _super);
         /**
-         * @param {?} renderElement
-         * @param {?} name
-         * @param {?} callback
-         * @return {?}
+         * @param {?} stateChangeExpr
+         * @param {?} steps
          */
-        DebugDomRenderer.prototype.listen = function (renderElement, name, callback) {
-            var /** @type {?} */ debugEl = getDebugNode(renderElement);
-            if (isPresent(debugEl)) {
-                debugEl.listeners.push(new EventListener(name, callback));
-            }
-            return this._delegate.listen(renderElement, name, callback);
-        };
+        function AnimationStateTransitionMetadata(stateChangeExpr, steps) {
+            _super.call(this);
+            this.stateChangeExpr = stateChangeExpr;
+            this.steps = steps;
+        }
+        return AnimationStateTransitionMetadata;
+    }(AnimationStateMetadata));
+    /**
+     * \@experimental Animation support is experimental.
+     * @abstract
+     */
+    var AnimationMetadata = (function () {
+        function AnimationMetadata() {
+        }
+        return AnimationMetadata;
+    }());
+    /**
+     * Metadata representing the entry of animations.
+     * Instances of this class are provided via the animation DSL when the {\@link keyframes keyframes
+     * animation function} is called.
+     *
+     * \@experimental Animation support is experimental.
+     */
+    var AnimationKeyframesSequenceMetadata = (function (_super) {
+        __extends$18(AnimationKeyframesSequenceMetadata, _super);
         /**
-         * @param {?} target
-         * @param {?} name
-         * @param {?} callback
-         * @return {?}
+         * @param {?} steps
          */
-        DebugDomRenderer.prototype.listenGlobal = function (target, name, callback) {
-            return this._delegate.listenGlobal(target, name, callback);
-        };
+        function AnimationKeyframesSequenceMetadata(steps) {
+            _super.call(this);
+            this.steps = steps;
+        }
+        return AnimationKeyframesSequenceMetadata;
+    }(AnimationMetadata));
+    /**
+     * Metadata representing the entry of animations.
+     * Instances of this class are provided via the animation DSL when the {\@link style style animation
+     * function} is called.
+     *
+     * \@experimental Animation support is experimental.
+     */
+    var AnimationStyleMetadata = (function (_super) {
+        __extends$18(AnimationStyleMetadata, _super);
         /**
-         * @param {?} renderElement
-         * @param {?} propertyName
-         * @param {?} propertyValue
-         * @return {?}
+         * @param {?} styles
+         * @param {?=} offset
          */
-        DebugDomRenderer.prototype.setElementProperty = function (renderElement, propertyName, propertyValue) {
-            var /** @type {?} */ debugEl = getDebugNode(renderElement);
-            if (isPresent(debugEl) && debugEl instanceof DebugElement) {
-                debugEl.properties[propertyName] = propertyValue;
-            }
-            this._delegate.setElementProperty(renderElement, propertyName, propertyValue);
-        };
+        function AnimationStyleMetadata(styles, offset) {
+            if (offset === void 0) { offset = null; }
+            _super.call(this);
+            this.styles = styles;
+            this.offset = offset;
+        }
+        return AnimationStyleMetadata;
+    }(AnimationMetadata));
+    /**
+     * Metadata representing the entry of animations.
+     * Instances of this class are provided via the animation DSL when the {\@link animate animate
+     * animation function} is called.
+     *
+     * \@experimental Animation support is experimental.
+     */
+    var AnimationAnimateMetadata = (function (_super) {
+        __extends$18(AnimationAnimateMetadata, _super);
         /**
-         * @param {?} renderElement
-         * @param {?} attributeName
-         * @param {?} attributeValue
-         * @return {?}
+         * @param {?} timings
+         * @param {?} styles
          */
-        DebugDomRenderer.prototype.setElementAttribute = function (renderElement, attributeName, attributeValue) {
-            var /** @type {?} */ debugEl = getDebugNode(renderElement);
-            if (isPresent(debugEl) && debugEl instanceof DebugElement) {
-                debugEl.attributes[attributeName] = attributeValue;
-            }
-            this._delegate.setElementAttribute(renderElement, attributeName, attributeValue);
-        };
+        function AnimationAnimateMetadata(timings, styles) {
+            _super.call(this);
+            this.timings = timings;
+            this.styles = styles;
+        }
+        return AnimationAnimateMetadata;
+    }(AnimationMetadata));
+    /**
+     * \@experimental Animation support is experimental.
+     * @abstract
+     */
+    var AnimationWithStepsMetadata = (function (_super) {
+        __extends$18(AnimationWithStepsMetadata, _super);
+        function AnimationWithStepsMetadata() {
+            _super.call(this);
+        }
+        Object.defineProperty(AnimationWithStepsMetadata.prototype, "steps", {
+            /**
+             * @return {?}
+             */
+            get: function () { throw new Error('NOT IMPLEMENTED: Base Class'); },
+            enumerable: true,
+            configurable: true
+        });
+        return AnimationWithStepsMetadata;
+    }(AnimationMetadata));
+    /**
+     * Metadata representing the entry of animations.
+     * Instances of this class are provided via the animation DSL when the {\@link sequence sequence
+     * animation function} is called.
+     *
+     * \@experimental Animation support is experimental.
+     */
+    var AnimationSequenceMetadata = (function (_super) {
+        __extends$18(AnimationSequenceMetadata, _super);
         /**
-         * @param {?} renderElement
-         * @param {?} propertyName
-         * @param {?} propertyValue
-         * @return {?}
+         * @param {?} _steps
          */
-        DebugDomRenderer.prototype.setBindingDebugInfo = function (renderElement, propertyName, propertyValue) {
-            this._delegate.setBindingDebugInfo(renderElement, propertyName, propertyValue);
-        };
+        function AnimationSequenceMetadata(_steps) {
+            _super.call(this);
+            this._steps = _steps;
+        }
+        Object.defineProperty(AnimationSequenceMetadata.prototype, "steps", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._steps; },
+            enumerable: true,
+            configurable: true
+        });
+        return AnimationSequenceMetadata;
+    }(AnimationWithStepsMetadata));
+    /**
+     * Metadata representing the entry of animations.
+     * Instances of this class are provided via the animation DSL when the {\@link group group animation
+     * function} is called.
+     *
+     * \@experimental Animation support is experimental.
+     */
+    var AnimationGroupMetadata = (function (_super) {
+        __extends$18(AnimationGroupMetadata, _super);
         /**
-         * @param {?} renderElement
-         * @param {?} className
-         * @param {?} isAdd
-         * @return {?}
+         * @param {?} _steps
          */
-        DebugDomRenderer.prototype.setElementClass = function (renderElement, className, isAdd) {
-            var /** @type {?} */ debugEl = getDebugNode(renderElement);
-            if (isPresent(debugEl) && debugEl instanceof DebugElement) {
-                debugEl.classes[className] = isAdd;
+        function AnimationGroupMetadata(_steps) {
+            _super.call(this);
+            this._steps = _steps;
+        }
+        Object.defineProperty(AnimationGroupMetadata.prototype, "steps", {
+            /**
+             * @return {?}
+             */
+            get: function () { return this._steps; },
+            enumerable: true,
+            configurable: true
+        });
+        return AnimationGroupMetadata;
+    }(AnimationWithStepsMetadata));
+    /**
+     * `animate` is an animation-specific function that is designed to be used inside of Angular2's
+     * animation
+     * DSL language. If this information is new, please navigate to the
+     * {\@link Component#animations-anchor component animations metadata
+     * page} to gain a better understanding of how animations in Angular2 are used.
+     *
+     * `animate` specifies an animation step that will apply the provided `styles` data for a given
+     * amount of
+     * time based on the provided `timing` expression value. Calls to `animate` are expected to be
+     * used within {\@link sequence an animation sequence}, {\@link group group}, or {\@link transition
+     * transition}.
+     *
+     * ### Usage
+     *
+     * The `animate` function accepts two input parameters: `timing` and `styles`:
+     *
+     * - `timing` is a string based value that can be a combination of a duration with optional
+     * delay and easing values. The format for the expression breaks down to `duration delay easing`
+     * (therefore a value such as `1s 100ms ease-out` will be parse itself into `duration=1000,
+     * delay=100, easing=ease-out`.
+     * If a numeric value is provided then that will be used as the `duration` value in millisecond
+     * form.
+     * - `styles` is the style input data which can either be a call to {\@link style style} or {\@link
+     * keyframes keyframes}.
+     * If left empty then the styles from the destination state will be collected and used (this is
+     * useful when
+     * describing an animation step that will complete an animation by {\@link
+     * transition#the-final-animate-call animating to the final state}).
+     *
+     * ```typescript
+     * // various functions for specifying timing data
+     * animate(500, style(...))
+     * animate("1s", style(...))
+     * animate("100ms 0.5s", style(...))
+     * animate("5s ease", style(...))
+     * animate("5s 10ms cubic-bezier(.17,.67,.88,.1)", style(...))
+     *
+     * // either style() of keyframes() can be used
+     * animate(500, style({ background: "red" }))
+     * animate(500, keyframes([
+     *   style({ background: "blue" })),
+     *   style({ background: "red" }))
+     * ])
+     * ```
+     *
+     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
+     *
+     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
+     *
+     * \@experimental Animation support is experimental.
+     * @param {?} timing
+     * @param {?=} styles
+     * @return {?}
+     */
+    function animate(timing, styles) {
+        if (styles === void 0) { styles = null; }
+        var /** @type {?} */ stylesEntry = styles;
+        if (!isPresent(stylesEntry)) {
+            var /** @type {?} */ EMPTY_STYLE = {};
+            stylesEntry = new AnimationStyleMetadata([EMPTY_STYLE], 1);
+        }
+        return new AnimationAnimateMetadata(timing, stylesEntry);
+    }
+    /**
+     * `group` is an animation-specific function that is designed to be used inside of Angular2's
+     * animation
+     * DSL language. If this information is new, please navigate to the
+     * {\@link Component#animations-anchor component animations metadata
+     * page} to gain a better understanding of how animations in Angular2 are used.
+     *
+     * `group` specifies a list of animation steps that are all run in parallel. Grouped animations
+     * are useful when a series of styles must be animated/closed off
+     * at different statrting/ending times.
+     *
+     * The `group` function can either be used within a {\@link sequence sequence} or a {\@link transition
+     * transition}
+     * and it will only continue to the next instruction once all of the inner animation steps
+     * have completed.
+     *
+     * ### Usage
+     *
+     * The `steps` data that is passed into the `group` animation function can either consist
+     * of {\@link style style} or {\@link animate animate} function calls. Each call to `style()` or
+     * `animate()`
+     * within a group will be executed instantly (use {\@link keyframes keyframes} or a
+     * {\@link animate#usage animate() with a delay value} to offset styles to be applied at a later
+     * time).
+     *
+     * ```typescript
+     * group([
+     *   animate("1s", { background: "black" }))
+     *   animate("2s", { color: "white" }))
+     * ])
+     * ```
+     *
+     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
+     *
+     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
+     *
+     * \@experimental Animation support is experimental.
+     * @param {?} steps
+     * @return {?}
+     */
+    function group(steps) {
+        return new AnimationGroupMetadata(steps);
+    }
+    /**
+     * `sequence` is an animation-specific function that is designed to be used inside of Angular2's
+     * animation
+     * DSL language. If this information is new, please navigate to the
+     * {\@link Component#animations-anchor component animations metadata
+     * page} to gain a better understanding of how animations in Angular2 are used.
+     *
+     * `sequence` Specifies a list of animation steps that are run one by one. (`sequence` is used
+     * by default when an array is passed as animation data into {\@link transition transition}.)
+     *
+     * The `sequence` function can either be used within a {\@link group group} or a {\@link transition
+     * transition}
+     * and it will only continue to the next instruction once each of the inner animation steps
+     * have completed.
+     *
+     * To perform animation styling in parallel with other animation steps then
+     * have a look at the {\@link group group} animation function.
+     *
+     * ### Usage
+     *
+     * The `steps` data that is passed into the `sequence` animation function can either consist
+     * of {\@link style style} or {\@link animate animate} function calls. A call to `style()` will apply
+     * the
+     * provided styling data immediately while a call to `animate()` will apply its styling
+     * data over a given time depending on its timing data.
+     *
+     * ```typescript
+     * sequence([
+     *   style({ opacity: 0 })),
+     *   animate("1s", { opacity: 1 }))
+     * ])
+     * ```
+     *
+     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
+     *
+     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
+     *
+     * \@experimental Animation support is experimental.
+     * @param {?} steps
+     * @return {?}
+     */
+    function sequence(steps) {
+        return new AnimationSequenceMetadata(steps);
+    }
+    /**
+     * `style` is an animation-specific function that is designed to be used inside of Angular2's
+     * animation
+     * DSL language. If this information is new, please navigate to the
+     * {\@link Component#animations-anchor component animations metadata
+     * page} to gain a better understanding of how animations in Angular2 are used.
+     *
+     * `style` declares a key/value object containing CSS properties/styles that can then
+     * be used for {\@link state animation states}, within an {\@link sequence animation sequence}, or as
+     * styling data for both {\@link animate animate} and {\@link keyframes keyframes}.
+     *
+     * ### Usage
+     *
+     * `style` takes in a key/value string map as data and expects one or more CSS property/value
+     * pairs to be defined.
+     *
+     * ```typescript
+     * // string values are used for css properties
+     * style({ background: "red", color: "blue" })
+     *
+     * // numerical (pixel) values are also supported
+     * style({ width: 100, height: 0 })
+     * ```
+     *
+     * #### Auto-styles (using `*`)
+     *
+     * When an asterix (`*`) character is used as a value then it will be detected from the element
+     * being animated
+     * and applied as animation data when the animation starts.
+     *
+     * This feature proves useful for a state depending on layout and/or environment factors; in such
+     * cases
+     * the styles are calculated just before the animation starts.
+     *
+     * ```typescript
+     * // the steps below will animate from 0 to the
+     * // actual height of the element
+     * style({ height: 0 }),
+     * animate("1s", style({ height: "*" }))
+     * ```
+     *
+     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
+     *
+     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
+     *
+     * \@experimental Animation support is experimental.
+     * @param {?} tokens
+     * @return {?}
+     */
+    function style(tokens) {
+        var /** @type {?} */ input;
+        var /** @type {?} */ offset = null;
+        if (typeof tokens === 'string') {
+            input = [(tokens)];
+        }
+        else {
+            if (Array.isArray(tokens)) {
+                input = (tokens);
             }
-            this._delegate.setElementClass(renderElement, className, isAdd);
-        };
-        /**
-         * @param {?} renderElement
-         * @param {?} styleName
-         * @param {?} styleValue
-         * @return {?}
-         */
-        DebugDomRenderer.prototype.setElementStyle = function (renderElement, styleName, styleValue) {
-            var /** @type {?} */ debugEl = getDebugNode(renderElement);
-            if (isPresent(debugEl) && debugEl instanceof DebugElement) {
-                debugEl.styles[styleName] = styleValue;
+            else {
+                input = [(tokens)];
             }
-            this._delegate.setElementStyle(renderElement, styleName, styleValue);
-        };
-        /**
-         * @param {?} renderElement
-         * @param {?} methodName
-         * @param {?=} args
-         * @return {?}
-         */
-        DebugDomRenderer.prototype.invokeElementMethod = function (renderElement, methodName, args) {
-            this._delegate.invokeElementMethod(renderElement, methodName, args);
-        };
-        /**
-         * @param {?} renderNode
-         * @param {?} text
-         * @return {?}
-         */
-        DebugDomRenderer.prototype.setText = function (renderNode, text) { this._delegate.setText(renderNode, text); };
-        /**
-         * @param {?} element
-         * @param {?} startingStyles
-         * @param {?} keyframes
-         * @param {?} duration
-         * @param {?} delay
-         * @param {?} easing
-         * @param {?=} previousPlayers
-         * @return {?}
-         */
-        DebugDomRenderer.prototype.animate = function (element, startingStyles, keyframes, duration, delay, easing, previousPlayers) {
-            if (previousPlayers === void 0) { previousPlayers = []; }
-            return this._delegate.animate(element, startingStyles, keyframes, duration, delay, easing, previousPlayers);
-        };
-        return DebugDomRenderer;
-    }());
-
-    var ViewType = {};
-    ViewType.HOST = 0;
-    ViewType.COMPONENT = 1;
-    ViewType.EMBEDDED = 2;
-    ViewType[ViewType.HOST] = "HOST";
-    ViewType[ViewType.COMPONENT] = "COMPONENT";
-    ViewType[ViewType.EMBEDDED] = "EMBEDDED";
-
-    var StaticNodeDebugInfo = (function () {
-        /**
-         * @param {?} providerTokens
-         * @param {?} componentToken
-         * @param {?} refTokens
-         */
-        function StaticNodeDebugInfo(providerTokens, componentToken, refTokens) {
-            this.providerTokens = providerTokens;
-            this.componentToken = componentToken;
-            this.refTokens = refTokens;
-        }
-        return StaticNodeDebugInfo;
-    }());
-    var DebugContext = (function () {
-        /**
-         * @param {?} _view
-         * @param {?} _nodeIndex
-         * @param {?} _tplRow
-         * @param {?} _tplCol
-         */
-        function DebugContext(_view, _nodeIndex, _tplRow, _tplCol) {
-            this._view = _view;
-            this._nodeIndex = _nodeIndex;
-            this._tplRow = _tplRow;
-            this._tplCol = _tplCol;
-        }
-        Object.defineProperty(DebugContext.prototype, "_staticNodeInfo", {
-            /**
-             * @return {?}
-             */
-            get: function () {
-                return isPresent(this._nodeIndex) ? this._view.staticNodeDebugInfos[this._nodeIndex] : null;
-            },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(DebugContext.prototype, "context", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._view.context; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(DebugContext.prototype, "component", {
-            /**
-             * @return {?}
-             */
-            get: function () {
-                var /** @type {?} */ staticNodeInfo = this._staticNodeInfo;
-                if (isPresent(staticNodeInfo) && isPresent(staticNodeInfo.componentToken)) {
-                    return this.injector.get(staticNodeInfo.componentToken);
-                }
-                return null;
-            },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(DebugContext.prototype, "componentRenderElement", {
-            /**
-             * @return {?}
-             */
-            get: function () {
-                var /** @type {?} */ componentView = this._view;
-                while (isPresent(componentView.parentView) && componentView.type !== ViewType.COMPONENT) {
-                    componentView = (componentView.parentView);
-                }
-                return componentView.parentElement;
-            },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(DebugContext.prototype, "injector", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this._view.injector(this._nodeIndex); },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(DebugContext.prototype, "renderNode", {
-            /**
-             * @return {?}
-             */
-            get: function () {
-                if (isPresent(this._nodeIndex) && this._view.allNodes) {
-                    return this._view.allNodes[this._nodeIndex];
-                }
-                else {
-                    return null;
-                }
-            },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(DebugContext.prototype, "providerTokens", {
-            /**
-             * @return {?}
-             */
-            get: function () {
-                var /** @type {?} */ staticNodeInfo = this._staticNodeInfo;
-                return isPresent(staticNodeInfo) ? staticNodeInfo.providerTokens : null;
-            },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(DebugContext.prototype, "source", {
-            /**
-             * @return {?}
-             */
-            get: function () {
-                return this._view.componentType.templateUrl + ":" + this._tplRow + ":" + this._tplCol;
-            },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(DebugContext.prototype, "references", {
-            /**
-             * @return {?}
-             */
-            get: function () {
-                var _this = this;
-                var /** @type {?} */ varValues = {};
-                var /** @type {?} */ staticNodeInfo = this._staticNodeInfo;
-                if (isPresent(staticNodeInfo)) {
-                    var /** @type {?} */ refs_1 = staticNodeInfo.refTokens;
-                    Object.keys(refs_1).forEach(function (refName) {
-                        var /** @type {?} */ refToken = refs_1[refName];
-                        var /** @type {?} */ varValue;
-                        if (isBlank(refToken)) {
-                            varValue = _this._view.allNodes ? _this._view.allNodes[_this._nodeIndex] : null;
-                        }
-                        else {
-                            varValue = _this._view.injectorGet(refToken, _this._nodeIndex, null);
-                        }
-                        varValues[refName] = varValue;
-                    });
+            input.forEach(function (entry) {
+                var /** @type {?} */ entryOffset = ((entry) /** TODO #9100 */)['offset'];
+                if (isPresent(entryOffset)) {
+                    offset = offset == null ? parseFloat(entryOffset) : offset;
                 }
-                return varValues;
-            },
-            enumerable: true,
-            configurable: true
-        });
-        return DebugContext;
-    }());
+            });
+        }
+        return new AnimationStyleMetadata(input, offset);
+    }
+    /**
+     * `state` is an animation-specific function that is designed to be used inside of Angular2's
+     * animation
+     * DSL language. If this information is new, please navigate to the
+     * {\@link Component#animations-anchor component animations metadata
+     * page} to gain a better understanding of how animations in Angular2 are used.
+     *
+     * `state` declares an animation state within the given trigger. When a state is
+     * active within a component then its associated styles will persist on
+     * the element that the trigger is attached to (even when the animation ends).
+     *
+     * To animate between states, have a look at the animation {\@link transition transition}
+     * DSL function. To register states to an animation trigger please have a look
+     * at the {\@link trigger trigger} function.
+     *
+     * #### The `void` state
+     *
+     * The `void` state value is a reserved word that angular uses to determine when the element is not
+     * apart
+     * of the application anymore (e.g. when an `ngIf` evaluates to false then the state of the
+     * associated element
+     * is void).
+     *
+     * #### The `*` (default) state
+     *
+     * The `*` state (when styled) is a fallback state that will be used if
+     * the state that is being animated is not declared within the trigger.
+     *
+     * ### Usage
+     *
+     * `state` will declare an animation state with its associated styles
+     * within the given trigger.
+     *
+     * - `stateNameExpr` can be one or more state names separated by commas.
+     * - `styles` refers to the {\@link style styling data} that will be persisted on the element once
+     * the state
+     * has been reached.
+     *
+     * ```typescript
+     * // "void" is a reserved name for a state and is used to represent
+     * // the state in which an element is detached from from the application.
+     * state("void", style({ height: 0 }))
+     *
+     * // user-defined states
+     * state("closed", style({ height: 0 }))
+     * state("open, visible", style({ height: "*" }))
+     * ```
+     *
+     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
+     *
+     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
+     *
+     * \@experimental Animation support is experimental.
+     * @param {?} stateNameExpr
+     * @param {?} styles
+     * @return {?}
+     */
+    function state(stateNameExpr, styles) {
+        return new AnimationStateDeclarationMetadata(stateNameExpr, styles);
+    }
+    /**
+     * `keyframes` is an animation-specific function that is designed to be used inside of Angular2's
+     * animation
+     * DSL language. If this information is new, please navigate to the
+     * {\@link Component#animations-anchor component animations metadata
+     * page} to gain a better understanding of how animations in Angular2 are used.
+     *
+     * `keyframes` specifies a collection of {\@link style style} entries each optionally characterized
+     * by an `offset` value.
+     *
+     * ### Usage
+     *
+     * The `keyframes` animation function is designed to be used alongside the {\@link animate animate}
+     * animation function. Instead of applying animations from where they are
+     * currently to their destination, keyframes can describe how each style entry is applied
+     * and at what point within the animation arc (much like CSS Keyframe Animations do).
+     *
+     * For each `style()` entry an `offset` value can be set. Doing so allows to specifiy at
+     * what percentage of the animate time the styles will be applied.
+     *
+     * ```typescript
+     * // the provided offset values describe when each backgroundColor value is applied.
+     * animate("5s", keyframes([
+     *   style({ backgroundColor: "red", offset: 0 }),
+     *   style({ backgroundColor: "blue", offset: 0.2 }),
+     *   style({ backgroundColor: "orange", offset: 0.3 }),
+     *   style({ backgroundColor: "black", offset: 1 })
+     * ]))
+     * ```
+     *
+     * Alternatively, if there are no `offset` values used within the style entries then the offsets
+     * will
+     * be calculated automatically.
+     *
+     * ```typescript
+     * animate("5s", keyframes([
+     *   style({ backgroundColor: "red" }) // offset = 0
+     *   style({ backgroundColor: "blue" }) // offset = 0.33
+     *   style({ backgroundColor: "orange" }) // offset = 0.66
+     *   style({ backgroundColor: "black" }) // offset = 1
+     * ]))
+     * ```
+     *
+     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
+     *
+     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
+     *
+     * \@experimental Animation support is experimental.
+     * @param {?} steps
+     * @return {?}
+     */
+    function keyframes(steps) {
+        return new AnimationKeyframesSequenceMetadata(steps);
+    }
+    /**
+     * `transition` is an animation-specific function that is designed to be used inside of Angular2's
+     * animation
+     * DSL language. If this information is new, please navigate to the
+     * {\@link Component#animations-anchor component animations metadata
+     * page} to gain a better understanding of how animations in Angular2 are used.
+     *
+     * `transition` declares the {\@link sequence sequence of animation steps} that will be run when the
+     * provided
+     * `stateChangeExpr` value is satisfied. The `stateChangeExpr` consists of a `state1 => state2`
+     * which consists
+     * of two known states (use an asterix (`*`) to refer to a dynamic starting and/or ending state).
+     *
+     * A function can also be provided as the `stateChangeExpr` argument for a transition and this
+     * function will be executed each time a state change occurs. If the value returned within the
+     * function is true then the associated animation will be run.
+     *
+     * Animation transitions are placed within an {\@link trigger animation trigger}. For an transition
+     * to animate to
+     * a state value and persist its styles then one or more {\@link state animation states} is expected
+     * to be defined.
+     *
+     * ### Usage
+     *
+     * An animation transition is kicked off the `stateChangeExpr` predicate evaluates to true based on
+     * what the
+     * previous state is and what the current state has become. In other words, if a transition is
+     * defined that
+     * matches the old/current state criteria then the associated animation will be triggered.
+     *
+     * ```typescript
+     * // all transition/state changes are defined within an animation trigger
+     * trigger("myAnimationTrigger", [
+     *   // if a state is defined then its styles will be persisted when the
+     *   // animation has fully completed itself
+     *   state("on", style({ background: "green" })),
+     *   state("off", style({ background: "grey" })),
+     *
+     *   // a transition animation that will be kicked off when the state value
+     *   // bound to "myAnimationTrigger" changes from "on" to "off"
+     *   transition("on => off", animate(500)),
+     *
+     *   // it is also possible to do run the same animation for both directions
+     *   transition("on <=> off", animate(500)),
+     *
+     *   // or to define multiple states pairs separated by commas
+     *   transition("on => off, off => void", animate(500)),
+     *
+     *   // this is a catch-all state change for when an element is inserted into
+     *   // the page and the destination state is unknown
+     *   transition("void => *", [
+     *     style({ opacity: 0 }),
+     *     animate(500)
+     *   ]),
+     *
+     *   // this will capture a state change between any states
+     *   transition("* => *", animate("1s 0s")),
+     *
+     *   // you can also go full out and include a function
+     *   transition((fromState, toState) => {
+     *     // when `true` then it will allow the animation below to be invoked
+     *     return fromState == "off" && toState == "on";
+     *   }, animate("1s 0s"))
+     * ])
+     * ```
+     *
+     * The template associated with this component will make use of the `myAnimationTrigger`
+     * animation trigger by binding to an element within its template code.
+     *
+     * ```html
+     * <!-- somewhere inside of my-component-tpl.html -->
+     * <div [\@myAnimationTrigger]="myStatusExp">...</div>
+     * ```
+     *
+     * #### The final `animate` call
+     *
+     * If the final step within the transition steps is a call to `animate()` that **only**
+     * uses a timing value with **no style data** then it will be automatically used as the final
+     * animation
+     * arc for the element to animate itself to the final state. This involves an automatic mix of
+     * adding/removing CSS styles so that the element will be in the exact state it should be for the
+     * applied state to be presented correctly.
+     *
+     * ```
+     * // start off by hiding the element, but make sure that it animates properly to whatever state
+     * // is currently active for "myAnimationTrigger"
+     * transition("void => *", [
+     *   style({ opacity: 0 }),
+     *   animate(500)
+     * ])
+     * ```
+     *
+     * ### Transition Aliases (`:enter` and `:leave`)
+     *
+     * Given that enter (insertion) and leave (removal) animations are so common,
+     * the `transition` function accepts both `:enter` and `:leave` values which
+     * are aliases for the `void => *` and `* => void` state changes.
+     *
+     * ```
+     * transition(":enter", [
+     *   style({ opacity: 0 }),
+     *   animate(500, style({ opacity: 1 }))
+     * ])
+     * transition(":leave", [
+     *   animate(500, style({ opacity: 0 }))
+     * ])
+     * ```
+     *
+     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
+     *
+     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
+     *
+     * \@experimental Animation support is experimental.
+     * @param {?} stateChangeExpr
+     * @param {?} steps
+     * @return {?}
+     */
+    function transition(stateChangeExpr, steps) {
+        var /** @type {?} */ animationData = Array.isArray(steps) ? new AnimationSequenceMetadata(steps) : steps;
+        return new AnimationStateTransitionMetadata(stateChangeExpr, animationData);
+    }
+    /**
+     * `trigger` is an animation-specific function that is designed to be used inside of Angular2's
+     * animation
+     * DSL language. If this information is new, please navigate to the
+     * {\@link Component#animations-anchor component animations metadata
+     * page} to gain a better understanding of how animations in Angular2 are used.
+     *
+     * `trigger` Creates an animation trigger which will a list of {\@link state state} and {\@link
+     * transition transition}
+     * entries that will be evaluated when the expression bound to the trigger changes.
+     *
+     * Triggers are registered within the component annotation data under the
+     * {\@link Component#animations-anchor animations section}. An animation trigger can
+     * be placed on an element within a template by referencing the name of the
+     * trigger followed by the expression value that the trigger is bound to
+     * (in the form of `[\@triggerName]="expression"`.
+     *
+     * ### Usage
+     *
+     * `trigger` will create an animation trigger reference based on the provided `name` value.
+     * The provided `animation` value is expected to be an array consisting of {\@link state state} and
+     * {\@link transition transition}
+     * declarations.
+     *
+     * ```typescript
+     * \@Component({
+     *   selector: 'my-component',
+     *   templateUrl: 'my-component-tpl.html',
+     *   animations: [
+     *     trigger("myAnimationTrigger", [
+     *       state(...),
+     *       state(...),
+     *       transition(...),
+     *       transition(...)
+     *     ])
+     *   ]
+     * })
+     * class MyComponent {
+     *   myStatusExp = "something";
+     * }
+     * ```
+     *
+     * The template associated with this component will make use of the `myAnimationTrigger`
+     * animation trigger by binding to an element within its template code.
+     *
+     * ```html
+     * <!-- somewhere inside of my-component-tpl.html -->
+     * <div [\@myAnimationTrigger]="myStatusExp">...</div>
+     * ```
+     *
+     * ### Example ([live demo](http://plnkr.co/edit/Kez8XGWBxWue7qP7nNvF?p=preview))
+     *
+     * {\@example core/animation/ts/dsl/animation_example.ts region='Component'}
+     *
+     * \@experimental Animation support is experimental.
+     * @param {?} name
+     * @param {?} animation
+     * @return {?}
+     */
+    function trigger(name, animation) {
+        return new AnimationEntryMetadata(name, animation);
+    }
 
-    var ViewAnimationMap = (function () {
-        function ViewAnimationMap() {
-            this._map = new Map();
-            this._allPlayers = [];
-        }
-        /**
-         * @param {?} element
-         * @param {?} animationName
-         * @return {?}
-         */
-        ViewAnimationMap.prototype.find = function (element, animationName) {
-            var /** @type {?} */ playersByAnimation = this._map.get(element);
-            if (isPresent(playersByAnimation)) {
-                return playersByAnimation[animationName];
-            }
-        };
-        /**
-         * @param {?} element
-         * @return {?}
-         */
-        ViewAnimationMap.prototype.findAllPlayersByElement = function (element) {
-            var /** @type {?} */ el = this._map.get(element);
-            return el ? Object.keys(el).map(function (k) { return el[k]; }) : [];
-        };
-        /**
-         * @param {?} element
-         * @param {?} animationName
-         * @param {?} player
-         * @return {?}
-         */
-        ViewAnimationMap.prototype.set = function (element, animationName, player) {
-            var /** @type {?} */ playersByAnimation = this._map.get(element);
-            if (!isPresent(playersByAnimation)) {
-                playersByAnimation = {};
+    /**
+     * @param {?} previousStyles
+     * @param {?} newStyles
+     * @param {?=} nullValue
+     * @return {?}
+     */
+    function prepareFinalAnimationStyles(previousStyles, newStyles, nullValue) {
+        if (nullValue === void 0) { nullValue = null; }
+        var /** @type {?} */ finalStyles = {};
+        Object.keys(newStyles).forEach(function (prop) {
+            var /** @type {?} */ value = newStyles[prop];
+            finalStyles[prop] = value == AUTO_STYLE ? nullValue : value.toString();
+        });
+        Object.keys(previousStyles).forEach(function (prop) {
+            if (!isPresent(finalStyles[prop])) {
+                finalStyles[prop] = nullValue;
             }
-            var /** @type {?} */ existingEntry = playersByAnimation[animationName];
-            if (isPresent(existingEntry)) {
-                this.remove(element, animationName);
+        });
+        return finalStyles;
+    }
+    /**
+     * @param {?} collectedStyles
+     * @param {?} finalStateStyles
+     * @param {?} keyframes
+     * @return {?}
+     */
+    function balanceAnimationKeyframes(collectedStyles, finalStateStyles, keyframes) {
+        var /** @type {?} */ limit = keyframes.length - 1;
+        var /** @type {?} */ firstKeyframe = keyframes[0];
+        // phase 1: copy all the styles from the first keyframe into the lookup map
+        var /** @type {?} */ flatenedFirstKeyframeStyles = flattenStyles(firstKeyframe.styles.styles);
+        var /** @type {?} */ extraFirstKeyframeStyles = {};
+        var /** @type {?} */ hasExtraFirstStyles = false;
+        Object.keys(collectedStyles).forEach(function (prop) {
+            var /** @type {?} */ value = (collectedStyles[prop]);
+            // if the style is already defined in the first keyframe then
+            // we do not replace it.
+            if (!flatenedFirstKeyframeStyles[prop]) {
+                flatenedFirstKeyframeStyles[prop] = value;
+                extraFirstKeyframeStyles[prop] = value;
+                hasExtraFirstStyles = true;
             }
-            playersByAnimation[animationName] = player;
-            this._allPlayers.push(player);
-            this._map.set(element, playersByAnimation);
-        };
-        /**
-         * @return {?}
-         */
-        ViewAnimationMap.prototype.getAllPlayers = function () { return this._allPlayers; };
-        /**
-         * @param {?} element
-         * @param {?} animationName
-         * @param {?=} targetPlayer
-         * @return {?}
-         */
-        ViewAnimationMap.prototype.remove = function (element, animationName, targetPlayer) {
-            if (targetPlayer === void 0) { targetPlayer = null; }
-            var /** @type {?} */ playersByAnimation = this._map.get(element);
-            if (playersByAnimation) {
-                var /** @type {?} */ player = playersByAnimation[animationName];
-                if (!targetPlayer || player === targetPlayer) {
-                    delete playersByAnimation[animationName];
-                    var /** @type {?} */ index = this._allPlayers.indexOf(player);
-                    this._allPlayers.splice(index, 1);
-                    if (Object.keys(playersByAnimation).length === 0) {
-                        this._map.delete(element);
-                    }
-                }
+        });
+        var /** @type {?} */ keyframeCollectedStyles = StringMapWrapper.merge({}, flatenedFirstKeyframeStyles);
+        // phase 2: normalize the final keyframe
+        var /** @type {?} */ finalKeyframe = keyframes[limit];
+        finalKeyframe.styles.styles.unshift(finalStateStyles);
+        var /** @type {?} */ flatenedFinalKeyframeStyles = flattenStyles(finalKeyframe.styles.styles);
+        var /** @type {?} */ extraFinalKeyframeStyles = {};
+        var /** @type {?} */ hasExtraFinalStyles = false;
+        Object.keys(keyframeCollectedStyles).forEach(function (prop) {
+            if (!isPresent(flatenedFinalKeyframeStyles[prop])) {
+                extraFinalKeyframeStyles[prop] = AUTO_STYLE;
+                hasExtraFinalStyles = true;
             }
-        };
-        return ViewAnimationMap;
-    }());
-
-    var AnimationViewContext = (function () {
-        /**
-         * @param {?} _animationQueue
-         */
-        function AnimationViewContext(_animationQueue) {
-            this._animationQueue = _animationQueue;
-            this._players = new ViewAnimationMap();
+        });
+        if (hasExtraFinalStyles) {
+            finalKeyframe.styles.styles.push(extraFinalKeyframeStyles);
         }
-        /**
-         * @param {?} callback
-         * @return {?}
-         */
-        AnimationViewContext.prototype.onAllActiveAnimationsDone = function (callback) {
-            var /** @type {?} */ activeAnimationPlayers = this._players.getAllPlayers();
-            // we check for the length to avoid having GroupAnimationPlayer
-            // issue an unnecessary microtask when zero players are passed in
-            if (activeAnimationPlayers.length) {
-                new AnimationGroupPlayer(activeAnimationPlayers).onDone(function () { return callback(); });
-            }
-            else {
-                callback();
-            }
-        };
-        /**
-         * @param {?} element
-         * @param {?} animationName
-         * @param {?} player
-         * @return {?}
-         */
-        AnimationViewContext.prototype.queueAnimation = function (element, animationName, player) {
-            var _this = this;
-            this._animationQueue.enqueue(player);
-            this._players.set(element, animationName, player);
-            player.onDone(function () { return _this._players.remove(element, animationName, player); });
-        };
-        /**
-         * @param {?} element
-         * @param {?=} animationName
-         * @return {?}
-         */
-        AnimationViewContext.prototype.getAnimationPlayers = function (element, animationName) {
-            if (animationName === void 0) { animationName = null; }
-            var /** @type {?} */ players = [];
-            if (animationName) {
-                var /** @type {?} */ currentPlayer = this._players.find(element, animationName);
-                if (currentPlayer) {
-                    _recursePlayers(currentPlayer, players);
-                }
-            }
-            else {
-                this._players.findAllPlayersByElement(element).forEach(function (player) { return _recursePlayers(player, players); });
+        Object.keys(flatenedFinalKeyframeStyles).forEach(function (prop) {
+            if (!isPresent(flatenedFirstKeyframeStyles[prop])) {
+                extraFirstKeyframeStyles[prop] = AUTO_STYLE;
+                hasExtraFirstStyles = true;
             }
-            return players;
-        };
-        return AnimationViewContext;
-    }());
+        });
+        if (hasExtraFirstStyles) {
+            firstKeyframe.styles.styles.push(extraFirstKeyframeStyles);
+        }
+        collectAndResolveStyles(collectedStyles, [finalStateStyles]);
+        return keyframes;
+    }
     /**
-     * @param {?} player
-     * @param {?} collectedPlayers
+     * @param {?} styles
      * @return {?}
      */
-    function _recursePlayers(player, collectedPlayers) {
-        if ((player instanceof AnimationGroupPlayer) || (player instanceof AnimationSequencePlayer)) {
-            player.players.forEach(function (player) { return _recursePlayers(player, collectedPlayers); });
-        }
-        else {
-            collectedPlayers.push(player);
-        }
+    function clearStyles(styles) {
+        var /** @type {?} */ finalStyles = {};
+        Object.keys(styles).forEach(function (key) { finalStyles[key] = null; });
+        return finalStyles;
     }
-
     /**
-     * @license
-     * Copyright Google Inc. All Rights Reserved.
-     *
-     * Use of this source code is governed by an MIT-style license that can be
-     * found in the LICENSE file at https://angular.io/license
+     * @param {?} collection
+     * @param {?} styles
+     * @return {?}
      */
-    var __extends$15 = (this && this.__extends) || function (d, b) {
-        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
-        function __() { this.constructor = d; }
-        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
-    };
-    var ElementInjector = (function (_super) {
-        __extends$15(ElementInjector, _super);
-        /**
-         * @param {?} _view
-         * @param {?} _nodeIndex
-         */
-        function ElementInjector(_view, _nodeIndex) {
-            _super.call(this);
-            this._view = _view;
-            this._nodeIndex = _nodeIndex;
-        }
-        /**
-         * @param {?} token
-         * @param {?=} notFoundValue
-         * @return {?}
-         */
-        ElementInjector.prototype.get = function (token, notFoundValue) {
-            if (notFoundValue === void 0) { notFoundValue = THROW_IF_NOT_FOUND; }
-            return this._view.injectorGet(token, this._nodeIndex, notFoundValue);
-        };
-        return ElementInjector;
-    }(Injector));
+    function collectAndResolveStyles(collection, styles) {
+        return styles.map(function (entry) {
+            var /** @type {?} */ stylesObj = {};
+            Object.keys(entry).forEach(function (prop) {
+                var /** @type {?} */ value = entry[prop];
+                if (value == FILL_STYLE_FLAG) {
+                    value = collection[prop];
+                    if (!isPresent(value)) {
+                        value = AUTO_STYLE;
+                    }
+                }
+                collection[prop] = value;
+                stylesObj[prop] = value;
+            });
+            return stylesObj;
+        });
+    }
+    /**
+     * @param {?} element
+     * @param {?} renderer
+     * @param {?} styles
+     * @return {?}
+     */
+    function renderStyles(element, renderer, styles) {
+        Object.keys(styles).forEach(function (prop) { renderer.setElementStyle(element, prop, styles[prop]); });
+    }
+    /**
+     * @param {?} styles
+     * @return {?}
+     */
+    function flattenStyles(styles) {
+        var /** @type {?} */ finalStyles = {};
+        styles.forEach(function (entry) {
+            Object.keys(entry).forEach(function (prop) { finalStyles[prop] = (entry[prop]); });
+        });
+        return finalStyles;
+    }
 
     /**
      * @license
@@ -12466,614 +19061,393 @@
      * Use of this source code is governed by an MIT-style license that can be
      * found in the LICENSE file at https://angular.io/license
      */
-    var __extends$14 = (this && this.__extends) || function (d, b) {
-        for (var p in b) if (b.hasOwnProperty(p)) d[p] = b[p];
-        function __() { this.constructor = d; }
-        d.prototype = b === null ? Object.create(b) : (__.prototype = b.prototype, new __());
-    };
-    var /** @type {?} */ _scope_check = wtfCreateScope("AppView#check(ascii id)");
-    /**
-     * @experimental
-     */
-    var /** @type {?} */ EMPTY_CONTEXT = new Object();
-    var /** @type {?} */ UNDEFINED$1 = new Object();
-    /**
-     * Cost of making objects: http://jsperf.com/instantiate-size-of-object
-     *
-     * @abstract
-     */
-    var AppView = (function () {
+    var AnimationStyles = (function () {
         /**
-         * @param {?} clazz
-         * @param {?} componentType
-         * @param {?} type
-         * @param {?} viewUtils
-         * @param {?} parentView
-         * @param {?} parentIndex
-         * @param {?} parentElement
-         * @param {?} cdMode
-         * @param {?=} declaredViewContainer
+         * @param {?} styles
          */
-        function AppView(clazz, componentType, type, viewUtils, parentView, parentIndex, parentElement, cdMode, declaredViewContainer) {
-            if (declaredViewContainer === void 0) { declaredViewContainer = null; }
-            this.clazz = clazz;
-            this.componentType = componentType;
-            this.type = type;
-            this.viewUtils = viewUtils;
-            this.parentView = parentView;
-            this.parentIndex = parentIndex;
-            this.parentElement = parentElement;
-            this.cdMode = cdMode;
-            this.declaredViewContainer = declaredViewContainer;
-            this.numberOfChecks = 0;
-            this.throwOnChange = false;
-            this.ref = new ViewRef_(this, viewUtils.animationQueue);
-            if (type === ViewType.COMPONENT || type === ViewType.HOST) {
-                this.renderer = viewUtils.renderComponent(componentType);
-            }
-            else {
-                this.renderer = parentView.renderer;
-            }
-            this._directRenderer = this.renderer.directRenderer;
+        function AnimationStyles(styles) {
+            this.styles = styles;
         }
-        Object.defineProperty(AppView.prototype, "animationContext", {
-            /**
-             * @return {?}
-             */
-            get: function () {
-                if (!this._animationContext) {
-                    this._animationContext = new AnimationViewContext(this.viewUtils.animationQueue);
-                }
-                return this._animationContext;
-            },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(AppView.prototype, "destroyed", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this.cdMode === ChangeDetectorStatus.Destroyed; },
-            enumerable: true,
-            configurable: true
-        });
-        /**
-         * @param {?} context
-         * @return {?}
-         */
-        AppView.prototype.create = function (context) {
-            this.context = context;
-            return this.createInternal(null);
-        };
-        /**
-         * @param {?} rootSelectorOrNode
-         * @param {?} hostInjector
-         * @param {?} projectableNodes
-         * @return {?}
-         */
-        AppView.prototype.createHostView = function (rootSelectorOrNode, hostInjector, projectableNodes) {
-            this.context = (EMPTY_CONTEXT);
-            this._hasExternalHostElement = isPresent(rootSelectorOrNode);
-            this._hostInjector = hostInjector;
-            this._hostProjectableNodes = projectableNodes;
-            return this.createInternal(rootSelectorOrNode);
-        };
-        /**
-         * Overwritten by implementations.
-         * Returns the ComponentRef for the host element for ViewType.HOST.
-         * @param {?} rootSelectorOrNode
-         * @return {?}
-         */
-        AppView.prototype.createInternal = function (rootSelectorOrNode) { return null; };
-        /**
-         * Overwritten by implementations.
-         * @param {?} templateNodeIndex
-         * @return {?}
-         */
-        AppView.prototype.createEmbeddedViewInternal = function (templateNodeIndex) { return null; };
-        /**
-         * @param {?} lastRootNode
-         * @param {?} allNodes
-         * @param {?} disposables
-         * @return {?}
-         */
-        AppView.prototype.init = function (lastRootNode, allNodes, disposables) {
-            this.lastRootNode = lastRootNode;
-            this.allNodes = allNodes;
-            this.disposables = disposables;
-            if (this.type === ViewType.COMPONENT) {
-                this.dirtyParentQueriesInternal();
-            }
-        };
-        /**
-         * @param {?} token
-         * @param {?} nodeIndex
-         * @param {?=} notFoundValue
-         * @return {?}
-         */
-        AppView.prototype.injectorGet = function (token, nodeIndex, notFoundValue) {
-            if (notFoundValue === void 0) { notFoundValue = THROW_IF_NOT_FOUND; }
-            var /** @type {?} */ result = UNDEFINED$1;
-            var /** @type {?} */ view = this;
-            while (result === UNDEFINED$1) {
-                if (isPresent(nodeIndex)) {
-                    result = view.injectorGetInternal(token, nodeIndex, UNDEFINED$1);
-                }
-                if (result === UNDEFINED$1 && view.type === ViewType.HOST) {
-                    result = view._hostInjector.get(token, notFoundValue);
-                }
-                nodeIndex = view.parentIndex;
-                view = view.parentView;
-            }
-            return result;
-        };
-        /**
-         * Overwritten by implementations
-         * @param {?} token
-         * @param {?} nodeIndex
-         * @param {?} notFoundResult
-         * @return {?}
-         */
-        AppView.prototype.injectorGetInternal = function (token, nodeIndex, notFoundResult) {
-            return notFoundResult;
-        };
-        /**
-         * @param {?} nodeIndex
-         * @return {?}
-         */
-        AppView.prototype.injector = function (nodeIndex) { return new ElementInjector(this, nodeIndex); };
-        /**
-         * @return {?}
-         */
-        AppView.prototype.detachAndDestroy = function () {
-            if (this.viewContainer) {
-                this.viewContainer.detachView(this.viewContainer.nestedViews.indexOf(this));
-            }
-            else if (this.appRef) {
-                this.appRef.detachView(this.ref);
-            }
-            else if (this._hasExternalHostElement) {
-                this.detach();
-            }
-            this.destroy();
-        };
-        /**
-         * @return {?}
-         */
-        AppView.prototype.destroy = function () {
-            var _this = this;
-            if (this.cdMode === ChangeDetectorStatus.Destroyed) {
-                return;
-            }
-            var /** @type {?} */ hostElement = this.type === ViewType.COMPONENT ? this.parentElement : null;
-            if (this.disposables) {
-                for (var /** @type {?} */ i = 0; i < this.disposables.length; i++) {
-                    this.disposables[i]();
-                }
-            }
-            this.destroyInternal();
-            this.dirtyParentQueriesInternal();
-            if (this._animationContext) {
-                this._animationContext.onAllActiveAnimationsDone(function () { return _this.renderer.destroyView(hostElement, _this.allNodes); });
-            }
-            else {
-                this.renderer.destroyView(hostElement, this.allNodes);
-            }
-            this.cdMode = ChangeDetectorStatus.Destroyed;
-        };
-        /**
-         * Overwritten by implementations
-         * @return {?}
-         */
-        AppView.prototype.destroyInternal = function () { };
-        /**
-         * Overwritten by implementations
-         * @return {?}
-         */
-        AppView.prototype.detachInternal = function () { };
-        /**
-         * @return {?}
-         */
-        AppView.prototype.detach = function () {
-            var _this = this;
-            this.detachInternal();
-            if (this._animationContext) {
-                this._animationContext.onAllActiveAnimationsDone(function () { return _this._renderDetach(); });
-            }
-            else {
-                this._renderDetach();
-            }
-            if (this.declaredViewContainer && this.declaredViewContainer !== this.viewContainer &&
-                this.declaredViewContainer.projectedViews) {
-                var /** @type {?} */ projectedViews = this.declaredViewContainer.projectedViews;
-                var /** @type {?} */ index = projectedViews.indexOf(this);
-                // perf: pop is faster than splice!
-                if (index >= projectedViews.length - 1) {
-                    projectedViews.pop();
-                }
-                else {
-                    projectedViews.splice(index, 1);
-                }
-            }
-            this.appRef = null;
-            this.viewContainer = null;
-            this.dirtyParentQueriesInternal();
-        };
+        return AnimationStyles;
+    }());
+
+    /**
+     * An instance of this class is returned as an event parameter when an animation
+     * callback is captured for an animation either during the start or done phase.
+     *
+     * ```typescript
+     * \@Component({
+     *   host: {
+     *     '[\@myAnimationTrigger]': 'someExpression',
+     *     '(\@myAnimationTrigger.start)': 'captureStartEvent($event)',
+     *     '(\@myAnimationTrigger.done)': 'captureDoneEvent($event)',
+     *   },
+     *   animations: [
+     *     trigger("myAnimationTrigger", [
+     *        // ...
+     *     ])
+     *   ]
+     * })
+     * class MyComponent {
+     *   someExpression: any = false;
+     *   captureStartEvent(event: AnimationTransitionEvent) {
+     *     // the toState, fromState and totalTime data is accessible from the event variable
+     *   }
+     *
+     *   captureDoneEvent(event: AnimationTransitionEvent) {
+     *     // the toState, fromState and totalTime data is accessible from the event variable
+     *   }
+     * }
+     * ```
+     *
+     * \@experimental Animation support is experimental.
+     */
+    var AnimationTransitionEvent = (function () {
         /**
-         * @return {?}
+         * @param {?} __0
          */
-        AppView.prototype._renderDetach = function () {
-            if (this._directRenderer) {
-                this.visitRootNodesInternal(this._directRenderer.remove, null);
-            }
-            else {
-                this.renderer.detachView(this.flatRootNodes);
-            }
-        };
+        function AnimationTransitionEvent(_a) {
+            var fromState = _a.fromState, toState = _a.toState, totalTime = _a.totalTime, phaseName = _a.phaseName, element = _a.element, triggerName = _a.triggerName;
+            this.fromState = fromState;
+            this.toState = toState;
+            this.totalTime = totalTime;
+            this.phaseName = phaseName;
+            this.element = new ElementRef(element);
+            this.triggerName = triggerName;
+        }
+        return AnimationTransitionEvent;
+    }());
+
+    var AnimationTransition = (function () {
         /**
-         * @param {?} appRef
-         * @return {?}
+         * @param {?} _player
+         * @param {?} _element
+         * @param {?} _triggerName
+         * @param {?} _fromState
+         * @param {?} _toState
+         * @param {?} _totalTime
          */
-        AppView.prototype.attachToAppRef = function (appRef) {
-            if (this.viewContainer) {
-                throw new Error('This view is already attached to a ViewContainer!');
-            }
-            this.appRef = appRef;
-            this.dirtyParentQueriesInternal();
-        };
+        function AnimationTransition(_player, _element, _triggerName, _fromState, _toState, _totalTime) {
+            this._player = _player;
+            this._element = _element;
+            this._triggerName = _triggerName;
+            this._fromState = _fromState;
+            this._toState = _toState;
+            this._totalTime = _totalTime;
+        }
         /**
-         * @param {?} viewContainer
-         * @param {?} prevView
+         * @param {?} phaseName
          * @return {?}
          */
-        AppView.prototype.attachAfter = function (viewContainer, prevView) {
-            if (this.appRef) {
-                throw new Error('This view is already attached directly to the ApplicationRef!');
-            }
-            this._renderAttach(viewContainer, prevView);
-            this.viewContainer = viewContainer;
-            if (this.declaredViewContainer && this.declaredViewContainer !== viewContainer) {
-                if (!this.declaredViewContainer.projectedViews) {
-                    this.declaredViewContainer.projectedViews = [];
-                }
-                this.declaredViewContainer.projectedViews.push(this);
-            }
-            this.dirtyParentQueriesInternal();
+        AnimationTransition.prototype._createEvent = function (phaseName) {
+            return new AnimationTransitionEvent({
+                fromState: this._fromState,
+                toState: this._toState,
+                totalTime: this._totalTime,
+                phaseName: phaseName,
+                element: this._element,
+                triggerName: this._triggerName
+            });
         };
         /**
-         * @param {?} viewContainer
-         * @param {?} prevView
+         * @param {?} callback
          * @return {?}
          */
-        AppView.prototype.moveAfter = function (viewContainer, prevView) {
-            this._renderAttach(viewContainer, prevView);
-            this.dirtyParentQueriesInternal();
+        AnimationTransition.prototype.onStart = function (callback) {
+            var _this = this;
+            var /** @type {?} */ fn = _wrapInCurrentZone(function () { return callback(_this._createEvent('start')); }, 'player.onStart');
+            this._player.onStart(fn);
         };
         /**
-         * @param {?} viewContainer
-         * @param {?} prevView
+         * @param {?} callback
          * @return {?}
          */
-        AppView.prototype._renderAttach = function (viewContainer, prevView) {
-            var /** @type {?} */ prevNode = prevView ? prevView.lastRootNode : viewContainer.nativeElement;
-            if (this._directRenderer) {
-                var /** @type {?} */ nextSibling = this._directRenderer.nextSibling(prevNode);
-                if (nextSibling) {
-                    this.visitRootNodesInternal(this._directRenderer.insertBefore, nextSibling);
-                }
-                else {
-                    var /** @type {?} */ parentElement = this._directRenderer.parentElement(prevNode);
-                    if (parentElement) {
-                        this.visitRootNodesInternal(this._directRenderer.appendChild, parentElement);
-                    }
-                }
-            }
-            else {
-                this.renderer.attachViewAfter(prevNode, this.flatRootNodes);
-            }
+        AnimationTransition.prototype.onDone = function (callback) {
+            var _this = this;
+            var /** @type {?} */ fn = _wrapInCurrentZone(function () { return callback(_this._createEvent('done')); }, 'player.onDone');
+            this._player.onDone(fn);
         };
-        Object.defineProperty(AppView.prototype, "changeDetectorRef", {
-            /**
-             * @return {?}
-             */
-            get: function () { return this.ref; },
-            enumerable: true,
-            configurable: true
-        });
-        Object.defineProperty(AppView.prototype, "flatRootNodes", {
-            /**
-             * @return {?}
-             */
-            get: function () {
-                var /** @type {?} */ nodes = [];
-                this.visitRootNodesInternal(addToArray, nodes);
-                return nodes;
-            },
-            enumerable: true,
-            configurable: true
-        });
+        return AnimationTransition;
+    }());
+    /**
+     * @param {?} fn
+     * @param {?} source
+     * @return {?}
+     */
+    function _wrapInCurrentZone(fn, source) {
+        // Without Zone.js, the listeners schedule change detection themselves.
+        return typeof Zone == 'undefined' ? fn : Zone.current.wrap(fn, source);
+    }
+
+    var DebugDomRootRenderer = (function () {
         /**
-         * @param {?} parentElement
-         * @param {?} ngContentIndex
-         * @return {?}
+         * @param {?} _delegate
          */
-        AppView.prototype.projectNodes = function (parentElement, ngContentIndex) {
-            if (this._directRenderer) {
-                this.visitProjectedNodes(ngContentIndex, this._directRenderer.appendChild, parentElement);
-            }
-            else {
-                var /** @type {?} */ nodes = [];
-                this.visitProjectedNodes(ngContentIndex, addToArray, nodes);
-                this.renderer.projectNodes(parentElement, nodes);
-            }
-        };
+        function DebugDomRootRenderer(_delegate) {
+            this._delegate = _delegate;
+            this._globalListeners = [];
+        }
         /**
-         * @param {?} ngContentIndex
-         * @param {?} cb
-         * @param {?} c
+         * @param {?} componentProto
          * @return {?}
          */
-        AppView.prototype.visitProjectedNodes = function (ngContentIndex, cb, c) {
-            switch (this.type) {
-                case ViewType.EMBEDDED:
-                    this.parentView.visitProjectedNodes(ngContentIndex, cb, c);
-                    break;
-                case ViewType.COMPONENT:
-                    if (this.parentView.type === ViewType.HOST) {
-                        var /** @type {?} */ nodes = this.parentView._hostProjectableNodes[ngContentIndex] || [];
-                        for (var /** @type {?} */ i = 0; i < nodes.length; i++) {
-                            cb(nodes[i], c);
-                        }
-                    }
-                    else {
-                        this.parentView.visitProjectableNodesInternal(this.parentIndex, ngContentIndex, cb, c);
-                    }
-                    break;
-            }
+        DebugDomRootRenderer.prototype.renderComponent = function (componentProto) {
+            return new DebugDomRenderer(this._delegate.renderComponent(componentProto), this._globalListeners);
         };
+        return DebugDomRootRenderer;
+    }());
+    var DebugDomRenderer = (function () {
         /**
-         * Overwritten by implementations
-         * @param {?} cb
-         * @param {?} c
-         * @return {?}
-         */
-        AppView.prototype.visitRootNodesInternal = function (cb, c) { };
-        /**
-         * Overwritten by implementations
-         * @param {?} nodeIndex
-         * @param {?} ngContentIndex
-         * @param {?} cb
-         * @param {?} c
-         * @return {?}
+         * @param {?} _delegate
+         * @param {?=} _globalListeners
          */
-        AppView.prototype.visitProjectableNodesInternal = function (nodeIndex, ngContentIndex, cb, c) { };
+        function DebugDomRenderer(_delegate, _globalListeners) {
+            if (_globalListeners === void 0) { _globalListeners = []; }
+            this._delegate = _delegate;
+            this._globalListeners = _globalListeners;
+        }
         /**
-         * Overwritten by implementations
+         * @param {?} selectorOrNode
+         * @param {?=} debugInfo
          * @return {?}
          */
-        AppView.prototype.dirtyParentQueriesInternal = function () { };
+        DebugDomRenderer.prototype.selectRootElement = function (selectorOrNode, debugInfo) {
+            var /** @type {?} */ nativeEl = this._delegate.selectRootElement(selectorOrNode, debugInfo);
+            var /** @type {?} */ debugEl = new DebugElement(nativeEl, null, debugInfo);
+            debugEl._globalListeners = this._globalListeners;
+            indexDebugNode(debugEl);
+            return nativeEl;
+        };
         /**
-         * @param {?} throwOnChange
+         * @param {?} parentElement
+         * @param {?} name
+         * @param {?=} debugInfo
          * @return {?}
          */
-        AppView.prototype.internalDetectChanges = function (throwOnChange) {
-            if (this.cdMode !== ChangeDetectorStatus.Detached) {
-                this.detectChanges(throwOnChange);
-            }
+        DebugDomRenderer.prototype.createElement = function (parentElement, name, debugInfo) {
+            var /** @type {?} */ nativeEl = this._delegate.createElement(parentElement, name, debugInfo);
+            var /** @type {?} */ debugEl = new DebugElement(nativeEl, getDebugNode(parentElement), debugInfo);
+            debugEl.name = name;
+            debugEl._globalListeners = this._globalListeners;
+            indexDebugNode(debugEl);
+            return nativeEl;
         };
         /**
-         * @param {?} throwOnChange
+         * @param {?} hostElement
          * @return {?}
          */
-        AppView.prototype.detectChanges = function (throwOnChange) {
-            var /** @type {?} */ s = _scope_check(this.clazz);
-            if (this.cdMode === ChangeDetectorStatus.Checked ||
-                this.cdMode === ChangeDetectorStatus.Errored)
-                return;
-            if (this.cdMode === ChangeDetectorStatus.Destroyed) {
-                this.throwDestroyedError('detectChanges');
-            }
-            this.throwOnChange = throwOnChange;
-            this.detectChangesInternal();
-            if (this.cdMode === ChangeDetectorStatus.CheckOnce)
-                this.cdMode = ChangeDetectorStatus.Checked;
-            this.numberOfChecks++;
-            wtfLeave(s);
-        };
+        DebugDomRenderer.prototype.createViewRoot = function (hostElement) { return this._delegate.createViewRoot(hostElement); };
         /**
-         * Overwritten by implementations
+         * @param {?} parentElement
+         * @param {?=} debugInfo
          * @return {?}
          */
-        AppView.prototype.detectChangesInternal = function () { };
+        DebugDomRenderer.prototype.createTemplateAnchor = function (parentElement, debugInfo) {
+            var /** @type {?} */ comment = this._delegate.createTemplateAnchor(parentElement, debugInfo);
+            var /** @type {?} */ debugEl = new DebugNode(comment, getDebugNode(parentElement), debugInfo);
+            indexDebugNode(debugEl);
+            return comment;
+        };
         /**
+         * @param {?} parentElement
+         * @param {?} value
+         * @param {?=} debugInfo
          * @return {?}
          */
-        AppView.prototype.markAsCheckOnce = function () { this.cdMode = ChangeDetectorStatus.CheckOnce; };
+        DebugDomRenderer.prototype.createText = function (parentElement, value, debugInfo) {
+            var /** @type {?} */ text = this._delegate.createText(parentElement, value, debugInfo);
+            var /** @type {?} */ debugEl = new DebugNode(text, getDebugNode(parentElement), debugInfo);
+            debugEl._text = value;
+            indexDebugNode(debugEl);
+            return text;
+        };
         /**
+         * @param {?} parentElement
+         * @param {?} nodes
          * @return {?}
          */
-        AppView.prototype.markPathToRootAsCheckOnce = function () {
-            var /** @type {?} */ c = this;
-            while (isPresent(c) && c.cdMode !== ChangeDetectorStatus.Detached) {
-                if (c.cdMode === ChangeDetectorStatus.Checked) {
-                    c.cdMode = ChangeDetectorStatus.CheckOnce;
-                }
-                if (c.type === ViewType.COMPONENT) {
-                    c = c.parentView;
-                }
-                else {
-                    c = c.viewContainer ? c.viewContainer.parentView : null;
-                }
+        DebugDomRenderer.prototype.projectNodes = function (parentElement, nodes) {
+            var /** @type {?} */ debugParent = getDebugNode(parentElement);
+            if (isPresent(debugParent) && debugParent instanceof DebugElement) {
+                var /** @type {?} */ debugElement_1 = debugParent;
+                nodes.forEach(function (node) { debugElement_1.addChild(getDebugNode(node)); });
             }
+            this._delegate.projectNodes(parentElement, nodes);
         };
         /**
-         * @param {?} cb
+         * @param {?} node
+         * @param {?} viewRootNodes
          * @return {?}
          */
-        AppView.prototype.eventHandler = function (cb) {
-            return cb;
+        DebugDomRenderer.prototype.attachViewAfter = function (node, viewRootNodes) {
+            var /** @type {?} */ debugNode = getDebugNode(node);
+            if (isPresent(debugNode)) {
+                var /** @type {?} */ debugParent = debugNode.parent;
+                if (viewRootNodes.length > 0 && isPresent(debugParent)) {
+                    var /** @type {?} */ debugViewRootNodes_1 = [];
+                    viewRootNodes.forEach(function (rootNode) { return debugViewRootNodes_1.push(getDebugNode(rootNode)); });
+                    debugParent.insertChildrenAfter(debugNode, debugViewRootNodes_1);
+                }
+            }
+            this._delegate.attachViewAfter(node, viewRootNodes);
         };
         /**
-         * @param {?} details
+         * @param {?} viewRootNodes
          * @return {?}
          */
-        AppView.prototype.throwDestroyedError = function (details) { throw new ViewDestroyedError(details); };
-        return AppView;
-    }());
-    var DebugAppView = (function (_super) {
-        __extends$14(DebugAppView, _super);
+        DebugDomRenderer.prototype.detachView = function (viewRootNodes) {
+            viewRootNodes.forEach(function (node) {
+                var /** @type {?} */ debugNode = getDebugNode(node);
+                if (isPresent(debugNode) && isPresent(debugNode.parent)) {
+                    debugNode.parent.removeChild(debugNode);
+                }
+            });
+            this._delegate.detachView(viewRootNodes);
+        };
         /**
-         * @param {?} clazz
-         * @param {?} componentType
-         * @param {?} type
-         * @param {?} viewUtils
-         * @param {?} parentView
-         * @param {?} parentIndex
-         * @param {?} parentNode
-         * @param {?} cdMode
-         * @param {?} staticNodeDebugInfos
-         * @param {?=} declaredViewContainer
+         * @param {?} hostElement
+         * @param {?} viewAllNodes
+         * @return {?}
          */
-        function DebugAppView(clazz, componentType, type, viewUtils, parentView, parentIndex, parentNode, cdMode, staticNodeDebugInfos, declaredViewContainer) {
-            if (declaredViewContainer === void 0) { declaredViewContainer = null; }
-            _super.call(this, clazz, componentType, type, viewUtils, parentView, parentIndex, parentNode, cdMode, declaredViewContainer);
-            this.staticNodeDebugInfos = staticNodeDebugInfos;
-            this._currentDebugContext = null;
-        }
+        DebugDomRenderer.prototype.destroyView = function (hostElement, viewAllNodes) {
+            viewAllNodes = viewAllNodes || [];
+            viewAllNodes.forEach(function (node) { removeDebugNodeFromIndex(getDebugNode(node)); });
+            this._delegate.destroyView(hostElement, viewAllNodes);
+        };
         /**
-         * @param {?} context
+         * @param {?} renderElement
+         * @param {?} name
+         * @param {?} callback
          * @return {?}
          */
-        DebugAppView.prototype.create = function (context) {
-            this._resetDebug();
-            try {
-                return _super.prototype.create.call(this, context);
-            }
-            catch (e) {
-                this._rethrowWithContext(e);
-                throw e;
+        DebugDomRenderer.prototype.listen = function (renderElement, name, callback) {
+            var /** @type {?} */ debugEl = getDebugNode(renderElement);
+            if (isPresent(debugEl)) {
+                debugEl.listeners.push(new EventListener(name, callback));
             }
+            return this._delegate.listen(renderElement, name, callback);
         };
         /**
-         * @param {?} rootSelectorOrNode
-         * @param {?} injector
-         * @param {?=} projectableNodes
+         * @param {?} target
+         * @param {?} name
+         * @param {?} callback
          * @return {?}
          */
-        DebugAppView.prototype.createHostView = function (rootSelectorOrNode, injector, projectableNodes) {
-            if (projectableNodes === void 0) { projectableNodes = null; }
-            this._resetDebug();
-            try {
-                return _super.prototype.createHostView.call(this, rootSelectorOrNode, injector, projectableNodes);
-            }
-            catch (e) {
-                this._rethrowWithContext(e);
-                throw e;
-            }
+        DebugDomRenderer.prototype.listenGlobal = function (target, name, callback) {
+            var _this = this;
+            var /** @type {?} */ entry = { target: target, listener: new EventListener(name, callback) };
+            this._globalListeners.push(entry);
+            var /** @type {?} */ unlisten = this._delegate.listenGlobal(target, name, callback);
+            return function () {
+                var /** @type {?} */ index = _this._globalListeners.indexOf(entry);
+                if (index !== -1) {
+                    _this._globalListeners.splice(index, 1);
+                }
+                unlisten();
+            };
         };
         /**
-         * @param {?} token
-         * @param {?} nodeIndex
-         * @param {?=} notFoundResult
+         * @param {?} renderElement
+         * @param {?} propertyName
+         * @param {?} propertyValue
          * @return {?}
          */
-        DebugAppView.prototype.injectorGet = function (token, nodeIndex, notFoundResult) {
-            this._resetDebug();
-            try {
-                return _super.prototype.injectorGet.call(this, token, nodeIndex, notFoundResult);
-            }
-            catch (e) {
-                this._rethrowWithContext(e);
-                throw e;
+        DebugDomRenderer.prototype.setElementProperty = function (renderElement, propertyName, propertyValue) {
+            var /** @type {?} */ debugEl = getDebugNode(renderElement);
+            if (isPresent(debugEl) && debugEl instanceof DebugElement) {
+                debugEl.properties[propertyName] = propertyValue;
             }
+            this._delegate.setElementProperty(renderElement, propertyName, propertyValue);
         };
         /**
+         * @param {?} renderElement
+         * @param {?} attributeName
+         * @param {?} attributeValue
          * @return {?}
          */
-        DebugAppView.prototype.detach = function () {
-            this._resetDebug();
-            try {
-                _super.prototype.detach.call(this);
-            }
-            catch (e) {
-                this._rethrowWithContext(e);
-                throw e;
+        DebugDomRenderer.prototype.setElementAttribute = function (renderElement, attributeName, attributeValue) {
+            var /** @type {?} */ debugEl = getDebugNode(renderElement);
+            if (isPresent(debugEl) && debugEl instanceof DebugElement) {
+                debugEl.attributes[attributeName] = attributeValue;
             }
+            this._delegate.setElementAttribute(renderElement, attributeName, attributeValue);
         };
         /**
+         * @param {?} renderElement
+         * @param {?} propertyName
+         * @param {?} propertyValue
          * @return {?}
          */
-        DebugAppView.prototype.destroy = function () {
-            this._resetDebug();
-            try {
-                _super.prototype.destroy.call(this);
-            }
-            catch (e) {
-                this._rethrowWithContext(e);
-                throw e;
+        DebugDomRenderer.prototype.setBindingDebugInfo = function (renderElement, propertyName, propertyValue) {
+            var /** @type {?} */ debugEl = getDebugNode(renderElement);
+            if (isPresent(debugEl) && debugEl instanceof DebugElement) {
+                debugEl._bindingDebugInfo[propertyName] = propertyValue;
             }
+            this._delegate.setBindingDebugInfo(renderElement, propertyName, propertyValue);
         };
         /**
-         * @param {?} throwOnChange
+         * @param {?} renderElement
+         * @param {?} className
+         * @param {?} isAdd
          * @return {?}
          */
-        DebugAppView.prototype.detectChanges = function (throwOnChange) {
-            this._resetDebug();
-            try {
-                _super.prototype.detectChanges.call(this, throwOnChange);
-            }
-            catch (e) {
-                this._rethrowWithContext(e);
-                throw e;
+        DebugDomRenderer.prototype.setElementClass = function (renderElement, className, isAdd) {
+            var /** @type {?} */ debugEl = getDebugNode(renderElement);
+            if (isPresent(debugEl) && debugEl instanceof DebugElement) {
+                debugEl.classes[className] = isAdd;
             }
+            this._delegate.setElementClass(renderElement, className, isAdd);
         };
         /**
+         * @param {?} renderElement
+         * @param {?} styleName
+         * @param {?} styleValue
          * @return {?}
          */
-        DebugAppView.prototype._resetDebug = function () { this._currentDebugContext = null; };
+        DebugDomRenderer.prototype.setElementStyle = function (renderElement, styleName, styleValue) {
+            var /** @type {?} */ debugEl = getDebugNode(renderElement);
+            if (isPresent(debugEl) && debugEl instanceof DebugElement) {
+                debugEl.styles[styleName] = styleValue;
+            }
+            this._delegate.setElementStyle(renderElement, styleName, styleValue);
+        };
         /**
-         * @param {?} nodeIndex
-         * @param {?} rowNum
-         * @param {?} colNum
+         * @param {?} renderElement
+         * @param {?} methodName
+         * @param {?=} args
          * @return {?}
          */
-        DebugAppView.prototype.debug = function (nodeIndex, rowNum, colNum) {
-            return this._currentDebugContext = new DebugContext(this, nodeIndex, rowNum, colNum);
+        DebugDomRenderer.prototype.invokeElementMethod = function (renderElement, methodName, args) {
+            this._delegate.invokeElementMethod(renderElement, methodName, args);
         };
         /**
-         * @param {?} e
+         * @param {?} renderNode
+         * @param {?} text
          * @return {?}
          */
-        DebugAppView.prototype._rethrowWithContext = function (e) {
-            if (!(e instanceof ViewWrappedError)) {
-                if (!(e instanceof ExpressionChangedAfterItHasBeenCheckedError)) {
-                    this.cdMode = ChangeDetectorStatus.Errored;
-                }
-                if (isPresent(this._currentDebugContext)) {
-                    throw new ViewWrappedError(e, this._currentDebugContext);
-                }
+        DebugDomRenderer.prototype.setText = function (renderNode, text) {
+            var /** @type {?} */ debugNode = getDebugNode(renderNode);
+            if (isPresent(debugNode)) {
+                debugNode._text = text;
             }
+            this._delegate.setText(renderNode, text);
         };
         /**
-         * @param {?} cb
+         * @param {?} element
+         * @param {?} startingStyles
+         * @param {?} keyframes
+         * @param {?} duration
+         * @param {?} delay
+         * @param {?} easing
+         * @param {?=} previousPlayers
          * @return {?}
          */
-        DebugAppView.prototype.eventHandler = function (cb) {
-            var _this = this;
-            var /** @type {?} */ superHandler = _super.prototype.eventHandler.call(this, cb);
-            return function (eventName, event) {
-                _this._resetDebug();
-                try {
-                    return superHandler.call(_this, eventName, event);
-                }
-                catch (e) {
-                    _this._rethrowWithContext(e);
-                    throw e;
-                }
-            };
+        DebugDomRenderer.prototype.animate = function (element, startingStyles, keyframes, duration, delay, easing, previousPlayers) {
+            if (previousPlayers === void 0) { previousPlayers = []; }
+            return this._delegate.animate(element, startingStyles, keyframes, duration, delay, easing, previousPlayers);
         };
-        return DebugAppView;
-    }(AppView));
+        return DebugDomRenderer;
+    }());
 
     /**
      * A ViewContainer is created for elements that have a ViewContainerRef
@@ -13091,6 +19465,8 @@
             this.parentIndex = parentIndex;
             this.parentView = parentView;
             this.nativeElement = nativeElement;
+            parentView._viewContainers = parentView._viewContainers || [];
+            parentView._viewContainers.push(this);
         }
         Object.defineProperty(ViewContainer.prototype, "elementRef", {
             /**
@@ -13277,10 +19653,10 @@
         Console: Console,
         reflector: reflector,
         Reflector: Reflector,
-        NoOpAnimationPlayer: NoOpAnimationPlayer,
-        AnimationPlayer: AnimationPlayer,
-        AnimationSequencePlayer: AnimationSequencePlayer,
-        AnimationGroupPlayer: AnimationGroupPlayer,
+        NoOpAnimationPlayer: NoOpAnimationPlayer_,
+        AnimationPlayer: AnimationPlayer_,
+        AnimationSequencePlayer: AnimationSequencePlayer_,
+        AnimationGroupPlayer: AnimationGroupPlayer_,
         AnimationKeyframe: AnimationKeyframe,
         prepareFinalAnimationStyles: prepareFinalAnimationStyles,
         balanceAnimationKeyframes: balanceAnimationKeyframes,
@@ -13309,6 +19685,9 @@
     exports.isDevMode = isDevMode;
     exports.createPlatformFactory = createPlatformFactory;
     exports.NgProbeToken = NgProbeToken;
+    exports.TickScheduler = TickScheduler;
+    exports.AnimationFrameTickScheduler = AnimationFrameTickScheduler;
+    exports.TimeoutTickScheduler = TimeoutTickScheduler;
     exports.APP_ID = APP_ID;
     exports.PACKAGE_ROOT_URL = PACKAGE_ROOT_URL;
     exports.PLATFORM_INITIALIZER = PLATFORM_INITIALIZER;
@@ -13319,6 +19698,12 @@
     exports.DebugNode = DebugNode;
     exports.asNativeElements = asNativeElements;
     exports.getDebugNode = getDebugNode;
+    exports.DebugSelector = DebugSelector;
+    exports.diffSnapshots = diffSnapshots;
+    exports.getInjectorGraph = getInjectorGraph;
+    exports.ResolutionTracer = ResolutionTracer;
+    exports.getResolutionTracer = getResolutionTracer;
+    exports.setResolutionTracer = setResolutionTracer;
     exports.Testability = Testability;
     exports.TestabilityRegistry = TestabilityRegistry;
     exports.setTestabilityGetter = setTestabilityGetter;
@@ -13330,11 +19715,24 @@
     exports.wtfLeave = wtfLeave;
     exports.wtfStartTimeRange = wtfStartTimeRange;
     exports.wtfEndTimeRange = wtfEndTimeRange;
+    exports.getProfilingBackend = getProfilingBackend;
+    exports.setProfilingBackend = setProfilingBackend;
+    exports.MemoryProfilingBackend = MemoryProfilingBackend;
+    exports.TraceEventProfilingBackend = TraceEventProfilingBackend;
+    exports.UserTimingProfilingBackend = UserTimingProfilingBackend;
+    exports.WtfProfilingBackend = WtfProfilingBackend;
+    exports.ChangeDetectionProfiler = ChangeDetectionProfiler;
+    exports.getChangeDetectionProfiler = getChangeDetectionProfiler;
+    exports.setChangeDetectionProfiler = setChangeDetectionProfiler;
+    exports.BindingMonitor = BindingMonitor;
+    exports.getBindingMonitor = getBindingMonitor;
+    exports.setBindingMonitor = setBindingMonitor;
     exports.Type = Type;
     exports.EventEmitter = EventEmitter;
+    exports.ERROR_REPORTERS = ERROR_REPORTERS;
     exports.ErrorHandler = ErrorHandler;
     exports.AnimationTransitionEvent = AnimationTransitionEvent;
-    exports.AnimationPlayer = AnimationPlayer;
+    exports.AnimationPlayer = AnimationPlayer_;
     exports.Sanitizer = Sanitizer;
     exports.SecurityContext = SecurityContext;
     exports.ANALYZE_FOR_ENTRY_COMPONENTS = ANALYZE_FOR_ENTRY_COMPONENTS;
@@ -13359,6 +19757,7 @@
     exports.OnChanges = OnChanges;
     exports.OnDestroy = OnDestroy;
     exports.OnInit = OnInit;
+    exports.OnViewError = OnViewError;
     exports.CUSTOM_ELEMENTS_SCHEMA = CUSTOM_ELEMENTS_SCHEMA;
     exports.NO_ERRORS_SCHEMA = NO_ERRORS_SCHEMA;
     exports.NgModule = NgModule;
@@ -13373,6 +19772,7 @@
     exports.ResolvedReflectiveFactory = ResolvedReflectiveFactory;
     exports.ReflectiveKey = ReflectiveKey;
     exports.OpaqueToken = OpaqueToken;
+    exports.ProviderScope = ProviderScope;
     exports.Inject = Inject;
     exports.Optional = Optional;
     exports.Injectable = Injectable;
@@ -13380,6 +19780,15 @@
     exports.SkipSelf = SkipSelf;
     exports.Host = Host;
     exports.NgZone = NgZone;
+    exports.NoopNgZone = NoopNgZone;
+    exports.HydrationRootRenderer = HydrationRootRenderer;
+    exports.MemoryComment = MemoryComment;
+    exports.MemoryElement = MemoryElement;
+    exports.MemoryNode = MemoryNode;
+    exports.MemoryRootRenderer = MemoryRootRenderer;
+    exports.MemoryText = MemoryText;
+    exports.RecordingRootRenderer = RecordingRootRenderer;
+    exports.RenderCommandReplayer = RenderCommandReplayer;
     exports.RenderComponentType = RenderComponentType;
     exports.Renderer = Renderer;
     exports.RootRenderer = RootRenderer;
@@ -13410,6 +19819,8 @@
     exports.SimpleChange = SimpleChange;
     exports.WrappedValue = WrappedValue;
     exports.platformCore = platformCore;
+    exports.renderModuleToStream = renderModuleToStream;
+    exports.renderModuleToString = renderModuleToString;
     exports.__core_private__ = __core_private__;
     exports.AUTO_STYLE = AUTO_STYLE;
     exports.AnimationEntryMetadata = AnimationEntryMetadata;
@@ -3,7 +3,7 @@
  * (c) 2010-2016 Google, Inc. https://angular.io/
  * License: MIT
  */
-!function(global,factory){"object"==typeof exports&&"undefined"!=typeof module?factory(exports,require("rxjs/Subject"),require("rxjs/Observable")):"function"==typeof define&&define.amd?define(["exports","rxjs/Subject","rxjs/Observable"],factory):factory((global.ng=global.ng||{},global.ng.core=global.ng.core||{}),global.Rx,global.Rx)}(this,function(exports,rxjs_Subject,rxjs_Observable){"use strict";function scheduleMicroTask(fn){Zone.current.scheduleMicroTask("scheduleMicrotask",fn)}function getTypeNameForDebugging(type){return type.name||typeof type}function isPresent(obj){return null!=obj}function isBlank(obj){return null==obj}function stringify(token){if("string"==typeof token)return token;if(null==token)return""+token;if(token.overriddenName)return""+token.overriddenName;if(token.name)return""+token.name;var res=token.toString(),newLineIndex=res.indexOf("\n");return newLineIndex===-1?res:res.substring(0,newLineIndex)}function looseIdentical(a,b){return a===b||"number"==typeof a&&"number"==typeof b&&isNaN(a)&&isNaN(b)}function isJsObject(o){return null!==o&&("function"==typeof o||"object"==typeof o)}function print(obj){console.log(obj)}function warn(obj){console.warn(obj)}function getSymbolIterator(){if(!_symbolIterator)if(globalScope.Symbol&&Symbol.iterator)_symbolIterator=Symbol.iterator;else for(var keys=Object.getOwnPropertyNames(Map.prototype),i=0;i<keys.length;++i){var key=keys[i];"entries"!==key&&"size"!==key&&Map.prototype[key]===Map.prototype.entries&&(_symbolIterator=key)}return _symbolIterator}function isPrimitive(obj){return!isJsObject(obj)}function extractAnnotation(annotation){return"function"==typeof annotation&&annotation.hasOwnProperty("annotation")&&(annotation=annotation.annotation),annotation}function applyParams(fnOrArray,key){if(fnOrArray===Object||fnOrArray===String||fnOrArray===Function||fnOrArray===Number||fnOrArray===Array)throw new Error("Can not use native "+stringify(fnOrArray)+" as constructor");if("function"==typeof fnOrArray)return fnOrArray;if(Array.isArray(fnOrArray)){var annotations=fnOrArray,annoLength=annotations.length-1,fn=fnOrArray[annoLength];if("function"!=typeof fn)throw new Error("Last position of Class method array must be Function in key "+key+" was '"+stringify(fn)+"'");if(annoLength!=fn.length)throw new Error("Number of annotations ("+annoLength+") does not match number of arguments ("+fn.length+") in the function: "+stringify(fn));for(var paramsAnnotations=[],i=0,ii=annotations.length-1;i<ii;i++){var paramAnnotations=[];paramsAnnotations.push(paramAnnotations);var annotation=annotations[i];if(Array.isArray(annotation))for(var j=0;j<annotation.length;j++)paramAnnotations.push(extractAnnotation(annotation[j]));else"function"==typeof annotation?paramAnnotations.push(extractAnnotation(annotation)):paramAnnotations.push(annotation)}return Reflect.defineMetadata("parameters",paramsAnnotations,fn),fn}throw new Error("Only Function or Array is supported in Class definition for key '"+key+"' is '"+stringify(fnOrArray)+"'")}function Class(clsDef){var constructor=applyParams(clsDef.hasOwnProperty("constructor")?clsDef.constructor:void 0,"constructor"),proto=constructor.prototype;if(clsDef.hasOwnProperty("extends")){if("function"!=typeof clsDef.extends)throw new Error("Class definition 'extends' property must be a constructor function was: "+stringify(clsDef.extends));constructor.prototype=proto=Object.create(clsDef.extends.prototype)}for(var key in clsDef)"extends"!==key&&"prototype"!==key&&clsDef.hasOwnProperty(key)&&(proto[key]=applyParams(clsDef[key],key));this&&this.annotations instanceof Array&&Reflect.defineMetadata("annotations",this.annotations,constructor);var constructorName=constructor.name;return constructorName&&"constructor"!==constructorName||(constructor.overriddenName="class"+_nextClassId++),constructor}function makeDecorator(name,props,parentClass,chainFn){function DecoratorFactory(objOrType){if(!Reflect||!Reflect.getOwnMetadata)throw"reflect-metadata shim is required when using class decorators";if(this instanceof DecoratorFactory)return metaCtor.call(this,objOrType),this;var annotationInstance=new DecoratorFactory(objOrType),chainAnnotation="function"==typeof this&&Array.isArray(this.annotations)?this.annotations:[];chainAnnotation.push(annotationInstance);var TypeDecorator=function(cls){var annotations=Reflect.getOwnMetadata("annotations",cls)||[];return annotations.push(annotationInstance),Reflect.defineMetadata("annotations",annotations,cls),cls};return TypeDecorator.annotations=chainAnnotation,TypeDecorator.Class=Class,chainFn&&chainFn(TypeDecorator),TypeDecorator}void 0===chainFn&&(chainFn=null);var metaCtor=makeMetadataCtor([props]);return parentClass&&(DecoratorFactory.prototype=Object.create(parentClass.prototype)),DecoratorFactory.prototype.toString=function(){return"@"+name},DecoratorFactory.annotationCls=DecoratorFactory,DecoratorFactory}function makeMetadataCtor(props){return function(){for(var _this=this,args=[],_i=0;_i<arguments.length;_i++)args[_i-0]=arguments[_i];props.forEach(function(prop,i){var argVal=args[i];if(Array.isArray(prop))_this[prop[0]]=void 0===argVal?prop[1]:argVal;else for(var propName in prop)_this[propName]=argVal&&argVal.hasOwnProperty(propName)?argVal[propName]:prop[propName]})}}function makeParamDecorator(name,props,parentClass){function ParamDecoratorFactory(){function ParamDecorator(cls,unusedKey,index){for(var parameters=Reflect.getOwnMetadata("parameters",cls)||[];parameters.length<=index;)parameters.push(null);return parameters[index]=parameters[index]||[],parameters[index].push(annotationInstance),Reflect.defineMetadata("parameters",parameters,cls),cls}for(var args=[],_i=0;_i<arguments.length;_i++)args[_i-0]=arguments[_i];if(this instanceof ParamDecoratorFactory)return metaCtor.apply(this,args),this;var annotationInstance=new((_a=ParamDecoratorFactory).bind.apply(_a,[void 0].concat(args)));return ParamDecorator.annotation=annotationInstance,ParamDecorator;var _a}var metaCtor=makeMetadataCtor(props);return parentClass&&(ParamDecoratorFactory.prototype=Object.create(parentClass.prototype)),ParamDecoratorFactory.prototype.toString=function(){return"@"+name},ParamDecoratorFactory.annotationCls=ParamDecoratorFactory,ParamDecoratorFactory}function makePropDecorator(name,props,parentClass){function PropDecoratorFactory(){for(var args=[],_i=0;_i<arguments.length;_i++)args[_i-0]=arguments[_i];if(this instanceof PropDecoratorFactory)return metaCtor.apply(this,args),this;var decoratorInstance=new((_a=PropDecoratorFactory).bind.apply(_a,[void 0].concat(args)));return function(target,name){var meta=Reflect.getOwnMetadata("propMetadata",target.constructor)||{};meta[name]=meta.hasOwnProperty(name)&&meta[name]||[],meta[name].unshift(decoratorInstance),Reflect.defineMetadata("propMetadata",meta,target.constructor)};var _a}var metaCtor=makeMetadataCtor(props);return parentClass&&(PropDecoratorFactory.prototype=Object.create(parentClass.prototype)),PropDecoratorFactory.prototype.toString=function(){return"@"+name},PropDecoratorFactory.annotationCls=PropDecoratorFactory,PropDecoratorFactory}function isDefaultChangeDetectionStrategy(changeDetectionStrategy){return isBlank(changeDetectionStrategy)||changeDetectionStrategy===ChangeDetectionStrategy.Default}function forwardRef(forwardRefFn){return forwardRefFn.__forward_ref__=forwardRef,forwardRefFn.toString=function(){return stringify(this())},forwardRefFn}function resolveForwardRef(type){return"function"==typeof type&&type.hasOwnProperty("__forward_ref__")&&type.__forward_ref__===forwardRef?type():type}/**
+!function(global,factory){"object"==typeof exports&&"undefined"!=typeof module?factory(exports,require("rxjs/Subject"),require("rxjs/Observable")):"function"==typeof define&&define.amd?define(["exports","rxjs/Subject","rxjs/Observable"],factory):factory((global.ng=global.ng||{},global.ng.core=global.ng.core||{}),global.Rx,global.Rx)}(this,function(exports,rxjs_Subject,rxjs_Observable){"use strict";function scheduleMicroTask(fn){return"undefined"==typeof Zone?void Promise.resolve(null).then(function(){fn()}):void Zone.current.scheduleMicroTask("scheduleMicrotask",fn)}function getTypeNameForDebugging(type){return type.name||typeof type}function performanceNow(){var performance=global$1.performance;return performance&&performance.now?performance.now():Date.now()}function isPresent(obj){return null!=obj}function isBlank(obj){return null==obj}function stringify(token){if("string"==typeof token)return token;if(null==token)return""+token;if(token.overriddenName)return""+token.overriddenName;if(token.name)return""+token.name;var res=token.toString(),newLineIndex=res.indexOf("\n");return newLineIndex===-1?res:res.substring(0,newLineIndex)}function looseIdentical(a,b){return a===b||"number"==typeof a&&"number"==typeof b&&isNaN(a)&&isNaN(b)}function isJsObject(o){return null!==o&&("function"==typeof o||"object"==typeof o)}function print(obj){console.log(obj)}function warn(obj){console.warn(obj)}function getSymbolIterator(){if(!_symbolIterator)if(globalScope.Symbol&&Symbol.iterator)_symbolIterator=Symbol.iterator;else for(var keys=Object.getOwnPropertyNames(Map.prototype),i=0;i<keys.length;++i){var key=keys[i];"entries"!==key&&"size"!==key&&Map.prototype[key]===Map.prototype.entries&&(_symbolIterator=key)}return _symbolIterator}function isPrimitive(obj){return!isJsObject(obj)}function extractAnnotation(annotation){return"function"==typeof annotation&&annotation.hasOwnProperty("annotation")&&(annotation=annotation.annotation),annotation}function applyParams(fnOrArray,key){if(fnOrArray===Object||fnOrArray===String||fnOrArray===Function||fnOrArray===Number||fnOrArray===Array)throw new Error("Can not use native "+stringify(fnOrArray)+" as constructor");if("function"==typeof fnOrArray)return fnOrArray;if(Array.isArray(fnOrArray)){var annotations=fnOrArray,annoLength=annotations.length-1,fn=fnOrArray[annoLength];if("function"!=typeof fn)throw new Error("Last position of Class method array must be Function in key "+key+" was '"+stringify(fn)+"'");if(annoLength!=fn.length)throw new Error("Number of annotations ("+annoLength+") does not match number of arguments ("+fn.length+") in the function: "+stringify(fn));for(var paramsAnnotations=[],i=0,ii=annotations.length-1;i<ii;i++){var paramAnnotations=[];paramsAnnotations.push(paramAnnotations);var annotation=annotations[i];if(Array.isArray(annotation))for(var j=0;j<annotation.length;j++)paramAnnotations.push(extractAnnotation(annotation[j]));else"function"==typeof annotation?paramAnnotations.push(extractAnnotation(annotation)):paramAnnotations.push(annotation)}return Reflect.defineMetadata("parameters",paramsAnnotations,fn),fn}throw new Error("Only Function or Array is supported in Class definition for key '"+key+"' is '"+stringify(fnOrArray)+"'")}function Class(clsDef){var constructor=applyParams(clsDef.hasOwnProperty("constructor")?clsDef.constructor:void 0,"constructor"),proto=constructor.prototype;if(clsDef.hasOwnProperty("extends")){if("function"!=typeof clsDef.extends)throw new Error("Class definition 'extends' property must be a constructor function was: "+stringify(clsDef.extends));constructor.prototype=proto=Object.create(clsDef.extends.prototype)}for(var key in clsDef)"extends"!==key&&"prototype"!==key&&clsDef.hasOwnProperty(key)&&(proto[key]=applyParams(clsDef[key],key));this&&this.annotations instanceof Array&&Reflect.defineMetadata("annotations",this.annotations,constructor);var constructorName=constructor.name;return constructorName&&"constructor"!==constructorName||(constructor.overriddenName="class"+_nextClassId++),constructor}function makeDecorator(name,props,parentClass,chainFn){function DecoratorFactory(objOrType){if(!Reflect||!Reflect.getOwnMetadata)throw"reflect-metadata shim is required when using class decorators";if(this instanceof DecoratorFactory)return metaCtor.call(this,objOrType),this;var annotationInstance=new DecoratorFactory(objOrType),chainAnnotation="function"==typeof this&&Array.isArray(this.annotations)?this.annotations:[];chainAnnotation.push(annotationInstance);var TypeDecorator=function(cls){var annotations=Reflect.getOwnMetadata("annotations",cls)||[];return annotations.push(annotationInstance),Reflect.defineMetadata("annotations",annotations,cls),cls};return TypeDecorator.annotations=chainAnnotation,TypeDecorator.Class=Class,chainFn&&chainFn(TypeDecorator),TypeDecorator}void 0===chainFn&&(chainFn=null);var metaCtor=makeMetadataCtor([props]);return parentClass&&(DecoratorFactory.prototype=Object.create(parentClass.prototype)),DecoratorFactory.prototype.toString=function(){return"@"+name},DecoratorFactory.annotationCls=DecoratorFactory,DecoratorFactory}function makeMetadataCtor(props){return function(){for(var _this=this,args=[],_i=0;_i<arguments.length;_i++)args[_i-0]=arguments[_i];props.forEach(function(prop,i){var argVal=args[i];if(Array.isArray(prop))_this[prop[0]]=void 0===argVal?prop[1]:argVal;else for(var propName in prop)_this[propName]=argVal&&argVal.hasOwnProperty(propName)?argVal[propName]:prop[propName]})}}function makeParamDecorator(name,props,parentClass){function ParamDecoratorFactory(){function ParamDecorator(cls,unusedKey,index){for(var parameters=Reflect.getOwnMetadata("parameters",cls)||[];parameters.length<=index;)parameters.push(null);return parameters[index]=parameters[index]||[],parameters[index].push(annotationInstance),Reflect.defineMetadata("parameters",parameters,cls),cls}for(var args=[],_i=0;_i<arguments.length;_i++)args[_i-0]=arguments[_i];if(this instanceof ParamDecoratorFactory)return metaCtor.apply(this,args),this;var annotationInstance=new((_a=ParamDecoratorFactory).bind.apply(_a,[void 0].concat(args)));return ParamDecorator.annotation=annotationInstance,ParamDecorator;var _a}var metaCtor=makeMetadataCtor(props);return parentClass&&(ParamDecoratorFactory.prototype=Object.create(parentClass.prototype)),ParamDecoratorFactory.prototype.toString=function(){return"@"+name},ParamDecoratorFactory.annotationCls=ParamDecoratorFactory,ParamDecoratorFactory}function makePropDecorator(name,props,parentClass){function PropDecoratorFactory(){for(var args=[],_i=0;_i<arguments.length;_i++)args[_i-0]=arguments[_i];if(this instanceof PropDecoratorFactory)return metaCtor.apply(this,args),this;var decoratorInstance=new((_a=PropDecoratorFactory).bind.apply(_a,[void 0].concat(args)));return function(target,name){var meta=Reflect.getOwnMetadata("propMetadata",target.constructor)||{};meta[name]=meta.hasOwnProperty(name)&&meta[name]||[],meta[name].unshift(decoratorInstance),Reflect.defineMetadata("propMetadata",meta,target.constructor)};var _a}var metaCtor=makeMetadataCtor(props);return parentClass&&(PropDecoratorFactory.prototype=Object.create(parentClass.prototype)),PropDecoratorFactory.prototype.toString=function(){return"@"+name},PropDecoratorFactory.annotationCls=PropDecoratorFactory,PropDecoratorFactory}function isDefaultChangeDetectionStrategy(changeDetectionStrategy){return isBlank(changeDetectionStrategy)||changeDetectionStrategy===ChangeDetectionStrategy.Default}function forwardRef(forwardRefFn){return forwardRefFn.__forward_ref__=forwardRef,forwardRefFn.toString=function(){return stringify(this())},forwardRefFn}function resolveForwardRef(type){return"function"==typeof type&&type.hasOwnProperty("__forward_ref__")&&type.__forward_ref__===forwardRef?type():type}/**
      * @license
      * Copyright Google Inc. All Rights Reserved.
      *
@@ -11,7 +11,7 @@
      * found in the LICENSE file at https://angular.io/license
      * @return {?}
      */
-function unimplemented(){throw new Error("unimplemented")}function findFirstClosedCycle(keys){for(var res=[],i=0;i<keys.length;++i){if(res.indexOf(keys[i])>-1)return res.push(keys[i]),res;res.push(keys[i])}return res}function constructResolvingPath(keys){if(keys.length>1){var reversed=findFirstClosedCycle(keys.slice().reverse()),tokenStrs=reversed.map(function(k){return stringify(k.token)});return" ("+tokenStrs.join(" -> ")+")"}return""}function isType(v){return"function"==typeof v}function convertTsickleDecoratorIntoMetadata(decoratorInvocations){return decoratorInvocations?decoratorInvocations.map(function(decoratorInvocation){var decoratorType=decoratorInvocation.type,annotationCls=decoratorType.annotationCls,annotationArgs=decoratorInvocation.args?decoratorInvocation.args:[];return new(annotationCls.bind.apply(annotationCls,[void 0].concat(annotationArgs)))}):[]}function getParentCtor(ctor){var parentProto=Object.getPrototypeOf(ctor.prototype),parentCtor=parentProto?parentProto.constructor:null;return parentCtor||Object}function resolveReflectiveFactory(provider){var factoryFn,resolvedDeps;if(provider.useClass){var useClass=resolveForwardRef(provider.useClass);factoryFn=reflector.factory(useClass),resolvedDeps=_dependenciesFor(useClass)}else provider.useExisting?(factoryFn=function(aliasInstance){return aliasInstance},resolvedDeps=[ReflectiveDependency.fromKey(ReflectiveKey.get(provider.useExisting))]):provider.useFactory?(factoryFn=provider.useFactory,resolvedDeps=constructDependencies(provider.useFactory,provider.deps)):(factoryFn=function(){return provider.useValue},resolvedDeps=_EMPTY_LIST);return new ResolvedReflectiveFactory(factoryFn,resolvedDeps)}function resolveReflectiveProvider(provider){return new ResolvedReflectiveProvider_(ReflectiveKey.get(provider.provide),[resolveReflectiveFactory(provider)],provider.multi)}function resolveReflectiveProviders(providers){var normalized=_normalizeProviders(providers,[]),resolved=normalized.map(resolveReflectiveProvider),resolvedProviderMap=mergeResolvedReflectiveProviders(resolved,new Map);return Array.from(resolvedProviderMap.values())}function mergeResolvedReflectiveProviders(providers,normalizedProvidersMap){for(var i=0;i<providers.length;i++){var provider=providers[i],existing=normalizedProvidersMap.get(provider.key.id);if(existing){if(provider.multiProvider!==existing.multiProvider)throw new MixingMultiProvidersWithRegularProvidersError(existing,provider);if(provider.multiProvider)for(var j=0;j<provider.resolvedFactories.length;j++)existing.resolvedFactories.push(provider.resolvedFactories[j]);else normalizedProvidersMap.set(provider.key.id,provider)}else{var resolvedProvider=void 0;resolvedProvider=provider.multiProvider?new ResolvedReflectiveProvider_(provider.key,provider.resolvedFactories.slice(),provider.multiProvider):provider,normalizedProvidersMap.set(provider.key.id,resolvedProvider)}}return normalizedProvidersMap}function _normalizeProviders(providers,res){return providers.forEach(function(b){if(b instanceof Type)res.push({provide:b,useClass:b});else if(b&&"object"==typeof b&&void 0!==b.provide)res.push(b);else{if(!(b instanceof Array))throw new InvalidProviderError(b);_normalizeProviders(b,res)}}),res}function constructDependencies(typeOrFunc,dependencies){if(dependencies){var params_1=dependencies.map(function(t){return[t]});return dependencies.map(function(t){return _extractToken(typeOrFunc,t,params_1)})}return _dependenciesFor(typeOrFunc)}function _dependenciesFor(typeOrFunc){var params=reflector.parameters(typeOrFunc);if(!params)return[];if(params.some(function(p){return null==p}))throw new NoAnnotationError(typeOrFunc,params);return params.map(function(p){return _extractToken(typeOrFunc,p,params)})}function _extractToken(typeOrFunc,metadata,params){var depProps=[],token=null,optional=!1;if(!Array.isArray(metadata))return metadata instanceof Inject?_createDependency(metadata.token,optional,null,null,depProps):_createDependency(metadata,optional,null,null,depProps);for(var lowerBoundVisibility=null,upperBoundVisibility=null,i=0;i<metadata.length;++i){var paramMetadata=metadata[i];paramMetadata instanceof Type?token=paramMetadata:paramMetadata instanceof Inject?token=paramMetadata.token:paramMetadata instanceof Optional?optional=!0:paramMetadata instanceof Self?upperBoundVisibility=paramMetadata:paramMetadata instanceof Host?upperBoundVisibility=paramMetadata:paramMetadata instanceof SkipSelf&&(lowerBoundVisibility=paramMetadata)}if(token=resolveForwardRef(token),null!=token)return _createDependency(token,optional,lowerBoundVisibility,upperBoundVisibility,depProps);throw new NoAnnotationError(typeOrFunc,params)}function _createDependency(token,optional,lowerBoundVisibility,upperBoundVisibility,depProps){return new ReflectiveDependency(ReflectiveKey.get(token),optional,lowerBoundVisibility,upperBoundVisibility,depProps)}function _mapProviders(injector,fn){for(var res=new Array(injector._proto.numberOfProviders),i=0;i<injector._proto.numberOfProviders;++i)res[i]=fn(injector._proto.getProviderAtIndex(i));return res}function isListLikeIterable(obj){return!!isJsObject(obj)&&(Array.isArray(obj)||!(obj instanceof Map)&&getSymbolIterator()in obj)}function areIterablesEqual(a,b,comparator){for(var iterator1=a[getSymbolIterator()](),iterator2=b[getSymbolIterator()]();;){var item1=iterator1.next(),item2=iterator2.next();if(item1.done&&item2.done)return!0;if(item1.done||item2.done)return!1;if(!comparator(item1.value,item2.value))return!1}}function iterateListLike(obj,fn){if(Array.isArray(obj))for(var i=0;i<obj.length;i++)fn(obj[i]);else for(var iterator=obj[getSymbolIterator()](),item=void 0;!(item=iterator.next()).done;)fn(item.value)}/**
+function unimplemented(){throw new Error("unimplemented")}function getAsyncFromInjector(injector,token,notFoundValue){return"function"==typeof injector.getAsync?injector.getAsync(token,notFoundValue):new Promise(function(resolve){return resolve(injector.get(token,notFoundValue))})}function findFirstClosedCycle(keys){for(var res=[],i=0;i<keys.length;++i){if(res.indexOf(keys[i])>-1)return res.push(keys[i]),res;res.push(keys[i])}return res}function constructResolvingPath(keys){if(keys.length>1){var reversed=findFirstClosedCycle(keys.slice().reverse()),tokenStrs=reversed.map(function(k){return stringify(k.token)});return" ("+tokenStrs.join(" -> ")+")"}return""}function constructSearchedLevels(levels){return levels&&levels.length?" Searched: "+levels.join(", ")+".":""}function isType(v){return"function"==typeof v}function convertTsickleDecoratorIntoMetadata(decoratorInvocations){return decoratorInvocations?decoratorInvocations.map(function(decoratorInvocation){var decoratorType=decoratorInvocation.type,annotationCls=decoratorType.annotationCls,annotationArgs=decoratorInvocation.args?decoratorInvocation.args:[];return new(annotationCls.bind.apply(annotationCls,[void 0].concat(annotationArgs)))}):[]}function getParentCtor(ctor){var parentProto=Object.getPrototypeOf(ctor.prototype),parentCtor=parentProto?parentProto.constructor:null;return parentCtor||Object}function resolveReflectiveFactory(provider){var factoryFn,resolvedDeps,type=null;if(provider.useClass){var useClass=resolveForwardRef(provider.useClass);factoryFn=reflector.factory(useClass),type=useClass,resolvedDeps=_dependenciesFor(useClass)}else provider.useExisting?(factoryFn=function(aliasInstance){return aliasInstance},resolvedDeps=[ReflectiveDependency.fromKey(ReflectiveKey.get(provider.useExisting))]):provider.useFactory?(factoryFn=provider.useFactory,resolvedDeps=constructDependencies(provider.useFactory,provider.deps)):(factoryFn=function(){return provider.useValue},resolvedDeps=_EMPTY_LIST);return new ResolvedReflectiveFactory(factoryFn,resolvedDeps,type)}function resolveReflectiveProvider(provider){if(provider.useDecorator){var decorator=new ResolvedReflectiveFactory(provider.useDecorator,constructDependencies(provider.useDecorator,provider.deps||_EMPTY_LIST));return new ResolvedReflectiveProvider_(ReflectiveKey.get(provider.provide),_EMPTY_LIST,(!1),ProviderScope.Singleton,[decorator],[0])}if(provider.scope&&!provider.useClass&&!provider.useFactory)throw new InvalidProviderScopeError(provider);return new ResolvedReflectiveProvider_(ReflectiveKey.get(provider.provide),[resolveReflectiveFactory(provider)],provider.multi,provider.scope||ProviderScope.Singleton)}function resolveReflectiveProviders(providers){var normalized=_normalizeProviders(providers,[]),resolved=normalized.map(resolveReflectiveProvider),resolvedProviderMap=mergeResolvedReflectiveProviders(resolved,new Map);return Array.from(resolvedProviderMap.values())}function mergeResolvedReflectiveProviders(providers,normalizedProvidersMap){for(var i=0;i<providers.length;i++){var provider=providers[i],existing=normalizedProvidersMap.get(provider.key.id);if(isDecoratorOnly(provider))existing?normalizedProvidersMap.set(provider.key.id,new ResolvedReflectiveProvider_(existing.key,existing.resolvedFactories.slice(),existing.multiProvider,existing.scope,existing.resolvedDecorators.concat(provider.resolvedDecorators),existing.decoratedFactoryCounts.concat([existing.resolvedFactories.length]))):normalizedProvidersMap.set(provider.key.id,provider);else if(existing&&isDecoratorOnly(existing)&&(existing=null),existing){if(provider.multiProvider!==existing.multiProvider)throw new MixingMultiProvidersWithRegularProvidersError(existing,provider);if(provider.multiProvider)for(var j=0;j<provider.resolvedFactories.length;j++)existing.resolvedFactories.push(provider.resolvedFactories[j]);else normalizedProvidersMap.set(provider.key.id,provider)}else{var resolvedProvider=void 0;resolvedProvider=provider.multiProvider?new ResolvedReflectiveProvider_(provider.key,provider.resolvedFactories.slice(),provider.multiProvider,provider.scope,provider.resolvedDecorators,provider.decoratedFactoryCounts):provider,normalizedProvidersMap.set(provider.key.id,resolvedProvider)}}return normalizedProvidersMap}function validateReflectiveProviders(providers,parentTokens){void 0===parentTokens&&(parentTokens=[]);var resolved,errors=[];try{resolved=_normalizeProviders(providers,[]).map(resolveReflectiveProvider)}catch(e){return errors.push(e),errors}var providersById=new Map;resolved.forEach(function(provider){try{mergeResolvedReflectiveProviders([provider],providersById)}catch(e){errors.push(e)}});var parentIds=new Set(parentTokens.map(function(token){return ReflectiveKey.get(token).id}));parentIds.add(ReflectiveKey.get(Injector).id);var ownDeps=new Map;return providersById.forEach(function(provider,id){var deps=[];isDecoratorOnly(provider)&&!parentIds.has(id)&&errors.push(new NoProviderError(null,provider.key)),provider.resolvedFactories.concat(provider.resolvedDecorators).forEach(function(factory){return factory.dependencies.forEach(function(dep){var depId=dep.key.id,inSelf=!(dep.lowerBoundVisibility instanceof SkipSelf)&&providersById.has(depId),inParent=!(dep.upperBoundVisibility instanceof Self)&&parentIds.has(depId);if(inSelf)deps.push(providersById.get(depId));else if(!inParent&&!dep.optional){var error=new NoProviderError(null,dep.key);error.addKey(null,provider.key),errors.push(error)}})}),ownDeps.set(provider,deps)}),_validateScopes(ownDeps,errors),_findCycles(ownDeps,errors),errors}function _validateScopes(ownDeps,errors){ownDeps.forEach(function(deps,provider){provider.scope===ProviderScope.Singleton&&deps.forEach(function(dep){if(dep.scope!==ProviderScope.Singleton){var error=new ScopedDependencyError(null,dep.key,dep.scope);error.addKey(null,provider.key),errors.push(error)}})})}function _findCycles(ownDeps,errors){var visited=new Set,path=[],visit=function(provider){visited.add(provider),path.push(provider),ownDeps.get(provider).forEach(function(dep){var cycleStart=path.indexOf(dep);if(cycleStart!==-1){for(var error=new CyclicDependencyError(null,dep.key),i=path.length-1;i>=cycleStart;i--)error.addKey(null,path[i].key);errors.push(error)}else visited.has(dep)||visit(dep)}),path.pop()};ownDeps.forEach(function(deps,provider){visited.has(provider)||visit(provider)})}function isDecoratorOnly(provider){return 0===provider.resolvedFactories.length}function _normalizeProviders(providers,res){return providers.forEach(function(b){if(b instanceof Type)res.push({provide:b,useClass:b});else if(b&&"object"==typeof b&&void 0!==b.provide)res.push(b);else{if(!(b instanceof Array))throw new InvalidProviderError(b);_normalizeProviders(b,res)}}),res}function constructDependencies(typeOrFunc,dependencies){if(dependencies){var params_1=dependencies.map(function(t){return[t]});return dependencies.map(function(t){return _extractToken(typeOrFunc,t,params_1)})}return _dependenciesFor(typeOrFunc)}function _dependenciesFor(typeOrFunc){var params=reflector.parameters(typeOrFunc);if(!params)return[];if(params.some(function(p){return null==p}))throw new NoAnnotationError(typeOrFunc,params);return params.map(function(p){return _extractToken(typeOrFunc,p,params)})}function _extractToken(typeOrFunc,metadata,params){var depProps=[],token=null,optional=!1;if(!Array.isArray(metadata))return metadata instanceof Inject?_createDependency(metadata.token,optional,null,null,depProps):_createDependency(metadata,optional,null,null,depProps);for(var lowerBoundVisibility=null,upperBoundVisibility=null,i=0;i<metadata.length;++i){var paramMetadata=metadata[i];paramMetadata instanceof Type?token=paramMetadata:paramMetadata instanceof Inject?token=paramMetadata.token:paramMetadata instanceof Optional?optional=!0:paramMetadata instanceof Self?upperBoundVisibility=paramMetadata:paramMetadata instanceof Host?upperBoundVisibility=paramMetadata:paramMetadata instanceof SkipSelf&&(lowerBoundVisibility=paramMetadata)}if(token=resolveForwardRef(token),null!=token)return _createDependency(token,optional,lowerBoundVisibility,upperBoundVisibility,depProps);throw new NoAnnotationError(typeOrFunc,params)}function _createDependency(token,optional,lowerBoundVisibility,upperBoundVisibility,depProps){return new ReflectiveDependency(ReflectiveKey.get(token),optional,lowerBoundVisibility,upperBoundVisibility,depProps)}function enterResolution(){_resolutionDepth++}function leaveResolution(){0===--_resolutionDepth&&(_resolutionObjs=null)}function getResolutionScoped(owner,id,factory){if(0===_resolutionDepth)return factory();_resolutionObjs||(_resolutionObjs=new Map);var objs=_resolutionObjs.get(owner);return objs||(objs=new Map,_resolutionObjs.set(owner,objs)),objs.has(id)||objs.set(id,factory()),objs.get(id)}function _now(){var performance=global$1.performance;return performance&&performance.now?performance.now():Date.now()}function setResolutionTracer(tracer){_tracer=tracer}function getResolutionTracer(){return _tracer}function traceLookup(token,view,nodeIndex,fn){var tracer=_tracer,frame=tracer?tracer._start(token,view,nodeIndex):null;if(!frame)return fn();try{var result=fn();return tracer._end(frame,null),result}catch(e){throw tracer._end(frame,e),e}}function traceLevel(level,source,notFound,tracksCreation,fn){var frame=_tracer?_tracer._current():null;if(!frame||frame.answered)return fn();frame.entry.searched.push(level+" "+source);var start=_now(),result=fn();return result!==notFound&&(frame.answered=!0,frame.entry.level=level,frame.entry.source=source,tracksCreation?(frame.entry.cached=!frame.created,frame.entry.duration=frame.constructionTime):(frame.entry.cached=null,frame.entry.duration=_now()-start)),result}function traceConstruction(token,fn){var frame=_tracer?_tracer._current():null;if(!frame||frame.token!==token)return fn();var start=_now(),result=fn();return frame.created=!0,frame.constructionTime=_now()-start,result}function _mapProviders(injector,fn){for(var res=new Array(injector._proto.numberOfProviders),i=0;i<injector._proto.numberOfProviders;++i)res[i]=fn(injector._proto.getProviderAtIndex(i));return res}function isListLikeIterable(obj){return!!isJsObject(obj)&&(Array.isArray(obj)||!(obj instanceof Map)&&getSymbolIterator()in obj)}function areIterablesEqual(a,b,comparator){for(var iterator1=a[getSymbolIterator()](),iterator2=b[getSymbolIterator()]();;){var item1=iterator1.next(),item2=iterator2.next();if(item1.done&&item2.done)return!0;if(item1.done||item2.done)return!1;if(!comparator(item1.value,item2.value))return!1}}function iterateListLike(obj,fn){if(Array.isArray(obj))for(var i=0;i<obj.length;i++)fn(obj[i]);else for(var iterator=obj[getSymbolIterator()](),item=void 0;!(item=iterator.next()).done;)fn(item.value)}/**
      * @license
      * Copyright Google Inc. All Rights Reserved.
      *
@@ -20,9 +20,12 @@ function unimplemented(){throw new Error("unimplemented")}function findFirstClos
      * @param {?} obj
      * @return {?}
      */
-function isPromise(obj){return!!obj&&"function"==typeof obj.then}function _appIdRandomProviderFactory(){return""+_randomChar()+_randomChar()+_randomChar()}function _randomChar(){return String.fromCharCode(97+Math.floor(25*Math.random()))}function _throwError(){throw new Error("Runtime compiler is not loaded")}function getPreviousIndex(item,addRemoveOffset,moveOffsets){var previousIndex=item.previousIndex;if(null===previousIndex)return previousIndex;var moveOffset=0;return moveOffsets&&previousIndex<moveOffsets.length&&(moveOffset=moveOffsets[previousIndex]),previousIndex+addRemoveOffset+moveOffset}function devModeEqual(a,b){return isListLikeIterable(a)&&isListLikeIterable(b)?areIterablesEqual(a,b,devModeEqual):!(isListLikeIterable(a)||isPrimitive(a)||isListLikeIterable(b)||isPrimitive(b))||looseIdentical(a,b)}function createRenderComponentType(templateUrl,slotCount,encapsulation,styles,animations){return new RenderComponentType(""+nextRenderComponentTypeId++,templateUrl,slotCount,encapsulation,styles,animations)}function addToArray(e,array){array.push(e)}function interpolate(valueCount,constAndInterp){for(var result="",i=0;i<2*valueCount;i+=2)result=result+constAndInterp[i]+_toStringWithNull(constAndInterp[i+1]);return result+constAndInterp[2*valueCount]}function inlineInterpolate(valueCount,c0,a1,c1,a2,c2,a3,c3,a4,c4,a5,c5,a6,c6,a7,c7,a8,c8,a9,c9){switch(valueCount){case 1:return c0+_toStringWithNull(a1)+c1;case 2:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2;case 3:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3;case 4:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3+_toStringWithNull(a4)+c4;case 5:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3+_toStringWithNull(a4)+c4+_toStringWithNull(a5)+c5;case 6:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3+_toStringWithNull(a4)+c4+_toStringWithNull(a5)+c5+_toStringWithNull(a6)+c6;case 7:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3+_toStringWithNull(a4)+c4+_toStringWithNull(a5)+c5+_toStringWithNull(a6)+c6+_toStringWithNull(a7)+c7;case 8:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3+_toStringWithNull(a4)+c4+_toStringWithNull(a5)+c5+_toStringWithNull(a6)+c6+_toStringWithNull(a7)+c7+_toStringWithNull(a8)+c8;case 9:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3+_toStringWithNull(a4)+c4+_toStringWithNull(a5)+c5+_toStringWithNull(a6)+c6+_toStringWithNull(a7)+c7+_toStringWithNull(a8)+c8+_toStringWithNull(a9)+c9;default:throw new Error("Does not support more than 9 expressions")}}function _toStringWithNull(v){return null!=v?v.toString():""}function checkBinding(view,oldValue,newValue,forceUpdate){var isFirstCheck=0===view.numberOfChecks;if(view.throwOnChange){if(isFirstCheck||!devModeEqual(oldValue,newValue))throw new ExpressionChangedAfterItHasBeenCheckedError(oldValue,newValue,isFirstCheck);return!1}return isFirstCheck||forceUpdate||!looseIdentical(oldValue,newValue)}function checkBindingChange(view,oldValue,newValue,forceUpdate){if(checkBinding(view,oldValue,newValue,forceUpdate))return new SimpleChange(oldValue,newValue,0===view.numberOfChecks)}function checkRenderText(view,renderElement,oldValue,newValue,forceUpdate){checkBinding(view,oldValue,newValue,forceUpdate)&&view.renderer.setText(renderElement,newValue)}function checkRenderProperty(view,renderElement,propName,oldValue,newValue,forceUpdate,securityContext){if(checkBinding(view,oldValue,newValue,forceUpdate)){var renderValue=securityContext?view.viewUtils.sanitizer.sanitize(securityContext,newValue):newValue;view.renderer.setElementProperty(renderElement,propName,renderValue)}}function checkRenderAttribute(view,renderElement,attrName,oldValue,newValue,forceUpdate,securityContext){if(checkBinding(view,oldValue,newValue,forceUpdate)){var renderValue=securityContext?view.viewUtils.sanitizer.sanitize(securityContext,newValue):newValue;renderValue=null!=renderValue?renderValue.toString():null,view.renderer.setElementAttribute(renderElement,attrName,renderValue)}}function checkRenderClass(view,renderElement,className,oldValue,newValue,forceUpdate){checkBinding(view,oldValue,newValue,forceUpdate)&&view.renderer.setElementClass(renderElement,className,newValue)}function checkRenderStyle(view,renderElement,styleName,unit,oldValue,newValue,forceUpdate,securityContext){if(checkBinding(view,oldValue,newValue,forceUpdate)){var renderValue=securityContext?view.viewUtils.sanitizer.sanitize(securityContext,newValue):newValue;null!=renderValue?(renderValue=renderValue.toString(),null!=unit&&(renderValue+=unit)):renderValue=null,view.renderer.setElementStyle(renderElement,styleName,renderValue)}}function castByValue(input,value){return input}function pureProxy1(fn){var result,v0,numberOfChecks=0;return function(p0){return numberOfChecks++&&looseIdentical(v0,p0)||(v0=p0,result=fn(p0)),result}}function pureProxy2(fn){var result,v0,v1,numberOfChecks=0;return function(p0,p1){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)||(v0=p0,v1=p1,result=fn(p0,p1)),result}}function pureProxy3(fn){var result,v0,v1,v2,numberOfChecks=0;return function(p0,p1,p2){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)||(v0=p0,v1=p1,v2=p2,result=fn(p0,p1,p2)),result}}function pureProxy4(fn){var result,v0,v1,v2,v3,numberOfChecks=0;return v0=v1=v2=v3,function(p0,p1,p2,p3){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)||(v0=p0,v1=p1,v2=p2,v3=p3,result=fn(p0,p1,p2,p3)),result}}function pureProxy5(fn){var result,v0,v1,v2,v3,v4,numberOfChecks=0;return v0=v1=v2=v3=v4,function(p0,p1,p2,p3,p4){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)&&looseIdentical(v4,p4)||(v0=p0,v1=p1,v2=p2,v3=p3,v4=p4,result=fn(p0,p1,p2,p3,p4)),result}}function pureProxy6(fn){var result,v0,v1,v2,v3,v4,v5,numberOfChecks=0;return v0=v1=v2=v3=v4=v5,function(p0,p1,p2,p3,p4,p5){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)&&looseIdentical(v4,p4)&&looseIdentical(v5,p5)||(v0=p0,v1=p1,v2=p2,v3=p3,v4=p4,v5=p5,result=fn(p0,p1,p2,p3,p4,p5)),result}}function pureProxy7(fn){var result,v0,v1,v2,v3,v4,v5,v6,numberOfChecks=0;return v0=v1=v2=v3=v4=v5=v6,function(p0,p1,p2,p3,p4,p5,p6){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)&&looseIdentical(v4,p4)&&looseIdentical(v5,p5)&&looseIdentical(v6,p6)||(v0=p0,v1=p1,v2=p2,v3=p3,v4=p4,v5=p5,v6=p6,result=fn(p0,p1,p2,p3,p4,p5,p6)),result}}function pureProxy8(fn){var result,v0,v1,v2,v3,v4,v5,v6,v7,numberOfChecks=0;return v0=v1=v2=v3=v4=v5=v6=v7,function(p0,p1,p2,p3,p4,p5,p6,p7){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)&&looseIdentical(v4,p4)&&looseIdentical(v5,p5)&&looseIdentical(v6,p6)&&looseIdentical(v7,p7)||(v0=p0,v1=p1,v2=p2,v3=p3,v4=p4,v5=p5,v6=p6,v7=p7,result=fn(p0,p1,p2,p3,p4,p5,p6,p7)),result}}function pureProxy9(fn){var result,v0,v1,v2,v3,v4,v5,v6,v7,v8,numberOfChecks=0;return v0=v1=v2=v3=v4=v5=v6=v7=v8,function(p0,p1,p2,p3,p4,p5,p6,p7,p8){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)&&looseIdentical(v4,p4)&&looseIdentical(v5,p5)&&looseIdentical(v6,p6)&&looseIdentical(v7,p7)&&looseIdentical(v8,p8)||(v0=p0,v1=p1,v2=p2,v3=p3,v4=p4,v5=p5,v6=p6,v7=p7,v8=p8,result=fn(p0,p1,p2,p3,p4,p5,p6,p7,p8)),result}}function pureProxy10(fn){var result,v0,v1,v2,v3,v4,v5,v6,v7,v8,v9,numberOfChecks=0;return v0=v1=v2=v3=v4=v5=v6=v7=v8=v9,function(p0,p1,p2,p3,p4,p5,p6,p7,p8,p9){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)&&looseIdentical(v4,p4)&&looseIdentical(v5,p5)&&looseIdentical(v6,p6)&&looseIdentical(v7,p7)&&looseIdentical(v8,p8)&&looseIdentical(v9,p9)||(v0=p0,v1=p1,v2=p2,v3=p3,v4=p4,v5=p5,v6=p6,v7=p7,v8=p8,v9=p9,result=fn(p0,p1,p2,p3,p4,p5,p6,p7,p8,p9)),result}}function setBindingDebugInfoForChanges(renderer,el,changes){Object.keys(changes).forEach(function(propName){setBindingDebugInfo(renderer,el,propName,changes[propName].currentValue)})}function setBindingDebugInfo(renderer,el,propName,value){try{renderer.setBindingDebugInfo(el,"ng-reflect-"+camelCaseToDashCase(propName),value?value.toString():null)}catch(e){renderer.setBindingDebugInfo(el,"ng-reflect-"+camelCaseToDashCase(propName),"[ERROR] Exception while trying to serialize the value")}}function camelCaseToDashCase(input){return input.replace(CAMEL_CASE_REGEXP,function(){for(var m=[],_i=0;_i<arguments.length;_i++)m[_i-0]=arguments[_i];return"-"+m[1].toLowerCase()})}function createRenderElement(renderer,parentElement,name,attrs,debugInfo){for(var el=renderer.createElement(parentElement,name,debugInfo),i=0;i<attrs.length;i+=2)renderer.setElementAttribute(el,attrs.get(i),attrs.get(i+1));return el}function selectOrCreateRenderHostElement(renderer,elementName,attrs,rootSelectorOrNode,debugInfo){var hostElement;if(isPresent(rootSelectorOrNode)){hostElement=renderer.selectRootElement(rootSelectorOrNode,debugInfo);for(var i=0;i<attrs.length;i+=2)renderer.setElementAttribute(hostElement,attrs.get(i),attrs.get(i+1));renderer.setElementAttribute(hostElement,"ng-version",VERSION.full)}else hostElement=createRenderElement(renderer,null,elementName,attrs,debugInfo);return hostElement}function subscribeToRenderElement(view,element,eventNamesAndTargets,listener){for(var disposables=createEmptyInlineArray(eventNamesAndTargets.length/2),i=0;i<eventNamesAndTargets.length;i+=2){var eventName=eventNamesAndTargets.get(i),eventTarget=eventNamesAndTargets.get(i+1),disposable=void 0;disposable=eventTarget?view.renderer.listenGlobal(eventTarget,eventName,listener.bind(view,eventTarget+":"+eventName)):view.renderer.listen(element,eventName,listener.bind(view,eventName)),disposables.set(i/2,disposable)}return disposeInlineArray.bind(null,disposables)}function disposeInlineArray(disposables){for(var i=0;i<disposables.length;i++)disposables.get(i)()}function noop(){}function createEmptyInlineArray(length){var ctor;return new(ctor=length<=2?InlineArray2:length<=4?InlineArray4:length<=8?InlineArray8:length<=16?InlineArray16:InlineArrayDynamic)(length)}function getComponentFactoryViewClass(componentFactory){return componentFactory._viewClass}function detectWTF(){var wtf=global$1.wtf;return!(!wtf||!(trace=wtf.trace))&&(events=trace.events,!0)}function createScope(signature,flags){return void 0===flags&&(flags=null),events.createScope(signature,flags)}function leave(scope,returnValue){return trace.leaveScope(scope,returnValue),returnValue}function startTimeRange(rangeType,action){return trace.beginTimeRange(rangeType,action)}function endTimeRange(range){trace.endTimeRange(range)}function noopScope(arg0,arg1){return null}function setTestabilityGetter(getter){_testabilityGetter=getter}function enableProdMode(){if(_runModeLocked)throw new Error("Cannot enable prod mode after platform setup.");_devMode=!1}function isDevMode(){return _runModeLocked=!0,_devMode}function createPlatform(injector){if(_platform&&!_platform.destroyed)throw new Error("There can be only one platform. Destroy the previous one to create a new one.");_platform=injector.get(PlatformRef);var inits=injector.get(PLATFORM_INITIALIZER,null);return inits&&inits.forEach(function(init){return init()}),_platform}function createPlatformFactory(parentPlatformFactory,name,providers){void 0===providers&&(providers=[]);var marker=new OpaqueToken("Platform: "+name);return function(extraProviders){return void 0===extraProviders&&(extraProviders=[]),getPlatform()||(parentPlatformFactory?parentPlatformFactory(providers.concat(extraProviders).concat({provide:marker,useValue:!0})):createPlatform(ReflectiveInjector.resolveAndCreate(providers.concat(extraProviders).concat({provide:marker,useValue:!0})))),assertPlatform(marker)}}function assertPlatform(requiredToken){var platform=getPlatform();if(!platform)throw new Error("No platform exists!");if(!platform.injector.get(requiredToken,null))throw new Error("A platform with a different configuration has been created. Please destroy it first.");return platform}function destroyPlatform(){_platform&&!_platform.destroyed&&_platform.destroy()}function getPlatform(){return _platform&&!_platform.destroyed?_platform:null}function _callAndReportToErrorHandler(errorHandler,callback){try{var result=callback();return isPromise(result)?result.catch(function(e){throw errorHandler.handleError(e),e}):result}catch(e){throw errorHandler.handleError(e),e}}function registerModuleFactory(id,factory){var existing=moduleFactories.get(id);if(existing)throw new Error("Duplicate module registered for "+id+" - "+existing.moduleType.name+" vs "+factory.moduleType.name);moduleFactories.set(id,factory)}function getModuleFactory(id){var factory=moduleFactories.get(id);if(!factory)throw new Error("No module with ID "+id+" loaded");return factory}function checkNotEmpty(value,modulePath,exportName){if(!value)throw new Error("Cannot find '"+exportName+"' in '"+modulePath+"'");return value}function asNativeElements(debugEls){return debugEls.map(function(el){return el.nativeElement})}function _queryElementChildren(element,predicate,matches){element.childNodes.forEach(function(node){node instanceof DebugElement&&(predicate(node)&&matches.push(node),_queryElementChildren(node,predicate,matches))})}function _queryNodeChildren(parentNode,predicate,matches){parentNode instanceof DebugElement&&parentNode.childNodes.forEach(function(node){predicate(node)&&matches.push(node),node instanceof DebugElement&&_queryNodeChildren(node,predicate,matches)})}function getDebugNode(nativeNode){return _nativeNodeToDebugNode.get(nativeNode)}function indexDebugNode(node){_nativeNodeToDebugNode.set(node.nativeNode,node)}function removeDebugNodeFromIndex(node){_nativeNodeToDebugNode.delete(node.nativeNode)}function _reflector(){return reflector}function _iterableDiffersFactory(){return defaultIterableDiffers}function _keyValueDiffersFactory(){return defaultKeyValueDiffers}function _localeFactory(locale){return locale||"en-US"}function animate(timing,styles){void 0===styles&&(styles=null);var stylesEntry=styles;if(!isPresent(stylesEntry)){var EMPTY_STYLE={};stylesEntry=new AnimationStyleMetadata([EMPTY_STYLE],1)}return new AnimationAnimateMetadata(timing,stylesEntry)}function group(steps){return new AnimationGroupMetadata(steps)}function sequence(steps){return new AnimationSequenceMetadata(steps)}function style(tokens){var input,offset=null;return"string"==typeof tokens?input=[tokens]:(input=Array.isArray(tokens)?tokens:[tokens],input.forEach(function(entry){var entryOffset=entry.offset;isPresent(entryOffset)&&(offset=null==offset?parseFloat(entryOffset):offset)})),new AnimationStyleMetadata(input,offset)}function state(stateNameExpr,styles){return new AnimationStateDeclarationMetadata(stateNameExpr,styles)}function keyframes(steps){return new AnimationKeyframesSequenceMetadata(steps)}function transition(stateChangeExpr,steps){var animationData=Array.isArray(steps)?new AnimationSequenceMetadata(steps):steps;return new AnimationStateTransitionMetadata(stateChangeExpr,animationData)}function trigger(name,animation){return new AnimationEntryMetadata(name,animation)}function prepareFinalAnimationStyles(previousStyles,newStyles,nullValue){void 0===nullValue&&(nullValue=null);var finalStyles={};return Object.keys(newStyles).forEach(function(prop){var value=newStyles[prop];finalStyles[prop]=value==AUTO_STYLE?nullValue:value.toString()}),Object.keys(previousStyles).forEach(function(prop){isPresent(finalStyles[prop])||(finalStyles[prop]=nullValue)}),finalStyles}function balanceAnimationKeyframes(collectedStyles,finalStateStyles,keyframes){var limit=keyframes.length-1,firstKeyframe=keyframes[0],flatenedFirstKeyframeStyles=flattenStyles(firstKeyframe.styles.styles),extraFirstKeyframeStyles={},hasExtraFirstStyles=!1;Object.keys(collectedStyles).forEach(function(prop){var value=collectedStyles[prop];flatenedFirstKeyframeStyles[prop]||(flatenedFirstKeyframeStyles[prop]=value,extraFirstKeyframeStyles[prop]=value,hasExtraFirstStyles=!0)});var keyframeCollectedStyles=StringMapWrapper.merge({},flatenedFirstKeyframeStyles),finalKeyframe=keyframes[limit];finalKeyframe.styles.styles.unshift(finalStateStyles);var flatenedFinalKeyframeStyles=flattenStyles(finalKeyframe.styles.styles),extraFinalKeyframeStyles={},hasExtraFinalStyles=!1;return Object.keys(keyframeCollectedStyles).forEach(function(prop){isPresent(flatenedFinalKeyframeStyles[prop])||(extraFinalKeyframeStyles[prop]=AUTO_STYLE,hasExtraFinalStyles=!0)}),hasExtraFinalStyles&&finalKeyframe.styles.styles.push(extraFinalKeyframeStyles),Object.keys(flatenedFinalKeyframeStyles).forEach(function(prop){isPresent(flatenedFirstKeyframeStyles[prop])||(extraFirstKeyframeStyles[prop]=AUTO_STYLE,hasExtraFirstStyles=!0)}),hasExtraFirstStyles&&firstKeyframe.styles.styles.push(extraFirstKeyframeStyles),collectAndResolveStyles(collectedStyles,[finalStateStyles]),keyframes}function clearStyles(styles){var finalStyles={};return Object.keys(styles).forEach(function(key){finalStyles[key]=null}),finalStyles}function collectAndResolveStyles(collection,styles){return styles.map(function(entry){var stylesObj={};return Object.keys(entry).forEach(function(prop){var value=entry[prop];value==FILL_STYLE_FLAG&&(value=collection[prop],isPresent(value)||(value=AUTO_STYLE)),collection[prop]=value,stylesObj[prop]=value}),stylesObj})}function renderStyles(element,renderer,styles){Object.keys(styles).forEach(function(prop){renderer.setElementStyle(element,prop,styles[prop])})}function flattenStyles(styles){var finalStyles={};return styles.forEach(function(entry){Object.keys(entry).forEach(function(prop){finalStyles[prop]=entry[prop]})}),finalStyles}function _recursePlayers(player,collectedPlayers){player instanceof AnimationGroupPlayer||player instanceof AnimationSequencePlayer?player.players.forEach(function(player){return _recursePlayers(player,collectedPlayers)}):collectedPlayers.push(player)}var globalScope,OpaqueToken=function(){function OpaqueToken(_desc){this._desc=_desc}return OpaqueToken.prototype.toString=function(){return"Token "+this._desc},OpaqueToken}();globalScope="undefined"==typeof window?"undefined"!=typeof WorkerGlobalScope&&self instanceof WorkerGlobalScope?self:global:window;var global$1=globalScope;global$1.assert=function(condition){};var _symbolIterator=null,_nextClassId=0,Reflect=global$1.Reflect,ANALYZE_FOR_ENTRY_COMPONENTS=new OpaqueToken("AnalyzeForEntryComponents"),Attribute=makeParamDecorator("Attribute",[["attributeName",void 0]]),Query=function(){function Query(){}return Query}(),ContentChildren=makePropDecorator("ContentChildren",[["selector",void 0],{first:!1,isViewQuery:!1,descendants:!1,read:void 0}],Query),ContentChild=makePropDecorator("ContentChild",[["selector",void 0],{first:!0,isViewQuery:!1,descendants:!0,read:void 0}],Query),ViewChildren=makePropDecorator("ViewChildren",[["selector",void 0],{first:!1,isViewQuery:!0,descendants:!0,read:void 0}],Query),ViewChild=makePropDecorator("ViewChild",[["selector",void 0],{first:!0,isViewQuery:!0,descendants:!0,read:void 0}],Query),ChangeDetectionStrategy={};ChangeDetectionStrategy.OnPush=0,ChangeDetectionStrategy.Default=1,ChangeDetectionStrategy[ChangeDetectionStrategy.OnPush]="OnPush",ChangeDetectionStrategy[ChangeDetectionStrategy.Default]="Default";var ChangeDetectorStatus={};ChangeDetectorStatus.CheckOnce=0,ChangeDetectorStatus.Checked=1,ChangeDetectorStatus.CheckAlways=2,ChangeDetectorStatus.Detached=3,ChangeDetectorStatus.Errored=4,ChangeDetectorStatus.Destroyed=5,ChangeDetectorStatus[ChangeDetectorStatus.CheckOnce]="CheckOnce",ChangeDetectorStatus[ChangeDetectorStatus.Checked]="Checked",ChangeDetectorStatus[ChangeDetectorStatus.CheckAlways]="CheckAlways",ChangeDetectorStatus[ChangeDetectorStatus.Detached]="Detached",ChangeDetectorStatus[ChangeDetectorStatus.Errored]="Errored",ChangeDetectorStatus[ChangeDetectorStatus.Destroyed]="Destroyed";var Directive=makeDecorator("Directive",{selector:void 0,inputs:void 0,outputs:void 0,host:void 0,providers:void 0,exportAs:void 0,queries:void 0}),Component=makeDecorator("Component",{selector:void 0,inputs:void 0,outputs:void 0,host:void 0,exportAs:void 0,moduleId:void 0,providers:void 0,viewProviders:void 0,changeDetection:ChangeDetectionStrategy.Default,queries:void 0,templateUrl:void 0,template:void 0,styleUrls:void 0,styles:void 0,animations:void 0,encapsulation:void 0,interpolation:void 0,entryComponents:void 0},Directive),Pipe=makeDecorator("Pipe",{name:void 0,pure:!0}),Input=makePropDecorator("Input",[["bindingPropertyName",void 0]]),Output=makePropDecorator("Output",[["bindingPropertyName",void 0]]),HostBinding=makePropDecorator("HostBinding",[["hostPropertyName",void 0]]),HostListener=makePropDecorator("HostListener",[["eventName",void 0],["args",[]]]),LifecycleHooks={};LifecycleHooks.OnInit=0,LifecycleHooks.OnDestroy=1,LifecycleHooks.DoCheck=2,LifecycleHooks.OnChanges=3,LifecycleHooks.AfterContentInit=4,LifecycleHooks.AfterContentChecked=5,LifecycleHooks.AfterViewInit=6,LifecycleHooks.AfterViewChecked=7,LifecycleHooks[LifecycleHooks.OnInit]="OnInit",LifecycleHooks[LifecycleHooks.OnDestroy]="OnDestroy",LifecycleHooks[LifecycleHooks.DoCheck]="DoCheck",LifecycleHooks[LifecycleHooks.OnChanges]="OnChanges",LifecycleHooks[LifecycleHooks.AfterContentInit]="AfterContentInit",LifecycleHooks[LifecycleHooks.AfterContentChecked]="AfterContentChecked",LifecycleHooks[LifecycleHooks.AfterViewInit]="AfterViewInit",LifecycleHooks[LifecycleHooks.AfterViewChecked]="AfterViewChecked";var LIFECYCLE_HOOKS_VALUES=[LifecycleHooks.OnInit,LifecycleHooks.OnDestroy,LifecycleHooks.DoCheck,LifecycleHooks.OnChanges,LifecycleHooks.AfterContentInit,LifecycleHooks.AfterContentChecked,LifecycleHooks.AfterViewInit,LifecycleHooks.AfterViewChecked],OnChanges=function(){function OnChanges(){}return OnChanges.prototype.ngOnChanges=function(changes){},OnChanges}(),OnInit=function(){function OnInit(){}return OnInit.prototype.ngOnInit=function(){},OnInit}(),DoCheck=function(){function DoCheck(){}return DoCheck.prototype.ngDoCheck=function(){},DoCheck}(),OnDestroy=function(){function OnDestroy(){}return OnDestroy.prototype.ngOnDestroy=function(){},OnDestroy}(),AfterContentInit=function(){function AfterContentInit(){}return AfterContentInit.prototype.ngAfterContentInit=function(){},AfterContentInit}(),AfterContentChecked=function(){function AfterContentChecked(){}return AfterContentChecked.prototype.ngAfterContentChecked=function(){},AfterContentChecked}(),AfterViewInit=function(){function AfterViewInit(){}return AfterViewInit.prototype.ngAfterViewInit=function(){},AfterViewInit}(),AfterViewChecked=function(){function AfterViewChecked(){}return AfterViewChecked.prototype.ngAfterViewChecked=function(){},AfterViewChecked}(),CUSTOM_ELEMENTS_SCHEMA={name:"custom-elements"},NO_ERRORS_SCHEMA={name:"no-errors-schema"},NgModule=makeDecorator("NgModule",{providers:void 0,declarations:void 0,imports:void 0,exports:void 0,entryComponents:void 0,bootstrap:void 0,schemas:void 0,id:void 0}),ViewEncapsulation={};ViewEncapsulation.Emulated=0,ViewEncapsulation.Native=1,ViewEncapsulation.None=2,ViewEncapsulation[ViewEncapsulation.Emulated]="Emulated",ViewEncapsulation[ViewEncapsulation.Native]="Native",ViewEncapsulation[ViewEncapsulation.None]="None";var ViewMetadata=function(){function ViewMetadata(_a){var _b=void 0===_a?{}:_a,templateUrl=_b.templateUrl,template=_b.template,encapsulation=_b.encapsulation,styles=_b.styles,styleUrls=_b.styleUrls,animations=_b.animations,interpolation=_b.interpolation;this.templateUrl=templateUrl,this.template=template,this.styleUrls=styleUrls,this.styles=styles,this.encapsulation=encapsulation,this.animations=animations,this.interpolation=interpolation}return ViewMetadata}(),Version=function(){function Version(full){this.full=full}return Object.defineProperty(Version.prototype,"major",{get:function(){return this.full.split(".")[0]},enumerable:!0,configurable:!0}),Object.defineProperty(Version.prototype,"minor",{get:function(){return this.full.split(".")[1]},enumerable:!0,configurable:!0}),Object.defineProperty(Version.prototype,"patch",{get:function(){return this.full.split(".").slice(2).join(".")},enumerable:!0,configurable:!0}),Version}(),VERSION=new Version("0.0.0-PLACEHOLDER"),Inject=makeParamDecorator("Inject",[["token",void 0]]),Optional=makeParamDecorator("Optional",[]),Injectable=makeDecorator("Injectable",[]),Self=makeParamDecorator("Self",[]),SkipSelf=makeParamDecorator("SkipSelf",[]),Host=makeParamDecorator("Host",[]),__extends=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},BaseError=function(_super){function BaseError(message){_super.call(this,message);var nativeError=new Error(message);this._nativeError=nativeError}return __extends(BaseError,_super),Object.defineProperty(BaseError.prototype,"message",{get:function(){return this._nativeError.message},set:function(message){this._nativeError.message=message},enumerable:!0,configurable:!0}),Object.defineProperty(BaseError.prototype,"name",{get:function(){return this._nativeError.name},enumerable:!0,configurable:!0}),Object.defineProperty(BaseError.prototype,"stack",{get:function(){return this._nativeError.stack},set:function(value){this._nativeError.stack=value},enumerable:!0,configurable:!0}),BaseError.prototype.toString=function(){return this._nativeError.toString()},BaseError}(Error),WrappedError=function(_super){function WrappedError(message,error){_super.call(this,message+" caused by: "+(error instanceof Error?error.message:error)),this.originalError=error}return __extends(WrappedError,_super),Object.defineProperty(WrappedError.prototype,"stack",{get:function(){return(this.originalError instanceof Error?this.originalError:this._nativeError).stack},enumerable:!0,configurable:!0}),WrappedError}(BaseError),_THROW_IF_NOT_FOUND=new Object,THROW_IF_NOT_FOUND=_THROW_IF_NOT_FOUND,_NullInjector=function(){function _NullInjector(){}return _NullInjector.prototype.get=function(token,notFoundValue){if(void 0===notFoundValue&&(notFoundValue=_THROW_IF_NOT_FOUND),notFoundValue===_THROW_IF_NOT_FOUND)throw new Error("No provider for "+stringify(token)+"!");return notFoundValue},_NullInjector}(),Injector=function(){function Injector(){}return Injector.prototype.get=function(token,notFoundValue){return unimplemented()},Injector.THROW_IF_NOT_FOUND=_THROW_IF_NOT_FOUND,Injector.NULL=new _NullInjector,Injector}(),__extends$1=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},AbstractProviderError=function(_super){function AbstractProviderError(injector,key,constructResolvingMessage){_super.call(this,"DI Error"),this.keys=[key],this.injectors=[injector],this.constructResolvingMessage=constructResolvingMessage,this.message=this.constructResolvingMessage(this.keys)}return __extends$1(AbstractProviderError,_super),AbstractProviderError.prototype.addKey=function(injector,key){this.injectors.push(injector),this.keys.push(key),this.message=this.constructResolvingMessage(this.keys)},AbstractProviderError}(BaseError),NoProviderError=function(_super){function NoProviderError(injector,key){_super.call(this,injector,key,function(keys){var first=stringify(keys[0].token);return"No provider for "+first+"!"+constructResolvingPath(keys)})}return __extends$1(NoProviderError,_super),NoProviderError}(AbstractProviderError),CyclicDependencyError=function(_super){function CyclicDependencyError(injector,key){_super.call(this,injector,key,function(keys){return"Cannot instantiate cyclic dependency!"+constructResolvingPath(keys)})}return __extends$1(CyclicDependencyError,_super),CyclicDependencyError}(AbstractProviderError),InstantiationError=function(_super){function InstantiationError(injector,originalException,originalStack,key){_super.call(this,"DI Error",originalException),this.keys=[key],this.injectors=[injector]}return __extends$1(InstantiationError,_super),InstantiationError.prototype.addKey=function(injector,key){this.injectors.push(injector),this.keys.push(key)},Object.defineProperty(InstantiationError.prototype,"message",{get:function(){var first=stringify(this.keys[0].token);return this.originalError.message+": Error during instantiation of "+first+"!"+constructResolvingPath(this.keys)+"."},enumerable:!0,configurable:!0}),Object.defineProperty(InstantiationError.prototype,"causeKey",{get:function(){return this.keys[0]},enumerable:!0,configurable:!0}),InstantiationError}(WrappedError),InvalidProviderError=function(_super){function InvalidProviderError(provider){_super.call(this,"Invalid provider - only instances of Provider and Type are allowed, got: "+provider)}return __extends$1(InvalidProviderError,_super),InvalidProviderError}(BaseError),NoAnnotationError=function(_super){function NoAnnotationError(typeOrFunc,params){_super.call(this,NoAnnotationError._genMessage(typeOrFunc,params))}return __extends$1(NoAnnotationError,_super),NoAnnotationError._genMessage=function(typeOrFunc,params){for(var signature=[],i=0,ii=params.length;i<ii;i++){var parameter=params[i];parameter&&0!=parameter.length?signature.push(parameter.map(stringify).join(" ")):signature.push("?")}return"Cannot resolve all parameters for '"+stringify(typeOrFunc)+"'("+signature.join(", ")+"). Make sure that all the parameters are decorated with Inject or have valid type annotations and that '"+stringify(typeOrFunc)+"' is decorated with Injectable."},NoAnnotationError}(BaseError),OutOfBoundsError=function(_super){function OutOfBoundsError(index){_super.call(this,"Index "+index+" is out-of-bounds.")}return __extends$1(OutOfBoundsError,_super),OutOfBoundsError}(BaseError),MixingMultiProvidersWithRegularProvidersError=function(_super){function MixingMultiProvidersWithRegularProvidersError(provider1,provider2){_super.call(this,"Cannot mix multi providers and regular providers, got: "+provider1.toString()+" "+provider2.toString())}return __extends$1(MixingMultiProvidersWithRegularProvidersError,_super),MixingMultiProvidersWithRegularProvidersError}(BaseError),ReflectiveKey=function(){function ReflectiveKey(token,id){if(this.token=token,this.id=id,!token)throw new Error("Token must be defined!")}return Object.defineProperty(ReflectiveKey.prototype,"displayName",{get:function(){return stringify(this.token)},enumerable:!0,configurable:!0}),ReflectiveKey.get=function(token){return _globalKeyRegistry.get(resolveForwardRef(token))},Object.defineProperty(ReflectiveKey,"numberOfKeys",{get:function(){return _globalKeyRegistry.numberOfKeys},enumerable:!0,configurable:!0}),ReflectiveKey}(),KeyRegistry=function(){function KeyRegistry(){this._allKeys=new Map}return KeyRegistry.prototype.get=function(token){if(token instanceof ReflectiveKey)return token;if(this._allKeys.has(token))return this._allKeys.get(token);var newKey=new ReflectiveKey(token,ReflectiveKey.numberOfKeys);return this._allKeys.set(token,newKey),newKey},Object.defineProperty(KeyRegistry.prototype,"numberOfKeys",{get:function(){return this._allKeys.size},enumerable:!0,configurable:!0}),KeyRegistry}(),_globalKeyRegistry=new KeyRegistry,Type=Function,DELEGATE_CTOR=/^function\s+\S+\(\)\s*{\s*("use strict";)?\s*(return\s+)?\S+\.apply\(this,\s*arguments\)/,ReflectionCapabilities=function(){function ReflectionCapabilities(reflect){this._reflect=reflect||global$1.Reflect}return ReflectionCapabilities.prototype.isReflectionEnabled=function(){return!0},ReflectionCapabilities.prototype.factory=function(t){
-return function(){for(var args=[],_i=0;_i<arguments.length;_i++)args[_i-0]=arguments[_i];return new(t.bind.apply(t,[void 0].concat(args)))}},ReflectionCapabilities.prototype._zipTypesAndAnnotations=function(paramTypes,paramAnnotations){var result;result="undefined"==typeof paramTypes?new Array(paramAnnotations.length):new Array(paramTypes.length);for(var i=0;i<result.length;i++)"undefined"==typeof paramTypes?result[i]=[]:paramTypes[i]!=Object?result[i]=[paramTypes[i]]:result[i]=[],paramAnnotations&&isPresent(paramAnnotations[i])&&(result[i]=result[i].concat(paramAnnotations[i]));return result},ReflectionCapabilities.prototype._ownParameters=function(type,parentCtor){if(DELEGATE_CTOR.exec(type.toString()))return null;if(type.parameters&&type.parameters!==parentCtor.parameters)return type.parameters;var tsickleCtorParams=type.ctorParameters;if(tsickleCtorParams&&tsickleCtorParams!==parentCtor.ctorParameters){var ctorParameters="function"==typeof tsickleCtorParams?tsickleCtorParams():tsickleCtorParams,paramTypes=ctorParameters.map(function(ctorParam){return ctorParam&&ctorParam.type}),paramAnnotations=ctorParameters.map(function(ctorParam){return ctorParam&&convertTsickleDecoratorIntoMetadata(ctorParam.decorators)});return this._zipTypesAndAnnotations(paramTypes,paramAnnotations)}if(isPresent(this._reflect)&&isPresent(this._reflect.getOwnMetadata)){var paramAnnotations=this._reflect.getOwnMetadata("parameters",type),paramTypes=this._reflect.getOwnMetadata("design:paramtypes",type);if(paramTypes||paramAnnotations)return this._zipTypesAndAnnotations(paramTypes,paramAnnotations)}return new Array(type.length).fill(void 0)},ReflectionCapabilities.prototype.parameters=function(type){if(!isType(type))return[];var parentCtor=getParentCtor(type),parameters=this._ownParameters(type,parentCtor);return parameters||parentCtor===Object||(parameters=this.parameters(parentCtor)),parameters||[]},ReflectionCapabilities.prototype._ownAnnotations=function(typeOrFunc,parentCtor){if(typeOrFunc.annotations&&typeOrFunc.annotations!==parentCtor.annotations){var annotations=typeOrFunc.annotations;return"function"==typeof annotations&&annotations.annotations&&(annotations=annotations.annotations),annotations}return typeOrFunc.decorators&&typeOrFunc.decorators!==parentCtor.decorators?convertTsickleDecoratorIntoMetadata(typeOrFunc.decorators):this._reflect&&this._reflect.getOwnMetadata?this._reflect.getOwnMetadata("annotations",typeOrFunc):void 0},ReflectionCapabilities.prototype.annotations=function(typeOrFunc){if(!isType(typeOrFunc))return[];var parentCtor=getParentCtor(typeOrFunc),ownAnnotations=this._ownAnnotations(typeOrFunc,parentCtor)||[],parentAnnotations=parentCtor!==Object?this.annotations(parentCtor):[];return parentAnnotations.concat(ownAnnotations)},ReflectionCapabilities.prototype._ownPropMetadata=function(typeOrFunc,parentCtor){if(typeOrFunc.propMetadata&&typeOrFunc.propMetadata!==parentCtor.propMetadata){var propMetadata=typeOrFunc.propMetadata;return"function"==typeof propMetadata&&propMetadata.propMetadata&&(propMetadata=propMetadata.propMetadata),propMetadata}if(typeOrFunc.propDecorators&&typeOrFunc.propDecorators!==parentCtor.propDecorators){var propDecorators_1=typeOrFunc.propDecorators,propMetadata_1={};return Object.keys(propDecorators_1).forEach(function(prop){propMetadata_1[prop]=convertTsickleDecoratorIntoMetadata(propDecorators_1[prop])}),propMetadata_1}if(this._reflect&&this._reflect.getOwnMetadata)return this._reflect.getOwnMetadata("propMetadata",typeOrFunc)},ReflectionCapabilities.prototype.propMetadata=function(typeOrFunc){if(!isType(typeOrFunc))return{};var parentCtor=getParentCtor(typeOrFunc),propMetadata={};if(parentCtor!==Object){var parentPropMetadata_1=this.propMetadata(parentCtor);Object.keys(parentPropMetadata_1).forEach(function(propName){propMetadata[propName]=parentPropMetadata_1[propName]})}var ownPropMetadata=this._ownPropMetadata(typeOrFunc,parentCtor);return ownPropMetadata&&Object.keys(ownPropMetadata).forEach(function(propName){var decorators=[];propMetadata.hasOwnProperty(propName)&&decorators.push.apply(decorators,propMetadata[propName]),decorators.push.apply(decorators,ownPropMetadata[propName]),propMetadata[propName]=decorators}),propMetadata},ReflectionCapabilities.prototype.hasLifecycleHook=function(type,lcProperty){return type instanceof Type&&lcProperty in type.prototype},ReflectionCapabilities.prototype.getter=function(name){return new Function("o","return o."+name+";")},ReflectionCapabilities.prototype.setter=function(name){return new Function("o","v","return o."+name+" = v;")},ReflectionCapabilities.prototype.method=function(name){var functionBody="if (!o."+name+") throw new Error('\""+name+"\" is undefined');\n        return o."+name+".apply(o, args);";return new Function("o","args",functionBody)},ReflectionCapabilities.prototype.importUri=function(type){return"object"==typeof type&&type.filePath?type.filePath:"./"+stringify(type)},ReflectionCapabilities.prototype.resolveIdentifier=function(name,moduleUrl,runtime){return runtime},ReflectionCapabilities.prototype.resolveEnum=function(enumIdentifier,name){return enumIdentifier[name]},ReflectionCapabilities}(),ReflectorReader=function(){function ReflectorReader(){}return ReflectorReader.prototype.parameters=function(typeOrFunc){},ReflectorReader.prototype.annotations=function(typeOrFunc){},ReflectorReader.prototype.propMetadata=function(typeOrFunc){},ReflectorReader.prototype.importUri=function(typeOrFunc){},ReflectorReader.prototype.resolveIdentifier=function(name,moduleUrl,runtime){},ReflectorReader.prototype.resolveEnum=function(identifier,name){},ReflectorReader}(),__extends$2=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},Reflector=function(_super){function Reflector(reflectionCapabilities){_super.call(this),this.reflectionCapabilities=reflectionCapabilities}return __extends$2(Reflector,_super),Reflector.prototype.updateCapabilities=function(caps){this.reflectionCapabilities=caps},Reflector.prototype.factory=function(type){return this.reflectionCapabilities.factory(type)},Reflector.prototype.parameters=function(typeOrFunc){return this.reflectionCapabilities.parameters(typeOrFunc)},Reflector.prototype.annotations=function(typeOrFunc){return this.reflectionCapabilities.annotations(typeOrFunc)},Reflector.prototype.propMetadata=function(typeOrFunc){return this.reflectionCapabilities.propMetadata(typeOrFunc)},Reflector.prototype.hasLifecycleHook=function(type,lcProperty){return this.reflectionCapabilities.hasLifecycleHook(type,lcProperty)},Reflector.prototype.getter=function(name){return this.reflectionCapabilities.getter(name)},Reflector.prototype.setter=function(name){return this.reflectionCapabilities.setter(name)},Reflector.prototype.method=function(name){return this.reflectionCapabilities.method(name)},Reflector.prototype.importUri=function(type){return this.reflectionCapabilities.importUri(type)},Reflector.prototype.resolveIdentifier=function(name,moduleUrl,runtime){return this.reflectionCapabilities.resolveIdentifier(name,moduleUrl,runtime)},Reflector.prototype.resolveEnum=function(identifier,name){return this.reflectionCapabilities.resolveEnum(identifier,name)},Reflector}(ReflectorReader),reflector=new Reflector(new ReflectionCapabilities),ReflectiveDependency=function(){function ReflectiveDependency(key,optional,lowerBoundVisibility,upperBoundVisibility,properties){this.key=key,this.optional=optional,this.lowerBoundVisibility=lowerBoundVisibility,this.upperBoundVisibility=upperBoundVisibility,this.properties=properties}return ReflectiveDependency.fromKey=function(key){return new ReflectiveDependency(key,(!1),null,null,[])},ReflectiveDependency}(),_EMPTY_LIST=[],ResolvedReflectiveProvider_=function(){function ResolvedReflectiveProvider_(key,resolvedFactories,multiProvider){this.key=key,this.resolvedFactories=resolvedFactories,this.multiProvider=multiProvider}return Object.defineProperty(ResolvedReflectiveProvider_.prototype,"resolvedFactory",{get:function(){return this.resolvedFactories[0]},enumerable:!0,configurable:!0}),ResolvedReflectiveProvider_}(),ResolvedReflectiveFactory=function(){function ResolvedReflectiveFactory(factory,dependencies){this.factory=factory,this.dependencies=dependencies}return ResolvedReflectiveFactory}(),_MAX_CONSTRUCTION_COUNTER=10,UNDEFINED=new Object,ReflectiveProtoInjectorInlineStrategy=function(){function ReflectiveProtoInjectorInlineStrategy(protoEI,providers){this.provider0=null,this.provider1=null,this.provider2=null,this.provider3=null,this.provider4=null,this.provider5=null,this.provider6=null,this.provider7=null,this.provider8=null,this.provider9=null,this.keyId0=null,this.keyId1=null,this.keyId2=null,this.keyId3=null,this.keyId4=null,this.keyId5=null,this.keyId6=null,this.keyId7=null,this.keyId8=null,this.keyId9=null;var length=providers.length;length>0&&(this.provider0=providers[0],this.keyId0=providers[0].key.id),length>1&&(this.provider1=providers[1],this.keyId1=providers[1].key.id),length>2&&(this.provider2=providers[2],this.keyId2=providers[2].key.id),length>3&&(this.provider3=providers[3],this.keyId3=providers[3].key.id),length>4&&(this.provider4=providers[4],this.keyId4=providers[4].key.id),length>5&&(this.provider5=providers[5],this.keyId5=providers[5].key.id),length>6&&(this.provider6=providers[6],this.keyId6=providers[6].key.id),length>7&&(this.provider7=providers[7],this.keyId7=providers[7].key.id),length>8&&(this.provider8=providers[8],this.keyId8=providers[8].key.id),length>9&&(this.provider9=providers[9],this.keyId9=providers[9].key.id)}return ReflectiveProtoInjectorInlineStrategy.prototype.getProviderAtIndex=function(index){if(0==index)return this.provider0;if(1==index)return this.provider1;if(2==index)return this.provider2;if(3==index)return this.provider3;if(4==index)return this.provider4;if(5==index)return this.provider5;if(6==index)return this.provider6;if(7==index)return this.provider7;if(8==index)return this.provider8;if(9==index)return this.provider9;throw new OutOfBoundsError(index)},ReflectiveProtoInjectorInlineStrategy.prototype.createInjectorStrategy=function(injector){return new ReflectiveInjectorInlineStrategy(injector,this)},ReflectiveProtoInjectorInlineStrategy}(),ReflectiveProtoInjectorDynamicStrategy=function(){function ReflectiveProtoInjectorDynamicStrategy(protoInj,providers){this.providers=providers;var len=providers.length;this.keyIds=new Array(len);for(var i=0;i<len;i++)this.keyIds[i]=providers[i].key.id}return ReflectiveProtoInjectorDynamicStrategy.prototype.getProviderAtIndex=function(index){if(index<0||index>=this.providers.length)throw new OutOfBoundsError(index);return this.providers[index]},ReflectiveProtoInjectorDynamicStrategy.prototype.createInjectorStrategy=function(ei){return new ReflectiveInjectorDynamicStrategy(this,ei)},ReflectiveProtoInjectorDynamicStrategy}(),ReflectiveProtoInjector=function(){function ReflectiveProtoInjector(providers){this.numberOfProviders=providers.length,this._strategy=providers.length>_MAX_CONSTRUCTION_COUNTER?new ReflectiveProtoInjectorDynamicStrategy(this,providers):new ReflectiveProtoInjectorInlineStrategy(this,providers)}return ReflectiveProtoInjector.fromResolvedProviders=function(providers){return new ReflectiveProtoInjector(providers)},ReflectiveProtoInjector.prototype.getProviderAtIndex=function(index){return this._strategy.getProviderAtIndex(index)},ReflectiveProtoInjector}(),ReflectiveInjectorInlineStrategy=function(){function ReflectiveInjectorInlineStrategy(injector,protoStrategy){this.injector=injector,this.protoStrategy=protoStrategy,this.obj0=UNDEFINED,this.obj1=UNDEFINED,this.obj2=UNDEFINED,this.obj3=UNDEFINED,this.obj4=UNDEFINED,this.obj5=UNDEFINED,this.obj6=UNDEFINED,this.obj7=UNDEFINED,this.obj8=UNDEFINED,this.obj9=UNDEFINED}return ReflectiveInjectorInlineStrategy.prototype.resetConstructionCounter=function(){this.injector._constructionCounter=0},ReflectiveInjectorInlineStrategy.prototype.instantiateProvider=function(provider){return this.injector._new(provider)},ReflectiveInjectorInlineStrategy.prototype.getObjByKeyId=function(keyId){var p=this.protoStrategy,inj=this.injector;return p.keyId0===keyId?(this.obj0===UNDEFINED&&(this.obj0=inj._new(p.provider0)),this.obj0):p.keyId1===keyId?(this.obj1===UNDEFINED&&(this.obj1=inj._new(p.provider1)),this.obj1):p.keyId2===keyId?(this.obj2===UNDEFINED&&(this.obj2=inj._new(p.provider2)),this.obj2):p.keyId3===keyId?(this.obj3===UNDEFINED&&(this.obj3=inj._new(p.provider3)),this.obj3):p.keyId4===keyId?(this.obj4===UNDEFINED&&(this.obj4=inj._new(p.provider4)),this.obj4):p.keyId5===keyId?(this.obj5===UNDEFINED&&(this.obj5=inj._new(p.provider5)),this.obj5):p.keyId6===keyId?(this.obj6===UNDEFINED&&(this.obj6=inj._new(p.provider6)),this.obj6):p.keyId7===keyId?(this.obj7===UNDEFINED&&(this.obj7=inj._new(p.provider7)),this.obj7):p.keyId8===keyId?(this.obj8===UNDEFINED&&(this.obj8=inj._new(p.provider8)),this.obj8):p.keyId9===keyId?(this.obj9===UNDEFINED&&(this.obj9=inj._new(p.provider9)),this.obj9):UNDEFINED},ReflectiveInjectorInlineStrategy.prototype.getObjAtIndex=function(index){if(0==index)return this.obj0;if(1==index)return this.obj1;if(2==index)return this.obj2;if(3==index)return this.obj3;if(4==index)return this.obj4;if(5==index)return this.obj5;if(6==index)return this.obj6;if(7==index)return this.obj7;if(8==index)return this.obj8;if(9==index)return this.obj9;throw new OutOfBoundsError(index)},ReflectiveInjectorInlineStrategy.prototype.getMaxNumberOfObjects=function(){return _MAX_CONSTRUCTION_COUNTER},ReflectiveInjectorInlineStrategy}(),ReflectiveInjectorDynamicStrategy=function(){function ReflectiveInjectorDynamicStrategy(protoStrategy,injector){this.protoStrategy=protoStrategy,this.injector=injector,this.objs=new Array(protoStrategy.providers.length).fill(UNDEFINED)}return ReflectiveInjectorDynamicStrategy.prototype.resetConstructionCounter=function(){this.injector._constructionCounter=0},ReflectiveInjectorDynamicStrategy.prototype.instantiateProvider=function(provider){return this.injector._new(provider)},ReflectiveInjectorDynamicStrategy.prototype.getObjByKeyId=function(keyId){for(var p=this.protoStrategy,i=0;i<p.keyIds.length;i++)if(p.keyIds[i]===keyId)return this.objs[i]===UNDEFINED&&(this.objs[i]=this.injector._new(p.providers[i])),this.objs[i];return UNDEFINED},ReflectiveInjectorDynamicStrategy.prototype.getObjAtIndex=function(index){if(index<0||index>=this.objs.length)throw new OutOfBoundsError(index);return this.objs[index]},ReflectiveInjectorDynamicStrategy.prototype.getMaxNumberOfObjects=function(){return this.objs.length},ReflectiveInjectorDynamicStrategy}(),ReflectiveInjector=function(){function ReflectiveInjector(){}return ReflectiveInjector.resolve=function(providers){return resolveReflectiveProviders(providers)},ReflectiveInjector.resolveAndCreate=function(providers,parent){void 0===parent&&(parent=null);var ResolvedReflectiveProviders=ReflectiveInjector.resolve(providers);return ReflectiveInjector.fromResolvedProviders(ResolvedReflectiveProviders,parent)},ReflectiveInjector.fromResolvedProviders=function(providers,parent){return void 0===parent&&(parent=null),new ReflectiveInjector_(ReflectiveProtoInjector.fromResolvedProviders(providers),parent)},Object.defineProperty(ReflectiveInjector.prototype,"parent",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ReflectiveInjector.prototype.resolveAndCreateChild=function(providers){return unimplemented()},ReflectiveInjector.prototype.createChildFromResolved=function(providers){return unimplemented()},ReflectiveInjector.prototype.resolveAndInstantiate=function(provider){return unimplemented()},ReflectiveInjector.prototype.instantiateResolved=function(provider){return unimplemented()},ReflectiveInjector.prototype.get=function(token,notFoundValue){},ReflectiveInjector}(),ReflectiveInjector_=function(){function ReflectiveInjector_(_proto,_parent){void 0===_parent&&(_parent=null),this._constructionCounter=0,this._proto=_proto,this._parent=_parent,this._strategy=_proto._strategy.createInjectorStrategy(this)}return ReflectiveInjector_.prototype.get=function(token,notFoundValue){return void 0===notFoundValue&&(notFoundValue=THROW_IF_NOT_FOUND),this._getByKey(ReflectiveKey.get(token),null,null,notFoundValue)},ReflectiveInjector_.prototype.getAt=function(index){return this._strategy.getObjAtIndex(index)},Object.defineProperty(ReflectiveInjector_.prototype,"parent",{get:function(){return this._parent},enumerable:!0,configurable:!0}),Object.defineProperty(ReflectiveInjector_.prototype,"internalStrategy",{get:function(){return this._strategy},enumerable:!0,configurable:!0}),ReflectiveInjector_.prototype.resolveAndCreateChild=function(providers){var ResolvedReflectiveProviders=ReflectiveInjector.resolve(providers);return this.createChildFromResolved(ResolvedReflectiveProviders)},ReflectiveInjector_.prototype.createChildFromResolved=function(providers){var proto=new ReflectiveProtoInjector(providers),inj=new ReflectiveInjector_(proto);return inj._parent=this,inj},ReflectiveInjector_.prototype.resolveAndInstantiate=function(provider){return this.instantiateResolved(ReflectiveInjector.resolve([provider])[0])},ReflectiveInjector_.prototype.instantiateResolved=function(provider){return this._instantiateProvider(provider)},ReflectiveInjector_.prototype._new=function(provider){if(this._constructionCounter++>this._strategy.getMaxNumberOfObjects())throw new CyclicDependencyError(this,provider.key);return this._instantiateProvider(provider)},ReflectiveInjector_.prototype._instantiateProvider=function(provider){if(provider.multiProvider){for(var res=new Array(provider.resolvedFactories.length),i=0;i<provider.resolvedFactories.length;++i)res[i]=this._instantiate(provider,provider.resolvedFactories[i]);return res}return this._instantiate(provider,provider.resolvedFactories[0])},ReflectiveInjector_.prototype._instantiate=function(provider,ResolvedReflectiveFactory){var d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14,d15,d16,d17,d18,d19,factory=ResolvedReflectiveFactory.factory,deps=ResolvedReflectiveFactory.dependencies,length=deps.length;try{d0=length>0?this._getByReflectiveDependency(provider,deps[0]):null,d1=length>1?this._getByReflectiveDependency(provider,deps[1]):null,d2=length>2?this._getByReflectiveDependency(provider,deps[2]):null,d3=length>3?this._getByReflectiveDependency(provider,deps[3]):null,d4=length>4?this._getByReflectiveDependency(provider,deps[4]):null,d5=length>5?this._getByReflectiveDependency(provider,deps[5]):null,d6=length>6?this._getByReflectiveDependency(provider,deps[6]):null,d7=length>7?this._getByReflectiveDependency(provider,deps[7]):null,d8=length>8?this._getByReflectiveDependency(provider,deps[8]):null,d9=length>9?this._getByReflectiveDependency(provider,deps[9]):null,d10=length>10?this._getByReflectiveDependency(provider,deps[10]):null,d11=length>11?this._getByReflectiveDependency(provider,deps[11]):null,d12=length>12?this._getByReflectiveDependency(provider,deps[12]):null,d13=length>13?this._getByReflectiveDependency(provider,deps[13]):null,d14=length>14?this._getByReflectiveDependency(provider,deps[14]):null,d15=length>15?this._getByReflectiveDependency(provider,deps[15]):null,d16=length>16?this._getByReflectiveDependency(provider,deps[16]):null,d17=length>17?this._getByReflectiveDependency(provider,deps[17]):null,d18=length>18?this._getByReflectiveDependency(provider,deps[18]):null,d19=length>19?this._getByReflectiveDependency(provider,deps[19]):null}catch(e){throw(e instanceof AbstractProviderError||e instanceof InstantiationError)&&e.addKey(this,provider.key),e}var obj;try{switch(length){case 0:obj=factory();break;case 1:obj=factory(d0);break;case 2:obj=factory(d0,d1);break;case 3:obj=factory(d0,d1,d2);break;case 4:obj=factory(d0,d1,d2,d3);break;case 5:obj=factory(d0,d1,d2,d3,d4);break;case 6:obj=factory(d0,d1,d2,d3,d4,d5);break;case 7:obj=factory(d0,d1,d2,d3,d4,d5,d6);break;case 8:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7);break;case 9:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8);break;case 10:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9);break;case 11:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10);break;case 12:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11);break;case 13:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12);break;case 14:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13);break;case 15:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14);break;case 16:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14,d15);break;case 17:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14,d15,d16);break;case 18:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14,d15,d16,d17);break;case 19:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14,d15,d16,d17,d18);break;case 20:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14,d15,d16,d17,d18,d19);break;default:throw new Error("Cannot instantiate '"+provider.key.displayName+"' because it has more than 20 dependencies")}}catch(e){throw new InstantiationError(this,e,e.stack,provider.key)}return obj},ReflectiveInjector_.prototype._getByReflectiveDependency=function(provider,dep){return this._getByKey(dep.key,dep.lowerBoundVisibility,dep.upperBoundVisibility,dep.optional?null:THROW_IF_NOT_FOUND)},ReflectiveInjector_.prototype._getByKey=function(key,lowerBoundVisibility,upperBoundVisibility,notFoundValue){return key===INJECTOR_KEY?this:upperBoundVisibility instanceof Self?this._getByKeySelf(key,notFoundValue):this._getByKeyDefault(key,notFoundValue,lowerBoundVisibility)},ReflectiveInjector_.prototype._throwOrNull=function(key,notFoundValue){if(notFoundValue!==THROW_IF_NOT_FOUND)return notFoundValue;throw new NoProviderError(this,key)},ReflectiveInjector_.prototype._getByKeySelf=function(key,notFoundValue){var obj=this._strategy.getObjByKeyId(key.id);return obj!==UNDEFINED?obj:this._throwOrNull(key,notFoundValue)},ReflectiveInjector_.prototype._getByKeyDefault=function(key,notFoundValue,lowerBoundVisibility){var inj;for(inj=lowerBoundVisibility instanceof SkipSelf?this._parent:this;inj instanceof ReflectiveInjector_;){var inj_=inj,obj=inj_._strategy.getObjByKeyId(key.id);if(obj!==UNDEFINED)return obj;inj=inj_._parent}return null!==inj?inj.get(key.token,notFoundValue):this._throwOrNull(key,notFoundValue)},Object.defineProperty(ReflectiveInjector_.prototype,"displayName",{get:function(){var providers=_mapProviders(this,function(b){return' "'+b.key.displayName+'" '}).join(", ");return"ReflectiveInjector(providers: ["+providers+"])"},enumerable:!0,configurable:!0}),ReflectiveInjector_.prototype.toString=function(){return this.displayName},ReflectiveInjector_}(),INJECTOR_KEY=ReflectiveKey.get(Injector),ErrorHandler=function(){function ErrorHandler(rethrowError){void 0===rethrowError&&(rethrowError=!0),this._console=console,this.rethrowError=rethrowError}return ErrorHandler.prototype.handleError=function(error){var originalError=this._findOriginalError(error),originalStack=this._findOriginalStack(error),context=this._findContext(error);if(this._console.error("EXCEPTION: "+this._extractMessage(error)),originalError&&this._console.error("ORIGINAL EXCEPTION: "+this._extractMessage(originalError)),originalStack&&(this._console.error("ORIGINAL STACKTRACE:"),this._console.error(originalStack)),context&&(this._console.error("ERROR CONTEXT:"),this._console.error(context)),this.rethrowError)throw error},ErrorHandler.prototype._extractMessage=function(error){return error instanceof Error?error.message:error.toString()},ErrorHandler.prototype._findContext=function(error){return error?error.context?error.context:this._findContext(error.originalError):null},ErrorHandler.prototype._findOriginalError=function(error){for(var e=error.originalError;e&&e.originalError;)e=e.originalError;return e},ErrorHandler.prototype._findOriginalStack=function(error){if(!(error instanceof Error))return null;for(var e=error,stack=e.stack;e instanceof Error&&e.originalError;)e=e.originalError,e instanceof Error&&e.stack&&(stack=e.stack);return stack},ErrorHandler}(),StringMapWrapper=function(){function StringMapWrapper(){}return StringMapWrapper.merge=function(m1,m2){for(var m={},_i=0,_a=Object.keys(m1);_i<_a.length;_i++){var k=_a[_i];m[k]=m1[k]}for(var _b=0,_c=Object.keys(m2);_b<_c.length;_b++){var k=_c[_b];m[k]=m2[k]}return m},StringMapWrapper.equals=function(m1,m2){var k1=Object.keys(m1),k2=Object.keys(m2);if(k1.length!=k2.length)return!1;for(var i=0;i<k1.length;i++){var key=k1[i];if(m1[key]!==m2[key])return!1}return!0},StringMapWrapper}(),ListWrapper=function(){function ListWrapper(){}return ListWrapper.findLast=function(arr,condition){for(var i=arr.length-1;i>=0;i--)if(condition(arr[i]))return arr[i];return null},ListWrapper.removeAll=function(list,items){for(var i=0;i<items.length;++i){var index=list.indexOf(items[i]);index>-1&&list.splice(index,1)}},ListWrapper.remove=function(list,el){var index=list.indexOf(el);return index>-1&&(list.splice(index,1),!0)},ListWrapper.equals=function(a,b){if(a.length!=b.length)return!1;for(var i=0;i<a.length;++i)if(a[i]!==b[i])return!1;return!0},ListWrapper.flatten=function(list){return list.reduce(function(flat,item){var flatItem=Array.isArray(item)?ListWrapper.flatten(item):item;return flat.concat(flatItem)},[])},ListWrapper}(),APP_INITIALIZER=new OpaqueToken("Application Initializer"),ApplicationInitStatus=function(){function ApplicationInitStatus(appInits){var _this=this;this._done=!1;var asyncInitPromises=[];if(appInits)for(var i=0;i<appInits.length;i++){var initResult=appInits[i]();isPromise(initResult)&&asyncInitPromises.push(initResult)}this._donePromise=Promise.all(asyncInitPromises).then(function(){_this._done=!0}),0===asyncInitPromises.length&&(this._done=!0)}return Object.defineProperty(ApplicationInitStatus.prototype,"done",{get:function(){return this._done},enumerable:!0,configurable:!0}),Object.defineProperty(ApplicationInitStatus.prototype,"donePromise",{get:function(){return this._donePromise},enumerable:!0,configurable:!0}),ApplicationInitStatus.decorators=[{type:Injectable}],ApplicationInitStatus.ctorParameters=function(){return[{type:Array,decorators:[{type:Inject,args:[APP_INITIALIZER]},{type:Optional}]}]},ApplicationInitStatus}(),APP_ID=new OpaqueToken("AppId"),APP_ID_RANDOM_PROVIDER={provide:APP_ID,useFactory:_appIdRandomProviderFactory,deps:[]},PLATFORM_INITIALIZER=new OpaqueToken("Platform Initializer"),APP_BOOTSTRAP_LISTENER=new OpaqueToken("appBootstrapListener"),PACKAGE_ROOT_URL=new OpaqueToken("Application Packages Root URL"),Console=function(){function Console(){}return Console.prototype.log=function(message){print(message)},Console.prototype.warn=function(message){warn(message)},Console.decorators=[{type:Injectable}],Console.ctorParameters=function(){return[]},Console}(),__extends$4=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},ComponentStillLoadingError=function(_super){function ComponentStillLoadingError(compType){_super.call(this,"Can't compile synchronously as "+stringify(compType)+" is still being loaded!"),this.compType=compType}return __extends$4(ComponentStillLoadingError,_super),ComponentStillLoadingError}(BaseError),ModuleWithComponentFactories=function(){function ModuleWithComponentFactories(ngModuleFactory,componentFactories){this.ngModuleFactory=ngModuleFactory,this.componentFactories=componentFactories}return ModuleWithComponentFactories}(),Compiler=function(){function Compiler(){}return Compiler.prototype.compileModuleSync=function(moduleType){throw _throwError()},Compiler.prototype.compileModuleAsync=function(moduleType){throw _throwError()},Compiler.prototype.compileModuleAndAllComponentsSync=function(moduleType){throw _throwError()},Compiler.prototype.compileModuleAndAllComponentsAsync=function(moduleType){throw _throwError()},Compiler.prototype.getNgContentSelectors=function(component){throw _throwError()},Compiler.prototype.clearCache=function(){},Compiler.prototype.clearCacheFor=function(type){},Compiler.decorators=[{type:Injectable}],Compiler.ctorParameters=function(){return[]},Compiler}(),COMPILER_OPTIONS=new OpaqueToken("compilerOptions"),CompilerFactory=function(){function CompilerFactory(){}return CompilerFactory.prototype.createCompiler=function(options){},CompilerFactory}(),ElementRef=function(){function ElementRef(nativeElement){this.nativeElement=nativeElement}return ElementRef}(),__extends$6=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},EventEmitter=function(_super){function EventEmitter(isAsync){void 0===isAsync&&(isAsync=!1),_super.call(this),this.__isAsync=isAsync}return __extends$6(EventEmitter,_super),EventEmitter.prototype.emit=function(value){_super.prototype.next.call(this,value)},EventEmitter.prototype.subscribe=function(generatorOrNext,error,complete){var schedulerFn,errorFn=function(err){return null},completeFn=function(){return null};return generatorOrNext&&"object"==typeof generatorOrNext?(schedulerFn=this.__isAsync?function(value){setTimeout(function(){return generatorOrNext.next(value)})}:function(value){generatorOrNext.next(value)},generatorOrNext.error&&(errorFn=this.__isAsync?function(err){setTimeout(function(){return generatorOrNext.error(err)})}:function(err){generatorOrNext.error(err)}),generatorOrNext.complete&&(completeFn=this.__isAsync?function(){setTimeout(function(){return generatorOrNext.complete()})}:function(){generatorOrNext.complete()})):(schedulerFn=this.__isAsync?function(value){setTimeout(function(){return generatorOrNext(value)})}:function(value){generatorOrNext(value)},error&&(errorFn=this.__isAsync?function(err){setTimeout(function(){return error(err)})}:function(err){error(err)}),complete&&(completeFn=this.__isAsync?function(){setTimeout(function(){return complete()})}:function(){complete()})),_super.prototype.subscribe.call(this,schedulerFn,errorFn,completeFn)},EventEmitter}(rxjs_Subject.Subject),NgZone=function(){function NgZone(_a){var _b=_a.enableLongStackTrace,enableLongStackTrace=void 0!==_b&&_b;if(this._hasPendingMicrotasks=!1,this._hasPendingMacrotasks=!1,this._isStable=!0,this._nesting=0,this._onUnstable=new EventEmitter((!1)),this._onMicrotaskEmpty=new EventEmitter((!1)),this._onStable=new EventEmitter((!1)),this._onErrorEvents=new EventEmitter((!1)),"undefined"==typeof Zone)throw new Error("Angular requires Zone.js prolyfill.");Zone.assertZonePatched(),this.outer=this.inner=Zone.current,Zone.wtfZoneSpec&&(this.inner=this.inner.fork(Zone.wtfZoneSpec)),enableLongStackTrace&&Zone.longStackTraceZoneSpec&&(this.inner=this.inner.fork(Zone.longStackTraceZoneSpec)),this.forkInnerZoneWithAngularBehavior()}return NgZone.isInAngularZone=function(){return Zone.current.get("isAngularZone")===!0},NgZone.assertInAngularZone=function(){if(!NgZone.isInAngularZone())throw new Error("Expected to be in Angular Zone, but it is not!")},NgZone.assertNotInAngularZone=function(){if(NgZone.isInAngularZone())throw new Error("Expected to not be in Angular Zone, but it is!")},NgZone.prototype.run=function(fn){return this.inner.run(fn)},NgZone.prototype.runGuarded=function(fn){return this.inner.runGuarded(fn)},NgZone.prototype.runOutsideAngular=function(fn){return this.outer.run(fn)},Object.defineProperty(NgZone.prototype,"onUnstable",{get:function(){return this._onUnstable},enumerable:!0,configurable:!0}),Object.defineProperty(NgZone.prototype,"onMicrotaskEmpty",{get:function(){return this._onMicrotaskEmpty},enumerable:!0,configurable:!0}),Object.defineProperty(NgZone.prototype,"onStable",{get:function(){return this._onStable},enumerable:!0,configurable:!0}),Object.defineProperty(NgZone.prototype,"onError",{get:function(){return this._onErrorEvents;
-},enumerable:!0,configurable:!0}),Object.defineProperty(NgZone.prototype,"isStable",{get:function(){return this._isStable},enumerable:!0,configurable:!0}),Object.defineProperty(NgZone.prototype,"hasPendingMicrotasks",{get:function(){return this._hasPendingMicrotasks},enumerable:!0,configurable:!0}),Object.defineProperty(NgZone.prototype,"hasPendingMacrotasks",{get:function(){return this._hasPendingMacrotasks},enumerable:!0,configurable:!0}),NgZone.prototype.checkStable=function(){var _this=this;if(0==this._nesting&&!this._hasPendingMicrotasks&&!this._isStable)try{this._nesting++,this._onMicrotaskEmpty.emit(null)}finally{if(this._nesting--,!this._hasPendingMicrotasks)try{this.runOutsideAngular(function(){return _this._onStable.emit(null)})}finally{this._isStable=!0}}},NgZone.prototype.forkInnerZoneWithAngularBehavior=function(){var _this=this;this.inner=this.inner.fork({name:"angular",properties:{isAngularZone:!0},onInvokeTask:function(delegate,current,target,task,applyThis,applyArgs){try{return _this.onEnter(),delegate.invokeTask(target,task,applyThis,applyArgs)}finally{_this.onLeave()}},onInvoke:function(delegate,current,target,callback,applyThis,applyArgs,source){try{return _this.onEnter(),delegate.invoke(target,callback,applyThis,applyArgs,source)}finally{_this.onLeave()}},onHasTask:function(delegate,current,target,hasTaskState){delegate.hasTask(target,hasTaskState),current===target&&("microTask"==hasTaskState.change?_this.setHasMicrotask(hasTaskState.microTask):"macroTask"==hasTaskState.change&&_this.setHasMacrotask(hasTaskState.macroTask))},onHandleError:function(delegate,current,target,error){return delegate.handleError(target,error),_this.triggerError(error),!1}})},NgZone.prototype.onEnter=function(){this._nesting++,this._isStable&&(this._isStable=!1,this._onUnstable.emit(null))},NgZone.prototype.onLeave=function(){this._nesting--,this.checkStable()},NgZone.prototype.setHasMicrotask=function(hasMicrotasks){this._hasPendingMicrotasks=hasMicrotasks,this.checkStable()},NgZone.prototype.setHasMacrotask=function(hasMacrotasks){this._hasPendingMacrotasks=hasMacrotasks},NgZone.prototype.triggerError=function(error){this._onErrorEvents.emit(error)},NgZone}(),AnimationQueue=function(){function AnimationQueue(_zone){this._zone=_zone,this.entries=[]}return AnimationQueue.prototype.enqueue=function(player){this.entries.push(player)},AnimationQueue.prototype.flush=function(){var _this=this;this.entries.length&&this._zone.runOutsideAngular(function(){Promise.resolve(null).then(function(){return _this._triggerAnimations()})})},AnimationQueue.prototype._triggerAnimations=function(){for(NgZone.assertNotInAngularZone();this.entries.length;){var player=this.entries.shift();player.hasStarted()||player.play()}},AnimationQueue.decorators=[{type:Injectable}],AnimationQueue.ctorParameters=function(){return[{type:NgZone}]},AnimationQueue}(),DefaultIterableDifferFactory=function(){function DefaultIterableDifferFactory(){}return DefaultIterableDifferFactory.prototype.supports=function(obj){return isListLikeIterable(obj)},DefaultIterableDifferFactory.prototype.create=function(cdRef,trackByFn){return new DefaultIterableDiffer(trackByFn)},DefaultIterableDifferFactory}(),trackByIdentity=function(index,item){return item},DefaultIterableDiffer=function(){function DefaultIterableDiffer(_trackByFn){this._trackByFn=_trackByFn,this._length=null,this._collection=null,this._linkedRecords=null,this._unlinkedRecords=null,this._previousItHead=null,this._itHead=null,this._itTail=null,this._additionsHead=null,this._additionsTail=null,this._movesHead=null,this._movesTail=null,this._removalsHead=null,this._removalsTail=null,this._identityChangesHead=null,this._identityChangesTail=null,this._trackByFn=this._trackByFn||trackByIdentity}return Object.defineProperty(DefaultIterableDiffer.prototype,"collection",{get:function(){return this._collection},enumerable:!0,configurable:!0}),Object.defineProperty(DefaultIterableDiffer.prototype,"length",{get:function(){return this._length},enumerable:!0,configurable:!0}),DefaultIterableDiffer.prototype.forEachItem=function(fn){var record;for(record=this._itHead;null!==record;record=record._next)fn(record)},DefaultIterableDiffer.prototype.forEachOperation=function(fn){for(var nextIt=this._itHead,nextRemove=this._removalsHead,addRemoveOffset=0,moveOffsets=null;nextIt||nextRemove;){var record=!nextRemove||nextIt&&nextIt.currentIndex<getPreviousIndex(nextRemove,addRemoveOffset,moveOffsets)?nextIt:nextRemove,adjPreviousIndex=getPreviousIndex(record,addRemoveOffset,moveOffsets),currentIndex=record.currentIndex;if(record===nextRemove)addRemoveOffset--,nextRemove=nextRemove._nextRemoved;else if(nextIt=nextIt._next,null==record.previousIndex)addRemoveOffset++;else{moveOffsets||(moveOffsets=[]);var localMovePreviousIndex=adjPreviousIndex-addRemoveOffset,localCurrentIndex=currentIndex-addRemoveOffset;if(localMovePreviousIndex!=localCurrentIndex){for(var i=0;i<localMovePreviousIndex;i++){var offset=i<moveOffsets.length?moveOffsets[i]:moveOffsets[i]=0,index=offset+i;localCurrentIndex<=index&&index<localMovePreviousIndex&&(moveOffsets[i]=offset+1)}var previousIndex=record.previousIndex;moveOffsets[previousIndex]=localCurrentIndex-localMovePreviousIndex}}adjPreviousIndex!==currentIndex&&fn(record,adjPreviousIndex,currentIndex)}},DefaultIterableDiffer.prototype.forEachPreviousItem=function(fn){var record;for(record=this._previousItHead;null!==record;record=record._nextPrevious)fn(record)},DefaultIterableDiffer.prototype.forEachAddedItem=function(fn){var record;for(record=this._additionsHead;null!==record;record=record._nextAdded)fn(record)},DefaultIterableDiffer.prototype.forEachMovedItem=function(fn){var record;for(record=this._movesHead;null!==record;record=record._nextMoved)fn(record)},DefaultIterableDiffer.prototype.forEachRemovedItem=function(fn){var record;for(record=this._removalsHead;null!==record;record=record._nextRemoved)fn(record)},DefaultIterableDiffer.prototype.forEachIdentityChange=function(fn){var record;for(record=this._identityChangesHead;null!==record;record=record._nextIdentityChange)fn(record)},DefaultIterableDiffer.prototype.diff=function(collection){if(isBlank(collection)&&(collection=[]),!isListLikeIterable(collection))throw new Error("Error trying to diff '"+collection+"'");return this.check(collection)?this:null},DefaultIterableDiffer.prototype.onDestroy=function(){},DefaultIterableDiffer.prototype.check=function(collection){var _this=this;this._reset();var index,item,itemTrackBy,record=this._itHead,mayBeDirty=!1;if(Array.isArray(collection)){var list=collection;this._length=list.length;for(var index_1=0;index_1<this._length;index_1++)item=list[index_1],itemTrackBy=this._trackByFn(index_1,item),null!==record&&looseIdentical(record.trackById,itemTrackBy)?(mayBeDirty&&(record=this._verifyReinsertion(record,item,itemTrackBy,index_1)),looseIdentical(record.item,item)||this._addIdentityChange(record,item)):(record=this._mismatch(record,item,itemTrackBy,index_1),mayBeDirty=!0),record=record._next}else index=0,iterateListLike(collection,function(item){itemTrackBy=_this._trackByFn(index,item),null!==record&&looseIdentical(record.trackById,itemTrackBy)?(mayBeDirty&&(record=_this._verifyReinsertion(record,item,itemTrackBy,index)),looseIdentical(record.item,item)||_this._addIdentityChange(record,item)):(record=_this._mismatch(record,item,itemTrackBy,index),mayBeDirty=!0),record=record._next,index++}),this._length=index;return this._truncate(record),this._collection=collection,this.isDirty},Object.defineProperty(DefaultIterableDiffer.prototype,"isDirty",{get:function(){return null!==this._additionsHead||null!==this._movesHead||null!==this._removalsHead||null!==this._identityChangesHead},enumerable:!0,configurable:!0}),DefaultIterableDiffer.prototype._reset=function(){if(this.isDirty){var record=void 0,nextRecord=void 0;for(record=this._previousItHead=this._itHead;null!==record;record=record._next)record._nextPrevious=record._next;for(record=this._additionsHead;null!==record;record=record._nextAdded)record.previousIndex=record.currentIndex;for(this._additionsHead=this._additionsTail=null,record=this._movesHead;null!==record;record=nextRecord)record.previousIndex=record.currentIndex,nextRecord=record._nextMoved;this._movesHead=this._movesTail=null,this._removalsHead=this._removalsTail=null,this._identityChangesHead=this._identityChangesTail=null}},DefaultIterableDiffer.prototype._mismatch=function(record,item,itemTrackBy,index){var previousRecord;return null===record?previousRecord=this._itTail:(previousRecord=record._prev,this._remove(record)),record=null===this._linkedRecords?null:this._linkedRecords.get(itemTrackBy,index),null!==record?(looseIdentical(record.item,item)||this._addIdentityChange(record,item),this._moveAfter(record,previousRecord,index)):(record=null===this._unlinkedRecords?null:this._unlinkedRecords.get(itemTrackBy),null!==record?(looseIdentical(record.item,item)||this._addIdentityChange(record,item),this._reinsertAfter(record,previousRecord,index)):record=this._addAfter(new IterableChangeRecord_(item,itemTrackBy),previousRecord,index)),record},DefaultIterableDiffer.prototype._verifyReinsertion=function(record,item,itemTrackBy,index){var reinsertRecord=null===this._unlinkedRecords?null:this._unlinkedRecords.get(itemTrackBy);return null!==reinsertRecord?record=this._reinsertAfter(reinsertRecord,record._prev,index):record.currentIndex!=index&&(record.currentIndex=index,this._addToMoves(record,index)),record},DefaultIterableDiffer.prototype._truncate=function(record){for(;null!==record;){var nextRecord=record._next;this._addToRemovals(this._unlink(record)),record=nextRecord}null!==this._unlinkedRecords&&this._unlinkedRecords.clear(),null!==this._additionsTail&&(this._additionsTail._nextAdded=null),null!==this._movesTail&&(this._movesTail._nextMoved=null),null!==this._itTail&&(this._itTail._next=null),null!==this._removalsTail&&(this._removalsTail._nextRemoved=null),null!==this._identityChangesTail&&(this._identityChangesTail._nextIdentityChange=null)},DefaultIterableDiffer.prototype._reinsertAfter=function(record,prevRecord,index){null!==this._unlinkedRecords&&this._unlinkedRecords.remove(record);var prev=record._prevRemoved,next=record._nextRemoved;return null===prev?this._removalsHead=next:prev._nextRemoved=next,null===next?this._removalsTail=prev:next._prevRemoved=prev,this._insertAfter(record,prevRecord,index),this._addToMoves(record,index),record},DefaultIterableDiffer.prototype._moveAfter=function(record,prevRecord,index){return this._unlink(record),this._insertAfter(record,prevRecord,index),this._addToMoves(record,index),record},DefaultIterableDiffer.prototype._addAfter=function(record,prevRecord,index){return this._insertAfter(record,prevRecord,index),null===this._additionsTail?this._additionsTail=this._additionsHead=record:this._additionsTail=this._additionsTail._nextAdded=record,record},DefaultIterableDiffer.prototype._insertAfter=function(record,prevRecord,index){var next=null===prevRecord?this._itHead:prevRecord._next;return record._next=next,record._prev=prevRecord,null===next?this._itTail=record:next._prev=record,null===prevRecord?this._itHead=record:prevRecord._next=record,null===this._linkedRecords&&(this._linkedRecords=new _DuplicateMap),this._linkedRecords.put(record),record.currentIndex=index,record},DefaultIterableDiffer.prototype._remove=function(record){return this._addToRemovals(this._unlink(record))},DefaultIterableDiffer.prototype._unlink=function(record){null!==this._linkedRecords&&this._linkedRecords.remove(record);var prev=record._prev,next=record._next;return null===prev?this._itHead=next:prev._next=next,null===next?this._itTail=prev:next._prev=prev,record},DefaultIterableDiffer.prototype._addToMoves=function(record,toIndex){return record.previousIndex===toIndex?record:(null===this._movesTail?this._movesTail=this._movesHead=record:this._movesTail=this._movesTail._nextMoved=record,record)},DefaultIterableDiffer.prototype._addToRemovals=function(record){return null===this._unlinkedRecords&&(this._unlinkedRecords=new _DuplicateMap),this._unlinkedRecords.put(record),record.currentIndex=null,record._nextRemoved=null,null===this._removalsTail?(this._removalsTail=this._removalsHead=record,record._prevRemoved=null):(record._prevRemoved=this._removalsTail,this._removalsTail=this._removalsTail._nextRemoved=record),record},DefaultIterableDiffer.prototype._addIdentityChange=function(record,item){return record.item=item,null===this._identityChangesTail?this._identityChangesTail=this._identityChangesHead=record:this._identityChangesTail=this._identityChangesTail._nextIdentityChange=record,record},DefaultIterableDiffer.prototype.toString=function(){var list=[];this.forEachItem(function(record){return list.push(record)});var previous=[];this.forEachPreviousItem(function(record){return previous.push(record)});var additions=[];this.forEachAddedItem(function(record){return additions.push(record)});var moves=[];this.forEachMovedItem(function(record){return moves.push(record)});var removals=[];this.forEachRemovedItem(function(record){return removals.push(record)});var identityChanges=[];return this.forEachIdentityChange(function(record){return identityChanges.push(record)}),"collection: "+list.join(", ")+"\nprevious: "+previous.join(", ")+"\nadditions: "+additions.join(", ")+"\nmoves: "+moves.join(", ")+"\nremovals: "+removals.join(", ")+"\nidentityChanges: "+identityChanges.join(", ")+"\n"},DefaultIterableDiffer}(),IterableChangeRecord_=function(){function IterableChangeRecord_(item,trackById){this.item=item,this.trackById=trackById,this.currentIndex=null,this.previousIndex=null,this._nextPrevious=null,this._prev=null,this._next=null,this._prevDup=null,this._nextDup=null,this._prevRemoved=null,this._nextRemoved=null,this._nextAdded=null,this._nextMoved=null,this._nextIdentityChange=null}return IterableChangeRecord_.prototype.toString=function(){return this.previousIndex===this.currentIndex?stringify(this.item):stringify(this.item)+"["+stringify(this.previousIndex)+"->"+stringify(this.currentIndex)+"]"},IterableChangeRecord_}(),_DuplicateItemRecordList=function(){function _DuplicateItemRecordList(){this._head=null,this._tail=null}return _DuplicateItemRecordList.prototype.add=function(record){null===this._head?(this._head=this._tail=record,record._nextDup=null,record._prevDup=null):(this._tail._nextDup=record,record._prevDup=this._tail,record._nextDup=null,this._tail=record)},_DuplicateItemRecordList.prototype.get=function(trackById,afterIndex){var record;for(record=this._head;null!==record;record=record._nextDup)if((null===afterIndex||afterIndex<record.currentIndex)&&looseIdentical(record.trackById,trackById))return record;return null},_DuplicateItemRecordList.prototype.remove=function(record){var prev=record._prevDup,next=record._nextDup;return null===prev?this._head=next:prev._nextDup=next,null===next?this._tail=prev:next._prevDup=prev,null===this._head},_DuplicateItemRecordList}(),_DuplicateMap=function(){function _DuplicateMap(){this.map=new Map}return _DuplicateMap.prototype.put=function(record){var key=record.trackById,duplicates=this.map.get(key);duplicates||(duplicates=new _DuplicateItemRecordList,this.map.set(key,duplicates)),duplicates.add(record)},_DuplicateMap.prototype.get=function(trackById,afterIndex){void 0===afterIndex&&(afterIndex=null);var key=trackById,recordList=this.map.get(key);return recordList?recordList.get(trackById,afterIndex):null},_DuplicateMap.prototype.remove=function(record){var key=record.trackById,recordList=this.map.get(key);return recordList.remove(record)&&this.map.delete(key),record},Object.defineProperty(_DuplicateMap.prototype,"isEmpty",{get:function(){return 0===this.map.size},enumerable:!0,configurable:!0}),_DuplicateMap.prototype.clear=function(){this.map.clear()},_DuplicateMap.prototype.toString=function(){return"_DuplicateMap("+stringify(this.map)+")"},_DuplicateMap}(),DefaultKeyValueDifferFactory=function(){function DefaultKeyValueDifferFactory(){}return DefaultKeyValueDifferFactory.prototype.supports=function(obj){return obj instanceof Map||isJsObject(obj)},DefaultKeyValueDifferFactory.prototype.create=function(cdRef){return new DefaultKeyValueDiffer},DefaultKeyValueDifferFactory}(),DefaultKeyValueDiffer=function(){function DefaultKeyValueDiffer(){this._records=new Map,this._mapHead=null,this._previousMapHead=null,this._changesHead=null,this._changesTail=null,this._additionsHead=null,this._additionsTail=null,this._removalsHead=null,this._removalsTail=null}return Object.defineProperty(DefaultKeyValueDiffer.prototype,"isDirty",{get:function(){return null!==this._additionsHead||null!==this._changesHead||null!==this._removalsHead},enumerable:!0,configurable:!0}),DefaultKeyValueDiffer.prototype.forEachItem=function(fn){var record;for(record=this._mapHead;null!==record;record=record._next)fn(record)},DefaultKeyValueDiffer.prototype.forEachPreviousItem=function(fn){var record;for(record=this._previousMapHead;null!==record;record=record._nextPrevious)fn(record)},DefaultKeyValueDiffer.prototype.forEachChangedItem=function(fn){var record;for(record=this._changesHead;null!==record;record=record._nextChanged)fn(record)},DefaultKeyValueDiffer.prototype.forEachAddedItem=function(fn){var record;for(record=this._additionsHead;null!==record;record=record._nextAdded)fn(record)},DefaultKeyValueDiffer.prototype.forEachRemovedItem=function(fn){var record;for(record=this._removalsHead;null!==record;record=record._nextRemoved)fn(record)},DefaultKeyValueDiffer.prototype.diff=function(map){if(map){if(!(map instanceof Map||isJsObject(map)))throw new Error("Error trying to diff '"+map+"'")}else map=new Map;return this.check(map)?this:null},DefaultKeyValueDiffer.prototype.onDestroy=function(){},DefaultKeyValueDiffer.prototype.check=function(map){var _this=this;this._reset();var records=this._records,oldSeqRecord=this._mapHead,lastOldSeqRecord=null,lastNewSeqRecord=null,seqChanged=!1;return this._forEach(map,function(value,key){var newSeqRecord;oldSeqRecord&&key===oldSeqRecord.key?(newSeqRecord=oldSeqRecord,_this._maybeAddToChanges(newSeqRecord,value)):(seqChanged=!0,null!==oldSeqRecord&&(_this._removeFromSeq(lastOldSeqRecord,oldSeqRecord),_this._addToRemovals(oldSeqRecord)),records.has(key)?(newSeqRecord=records.get(key),_this._maybeAddToChanges(newSeqRecord,value)):(newSeqRecord=new KeyValueChangeRecord_(key),records.set(key,newSeqRecord),newSeqRecord.currentValue=value,_this._addToAdditions(newSeqRecord))),seqChanged&&(_this._isInRemovals(newSeqRecord)&&_this._removeFromRemovals(newSeqRecord),null==lastNewSeqRecord?_this._mapHead=newSeqRecord:lastNewSeqRecord._next=newSeqRecord),lastOldSeqRecord=oldSeqRecord,lastNewSeqRecord=newSeqRecord,oldSeqRecord=oldSeqRecord&&oldSeqRecord._next}),this._truncate(lastOldSeqRecord,oldSeqRecord),this.isDirty},DefaultKeyValueDiffer.prototype._reset=function(){if(this.isDirty){var record=void 0;for(record=this._previousMapHead=this._mapHead;null!==record;record=record._next)record._nextPrevious=record._next;for(record=this._changesHead;null!==record;record=record._nextChanged)record.previousValue=record.currentValue;for(record=this._additionsHead;null!=record;record=record._nextAdded)record.previousValue=record.currentValue;this._changesHead=this._changesTail=null,this._additionsHead=this._additionsTail=null,this._removalsHead=this._removalsTail=null}},DefaultKeyValueDiffer.prototype._truncate=function(lastRecord,record){for(;null!==record;){null===lastRecord?this._mapHead=null:lastRecord._next=null;var nextRecord=record._next;this._addToRemovals(record),lastRecord=record,record=nextRecord}for(var rec=this._removalsHead;null!==rec;rec=rec._nextRemoved)rec.previousValue=rec.currentValue,rec.currentValue=null,this._records.delete(rec.key)},DefaultKeyValueDiffer.prototype._maybeAddToChanges=function(record,newValue){looseIdentical(newValue,record.currentValue)||(record.previousValue=record.currentValue,record.currentValue=newValue,this._addToChanges(record))},DefaultKeyValueDiffer.prototype._isInRemovals=function(record){return record===this._removalsHead||null!==record._nextRemoved||null!==record._prevRemoved},DefaultKeyValueDiffer.prototype._addToRemovals=function(record){null===this._removalsHead?this._removalsHead=this._removalsTail=record:(this._removalsTail._nextRemoved=record,record._prevRemoved=this._removalsTail,this._removalsTail=record)},DefaultKeyValueDiffer.prototype._removeFromSeq=function(prev,record){var next=record._next;null===prev?this._mapHead=next:prev._next=next,record._next=null},DefaultKeyValueDiffer.prototype._removeFromRemovals=function(record){var prev=record._prevRemoved,next=record._nextRemoved;null===prev?this._removalsHead=next:prev._nextRemoved=next,null===next?this._removalsTail=prev:next._prevRemoved=prev,record._prevRemoved=record._nextRemoved=null},DefaultKeyValueDiffer.prototype._addToAdditions=function(record){null===this._additionsHead?this._additionsHead=this._additionsTail=record:(this._additionsTail._nextAdded=record,this._additionsTail=record)},DefaultKeyValueDiffer.prototype._addToChanges=function(record){null===this._changesHead?this._changesHead=this._changesTail=record:(this._changesTail._nextChanged=record,this._changesTail=record)},DefaultKeyValueDiffer.prototype.toString=function(){var record,items=[],previous=[],changes=[],additions=[],removals=[];for(record=this._mapHead;null!==record;record=record._next)items.push(stringify(record));for(record=this._previousMapHead;null!==record;record=record._nextPrevious)previous.push(stringify(record));for(record=this._changesHead;null!==record;record=record._nextChanged)changes.push(stringify(record));for(record=this._additionsHead;null!==record;record=record._nextAdded)additions.push(stringify(record));for(record=this._removalsHead;null!==record;record=record._nextRemoved)removals.push(stringify(record));return"map: "+items.join(", ")+"\nprevious: "+previous.join(", ")+"\nadditions: "+additions.join(", ")+"\nchanges: "+changes.join(", ")+"\nremovals: "+removals.join(", ")+"\n"},DefaultKeyValueDiffer.prototype._forEach=function(obj,fn){obj instanceof Map?obj.forEach(fn):Object.keys(obj).forEach(function(k){return fn(obj[k],k)})},DefaultKeyValueDiffer}(),KeyValueChangeRecord_=function(){function KeyValueChangeRecord_(key){this.key=key,this.previousValue=null,this.currentValue=null,this._nextPrevious=null,this._next=null,this._nextAdded=null,this._nextRemoved=null,this._prevRemoved=null,this._nextChanged=null}return KeyValueChangeRecord_.prototype.toString=function(){return looseIdentical(this.previousValue,this.currentValue)?stringify(this.key):stringify(this.key)+"["+stringify(this.previousValue)+"->"+stringify(this.currentValue)+"]"},KeyValueChangeRecord_}(),IterableDiffers=function(){function IterableDiffers(factories){this.factories=factories}return IterableDiffers.create=function(factories,parent){if(isPresent(parent)){var copied=parent.factories.slice();return factories=factories.concat(copied),new IterableDiffers(factories)}return new IterableDiffers(factories)},IterableDiffers.extend=function(factories){return{provide:IterableDiffers,useFactory:function(parent){if(!parent)throw new Error("Cannot extend IterableDiffers without a parent injector");return IterableDiffers.create(factories,parent)},deps:[[IterableDiffers,new SkipSelf,new Optional]]}},IterableDiffers.prototype.find=function(iterable){var factory=this.factories.find(function(f){return f.supports(iterable)});if(isPresent(factory))return factory;throw new Error("Cannot find a differ supporting object '"+iterable+"' of type '"+getTypeNameForDebugging(iterable)+"'")},IterableDiffers}(),KeyValueDiffers=function(){function KeyValueDiffers(factories){this.factories=factories}return KeyValueDiffers.create=function(factories,parent){if(parent){var copied=parent.factories.slice();factories=factories.concat(copied)}return new KeyValueDiffers(factories)},KeyValueDiffers.extend=function(factories){return{provide:KeyValueDiffers,useFactory:function(parent){if(!parent)throw new Error("Cannot extend KeyValueDiffers without a parent injector");return KeyValueDiffers.create(factories,parent)},deps:[[KeyValueDiffers,new SkipSelf,new Optional]]}},KeyValueDiffers.prototype.find=function(kv){var factory=this.factories.find(function(f){return f.supports(kv)});if(factory)return factory;throw new Error("Cannot find a differ supporting object '"+kv+"'")},KeyValueDiffers}(),WrappedValue=function(){function WrappedValue(wrapped){this.wrapped=wrapped}return WrappedValue.wrap=function(value){return new WrappedValue(value)},WrappedValue}(),ValueUnwrapper=function(){function ValueUnwrapper(){this.hasWrappedValue=!1}return ValueUnwrapper.prototype.unwrap=function(value){return value instanceof WrappedValue?(this.hasWrappedValue=!0,value.wrapped):value},ValueUnwrapper.prototype.reset=function(){this.hasWrappedValue=!1},ValueUnwrapper}(),SimpleChange=function(){function SimpleChange(previousValue,currentValue,firstChange){this.previousValue=previousValue,this.currentValue=currentValue,this.firstChange=firstChange}return SimpleChange.prototype.isFirstChange=function(){return this.firstChange},SimpleChange}(),ChangeDetectorRef=function(){function ChangeDetectorRef(){}return ChangeDetectorRef.prototype.markForCheck=function(){},ChangeDetectorRef.prototype.detach=function(){},ChangeDetectorRef.prototype.detectChanges=function(){},ChangeDetectorRef.prototype.checkNoChanges=function(){},ChangeDetectorRef.prototype.reattach=function(){},ChangeDetectorRef}(),keyValDiff=[new DefaultKeyValueDifferFactory],iterableDiff=[new DefaultIterableDifferFactory],defaultIterableDiffers=new IterableDiffers(iterableDiff),defaultKeyValueDiffers=new KeyValueDiffers(keyValDiff),RenderComponentType=function(){function RenderComponentType(id,templateUrl,slotCount,encapsulation,styles,animations){this.id=id,this.templateUrl=templateUrl,this.slotCount=slotCount,this.encapsulation=encapsulation,this.styles=styles,this.animations=animations}return RenderComponentType}(),RenderDebugInfo=function(){function RenderDebugInfo(){}return Object.defineProperty(RenderDebugInfo.prototype,"injector",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(RenderDebugInfo.prototype,"component",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(RenderDebugInfo.prototype,"providerTokens",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(RenderDebugInfo.prototype,"references",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(RenderDebugInfo.prototype,"context",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(RenderDebugInfo.prototype,"source",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),RenderDebugInfo}(),Renderer=function(){function Renderer(){}return Renderer.prototype.selectRootElement=function(selectorOrNode,debugInfo){},Renderer.prototype.createElement=function(parentElement,name,debugInfo){},Renderer.prototype.createViewRoot=function(hostElement){},Renderer.prototype.createTemplateAnchor=function(parentElement,debugInfo){},Renderer.prototype.createText=function(parentElement,value,debugInfo){},Renderer.prototype.projectNodes=function(parentElement,nodes){},Renderer.prototype.attachViewAfter=function(node,viewRootNodes){},Renderer.prototype.detachView=function(viewRootNodes){},Renderer.prototype.destroyView=function(hostElement,viewAllNodes){},Renderer.prototype.listen=function(renderElement,name,callback){},Renderer.prototype.listenGlobal=function(target,name,callback){},Renderer.prototype.setElementProperty=function(renderElement,propertyName,propertyValue){},Renderer.prototype.setElementAttribute=function(renderElement,attributeName,attributeValue){},Renderer.prototype.setBindingDebugInfo=function(renderElement,propertyName,propertyValue){},Renderer.prototype.setElementClass=function(renderElement,className,isAdd){},Renderer.prototype.setElementStyle=function(renderElement,styleName,styleValue){},Renderer.prototype.invokeElementMethod=function(renderElement,methodName,args){},Renderer.prototype.setText=function(renderNode,text){},Renderer.prototype.animate=function(element,startingStyles,keyframes,duration,delay,easing,previousPlayers){},Renderer}(),RootRenderer=function(){function RootRenderer(){}return RootRenderer.prototype.renderComponent=function(componentType){},RootRenderer}(),SecurityContext={};SecurityContext.NONE=0,SecurityContext.HTML=1,SecurityContext.STYLE=2,SecurityContext.SCRIPT=3,SecurityContext.URL=4,SecurityContext.RESOURCE_URL=5,SecurityContext[SecurityContext.NONE]="NONE",SecurityContext[SecurityContext.HTML]="HTML",SecurityContext[SecurityContext.STYLE]="STYLE",SecurityContext[SecurityContext.SCRIPT]="SCRIPT",SecurityContext[SecurityContext.URL]="URL",SecurityContext[SecurityContext.RESOURCE_URL]="RESOURCE_URL";var trace,events,_platform,Sanitizer=function(){function Sanitizer(){}return Sanitizer.prototype.sanitize=function(context,value){},Sanitizer}(),__extends$7=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},ExpressionChangedAfterItHasBeenCheckedError=function(_super){function ExpressionChangedAfterItHasBeenCheckedError(oldValue,currValue,isFirstCheck){var msg="Expression has changed after it was checked. Previous value: '"+oldValue+"'. Current value: '"+currValue+"'.";isFirstCheck&&(msg+=" It seems like the view has been created after its parent and its children have been dirty checked. Has it been created in a change detection hook ?"),_super.call(this,msg)}return __extends$7(ExpressionChangedAfterItHasBeenCheckedError,_super),ExpressionChangedAfterItHasBeenCheckedError}(BaseError),ViewWrappedError=function(_super){function ViewWrappedError(originalError,context){_super.call(this,"Error in "+context.source,originalError),this.context=context}return __extends$7(ViewWrappedError,_super),ViewWrappedError}(WrappedError),ViewDestroyedError=function(_super){function ViewDestroyedError(details){_super.call(this,"Attempt to use a destroyed view: "+details)}return __extends$7(ViewDestroyedError,_super),ViewDestroyedError}(BaseError),ViewUtils=function(){function ViewUtils(_renderer,sanitizer,animationQueue){this._renderer=_renderer,this.animationQueue=animationQueue,this.sanitizer=sanitizer}return ViewUtils.prototype.renderComponent=function(renderComponentType){return this._renderer.renderComponent(renderComponentType)},ViewUtils.decorators=[{type:Injectable}],ViewUtils.ctorParameters=function(){return[{type:RootRenderer},{type:Sanitizer},{type:AnimationQueue}]},ViewUtils}(),nextRenderComponentTypeId=0,EMPTY_ARRAY=[],EMPTY_MAP={},CAMEL_CASE_REGEXP=/([A-Z])/g,InlineArray0=function(){function InlineArray0(){this.length=0}return InlineArray0.prototype.get=function(index){},InlineArray0.prototype.set=function(index,value){},InlineArray0}(),InlineArray2=function(){function InlineArray2(length,_v0,_v1){this.length=length,this._v0=_v0,this._v1=_v1}return InlineArray2.prototype.get=function(index){switch(index){case 0:return this._v0;case 1:return this._v1;default:return}},InlineArray2.prototype.set=function(index,value){switch(index){case 0:this._v0=value;break;case 1:this._v1=value}},InlineArray2}(),InlineArray4=function(){function InlineArray4(length,_v0,_v1,_v2,_v3){this.length=length,this._v0=_v0,this._v1=_v1,this._v2=_v2,this._v3=_v3}return InlineArray4.prototype.get=function(index){switch(index){case 0:return this._v0;case 1:return this._v1;case 2:return this._v2;case 3:return this._v3;default:return}},InlineArray4.prototype.set=function(index,value){switch(index){case 0:this._v0=value;break;case 1:this._v1=value;break;case 2:this._v2=value;break;case 3:this._v3=value}},InlineArray4}(),InlineArray8=function(){function InlineArray8(length,_v0,_v1,_v2,_v3,_v4,_v5,_v6,_v7){
-this.length=length,this._v0=_v0,this._v1=_v1,this._v2=_v2,this._v3=_v3,this._v4=_v4,this._v5=_v5,this._v6=_v6,this._v7=_v7}return InlineArray8.prototype.get=function(index){switch(index){case 0:return this._v0;case 1:return this._v1;case 2:return this._v2;case 3:return this._v3;case 4:return this._v4;case 5:return this._v5;case 6:return this._v6;case 7:return this._v7;default:return}},InlineArray8.prototype.set=function(index,value){switch(index){case 0:this._v0=value;break;case 1:this._v1=value;break;case 2:this._v2=value;break;case 3:this._v3=value;break;case 4:this._v4=value;break;case 5:this._v5=value;break;case 6:this._v6=value;break;case 7:this._v7=value}},InlineArray8}(),InlineArray16=function(){function InlineArray16(length,_v0,_v1,_v2,_v3,_v4,_v5,_v6,_v7,_v8,_v9,_v10,_v11,_v12,_v13,_v14,_v15){this.length=length,this._v0=_v0,this._v1=_v1,this._v2=_v2,this._v3=_v3,this._v4=_v4,this._v5=_v5,this._v6=_v6,this._v7=_v7,this._v8=_v8,this._v9=_v9,this._v10=_v10,this._v11=_v11,this._v12=_v12,this._v13=_v13,this._v14=_v14,this._v15=_v15}return InlineArray16.prototype.get=function(index){switch(index){case 0:return this._v0;case 1:return this._v1;case 2:return this._v2;case 3:return this._v3;case 4:return this._v4;case 5:return this._v5;case 6:return this._v6;case 7:return this._v7;case 8:return this._v8;case 9:return this._v9;case 10:return this._v10;case 11:return this._v11;case 12:return this._v12;case 13:return this._v13;case 14:return this._v14;case 15:return this._v15;default:return}},InlineArray16.prototype.set=function(index,value){switch(index){case 0:this._v0=value;break;case 1:this._v1=value;break;case 2:this._v2=value;break;case 3:this._v3=value;break;case 4:this._v4=value;break;case 5:this._v5=value;break;case 6:this._v6=value;break;case 7:this._v7=value;break;case 8:this._v8=value;break;case 9:this._v9=value;break;case 10:this._v10=value;break;case 11:this._v11=value;break;case 12:this._v12=value;break;case 13:this._v13=value;break;case 14:this._v14=value;break;case 15:this._v15=value}},InlineArray16}(),InlineArrayDynamic=function(){function InlineArrayDynamic(length){for(var values=[],_i=1;_i<arguments.length;_i++)values[_i-1]=arguments[_i];this.length=length,this._values=values}return InlineArrayDynamic.prototype.get=function(index){return this._values[index]},InlineArrayDynamic.prototype.set=function(index,value){this._values[index]=value},InlineArrayDynamic}(),EMPTY_INLINE_ARRAY=new InlineArray0,view_utils=Object.freeze({ViewUtils:ViewUtils,createRenderComponentType:createRenderComponentType,addToArray:addToArray,interpolate:interpolate,inlineInterpolate:inlineInterpolate,checkBinding:checkBinding,checkBindingChange:checkBindingChange,checkRenderText:checkRenderText,checkRenderProperty:checkRenderProperty,checkRenderAttribute:checkRenderAttribute,checkRenderClass:checkRenderClass,checkRenderStyle:checkRenderStyle,castByValue:castByValue,EMPTY_ARRAY:EMPTY_ARRAY,EMPTY_MAP:EMPTY_MAP,pureProxy1:pureProxy1,pureProxy2:pureProxy2,pureProxy3:pureProxy3,pureProxy4:pureProxy4,pureProxy5:pureProxy5,pureProxy6:pureProxy6,pureProxy7:pureProxy7,pureProxy8:pureProxy8,pureProxy9:pureProxy9,pureProxy10:pureProxy10,setBindingDebugInfoForChanges:setBindingDebugInfoForChanges,setBindingDebugInfo:setBindingDebugInfo,createRenderElement:createRenderElement,selectOrCreateRenderHostElement:selectOrCreateRenderHostElement,subscribeToRenderElement:subscribeToRenderElement,noop:noop,InlineArray2:InlineArray2,InlineArray4:InlineArray4,InlineArray8:InlineArray8,InlineArray16:InlineArray16,InlineArrayDynamic:InlineArrayDynamic,EMPTY_INLINE_ARRAY:EMPTY_INLINE_ARRAY,getComponentFactoryViewClass:getComponentFactoryViewClass}),__extends$5=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},ComponentRef=function(){function ComponentRef(){}return Object.defineProperty(ComponentRef.prototype,"location",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef.prototype,"injector",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef.prototype,"instance",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef.prototype,"hostView",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef.prototype,"changeDetectorRef",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef.prototype,"componentType",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ComponentRef.prototype.destroy=function(){},ComponentRef.prototype.onDestroy=function(callback){},ComponentRef}(),ComponentRef_=function(_super){function ComponentRef_(_index,_parentView,_nativeElement,_component){_super.call(this),this._index=_index,this._parentView=_parentView,this._nativeElement=_nativeElement,this._component=_component}return __extends$5(ComponentRef_,_super),Object.defineProperty(ComponentRef_.prototype,"location",{get:function(){return new ElementRef(this._nativeElement)},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef_.prototype,"injector",{get:function(){return this._parentView.injector(this._index)},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef_.prototype,"instance",{get:function(){return this._component},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef_.prototype,"hostView",{get:function(){return this._parentView.ref},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef_.prototype,"changeDetectorRef",{get:function(){return this._parentView.ref},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef_.prototype,"componentType",{get:function(){return this._component.constructor},enumerable:!0,configurable:!0}),ComponentRef_.prototype.destroy=function(){this._parentView.detachAndDestroy()},ComponentRef_.prototype.onDestroy=function(callback){this.hostView.onDestroy(callback)},ComponentRef_}(ComponentRef),ComponentFactory=function(){function ComponentFactory(selector,_viewClass,_componentType){this.selector=selector,this._componentType=_componentType,this._viewClass=_viewClass}return Object.defineProperty(ComponentFactory.prototype,"componentType",{get:function(){return this._componentType},enumerable:!0,configurable:!0}),ComponentFactory.prototype.create=function(injector,projectableNodes,rootSelectorOrNode){void 0===projectableNodes&&(projectableNodes=null),void 0===rootSelectorOrNode&&(rootSelectorOrNode=null);var vu=injector.get(ViewUtils);projectableNodes||(projectableNodes=[]);var hostView=new this._viewClass(vu,null,null,null);return hostView.createHostView(rootSelectorOrNode,injector,projectableNodes)},ComponentFactory}(),__extends$8=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},NoComponentFactoryError=function(_super){function NoComponentFactoryError(component){_super.call(this,"No component factory found for "+stringify(component)+". Did you add it to @NgModule.entryComponents?"),this.component=component}return __extends$8(NoComponentFactoryError,_super),NoComponentFactoryError}(BaseError),_NullComponentFactoryResolver=function(){function _NullComponentFactoryResolver(){}return _NullComponentFactoryResolver.prototype.resolveComponentFactory=function(component){throw new NoComponentFactoryError(component)},_NullComponentFactoryResolver}(),ComponentFactoryResolver=function(){function ComponentFactoryResolver(){}return ComponentFactoryResolver.prototype.resolveComponentFactory=function(component){},ComponentFactoryResolver.NULL=new _NullComponentFactoryResolver,ComponentFactoryResolver}(),CodegenComponentFactoryResolver=function(){function CodegenComponentFactoryResolver(factories,_parent){this._parent=_parent,this._factories=new Map;for(var i=0;i<factories.length;i++){var factory=factories[i];this._factories.set(factory.componentType,factory)}}return CodegenComponentFactoryResolver.prototype.resolveComponentFactory=function(component){var result=this._factories.get(component);return result||(result=this._parent.resolveComponentFactory(component)),result},CodegenComponentFactoryResolver}(),wtfEnabled=detectWTF(),wtfCreateScope=wtfEnabled?createScope:function(signature,flags){return noopScope},wtfLeave=wtfEnabled?leave:function(s,r){return r},wtfStartTimeRange=wtfEnabled?startTimeRange:function(rangeType,action){return null},wtfEndTimeRange=wtfEnabled?endTimeRange:function(r){return null},Testability=function(){function Testability(_ngZone){this._ngZone=_ngZone,this._pendingCount=0,this._isZoneStable=!0,this._didWork=!1,this._callbacks=[],this._watchAngularEvents()}return Testability.prototype._watchAngularEvents=function(){var _this=this;this._ngZone.onUnstable.subscribe({next:function(){_this._didWork=!0,_this._isZoneStable=!1}}),this._ngZone.runOutsideAngular(function(){_this._ngZone.onStable.subscribe({next:function(){NgZone.assertNotInAngularZone(),scheduleMicroTask(function(){_this._isZoneStable=!0,_this._runCallbacksIfReady()})}})})},Testability.prototype.increasePendingRequestCount=function(){return this._pendingCount+=1,this._didWork=!0,this._pendingCount},Testability.prototype.decreasePendingRequestCount=function(){if(this._pendingCount-=1,this._pendingCount<0)throw new Error("pending async requests below zero");return this._runCallbacksIfReady(),this._pendingCount},Testability.prototype.isStable=function(){return this._isZoneStable&&0==this._pendingCount&&!this._ngZone.hasPendingMacrotasks},Testability.prototype._runCallbacksIfReady=function(){var _this=this;this.isStable()?scheduleMicroTask(function(){for(;0!==_this._callbacks.length;)_this._callbacks.pop()(_this._didWork);_this._didWork=!1}):this._didWork=!0},Testability.prototype.whenStable=function(callback){this._callbacks.push(callback),this._runCallbacksIfReady()},Testability.prototype.getPendingRequestCount=function(){return this._pendingCount},Testability.prototype.findBindings=function(using,provider,exactMatch){return[]},Testability.prototype.findProviders=function(using,provider,exactMatch){return[]},Testability.decorators=[{type:Injectable}],Testability.ctorParameters=function(){return[{type:NgZone}]},Testability}(),TestabilityRegistry=function(){function TestabilityRegistry(){this._applications=new Map,_testabilityGetter.addToWindow(this)}return TestabilityRegistry.prototype.registerApplication=function(token,testability){this._applications.set(token,testability)},TestabilityRegistry.prototype.getTestability=function(elem){return this._applications.get(elem)},TestabilityRegistry.prototype.getAllTestabilities=function(){return Array.from(this._applications.values())},TestabilityRegistry.prototype.getAllRootElements=function(){return Array.from(this._applications.keys())},TestabilityRegistry.prototype.findTestabilityInTree=function(elem,findInAncestors){return void 0===findInAncestors&&(findInAncestors=!0),_testabilityGetter.findTestabilityInTree(this,elem,findInAncestors)},TestabilityRegistry.decorators=[{type:Injectable}],TestabilityRegistry.ctorParameters=function(){return[]},TestabilityRegistry}(),_NoopGetTestability=function(){function _NoopGetTestability(){}return _NoopGetTestability.prototype.addToWindow=function(registry){},_NoopGetTestability.prototype.findTestabilityInTree=function(registry,elem,findInAncestors){return null},_NoopGetTestability}(),_testabilityGetter=new _NoopGetTestability,__extends$3=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},_devMode=!0,_runModeLocked=!1,NgProbeToken=function(){function NgProbeToken(name,token){this.name=name,this.token=token}return NgProbeToken}(),PlatformRef=function(){function PlatformRef(){}return PlatformRef.prototype.bootstrapModuleFactory=function(moduleFactory){throw unimplemented()},PlatformRef.prototype.bootstrapModule=function(moduleType,compilerOptions){throw void 0===compilerOptions&&(compilerOptions=[]),unimplemented()},PlatformRef.prototype.onDestroy=function(callback){},Object.defineProperty(PlatformRef.prototype,"injector",{get:function(){throw unimplemented()},enumerable:!0,configurable:!0}),PlatformRef.prototype.destroy=function(){},Object.defineProperty(PlatformRef.prototype,"destroyed",{get:function(){throw unimplemented()},enumerable:!0,configurable:!0}),PlatformRef}(),PlatformRef_=function(_super){function PlatformRef_(_injector){_super.call(this),this._injector=_injector,this._modules=[],this._destroyListeners=[],this._destroyed=!1}return __extends$3(PlatformRef_,_super),PlatformRef_.prototype.onDestroy=function(callback){this._destroyListeners.push(callback)},Object.defineProperty(PlatformRef_.prototype,"injector",{get:function(){return this._injector},enumerable:!0,configurable:!0}),Object.defineProperty(PlatformRef_.prototype,"destroyed",{get:function(){return this._destroyed},enumerable:!0,configurable:!0}),PlatformRef_.prototype.destroy=function(){if(this._destroyed)throw new Error("The platform has already been destroyed!");this._modules.slice().forEach(function(module){return module.destroy()}),this._destroyListeners.forEach(function(listener){return listener()}),this._destroyed=!0},PlatformRef_.prototype.bootstrapModuleFactory=function(moduleFactory){return this._bootstrapModuleFactoryWithZone(moduleFactory,null)},PlatformRef_.prototype._bootstrapModuleFactoryWithZone=function(moduleFactory,ngZone){var _this=this;return ngZone||(ngZone=new NgZone({enableLongStackTrace:isDevMode()})),ngZone.run(function(){var ngZoneInjector=ReflectiveInjector.resolveAndCreate([{provide:NgZone,useValue:ngZone}],_this.injector),moduleRef=moduleFactory.create(ngZoneInjector),exceptionHandler=moduleRef.injector.get(ErrorHandler,null);if(!exceptionHandler)throw new Error("No ErrorHandler. Is platform module (BrowserModule) included?");return moduleRef.onDestroy(function(){return ListWrapper.remove(_this._modules,moduleRef)}),ngZone.onError.subscribe({next:function(error){exceptionHandler.handleError(error)}}),_callAndReportToErrorHandler(exceptionHandler,function(){var initStatus=moduleRef.injector.get(ApplicationInitStatus);return initStatus.donePromise.then(function(){return _this._moduleDoBootstrap(moduleRef),moduleRef})})})},PlatformRef_.prototype.bootstrapModule=function(moduleType,compilerOptions){return void 0===compilerOptions&&(compilerOptions=[]),this._bootstrapModuleWithZone(moduleType,compilerOptions,null)},PlatformRef_.prototype._bootstrapModuleWithZone=function(moduleType,compilerOptions,ngZone,componentFactoryCallback){var _this=this;void 0===compilerOptions&&(compilerOptions=[]);var compilerFactory=this.injector.get(CompilerFactory),compiler=compilerFactory.createCompiler(Array.isArray(compilerOptions)?compilerOptions:[compilerOptions]);return componentFactoryCallback?compiler.compileModuleAndAllComponentsAsync(moduleType).then(function(_a){var ngModuleFactory=_a.ngModuleFactory,componentFactories=_a.componentFactories;return componentFactoryCallback(componentFactories),_this._bootstrapModuleFactoryWithZone(ngModuleFactory,ngZone)}):compiler.compileModuleAsync(moduleType).then(function(moduleFactory){return _this._bootstrapModuleFactoryWithZone(moduleFactory,ngZone)})},PlatformRef_.prototype._moduleDoBootstrap=function(moduleRef){var appRef=moduleRef.injector.get(ApplicationRef);if(moduleRef.bootstrapFactories.length>0)moduleRef.bootstrapFactories.forEach(function(compFactory){return appRef.bootstrap(compFactory)});else{if(!moduleRef.instance.ngDoBootstrap)throw new Error("The module "+stringify(moduleRef.instance.constructor)+' was bootstrapped, but it does not declare "@NgModule.bootstrap" components nor a "ngDoBootstrap" method. Please define one of these.');moduleRef.instance.ngDoBootstrap(appRef)}},PlatformRef_.decorators=[{type:Injectable}],PlatformRef_.ctorParameters=function(){return[{type:Injector}]},PlatformRef_}(PlatformRef),ApplicationRef=function(){function ApplicationRef(){}return ApplicationRef.prototype.bootstrap=function(componentFactory){},ApplicationRef.prototype.tick=function(){},Object.defineProperty(ApplicationRef.prototype,"componentTypes",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ApplicationRef.prototype,"components",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ApplicationRef.prototype.attachView=function(view){unimplemented()},ApplicationRef.prototype.detachView=function(view){unimplemented()},Object.defineProperty(ApplicationRef.prototype,"viewCount",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ApplicationRef}(),ApplicationRef_=function(_super){function ApplicationRef_(_zone,_console,_injector,_exceptionHandler,_componentFactoryResolver,_initStatus,_testabilityRegistry,_testability){var _this=this;_super.call(this),this._zone=_zone,this._console=_console,this._injector=_injector,this._exceptionHandler=_exceptionHandler,this._componentFactoryResolver=_componentFactoryResolver,this._initStatus=_initStatus,this._testabilityRegistry=_testabilityRegistry,this._testability=_testability,this._bootstrapListeners=[],this._rootComponents=[],this._rootComponentTypes=[],this._views=[],this._runningTick=!1,this._enforceNoNewChanges=!1,this._enforceNoNewChanges=isDevMode(),this._zone.onMicrotaskEmpty.subscribe({next:function(){_this._zone.run(function(){_this.tick()})}})}return __extends$3(ApplicationRef_,_super),ApplicationRef_.prototype.attachView=function(viewRef){var view=viewRef.internalView;this._views.push(view),view.attachToAppRef(this)},ApplicationRef_.prototype.detachView=function(viewRef){var view=viewRef.internalView;ListWrapper.remove(this._views,view),view.detach()},ApplicationRef_.prototype.bootstrap=function(componentOrFactory){var _this=this;if(!this._initStatus.done)throw new Error("Cannot bootstrap as there are still asynchronous initializers running. Bootstrap components in the `ngDoBootstrap` method of the root module.");var componentFactory;componentFactory=componentOrFactory instanceof ComponentFactory?componentOrFactory:this._componentFactoryResolver.resolveComponentFactory(componentOrFactory),this._rootComponentTypes.push(componentFactory.componentType);var compRef=componentFactory.create(this._injector,[],componentFactory.selector);compRef.onDestroy(function(){_this._unloadComponent(compRef)});var testability=compRef.injector.get(Testability,null);return testability&&compRef.injector.get(TestabilityRegistry).registerApplication(compRef.location.nativeElement,testability),this._loadComponent(compRef),isDevMode()&&this._console.log("Angular is running in the development mode. Call enableProdMode() to enable the production mode."),compRef},ApplicationRef_.prototype._loadComponent=function(componentRef){this.attachView(componentRef.hostView),this.tick(),this._rootComponents.push(componentRef);var listeners=this._injector.get(APP_BOOTSTRAP_LISTENER,[]).concat(this._bootstrapListeners);listeners.forEach(function(listener){return listener(componentRef)})},ApplicationRef_.prototype._unloadComponent=function(componentRef){this.detachView(componentRef.hostView),ListWrapper.remove(this._rootComponents,componentRef)},ApplicationRef_.prototype.tick=function(){if(this._runningTick)throw new Error("ApplicationRef.tick is called recursively");var scope=ApplicationRef_._tickScope();try{this._runningTick=!0,this._views.forEach(function(view){return view.ref.detectChanges()}),this._enforceNoNewChanges&&this._views.forEach(function(view){return view.ref.checkNoChanges()})}finally{this._runningTick=!1,wtfLeave(scope)}},ApplicationRef_.prototype.ngOnDestroy=function(){this._views.slice().forEach(function(view){return view.destroy()})},Object.defineProperty(ApplicationRef_.prototype,"viewCount",{get:function(){return this._views.length},enumerable:!0,configurable:!0}),Object.defineProperty(ApplicationRef_.prototype,"componentTypes",{get:function(){return this._rootComponentTypes},enumerable:!0,configurable:!0}),Object.defineProperty(ApplicationRef_.prototype,"components",{get:function(){return this._rootComponents},enumerable:!0,configurable:!0}),ApplicationRef_._tickScope=wtfCreateScope("ApplicationRef#tick()"),ApplicationRef_.decorators=[{type:Injectable}],ApplicationRef_.ctorParameters=function(){return[{type:NgZone},{type:Console},{type:Injector},{type:ErrorHandler},{type:ComponentFactoryResolver},{type:ApplicationInitStatus},{type:TestabilityRegistry,decorators:[{type:Optional}]},{type:Testability,decorators:[{type:Optional}]}]},ApplicationRef_}(ApplicationRef),__extends$9=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},NgModuleRef=function(){function NgModuleRef(){}return Object.defineProperty(NgModuleRef.prototype,"injector",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(NgModuleRef.prototype,"componentFactoryResolver",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(NgModuleRef.prototype,"instance",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),NgModuleRef.prototype.destroy=function(){},NgModuleRef.prototype.onDestroy=function(callback){},NgModuleRef}(),NgModuleFactory=function(){function NgModuleFactory(_injectorClass,_moduleType){this._injectorClass=_injectorClass,this._moduleType=_moduleType}return Object.defineProperty(NgModuleFactory.prototype,"moduleType",{get:function(){return this._moduleType},enumerable:!0,configurable:!0}),NgModuleFactory.prototype.create=function(parentInjector){parentInjector||(parentInjector=Injector.NULL);var instance=new this._injectorClass(parentInjector);return instance.create(),instance},NgModuleFactory}(),_UNDEFINED=new Object,NgModuleInjector=function(_super){function NgModuleInjector(parent,factories,bootstrapFactories){_super.call(this,factories,parent.get(ComponentFactoryResolver,ComponentFactoryResolver.NULL)),this.parent=parent,this.bootstrapFactories=bootstrapFactories,this._destroyListeners=[],this._destroyed=!1}return __extends$9(NgModuleInjector,_super),NgModuleInjector.prototype.create=function(){this.instance=this.createInternal()},NgModuleInjector.prototype.createInternal=function(){},NgModuleInjector.prototype.get=function(token,notFoundValue){if(void 0===notFoundValue&&(notFoundValue=THROW_IF_NOT_FOUND),token===Injector||token===ComponentFactoryResolver)return this;var result=this.getInternal(token,_UNDEFINED);return result===_UNDEFINED?this.parent.get(token,notFoundValue):result},NgModuleInjector.prototype.getInternal=function(token,notFoundValue){},Object.defineProperty(NgModuleInjector.prototype,"injector",{get:function(){return this},enumerable:!0,configurable:!0}),Object.defineProperty(NgModuleInjector.prototype,"componentFactoryResolver",{get:function(){return this},enumerable:!0,configurable:!0}),NgModuleInjector.prototype.destroy=function(){if(this._destroyed)throw new Error("The ng module "+stringify(this.instance.constructor)+" has already been destroyed.");this._destroyed=!0,this.destroyInternal(),this._destroyListeners.forEach(function(listener){return listener()})},NgModuleInjector.prototype.onDestroy=function(callback){this._destroyListeners.push(callback)},NgModuleInjector.prototype.destroyInternal=function(){},NgModuleInjector}(CodegenComponentFactoryResolver),NgModuleFactoryLoader=function(){function NgModuleFactoryLoader(){}return NgModuleFactoryLoader.prototype.load=function(path){},NgModuleFactoryLoader}(),moduleFactories=new Map,QueryList=function(){function QueryList(){this._dirty=!0,this._results=[],this._emitter=new EventEmitter}return Object.defineProperty(QueryList.prototype,"changes",{get:function(){return this._emitter},enumerable:!0,configurable:!0}),Object.defineProperty(QueryList.prototype,"length",{get:function(){return this._results.length},enumerable:!0,configurable:!0}),Object.defineProperty(QueryList.prototype,"first",{get:function(){return this._results[0]},enumerable:!0,configurable:!0}),Object.defineProperty(QueryList.prototype,"last",{get:function(){return this._results[this.length-1]},enumerable:!0,configurable:!0}),QueryList.prototype.map=function(fn){return this._results.map(fn)},QueryList.prototype.filter=function(fn){return this._results.filter(fn)},QueryList.prototype.find=function(fn){return this._results.find(fn)},QueryList.prototype.reduce=function(fn,init){return this._results.reduce(fn,init)},QueryList.prototype.forEach=function(fn){this._results.forEach(fn)},QueryList.prototype.some=function(fn){return this._results.some(fn)},QueryList.prototype.toArray=function(){return this._results.slice()},QueryList.prototype[getSymbolIterator()]=function(){return this._results[getSymbolIterator()]()},QueryList.prototype.toString=function(){return this._results.toString()},QueryList.prototype.reset=function(res){this._results=ListWrapper.flatten(res),this._dirty=!1},QueryList.prototype.notifyOnChanges=function(){this._emitter.emit(this)},QueryList.prototype.setDirty=function(){this._dirty=!0},Object.defineProperty(QueryList.prototype,"dirty",{get:function(){return this._dirty},enumerable:!0,configurable:!0}),QueryList}(),_SEPARATOR="#",FACTORY_CLASS_SUFFIX="NgFactory",SystemJsNgModuleLoaderConfig=function(){function SystemJsNgModuleLoaderConfig(){}return SystemJsNgModuleLoaderConfig}(),DEFAULT_CONFIG={factoryPathPrefix:"",factoryPathSuffix:".ngfactory"},SystemJsNgModuleLoader=function(){function SystemJsNgModuleLoader(_compiler,config){this._compiler=_compiler,this._config=config||DEFAULT_CONFIG}return SystemJsNgModuleLoader.prototype.load=function(path){var offlineMode=this._compiler instanceof Compiler;return offlineMode?this.loadFactory(path):this.loadAndCompile(path)},SystemJsNgModuleLoader.prototype.loadAndCompile=function(path){var _this=this,_a=path.split(_SEPARATOR),module=_a[0],exportName=_a[1];return void 0===exportName&&(exportName="default"),System.import(module).then(function(module){return module[exportName]}).then(function(type){return checkNotEmpty(type,module,exportName)}).then(function(type){return _this._compiler.compileModuleAsync(type)})},SystemJsNgModuleLoader.prototype.loadFactory=function(path){var _a=path.split(_SEPARATOR),module=_a[0],exportName=_a[1],factoryClassSuffix=FACTORY_CLASS_SUFFIX;return void 0===exportName&&(exportName="default",factoryClassSuffix=""),System.import(this._config.factoryPathPrefix+module+this._config.factoryPathSuffix).then(function(module){return module[exportName+factoryClassSuffix]}).then(function(factory){return checkNotEmpty(factory,module,exportName)})},SystemJsNgModuleLoader.decorators=[{type:Injectable}],SystemJsNgModuleLoader.ctorParameters=function(){return[{type:Compiler},{type:SystemJsNgModuleLoaderConfig,decorators:[{type:Optional}]}]},SystemJsNgModuleLoader}(),__extends$10=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},TemplateRef=function(){function TemplateRef(){}return Object.defineProperty(TemplateRef.prototype,"elementRef",{get:function(){return null},enumerable:!0,configurable:!0}),TemplateRef.prototype.createEmbeddedView=function(context){},TemplateRef}(),TemplateRef_=function(_super){function TemplateRef_(_parentView,_nodeIndex,_nativeElement){_super.call(this),this._parentView=_parentView,this._nodeIndex=_nodeIndex,this._nativeElement=_nativeElement}return __extends$10(TemplateRef_,_super),TemplateRef_.prototype.createEmbeddedView=function(context){var view=this._parentView.createEmbeddedViewInternal(this._nodeIndex);return view.create(context||{}),view.ref},Object.defineProperty(TemplateRef_.prototype,"elementRef",{get:function(){return new ElementRef(this._nativeElement)},enumerable:!0,configurable:!0}),TemplateRef_}(TemplateRef),ViewContainerRef=function(){function ViewContainerRef(){}return Object.defineProperty(ViewContainerRef.prototype,"element",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainerRef.prototype,"injector",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainerRef.prototype,"parentInjector",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ViewContainerRef.prototype.clear=function(){},ViewContainerRef.prototype.get=function(index){},Object.defineProperty(ViewContainerRef.prototype,"length",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ViewContainerRef.prototype.createEmbeddedView=function(templateRef,context,index){},ViewContainerRef.prototype.createComponent=function(componentFactory,index,injector,projectableNodes){},ViewContainerRef.prototype.insert=function(viewRef,index){},ViewContainerRef.prototype.move=function(viewRef,currentIndex){},ViewContainerRef.prototype.indexOf=function(viewRef){},ViewContainerRef.prototype.remove=function(index){},ViewContainerRef.prototype.detach=function(index){},ViewContainerRef}(),ViewContainerRef_=function(){function ViewContainerRef_(_element){this._element=_element,this._createComponentInContainerScope=wtfCreateScope("ViewContainerRef#createComponent()"),this._insertScope=wtfCreateScope("ViewContainerRef#insert()"),this._removeScope=wtfCreateScope("ViewContainerRef#remove()"),this._detachScope=wtfCreateScope("ViewContainerRef#detach()")}return ViewContainerRef_.prototype.get=function(index){return this._element.nestedViews[index].ref},Object.defineProperty(ViewContainerRef_.prototype,"length",{get:function(){var views=this._element.nestedViews;return isPresent(views)?views.length:0},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainerRef_.prototype,"element",{get:function(){return this._element.elementRef},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainerRef_.prototype,"injector",{get:function(){return this._element.injector},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainerRef_.prototype,"parentInjector",{get:function(){return this._element.parentInjector},enumerable:!0,configurable:!0}),ViewContainerRef_.prototype.createEmbeddedView=function(templateRef,context,index){void 0===context&&(context=null),void 0===index&&(index=-1);var viewRef=templateRef.createEmbeddedView(context);return this.insert(viewRef,index),viewRef},ViewContainerRef_.prototype.createComponent=function(componentFactory,index,injector,projectableNodes){void 0===index&&(index=-1),void 0===injector&&(injector=null),void 0===projectableNodes&&(projectableNodes=null);var s=this._createComponentInContainerScope(),contextInjector=injector||this._element.parentInjector,componentRef=componentFactory.create(contextInjector,projectableNodes);return this.insert(componentRef.hostView,index),wtfLeave(s,componentRef)},ViewContainerRef_.prototype.insert=function(viewRef,index){void 0===index&&(index=-1);var s=this._insertScope();index==-1&&(index=this.length);var viewRef_=viewRef;return this._element.attachView(viewRef_.internalView,index),wtfLeave(s,viewRef_)},ViewContainerRef_.prototype.move=function(viewRef,currentIndex){var s=this._insertScope();if(currentIndex!=-1){var viewRef_=viewRef;return this._element.moveView(viewRef_.internalView,currentIndex),wtfLeave(s,viewRef_)}},ViewContainerRef_.prototype.indexOf=function(viewRef){return this._element.nestedViews.indexOf(viewRef.internalView)},ViewContainerRef_.prototype.remove=function(index){void 0===index&&(index=-1);var s=this._removeScope();index==-1&&(index=this.length-1);var view=this._element.detachView(index);view.destroy(),wtfLeave(s)},ViewContainerRef_.prototype.detach=function(index){
-void 0===index&&(index=-1);var s=this._detachScope();index==-1&&(index=this.length-1);var view=this._element.detachView(index);return wtfLeave(s,view.ref)},ViewContainerRef_.prototype.clear=function(){for(var i=this.length-1;i>=0;i--)this.remove(i)},ViewContainerRef_}(),__extends$11=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},ViewRef=function(_super){function ViewRef(){_super.apply(this,arguments)}return __extends$11(ViewRef,_super),ViewRef.prototype.destroy=function(){},Object.defineProperty(ViewRef.prototype,"destroyed",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ViewRef.prototype.onDestroy=function(callback){},ViewRef}(ChangeDetectorRef),EmbeddedViewRef=function(_super){function EmbeddedViewRef(){_super.apply(this,arguments)}return __extends$11(EmbeddedViewRef,_super),Object.defineProperty(EmbeddedViewRef.prototype,"context",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(EmbeddedViewRef.prototype,"rootNodes",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),EmbeddedViewRef}(ViewRef),ViewRef_=function(){function ViewRef_(_view,animationQueue){this._view=_view,this.animationQueue=animationQueue,this._view=_view,this._originalMode=this._view.cdMode}return Object.defineProperty(ViewRef_.prototype,"internalView",{get:function(){return this._view},enumerable:!0,configurable:!0}),Object.defineProperty(ViewRef_.prototype,"rootNodes",{get:function(){return this._view.flatRootNodes},enumerable:!0,configurable:!0}),Object.defineProperty(ViewRef_.prototype,"context",{get:function(){return this._view.context},enumerable:!0,configurable:!0}),Object.defineProperty(ViewRef_.prototype,"destroyed",{get:function(){return this._view.destroyed},enumerable:!0,configurable:!0}),ViewRef_.prototype.markForCheck=function(){this._view.markPathToRootAsCheckOnce()},ViewRef_.prototype.detach=function(){this._view.cdMode=ChangeDetectorStatus.Detached},ViewRef_.prototype.detectChanges=function(){this._view.detectChanges(!1),this.animationQueue.flush()},ViewRef_.prototype.checkNoChanges=function(){this._view.detectChanges(!0)},ViewRef_.prototype.reattach=function(){this._view.cdMode=this._originalMode,this.markForCheck()},ViewRef_.prototype.onDestroy=function(callback){this._view.disposables||(this._view.disposables=[]),this._view.disposables.push(callback)},ViewRef_.prototype.destroy=function(){this._view.detachAndDestroy()},ViewRef_}(),__extends$12=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},EventListener=function(){function EventListener(name,callback){this.name=name,this.callback=callback}return EventListener}(),DebugNode=function(){function DebugNode(nativeNode,parent,_debugInfo){this._debugInfo=_debugInfo,this.nativeNode=nativeNode,parent&&parent instanceof DebugElement?parent.addChild(this):this.parent=null,this.listeners=[]}return Object.defineProperty(DebugNode.prototype,"injector",{get:function(){return this._debugInfo?this._debugInfo.injector:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugNode.prototype,"componentInstance",{get:function(){return this._debugInfo?this._debugInfo.component:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugNode.prototype,"context",{get:function(){return this._debugInfo?this._debugInfo.context:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugNode.prototype,"references",{get:function(){return this._debugInfo?this._debugInfo.references:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugNode.prototype,"providerTokens",{get:function(){return this._debugInfo?this._debugInfo.providerTokens:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugNode.prototype,"source",{get:function(){return this._debugInfo?this._debugInfo.source:null},enumerable:!0,configurable:!0}),DebugNode}(),DebugElement=function(_super){function DebugElement(nativeNode,parent,_debugInfo){_super.call(this,nativeNode,parent,_debugInfo),this.properties={},this.attributes={},this.classes={},this.styles={},this.childNodes=[],this.nativeElement=nativeNode}return __extends$12(DebugElement,_super),DebugElement.prototype.addChild=function(child){child&&(this.childNodes.push(child),child.parent=this)},DebugElement.prototype.removeChild=function(child){var childIndex=this.childNodes.indexOf(child);childIndex!==-1&&(child.parent=null,this.childNodes.splice(childIndex,1))},DebugElement.prototype.insertChildrenAfter=function(child,newChildren){var siblingIndex=this.childNodes.indexOf(child);if(siblingIndex!==-1){var previousChildren=this.childNodes.slice(0,siblingIndex+1),nextChildren=this.childNodes.slice(siblingIndex+1);this.childNodes=previousChildren.concat(newChildren,nextChildren);for(var i=0;i<newChildren.length;++i){var newChild=newChildren[i];newChild.parent&&newChild.parent.removeChild(newChild),newChild.parent=this}}},DebugElement.prototype.query=function(predicate){var results=this.queryAll(predicate);return results[0]||null},DebugElement.prototype.queryAll=function(predicate){var matches=[];return _queryElementChildren(this,predicate,matches),matches},DebugElement.prototype.queryAllNodes=function(predicate){var matches=[];return _queryNodeChildren(this,predicate,matches),matches},Object.defineProperty(DebugElement.prototype,"children",{get:function(){return this.childNodes.filter(function(node){return node instanceof DebugElement})},enumerable:!0,configurable:!0}),DebugElement.prototype.triggerEventHandler=function(eventName,eventObj){this.listeners.forEach(function(listener){listener.name==eventName&&listener.callback(eventObj)})},DebugElement}(DebugNode),_nativeNodeToDebugNode=new Map,_CORE_PLATFORM_PROVIDERS=[PlatformRef_,{provide:PlatformRef,useExisting:PlatformRef_},{provide:Reflector,useFactory:_reflector,deps:[]},{provide:ReflectorReader,useExisting:Reflector},TestabilityRegistry,Console],platformCore=createPlatformFactory(null,"core",_CORE_PLATFORM_PROVIDERS),LOCALE_ID=new OpaqueToken("LocaleId"),TRANSLATIONS=new OpaqueToken("Translations"),TRANSLATIONS_FORMAT=new OpaqueToken("TranslationsFormat"),ApplicationModule=function(){function ApplicationModule(){}return ApplicationModule.decorators=[{type:NgModule,args:[{providers:[ApplicationRef_,{provide:ApplicationRef,useExisting:ApplicationRef_},ApplicationInitStatus,Compiler,APP_ID_RANDOM_PROVIDER,ViewUtils,AnimationQueue,{provide:IterableDiffers,useFactory:_iterableDiffersFactory},{provide:KeyValueDiffers,useFactory:_keyValueDiffersFactory},{provide:LOCALE_ID,useFactory:_localeFactory,deps:[[new Inject(LOCALE_ID),new Optional,new SkipSelf]]}]}]}],ApplicationModule.ctorParameters=function(){return[]},ApplicationModule}(),FILL_STYLE_FLAG="true",ANY_STATE="*",DEFAULT_STATE="*",EMPTY_STATE="void",AnimationGroupPlayer=function(){function AnimationGroupPlayer(_players){var _this=this;this._players=_players,this._onDoneFns=[],this._onStartFns=[],this._finished=!1,this._started=!1,this._destroyed=!1,this.parentPlayer=null;var count=0,total=this._players.length;0==total?scheduleMicroTask(function(){return _this._onFinish()}):this._players.forEach(function(player){player.parentPlayer=_this,player.onDone(function(){++count>=total&&_this._onFinish()})})}return AnimationGroupPlayer.prototype._onFinish=function(){this._finished||(this._finished=!0,this._onDoneFns.forEach(function(fn){return fn()}),this._onDoneFns=[])},AnimationGroupPlayer.prototype.init=function(){this._players.forEach(function(player){return player.init()})},AnimationGroupPlayer.prototype.onStart=function(fn){this._onStartFns.push(fn)},AnimationGroupPlayer.prototype.onDone=function(fn){this._onDoneFns.push(fn)},AnimationGroupPlayer.prototype.hasStarted=function(){return this._started},AnimationGroupPlayer.prototype.play=function(){isPresent(this.parentPlayer)||this.init(),this.hasStarted()||(this._onStartFns.forEach(function(fn){return fn()}),this._onStartFns=[],this._started=!0),this._players.forEach(function(player){return player.play()})},AnimationGroupPlayer.prototype.pause=function(){this._players.forEach(function(player){return player.pause()})},AnimationGroupPlayer.prototype.restart=function(){this._players.forEach(function(player){return player.restart()})},AnimationGroupPlayer.prototype.finish=function(){this._onFinish(),this._players.forEach(function(player){return player.finish()})},AnimationGroupPlayer.prototype.destroy=function(){this._destroyed||(this._onFinish(),this._players.forEach(function(player){return player.destroy()}),this._destroyed=!0)},AnimationGroupPlayer.prototype.reset=function(){this._players.forEach(function(player){return player.reset()}),this._destroyed=!1,this._finished=!1,this._started=!1},AnimationGroupPlayer.prototype.setPosition=function(p){this._players.forEach(function(player){player.setPosition(p)})},AnimationGroupPlayer.prototype.getPosition=function(){var min=0;return this._players.forEach(function(player){var p=player.getPosition();min=Math.min(p,min)}),min},Object.defineProperty(AnimationGroupPlayer.prototype,"players",{get:function(){return this._players},enumerable:!0,configurable:!0}),AnimationGroupPlayer}(),AnimationKeyframe=function(){function AnimationKeyframe(offset,styles){this.offset=offset,this.styles=styles}return AnimationKeyframe}(),AnimationPlayer=function(){function AnimationPlayer(){}return AnimationPlayer.prototype.onDone=function(fn){},AnimationPlayer.prototype.onStart=function(fn){},AnimationPlayer.prototype.init=function(){},AnimationPlayer.prototype.hasStarted=function(){},AnimationPlayer.prototype.play=function(){},AnimationPlayer.prototype.pause=function(){},AnimationPlayer.prototype.restart=function(){},AnimationPlayer.prototype.finish=function(){},AnimationPlayer.prototype.destroy=function(){},AnimationPlayer.prototype.reset=function(){},AnimationPlayer.prototype.setPosition=function(p){},AnimationPlayer.prototype.getPosition=function(){},Object.defineProperty(AnimationPlayer.prototype,"parentPlayer",{get:function(){throw new Error("NOT IMPLEMENTED: Base Class")},set:function(player){throw new Error("NOT IMPLEMENTED: Base Class")},enumerable:!0,configurable:!0}),AnimationPlayer}(),NoOpAnimationPlayer=function(){function NoOpAnimationPlayer(){var _this=this;this._onDoneFns=[],this._onStartFns=[],this._started=!1,this.parentPlayer=null,scheduleMicroTask(function(){return _this._onFinish()})}return NoOpAnimationPlayer.prototype._onFinish=function(){this._onDoneFns.forEach(function(fn){return fn()}),this._onDoneFns=[]},NoOpAnimationPlayer.prototype.onStart=function(fn){this._onStartFns.push(fn)},NoOpAnimationPlayer.prototype.onDone=function(fn){this._onDoneFns.push(fn)},NoOpAnimationPlayer.prototype.hasStarted=function(){return this._started},NoOpAnimationPlayer.prototype.init=function(){},NoOpAnimationPlayer.prototype.play=function(){this.hasStarted()||(this._onStartFns.forEach(function(fn){return fn()}),this._onStartFns=[]),this._started=!0},NoOpAnimationPlayer.prototype.pause=function(){},NoOpAnimationPlayer.prototype.restart=function(){},NoOpAnimationPlayer.prototype.finish=function(){this._onFinish()},NoOpAnimationPlayer.prototype.destroy=function(){},NoOpAnimationPlayer.prototype.reset=function(){},NoOpAnimationPlayer.prototype.setPosition=function(p){},NoOpAnimationPlayer.prototype.getPosition=function(){return 0},NoOpAnimationPlayer}(),AnimationSequencePlayer=function(){function AnimationSequencePlayer(_players){var _this=this;this._players=_players,this._currentIndex=0,this._onDoneFns=[],this._onStartFns=[],this._finished=!1,this._started=!1,this._destroyed=!1,this.parentPlayer=null,this._players.forEach(function(player){player.parentPlayer=_this}),this._onNext(!1)}return AnimationSequencePlayer.prototype._onNext=function(start){var _this=this;if(!this._finished)if(0==this._players.length)this._activePlayer=new NoOpAnimationPlayer,scheduleMicroTask(function(){return _this._onFinish()});else if(this._currentIndex>=this._players.length)this._activePlayer=new NoOpAnimationPlayer,this._onFinish();else{var player=this._players[this._currentIndex++];player.onDone(function(){return _this._onNext(!0)}),this._activePlayer=player,start&&player.play()}},AnimationSequencePlayer.prototype._onFinish=function(){this._finished||(this._finished=!0,this._onDoneFns.forEach(function(fn){return fn()}),this._onDoneFns=[])},AnimationSequencePlayer.prototype.init=function(){this._players.forEach(function(player){return player.init()})},AnimationSequencePlayer.prototype.onStart=function(fn){this._onStartFns.push(fn)},AnimationSequencePlayer.prototype.onDone=function(fn){this._onDoneFns.push(fn)},AnimationSequencePlayer.prototype.hasStarted=function(){return this._started},AnimationSequencePlayer.prototype.play=function(){isPresent(this.parentPlayer)||this.init(),this.hasStarted()||(this._onStartFns.forEach(function(fn){return fn()}),this._onStartFns=[],this._started=!0),this._activePlayer.play()},AnimationSequencePlayer.prototype.pause=function(){this._activePlayer.pause()},AnimationSequencePlayer.prototype.restart=function(){this.reset(),this._players.length>0&&this._players[0].restart()},AnimationSequencePlayer.prototype.reset=function(){this._players.forEach(function(player){return player.reset()}),this._destroyed=!1,this._finished=!1,this._started=!1},AnimationSequencePlayer.prototype.finish=function(){this._onFinish(),this._players.forEach(function(player){return player.finish()})},AnimationSequencePlayer.prototype.destroy=function(){this._destroyed||(this._onFinish(),this._players.forEach(function(player){return player.destroy()}),this._destroyed=!0,this._activePlayer=new NoOpAnimationPlayer)},AnimationSequencePlayer.prototype.setPosition=function(p){this._players[0].setPosition(p)},AnimationSequencePlayer.prototype.getPosition=function(){return this._players[0].getPosition()},Object.defineProperty(AnimationSequencePlayer.prototype,"players",{get:function(){return this._players},enumerable:!0,configurable:!0}),AnimationSequencePlayer}(),__extends$13=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},AUTO_STYLE="*",AnimationEntryMetadata=function(){function AnimationEntryMetadata(name,definitions){this.name=name,this.definitions=definitions}return AnimationEntryMetadata}(),AnimationStateMetadata=function(){function AnimationStateMetadata(){}return AnimationStateMetadata}(),AnimationStateDeclarationMetadata=function(_super){function AnimationStateDeclarationMetadata(stateNameExpr,styles){_super.call(this),this.stateNameExpr=stateNameExpr,this.styles=styles}return __extends$13(AnimationStateDeclarationMetadata,_super),AnimationStateDeclarationMetadata}(AnimationStateMetadata),AnimationStateTransitionMetadata=function(_super){function AnimationStateTransitionMetadata(stateChangeExpr,steps){_super.call(this),this.stateChangeExpr=stateChangeExpr,this.steps=steps}return __extends$13(AnimationStateTransitionMetadata,_super),AnimationStateTransitionMetadata}(AnimationStateMetadata),AnimationMetadata=function(){function AnimationMetadata(){}return AnimationMetadata}(),AnimationKeyframesSequenceMetadata=function(_super){function AnimationKeyframesSequenceMetadata(steps){_super.call(this),this.steps=steps}return __extends$13(AnimationKeyframesSequenceMetadata,_super),AnimationKeyframesSequenceMetadata}(AnimationMetadata),AnimationStyleMetadata=function(_super){function AnimationStyleMetadata(styles,offset){void 0===offset&&(offset=null),_super.call(this),this.styles=styles,this.offset=offset}return __extends$13(AnimationStyleMetadata,_super),AnimationStyleMetadata}(AnimationMetadata),AnimationAnimateMetadata=function(_super){function AnimationAnimateMetadata(timings,styles){_super.call(this),this.timings=timings,this.styles=styles}return __extends$13(AnimationAnimateMetadata,_super),AnimationAnimateMetadata}(AnimationMetadata),AnimationWithStepsMetadata=function(_super){function AnimationWithStepsMetadata(){_super.call(this)}return __extends$13(AnimationWithStepsMetadata,_super),Object.defineProperty(AnimationWithStepsMetadata.prototype,"steps",{get:function(){throw new Error("NOT IMPLEMENTED: Base Class")},enumerable:!0,configurable:!0}),AnimationWithStepsMetadata}(AnimationMetadata),AnimationSequenceMetadata=function(_super){function AnimationSequenceMetadata(_steps){_super.call(this),this._steps=_steps}return __extends$13(AnimationSequenceMetadata,_super),Object.defineProperty(AnimationSequenceMetadata.prototype,"steps",{get:function(){return this._steps},enumerable:!0,configurable:!0}),AnimationSequenceMetadata}(AnimationWithStepsMetadata),AnimationGroupMetadata=function(_super){function AnimationGroupMetadata(_steps){_super.call(this),this._steps=_steps}return __extends$13(AnimationGroupMetadata,_super),Object.defineProperty(AnimationGroupMetadata.prototype,"steps",{get:function(){return this._steps},enumerable:!0,configurable:!0}),AnimationGroupMetadata}(AnimationWithStepsMetadata),AnimationStyles=function(){function AnimationStyles(styles){this.styles=styles}return AnimationStyles}(),AnimationTransitionEvent=function(){function AnimationTransitionEvent(_a){var fromState=_a.fromState,toState=_a.toState,totalTime=_a.totalTime,phaseName=_a.phaseName,element=_a.element,triggerName=_a.triggerName;this.fromState=fromState,this.toState=toState,this.totalTime=totalTime,this.phaseName=phaseName,this.element=new ElementRef(element),this.triggerName=triggerName}return AnimationTransitionEvent}(),AnimationTransition=function(){function AnimationTransition(_player,_element,_triggerName,_fromState,_toState,_totalTime){this._player=_player,this._element=_element,this._triggerName=_triggerName,this._fromState=_fromState,this._toState=_toState,this._totalTime=_totalTime}return AnimationTransition.prototype._createEvent=function(phaseName){return new AnimationTransitionEvent({fromState:this._fromState,toState:this._toState,totalTime:this._totalTime,phaseName:phaseName,element:this._element,triggerName:this._triggerName})},AnimationTransition.prototype.onStart=function(callback){var _this=this,fn=Zone.current.wrap(function(){return callback(_this._createEvent("start"))},"player.onStart");this._player.onStart(fn)},AnimationTransition.prototype.onDone=function(callback){var _this=this,fn=Zone.current.wrap(function(){return callback(_this._createEvent("done"))},"player.onDone");this._player.onDone(fn)},AnimationTransition}(),DebugDomRootRenderer=function(){function DebugDomRootRenderer(_delegate){this._delegate=_delegate}return DebugDomRootRenderer.prototype.renderComponent=function(componentProto){return new DebugDomRenderer(this._delegate.renderComponent(componentProto))},DebugDomRootRenderer}(),DebugDomRenderer=function(){function DebugDomRenderer(_delegate){this._delegate=_delegate}return DebugDomRenderer.prototype.selectRootElement=function(selectorOrNode,debugInfo){var nativeEl=this._delegate.selectRootElement(selectorOrNode,debugInfo),debugEl=new DebugElement(nativeEl,null,debugInfo);return indexDebugNode(debugEl),nativeEl},DebugDomRenderer.prototype.createElement=function(parentElement,name,debugInfo){var nativeEl=this._delegate.createElement(parentElement,name,debugInfo),debugEl=new DebugElement(nativeEl,getDebugNode(parentElement),debugInfo);return debugEl.name=name,indexDebugNode(debugEl),nativeEl},DebugDomRenderer.prototype.createViewRoot=function(hostElement){return this._delegate.createViewRoot(hostElement)},DebugDomRenderer.prototype.createTemplateAnchor=function(parentElement,debugInfo){var comment=this._delegate.createTemplateAnchor(parentElement,debugInfo),debugEl=new DebugNode(comment,getDebugNode(parentElement),debugInfo);return indexDebugNode(debugEl),comment},DebugDomRenderer.prototype.createText=function(parentElement,value,debugInfo){var text=this._delegate.createText(parentElement,value,debugInfo),debugEl=new DebugNode(text,getDebugNode(parentElement),debugInfo);return indexDebugNode(debugEl),text},DebugDomRenderer.prototype.projectNodes=function(parentElement,nodes){var debugParent=getDebugNode(parentElement);if(isPresent(debugParent)&&debugParent instanceof DebugElement){var debugElement_1=debugParent;nodes.forEach(function(node){debugElement_1.addChild(getDebugNode(node))})}this._delegate.projectNodes(parentElement,nodes)},DebugDomRenderer.prototype.attachViewAfter=function(node,viewRootNodes){var debugNode=getDebugNode(node);if(isPresent(debugNode)){var debugParent=debugNode.parent;if(viewRootNodes.length>0&&isPresent(debugParent)){var debugViewRootNodes_1=[];viewRootNodes.forEach(function(rootNode){return debugViewRootNodes_1.push(getDebugNode(rootNode))}),debugParent.insertChildrenAfter(debugNode,debugViewRootNodes_1)}}this._delegate.attachViewAfter(node,viewRootNodes)},DebugDomRenderer.prototype.detachView=function(viewRootNodes){viewRootNodes.forEach(function(node){var debugNode=getDebugNode(node);isPresent(debugNode)&&isPresent(debugNode.parent)&&debugNode.parent.removeChild(debugNode)}),this._delegate.detachView(viewRootNodes)},DebugDomRenderer.prototype.destroyView=function(hostElement,viewAllNodes){viewAllNodes=viewAllNodes||[],viewAllNodes.forEach(function(node){removeDebugNodeFromIndex(getDebugNode(node))}),this._delegate.destroyView(hostElement,viewAllNodes)},DebugDomRenderer.prototype.listen=function(renderElement,name,callback){var debugEl=getDebugNode(renderElement);return isPresent(debugEl)&&debugEl.listeners.push(new EventListener(name,callback)),this._delegate.listen(renderElement,name,callback)},DebugDomRenderer.prototype.listenGlobal=function(target,name,callback){return this._delegate.listenGlobal(target,name,callback)},DebugDomRenderer.prototype.setElementProperty=function(renderElement,propertyName,propertyValue){var debugEl=getDebugNode(renderElement);isPresent(debugEl)&&debugEl instanceof DebugElement&&(debugEl.properties[propertyName]=propertyValue),this._delegate.setElementProperty(renderElement,propertyName,propertyValue)},DebugDomRenderer.prototype.setElementAttribute=function(renderElement,attributeName,attributeValue){var debugEl=getDebugNode(renderElement);isPresent(debugEl)&&debugEl instanceof DebugElement&&(debugEl.attributes[attributeName]=attributeValue),this._delegate.setElementAttribute(renderElement,attributeName,attributeValue)},DebugDomRenderer.prototype.setBindingDebugInfo=function(renderElement,propertyName,propertyValue){this._delegate.setBindingDebugInfo(renderElement,propertyName,propertyValue)},DebugDomRenderer.prototype.setElementClass=function(renderElement,className,isAdd){var debugEl=getDebugNode(renderElement);isPresent(debugEl)&&debugEl instanceof DebugElement&&(debugEl.classes[className]=isAdd),this._delegate.setElementClass(renderElement,className,isAdd)},DebugDomRenderer.prototype.setElementStyle=function(renderElement,styleName,styleValue){var debugEl=getDebugNode(renderElement);isPresent(debugEl)&&debugEl instanceof DebugElement&&(debugEl.styles[styleName]=styleValue),this._delegate.setElementStyle(renderElement,styleName,styleValue)},DebugDomRenderer.prototype.invokeElementMethod=function(renderElement,methodName,args){this._delegate.invokeElementMethod(renderElement,methodName,args)},DebugDomRenderer.prototype.setText=function(renderNode,text){this._delegate.setText(renderNode,text)},DebugDomRenderer.prototype.animate=function(element,startingStyles,keyframes,duration,delay,easing,previousPlayers){return void 0===previousPlayers&&(previousPlayers=[]),this._delegate.animate(element,startingStyles,keyframes,duration,delay,easing,previousPlayers)},DebugDomRenderer}(),ViewType={};ViewType.HOST=0,ViewType.COMPONENT=1,ViewType.EMBEDDED=2,ViewType[ViewType.HOST]="HOST",ViewType[ViewType.COMPONENT]="COMPONENT",ViewType[ViewType.EMBEDDED]="EMBEDDED";var StaticNodeDebugInfo=function(){function StaticNodeDebugInfo(providerTokens,componentToken,refTokens){this.providerTokens=providerTokens,this.componentToken=componentToken,this.refTokens=refTokens}return StaticNodeDebugInfo}(),DebugContext=function(){function DebugContext(_view,_nodeIndex,_tplRow,_tplCol){this._view=_view,this._nodeIndex=_nodeIndex,this._tplRow=_tplRow,this._tplCol=_tplCol}return Object.defineProperty(DebugContext.prototype,"_staticNodeInfo",{get:function(){return isPresent(this._nodeIndex)?this._view.staticNodeDebugInfos[this._nodeIndex]:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"context",{get:function(){return this._view.context},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"component",{get:function(){var staticNodeInfo=this._staticNodeInfo;return isPresent(staticNodeInfo)&&isPresent(staticNodeInfo.componentToken)?this.injector.get(staticNodeInfo.componentToken):null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"componentRenderElement",{get:function(){for(var componentView=this._view;isPresent(componentView.parentView)&&componentView.type!==ViewType.COMPONENT;)componentView=componentView.parentView;return componentView.parentElement},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"injector",{get:function(){return this._view.injector(this._nodeIndex)},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"renderNode",{get:function(){return isPresent(this._nodeIndex)&&this._view.allNodes?this._view.allNodes[this._nodeIndex]:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"providerTokens",{get:function(){var staticNodeInfo=this._staticNodeInfo;return isPresent(staticNodeInfo)?staticNodeInfo.providerTokens:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"source",{get:function(){return this._view.componentType.templateUrl+":"+this._tplRow+":"+this._tplCol},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"references",{get:function(){var _this=this,varValues={},staticNodeInfo=this._staticNodeInfo;if(isPresent(staticNodeInfo)){var refs_1=staticNodeInfo.refTokens;Object.keys(refs_1).forEach(function(refName){var varValue,refToken=refs_1[refName];varValue=isBlank(refToken)?_this._view.allNodes?_this._view.allNodes[_this._nodeIndex]:null:_this._view.injectorGet(refToken,_this._nodeIndex,null),varValues[refName]=varValue})}return varValues},enumerable:!0,configurable:!0}),DebugContext}(),ViewAnimationMap=function(){function ViewAnimationMap(){this._map=new Map,this._allPlayers=[]}return ViewAnimationMap.prototype.find=function(element,animationName){var playersByAnimation=this._map.get(element);if(isPresent(playersByAnimation))return playersByAnimation[animationName]},ViewAnimationMap.prototype.findAllPlayersByElement=function(element){var el=this._map.get(element);return el?Object.keys(el).map(function(k){return el[k]}):[]},ViewAnimationMap.prototype.set=function(element,animationName,player){var playersByAnimation=this._map.get(element);isPresent(playersByAnimation)||(playersByAnimation={});var existingEntry=playersByAnimation[animationName];isPresent(existingEntry)&&this.remove(element,animationName),playersByAnimation[animationName]=player,this._allPlayers.push(player),this._map.set(element,playersByAnimation)},ViewAnimationMap.prototype.getAllPlayers=function(){return this._allPlayers},ViewAnimationMap.prototype.remove=function(element,animationName,targetPlayer){void 0===targetPlayer&&(targetPlayer=null);var playersByAnimation=this._map.get(element);if(playersByAnimation){var player=playersByAnimation[animationName];if(!targetPlayer||player===targetPlayer){delete playersByAnimation[animationName];var index=this._allPlayers.indexOf(player);this._allPlayers.splice(index,1),0===Object.keys(playersByAnimation).length&&this._map.delete(element)}}},ViewAnimationMap}(),AnimationViewContext=function(){function AnimationViewContext(_animationQueue){this._animationQueue=_animationQueue,this._players=new ViewAnimationMap}return AnimationViewContext.prototype.onAllActiveAnimationsDone=function(callback){var activeAnimationPlayers=this._players.getAllPlayers();activeAnimationPlayers.length?new AnimationGroupPlayer(activeAnimationPlayers).onDone(function(){return callback()}):callback()},AnimationViewContext.prototype.queueAnimation=function(element,animationName,player){var _this=this;this._animationQueue.enqueue(player),this._players.set(element,animationName,player),player.onDone(function(){return _this._players.remove(element,animationName,player)})},AnimationViewContext.prototype.getAnimationPlayers=function(element,animationName){void 0===animationName&&(animationName=null);var players=[];if(animationName){var currentPlayer=this._players.find(element,animationName);currentPlayer&&_recursePlayers(currentPlayer,players)}else this._players.findAllPlayersByElement(element).forEach(function(player){return _recursePlayers(player,players)});return players},AnimationViewContext}(),__extends$15=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},ElementInjector=function(_super){function ElementInjector(_view,_nodeIndex){_super.call(this),this._view=_view,this._nodeIndex=_nodeIndex}return __extends$15(ElementInjector,_super),ElementInjector.prototype.get=function(token,notFoundValue){return void 0===notFoundValue&&(notFoundValue=THROW_IF_NOT_FOUND),this._view.injectorGet(token,this._nodeIndex,notFoundValue)},ElementInjector}(Injector),__extends$14=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},_scope_check=wtfCreateScope("AppView#check(ascii id)"),EMPTY_CONTEXT=new Object,UNDEFINED$1=new Object,AppView=function(){function AppView(clazz,componentType,type,viewUtils,parentView,parentIndex,parentElement,cdMode,declaredViewContainer){void 0===declaredViewContainer&&(declaredViewContainer=null),this.clazz=clazz,this.componentType=componentType,this.type=type,this.viewUtils=viewUtils,this.parentView=parentView,this.parentIndex=parentIndex,this.parentElement=parentElement,this.cdMode=cdMode,this.declaredViewContainer=declaredViewContainer,this.numberOfChecks=0,this.throwOnChange=!1,this.ref=new ViewRef_(this,viewUtils.animationQueue),type===ViewType.COMPONENT||type===ViewType.HOST?this.renderer=viewUtils.renderComponent(componentType):this.renderer=parentView.renderer,this._directRenderer=this.renderer.directRenderer}return Object.defineProperty(AppView.prototype,"animationContext",{get:function(){return this._animationContext||(this._animationContext=new AnimationViewContext(this.viewUtils.animationQueue)),this._animationContext},enumerable:!0,configurable:!0}),Object.defineProperty(AppView.prototype,"destroyed",{get:function(){return this.cdMode===ChangeDetectorStatus.Destroyed},enumerable:!0,configurable:!0}),AppView.prototype.create=function(context){return this.context=context,this.createInternal(null)},AppView.prototype.createHostView=function(rootSelectorOrNode,hostInjector,projectableNodes){return this.context=EMPTY_CONTEXT,this._hasExternalHostElement=isPresent(rootSelectorOrNode),this._hostInjector=hostInjector,this._hostProjectableNodes=projectableNodes,this.createInternal(rootSelectorOrNode)},AppView.prototype.createInternal=function(rootSelectorOrNode){return null},AppView.prototype.createEmbeddedViewInternal=function(templateNodeIndex){return null},AppView.prototype.init=function(lastRootNode,allNodes,disposables){this.lastRootNode=lastRootNode,this.allNodes=allNodes,this.disposables=disposables,this.type===ViewType.COMPONENT&&this.dirtyParentQueriesInternal()},AppView.prototype.injectorGet=function(token,nodeIndex,notFoundValue){
-void 0===notFoundValue&&(notFoundValue=THROW_IF_NOT_FOUND);for(var result=UNDEFINED$1,view=this;result===UNDEFINED$1;)isPresent(nodeIndex)&&(result=view.injectorGetInternal(token,nodeIndex,UNDEFINED$1)),result===UNDEFINED$1&&view.type===ViewType.HOST&&(result=view._hostInjector.get(token,notFoundValue)),nodeIndex=view.parentIndex,view=view.parentView;return result},AppView.prototype.injectorGetInternal=function(token,nodeIndex,notFoundResult){return notFoundResult},AppView.prototype.injector=function(nodeIndex){return new ElementInjector(this,nodeIndex)},AppView.prototype.detachAndDestroy=function(){this.viewContainer?this.viewContainer.detachView(this.viewContainer.nestedViews.indexOf(this)):this.appRef?this.appRef.detachView(this.ref):this._hasExternalHostElement&&this.detach(),this.destroy()},AppView.prototype.destroy=function(){var _this=this;if(this.cdMode!==ChangeDetectorStatus.Destroyed){var hostElement=this.type===ViewType.COMPONENT?this.parentElement:null;if(this.disposables)for(var i=0;i<this.disposables.length;i++)this.disposables[i]();this.destroyInternal(),this.dirtyParentQueriesInternal(),this._animationContext?this._animationContext.onAllActiveAnimationsDone(function(){return _this.renderer.destroyView(hostElement,_this.allNodes)}):this.renderer.destroyView(hostElement,this.allNodes),this.cdMode=ChangeDetectorStatus.Destroyed}},AppView.prototype.destroyInternal=function(){},AppView.prototype.detachInternal=function(){},AppView.prototype.detach=function(){var _this=this;if(this.detachInternal(),this._animationContext?this._animationContext.onAllActiveAnimationsDone(function(){return _this._renderDetach()}):this._renderDetach(),this.declaredViewContainer&&this.declaredViewContainer!==this.viewContainer&&this.declaredViewContainer.projectedViews){var projectedViews=this.declaredViewContainer.projectedViews,index=projectedViews.indexOf(this);index>=projectedViews.length-1?projectedViews.pop():projectedViews.splice(index,1)}this.appRef=null,this.viewContainer=null,this.dirtyParentQueriesInternal()},AppView.prototype._renderDetach=function(){this._directRenderer?this.visitRootNodesInternal(this._directRenderer.remove,null):this.renderer.detachView(this.flatRootNodes)},AppView.prototype.attachToAppRef=function(appRef){if(this.viewContainer)throw new Error("This view is already attached to a ViewContainer!");this.appRef=appRef,this.dirtyParentQueriesInternal()},AppView.prototype.attachAfter=function(viewContainer,prevView){if(this.appRef)throw new Error("This view is already attached directly to the ApplicationRef!");this._renderAttach(viewContainer,prevView),this.viewContainer=viewContainer,this.declaredViewContainer&&this.declaredViewContainer!==viewContainer&&(this.declaredViewContainer.projectedViews||(this.declaredViewContainer.projectedViews=[]),this.declaredViewContainer.projectedViews.push(this)),this.dirtyParentQueriesInternal()},AppView.prototype.moveAfter=function(viewContainer,prevView){this._renderAttach(viewContainer,prevView),this.dirtyParentQueriesInternal()},AppView.prototype._renderAttach=function(viewContainer,prevView){var prevNode=prevView?prevView.lastRootNode:viewContainer.nativeElement;if(this._directRenderer){var nextSibling=this._directRenderer.nextSibling(prevNode);if(nextSibling)this.visitRootNodesInternal(this._directRenderer.insertBefore,nextSibling);else{var parentElement=this._directRenderer.parentElement(prevNode);parentElement&&this.visitRootNodesInternal(this._directRenderer.appendChild,parentElement)}}else this.renderer.attachViewAfter(prevNode,this.flatRootNodes)},Object.defineProperty(AppView.prototype,"changeDetectorRef",{get:function(){return this.ref},enumerable:!0,configurable:!0}),Object.defineProperty(AppView.prototype,"flatRootNodes",{get:function(){var nodes=[];return this.visitRootNodesInternal(addToArray,nodes),nodes},enumerable:!0,configurable:!0}),AppView.prototype.projectNodes=function(parentElement,ngContentIndex){if(this._directRenderer)this.visitProjectedNodes(ngContentIndex,this._directRenderer.appendChild,parentElement);else{var nodes=[];this.visitProjectedNodes(ngContentIndex,addToArray,nodes),this.renderer.projectNodes(parentElement,nodes)}},AppView.prototype.visitProjectedNodes=function(ngContentIndex,cb,c){switch(this.type){case ViewType.EMBEDDED:this.parentView.visitProjectedNodes(ngContentIndex,cb,c);break;case ViewType.COMPONENT:if(this.parentView.type===ViewType.HOST)for(var nodes=this.parentView._hostProjectableNodes[ngContentIndex]||[],i=0;i<nodes.length;i++)cb(nodes[i],c);else this.parentView.visitProjectableNodesInternal(this.parentIndex,ngContentIndex,cb,c)}},AppView.prototype.visitRootNodesInternal=function(cb,c){},AppView.prototype.visitProjectableNodesInternal=function(nodeIndex,ngContentIndex,cb,c){},AppView.prototype.dirtyParentQueriesInternal=function(){},AppView.prototype.internalDetectChanges=function(throwOnChange){this.cdMode!==ChangeDetectorStatus.Detached&&this.detectChanges(throwOnChange)},AppView.prototype.detectChanges=function(throwOnChange){var s=_scope_check(this.clazz);this.cdMode!==ChangeDetectorStatus.Checked&&this.cdMode!==ChangeDetectorStatus.Errored&&(this.cdMode===ChangeDetectorStatus.Destroyed&&this.throwDestroyedError("detectChanges"),this.throwOnChange=throwOnChange,this.detectChangesInternal(),this.cdMode===ChangeDetectorStatus.CheckOnce&&(this.cdMode=ChangeDetectorStatus.Checked),this.numberOfChecks++,wtfLeave(s))},AppView.prototype.detectChangesInternal=function(){},AppView.prototype.markAsCheckOnce=function(){this.cdMode=ChangeDetectorStatus.CheckOnce},AppView.prototype.markPathToRootAsCheckOnce=function(){for(var c=this;isPresent(c)&&c.cdMode!==ChangeDetectorStatus.Detached;)c.cdMode===ChangeDetectorStatus.Checked&&(c.cdMode=ChangeDetectorStatus.CheckOnce),c=c.type===ViewType.COMPONENT?c.parentView:c.viewContainer?c.viewContainer.parentView:null},AppView.prototype.eventHandler=function(cb){return cb},AppView.prototype.throwDestroyedError=function(details){throw new ViewDestroyedError(details)},AppView}(),DebugAppView=function(_super){function DebugAppView(clazz,componentType,type,viewUtils,parentView,parentIndex,parentNode,cdMode,staticNodeDebugInfos,declaredViewContainer){void 0===declaredViewContainer&&(declaredViewContainer=null),_super.call(this,clazz,componentType,type,viewUtils,parentView,parentIndex,parentNode,cdMode,declaredViewContainer),this.staticNodeDebugInfos=staticNodeDebugInfos,this._currentDebugContext=null}return __extends$14(DebugAppView,_super),DebugAppView.prototype.create=function(context){this._resetDebug();try{return _super.prototype.create.call(this,context)}catch(e){throw this._rethrowWithContext(e),e}},DebugAppView.prototype.createHostView=function(rootSelectorOrNode,injector,projectableNodes){void 0===projectableNodes&&(projectableNodes=null),this._resetDebug();try{return _super.prototype.createHostView.call(this,rootSelectorOrNode,injector,projectableNodes)}catch(e){throw this._rethrowWithContext(e),e}},DebugAppView.prototype.injectorGet=function(token,nodeIndex,notFoundResult){this._resetDebug();try{return _super.prototype.injectorGet.call(this,token,nodeIndex,notFoundResult)}catch(e){throw this._rethrowWithContext(e),e}},DebugAppView.prototype.detach=function(){this._resetDebug();try{_super.prototype.detach.call(this)}catch(e){throw this._rethrowWithContext(e),e}},DebugAppView.prototype.destroy=function(){this._resetDebug();try{_super.prototype.destroy.call(this)}catch(e){throw this._rethrowWithContext(e),e}},DebugAppView.prototype.detectChanges=function(throwOnChange){this._resetDebug();try{_super.prototype.detectChanges.call(this,throwOnChange)}catch(e){throw this._rethrowWithContext(e),e}},DebugAppView.prototype._resetDebug=function(){this._currentDebugContext=null},DebugAppView.prototype.debug=function(nodeIndex,rowNum,colNum){return this._currentDebugContext=new DebugContext(this,nodeIndex,rowNum,colNum)},DebugAppView.prototype._rethrowWithContext=function(e){if(!(e instanceof ViewWrappedError)&&(e instanceof ExpressionChangedAfterItHasBeenCheckedError||(this.cdMode=ChangeDetectorStatus.Errored),isPresent(this._currentDebugContext)))throw new ViewWrappedError(e,this._currentDebugContext)},DebugAppView.prototype.eventHandler=function(cb){var _this=this,superHandler=_super.prototype.eventHandler.call(this,cb);return function(eventName,event){_this._resetDebug();try{return superHandler.call(_this,eventName,event)}catch(e){throw _this._rethrowWithContext(e),e}}},DebugAppView}(AppView),ViewContainer=function(){function ViewContainer(index,parentIndex,parentView,nativeElement){this.index=index,this.parentIndex=parentIndex,this.parentView=parentView,this.nativeElement=nativeElement}return Object.defineProperty(ViewContainer.prototype,"elementRef",{get:function(){return new ElementRef(this.nativeElement)},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainer.prototype,"vcRef",{get:function(){return new ViewContainerRef_(this)},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainer.prototype,"parentInjector",{get:function(){return this.parentView.injector(this.parentIndex)},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainer.prototype,"injector",{get:function(){return this.parentView.injector(this.index)},enumerable:!0,configurable:!0}),ViewContainer.prototype.detectChangesInNestedViews=function(throwOnChange){if(this.nestedViews)for(var i=0;i<this.nestedViews.length;i++)this.nestedViews[i].detectChanges(throwOnChange)},ViewContainer.prototype.destroyNestedViews=function(){if(this.nestedViews)for(var i=0;i<this.nestedViews.length;i++)this.nestedViews[i].destroy()},ViewContainer.prototype.visitNestedViewRootNodes=function(cb,c){if(this.nestedViews)for(var i=0;i<this.nestedViews.length;i++)this.nestedViews[i].visitRootNodesInternal(cb,c)},ViewContainer.prototype.mapNestedViews=function(nestedViewClass,callback){var result=[];if(this.nestedViews)for(var i=0;i<this.nestedViews.length;i++){var nestedView=this.nestedViews[i];nestedView.clazz===nestedViewClass&&result.push(callback(nestedView))}if(this.projectedViews)for(var i=0;i<this.projectedViews.length;i++){var projectedView=this.projectedViews[i];projectedView.clazz===nestedViewClass&&result.push(callback(projectedView))}return result},ViewContainer.prototype.moveView=function(view,currentIndex){var previousIndex=this.nestedViews.indexOf(view);if(view.type===ViewType.COMPONENT)throw new Error("Component views can't be moved!");var nestedViews=this.nestedViews;null==nestedViews&&(nestedViews=[],this.nestedViews=nestedViews),nestedViews.splice(previousIndex,1),nestedViews.splice(currentIndex,0,view);var prevView=currentIndex>0?nestedViews[currentIndex-1]:null;view.moveAfter(this,prevView)},ViewContainer.prototype.attachView=function(view,viewIndex){if(view.type===ViewType.COMPONENT)throw new Error("Component views can't be moved!");var nestedViews=this.nestedViews;null==nestedViews&&(nestedViews=[],this.nestedViews=nestedViews),viewIndex>=nestedViews.length?nestedViews.push(view):nestedViews.splice(viewIndex,0,view);var prevView=viewIndex>0?nestedViews[viewIndex-1]:null;view.attachAfter(this,prevView)},ViewContainer.prototype.detachView=function(viewIndex){var view=this.nestedViews[viewIndex];if(viewIndex>=this.nestedViews.length-1?this.nestedViews.pop():this.nestedViews.splice(viewIndex,1),view.type===ViewType.COMPONENT)throw new Error("Component views can't be moved!");return view.detach(),view},ViewContainer}(),__core_private__={isDefaultChangeDetectionStrategy:isDefaultChangeDetectionStrategy,ChangeDetectorStatus:ChangeDetectorStatus,constructDependencies:constructDependencies,LifecycleHooks:LifecycleHooks,LIFECYCLE_HOOKS_VALUES:LIFECYCLE_HOOKS_VALUES,ReflectorReader:ReflectorReader,CodegenComponentFactoryResolver:CodegenComponentFactoryResolver,ComponentRef_:ComponentRef_,ViewContainer:ViewContainer,AppView:AppView,DebugAppView:DebugAppView,NgModuleInjector:NgModuleInjector,registerModuleFactory:registerModuleFactory,ViewType:ViewType,view_utils:view_utils,ViewMetadata:ViewMetadata,DebugContext:DebugContext,StaticNodeDebugInfo:StaticNodeDebugInfo,devModeEqual:devModeEqual,ValueUnwrapper:ValueUnwrapper,RenderDebugInfo:RenderDebugInfo,TemplateRef_:TemplateRef_,ReflectionCapabilities:ReflectionCapabilities,makeDecorator:makeDecorator,DebugDomRootRenderer:DebugDomRootRenderer,Console:Console,reflector:reflector,Reflector:Reflector,NoOpAnimationPlayer:NoOpAnimationPlayer,AnimationPlayer:AnimationPlayer,AnimationSequencePlayer:AnimationSequencePlayer,AnimationGroupPlayer:AnimationGroupPlayer,AnimationKeyframe:AnimationKeyframe,prepareFinalAnimationStyles:prepareFinalAnimationStyles,balanceAnimationKeyframes:balanceAnimationKeyframes,flattenStyles:flattenStyles,clearStyles:clearStyles,renderStyles:renderStyles,collectAndResolveStyles:collectAndResolveStyles,APP_ID_RANDOM_PROVIDER:APP_ID_RANDOM_PROVIDER,AnimationStyles:AnimationStyles,ANY_STATE:ANY_STATE,DEFAULT_STATE:DEFAULT_STATE,EMPTY_STATE:EMPTY_STATE,FILL_STYLE_FLAG:FILL_STYLE_FLAG,ComponentStillLoadingError:ComponentStillLoadingError,isPromise:isPromise,AnimationTransition:AnimationTransition};exports.createPlatform=createPlatform,exports.assertPlatform=assertPlatform,exports.destroyPlatform=destroyPlatform,exports.getPlatform=getPlatform,exports.PlatformRef=PlatformRef,exports.ApplicationRef=ApplicationRef,exports.enableProdMode=enableProdMode,exports.isDevMode=isDevMode,exports.createPlatformFactory=createPlatformFactory,exports.NgProbeToken=NgProbeToken,exports.APP_ID=APP_ID,exports.PACKAGE_ROOT_URL=PACKAGE_ROOT_URL,exports.PLATFORM_INITIALIZER=PLATFORM_INITIALIZER,exports.APP_BOOTSTRAP_LISTENER=APP_BOOTSTRAP_LISTENER,exports.APP_INITIALIZER=APP_INITIALIZER,exports.ApplicationInitStatus=ApplicationInitStatus,exports.DebugElement=DebugElement,exports.DebugNode=DebugNode,exports.asNativeElements=asNativeElements,exports.getDebugNode=getDebugNode,exports.Testability=Testability,exports.TestabilityRegistry=TestabilityRegistry,exports.setTestabilityGetter=setTestabilityGetter,exports.TRANSLATIONS=TRANSLATIONS,exports.TRANSLATIONS_FORMAT=TRANSLATIONS_FORMAT,exports.LOCALE_ID=LOCALE_ID,exports.ApplicationModule=ApplicationModule,exports.wtfCreateScope=wtfCreateScope,exports.wtfLeave=wtfLeave,exports.wtfStartTimeRange=wtfStartTimeRange,exports.wtfEndTimeRange=wtfEndTimeRange,exports.Type=Type,exports.EventEmitter=EventEmitter,exports.ErrorHandler=ErrorHandler,exports.AnimationTransitionEvent=AnimationTransitionEvent,exports.AnimationPlayer=AnimationPlayer,exports.Sanitizer=Sanitizer,exports.SecurityContext=SecurityContext,exports.ANALYZE_FOR_ENTRY_COMPONENTS=ANALYZE_FOR_ENTRY_COMPONENTS,exports.Attribute=Attribute,exports.ContentChild=ContentChild,exports.ContentChildren=ContentChildren,exports.Query=Query,exports.ViewChild=ViewChild,exports.ViewChildren=ViewChildren,exports.Component=Component,exports.Directive=Directive,exports.HostBinding=HostBinding,exports.HostListener=HostListener,exports.Input=Input,exports.Output=Output,exports.Pipe=Pipe,exports.AfterContentChecked=AfterContentChecked,exports.AfterContentInit=AfterContentInit,exports.AfterViewChecked=AfterViewChecked,exports.AfterViewInit=AfterViewInit,exports.DoCheck=DoCheck,exports.OnChanges=OnChanges,exports.OnDestroy=OnDestroy,exports.OnInit=OnInit,exports.CUSTOM_ELEMENTS_SCHEMA=CUSTOM_ELEMENTS_SCHEMA,exports.NO_ERRORS_SCHEMA=NO_ERRORS_SCHEMA,exports.NgModule=NgModule,exports.ViewEncapsulation=ViewEncapsulation,exports.Version=Version,exports.VERSION=VERSION,exports.Class=Class,exports.forwardRef=forwardRef,exports.resolveForwardRef=resolveForwardRef,exports.Injector=Injector,exports.ReflectiveInjector=ReflectiveInjector,exports.ResolvedReflectiveFactory=ResolvedReflectiveFactory,exports.ReflectiveKey=ReflectiveKey,exports.OpaqueToken=OpaqueToken,exports.Inject=Inject,exports.Optional=Optional,exports.Injectable=Injectable,exports.Self=Self,exports.SkipSelf=SkipSelf,exports.Host=Host,exports.NgZone=NgZone,exports.RenderComponentType=RenderComponentType,exports.Renderer=Renderer,exports.RootRenderer=RootRenderer,exports.COMPILER_OPTIONS=COMPILER_OPTIONS,exports.Compiler=Compiler,exports.CompilerFactory=CompilerFactory,exports.ModuleWithComponentFactories=ModuleWithComponentFactories,exports.ComponentFactory=ComponentFactory,exports.ComponentRef=ComponentRef,exports.ComponentFactoryResolver=ComponentFactoryResolver,exports.ElementRef=ElementRef,exports.NgModuleFactory=NgModuleFactory,exports.NgModuleRef=NgModuleRef,exports.NgModuleFactoryLoader=NgModuleFactoryLoader,exports.getModuleFactory=getModuleFactory,exports.QueryList=QueryList,exports.SystemJsNgModuleLoader=SystemJsNgModuleLoader,exports.SystemJsNgModuleLoaderConfig=SystemJsNgModuleLoaderConfig,exports.TemplateRef=TemplateRef,exports.ViewContainerRef=ViewContainerRef,exports.EmbeddedViewRef=EmbeddedViewRef,exports.ViewRef=ViewRef,exports.ChangeDetectionStrategy=ChangeDetectionStrategy,exports.ChangeDetectorRef=ChangeDetectorRef,exports.DefaultIterableDiffer=DefaultIterableDiffer,exports.IterableDiffers=IterableDiffers,exports.KeyValueDiffers=KeyValueDiffers,exports.SimpleChange=SimpleChange,exports.WrappedValue=WrappedValue,exports.platformCore=platformCore,exports.__core_private__=__core_private__,exports.AUTO_STYLE=AUTO_STYLE,exports.AnimationEntryMetadata=AnimationEntryMetadata,exports.AnimationStateMetadata=AnimationStateMetadata,exports.AnimationStateDeclarationMetadata=AnimationStateDeclarationMetadata,exports.AnimationStateTransitionMetadata=AnimationStateTransitionMetadata,exports.AnimationMetadata=AnimationMetadata,exports.AnimationKeyframesSequenceMetadata=AnimationKeyframesSequenceMetadata,exports.AnimationStyleMetadata=AnimationStyleMetadata,exports.AnimationAnimateMetadata=AnimationAnimateMetadata,exports.AnimationWithStepsMetadata=AnimationWithStepsMetadata,exports.AnimationSequenceMetadata=AnimationSequenceMetadata,exports.AnimationGroupMetadata=AnimationGroupMetadata,exports.animate=animate,exports.group=group,exports.sequence=sequence,exports.style=style,exports.state=state,exports.keyframes=keyframes,exports.transition=transition,exports.trigger=trigger});
\ No newline at end of file
+function isPromise(obj){return!!obj&&"function"==typeof obj.then}function _appIdRandomProviderFactory(){return""+_randomChar()+_randomChar()+_randomChar()}function _randomChar(){return String.fromCharCode(97+Math.floor(25*Math.random()))}function _throwError(){throw new Error("Runtime compiler is not loaded")}function setNoopZoneGetter(getCurrentNoopZone){_getCurrentNoopZone=getCurrentNoopZone}function getCurrentNoopZone(){return _currentNoopZone}function getPreviousIndex(item,addRemoveOffset,moveOffsets){var previousIndex=item.previousIndex;if(null===previousIndex)return previousIndex;var moveOffset=0;return moveOffsets&&previousIndex<moveOffsets.length&&(moveOffset=moveOffsets[previousIndex]),previousIndex+addRemoveOffset+moveOffset}function devModeEqual(a,b){return isListLikeIterable(a)&&isListLikeIterable(b)?areIterablesEqual(a,b,devModeEqual):!(isListLikeIterable(a)||isPrimitive(a)||isListLikeIterable(b)||isPrimitive(b))||looseIdentical(a,b)}function _constructorOf(obj){return isPresent(obj)?obj.constructor:null}function setBindingMonitor(monitor){_monitor=monitor}function getBindingMonitor(){return _monitor}function _addTraceEvents(profile,events){events.push({name:profile.name,cat:"change_detection",ph:"X",ts:Math.round(1e3*profile.start),dur:Math.round(1e3*profile.duration),pid:1,tid:1,args:{numberOfChecks:profile.numberOfChecks,changedBindings:profile.changedBindings}}),profile.children.forEach(function(child){return _addTraceEvents(child,events)})}function setChangeDetectionProfiler(profiler){_profiler=profiler}function getChangeDetectionProfiler(){return _profiler}function createRenderComponentType(templateUrl,slotCount,encapsulation,styles,animations){return new RenderComponentType(""+nextRenderComponentTypeId++,templateUrl,slotCount,encapsulation,styles,animations)}function addToArray(e,array){array.push(e)}function interpolate(valueCount,constAndInterp){for(var result="",i=0;i<2*valueCount;i+=2)result=result+constAndInterp[i]+_toStringWithNull(constAndInterp[i+1]);return result+constAndInterp[2*valueCount]}function inlineInterpolate(valueCount,c0,a1,c1,a2,c2,a3,c3,a4,c4,a5,c5,a6,c6,a7,c7,a8,c8,a9,c9){switch(valueCount){case 1:return c0+_toStringWithNull(a1)+c1;case 2:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2;case 3:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3;case 4:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3+_toStringWithNull(a4)+c4;case 5:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3+_toStringWithNull(a4)+c4+_toStringWithNull(a5)+c5;case 6:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3+_toStringWithNull(a4)+c4+_toStringWithNull(a5)+c5+_toStringWithNull(a6)+c6;case 7:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3+_toStringWithNull(a4)+c4+_toStringWithNull(a5)+c5+_toStringWithNull(a6)+c6+_toStringWithNull(a7)+c7;case 8:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3+_toStringWithNull(a4)+c4+_toStringWithNull(a5)+c5+_toStringWithNull(a6)+c6+_toStringWithNull(a7)+c7+_toStringWithNull(a8)+c8;case 9:return c0+_toStringWithNull(a1)+c1+_toStringWithNull(a2)+c2+_toStringWithNull(a3)+c3+_toStringWithNull(a4)+c4+_toStringWithNull(a5)+c5+_toStringWithNull(a6)+c6+_toStringWithNull(a7)+c7+_toStringWithNull(a8)+c8+_toStringWithNull(a9)+c9;default:throw new Error("Does not support more than 9 expressions")}}function _toStringWithNull(v){return null!=v?v.toString():""}function checkBinding(view,oldValue,newValue,forceUpdate){var isFirstCheck=0===view.numberOfChecks;if(view.throwOnChange){if(isFirstCheck||!devModeEqual(oldValue,newValue))throw new ExpressionChangedAfterItHasBeenCheckedError(oldValue,newValue,isFirstCheck);return!1}var changed=isFirstCheck||forceUpdate||!looseIdentical(oldValue,newValue);if(changed){var profiler=getChangeDetectionProfiler();profiler&&profiler._bindingChanged()}var monitor=getBindingMonitor();return monitor&&monitor._bindingChecked(view,oldValue,newValue,changed),changed}function checkBindingChange(view,oldValue,newValue,forceUpdate){if(checkBinding(view,oldValue,newValue,forceUpdate))return new SimpleChange(oldValue,newValue,0===view.numberOfChecks)}function checkRenderText(view,renderElement,oldValue,newValue,forceUpdate){checkBinding(view,oldValue,newValue,forceUpdate)&&view.renderer.setText(renderElement,newValue)}function checkRenderProperty(view,renderElement,propName,oldValue,newValue,forceUpdate,securityContext){if(checkBinding(view,oldValue,newValue,forceUpdate)){var renderValue=securityContext?view.viewUtils.sanitizer.sanitize(securityContext,newValue):newValue;view.renderer.setElementProperty(renderElement,propName,renderValue)}}function checkRenderAttribute(view,renderElement,attrName,oldValue,newValue,forceUpdate,securityContext){if(checkBinding(view,oldValue,newValue,forceUpdate)){var renderValue=securityContext?view.viewUtils.sanitizer.sanitize(securityContext,newValue):newValue;renderValue=null!=renderValue?renderValue.toString():null,view.renderer.setElementAttribute(renderElement,attrName,renderValue)}}function checkRenderClass(view,renderElement,className,oldValue,newValue,forceUpdate){checkBinding(view,oldValue,newValue,forceUpdate)&&view.renderer.setElementClass(renderElement,className,newValue)}function checkRenderStyle(view,renderElement,styleName,unit,oldValue,newValue,forceUpdate,securityContext){if(checkBinding(view,oldValue,newValue,forceUpdate)){var renderValue=securityContext?view.viewUtils.sanitizer.sanitize(securityContext,newValue):newValue;null!=renderValue?(renderValue=renderValue.toString(),null!=unit&&(renderValue+=unit)):renderValue=null,view.renderer.setElementStyle(renderElement,styleName,renderValue)}}function castByValue(input,value){return input}function pureProxy1(fn){var result,v0,numberOfChecks=0;return function(p0){return numberOfChecks++&&looseIdentical(v0,p0)||(v0=p0,result=fn(p0)),result}}function pureProxy2(fn){var result,v0,v1,numberOfChecks=0;return function(p0,p1){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)||(v0=p0,v1=p1,result=fn(p0,p1)),result}}function pureProxy3(fn){var result,v0,v1,v2,numberOfChecks=0;return function(p0,p1,p2){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)||(v0=p0,v1=p1,v2=p2,result=fn(p0,p1,p2)),result}}function pureProxy4(fn){var result,v0,v1,v2,v3,numberOfChecks=0;return v0=v1=v2=v3,function(p0,p1,p2,p3){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)||(v0=p0,v1=p1,v2=p2,v3=p3,result=fn(p0,p1,p2,p3)),result}}function pureProxy5(fn){var result,v0,v1,v2,v3,v4,numberOfChecks=0;return v0=v1=v2=v3=v4,function(p0,p1,p2,p3,p4){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)&&looseIdentical(v4,p4)||(v0=p0,v1=p1,v2=p2,v3=p3,v4=p4,result=fn(p0,p1,p2,p3,p4)),result}}function pureProxy6(fn){var result,v0,v1,v2,v3,v4,v5,numberOfChecks=0;return v0=v1=v2=v3=v4=v5,function(p0,p1,p2,p3,p4,p5){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)&&looseIdentical(v4,p4)&&looseIdentical(v5,p5)||(v0=p0,v1=p1,v2=p2,v3=p3,v4=p4,v5=p5,result=fn(p0,p1,p2,p3,p4,p5)),result}}function pureProxy7(fn){var result,v0,v1,v2,v3,v4,v5,v6,numberOfChecks=0;return v0=v1=v2=v3=v4=v5=v6,function(p0,p1,p2,p3,p4,p5,p6){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)&&looseIdentical(v4,p4)&&looseIdentical(v5,p5)&&looseIdentical(v6,p6)||(v0=p0,v1=p1,v2=p2,v3=p3,v4=p4,v5=p5,v6=p6,result=fn(p0,p1,p2,p3,p4,p5,p6)),result}}function pureProxy8(fn){var result,v0,v1,v2,v3,v4,v5,v6,v7,numberOfChecks=0;return v0=v1=v2=v3=v4=v5=v6=v7,function(p0,p1,p2,p3,p4,p5,p6,p7){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)&&looseIdentical(v4,p4)&&looseIdentical(v5,p5)&&looseIdentical(v6,p6)&&looseIdentical(v7,p7)||(v0=p0,v1=p1,v2=p2,v3=p3,v4=p4,v5=p5,v6=p6,v7=p7,result=fn(p0,p1,p2,p3,p4,p5,p6,p7)),result}}function pureProxy9(fn){var result,v0,v1,v2,v3,v4,v5,v6,v7,v8,numberOfChecks=0;return v0=v1=v2=v3=v4=v5=v6=v7=v8,function(p0,p1,p2,p3,p4,p5,p6,p7,p8){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)&&looseIdentical(v4,p4)&&looseIdentical(v5,p5)&&looseIdentical(v6,p6)&&looseIdentical(v7,p7)&&looseIdentical(v8,p8)||(v0=p0,v1=p1,v2=p2,v3=p3,v4=p4,v5=p5,v6=p6,v7=p7,v8=p8,result=fn(p0,p1,p2,p3,p4,p5,p6,p7,p8)),result}}function pureProxy10(fn){var result,v0,v1,v2,v3,v4,v5,v6,v7,v8,v9,numberOfChecks=0;return v0=v1=v2=v3=v4=v5=v6=v7=v8=v9,function(p0,p1,p2,p3,p4,p5,p6,p7,p8,p9){return numberOfChecks++&&looseIdentical(v0,p0)&&looseIdentical(v1,p1)&&looseIdentical(v2,p2)&&looseIdentical(v3,p3)&&looseIdentical(v4,p4)&&looseIdentical(v5,p5)&&looseIdentical(v6,p6)&&looseIdentical(v7,p7)&&looseIdentical(v8,p8)&&looseIdentical(v9,p9)||(v0=p0,v1=p1,v2=p2,v3=p3,v4=p4,v5=p5,v6=p6,v7=p7,v8=p8,v9=p9,result=fn(p0,p1,p2,p3,p4,p5,p6,p7,p8,p9)),result}}function setBindingDebugInfoForChanges(renderer,el,changes){Object.keys(changes).forEach(function(propName){setBindingDebugInfo(renderer,el,propName,changes[propName].currentValue)})}function setBindingDebugInfo(renderer,el,propName,value){try{renderer.setBindingDebugInfo(el,"ng-reflect-"+camelCaseToDashCase(propName),value?value.toString():null)}catch(e){renderer.setBindingDebugInfo(el,"ng-reflect-"+camelCaseToDashCase(propName),"[ERROR] Exception while trying to serialize the value")}}function camelCaseToDashCase(input){return input.replace(CAMEL_CASE_REGEXP,function(){for(var m=[],_i=0;_i<arguments.length;_i++)m[_i-0]=arguments[_i];return"-"+m[1].toLowerCase()})}function createRenderElement(renderer,parentElement,name,attrs,debugInfo){for(var el=renderer.createElement(parentElement,name,debugInfo),i=0;i<attrs.length;i+=2)renderer.setElementAttribute(el,attrs.get(i),attrs.get(i+1));return el}function selectOrCreateRenderHostElement(renderer,elementName,attrs,rootSelectorOrNode,debugInfo){var hostElement;if(isPresent(rootSelectorOrNode)){hostElement=renderer.selectRootElement(rootSelectorOrNode,debugInfo);for(var i=0;i<attrs.length;i+=2)renderer.setElementAttribute(hostElement,attrs.get(i),attrs.get(i+1));renderer.setElementAttribute(hostElement,"ng-version",VERSION.full)}else hostElement=createRenderElement(renderer,null,elementName,attrs,debugInfo);return hostElement}function subscribeToRenderElement(view,element,eventNamesAndTargets,listener){for(var disposables=createEmptyInlineArray(eventNamesAndTargets.length/2),i=0;i<eventNamesAndTargets.length;i+=2){var eventName=eventNamesAndTargets.get(i),eventTarget=eventNamesAndTargets.get(i+1),disposable=void 0;disposable=eventTarget?view.renderer.listenGlobal(eventTarget,eventName,listener.bind(view,eventTarget+":"+eventName)):view.renderer.listen(element,eventName,listener.bind(view,eventName)),disposables.set(i/2,disposable)}return disposeInlineArray.bind(null,disposables)}function disposeInlineArray(disposables){for(var i=0;i<disposables.length;i++)disposables.get(i)()}function noop(){}function createEmptyInlineArray(length){var ctor;return new(ctor=length<=2?InlineArray2:length<=4?InlineArray4:length<=8?InlineArray8:length<=16?InlineArray16:InlineArrayDynamic)(length)}function getComponentFactoryViewClass(componentFactory){return componentFactory._viewClass}function detectWTF(){var wtf=global$1.wtf;return!(!wtf||!(trace=wtf.trace))&&(events=trace.events,!0)}function createScope$1(signature,flags){return void 0===flags&&(flags=null),events.createScope(signature,flags)}function leave(scope,returnValue){return trace.leaveScope(scope,returnValue),returnValue}function startTimeRange(rangeType,action){return trace.beginTimeRange(rangeType,action)}function endTimeRange(range){trace.endTimeRange(range)}function _startEvent(kind,name){return{kind:kind,name:name,start:performanceNow(),duration:0}}function _scopeName(signature){var paren=signature.indexOf("(");return paren===-1?signature:signature.substring(0,paren)}function _eventName(name,arg){return isPresent(arg)?name+" "+stringify(arg):name}function _traceArgs(arg0,arg1){var args={};return isPresent(arg0)&&(args.arg0=stringify(arg0)),isPresent(arg1)&&(args.arg1=stringify(arg1)),args}function _micros(millis){return Math.round(1e3*millis)}function setProfilingBackend(backend){_backend=backend}function getProfilingBackend(){return _backend}function createScope(signature,flags){void 0===flags&&(flags=null);var scopeBackend=null,backendScope=null;return function(arg0,arg1){return _backend?(scopeBackend!==_backend&&(scopeBackend=_backend,backendScope=_backend.createScope(signature,flags)),new _OpenEvent(scopeBackend,backendScope(arg0,arg1))):null}}function _addListener(listeners,listener){return listeners.push(listener),function(){var index=listeners.indexOf(listener);index!==-1&&listeners.splice(index,1)}}function _flattenStyles(compId,styles,target){for(var i=0;i<styles.length;i++){var style=styles[i];Array.isArray(style)?_flattenStyles(compId,style,target):(style=style.replace(_COMPONENT_REGEX,compId),target.push(style))}return target}function _compileSelector(selector){for(var match,conditions=[],partExp=/([#.]?)([\w-]+)|\[\s*([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*\]/g,consumed=0,_loop_1=function(){if(consumed+=match[0].length,match[3]){var name_1=match[3],value_1=[match[4],match[5],match[6]].find(function(group){return void 0!==group});conditions.push(function(el){return el.attributes.hasOwnProperty(name_1)&&(void 0===value_1||el.attributes[name_1]===value_1)})}else if("#"===match[1]){var id_1=match[2];conditions.push(function(el){return el.attributes.id===id_1})}else if("."===match[1]){var className_1=match[2];conditions.push(function(el){return el.classList.indexOf(className_1)!==-1})}else{var tagName_1=match[2].toLowerCase();conditions.push(function(el){return el.nodeName.toLowerCase()===tagName_1})}};null!==(match=partExp.exec(selector))&&match.index===consumed;)_loop_1();if(!conditions.length||consumed!==selector.trim().length)throw new Error('Unsupported selector "'+selector+'"');return function(el){return conditions.every(function(condition){return condition(el)})}}function _visitElements(element,visitor){element.children.forEach(function(child){visitor(child),_visitElements(child,visitor)})}function _parseStyles(style){var styles={};return String(style).split(";").forEach(function(declaration){var colon=declaration.indexOf(":");colon!==-1&&(styles[declaration.substring(0,colon).trim()]=declaration.substring(colon+1).trim())}),styles}function _camelCaseToDashCase(input){return input.replace(/[A-Z]/g,function(m){return"-"+m.toLowerCase()})}function _escapeText(text){return text.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;")}function _escapeAttribute(value){return value.replace(/&/g,"&amp;").replace(/"/g,"&quot;")}function createInContainer(anchor,create){_creatingInContainers.push(anchor);try{return create()}finally{_creatingInContainers.pop()}}function _describe(node){if(!node)return"nothing";switch(node.nodeType){case 1:return"<"+node.nodeName.toLowerCase()+">";case 3:return'the text "'+node.nodeValue+'"';case 8:return"a comment"}return node.nodeName}function _isContainerEnd(node){return 8===node.nodeType&&node.nodeValue===CONTAINER_END_COMMENT_TEXT}function _indexOfContainerEnd(nodes,start){for(var i=start;i<nodes.length;i++)if(_isContainerEnd(nodes[i]))return i;return-1}function _areSiblingsInOrder(node,nodes){return nodes.every(function(sibling,i){return(0===i?node:nodes[i-1]).nextSibling===sibling})}function _areChildrenInOrder(parent,nodes){return nodes.every(function(node,i){return node.parentNode===parent&&(0===i||nodes[i-1].nextSibling===node)})}function _parse(selector){var parser=new _SelectorParser(selector),selectors=parser.parseList(!1);return parser.skipWhitespace(),parser.atEnd()||parser.error("unexpected character"),selectors}function _matchesList(element,selectors,scope){return selectors.some(function(parts){return _matchesComplex(element,parts,parts.length-1,scope)})}function _matchesComplex(element,parts,index,scope){if(!_matchesCompound(element,parts[index].compound))return!1;var combinator=parts[index].combinator;if(0===index)return!scope||(">"===combinator?element.parent===scope:element!==scope);for(var ancestor=element.parent;ancestor&&ancestor!==scope;ancestor=ancestor.parent){if(_matchesComplex(ancestor,parts,index-1,scope))return!0;if(">"===combinator)break}return!1}function _matchesCompound(element,compound){return(null===compound.tagName||"*"===compound.tagName||String(element.name).toLowerCase()===compound.tagName)&&compound.conditions.every(function(condition){return _matchesCondition(element,condition)})}function _matchesCondition(element,condition){switch(condition.kind){case"id":return element.attributes.id===condition.name||element.properties.id===condition.name;case"class":return _hasClass(element,condition.name);case"attribute":return _matchesAttribute(element.attributes[condition.name],condition);case"has":return _hasDescendant(element,function(descendant){return _matchesList(descendant,condition.selectors,element)});case"directive":return(element.providerTokens||[]).some(function(token){return stringify(token)===condition.name});case"ref":return _hasReference(element,condition.name);case"property":return element.properties.hasOwnProperty(condition.name)&&(null===condition.value||String(element.properties[condition.name])===condition.value)}return!1}function _hasClass(element,name){if(element.classes.hasOwnProperty(name))return element.classes[name];var classNames=[element.attributes.class,element.properties.className];return classNames.some(function(value){return"string"==typeof value&&value.split(/\s+/).indexOf(name)!==-1})}function _matchesAttribute(value,condition){if(null===value||void 0===value)return!1;var actual=String(value),expected=condition.value;switch(condition.operator){case null:return!0;case"=":return actual===expected;case"~=":return actual.split(/\s+/).indexOf(expected)!==-1;case"^=":return!!expected&&actual.startsWith(expected);case"$=":return!!expected&&actual.endsWith(expected);case"*=":return!!expected&&actual.indexOf(expected)!==-1}return!1}function _hasDescendant(element,predicate){return element.children.some(function(child){return predicate(child)||_hasDescendant(child,predicate)})}function _hasReference(element,name){var references=element.references;return!!references&&references.hasOwnProperty(name)}function diffSnapshots(expected,actual){var differences=[];return _diff("",expected,actual,differences),differences}function _diff(path,expected,actual,differences){if(Array.isArray(expected)&&Array.isArray(actual))for(var length=Math.max(expected.length,actual.length),i=0;i<length;i++)_diff(path+"["+i+"]",expected[i],actual[i],differences);else if(_isObject(expected)&&_isObject(actual)){var keys_1=Object.keys(expected);Object.keys(actual).forEach(function(key){expected.hasOwnProperty(key)||keys_1.push(key)}),keys_1.forEach(function(key){return _diff(path?path+"."+key:key,expected[key],actual[key],differences)})}else expected!==actual&&differences.push({path:path,expected:expected,actual:actual})}function _isObject(value){return null!==value&&"object"==typeof value&&!Array.isArray(value)}function isGeneratedAttribute(name){return _GENERATED_ATTRIBUTE.test(name)}function getInputNames(component){var type=component.constructor,names=[];reflector.annotations(type).forEach(function(annotation){annotation instanceof Directive&&annotation.inputs&&annotation.inputs.forEach(function(input){return names.push(input.split(":")[0].trim())})});var propMetadata=reflector.propMetadata(type);return Object.keys(propMetadata).forEach(function(name){propMetadata[name].some(function(metadata){return metadata instanceof Input})&&names.indexOf(name)===-1&&names.push(name)}),names}function toSnapshotValue(value,sortKeys,parents){if(void 0===parents&&(parents=[]),void 0===value||null===value)return null;if("number"==typeof value)return isFinite(value)?value:String(value);if("string"==typeof value||"boolean"==typeof value)return value;if("function"==typeof value)return"[Function "+stringify(value)+"]";if(parents.indexOf(value)!==-1)return"[Circular]";if(value instanceof Date)return value.toISOString();var nestedParents=parents.concat([value]);if(Array.isArray(value))return value.map(function(item){return toSnapshotValue(item,sortKeys,nestedParents)});var proto=Object.getPrototypeOf(value);return proto!==Object.prototype&&null!==proto?"["+stringify(value.constructor)+"]":toSnapshotMap(value,sortKeys,function(item){return toSnapshotValue(item,sortKeys,nestedParents)})}function toSnapshotMap(map,sortKeys,transform){var keys=Object.keys(map);sortKeys&&keys.sort();var result={};return keys.forEach(function(key){var value=transform(map[key],key);void 0!==value&&(result[key]=value)}),result}function _createEvent(eventName,target){return{type:eventName,target:target,bubbles:!0,defaultPrevented:!1,preventDefault:function(){this.defaultPrevented=!0},stopPropagation:function(){},stopImmediatePropagation:function(){}}}function _dispatchEvent(element,eventName,event){var propagationStopped=event.bubbles===!1,immediatePropagationStopped=!1,ownMethods=["stopPropagation","stopImmediatePropagation"].filter(function(name){return event.hasOwnProperty(name)}),stopPropagation=event.stopPropagation,stopImmediatePropagation=event.stopImmediatePropagation;event.stopPropagation=function(){propagationStopped=!0,stopPropagation&&stopPropagation.apply(this,arguments)},event.stopImmediatePropagation=function(){propagationStopped=immediatePropagationStopped=!0,stopImmediatePropagation&&stopImmediatePropagation.apply(this,arguments)};var callListeners=function(listeners){for(var i=0;i<listeners.length&&!immediatePropagationStopped;i++)listeners[i].name===eventName&&listeners[i].callback(event)};try{for(var current=element;current;current=current.parent)if(callListeners(current.listeners.slice()),propagationStopped)return;for(var _loop_1=function(i){if(callListeners(element._globalListeners.filter(function(entry){return entry.target===_GLOBAL_EVENT_TARGETS[i]}).map(function(entry){return entry.listener})),propagationStopped)return{value:void 0}},i=0;i<_GLOBAL_EVENT_TARGETS.length;i++){var state_1=_loop_1(i);if("object"==typeof state_1)return state_1.value}}finally{delete event.stopPropagation,delete event.stopImmediatePropagation,ownMethods.indexOf("stopPropagation")!==-1&&(event.stopPropagation=stopPropagation),ownMethods.indexOf("stopImmediatePropagation")!==-1&&(event.stopImmediatePropagation=stopImmediatePropagation)}}function _toSnapshot(node,options){if(!(node instanceof DebugElement)){var text=null!==node._text?node._text.trim():"";return text?{text:text}:null}var sortKeys=!!options.sortKeys,snapshot={name:node.name},component=node.componentInstance;if(component&&(snapshot.component=stringify(component.constructor),options.includeInputs)){var inputs_1={};getInputNames(component).forEach(function(name){return inputs_1[name]=component[name]}),snapshot.inputs=toSnapshotValue(inputs_1,sortKeys)}return snapshot.attributes=toSnapshotMap(node.attributes,sortKeys,function(value,name){return null===value||void 0===value||options.dropGeneratedAttributes&&isGeneratedAttribute(name)?void 0:String(value)}),snapshot.properties=toSnapshotValue(node.properties,sortKeys),snapshot.classes=Object.keys(node.classes).filter(function(name){return node.classes[name]}),sortKeys&&snapshot.classes.sort(),snapshot.styles=toSnapshotMap(node.styles,sortKeys,function(value){return null===value||void 0===value?void 0:String(value)}),snapshot.listeners=node.listeners.map(function(listener){return listener.name}),snapshot.children=node.childNodes.map(function(child){return _toSnapshot(child,options)}).filter(function(child){return null!==child}),snapshot}function asNativeElements(debugEls){return debugEls.map(function(el){return el.nativeElement})}function _queryElementChildren(element,predicate,matches){element.childNodes.forEach(function(node){node instanceof DebugElement&&(predicate(node)&&matches.push(node),_queryElementChildren(node,predicate,matches))})}function _queryNodeChildren(parentNode,predicate,matches){parentNode instanceof DebugElement&&parentNode.childNodes.forEach(function(node){predicate(node)&&matches.push(node),node instanceof DebugElement&&_queryNodeChildren(node,predicate,matches)})}function getDebugNode(nativeNode){return _nativeNodeToDebugNode.get(nativeNode)}function getAllDebugNodes(){return Array.from(_nativeNodeToDebugNode.values())}function indexDebugNode(node){_nativeNodeToDebugNode.set(node.nativeNode,node)}function removeDebugNodeFromIndex(node){_nativeNodeToDebugNode.delete(node.nativeNode)}function _findElements(root,predicate){var rootDebugNode=getDebugNode(root);return getAllDebugNodes().filter(function(node){return node instanceof DebugElement&&_isInside(node,root,rootDebugNode)&&predicate(node)}).map(function(debugEl){return debugEl.nativeElement})}function _isInside(node,root,rootDebugNode){if(!rootDebugNode)return!root||!root.contains||root.contains(node.nativeNode);for(var current=node;current;current=current.parent)if(current===rootDebugNode)return!0;return!1}function _matches(value,search,exactMatch){return exactMatch?value===search:value.indexOf(search)!==-1}function _dashCaseToCamelCase(input){return input.replace(/-([a-z])/g,function(m,c){return c.toUpperCase()})}function _unique(items){return items.filter(function(item,index){return items.indexOf(item)===index})}function setTestabilityGetter(getter){_testabilityGetter=getter}function enableProdMode(){if(_runModeLocked)throw new Error("Cannot enable prod mode after platform setup.");_devMode=!1}function isDevMode(){return _runModeLocked=!0,_devMode}function createPlatform(injector){if(_platform&&!_platform.destroyed&&!_platform.injector.get(ALLOW_MULTIPLE_PLATFORMS,!1))throw new Error("There can be only one platform. Destroy the previous one to create a new one.");_platform=injector.get(PlatformRef);var inits=injector.get(PLATFORM_INITIALIZER,null);return inits&&inits.forEach(function(init){return init()}),_platform}function createPlatformFactory(parentPlatformFactory,name,providers){void 0===providers&&(providers=[]);var marker=new OpaqueToken("Platform: "+name);return function(extraProviders){void 0===extraProviders&&(extraProviders=[]);var platform=getPlatform();return platform&&!platform.injector.get(ALLOW_MULTIPLE_PLATFORMS,!1)||(parentPlatformFactory?parentPlatformFactory(providers.concat(extraProviders).concat({provide:marker,useValue:!0})):createPlatform(ReflectiveInjector.resolveAndCreate(providers.concat(extraProviders).concat({provide:marker,useValue:!0})))),assertPlatform(marker)}}function assertPlatform(requiredToken){var platform=getPlatform();if(!platform)throw new Error("No platform exists!");if(!platform.injector.get(requiredToken,null))throw new Error("A platform with a different configuration has been created. Please destroy it first.");return platform}function destroyPlatform(){_platform&&!_platform.destroyed&&_platform.destroy()}function getPlatform(){return _platform&&!_platform.destroyed?_platform:null}function _callAndReportToErrorHandler(errorHandler,callback){try{var result=callback();return isPromise(result)?result.catch(function(e){throw errorHandler.handleError(e),e}):result}catch(e){throw errorHandler.handleError(e),e}}function _addErrorReporters(injector){var errorHandler=injector.get(ErrorHandler,null);if(!errorHandler)return null;var reporters=injector.get(ERROR_REPORTERS,null);if(!reporters||!reporters.length)return errorHandler;if(errorHandler instanceof ErrorHandler)reporters.forEach(function(reporter){return errorHandler.addReporter(reporter)});else if(isDevMode()){var console=injector.get(Console,null);console&&console.warn("The ERROR_REPORTERS are ignored, as "+stringify(errorHandler.constructor)+" does not extend ErrorHandler.")}return errorHandler}function _resolveScopedProviders(moduleType){var providers=getModuleProviders(moduleType);if(!providers.some(_hasScope))return[];var scopeError=validateReflectiveProviders(providers.concat([moduleType])).find(function(error){return error instanceof ScopedDependencyError});if(scopeError)throw scopeError;return resolveReflectiveProviders(providers).filter(function(provider){return provider.scope!==ProviderScope.Singleton})}function getModuleProviders(moduleType){return _collectModuleProviders(moduleType,new Set,[])}function _collectModuleProviders(moduleType,visited,providers){if(visited.has(moduleType))return providers;visited.add(moduleType);var metadata=reflector.annotations(moduleType).filter(function(annotation){return annotation instanceof NgModule}).pop();if(!metadata)return providers;var visitModules=function(modules){return modules.forEach(function(module){module=resolveForwardRef(module),Array.isArray(module)?visitModules(module):module&&module.ngModule?(_collectModuleProviders(module.ngModule,visited,providers),providers.push(module.providers||[])):module&&_collectModuleProviders(module,visited,providers)})};return visitModules(metadata.imports||[]),visitModules(metadata.exports||[]),providers.push(metadata.providers||[]),providers}function _hasScope(provider){return Array.isArray(provider)?provider.some(_hasScope):!(!provider||!provider.scope)}function registerModuleFactory(id,factory){var existing=moduleFactories.get(id);if(existing)throw new Error("Duplicate module registered for "+id+" - "+existing.moduleType.name+" vs "+factory.moduleType.name);moduleFactories.set(id,factory)}function getModuleFactory(id){var factory=moduleFactories.get(id);if(!factory)throw new Error("No module with ID "+id+" loaded");return factory}function checkNotEmpty(value,modulePath,exportName){if(!value)throw new Error("Cannot find '"+exportName+"' in '"+modulePath+"'");return value}function _recursePlayers(player,collectedPlayers){player instanceof AnimationGroupPlayer_||player instanceof AnimationSequencePlayer_?player.players.forEach(function(player){return _recursePlayers(player,collectedPlayers)}):collectedPlayers.push(player)}function _isErrorBoundary(component){return isPresent(component)&&"function"==typeof component.ngOnViewError}function _containError(boundary,error){var errorHandler=boundary.viewUtils.errorHandler;if(errorHandler)try{errorHandler.handleError(error)}catch(e){if(e!==error)throw e}boundary._failErrorBoundary(error)}function _findViewContainer(view,nodeIndex){for(var viewContainers=view._viewContainers||[],i=0;i<viewContainers.length;i++)if(viewContainers[i].index===nodeIndex)return viewContainers[i];return null}function _findErrorBoundary(view,nodeIndex,includePending){for(;isPresent(view);){var boundaries=isPresent(nodeIndex)?view._errorBoundaries:null;if(boundaries)for(var i=boundaries.length-1;i>=0;i--){var boundary=boundaries[i];if(!(boundary.parentIndex>=nodeIndex)&&(isPresent(boundary.context)?view.injectorGetInternal(boundary.context.constructor,nodeIndex,UNDEFINED$1)===boundary.context:includePending))return boundary}if(view.type===ViewType.COMPONENT&&_isErrorBoundary(view.context))return view;isPresent(view.parentView)?(nodeIndex=view.parentIndex,view=view.parentView):view.viewContainer?(nodeIndex=view.viewContainer.index,view=view.viewContainer.parentView):view=null}return null}function getInjectorGraph(injector){for(var levels=[],inj=injector;inj&&inj!==Injector.NULL;)inj instanceof ReflectiveInjector_?(levels.push(_describeReflectiveInjector(inj)),inj=inj.parent):inj instanceof NgModuleInjector?(levels.push(_describeModuleInjector(inj)),inj=inj.parent):inj instanceof ElementInjector?inj=_describeElementInjector(inj,levels):(levels.push({kind:"unknown",name:stringify(inj.constructor),
+providers:null}),inj=inj.parent instanceof Injector?inj.parent:null);return levels}function _describeReflectiveInjector(inj){for(var providers=[],i=0;i<inj._proto.numberOfProviders;i++){var provider=inj._proto.getProviderAtIndex(i);providers.push({token:provider.key.displayName,multi:!!provider.multiProvider,instantiated:inj._isInstantiatedAt(i)})}return{kind:"reflective",name:"ReflectiveInjector",providers:providers}}function _describeModuleInjector(inj){var moduleType=inj.instance?inj.instance.constructor:null;if(!moduleType)return{kind:"module",name:"NgModule",providers:[]};var providersByToken=new Map;_addProviders(getModuleProviders(moduleType),providersByToken);var providers=[];return providersByToken.forEach(function(provider,token){var instantiated=provider.scope?null:_isInstantiated(inj,NgModuleInjector,"_"+_fieldName(token)+"_");providers.push({token:stringify(token),multi:!!provider.multi,instantiated:instantiated})}),{kind:"module",name:stringify(moduleType),providers:providers}}function _describeElementInjector(inj,levels){var view=inj._view,nodeIndex=inj._nodeIndex;if(!(view instanceof AppView))return levels.push({kind:"unknown",name:stringify(inj.constructor),providers:null}),null;for(;view;){if(null!=nodeIndex&&levels.push(_describeElement(view,nodeIndex)),view.type===ViewType.HOST)return view._hostInjector||null;nodeIndex=view.parentIndex,view=view.parentView}return null}function _describeElement(view,nodeIndex){var debugInfo=view.staticNodeDebugInfos?view.staticNodeDebugInfos[nodeIndex]:null,tokens=debugInfo?debugInfo.providerTokens:[],multiTokens=_multiTokensOfDirectives(tokens);return{kind:"element",name:stringify(view.clazz)+"#"+nodeIndex,providers:tokens.map(function(token){return{token:stringify(token),multi:multiTokens.has(token),instantiated:_isInstantiated(view,AppView,"_"+_fieldName(token)+"_"+nodeIndex+"_")}})}}function _multiTokensOfDirectives(tokens){var multiTokens=new Set;return tokens.forEach(function(token){token instanceof Type&&reflector.annotations(token).forEach(function(annotation){var providersByToken=new Map;annotation instanceof Directive&&_addProviders(annotation.providers||[],providersByToken),annotation instanceof Component&&_addProviders(annotation.viewProviders||[],providersByToken),providersByToken.forEach(function(provider,providerToken){provider.multi&&multiTokens.add(providerToken)})})}),multiTokens}function _addProviders(providers,providersByToken){providers.forEach(function(provider){Array.isArray(provider)?_addProviders(provider,providersByToken):provider instanceof Type?providersByToken.set(provider,{provide:provider,useClass:provider}):provider&&void 0!==provider.provide&&providersByToken.set(resolveForwardRef(provider.provide),provider)})}function _isInstantiated(target,baseClass,prefix){for(var isField=function(name){return name.startsWith(prefix)&&/^\d+$/.test(name.slice(prefix.length))},proto=Object.getPrototypeOf(target);proto&&proto!==baseClass.prototype;proto=Object.getPrototypeOf(proto)){var getter=Object.getOwnPropertyNames(proto).find(isField);if(getter)return null!=target["_"+getter]}var field=Object.keys(target).find(isField);return field?null!=target[field]:null}function _fieldName(token){return stringify(token).replace(/\W/g,"_")}function _reflector(){return reflector}function renderModuleToString(platformFactory,moduleFactory,options){void 0===options&&(options={});var chunks=[];return _renderModule(platformFactory,moduleFactory,options,function(chunk){return chunks.push(chunk)},!1).then(function(){return chunks.join("")})}function renderModuleToStream(platformFactory,moduleFactory,options){return void 0===options&&(options={}),new rxjs_Observable.Observable(function(subscriber){_renderModule(platformFactory,moduleFactory,options,function(chunk){return subscriber.next(chunk)},!0).then(function(){return subscriber.complete()},function(error){return subscriber.error(error)})})}function _renderModule(platformFactory,moduleFactory,options,write,flushEarly){var document=options.document||_createDocument(),rootRenderer=new MemoryRootRenderer(options.appId||null);rootRenderer.document=document,rootRenderer.rootElementContainer=document.querySelector("body")||document;var platform;try{platform=platformFactory([{provide:ALLOW_MULTIPLE_PLATFORMS,useValue:!0},{provide:MemoryRootRenderer,useValue:rootRenderer}].concat(options.extraProviders||[]))}catch(error){return Promise.reject(error)}var moduleRef=null,destroy=function(){try{moduleRef&&moduleRef.destroy()}finally{platform.destroyed||platform.destroy()}};return platform.bootstrapModuleFactory(moduleFactory,options).then(function(ref){moduleRef=ref;var rootElements=moduleRef.injector.get(ApplicationRef).components.map(function(componentRef){return componentRef.location.nativeElement});if(rootElements.some(function(element){return!_contains(document,element)}))throw new Error("The root components were not rendered into the document. Provide {provide: RootRenderer, useExisting: MemoryRootRenderer} in the module.");var chunks=null,styleCount=0;if(flushEarly)for(styleCount=_addStyles(document,rootRenderer.styles,options.appId),chunks=[],_splitAtElements(document,rootElements,chunks);chunks.length&&"string"==typeof chunks[0];)write(chunks.shift());return _whenStable(moduleRef,isPresent(options.timeout)?options.timeout:_DEFAULT_TIMEOUT).then(function(){if(!chunks)return _addStyles(document,rootRenderer.styles,options.appId),void write(document.outerHTML);var lateStyles=rootRenderer.styles.slice(styleCount);lateStyles.length&&write(lateStyles.map(function(style){return _createStyle(style,options.appId).outerHTML}).join("")),chunks.forEach(function(chunk){return"string"==typeof chunk?write(chunk):_writeChildren(chunk,write)})})}).then(destroy,function(error){throw destroy(),error})}function _whenStable(moduleRef,timeout){var zone=moduleRef.injector.get(NgZone),testability=moduleRef.injector.get(Testability,null)||new Testability(zone),zoneStable=zone.isStable?Promise.resolve(null):new Promise(function(resolve){var subscription=zone.onStable.subscribe(function(){subscription.unsubscribe(),resolve(null)})});return zoneStable.then(function(){return new Promise(function(resolve){testability.whenStable(function(didWork,pendingWork){pendingWork&&moduleRef.injector.get(Console).warn(pendingWork.description+" Rendering the current state."),resolve(null)},timeout)})})}function _splitAtElements(node,elements,chunks){elements.indexOf(node)!==-1?chunks.push(node):node instanceof MemoryElement&&elements.some(function(element){return _contains(node,element)})?(_appendChunk(chunks,node._openTag()),node.childNodes.forEach(function(child){return _splitAtElements(child,elements,chunks)}),_appendChunk(chunks,node._closeTag())):_appendChunk(chunks,node.outerHTML)}function _writeChildren(element,write){write(element._openTag());for(var i=0;i<element.childNodes.length;i++)write(element._childHTML(i));write(element._closeTag())}function _appendChunk(chunks,markup){markup&&("string"==typeof chunks[chunks.length-1]?chunks[chunks.length-1]+=markup:chunks.push(markup))}function _contains(ancestor,node){for(;node;node=node.parentNode)if(node===ancestor)return!0;return!1}function _createDocument(){var document=new MemoryElement("#document"),html=document.appendChild(new MemoryElement("html"));return html.appendChild(new MemoryElement("head")),html.appendChild(new MemoryElement("body")),document}function _addStyles(document,styles,appId){var head=document.querySelector("head");return head?(styles.forEach(function(style){return head.appendChild(_createStyle(style,appId))}),styles.length):0}function _createStyle(style,appId){var element=new MemoryElement("style");return element.setAttribute("ng-transition",appId||""),element.appendChild(new MemoryText(style)),element}function _iterableDiffersFactory(){return defaultIterableDiffers}function _keyValueDiffersFactory(){return defaultKeyValueDiffers}function _localeFactory(locale){return locale||"en-US"}function animate(timing,styles){void 0===styles&&(styles=null);var stylesEntry=styles;if(!isPresent(stylesEntry)){var EMPTY_STYLE={};stylesEntry=new AnimationStyleMetadata([EMPTY_STYLE],1)}return new AnimationAnimateMetadata(timing,stylesEntry)}function group(steps){return new AnimationGroupMetadata(steps)}function sequence(steps){return new AnimationSequenceMetadata(steps)}function style(tokens){var input,offset=null;return"string"==typeof tokens?input=[tokens]:(input=Array.isArray(tokens)?tokens:[tokens],input.forEach(function(entry){var entryOffset=entry.offset;isPresent(entryOffset)&&(offset=null==offset?parseFloat(entryOffset):offset)})),new AnimationStyleMetadata(input,offset)}function state(stateNameExpr,styles){return new AnimationStateDeclarationMetadata(stateNameExpr,styles)}function keyframes(steps){return new AnimationKeyframesSequenceMetadata(steps)}function transition(stateChangeExpr,steps){var animationData=Array.isArray(steps)?new AnimationSequenceMetadata(steps):steps;return new AnimationStateTransitionMetadata(stateChangeExpr,animationData)}function trigger(name,animation){return new AnimationEntryMetadata(name,animation)}function prepareFinalAnimationStyles(previousStyles,newStyles,nullValue){void 0===nullValue&&(nullValue=null);var finalStyles={};return Object.keys(newStyles).forEach(function(prop){var value=newStyles[prop];finalStyles[prop]=value==AUTO_STYLE?nullValue:value.toString()}),Object.keys(previousStyles).forEach(function(prop){isPresent(finalStyles[prop])||(finalStyles[prop]=nullValue)}),finalStyles}function balanceAnimationKeyframes(collectedStyles,finalStateStyles,keyframes){var limit=keyframes.length-1,firstKeyframe=keyframes[0],flatenedFirstKeyframeStyles=flattenStyles(firstKeyframe.styles.styles),extraFirstKeyframeStyles={},hasExtraFirstStyles=!1;Object.keys(collectedStyles).forEach(function(prop){var value=collectedStyles[prop];flatenedFirstKeyframeStyles[prop]||(flatenedFirstKeyframeStyles[prop]=value,extraFirstKeyframeStyles[prop]=value,hasExtraFirstStyles=!0)});var keyframeCollectedStyles=StringMapWrapper.merge({},flatenedFirstKeyframeStyles),finalKeyframe=keyframes[limit];finalKeyframe.styles.styles.unshift(finalStateStyles);var flatenedFinalKeyframeStyles=flattenStyles(finalKeyframe.styles.styles),extraFinalKeyframeStyles={},hasExtraFinalStyles=!1;return Object.keys(keyframeCollectedStyles).forEach(function(prop){isPresent(flatenedFinalKeyframeStyles[prop])||(extraFinalKeyframeStyles[prop]=AUTO_STYLE,hasExtraFinalStyles=!0)}),hasExtraFinalStyles&&finalKeyframe.styles.styles.push(extraFinalKeyframeStyles),Object.keys(flatenedFinalKeyframeStyles).forEach(function(prop){isPresent(flatenedFirstKeyframeStyles[prop])||(extraFirstKeyframeStyles[prop]=AUTO_STYLE,hasExtraFirstStyles=!0)}),hasExtraFirstStyles&&firstKeyframe.styles.styles.push(extraFirstKeyframeStyles),collectAndResolveStyles(collectedStyles,[finalStateStyles]),keyframes}function clearStyles(styles){var finalStyles={};return Object.keys(styles).forEach(function(key){finalStyles[key]=null}),finalStyles}function collectAndResolveStyles(collection,styles){return styles.map(function(entry){var stylesObj={};return Object.keys(entry).forEach(function(prop){var value=entry[prop];value==FILL_STYLE_FLAG&&(value=collection[prop],isPresent(value)||(value=AUTO_STYLE)),collection[prop]=value,stylesObj[prop]=value}),stylesObj})}function renderStyles(element,renderer,styles){Object.keys(styles).forEach(function(prop){renderer.setElementStyle(element,prop,styles[prop])})}function flattenStyles(styles){var finalStyles={};return styles.forEach(function(entry){Object.keys(entry).forEach(function(prop){finalStyles[prop]=entry[prop]})}),finalStyles}function _wrapInCurrentZone(fn,source){return"undefined"==typeof Zone?fn:Zone.current.wrap(fn,source)}var globalScope,OpaqueToken=function(){function OpaqueToken(_desc){this._desc=_desc}return OpaqueToken.prototype.toString=function(){return"Token "+this._desc},OpaqueToken}();globalScope="undefined"==typeof window?"undefined"!=typeof WorkerGlobalScope&&self instanceof WorkerGlobalScope?self:global:window;var global$1=globalScope;global$1.assert=function(condition){};var _symbolIterator=null,_nextClassId=0,Reflect=global$1.Reflect,ANALYZE_FOR_ENTRY_COMPONENTS=new OpaqueToken("AnalyzeForEntryComponents"),Attribute=makeParamDecorator("Attribute",[["attributeName",void 0]]),Query=function(){function Query(){}return Query}(),ContentChildren=makePropDecorator("ContentChildren",[["selector",void 0],{first:!1,isViewQuery:!1,descendants:!1,read:void 0}],Query),ContentChild=makePropDecorator("ContentChild",[["selector",void 0],{first:!0,isViewQuery:!1,descendants:!0,read:void 0}],Query),ViewChildren=makePropDecorator("ViewChildren",[["selector",void 0],{first:!1,isViewQuery:!0,descendants:!0,read:void 0}],Query),ViewChild=makePropDecorator("ViewChild",[["selector",void 0],{first:!0,isViewQuery:!0,descendants:!0,read:void 0}],Query),ChangeDetectionStrategy={};ChangeDetectionStrategy.OnPush=0,ChangeDetectionStrategy.Default=1,ChangeDetectionStrategy[ChangeDetectionStrategy.OnPush]="OnPush",ChangeDetectionStrategy[ChangeDetectionStrategy.Default]="Default";var ChangeDetectorStatus={};ChangeDetectorStatus.CheckOnce=0,ChangeDetectorStatus.Checked=1,ChangeDetectorStatus.CheckAlways=2,ChangeDetectorStatus.Detached=3,ChangeDetectorStatus.Errored=4,ChangeDetectorStatus.Destroyed=5,ChangeDetectorStatus[ChangeDetectorStatus.CheckOnce]="CheckOnce",ChangeDetectorStatus[ChangeDetectorStatus.Checked]="Checked",ChangeDetectorStatus[ChangeDetectorStatus.CheckAlways]="CheckAlways",ChangeDetectorStatus[ChangeDetectorStatus.Detached]="Detached",ChangeDetectorStatus[ChangeDetectorStatus.Errored]="Errored",ChangeDetectorStatus[ChangeDetectorStatus.Destroyed]="Destroyed";var Directive=makeDecorator("Directive",{selector:void 0,inputs:void 0,outputs:void 0,host:void 0,providers:void 0,exportAs:void 0,queries:void 0}),Component=makeDecorator("Component",{selector:void 0,inputs:void 0,outputs:void 0,host:void 0,exportAs:void 0,moduleId:void 0,providers:void 0,viewProviders:void 0,changeDetection:ChangeDetectionStrategy.Default,queries:void 0,templateUrl:void 0,template:void 0,styleUrls:void 0,styles:void 0,animations:void 0,encapsulation:void 0,interpolation:void 0,entryComponents:void 0},Directive),Pipe=makeDecorator("Pipe",{name:void 0,pure:!0}),Input=makePropDecorator("Input",[["bindingPropertyName",void 0]]),Output=makePropDecorator("Output",[["bindingPropertyName",void 0]]),HostBinding=makePropDecorator("HostBinding",[["hostPropertyName",void 0]]),HostListener=makePropDecorator("HostListener",[["eventName",void 0],["args",[]]]),LifecycleHooks={};LifecycleHooks.OnInit=0,LifecycleHooks.OnDestroy=1,LifecycleHooks.DoCheck=2,LifecycleHooks.OnChanges=3,LifecycleHooks.AfterContentInit=4,LifecycleHooks.AfterContentChecked=5,LifecycleHooks.AfterViewInit=6,LifecycleHooks.AfterViewChecked=7,LifecycleHooks[LifecycleHooks.OnInit]="OnInit",LifecycleHooks[LifecycleHooks.OnDestroy]="OnDestroy",LifecycleHooks[LifecycleHooks.DoCheck]="DoCheck",LifecycleHooks[LifecycleHooks.OnChanges]="OnChanges",LifecycleHooks[LifecycleHooks.AfterContentInit]="AfterContentInit",LifecycleHooks[LifecycleHooks.AfterContentChecked]="AfterContentChecked",LifecycleHooks[LifecycleHooks.AfterViewInit]="AfterViewInit",LifecycleHooks[LifecycleHooks.AfterViewChecked]="AfterViewChecked";var LIFECYCLE_HOOKS_VALUES=[LifecycleHooks.OnInit,LifecycleHooks.OnDestroy,LifecycleHooks.DoCheck,LifecycleHooks.OnChanges,LifecycleHooks.AfterContentInit,LifecycleHooks.AfterContentChecked,LifecycleHooks.AfterViewInit,LifecycleHooks.AfterViewChecked],OnChanges=function(){function OnChanges(){}return OnChanges.prototype.ngOnChanges=function(changes){},OnChanges}(),OnInit=function(){function OnInit(){}return OnInit.prototype.ngOnInit=function(){},OnInit}(),DoCheck=function(){function DoCheck(){}return DoCheck.prototype.ngDoCheck=function(){},DoCheck}(),OnDestroy=function(){function OnDestroy(){}return OnDestroy.prototype.ngOnDestroy=function(){},OnDestroy}(),AfterContentInit=function(){function AfterContentInit(){}return AfterContentInit.prototype.ngAfterContentInit=function(){},AfterContentInit}(),AfterContentChecked=function(){function AfterContentChecked(){}return AfterContentChecked.prototype.ngAfterContentChecked=function(){},AfterContentChecked}(),AfterViewInit=function(){function AfterViewInit(){}return AfterViewInit.prototype.ngAfterViewInit=function(){},AfterViewInit}(),AfterViewChecked=function(){function AfterViewChecked(){}return AfterViewChecked.prototype.ngAfterViewChecked=function(){},AfterViewChecked}(),OnViewError=function(){function OnViewError(){}return OnViewError.prototype.ngOnViewError=function(error){},OnViewError}(),CUSTOM_ELEMENTS_SCHEMA={name:"custom-elements"},NO_ERRORS_SCHEMA={name:"no-errors-schema"},NgModule=makeDecorator("NgModule",{providers:void 0,declarations:void 0,imports:void 0,exports:void 0,entryComponents:void 0,bootstrap:void 0,schemas:void 0,id:void 0}),ViewEncapsulation={};ViewEncapsulation.Emulated=0,ViewEncapsulation.Native=1,ViewEncapsulation.None=2,ViewEncapsulation[ViewEncapsulation.Emulated]="Emulated",ViewEncapsulation[ViewEncapsulation.Native]="Native",ViewEncapsulation[ViewEncapsulation.None]="None";var ViewMetadata=function(){function ViewMetadata(_a){var _b=void 0===_a?{}:_a,templateUrl=_b.templateUrl,template=_b.template,encapsulation=_b.encapsulation,styles=_b.styles,styleUrls=_b.styleUrls,animations=_b.animations,interpolation=_b.interpolation;this.templateUrl=templateUrl,this.template=template,this.styleUrls=styleUrls,this.styles=styles,this.encapsulation=encapsulation,this.animations=animations,this.interpolation=interpolation}return ViewMetadata}(),Version=function(){function Version(full){this.full=full}return Object.defineProperty(Version.prototype,"major",{get:function(){return this.full.split(".")[0]},enumerable:!0,configurable:!0}),Object.defineProperty(Version.prototype,"minor",{get:function(){return this.full.split(".")[1]},enumerable:!0,configurable:!0}),Object.defineProperty(Version.prototype,"patch",{get:function(){return this.full.split(".").slice(2).join(".")},enumerable:!0,configurable:!0}),Version}(),VERSION=new Version("0.0.0-PLACEHOLDER"),Inject=makeParamDecorator("Inject",[["token",void 0]]),Optional=makeParamDecorator("Optional",[]),Injectable=makeDecorator("Injectable",[]),Self=makeParamDecorator("Self",[]),SkipSelf=makeParamDecorator("SkipSelf",[]),Host=makeParamDecorator("Host",[]),__extends=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},BaseError=function(_super){function BaseError(message){_super.call(this,message);var nativeError=new Error(message);this._nativeError=nativeError}return __extends(BaseError,_super),Object.defineProperty(BaseError.prototype,"message",{get:function(){return this._nativeError.message},set:function(message){this._nativeError.message=message},enumerable:!0,configurable:!0}),Object.defineProperty(BaseError.prototype,"name",{get:function(){return this._nativeError.name},enumerable:!0,configurable:!0}),Object.defineProperty(BaseError.prototype,"stack",{get:function(){return this._nativeError.stack},set:function(value){this._nativeError.stack=value},enumerable:!0,configurable:!0}),BaseError.prototype.toString=function(){return this._nativeError.toString()},BaseError}(Error),WrappedError=function(_super){function WrappedError(message,error){_super.call(this,message+" caused by: "+(error instanceof Error?error.message:error)),this.originalError=error}return __extends(WrappedError,_super),Object.defineProperty(WrappedError.prototype,"stack",{get:function(){return(this.originalError instanceof Error?this.originalError:this._nativeError).stack},enumerable:!0,configurable:!0}),WrappedError}(BaseError),_THROW_IF_NOT_FOUND=new Object,THROW_IF_NOT_FOUND=_THROW_IF_NOT_FOUND,_NullInjector=function(){function _NullInjector(){}return _NullInjector.prototype.get=function(token,notFoundValue){if(void 0===notFoundValue&&(notFoundValue=_THROW_IF_NOT_FOUND),notFoundValue===_THROW_IF_NOT_FOUND)throw new Error("No provider for "+stringify(token)+"!");return notFoundValue},_NullInjector.prototype.getAsync=function(token,notFoundValue){var _this=this;return void 0===notFoundValue&&(notFoundValue=_THROW_IF_NOT_FOUND),new Promise(function(resolve){return resolve(_this.get(token,notFoundValue))})},_NullInjector}(),Injector=function(){function Injector(){}return Injector.prototype.get=function(token,notFoundValue){return unimplemented()},Injector.prototype.getAsync=function(token,notFoundValue){var _this=this;return void 0===notFoundValue&&(notFoundValue=_THROW_IF_NOT_FOUND),new Promise(function(resolve){return resolve(_this.get(token,notFoundValue))})},Injector.THROW_IF_NOT_FOUND=_THROW_IF_NOT_FOUND,Injector.NULL=new _NullInjector,Injector}(),ProviderScope={};ProviderScope.Singleton=0,ProviderScope.Transient=1,ProviderScope.Resolution=2,ProviderScope[ProviderScope.Singleton]="Singleton",ProviderScope[ProviderScope.Transient]="Transient",ProviderScope[ProviderScope.Resolution]="Resolution";var __extends$1=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},AbstractProviderError=function(_super){function AbstractProviderError(injector,key,constructResolvingMessage){_super.call(this,"DI Error"),this.keys=[key],this.injectors=[injector],this.constructResolvingMessage=constructResolvingMessage,this.searchedLevels=null,this.message=this.constructResolvingMessage(this.keys)}return __extends$1(AbstractProviderError,_super),AbstractProviderError.prototype.addKey=function(injector,key){this.injectors.push(injector),this.keys.push(key),this.message=this.constructResolvingMessage(this.keys)+constructSearchedLevels(this.searchedLevels)},AbstractProviderError.prototype.addSearchedLevels=function(levels){this.searchedLevels=levels,this.message=this.constructResolvingMessage(this.keys)+constructSearchedLevels(this.searchedLevels)},AbstractProviderError}(BaseError),NoProviderError=function(_super){function NoProviderError(injector,key){_super.call(this,injector,key,function(keys){var first=stringify(keys[0].token);return"No provider for "+first+"!"+constructResolvingPath(keys)})}return __extends$1(NoProviderError,_super),NoProviderError}(AbstractProviderError),CyclicDependencyError=function(_super){function CyclicDependencyError(injector,key){_super.call(this,injector,key,function(keys){return"Cannot instantiate cyclic dependency!"+constructResolvingPath(keys)})}return __extends$1(CyclicDependencyError,_super),CyclicDependencyError}(AbstractProviderError),ScopedDependencyError=function(_super){function ScopedDependencyError(injector,key,scope){_super.call(this,injector,key,function(keys){var first=stringify(keys[0].token);return"Cannot inject "+first+" into a singleton, as its scope is "+ProviderScope[scope]+"!"+constructResolvingPath(keys)})}return __extends$1(ScopedDependencyError,_super),ScopedDependencyError}(AbstractProviderError),PendingAsyncProviderError=function(_super){function PendingAsyncProviderError(injector,key){_super.call(this,injector,key,function(keys){var first=stringify(keys[0].token);return"Cannot get "+first+" while getAsync is still waiting for it!"+constructResolvingPath(keys)})}return __extends$1(PendingAsyncProviderError,_super),PendingAsyncProviderError}(AbstractProviderError),InstantiationError=function(_super){function InstantiationError(injector,originalException,originalStack,key){_super.call(this,"DI Error",originalException),this.keys=[key],this.injectors=[injector],this.searchedLevels=null}return __extends$1(InstantiationError,_super),InstantiationError.prototype.addKey=function(injector,key){this.injectors.push(injector),this.keys.push(key)},InstantiationError.prototype.addSearchedLevels=function(levels){this.searchedLevels=levels},Object.defineProperty(InstantiationError.prototype,"message",{get:function(){var first=stringify(this.keys[0].token);return this.originalError.message+": Error during instantiation of "+first+"!"+constructResolvingPath(this.keys)+"."+constructSearchedLevels(this.searchedLevels)},enumerable:!0,configurable:!0}),Object.defineProperty(InstantiationError.prototype,"causeKey",{get:function(){return this.keys[0]},enumerable:!0,configurable:!0}),InstantiationError}(WrappedError),InvalidProviderError=function(_super){function InvalidProviderError(provider){_super.call(this,"Invalid provider - only instances of Provider and Type are allowed, got: "+provider)}return __extends$1(InvalidProviderError,_super),InvalidProviderError}(BaseError),InvalidProviderScopeError=function(_super){function InvalidProviderScopeError(provider){_super.call(this,"Invalid provider for "+stringify(provider.provide)+" - only providers with useClass or useFactory can have a scope, got: "+ProviderScope[provider.scope])}return __extends$1(InvalidProviderScopeError,_super),InvalidProviderScopeError}(BaseError),NoAnnotationError=function(_super){function NoAnnotationError(typeOrFunc,params){_super.call(this,NoAnnotationError._genMessage(typeOrFunc,params))}return __extends$1(NoAnnotationError,_super),NoAnnotationError._genMessage=function(typeOrFunc,params){for(var signature=[],i=0,ii=params.length;i<ii;i++){var parameter=params[i];parameter&&0!=parameter.length?signature.push(parameter.map(stringify).join(" ")):signature.push("?")}return"Cannot resolve all parameters for '"+stringify(typeOrFunc)+"'("+signature.join(", ")+"). Make sure that all the parameters are decorated with Inject or have valid type annotations and that '"+stringify(typeOrFunc)+"' is decorated with Injectable."},NoAnnotationError}(BaseError),OutOfBoundsError=function(_super){function OutOfBoundsError(index){_super.call(this,"Index "+index+" is out-of-bounds.")}return __extends$1(OutOfBoundsError,_super),OutOfBoundsError}(BaseError),MixingMultiProvidersWithRegularProvidersError=function(_super){function MixingMultiProvidersWithRegularProvidersError(provider1,provider2){_super.call(this,"Cannot mix multi providers and regular providers, got: "+provider1.toString()+" "+provider2.toString())}return __extends$1(MixingMultiProvidersWithRegularProvidersError,_super),MixingMultiProvidersWithRegularProvidersError}(BaseError),ReflectiveKey=function(){function ReflectiveKey(token,id){if(this.token=token,this.id=id,!token)throw new Error("Token must be defined!")}return Object.defineProperty(ReflectiveKey.prototype,"displayName",{get:function(){return stringify(this.token)},enumerable:!0,configurable:!0}),ReflectiveKey.get=function(token){return _globalKeyRegistry.get(resolveForwardRef(token))},Object.defineProperty(ReflectiveKey,"numberOfKeys",{get:function(){return _globalKeyRegistry.numberOfKeys},enumerable:!0,configurable:!0}),ReflectiveKey}(),KeyRegistry=function(){function KeyRegistry(){this._allKeys=new Map}return KeyRegistry.prototype.get=function(token){if(token instanceof ReflectiveKey)return token;if(this._allKeys.has(token))return this._allKeys.get(token);var newKey=new ReflectiveKey(token,ReflectiveKey.numberOfKeys);return this._allKeys.set(token,newKey),newKey},Object.defineProperty(KeyRegistry.prototype,"numberOfKeys",{get:function(){return this._allKeys.size},enumerable:!0,configurable:!0}),KeyRegistry}(),_globalKeyRegistry=new KeyRegistry,Type=Function,DELEGATE_CTOR=/^function\s+\S+\(\)\s*{\s*("use strict";)?\s*(return\s+)?\S+\.apply\(this,\s*arguments\)/,ReflectionCapabilities=function(){function ReflectionCapabilities(reflect){this._reflect=reflect||global$1.Reflect}return ReflectionCapabilities.prototype.isReflectionEnabled=function(){return!0},ReflectionCapabilities.prototype.factory=function(t){return function(){for(var args=[],_i=0;_i<arguments.length;_i++)args[_i-0]=arguments[_i];return new(t.bind.apply(t,[void 0].concat(args)))}},ReflectionCapabilities.prototype._zipTypesAndAnnotations=function(paramTypes,paramAnnotations){var result;result="undefined"==typeof paramTypes?new Array(paramAnnotations.length):new Array(paramTypes.length);for(var i=0;i<result.length;i++)"undefined"==typeof paramTypes?result[i]=[]:paramTypes[i]!=Object?result[i]=[paramTypes[i]]:result[i]=[],paramAnnotations&&isPresent(paramAnnotations[i])&&(result[i]=result[i].concat(paramAnnotations[i]));return result},ReflectionCapabilities.prototype._ownParameters=function(type,parentCtor){if(DELEGATE_CTOR.exec(type.toString()))return null;if(type.parameters&&type.parameters!==parentCtor.parameters)return type.parameters;var tsickleCtorParams=type.ctorParameters;if(tsickleCtorParams&&tsickleCtorParams!==parentCtor.ctorParameters){var ctorParameters="function"==typeof tsickleCtorParams?tsickleCtorParams():tsickleCtorParams,paramTypes=ctorParameters.map(function(ctorParam){return ctorParam&&ctorParam.type}),paramAnnotations=ctorParameters.map(function(ctorParam){return ctorParam&&convertTsickleDecoratorIntoMetadata(ctorParam.decorators)});return this._zipTypesAndAnnotations(paramTypes,paramAnnotations)}if(isPresent(this._reflect)&&isPresent(this._reflect.getOwnMetadata)){var paramAnnotations=this._reflect.getOwnMetadata("parameters",type),paramTypes=this._reflect.getOwnMetadata("design:paramtypes",type);if(paramTypes||paramAnnotations)return this._zipTypesAndAnnotations(paramTypes,paramAnnotations)}return new Array(type.length).fill(void 0)},ReflectionCapabilities.prototype.parameters=function(type){if(!isType(type))return[];var parentCtor=getParentCtor(type),parameters=this._ownParameters(type,parentCtor);return parameters||parentCtor===Object||(parameters=this.parameters(parentCtor)),parameters||[]},ReflectionCapabilities.prototype._ownAnnotations=function(typeOrFunc,parentCtor){if(typeOrFunc.annotations&&typeOrFunc.annotations!==parentCtor.annotations){var annotations=typeOrFunc.annotations;return"function"==typeof annotations&&annotations.annotations&&(annotations=annotations.annotations),annotations}return typeOrFunc.decorators&&typeOrFunc.decorators!==parentCtor.decorators?convertTsickleDecoratorIntoMetadata(typeOrFunc.decorators):this._reflect&&this._reflect.getOwnMetadata?this._reflect.getOwnMetadata("annotations",typeOrFunc):void 0},ReflectionCapabilities.prototype.annotations=function(typeOrFunc){if(!isType(typeOrFunc))return[];var parentCtor=getParentCtor(typeOrFunc),ownAnnotations=this._ownAnnotations(typeOrFunc,parentCtor)||[],parentAnnotations=parentCtor!==Object?this.annotations(parentCtor):[];return parentAnnotations.concat(ownAnnotations)},ReflectionCapabilities.prototype._ownPropMetadata=function(typeOrFunc,parentCtor){if(typeOrFunc.propMetadata&&typeOrFunc.propMetadata!==parentCtor.propMetadata){var propMetadata=typeOrFunc.propMetadata;return"function"==typeof propMetadata&&propMetadata.propMetadata&&(propMetadata=propMetadata.propMetadata),propMetadata}if(typeOrFunc.propDecorators&&typeOrFunc.propDecorators!==parentCtor.propDecorators){var propDecorators_1=typeOrFunc.propDecorators,propMetadata_1={};return Object.keys(propDecorators_1).forEach(function(prop){propMetadata_1[prop]=convertTsickleDecoratorIntoMetadata(propDecorators_1[prop])}),propMetadata_1}if(this._reflect&&this._reflect.getOwnMetadata)return this._reflect.getOwnMetadata("propMetadata",typeOrFunc)},ReflectionCapabilities.prototype.propMetadata=function(typeOrFunc){if(!isType(typeOrFunc))return{};var parentCtor=getParentCtor(typeOrFunc),propMetadata={};if(parentCtor!==Object){var parentPropMetadata_1=this.propMetadata(parentCtor);Object.keys(parentPropMetadata_1).forEach(function(propName){propMetadata[propName]=parentPropMetadata_1[propName]})}var ownPropMetadata=this._ownPropMetadata(typeOrFunc,parentCtor);return ownPropMetadata&&Object.keys(ownPropMetadata).forEach(function(propName){var decorators=[];propMetadata.hasOwnProperty(propName)&&decorators.push.apply(decorators,propMetadata[propName]),decorators.push.apply(decorators,ownPropMetadata[propName]),
+propMetadata[propName]=decorators}),propMetadata},ReflectionCapabilities.prototype.hasLifecycleHook=function(type,lcProperty){return type instanceof Type&&lcProperty in type.prototype},ReflectionCapabilities.prototype.getter=function(name){return new Function("o","return o."+name+";")},ReflectionCapabilities.prototype.setter=function(name){return new Function("o","v","return o."+name+" = v;")},ReflectionCapabilities.prototype.method=function(name){var functionBody="if (!o."+name+") throw new Error('\""+name+"\" is undefined');\n        return o."+name+".apply(o, args);";return new Function("o","args",functionBody)},ReflectionCapabilities.prototype.importUri=function(type){return"object"==typeof type&&type.filePath?type.filePath:"./"+stringify(type)},ReflectionCapabilities.prototype.resolveIdentifier=function(name,moduleUrl,runtime){return runtime},ReflectionCapabilities.prototype.resolveEnum=function(enumIdentifier,name){return enumIdentifier[name]},ReflectionCapabilities}(),ReflectorReader=function(){function ReflectorReader(){}return ReflectorReader.prototype.parameters=function(typeOrFunc){},ReflectorReader.prototype.annotations=function(typeOrFunc){},ReflectorReader.prototype.propMetadata=function(typeOrFunc){},ReflectorReader.prototype.importUri=function(typeOrFunc){},ReflectorReader.prototype.resolveIdentifier=function(name,moduleUrl,runtime){},ReflectorReader.prototype.resolveEnum=function(identifier,name){},ReflectorReader}(),__extends$2=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},Reflector=function(_super){function Reflector(reflectionCapabilities){_super.call(this),this.reflectionCapabilities=reflectionCapabilities}return __extends$2(Reflector,_super),Reflector.prototype.updateCapabilities=function(caps){this.reflectionCapabilities=caps},Reflector.prototype.factory=function(type){return this.reflectionCapabilities.factory(type)},Reflector.prototype.parameters=function(typeOrFunc){return this.reflectionCapabilities.parameters(typeOrFunc)},Reflector.prototype.annotations=function(typeOrFunc){return this.reflectionCapabilities.annotations(typeOrFunc)},Reflector.prototype.propMetadata=function(typeOrFunc){return this.reflectionCapabilities.propMetadata(typeOrFunc)},Reflector.prototype.hasLifecycleHook=function(type,lcProperty){return this.reflectionCapabilities.hasLifecycleHook(type,lcProperty)},Reflector.prototype.getter=function(name){return this.reflectionCapabilities.getter(name)},Reflector.prototype.setter=function(name){return this.reflectionCapabilities.setter(name)},Reflector.prototype.method=function(name){return this.reflectionCapabilities.method(name)},Reflector.prototype.importUri=function(type){return this.reflectionCapabilities.importUri(type)},Reflector.prototype.resolveIdentifier=function(name,moduleUrl,runtime){return this.reflectionCapabilities.resolveIdentifier(name,moduleUrl,runtime)},Reflector.prototype.resolveEnum=function(identifier,name){return this.reflectionCapabilities.resolveEnum(identifier,name)},Reflector}(ReflectorReader),reflector=new Reflector(new ReflectionCapabilities),ReflectiveDependency=function(){function ReflectiveDependency(key,optional,lowerBoundVisibility,upperBoundVisibility,properties){this.key=key,this.optional=optional,this.lowerBoundVisibility=lowerBoundVisibility,this.upperBoundVisibility=upperBoundVisibility,this.properties=properties}return ReflectiveDependency.fromKey=function(key){return new ReflectiveDependency(key,(!1),null,null,[])},ReflectiveDependency}(),_EMPTY_LIST=[],ResolvedReflectiveProvider_=function(){function ResolvedReflectiveProvider_(key,resolvedFactories,multiProvider,scope,resolvedDecorators,decoratedFactoryCounts){void 0===scope&&(scope=ProviderScope.Singleton),void 0===resolvedDecorators&&(resolvedDecorators=_EMPTY_LIST),void 0===decoratedFactoryCounts&&(decoratedFactoryCounts=_EMPTY_LIST),this.key=key,this.resolvedFactories=resolvedFactories,this.multiProvider=multiProvider,this.scope=scope,this.resolvedDecorators=resolvedDecorators,this.decoratedFactoryCounts=decoratedFactoryCounts}return Object.defineProperty(ResolvedReflectiveProvider_.prototype,"resolvedFactory",{get:function(){return this.resolvedFactories[0]},enumerable:!0,configurable:!0}),ResolvedReflectiveProvider_}(),ResolvedReflectiveFactory=function(){function ResolvedReflectiveFactory(factory,dependencies,type){void 0===type&&(type=null),this.factory=factory,this.dependencies=dependencies,this.type=type}return ResolvedReflectiveFactory}(),_resolutionDepth=0,_resolutionObjs=null,_tracer=null,ResolutionTracer=function(){function ResolutionTracer(){this.entries=[],this._frames=[],this._nodeEntries=new WeakMap}return ResolutionTracer.prototype.clear=function(){this.entries=[],this._nodeEntries=new WeakMap},ResolutionTracer.prototype.entriesForNode=function(view,nodeIndex){var nodes=this._nodeEntries.get(view);return nodes&&nodes.has(nodeIndex)?nodes.get(nodeIndex).slice():[]},ResolutionTracer.prototype._start=function(token,view,nodeIndex){var parent=this._frames.length?this._frames[this._frames.length-1]:null;if(parent&&parent.token===token&&!parent.answered)return null;var entry={token:stringify(token),level:null,source:null,cached:null,duration:0,depth:parent?parent.entry.depth+1:0,searched:[]},frame={token:token,entry:entry,view:parent?parent.view:view,nodeIndex:parent?parent.nodeIndex:nodeIndex,answered:!1,created:!1,constructionTime:0};if(this.entries.push(entry),frame.view){var nodes=this._nodeEntries.get(frame.view);nodes||(nodes=new Map,this._nodeEntries.set(frame.view,nodes)),nodes.has(frame.nodeIndex)||nodes.set(frame.nodeIndex,[]),nodes.get(frame.nodeIndex).push(entry)}return this._frames.push(frame),frame},ResolutionTracer.prototype._end=function(frame,error){this._frames.splice(this._frames.lastIndexOf(frame),1),(error instanceof AbstractProviderError||error instanceof InstantiationError)&&!error.searchedLevels&&error.addSearchedLevels(frame.entry.searched)},ResolutionTracer.prototype._current=function(){return this._frames.length?this._frames[this._frames.length-1]:null},ResolutionTracer}(),_MAX_CONSTRUCTION_COUNTER=10,UNDEFINED=new Object,_SKIP_SELF=new SkipSelf,_instantiatingScope=null,_scopedInConstruction=new Set,ReflectiveProtoInjectorInlineStrategy=function(){function ReflectiveProtoInjectorInlineStrategy(protoEI,providers){this.provider0=null,this.provider1=null,this.provider2=null,this.provider3=null,this.provider4=null,this.provider5=null,this.provider6=null,this.provider7=null,this.provider8=null,this.provider9=null,this.keyId0=null,this.keyId1=null,this.keyId2=null,this.keyId3=null,this.keyId4=null,this.keyId5=null,this.keyId6=null,this.keyId7=null,this.keyId8=null,this.keyId9=null;var length=providers.length;length>0&&(this.provider0=providers[0],this.keyId0=providers[0].key.id),length>1&&(this.provider1=providers[1],this.keyId1=providers[1].key.id),length>2&&(this.provider2=providers[2],this.keyId2=providers[2].key.id),length>3&&(this.provider3=providers[3],this.keyId3=providers[3].key.id),length>4&&(this.provider4=providers[4],this.keyId4=providers[4].key.id),length>5&&(this.provider5=providers[5],this.keyId5=providers[5].key.id),length>6&&(this.provider6=providers[6],this.keyId6=providers[6].key.id),length>7&&(this.provider7=providers[7],this.keyId7=providers[7].key.id),length>8&&(this.provider8=providers[8],this.keyId8=providers[8].key.id),length>9&&(this.provider9=providers[9],this.keyId9=providers[9].key.id)}return ReflectiveProtoInjectorInlineStrategy.prototype.getProviderAtIndex=function(index){if(0==index)return this.provider0;if(1==index)return this.provider1;if(2==index)return this.provider2;if(3==index)return this.provider3;if(4==index)return this.provider4;if(5==index)return this.provider5;if(6==index)return this.provider6;if(7==index)return this.provider7;if(8==index)return this.provider8;if(9==index)return this.provider9;throw new OutOfBoundsError(index)},ReflectiveProtoInjectorInlineStrategy.prototype.createInjectorStrategy=function(injector){return new ReflectiveInjectorInlineStrategy(injector,this)},ReflectiveProtoInjectorInlineStrategy}(),ReflectiveProtoInjectorDynamicStrategy=function(){function ReflectiveProtoInjectorDynamicStrategy(protoInj,providers){this.providers=providers;var len=providers.length;this.keyIds=new Array(len);for(var i=0;i<len;i++)this.keyIds[i]=providers[i].key.id}return ReflectiveProtoInjectorDynamicStrategy.prototype.getProviderAtIndex=function(index){if(index<0||index>=this.providers.length)throw new OutOfBoundsError(index);return this.providers[index]},ReflectiveProtoInjectorDynamicStrategy.prototype.createInjectorStrategy=function(ei){return new ReflectiveInjectorDynamicStrategy(this,ei)},ReflectiveProtoInjectorDynamicStrategy}(),ReflectiveProtoInjector=function(){function ReflectiveProtoInjector(providers){this.numberOfProviders=providers.length,this._strategy=providers.length>_MAX_CONSTRUCTION_COUNTER?new ReflectiveProtoInjectorDynamicStrategy(this,providers):new ReflectiveProtoInjectorInlineStrategy(this,providers),this.scopedProviders=null;for(var i=0;i<providers.length;i++){var provider=providers[i];provider.scope&&provider.scope!==ProviderScope.Singleton&&(this.scopedProviders||(this.scopedProviders=new Map),this.scopedProviders.set(provider.key.id,provider))}}return ReflectiveProtoInjector.fromResolvedProviders=function(providers){return new ReflectiveProtoInjector(providers)},ReflectiveProtoInjector.prototype.getProviderAtIndex=function(index){return this._strategy.getProviderAtIndex(index)},ReflectiveProtoInjector}(),ReflectiveInjectorInlineStrategy=function(){function ReflectiveInjectorInlineStrategy(injector,protoStrategy){this.injector=injector,this.protoStrategy=protoStrategy,this.obj0=UNDEFINED,this.obj1=UNDEFINED,this.obj2=UNDEFINED,this.obj3=UNDEFINED,this.obj4=UNDEFINED,this.obj5=UNDEFINED,this.obj6=UNDEFINED,this.obj7=UNDEFINED,this.obj8=UNDEFINED,this.obj9=UNDEFINED}return ReflectiveInjectorInlineStrategy.prototype.resetConstructionCounter=function(){this.injector._constructionCounter=0},ReflectiveInjectorInlineStrategy.prototype.instantiateProvider=function(provider){return this.injector._new(provider)},ReflectiveInjectorInlineStrategy.prototype.getObjByKeyId=function(keyId){var p=this.protoStrategy,inj=this.injector;return p.keyId0===keyId?(this.obj0===UNDEFINED&&(this.obj0=inj._new(p.provider0)),this.obj0):p.keyId1===keyId?(this.obj1===UNDEFINED&&(this.obj1=inj._new(p.provider1)),this.obj1):p.keyId2===keyId?(this.obj2===UNDEFINED&&(this.obj2=inj._new(p.provider2)),this.obj2):p.keyId3===keyId?(this.obj3===UNDEFINED&&(this.obj3=inj._new(p.provider3)),this.obj3):p.keyId4===keyId?(this.obj4===UNDEFINED&&(this.obj4=inj._new(p.provider4)),this.obj4):p.keyId5===keyId?(this.obj5===UNDEFINED&&(this.obj5=inj._new(p.provider5)),this.obj5):p.keyId6===keyId?(this.obj6===UNDEFINED&&(this.obj6=inj._new(p.provider6)),this.obj6):p.keyId7===keyId?(this.obj7===UNDEFINED&&(this.obj7=inj._new(p.provider7)),this.obj7):p.keyId8===keyId?(this.obj8===UNDEFINED&&(this.obj8=inj._new(p.provider8)),this.obj8):p.keyId9===keyId?(this.obj9===UNDEFINED&&(this.obj9=inj._new(p.provider9)),this.obj9):UNDEFINED},ReflectiveInjectorInlineStrategy.prototype.getObjAtIndex=function(index){if(0==index)return this.obj0;if(1==index)return this.obj1;if(2==index)return this.obj2;if(3==index)return this.obj3;if(4==index)return this.obj4;if(5==index)return this.obj5;if(6==index)return this.obj6;if(7==index)return this.obj7;if(8==index)return this.obj8;if(9==index)return this.obj9;throw new OutOfBoundsError(index)},ReflectiveInjectorInlineStrategy.prototype.setObjAtIndex=function(index,obj){if(0==index)return void(this.obj0=obj);if(1==index)return void(this.obj1=obj);if(2==index)return void(this.obj2=obj);if(3==index)return void(this.obj3=obj);if(4==index)return void(this.obj4=obj);if(5==index)return void(this.obj5=obj);if(6==index)return void(this.obj6=obj);if(7==index)return void(this.obj7=obj);if(8==index)return void(this.obj8=obj);if(9==index)return void(this.obj9=obj);throw new OutOfBoundsError(index)},ReflectiveInjectorInlineStrategy.prototype.getMaxNumberOfObjects=function(){return _MAX_CONSTRUCTION_COUNTER},ReflectiveInjectorInlineStrategy}(),ReflectiveInjectorDynamicStrategy=function(){function ReflectiveInjectorDynamicStrategy(protoStrategy,injector){this.protoStrategy=protoStrategy,this.injector=injector,this.objs=new Array(protoStrategy.providers.length).fill(UNDEFINED)}return ReflectiveInjectorDynamicStrategy.prototype.resetConstructionCounter=function(){this.injector._constructionCounter=0},ReflectiveInjectorDynamicStrategy.prototype.instantiateProvider=function(provider){return this.injector._new(provider)},ReflectiveInjectorDynamicStrategy.prototype.getObjByKeyId=function(keyId){for(var p=this.protoStrategy,i=0;i<p.keyIds.length;i++)if(p.keyIds[i]===keyId)return this.objs[i]===UNDEFINED&&(this.objs[i]=this.injector._new(p.providers[i])),this.objs[i];return UNDEFINED},ReflectiveInjectorDynamicStrategy.prototype.getObjAtIndex=function(index){if(index<0||index>=this.objs.length)throw new OutOfBoundsError(index);return this.objs[index]},ReflectiveInjectorDynamicStrategy.prototype.setObjAtIndex=function(index,obj){if(index<0||index>=this.objs.length)throw new OutOfBoundsError(index);this.objs[index]=obj},ReflectiveInjectorDynamicStrategy.prototype.getMaxNumberOfObjects=function(){return this.objs.length},ReflectiveInjectorDynamicStrategy}(),ReflectiveInjector=function(){function ReflectiveInjector(){}return ReflectiveInjector.resolve=function(providers){return resolveReflectiveProviders(providers)},ReflectiveInjector.resolveAndCreate=function(providers,parent){void 0===parent&&(parent=null);var ResolvedReflectiveProviders=ReflectiveInjector.resolve(providers);return ReflectiveInjector.fromResolvedProviders(ResolvedReflectiveProviders,parent)},ReflectiveInjector.validate=function(providers,parentTokens){return void 0===parentTokens&&(parentTokens=[]),validateReflectiveProviders(providers,parentTokens)},ReflectiveInjector.fromResolvedProviders=function(providers,parent){return void 0===parent&&(parent=null),new ReflectiveInjector_(ReflectiveProtoInjector.fromResolvedProviders(providers),parent)},Object.defineProperty(ReflectiveInjector.prototype,"parent",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ReflectiveInjector.prototype.resolveAndCreateChild=function(providers){return unimplemented()},ReflectiveInjector.prototype.createChildFromResolved=function(providers){return unimplemented()},ReflectiveInjector.prototype.resolveAndInstantiate=function(provider){return unimplemented()},ReflectiveInjector.prototype.instantiateResolved=function(provider){return unimplemented()},ReflectiveInjector.prototype.get=function(token,notFoundValue){},ReflectiveInjector.prototype.getAsync=function(token,notFoundValue){},ReflectiveInjector.prototype.destroy=function(){},ReflectiveInjector.prototype.onDestroy=function(callback){},ReflectiveInjector}(),ReflectiveInjector_=function(){function ReflectiveInjector_(_proto,_parent){void 0===_parent&&(_parent=null),this._constructionCounter=0,this._destroyed=!1,this._destroyListeners=[],this._instancesToDestroy=[],this._pendingAsync=new Map,this._proto=_proto,this._parent=_parent,this._strategy=_proto._strategy.createInjectorStrategy(this)}return ReflectiveInjector_.prototype.get=function(token,notFoundValue){void 0===notFoundValue&&(notFoundValue=THROW_IF_NOT_FOUND),this._assertNotDestroyed(),enterResolution();try{return this._getByKey(ReflectiveKey.get(token),null,null,notFoundValue)}finally{leaveResolution()}},ReflectiveInjector_.prototype.getAt=function(index){return this._strategy.getObjAtIndex(index)},ReflectiveInjector_.prototype.destroy=function(){if(this._destroyed)throw new Error("The injector has already been destroyed.");this._destroyed=!0;var instances=this._instancesToDestroy;this._instancesToDestroy=[];for(var errors=[],callSafely=function(fn){try{fn()}catch(e){errors.push(e)}},_loop_1=function(i){var instance=instances[i];callSafely(function(){return instance.ngOnDestroy()})},i=instances.length-1;i>=0;i--)_loop_1(i);if(this._destroyListeners.forEach(callSafely),errors.length>0)throw errors[0]},ReflectiveInjector_.prototype.onDestroy=function(callback){this._destroyListeners.push(callback)},ReflectiveInjector_.prototype._assertNotDestroyed=function(){if(this._destroyed)throw new Error("Cannot use an injector that has already been destroyed.")},ReflectiveInjector_.prototype._trackForDestroy=function(factory,scope,obj){scope===ProviderScope.Singleton&&factory.type&&obj&&"function"==typeof obj.ngOnDestroy&&this._instancesToDestroy.push(obj)},Object.defineProperty(ReflectiveInjector_.prototype,"parent",{get:function(){return this._parent},enumerable:!0,configurable:!0}),Object.defineProperty(ReflectiveInjector_.prototype,"internalStrategy",{get:function(){return this._strategy},enumerable:!0,configurable:!0}),ReflectiveInjector_.prototype._isInstantiatedAt=function(index){return this._strategy.getObjAtIndex(index)!==UNDEFINED},ReflectiveInjector_.prototype.resolveAndCreateChild=function(providers){var ResolvedReflectiveProviders=ReflectiveInjector.resolve(providers);return this.createChildFromResolved(ResolvedReflectiveProviders)},ReflectiveInjector_.prototype.createChildFromResolved=function(providers){var proto=new ReflectiveProtoInjector(providers),inj=new ReflectiveInjector_(proto);return inj._parent=this,inj},ReflectiveInjector_.prototype.resolveAndInstantiate=function(provider){return this.instantiateResolved(ReflectiveInjector.resolve([provider])[0])},ReflectiveInjector_.prototype.instantiateResolved=function(provider){this._assertNotDestroyed(),enterResolution();try{return this._instantiateInScope(provider,null)}finally{leaveResolution()}},ReflectiveInjector_.prototype._new=function(provider){if(this._pendingAsync.has(provider))throw new PendingAsyncProviderError(this,provider.key);if(this._constructionCounter++>this._strategy.getMaxNumberOfObjects())throw new CyclicDependencyError(this,provider.key);return this._instantiateInScope(provider,ProviderScope.Singleton)},ReflectiveInjector_.prototype._getScoped=function(provider){var _this=this;if(_instantiatingScope===ProviderScope.Singleton)throw new ScopedDependencyError(this,provider.key,provider.scope);return provider.scope===ProviderScope.Transient?this._newScoped(provider):getResolutionScoped(this,provider.key.id,function(){return _this._newScoped(provider)})},ReflectiveInjector_.prototype._newScoped=function(provider){if(_scopedInConstruction.has(provider))throw new CyclicDependencyError(this,provider.key);_scopedInConstruction.add(provider);try{return this._instantiateInScope(provider,provider.scope)}finally{_scopedInConstruction.delete(provider)}},ReflectiveInjector_.prototype._instantiateInScope=function(provider,scope){var _this=this,previousScope=_instantiatingScope;_instantiatingScope=scope;try{return getResolutionTracer()?traceConstruction(provider.key.token,function(){return _this._instantiateProvider(provider)}):this._instantiateProvider(provider)}finally{_instantiatingScope=previousScope}},ReflectiveInjector_.prototype._instantiateProvider=function(provider){var obj,decorators=provider.resolvedDecorators||[],decorated=0;if(isDecoratorOnly(provider))obj=this._getByKeyDefault(provider.key,THROW_IF_NOT_FOUND,_SKIP_SELF);else if(provider.multiProvider){var counts=provider.decoratedFactoryCounts||[];obj=[];for(var i=0;i<provider.resolvedFactories.length;++i){for(;decorated<counts.length&&counts[decorated]===i;++decorated)obj=this._decorate(provider,decorators[decorated],obj);obj=obj.concat([this._instantiate(provider,provider.resolvedFactories[i])])}}else obj=this._instantiate(provider,provider.resolvedFactories[0]);for(;decorated<decorators.length;++decorated)obj=this._decorate(provider,decorators[decorated],obj);return obj},ReflectiveInjector_.prototype._decorate=function(provider,decorator,delegate){var deps,_this=this;try{deps=decorator.dependencies.map(function(dep){return _this._getByReflectiveDependency(provider,dep)})}catch(e){throw(e instanceof AbstractProviderError||e instanceof InstantiationError)&&e.addKey(this,provider.key),e}try{return decorator.factory.apply(decorator,[delegate].concat(deps))}catch(e){throw new InstantiationError(this,e,e.stack,provider.key)}},ReflectiveInjector_.prototype._instantiate=function(provider,ResolvedReflectiveFactory){var d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14,d15,d16,d17,d18,d19,factory=ResolvedReflectiveFactory.factory,deps=ResolvedReflectiveFactory.dependencies,length=deps.length;try{d0=length>0?this._getByReflectiveDependency(provider,deps[0]):null,d1=length>1?this._getByReflectiveDependency(provider,deps[1]):null,d2=length>2?this._getByReflectiveDependency(provider,deps[2]):null,d3=length>3?this._getByReflectiveDependency(provider,deps[3]):null,d4=length>4?this._getByReflectiveDependency(provider,deps[4]):null,d5=length>5?this._getByReflectiveDependency(provider,deps[5]):null,d6=length>6?this._getByReflectiveDependency(provider,deps[6]):null,d7=length>7?this._getByReflectiveDependency(provider,deps[7]):null,d8=length>8?this._getByReflectiveDependency(provider,deps[8]):null,d9=length>9?this._getByReflectiveDependency(provider,deps[9]):null,d10=length>10?this._getByReflectiveDependency(provider,deps[10]):null,d11=length>11?this._getByReflectiveDependency(provider,deps[11]):null,d12=length>12?this._getByReflectiveDependency(provider,deps[12]):null,d13=length>13?this._getByReflectiveDependency(provider,deps[13]):null,d14=length>14?this._getByReflectiveDependency(provider,deps[14]):null,d15=length>15?this._getByReflectiveDependency(provider,deps[15]):null,d16=length>16?this._getByReflectiveDependency(provider,deps[16]):null,d17=length>17?this._getByReflectiveDependency(provider,deps[17]):null,d18=length>18?this._getByReflectiveDependency(provider,deps[18]):null,d19=length>19?this._getByReflectiveDependency(provider,deps[19]):null}catch(e){throw(e instanceof AbstractProviderError||e instanceof InstantiationError)&&e.addKey(this,provider.key),e}var obj;try{switch(length){case 0:obj=factory();break;case 1:obj=factory(d0);break;case 2:obj=factory(d0,d1);break;case 3:obj=factory(d0,d1,d2);break;case 4:obj=factory(d0,d1,d2,d3);break;case 5:obj=factory(d0,d1,d2,d3,d4);break;case 6:obj=factory(d0,d1,d2,d3,d4,d5);break;case 7:obj=factory(d0,d1,d2,d3,d4,d5,d6);break;case 8:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7);break;case 9:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8);break;case 10:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9);break;case 11:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10);break;case 12:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11);break;case 13:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12);break;case 14:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13);break;case 15:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14);break;case 16:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14,d15);break;case 17:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14,d15,d16);break;case 18:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14,d15,d16,d17);break;case 19:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14,d15,d16,d17,d18);break;case 20:obj=factory(d0,d1,d2,d3,d4,d5,d6,d7,d8,d9,d10,d11,d12,d13,d14,d15,d16,d17,d18,d19);break;default:throw new Error("Cannot instantiate '"+provider.key.displayName+"' because it has more than 20 dependencies")}}catch(e){throw new InstantiationError(this,e,e.stack,provider.key)}return this._trackForDestroy(ResolvedReflectiveFactory,_instantiatingScope,obj),obj},ReflectiveInjector_.prototype._getByReflectiveDependency=function(provider,dep){return this._getByKey(dep.key,dep.lowerBoundVisibility,dep.upperBoundVisibility,dep.optional?null:THROW_IF_NOT_FOUND)},ReflectiveInjector_.prototype._getByKey=function(key,lowerBoundVisibility,upperBoundVisibility,notFoundValue){var _this=this;return key===INJECTOR_KEY?this:getResolutionTracer()?traceLookup(key.token,null,null,function(){return _this._getByKeyUntraced(key,lowerBoundVisibility,upperBoundVisibility,notFoundValue)}):this._getByKeyUntraced(key,lowerBoundVisibility,upperBoundVisibility,notFoundValue)},ReflectiveInjector_.prototype._getByKeyUntraced=function(key,lowerBoundVisibility,upperBoundVisibility,notFoundValue){return upperBoundVisibility instanceof Self?this._getByKeySelf(key,notFoundValue):this._getByKeyDefault(key,notFoundValue,lowerBoundVisibility)},ReflectiveInjector_.prototype._getObjByKeyId=function(keyId){var scopedProviders=this._proto.scopedProviders;return null!==scopedProviders&&scopedProviders.has(keyId)?this._getScoped(scopedProviders.get(keyId)):this._strategy.getObjByKeyId(keyId)},ReflectiveInjector_.prototype._getTracedObjByKeyId=function(keyId){var _this=this;if(!getResolutionTracer())return this._getObjByKeyId(keyId);var level=this._parent?"host":"platform";return traceLevel(level,"ReflectiveInjector",UNDEFINED,!0,function(){return _this._getObjByKeyId(keyId)})},ReflectiveInjector_.prototype._throwOrNull=function(key,notFoundValue){if(notFoundValue!==THROW_IF_NOT_FOUND)return notFoundValue;throw new NoProviderError(this,key)},ReflectiveInjector_.prototype._getByKeySelf=function(key,notFoundValue){var obj=this._getTracedObjByKeyId(key.id);return obj!==UNDEFINED?obj:this._throwOrNull(key,notFoundValue)},ReflectiveInjector_.prototype._getByKeyDefault=function(key,notFoundValue,lowerBoundVisibility){var inj;for(inj=lowerBoundVisibility instanceof SkipSelf?this._parent:this;inj instanceof ReflectiveInjector_;){var inj_=inj;inj_._assertNotDestroyed();var obj=inj_._getTracedObjByKeyId(key.id);if(obj!==UNDEFINED)return obj;inj=inj_._parent}return null!==inj?inj.get(key.token,notFoundValue):this._throwOrNull(key,notFoundValue)},ReflectiveInjector_.prototype.getAsync=function(token,notFoundValue){var _this=this;if(void 0===notFoundValue&&(notFoundValue=THROW_IF_NOT_FOUND),this._destroyed)return new Promise(function(){return _this._assertNotDestroyed()});var resolution={path:[],scope:null,objs:new Map};return this._getByKeyAsync(ReflectiveKey.get(token),null,null,notFoundValue,resolution)},ReflectiveInjector_.prototype._getByKeyAsync=function(key,lowerBoundVisibility,upperBoundVisibility,notFoundValue,resolution){var _this=this;if(key===INJECTOR_KEY)return Promise.resolve(this);var inj=this;if(upperBoundVisibility instanceof Self){var index=this._indexOfKeyId(key.id);if(index!==-1)return this._getAtIndexAsync(index,resolution);inj=null}else lowerBoundVisibility instanceof SkipSelf&&(inj=this._parent);for(var _loop_2=function(){var inj_=inj;if(inj_._destroyed)return{value:new Promise(function(){return inj_._assertNotDestroyed()})};var index=inj_._indexOfKeyId(key.id);return index!==-1?{value:inj_._getAtIndexAsync(index,resolution)}:void(inj=inj_._parent)};inj instanceof ReflectiveInjector_;){var state_2=_loop_2();if("object"==typeof state_2)return state_2.value}return null!==inj?getAsyncFromInjector(inj,key.token,notFoundValue):new Promise(function(resolve){return resolve(_this._throwOrNull(key,notFoundValue))})},ReflectiveInjector_.prototype._indexOfKeyId=function(keyId){for(var i=0;i<this._proto.numberOfProviders;i++)if(this._proto.getProviderAtIndex(i).key.id===keyId)return i;return-1},ReflectiveInjector_.prototype._getAtIndexAsync=function(index,resolution){var _this=this,provider=this._proto.getProviderAtIndex(index);if(resolution.path.indexOf(provider)!==-1)return Promise.reject(new CyclicDependencyError(this,provider.key));if(provider.scope&&provider.scope!==ProviderScope.Singleton){if(resolution.scope===ProviderScope.Singleton)return Promise.reject(new ScopedDependencyError(this,provider.key,provider.scope));if(provider.scope===ProviderScope.Transient)return this._instantiateProviderAsync(provider,resolution);var objs=resolution.objs.get(this);return objs||(objs=new Map,resolution.objs.set(this,objs)),objs.has(provider)||objs.set(provider,this._instantiateProviderAsync(provider,resolution)),objs.get(provider)}var existing=this._strategy.getObjAtIndex(index);if(existing!==UNDEFINED)return Promise.resolve(existing);var pending=this._pendingAsync.get(provider);return pending||(pending=this._instantiateProviderAsync(provider,resolution).then(function(obj){return _this._pendingAsync.delete(provider),_this._strategy.setObjAtIndex(index,obj),obj},function(e){throw _this._pendingAsync.delete(provider),e}),this._pendingAsync.set(provider,pending)),pending},ReflectiveInjector_.prototype._instantiateProviderAsync=function(provider,resolution){var chain,_this=this,depResolution={path:resolution.path.concat([provider]),scope:provider.scope||ProviderScope.Singleton,objs:resolution.objs},decorators=provider.resolvedDecorators||[],decorated=0,decorate=function(obj){return _this._instantiateAsync(provider,decorators[decorated++],depResolution,[obj])};if(isDecoratorOnly(provider))chain=this._getByKeyAsync(provider.key,_SKIP_SELF,null,THROW_IF_NOT_FOUND,resolution);else if(provider.multiProvider){var counts_1=provider.decoratedFactoryCounts||[];chain=Promise.resolve([]),provider.resolvedFactories.forEach(function(factory,i){for(var d=0;d<counts_1.length;d++)counts_1[d]===i&&(chain=chain.then(decorate));chain=chain.then(function(res){return _this._instantiateAsync(provider,factory,depResolution).then(function(obj){return res.concat([obj])})})})}else chain=this._instantiateAsync(provider,provider.resolvedFactories[0],depResolution);return chain.then(function decorateRest(obj){return decorated<decorators.length?decorate(obj).then(decorateRest):obj})},ReflectiveInjector_.prototype._instantiateAsync=function(provider,ResolvedReflectiveFactory,resolution,leadingArgs){var _this=this;void 0===leadingArgs&&(leadingArgs=[]);var factory=ResolvedReflectiveFactory.factory,deps=leadingArgs.slice(),chain=Promise.resolve(null);return ResolvedReflectiveFactory.dependencies.forEach(function(dep){chain=chain.then(function(){return _this._getByKeyAsync(dep.key,dep.lowerBoundVisibility,dep.upperBoundVisibility,dep.optional?null:THROW_IF_NOT_FOUND,resolution)}).then(function(obj){deps.push(obj)})}),chain.then(function(){return new Promise(function(resolve){return resolve(factory.apply(void 0,deps))}).then(function(obj){return _this._trackForDestroy(ResolvedReflectiveFactory,resolution.scope,obj),obj},function(e){throw new InstantiationError(_this,e,e.stack,provider.key)})},function(e){throw(e instanceof AbstractProviderError||e instanceof InstantiationError)&&e.addKey(_this,provider.key),e})},Object.defineProperty(ReflectiveInjector_.prototype,"displayName",{get:function(){var providers=_mapProviders(this,function(b){return' "'+b.key.displayName+'" '}).join(", ");return"ReflectiveInjector(providers: ["+providers+"])"},enumerable:!0,configurable:!0}),ReflectiveInjector_.prototype.toString=function(){return this.displayName},ReflectiveInjector_}(),INJECTOR_KEY=ReflectiveKey.get(Injector),ERROR_REPORTERS=new OpaqueToken("ErrorReporters"),_REPORT_DEDUPLICATION_TIME=6e4,_MAX_REPORTS_PER_MINUTE=10,ErrorHandler=function(){function ErrorHandler(rethrowError){void 0===rethrowError&&(rethrowError=!0),this._console=console,this._reporters=[],this._lastReportTimes=new Map,this._recentReportTimes=[],this.rethrowError=rethrowError}return ErrorHandler.prototype.handleError=function(error){var originalError=this._findOriginalError(error),originalStack=this._findOriginalStack(error),context=this._findContext(error);if(this._console.error("EXCEPTION: "+this._extractMessage(error)),originalError&&this._console.error("ORIGINAL EXCEPTION: "+this._extractMessage(originalError)),originalStack&&(this._console.error("ORIGINAL STACKTRACE:"),this._console.error(originalStack)),context&&(this._console.error("ERROR CONTEXT:"),this._console.error(context)),this._reporters.length&&this._report(this.createReport(error)),this.rethrowError)throw error},ErrorHandler.prototype.addReporter=function(reporter){
+this._reporters.push(reporter)},ErrorHandler.prototype.createReport=function(error){for(var _this=this,errorChain=[],e=error;e;e=e.originalError)errorChain.push(e);var context=this._findContext(error),component=null;return context&&(component=context.viewComponent||context.component),{message:this._extractMessage(error),errorChain:errorChain.map(function(e){return _this._extractMessage(e)}),originalError:errorChain[errorChain.length-1],stack:this._findOriginalStack(error),source:context?context.source:null,component:component?stringify(component.constructor):null,providerTokens:context&&context.providerTokens?context.providerTokens.map(function(token){return stringify(token)}):null}},ErrorHandler.prototype._report=function(report){var _this=this,now=Date.now(),key=report.message+"\n"+report.source,lastReportTime=this._lastReportTimes.get(key);if(!(void 0!==lastReportTime&&now-lastReportTime<_REPORT_DEDUPLICATION_TIME)){for(;this._recentReportTimes.length&&now-this._recentReportTimes[0]>=6e4;)this._recentReportTimes.shift();this._recentReportTimes.length>=_MAX_REPORTS_PER_MINUTE||(this._lastReportTimes.forEach(function(time,reportedKey){now-time>=_REPORT_DEDUPLICATION_TIME&&_this._lastReportTimes.delete(reportedKey)}),this._lastReportTimes.set(key,now),this._recentReportTimes.push(now),this._reporters.forEach(function(reporter){try{reporter.report(report)}catch(e){_this._console.error("ERROR REPORTER FAILED: "+_this._extractMessage(e))}}))}},ErrorHandler.prototype._extractMessage=function(error){return error instanceof Error?error.message:error.toString()},ErrorHandler.prototype._findContext=function(error){return error?error.context?error.context:this._findContext(error.originalError):null},ErrorHandler.prototype._findOriginalError=function(error){for(var e=error.originalError;e&&e.originalError;)e=e.originalError;return e},ErrorHandler.prototype._findOriginalStack=function(error){if(!(error instanceof Error))return null;for(var e=error,stack=e.stack;e instanceof Error&&e.originalError;)e=e.originalError,e instanceof Error&&e.stack&&(stack=e.stack);return stack},ErrorHandler}(),StringMapWrapper=function(){function StringMapWrapper(){}return StringMapWrapper.merge=function(m1,m2){for(var m={},_i=0,_a=Object.keys(m1);_i<_a.length;_i++){var k=_a[_i];m[k]=m1[k]}for(var _b=0,_c=Object.keys(m2);_b<_c.length;_b++){var k=_c[_b];m[k]=m2[k]}return m},StringMapWrapper.equals=function(m1,m2){var k1=Object.keys(m1),k2=Object.keys(m2);if(k1.length!=k2.length)return!1;for(var i=0;i<k1.length;i++){var key=k1[i];if(m1[key]!==m2[key])return!1}return!0},StringMapWrapper}(),ListWrapper=function(){function ListWrapper(){}return ListWrapper.findLast=function(arr,condition){for(var i=arr.length-1;i>=0;i--)if(condition(arr[i]))return arr[i];return null},ListWrapper.removeAll=function(list,items){for(var i=0;i<items.length;++i){var index=list.indexOf(items[i]);index>-1&&list.splice(index,1)}},ListWrapper.remove=function(list,el){var index=list.indexOf(el);return index>-1&&(list.splice(index,1),!0)},ListWrapper.equals=function(a,b){if(a.length!=b.length)return!1;for(var i=0;i<a.length;++i)if(a[i]!==b[i])return!1;return!0},ListWrapper.flatten=function(list){return list.reduce(function(flat,item){var flatItem=Array.isArray(item)?ListWrapper.flatten(item):item;return flat.concat(flatItem)},[])},ListWrapper}(),APP_INITIALIZER=new OpaqueToken("Application Initializer"),ApplicationInitStatus=function(){function ApplicationInitStatus(appInits){var _this=this;this._done=!1;var asyncInitPromises=[];if(appInits)for(var i=0;i<appInits.length;i++){var initResult=appInits[i]();isPromise(initResult)&&asyncInitPromises.push(initResult)}this._donePromise=Promise.all(asyncInitPromises).then(function(){_this._done=!0}),0===asyncInitPromises.length&&(this._done=!0)}return Object.defineProperty(ApplicationInitStatus.prototype,"done",{get:function(){return this._done},enumerable:!0,configurable:!0}),Object.defineProperty(ApplicationInitStatus.prototype,"donePromise",{get:function(){return this._donePromise},enumerable:!0,configurable:!0}),ApplicationInitStatus.decorators=[{type:Injectable}],ApplicationInitStatus.ctorParameters=function(){return[{type:Array,decorators:[{type:Inject,args:[APP_INITIALIZER]},{type:Optional}]}]},ApplicationInitStatus}(),APP_ID=new OpaqueToken("AppId"),APP_ID_RANDOM_PROVIDER={provide:APP_ID,useFactory:_appIdRandomProviderFactory,deps:[]},PLATFORM_INITIALIZER=new OpaqueToken("Platform Initializer"),APP_BOOTSTRAP_LISTENER=new OpaqueToken("appBootstrapListener"),PACKAGE_ROOT_URL=new OpaqueToken("Application Packages Root URL"),Console=function(){function Console(){}return Console.prototype.log=function(message){print(message)},Console.prototype.warn=function(message){warn(message)},Console.decorators=[{type:Injectable}],Console.ctorParameters=function(){return[]},Console}(),__extends$4=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},ComponentStillLoadingError=function(_super){function ComponentStillLoadingError(compType){_super.call(this,"Can't compile synchronously as "+stringify(compType)+" is still being loaded!"),this.compType=compType}return __extends$4(ComponentStillLoadingError,_super),ComponentStillLoadingError}(BaseError),ModuleWithComponentFactories=function(){function ModuleWithComponentFactories(ngModuleFactory,componentFactories){this.ngModuleFactory=ngModuleFactory,this.componentFactories=componentFactories}return ModuleWithComponentFactories}(),Compiler=function(){function Compiler(){}return Compiler.prototype.compileModuleSync=function(moduleType){throw _throwError()},Compiler.prototype.compileModuleAsync=function(moduleType){throw _throwError()},Compiler.prototype.compileModuleAndAllComponentsSync=function(moduleType){throw _throwError()},Compiler.prototype.compileModuleAndAllComponentsAsync=function(moduleType){throw _throwError()},Compiler.prototype.getNgContentSelectors=function(component){throw _throwError()},Compiler.prototype.clearCache=function(){},Compiler.prototype.clearCacheFor=function(type){},Compiler.decorators=[{type:Injectable}],Compiler.ctorParameters=function(){return[]},Compiler}(),COMPILER_OPTIONS=new OpaqueToken("compilerOptions"),CompilerFactory=function(){function CompilerFactory(){}return CompilerFactory.prototype.createCompiler=function(options){},CompilerFactory}(),ElementRef=function(){function ElementRef(nativeElement){this.nativeElement=nativeElement}return ElementRef}(),__extends$7=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},_getCurrentNoopZone=function(){return null},EventEmitter=function(_super){function EventEmitter(isAsync){void 0===isAsync&&(isAsync=!1),_super.call(this),this.__isAsync=isAsync,this.__noopZone=_getCurrentNoopZone()}return __extends$7(EventEmitter,_super),EventEmitter.prototype.emit=function(value){_super.prototype.next.call(this,value),this.__noopZone&&this.__noopZone.scheduleTick()},EventEmitter.prototype.subscribe=function(generatorOrNext,error,complete){var schedulerFn,errorFn=function(err){return null},completeFn=function(){return null};return generatorOrNext&&"object"==typeof generatorOrNext?(schedulerFn=this.__isAsync?function(value){setTimeout(function(){return generatorOrNext.next(value)})}:function(value){generatorOrNext.next(value)},generatorOrNext.error&&(errorFn=this.__isAsync?function(err){setTimeout(function(){return generatorOrNext.error(err)})}:function(err){generatorOrNext.error(err)}),generatorOrNext.complete&&(completeFn=this.__isAsync?function(){setTimeout(function(){return generatorOrNext.complete()})}:function(){generatorOrNext.complete()})):(schedulerFn=this.__isAsync?function(value){setTimeout(function(){return generatorOrNext(value)})}:function(value){generatorOrNext(value)},error&&(errorFn=this.__isAsync?function(err){setTimeout(function(){return error(err)})}:function(err){error(err)}),complete&&(completeFn=this.__isAsync?function(){setTimeout(function(){return complete()})}:function(){complete()})),_super.prototype.subscribe.call(this,schedulerFn,errorFn,completeFn)},EventEmitter}(rxjs_Subject.Subject),__extends$6=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},_NOOP_ZONE_OPTIONS={},_currentNoopZone=null,NgZone=function(){function NgZone(_a){var _b=_a.enableLongStackTrace,enableLongStackTrace=void 0!==_b&&_b,_c=_a.trackPendingTasks,trackPendingTasks=void 0!==_c&&_c;if(this._hasPendingMicrotasks=!1,this._hasPendingMacrotasks=!1,this._isStable=!0,this._nesting=0,this._onUnstable=new EventEmitter((!1)),this._onMicrotaskEmpty=new EventEmitter((!1)),this._onStable=new EventEmitter((!1)),this._onErrorEvents=new EventEmitter((!1)),this._pendingTasks=null,this._onPendingTasksChange=null,arguments[0]!==_NOOP_ZONE_OPTIONS){if("undefined"==typeof Zone)throw new Error("Angular requires Zone.js prolyfill.");Zone.assertZonePatched(),this.outer=this.inner=Zone.current,Zone.wtfZoneSpec&&(this.inner=this.inner.fork(Zone.wtfZoneSpec)),enableLongStackTrace&&Zone.longStackTraceZoneSpec&&(this.inner=this.inner.fork(Zone.longStackTraceZoneSpec)),trackPendingTasks&&this.forkInnerZoneWithTaskTracking(),this.forkInnerZoneWithAngularBehavior()}}return NgZone.isInAngularZone=function(){return null!==_currentNoopZone||"undefined"!=typeof Zone&&Zone.current.get("isAngularZone")===!0},NgZone.assertInAngularZone=function(){if(!NgZone.isInAngularZone())throw new Error("Expected to be in Angular Zone, but it is not!")},NgZone.assertNotInAngularZone=function(){if(NgZone.isInAngularZone())throw new Error("Expected to not be in Angular Zone, but it is!")},NgZone.prototype.run=function(fn){return this.inner.run(fn)},NgZone.prototype.runGuarded=function(fn){return this.inner.runGuarded(fn)},NgZone.prototype.runOutsideAngular=function(fn){return this.outer.run(fn)},Object.defineProperty(NgZone.prototype,"onUnstable",{get:function(){return this._onUnstable},enumerable:!0,configurable:!0}),Object.defineProperty(NgZone.prototype,"onMicrotaskEmpty",{get:function(){return this._onMicrotaskEmpty},enumerable:!0,configurable:!0}),Object.defineProperty(NgZone.prototype,"onStable",{get:function(){return this._onStable},enumerable:!0,configurable:!0}),Object.defineProperty(NgZone.prototype,"onError",{get:function(){return this._onErrorEvents},enumerable:!0,configurable:!0}),Object.defineProperty(NgZone.prototype,"isStable",{get:function(){return this._isStable},enumerable:!0,configurable:!0}),Object.defineProperty(NgZone.prototype,"hasPendingMicrotasks",{get:function(){return this._hasPendingMicrotasks},enumerable:!0,configurable:!0}),Object.defineProperty(NgZone.prototype,"hasPendingMacrotasks",{get:function(){return this._hasPendingMacrotasks},enumerable:!0,configurable:!0}),NgZone.prototype.getPendingTasks=function(){if(!this._pendingTasks)return[];var now=Date.now(),tasks=[];return this._pendingTasks.forEach(function(info){return tasks.push({type:info.type,source:info.source,creationStack:info.creationStack,creationTime:info.creationTime,age:now-info.creationTime})}),tasks},NgZone.prototype.checkStable=function(){var _this=this;if(0==this._nesting&&!this._hasPendingMicrotasks&&!this._isStable)try{this._nesting++,this._onMicrotaskEmpty.emit(null)}finally{if(this._nesting--,!this._hasPendingMicrotasks)try{this.runOutsideAngular(function(){return _this._onStable.emit(null)})}finally{this._isStable=!0}}},NgZone.prototype.forkInnerZoneWithTaskTracking=function(){var _this=this;this._pendingTasks=new Map,this._onPendingTasksChange=new EventEmitter((!1)),this.inner=this.inner.fork({name:"angularTaskTracking",onScheduleTask:function(delegate,current,target,task){return"eventTask"!==task.type&&(_this._pendingTasks.set(task,{type:task.type,source:task.source,creationStack:new Error(task.type+" scheduled by "+task.source).stack,creationTime:Date.now()}),_this._onPendingTasksChange.emit(null)),delegate.scheduleTask(target,task)},onInvokeTask:function(delegate,current,target,task,applyThis,applyArgs){try{return delegate.invokeTask(target,task,applyThis,applyArgs)}finally{task.data&&task.data.isPeriodic||_this._untrackTask(task)}},onCancelTask:function(delegate,current,target,task){return _this._untrackTask(task),delegate.cancelTask(target,task)}})},NgZone.prototype._untrackTask=function(task){this._pendingTasks.delete(task)&&this._onPendingTasksChange.emit(null)},NgZone.prototype.forkInnerZoneWithAngularBehavior=function(){var _this=this;this.inner=this.inner.fork({name:"angular",properties:{isAngularZone:!0},onInvokeTask:function(delegate,current,target,task,applyThis,applyArgs){try{return _this.onEnter(),delegate.invokeTask(target,task,applyThis,applyArgs)}finally{_this.onLeave()}},onInvoke:function(delegate,current,target,callback,applyThis,applyArgs,source){try{return _this.onEnter(),delegate.invoke(target,callback,applyThis,applyArgs,source)}finally{_this.onLeave()}},onHasTask:function(delegate,current,target,hasTaskState){delegate.hasTask(target,hasTaskState),current===target&&("microTask"==hasTaskState.change?_this.setHasMicrotask(hasTaskState.microTask):"macroTask"==hasTaskState.change&&_this.setHasMacrotask(hasTaskState.macroTask))},onHandleError:function(delegate,current,target,error){return delegate.handleError(target,error),_this.triggerError(error),!1}})},NgZone.prototype.onEnter=function(){this._nesting++,this._isStable&&(this._isStable=!1,this._onUnstable.emit(null))},NgZone.prototype.onLeave=function(){this._nesting--,this.checkStable()},NgZone.prototype.setHasMicrotask=function(hasMicrotasks){this._hasPendingMicrotasks=hasMicrotasks,this.checkStable()},NgZone.prototype.setHasMacrotask=function(hasMacrotasks){this._hasPendingMacrotasks=hasMacrotasks},NgZone.prototype.triggerError=function(error){this._onErrorEvents.emit(error)},NgZone}(),NoopNgZone=function(_super){function NoopNgZone(){_super.call(this,_NOOP_ZONE_OPTIONS)}return __extends$6(NoopNgZone,_super),NoopNgZone.prototype.run=function(fn){var previous=_currentNoopZone;_currentNoopZone=this,this.onEnter();try{return fn()}finally{_currentNoopZone=previous,this.onLeave()}},NoopNgZone.prototype.runGuarded=function(fn){try{return this.run(fn)}catch(e){this.triggerError(e)}},NoopNgZone.prototype.runOutsideAngular=function(fn){var previous=_currentNoopZone;_currentNoopZone=null;try{return fn()}finally{_currentNoopZone=previous}},NoopNgZone.prototype.scheduleTick=function(){var _this=this;this._hasPendingMicrotasks||(this._hasPendingMicrotasks=!0,this._isStable&&(this._isStable=!1,this._onUnstable.emit(null)),Promise.resolve(null).then(function(){_this._hasPendingMicrotasks=!1;try{_this.checkStable()}catch(e){_this.triggerError(e)}}))},NoopNgZone}(NgZone);setNoopZoneGetter(getCurrentNoopZone);var AnimationQueue=function(){function AnimationQueue(_zone){this._zone=_zone,this.entries=[]}return AnimationQueue.prototype.enqueue=function(player){this.entries.push(player)},AnimationQueue.prototype.flush=function(){var _this=this;this.entries.length&&this._zone.runOutsideAngular(function(){Promise.resolve(null).then(function(){return _this._triggerAnimations()})})},AnimationQueue.prototype._triggerAnimations=function(){for(NgZone.assertNotInAngularZone();this.entries.length;){var player=this.entries.shift();player.hasStarted()||player.play()}},AnimationQueue.decorators=[{type:Injectable}],AnimationQueue.ctorParameters=function(){return[{type:NgZone}]},AnimationQueue}(),DefaultIterableDifferFactory=function(){function DefaultIterableDifferFactory(){}return DefaultIterableDifferFactory.prototype.supports=function(obj){return isListLikeIterable(obj)},DefaultIterableDifferFactory.prototype.create=function(cdRef,trackByFn){return new DefaultIterableDiffer(trackByFn)},DefaultIterableDifferFactory}(),trackByIdentity=function(index,item){return item},DefaultIterableDiffer=function(){function DefaultIterableDiffer(_trackByFn){this._trackByFn=_trackByFn,this._length=null,this._collection=null,this._linkedRecords=null,this._unlinkedRecords=null,this._previousItHead=null,this._itHead=null,this._itTail=null,this._additionsHead=null,this._additionsTail=null,this._movesHead=null,this._movesTail=null,this._removalsHead=null,this._removalsTail=null,this._identityChangesHead=null,this._identityChangesTail=null,this._trackByFn=this._trackByFn||trackByIdentity}return Object.defineProperty(DefaultIterableDiffer.prototype,"collection",{get:function(){return this._collection},enumerable:!0,configurable:!0}),Object.defineProperty(DefaultIterableDiffer.prototype,"length",{get:function(){return this._length},enumerable:!0,configurable:!0}),DefaultIterableDiffer.prototype.forEachItem=function(fn){var record;for(record=this._itHead;null!==record;record=record._next)fn(record)},DefaultIterableDiffer.prototype.forEachOperation=function(fn){for(var nextIt=this._itHead,nextRemove=this._removalsHead,addRemoveOffset=0,moveOffsets=null;nextIt||nextRemove;){var record=!nextRemove||nextIt&&nextIt.currentIndex<getPreviousIndex(nextRemove,addRemoveOffset,moveOffsets)?nextIt:nextRemove,adjPreviousIndex=getPreviousIndex(record,addRemoveOffset,moveOffsets),currentIndex=record.currentIndex;if(record===nextRemove)addRemoveOffset--,nextRemove=nextRemove._nextRemoved;else if(nextIt=nextIt._next,null==record.previousIndex)addRemoveOffset++;else{moveOffsets||(moveOffsets=[]);var localMovePreviousIndex=adjPreviousIndex-addRemoveOffset,localCurrentIndex=currentIndex-addRemoveOffset;if(localMovePreviousIndex!=localCurrentIndex){for(var i=0;i<localMovePreviousIndex;i++){var offset=i<moveOffsets.length?moveOffsets[i]:moveOffsets[i]=0,index=offset+i;localCurrentIndex<=index&&index<localMovePreviousIndex&&(moveOffsets[i]=offset+1)}var previousIndex=record.previousIndex;moveOffsets[previousIndex]=localCurrentIndex-localMovePreviousIndex}}adjPreviousIndex!==currentIndex&&fn(record,adjPreviousIndex,currentIndex)}},DefaultIterableDiffer.prototype.forEachPreviousItem=function(fn){var record;for(record=this._previousItHead;null!==record;record=record._nextPrevious)fn(record)},DefaultIterableDiffer.prototype.forEachAddedItem=function(fn){var record;for(record=this._additionsHead;null!==record;record=record._nextAdded)fn(record)},DefaultIterableDiffer.prototype.forEachMovedItem=function(fn){var record;for(record=this._movesHead;null!==record;record=record._nextMoved)fn(record)},DefaultIterableDiffer.prototype.forEachRemovedItem=function(fn){var record;for(record=this._removalsHead;null!==record;record=record._nextRemoved)fn(record)},DefaultIterableDiffer.prototype.forEachIdentityChange=function(fn){var record;for(record=this._identityChangesHead;null!==record;record=record._nextIdentityChange)fn(record)},DefaultIterableDiffer.prototype.diff=function(collection){if(isBlank(collection)&&(collection=[]),!isListLikeIterable(collection))throw new Error("Error trying to diff '"+collection+"'");return this.check(collection)?this:null},DefaultIterableDiffer.prototype.onDestroy=function(){},DefaultIterableDiffer.prototype.check=function(collection){var _this=this;this._reset();var index,item,itemTrackBy,record=this._itHead,mayBeDirty=!1;if(Array.isArray(collection)){var list=collection;this._length=list.length;for(var index_1=0;index_1<this._length;index_1++)item=list[index_1],itemTrackBy=this._trackByFn(index_1,item),null!==record&&looseIdentical(record.trackById,itemTrackBy)?(mayBeDirty&&(record=this._verifyReinsertion(record,item,itemTrackBy,index_1)),looseIdentical(record.item,item)||this._addIdentityChange(record,item)):(record=this._mismatch(record,item,itemTrackBy,index_1),mayBeDirty=!0),record=record._next}else index=0,iterateListLike(collection,function(item){itemTrackBy=_this._trackByFn(index,item),null!==record&&looseIdentical(record.trackById,itemTrackBy)?(mayBeDirty&&(record=_this._verifyReinsertion(record,item,itemTrackBy,index)),looseIdentical(record.item,item)||_this._addIdentityChange(record,item)):(record=_this._mismatch(record,item,itemTrackBy,index),mayBeDirty=!0),record=record._next,index++}),this._length=index;return this._truncate(record),this._collection=collection,this.isDirty},Object.defineProperty(DefaultIterableDiffer.prototype,"isDirty",{get:function(){return null!==this._additionsHead||null!==this._movesHead||null!==this._removalsHead||null!==this._identityChangesHead},enumerable:!0,configurable:!0}),DefaultIterableDiffer.prototype._reset=function(){if(this.isDirty){var record=void 0,nextRecord=void 0;for(record=this._previousItHead=this._itHead;null!==record;record=record._next)record._nextPrevious=record._next;for(record=this._additionsHead;null!==record;record=record._nextAdded)record.previousIndex=record.currentIndex;for(this._additionsHead=this._additionsTail=null,record=this._movesHead;null!==record;record=nextRecord)record.previousIndex=record.currentIndex,nextRecord=record._nextMoved;this._movesHead=this._movesTail=null,this._removalsHead=this._removalsTail=null,this._identityChangesHead=this._identityChangesTail=null}},DefaultIterableDiffer.prototype._mismatch=function(record,item,itemTrackBy,index){var previousRecord;return null===record?previousRecord=this._itTail:(previousRecord=record._prev,this._remove(record)),record=null===this._linkedRecords?null:this._linkedRecords.get(itemTrackBy,index),null!==record?(looseIdentical(record.item,item)||this._addIdentityChange(record,item),this._moveAfter(record,previousRecord,index)):(record=null===this._unlinkedRecords?null:this._unlinkedRecords.get(itemTrackBy),null!==record?(looseIdentical(record.item,item)||this._addIdentityChange(record,item),this._reinsertAfter(record,previousRecord,index)):record=this._addAfter(new IterableChangeRecord_(item,itemTrackBy),previousRecord,index)),record},DefaultIterableDiffer.prototype._verifyReinsertion=function(record,item,itemTrackBy,index){var reinsertRecord=null===this._unlinkedRecords?null:this._unlinkedRecords.get(itemTrackBy);return null!==reinsertRecord?record=this._reinsertAfter(reinsertRecord,record._prev,index):record.currentIndex!=index&&(record.currentIndex=index,this._addToMoves(record,index)),record},DefaultIterableDiffer.prototype._truncate=function(record){for(;null!==record;){var nextRecord=record._next;this._addToRemovals(this._unlink(record)),record=nextRecord}null!==this._unlinkedRecords&&this._unlinkedRecords.clear(),null!==this._additionsTail&&(this._additionsTail._nextAdded=null),null!==this._movesTail&&(this._movesTail._nextMoved=null),null!==this._itTail&&(this._itTail._next=null),null!==this._removalsTail&&(this._removalsTail._nextRemoved=null),null!==this._identityChangesTail&&(this._identityChangesTail._nextIdentityChange=null)},DefaultIterableDiffer.prototype._reinsertAfter=function(record,prevRecord,index){null!==this._unlinkedRecords&&this._unlinkedRecords.remove(record);var prev=record._prevRemoved,next=record._nextRemoved;return null===prev?this._removalsHead=next:prev._nextRemoved=next,null===next?this._removalsTail=prev:next._prevRemoved=prev,this._insertAfter(record,prevRecord,index),this._addToMoves(record,index),record},DefaultIterableDiffer.prototype._moveAfter=function(record,prevRecord,index){return this._unlink(record),this._insertAfter(record,prevRecord,index),this._addToMoves(record,index),record},DefaultIterableDiffer.prototype._addAfter=function(record,prevRecord,index){return this._insertAfter(record,prevRecord,index),null===this._additionsTail?this._additionsTail=this._additionsHead=record:this._additionsTail=this._additionsTail._nextAdded=record,record},DefaultIterableDiffer.prototype._insertAfter=function(record,prevRecord,index){var next=null===prevRecord?this._itHead:prevRecord._next;return record._next=next,record._prev=prevRecord,null===next?this._itTail=record:next._prev=record,null===prevRecord?this._itHead=record:prevRecord._next=record,null===this._linkedRecords&&(this._linkedRecords=new _DuplicateMap),this._linkedRecords.put(record),record.currentIndex=index,record},DefaultIterableDiffer.prototype._remove=function(record){return this._addToRemovals(this._unlink(record))},DefaultIterableDiffer.prototype._unlink=function(record){null!==this._linkedRecords&&this._linkedRecords.remove(record);var prev=record._prev,next=record._next;return null===prev?this._itHead=next:prev._next=next,null===next?this._itTail=prev:next._prev=prev,record},DefaultIterableDiffer.prototype._addToMoves=function(record,toIndex){return record.previousIndex===toIndex?record:(null===this._movesTail?this._movesTail=this._movesHead=record:this._movesTail=this._movesTail._nextMoved=record,record)},DefaultIterableDiffer.prototype._addToRemovals=function(record){return null===this._unlinkedRecords&&(this._unlinkedRecords=new _DuplicateMap),this._unlinkedRecords.put(record),record.currentIndex=null,record._nextRemoved=null,null===this._removalsTail?(this._removalsTail=this._removalsHead=record,record._prevRemoved=null):(record._prevRemoved=this._removalsTail,this._removalsTail=this._removalsTail._nextRemoved=record),record},DefaultIterableDiffer.prototype._addIdentityChange=function(record,item){return record.item=item,null===this._identityChangesTail?this._identityChangesTail=this._identityChangesHead=record:this._identityChangesTail=this._identityChangesTail._nextIdentityChange=record,record},DefaultIterableDiffer.prototype.toString=function(){var list=[];this.forEachItem(function(record){return list.push(record)});var previous=[];this.forEachPreviousItem(function(record){return previous.push(record)});var additions=[];this.forEachAddedItem(function(record){return additions.push(record)});var moves=[];this.forEachMovedItem(function(record){return moves.push(record)});var removals=[];this.forEachRemovedItem(function(record){return removals.push(record)});var identityChanges=[];return this.forEachIdentityChange(function(record){return identityChanges.push(record)}),"collection: "+list.join(", ")+"\nprevious: "+previous.join(", ")+"\nadditions: "+additions.join(", ")+"\nmoves: "+moves.join(", ")+"\nremovals: "+removals.join(", ")+"\nidentityChanges: "+identityChanges.join(", ")+"\n"},DefaultIterableDiffer}(),IterableChangeRecord_=function(){function IterableChangeRecord_(item,trackById){this.item=item,this.trackById=trackById,this.currentIndex=null,this.previousIndex=null,this._nextPrevious=null,this._prev=null,this._next=null,this._prevDup=null,this._nextDup=null,this._prevRemoved=null,this._nextRemoved=null,this._nextAdded=null,this._nextMoved=null,this._nextIdentityChange=null}return IterableChangeRecord_.prototype.toString=function(){return this.previousIndex===this.currentIndex?stringify(this.item):stringify(this.item)+"["+stringify(this.previousIndex)+"->"+stringify(this.currentIndex)+"]"},IterableChangeRecord_}(),_DuplicateItemRecordList=function(){function _DuplicateItemRecordList(){this._head=null,this._tail=null}return _DuplicateItemRecordList.prototype.add=function(record){null===this._head?(this._head=this._tail=record,record._nextDup=null,record._prevDup=null):(this._tail._nextDup=record,record._prevDup=this._tail,record._nextDup=null,this._tail=record)},_DuplicateItemRecordList.prototype.get=function(trackById,afterIndex){var record;for(record=this._head;null!==record;record=record._nextDup)if((null===afterIndex||afterIndex<record.currentIndex)&&looseIdentical(record.trackById,trackById))return record;return null},_DuplicateItemRecordList.prototype.remove=function(record){var prev=record._prevDup,next=record._nextDup;return null===prev?this._head=next:prev._nextDup=next,null===next?this._tail=prev:next._prevDup=prev,null===this._head},_DuplicateItemRecordList}(),_DuplicateMap=function(){function _DuplicateMap(){this.map=new Map}return _DuplicateMap.prototype.put=function(record){var key=record.trackById,duplicates=this.map.get(key);duplicates||(duplicates=new _DuplicateItemRecordList,this.map.set(key,duplicates)),duplicates.add(record)},_DuplicateMap.prototype.get=function(trackById,afterIndex){void 0===afterIndex&&(afterIndex=null);var key=trackById,recordList=this.map.get(key);return recordList?recordList.get(trackById,afterIndex):null},_DuplicateMap.prototype.remove=function(record){var key=record.trackById,recordList=this.map.get(key);return recordList.remove(record)&&this.map.delete(key),record},Object.defineProperty(_DuplicateMap.prototype,"isEmpty",{get:function(){return 0===this.map.size},enumerable:!0,configurable:!0}),_DuplicateMap.prototype.clear=function(){this.map.clear()},_DuplicateMap.prototype.toString=function(){return"_DuplicateMap("+stringify(this.map)+")"},_DuplicateMap}(),DefaultKeyValueDifferFactory=function(){function DefaultKeyValueDifferFactory(){}return DefaultKeyValueDifferFactory.prototype.supports=function(obj){return obj instanceof Map||isJsObject(obj)},DefaultKeyValueDifferFactory.prototype.create=function(cdRef){return new DefaultKeyValueDiffer},DefaultKeyValueDifferFactory}(),DefaultKeyValueDiffer=function(){function DefaultKeyValueDiffer(){this._records=new Map,this._mapHead=null,this._previousMapHead=null,this._changesHead=null,this._changesTail=null,this._additionsHead=null,this._additionsTail=null,this._removalsHead=null,this._removalsTail=null}return Object.defineProperty(DefaultKeyValueDiffer.prototype,"isDirty",{get:function(){return null!==this._additionsHead||null!==this._changesHead||null!==this._removalsHead},enumerable:!0,configurable:!0}),DefaultKeyValueDiffer.prototype.forEachItem=function(fn){var record;for(record=this._mapHead;null!==record;record=record._next)fn(record)},DefaultKeyValueDiffer.prototype.forEachPreviousItem=function(fn){var record;for(record=this._previousMapHead;null!==record;record=record._nextPrevious)fn(record)},DefaultKeyValueDiffer.prototype.forEachChangedItem=function(fn){var record;for(record=this._changesHead;null!==record;record=record._nextChanged)fn(record)},DefaultKeyValueDiffer.prototype.forEachAddedItem=function(fn){var record;for(record=this._additionsHead;null!==record;record=record._nextAdded)fn(record)},DefaultKeyValueDiffer.prototype.forEachRemovedItem=function(fn){var record;for(record=this._removalsHead;null!==record;record=record._nextRemoved)fn(record)},DefaultKeyValueDiffer.prototype.diff=function(map){if(map){if(!(map instanceof Map||isJsObject(map)))throw new Error("Error trying to diff '"+map+"'")}else map=new Map;return this.check(map)?this:null},DefaultKeyValueDiffer.prototype.onDestroy=function(){},DefaultKeyValueDiffer.prototype.check=function(map){var _this=this;this._reset();var records=this._records,oldSeqRecord=this._mapHead,lastOldSeqRecord=null,lastNewSeqRecord=null,seqChanged=!1;return this._forEach(map,function(value,key){var newSeqRecord;oldSeqRecord&&key===oldSeqRecord.key?(newSeqRecord=oldSeqRecord,_this._maybeAddToChanges(newSeqRecord,value)):(seqChanged=!0,null!==oldSeqRecord&&(_this._removeFromSeq(lastOldSeqRecord,oldSeqRecord),_this._addToRemovals(oldSeqRecord)),records.has(key)?(newSeqRecord=records.get(key),_this._maybeAddToChanges(newSeqRecord,value)):(newSeqRecord=new KeyValueChangeRecord_(key),records.set(key,newSeqRecord),newSeqRecord.currentValue=value,_this._addToAdditions(newSeqRecord))),seqChanged&&(_this._isInRemovals(newSeqRecord)&&_this._removeFromRemovals(newSeqRecord),null==lastNewSeqRecord?_this._mapHead=newSeqRecord:lastNewSeqRecord._next=newSeqRecord),lastOldSeqRecord=oldSeqRecord,lastNewSeqRecord=newSeqRecord,oldSeqRecord=oldSeqRecord&&oldSeqRecord._next}),this._truncate(lastOldSeqRecord,oldSeqRecord),this.isDirty},DefaultKeyValueDiffer.prototype._reset=function(){if(this.isDirty){var record=void 0;for(record=this._previousMapHead=this._mapHead;null!==record;record=record._next)record._nextPrevious=record._next;for(record=this._changesHead;null!==record;record=record._nextChanged)record.previousValue=record.currentValue;for(record=this._additionsHead;null!=record;record=record._nextAdded)record.previousValue=record.currentValue;
+this._changesHead=this._changesTail=null,this._additionsHead=this._additionsTail=null,this._removalsHead=this._removalsTail=null}},DefaultKeyValueDiffer.prototype._truncate=function(lastRecord,record){for(;null!==record;){null===lastRecord?this._mapHead=null:lastRecord._next=null;var nextRecord=record._next;this._addToRemovals(record),lastRecord=record,record=nextRecord}for(var rec=this._removalsHead;null!==rec;rec=rec._nextRemoved)rec.previousValue=rec.currentValue,rec.currentValue=null,this._records.delete(rec.key)},DefaultKeyValueDiffer.prototype._maybeAddToChanges=function(record,newValue){looseIdentical(newValue,record.currentValue)||(record.previousValue=record.currentValue,record.currentValue=newValue,this._addToChanges(record))},DefaultKeyValueDiffer.prototype._isInRemovals=function(record){return record===this._removalsHead||null!==record._nextRemoved||null!==record._prevRemoved},DefaultKeyValueDiffer.prototype._addToRemovals=function(record){null===this._removalsHead?this._removalsHead=this._removalsTail=record:(this._removalsTail._nextRemoved=record,record._prevRemoved=this._removalsTail,this._removalsTail=record)},DefaultKeyValueDiffer.prototype._removeFromSeq=function(prev,record){var next=record._next;null===prev?this._mapHead=next:prev._next=next,record._next=null},DefaultKeyValueDiffer.prototype._removeFromRemovals=function(record){var prev=record._prevRemoved,next=record._nextRemoved;null===prev?this._removalsHead=next:prev._nextRemoved=next,null===next?this._removalsTail=prev:next._prevRemoved=prev,record._prevRemoved=record._nextRemoved=null},DefaultKeyValueDiffer.prototype._addToAdditions=function(record){null===this._additionsHead?this._additionsHead=this._additionsTail=record:(this._additionsTail._nextAdded=record,this._additionsTail=record)},DefaultKeyValueDiffer.prototype._addToChanges=function(record){null===this._changesHead?this._changesHead=this._changesTail=record:(this._changesTail._nextChanged=record,this._changesTail=record)},DefaultKeyValueDiffer.prototype.toString=function(){var record,items=[],previous=[],changes=[],additions=[],removals=[];for(record=this._mapHead;null!==record;record=record._next)items.push(stringify(record));for(record=this._previousMapHead;null!==record;record=record._nextPrevious)previous.push(stringify(record));for(record=this._changesHead;null!==record;record=record._nextChanged)changes.push(stringify(record));for(record=this._additionsHead;null!==record;record=record._nextAdded)additions.push(stringify(record));for(record=this._removalsHead;null!==record;record=record._nextRemoved)removals.push(stringify(record));return"map: "+items.join(", ")+"\nprevious: "+previous.join(", ")+"\nadditions: "+additions.join(", ")+"\nchanges: "+changes.join(", ")+"\nremovals: "+removals.join(", ")+"\n"},DefaultKeyValueDiffer.prototype._forEach=function(obj,fn){obj instanceof Map?obj.forEach(fn):Object.keys(obj).forEach(function(k){return fn(obj[k],k)})},DefaultKeyValueDiffer}(),KeyValueChangeRecord_=function(){function KeyValueChangeRecord_(key){this.key=key,this.previousValue=null,this.currentValue=null,this._nextPrevious=null,this._next=null,this._nextAdded=null,this._nextRemoved=null,this._prevRemoved=null,this._nextChanged=null}return KeyValueChangeRecord_.prototype.toString=function(){return looseIdentical(this.previousValue,this.currentValue)?stringify(this.key):stringify(this.key)+"["+stringify(this.previousValue)+"->"+stringify(this.currentValue)+"]"},KeyValueChangeRecord_}(),IterableDiffers=function(){function IterableDiffers(factories){this.factories=factories}return IterableDiffers.create=function(factories,parent){if(isPresent(parent)){var copied=parent.factories.slice();return factories=factories.concat(copied),new IterableDiffers(factories)}return new IterableDiffers(factories)},IterableDiffers.extend=function(factories){return{provide:IterableDiffers,useFactory:function(parent){if(!parent)throw new Error("Cannot extend IterableDiffers without a parent injector");return IterableDiffers.create(factories,parent)},deps:[[IterableDiffers,new SkipSelf,new Optional]]}},IterableDiffers.prototype.find=function(iterable){var factory=this.factories.find(function(f){return f.supports(iterable)});if(isPresent(factory))return factory;throw new Error("Cannot find a differ supporting object '"+iterable+"' of type '"+getTypeNameForDebugging(iterable)+"'")},IterableDiffers}(),KeyValueDiffers=function(){function KeyValueDiffers(factories){this.factories=factories}return KeyValueDiffers.create=function(factories,parent){if(parent){var copied=parent.factories.slice();factories=factories.concat(copied)}return new KeyValueDiffers(factories)},KeyValueDiffers.extend=function(factories){return{provide:KeyValueDiffers,useFactory:function(parent){if(!parent)throw new Error("Cannot extend KeyValueDiffers without a parent injector");return KeyValueDiffers.create(factories,parent)},deps:[[KeyValueDiffers,new SkipSelf,new Optional]]}},KeyValueDiffers.prototype.find=function(kv){var factory=this.factories.find(function(f){return f.supports(kv)});if(factory)return factory;throw new Error("Cannot find a differ supporting object '"+kv+"'")},KeyValueDiffers}(),WrappedValue=function(){function WrappedValue(wrapped){this.wrapped=wrapped}return WrappedValue.wrap=function(value){return new WrappedValue(value)},WrappedValue}(),ValueUnwrapper=function(){function ValueUnwrapper(){this.hasWrappedValue=!1}return ValueUnwrapper.prototype.unwrap=function(value){return value instanceof WrappedValue?(this.hasWrappedValue=!0,value.wrapped):value},ValueUnwrapper.prototype.reset=function(){this.hasWrappedValue=!1},ValueUnwrapper}(),SimpleChange=function(){function SimpleChange(previousValue,currentValue,firstChange){this.previousValue=previousValue,this.currentValue=currentValue,this.firstChange=firstChange}return SimpleChange.prototype.isFirstChange=function(){return this.firstChange},SimpleChange}(),ChangeDetectorRef=function(){function ChangeDetectorRef(){}return ChangeDetectorRef.prototype.markForCheck=function(){},ChangeDetectorRef.prototype.detach=function(){},ChangeDetectorRef.prototype.detectChanges=function(){},ChangeDetectorRef.prototype.checkNoChanges=function(){},ChangeDetectorRef.prototype.reattach=function(){},ChangeDetectorRef}(),keyValDiff=[new DefaultKeyValueDifferFactory],iterableDiff=[new DefaultIterableDifferFactory],defaultIterableDiffers=new IterableDiffers(iterableDiff),defaultKeyValueDiffers=new KeyValueDiffers(keyValDiff),_monitor=null,BindingMonitor=function(){function BindingMonitor(hotThreshold){void 0===hotThreshold&&(hotThreshold=3),this.hotThreshold=hotThreshold,this._ticks=0,this._records=new Map}return Object.defineProperty(BindingMonitor.prototype,"ticks",{get:function(){return this._ticks},enumerable:!0,configurable:!0}),BindingMonitor.prototype.getReport=function(){var _this=this,reports=[];return this._records.forEach(function(record){return reports.push(_this._toReport(record))}),reports.sort(function(a,b){return b.changedTicks-a.changedTicks||b.changes-a.changes})},BindingMonitor.prototype.getHotBindings=function(){return this.getReport().filter(function(report){return report.hot})},BindingMonitor.prototype.clear=function(){this._ticks=0,this._records=new Map},BindingMonitor.prototype._startTick=function(){this._ticks++},BindingMonitor.prototype._bindingChecked=function(view,oldValue,newValue,changed){var debugContext=view._currentDebugContext;if(debugContext){var source=debugContext.source,record=this._records.get(source);record||(record={source:source,component:stringify(_constructorOf(debugContext.viewComponent)),checks:0,changes:0,identityChanges:0,checkedTicks:0,changedTicks:0,streak:0,changedInPreviousTick:!1,lastCheckedTick:-1,lastChangedTick:-1,lastValue:void 0},this._records.set(source,record));var tick=this._ticks;record.checks++,record.lastCheckedTick!==tick&&(record.changedInPreviousTick=record.lastChangedTick===record.lastCheckedTick,record.checkedTicks++,record.lastCheckedTick=tick),changed&&0!==view.numberOfChecks&&(record.changes++,record.lastValue=newValue,devModeEqual(oldValue,newValue)&&record.identityChanges++,record.lastChangedTick!==tick&&(record.streak=record.changedInPreviousTick?record.streak+1:1,record.changedTicks++,record.lastChangedTick=tick))}},BindingMonitor.prototype._toReport=function(record){var streak=record.lastChangedTick===record.lastCheckedTick?record.streak:0;return{source:record.source,component:record.component,checks:record.checks,changes:record.changes,identityChanges:record.identityChanges,checkedTicks:record.checkedTicks,changedTicks:record.changedTicks,consecutiveChangedTicks:streak,lastValue:record.lastValue,hot:streak>=this.hotThreshold}},BindingMonitor}(),_profiler=null,ChangeDetectionProfiler=function(){function ChangeDetectionProfiler(maxTicks){void 0===maxTicks&&(maxTicks=100),this.maxTicks=maxTicks,this.ticks=[],this._stack=[],this._views=[],this._implicitRoot=null}return ChangeDetectionProfiler.prototype.clear=function(){this.ticks=[]},ChangeDetectionProfiler.prototype.toTree=function(){var start=this.ticks.length?this.ticks[0].start:0,end=this.ticks.length?this.ticks[this.ticks.length-1].start+this.ticks[this.ticks.length-1].duration:0;return{name:"ChangeDetection",start:start,duration:end-start,numberOfChecks:null,changedBindings:this.ticks.reduce(function(sum,tick){return sum+tick.changedBindings},0),children:this.ticks.slice()}},ChangeDetectionProfiler.prototype.toTraceEvents=function(){var events=[];return this.ticks.forEach(function(tick){return _addTraceEvents(tick,events)}),events},ChangeDetectionProfiler.prototype._startTick=function(){this._enter("ApplicationRef#tick",null)},ChangeDetectionProfiler.prototype._endTick=function(){this._stack.length&&this._leave(this._stack[0])},ChangeDetectionProfiler.prototype._enterView=function(view){this._stack.length||(this._implicitRoot=this._enter("detectChanges",null)),this._enter(stringify(view.clazz),view)},ChangeDetectionProfiler.prototype._leaveView=function(view){var index=this._views.lastIndexOf(view);if(index!==-1){var profile=this._stack[index];profile.numberOfChecks=view.numberOfChecks,this._leave(profile),1===this._stack.length&&this._stack[0]===this._implicitRoot&&(this._leave(this._implicitRoot),this._implicitRoot=null)}},ChangeDetectionProfiler.prototype._bindingChanged=function(){this._stack.length&&this._stack[this._stack.length-1].changedBindings++},ChangeDetectionProfiler.prototype._enter=function(name,view){var profile={name:name,start:performanceNow(),duration:0,numberOfChecks:null,changedBindings:0,children:[]};return this._stack.length&&this._stack[this._stack.length-1].children.push(profile),this._stack.push(profile),this._views.push(view),profile},ChangeDetectionProfiler.prototype._leave=function(profile){var current,end=performanceNow();do current=this._stack.pop(),this._views.pop(),current.duration=end-current.start,this._stack.length&&(this._stack[this._stack.length-1].changedBindings+=current.changedBindings);while(current!==profile);this._stack.length||(this.ticks.push(profile),this.ticks.length>this.maxTicks&&this.ticks.shift())},ChangeDetectionProfiler}(),RenderComponentType=function(){function RenderComponentType(id,templateUrl,slotCount,encapsulation,styles,animations){this.id=id,this.templateUrl=templateUrl,this.slotCount=slotCount,this.encapsulation=encapsulation,this.styles=styles,this.animations=animations}return RenderComponentType}(),RenderDebugInfo=function(){function RenderDebugInfo(){}return Object.defineProperty(RenderDebugInfo.prototype,"injector",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(RenderDebugInfo.prototype,"component",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(RenderDebugInfo.prototype,"providerTokens",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(RenderDebugInfo.prototype,"references",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(RenderDebugInfo.prototype,"context",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(RenderDebugInfo.prototype,"source",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),RenderDebugInfo}(),Renderer=function(){function Renderer(){}return Renderer.prototype.selectRootElement=function(selectorOrNode,debugInfo){},Renderer.prototype.createElement=function(parentElement,name,debugInfo){},Renderer.prototype.createViewRoot=function(hostElement){},Renderer.prototype.createTemplateAnchor=function(parentElement,debugInfo){},Renderer.prototype.createText=function(parentElement,value,debugInfo){},Renderer.prototype.projectNodes=function(parentElement,nodes){},Renderer.prototype.attachViewAfter=function(node,viewRootNodes){},Renderer.prototype.detachView=function(viewRootNodes){},Renderer.prototype.destroyView=function(hostElement,viewAllNodes){},Renderer.prototype.listen=function(renderElement,name,callback){},Renderer.prototype.listenGlobal=function(target,name,callback){},Renderer.prototype.setElementProperty=function(renderElement,propertyName,propertyValue){},Renderer.prototype.setElementAttribute=function(renderElement,attributeName,attributeValue){},Renderer.prototype.setBindingDebugInfo=function(renderElement,propertyName,propertyValue){},Renderer.prototype.setElementClass=function(renderElement,className,isAdd){},Renderer.prototype.setElementStyle=function(renderElement,styleName,styleValue){},Renderer.prototype.invokeElementMethod=function(renderElement,methodName,args){},Renderer.prototype.setText=function(renderNode,text){},Renderer.prototype.animate=function(element,startingStyles,keyframes,duration,delay,easing,previousPlayers){},Renderer}(),RootRenderer=function(){function RootRenderer(){}return RootRenderer.prototype.renderComponent=function(componentType){},RootRenderer}(),SecurityContext={};SecurityContext.NONE=0,SecurityContext.HTML=1,SecurityContext.STYLE=2,SecurityContext.SCRIPT=3,SecurityContext.URL=4,SecurityContext.RESOURCE_URL=5,SecurityContext[SecurityContext.NONE]="NONE",SecurityContext[SecurityContext.HTML]="HTML",SecurityContext[SecurityContext.STYLE]="STYLE",SecurityContext[SecurityContext.SCRIPT]="SCRIPT",SecurityContext[SecurityContext.URL]="URL",SecurityContext[SecurityContext.RESOURCE_URL]="RESOURCE_URL";var trace,events,_platform,Sanitizer=function(){function Sanitizer(){}return Sanitizer.prototype.sanitize=function(context,value){},Sanitizer}(),__extends$8=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},ExpressionChangedAfterItHasBeenCheckedError=function(_super){function ExpressionChangedAfterItHasBeenCheckedError(oldValue,currValue,isFirstCheck){var msg="Expression has changed after it was checked. Previous value: '"+oldValue+"'. Current value: '"+currValue+"'.";isFirstCheck&&(msg+=" It seems like the view has been created after its parent and its children have been dirty checked. Has it been created in a change detection hook ?"),_super.call(this,msg)}return __extends$8(ExpressionChangedAfterItHasBeenCheckedError,_super),ExpressionChangedAfterItHasBeenCheckedError}(BaseError),ViewWrappedError=function(_super){function ViewWrappedError(originalError,context){_super.call(this,"Error in "+context.source,originalError),this.context=context}return __extends$8(ViewWrappedError,_super),ViewWrappedError}(WrappedError),ViewDestroyedError=function(_super){function ViewDestroyedError(details){_super.call(this,"Attempt to use a destroyed view: "+details)}return __extends$8(ViewDestroyedError,_super),ViewDestroyedError}(BaseError),ViewUtils=function(){function ViewUtils(_renderer,sanitizer,animationQueue,zone,errorHandler){void 0===zone&&(zone=null),void 0===errorHandler&&(errorHandler=null),this._renderer=_renderer,this.animationQueue=animationQueue,this.errorHandler=errorHandler,this.sanitizer=sanitizer,this.noopZone=zone instanceof NoopNgZone?zone:null}return ViewUtils.prototype.renderComponent=function(renderComponentType){return this._renderer.renderComponent(renderComponentType)},ViewUtils.decorators=[{type:Injectable}],ViewUtils.ctorParameters=function(){return[{type:RootRenderer},{type:Sanitizer},{type:AnimationQueue},{type:NgZone,decorators:[{type:Optional}]},{type:ErrorHandler,decorators:[{type:Optional}]}]},ViewUtils}(),nextRenderComponentTypeId=0,EMPTY_ARRAY=[],EMPTY_MAP={},CAMEL_CASE_REGEXP=/([A-Z])/g,InlineArray0=function(){function InlineArray0(){this.length=0}return InlineArray0.prototype.get=function(index){},InlineArray0.prototype.set=function(index,value){},InlineArray0}(),InlineArray2=function(){function InlineArray2(length,_v0,_v1){this.length=length,this._v0=_v0,this._v1=_v1}return InlineArray2.prototype.get=function(index){switch(index){case 0:return this._v0;case 1:return this._v1;default:return}},InlineArray2.prototype.set=function(index,value){switch(index){case 0:this._v0=value;break;case 1:this._v1=value}},InlineArray2}(),InlineArray4=function(){function InlineArray4(length,_v0,_v1,_v2,_v3){this.length=length,this._v0=_v0,this._v1=_v1,this._v2=_v2,this._v3=_v3}return InlineArray4.prototype.get=function(index){switch(index){case 0:return this._v0;case 1:return this._v1;case 2:return this._v2;case 3:return this._v3;default:return}},InlineArray4.prototype.set=function(index,value){switch(index){case 0:this._v0=value;break;case 1:this._v1=value;break;case 2:this._v2=value;break;case 3:this._v3=value}},InlineArray4}(),InlineArray8=function(){function InlineArray8(length,_v0,_v1,_v2,_v3,_v4,_v5,_v6,_v7){this.length=length,this._v0=_v0,this._v1=_v1,this._v2=_v2,this._v3=_v3,this._v4=_v4,this._v5=_v5,this._v6=_v6,this._v7=_v7}return InlineArray8.prototype.get=function(index){switch(index){case 0:return this._v0;case 1:return this._v1;case 2:return this._v2;case 3:return this._v3;case 4:return this._v4;case 5:return this._v5;case 6:return this._v6;case 7:return this._v7;default:return}},InlineArray8.prototype.set=function(index,value){switch(index){case 0:this._v0=value;break;case 1:this._v1=value;break;case 2:this._v2=value;break;case 3:this._v3=value;break;case 4:this._v4=value;break;case 5:this._v5=value;break;case 6:this._v6=value;break;case 7:this._v7=value}},InlineArray8}(),InlineArray16=function(){function InlineArray16(length,_v0,_v1,_v2,_v3,_v4,_v5,_v6,_v7,_v8,_v9,_v10,_v11,_v12,_v13,_v14,_v15){this.length=length,this._v0=_v0,this._v1=_v1,this._v2=_v2,this._v3=_v3,this._v4=_v4,this._v5=_v5,this._v6=_v6,this._v7=_v7,this._v8=_v8,this._v9=_v9,this._v10=_v10,this._v11=_v11,this._v12=_v12,this._v13=_v13,this._v14=_v14,this._v15=_v15}return InlineArray16.prototype.get=function(index){switch(index){case 0:return this._v0;case 1:return this._v1;case 2:return this._v2;case 3:return this._v3;case 4:return this._v4;case 5:return this._v5;case 6:return this._v6;case 7:return this._v7;case 8:return this._v8;case 9:return this._v9;case 10:return this._v10;case 11:return this._v11;case 12:return this._v12;case 13:return this._v13;case 14:return this._v14;case 15:return this._v15;default:return}},InlineArray16.prototype.set=function(index,value){switch(index){case 0:this._v0=value;break;case 1:this._v1=value;break;case 2:this._v2=value;break;case 3:this._v3=value;break;case 4:this._v4=value;break;case 5:this._v5=value;break;case 6:this._v6=value;break;case 7:this._v7=value;break;case 8:this._v8=value;break;case 9:this._v9=value;break;case 10:this._v10=value;break;case 11:this._v11=value;break;case 12:this._v12=value;break;case 13:this._v13=value;break;case 14:this._v14=value;break;case 15:this._v15=value}},InlineArray16}(),InlineArrayDynamic=function(){function InlineArrayDynamic(length){for(var values=[],_i=1;_i<arguments.length;_i++)values[_i-1]=arguments[_i];this.length=length,this._values=values}return InlineArrayDynamic.prototype.get=function(index){return this._values[index]},InlineArrayDynamic.prototype.set=function(index,value){this._values[index]=value},InlineArrayDynamic}(),EMPTY_INLINE_ARRAY=new InlineArray0,view_utils=Object.freeze({ViewUtils:ViewUtils,createRenderComponentType:createRenderComponentType,addToArray:addToArray,interpolate:interpolate,inlineInterpolate:inlineInterpolate,checkBinding:checkBinding,checkBindingChange:checkBindingChange,checkRenderText:checkRenderText,checkRenderProperty:checkRenderProperty,checkRenderAttribute:checkRenderAttribute,checkRenderClass:checkRenderClass,checkRenderStyle:checkRenderStyle,castByValue:castByValue,EMPTY_ARRAY:EMPTY_ARRAY,EMPTY_MAP:EMPTY_MAP,pureProxy1:pureProxy1,pureProxy2:pureProxy2,pureProxy3:pureProxy3,pureProxy4:pureProxy4,pureProxy5:pureProxy5,pureProxy6:pureProxy6,pureProxy7:pureProxy7,pureProxy8:pureProxy8,pureProxy9:pureProxy9,pureProxy10:pureProxy10,setBindingDebugInfoForChanges:setBindingDebugInfoForChanges,setBindingDebugInfo:setBindingDebugInfo,createRenderElement:createRenderElement,selectOrCreateRenderHostElement:selectOrCreateRenderHostElement,subscribeToRenderElement:subscribeToRenderElement,noop:noop,InlineArray2:InlineArray2,InlineArray4:InlineArray4,InlineArray8:InlineArray8,InlineArray16:InlineArray16,InlineArrayDynamic:InlineArrayDynamic,EMPTY_INLINE_ARRAY:EMPTY_INLINE_ARRAY,getComponentFactoryViewClass:getComponentFactoryViewClass}),__extends$5=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},ComponentRef=function(){function ComponentRef(){}return Object.defineProperty(ComponentRef.prototype,"location",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef.prototype,"injector",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef.prototype,"instance",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef.prototype,"hostView",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef.prototype,"changeDetectorRef",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef.prototype,"componentType",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ComponentRef.prototype.destroy=function(){},ComponentRef.prototype.onDestroy=function(callback){},ComponentRef}(),ComponentRef_=function(_super){function ComponentRef_(_index,_parentView,_nativeElement,_component){_super.call(this),this._index=_index,this._parentView=_parentView,this._nativeElement=_nativeElement,this._component=_component}return __extends$5(ComponentRef_,_super),Object.defineProperty(ComponentRef_.prototype,"location",{get:function(){return new ElementRef(this._nativeElement)},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef_.prototype,"injector",{get:function(){return this._parentView.injector(this._index)},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef_.prototype,"instance",{get:function(){return this._component},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef_.prototype,"hostView",{get:function(){return this._parentView.ref},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef_.prototype,"changeDetectorRef",{get:function(){return this._parentView.ref},enumerable:!0,configurable:!0}),Object.defineProperty(ComponentRef_.prototype,"componentType",{get:function(){return this._component.constructor},enumerable:!0,configurable:!0}),ComponentRef_.prototype.destroy=function(){this._parentView.detachAndDestroy()},ComponentRef_.prototype.onDestroy=function(callback){this.hostView.onDestroy(callback)},ComponentRef_}(ComponentRef),ComponentFactory=function(){function ComponentFactory(selector,_viewClass,_componentType){this.selector=selector,this._componentType=_componentType,this._viewClass=_viewClass}return Object.defineProperty(ComponentFactory.prototype,"componentType",{get:function(){return this._componentType},enumerable:!0,configurable:!0}),ComponentFactory.prototype.create=function(injector,projectableNodes,rootSelectorOrNode){void 0===projectableNodes&&(projectableNodes=null),void 0===rootSelectorOrNode&&(rootSelectorOrNode=null);var vu=injector.get(ViewUtils);projectableNodes||(projectableNodes=[]);var hostView=new this._viewClass(vu,null,null,null);return hostView.createHostView(rootSelectorOrNode,injector,projectableNodes)},ComponentFactory}(),__extends$9=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},NoComponentFactoryError=function(_super){function NoComponentFactoryError(component){_super.call(this,"No component factory found for "+stringify(component)+". Did you add it to @NgModule.entryComponents?"),this.component=component}return __extends$9(NoComponentFactoryError,_super),NoComponentFactoryError}(BaseError),_NullComponentFactoryResolver=function(){function _NullComponentFactoryResolver(){}return _NullComponentFactoryResolver.prototype.resolveComponentFactory=function(component){throw new NoComponentFactoryError(component)},_NullComponentFactoryResolver}(),ComponentFactoryResolver=function(){function ComponentFactoryResolver(){}return ComponentFactoryResolver.prototype.resolveComponentFactory=function(component){},ComponentFactoryResolver.NULL=new _NullComponentFactoryResolver,ComponentFactoryResolver}(),CodegenComponentFactoryResolver=function(){function CodegenComponentFactoryResolver(factories,_parent){this._parent=_parent,this._factories=new Map;for(var i=0;i<factories.length;i++){var factory=factories[i];this._factories.set(factory.componentType,factory)}}return CodegenComponentFactoryResolver.prototype.resolveComponentFactory=function(component){var result=this._factories.get(component);return result||(result=this._parent.resolveComponentFactory(component)),result},CodegenComponentFactoryResolver}(),WtfProfilingBackend=function(){function WtfProfilingBackend(){}return WtfProfilingBackend.prototype.createScope=function(signature,flags){return void 0===flags&&(flags=null),createScope$1(signature,flags)},WtfProfilingBackend.prototype.leaveScope=function(scope,returnValue){leave(scope,returnValue)},WtfProfilingBackend.prototype.beginTimeRange=function(rangeType,action){return startTimeRange(rangeType,action)},WtfProfilingBackend.prototype.endTimeRange=function(range){endTimeRange(range)},WtfProfilingBackend}(),UserTimingProfilingBackend=function(){function UserTimingProfilingBackend(performance){void 0===performance&&(performance=global$1.performance),this._performance=performance,this._markId=0}return UserTimingProfilingBackend.prototype.createScope=function(signature,flags){var _this=this;void 0===flags&&(flags=null);var scopeName=_scopeName(signature);return function(arg0,arg1){return _this._mark(_eventName(scopeName,arg0))}},UserTimingProfilingBackend.prototype.leaveScope=function(scope,returnValue){this._measure(scope)},UserTimingProfilingBackend.prototype.beginTimeRange=function(rangeType,action){return this._mark(_eventName(rangeType,action))},UserTimingProfilingBackend.prototype.endTimeRange=function(range){this._measure(range)},UserTimingProfilingBackend.prototype._mark=function(name){var markName=name+" #"+this._markId++;return this._performance.mark(markName),{name:name,markName:markName}},UserTimingProfilingBackend.prototype._measure=function(mark){this._performance.measure(mark.name,mark.markName),this._performance.clearMarks(mark.markName)},UserTimingProfilingBackend}(),MemoryProfilingBackend=function(){function MemoryProfilingBackend(capacity){void 0===capacity&&(capacity=1e3),this.capacity=capacity,this._events=[],this._next=0}return Object.defineProperty(MemoryProfilingBackend.prototype,"events",{get:function(){return this._events.slice(this._next).concat(this._events.slice(0,this._next))},enumerable:!0,configurable:!0}),MemoryProfilingBackend.prototype.clear=function(){this._events=[],this._next=0},MemoryProfilingBackend.prototype.createScope=function(signature,flags){void 0===flags&&(flags=null);var scopeName=_scopeName(signature);return function(arg0,arg1){return _startEvent("scope",_eventName(scopeName,arg0))}},MemoryProfilingBackend.prototype.leaveScope=function(scope,returnValue){this._add(scope)},MemoryProfilingBackend.prototype.beginTimeRange=function(rangeType,action){return _startEvent("range",_eventName(rangeType,action))},MemoryProfilingBackend.prototype.endTimeRange=function(range){this._add(range)},MemoryProfilingBackend.prototype._add=function(event){event.duration=performanceNow()-event.start,this._events.length<this.capacity?this._events.push(event):this.capacity>0&&(this._events[this._next]=event,this._next=(this._next+1)%this.capacity)},MemoryProfilingBackend}(),TraceEventProfilingBackend=function(){function TraceEventProfilingBackend(){this.traceEvents=[],this._rangeId=0}return TraceEventProfilingBackend.prototype.clear=function(){this.traceEvents=[]},TraceEventProfilingBackend.prototype.toJson=function(){return JSON.stringify({traceEvents:this.traceEvents})},TraceEventProfilingBackend.prototype.createScope=function(signature,flags){void 0===flags&&(flags=null);var scopeName=_scopeName(signature);return function(arg0,arg1){return{name:scopeName,args:_traceArgs(arg0,arg1),start:performanceNow()}}},TraceEventProfilingBackend.prototype.leaveScope=function(scope,returnValue){this.traceEvents.push({name:scope.name,cat:"angular",ph:"X",ts:_micros(scope.start),dur:_micros(performanceNow()-scope.start),pid:1,tid:1,args:scope.args})},TraceEventProfilingBackend.prototype.beginTimeRange=function(rangeType,action){var range={name:rangeType,id:this._rangeId++};return this.traceEvents.push({name:rangeType,cat:"angular",ph:"b",id:range.id,ts:_micros(performanceNow()),pid:1,tid:1,args:{action:action}}),range},TraceEventProfilingBackend.prototype.endTimeRange=function(range){this.traceEvents.push({name:range.name,cat:"angular",ph:"e",id:range.id,ts:_micros(performanceNow()),pid:1,tid:1})},TraceEventProfilingBackend}(),wtfEnabled=detectWTF(),_backend=wtfEnabled?new WtfProfilingBackend:null,_OpenEvent=function(){function _OpenEvent(backend,handle){this.backend=backend,this.handle=handle}return _OpenEvent}(),wtfCreateScope=createScope,wtfLeave=function(scope,returnValue){return scope instanceof _OpenEvent&&scope.backend.leaveScope(scope.handle,returnValue),returnValue},wtfStartTimeRange=function(rangeType,action){return _backend?new _OpenEvent(_backend,_backend.beginTimeRange(rangeType,action)):null},wtfEndTimeRange=function(range){range instanceof _OpenEvent&&range.backend.endTimeRange(range.handle)},AnimationPlayer_=function(){function AnimationPlayer(){}return AnimationPlayer.prototype.onDone=function(fn){},AnimationPlayer.prototype.onStart=function(fn){},AnimationPlayer.prototype.init=function(){},AnimationPlayer.prototype.hasStarted=function(){},AnimationPlayer.prototype.play=function(){},AnimationPlayer.prototype.pause=function(){},AnimationPlayer.prototype.restart=function(){},AnimationPlayer.prototype.finish=function(){},AnimationPlayer.prototype.destroy=function(){},AnimationPlayer.prototype.reset=function(){},AnimationPlayer.prototype.setPosition=function(p){},AnimationPlayer.prototype.getPosition=function(){},Object.defineProperty(AnimationPlayer.prototype,"parentPlayer",{get:function(){throw new Error("NOT IMPLEMENTED: Base Class")},set:function(player){throw new Error("NOT IMPLEMENTED: Base Class")},enumerable:!0,configurable:!0}),AnimationPlayer}(),NoOpAnimationPlayer_=function(){function NoOpAnimationPlayer(){var _this=this;this._onDoneFns=[],this._onStartFns=[],this._started=!1,this.parentPlayer=null,scheduleMicroTask(function(){return _this._onFinish()})}return NoOpAnimationPlayer.prototype._onFinish=function(){this._onDoneFns.forEach(function(fn){
+return fn()}),this._onDoneFns=[]},NoOpAnimationPlayer.prototype.onStart=function(fn){this._onStartFns.push(fn)},NoOpAnimationPlayer.prototype.onDone=function(fn){this._onDoneFns.push(fn)},NoOpAnimationPlayer.prototype.hasStarted=function(){return this._started},NoOpAnimationPlayer.prototype.init=function(){},NoOpAnimationPlayer.prototype.play=function(){this.hasStarted()||(this._onStartFns.forEach(function(fn){return fn()}),this._onStartFns=[]),this._started=!0},NoOpAnimationPlayer.prototype.pause=function(){},NoOpAnimationPlayer.prototype.restart=function(){},NoOpAnimationPlayer.prototype.finish=function(){this._onFinish()},NoOpAnimationPlayer.prototype.destroy=function(){},NoOpAnimationPlayer.prototype.reset=function(){},NoOpAnimationPlayer.prototype.setPosition=function(p){},NoOpAnimationPlayer.prototype.getPosition=function(){return 0},NoOpAnimationPlayer}(),__extends$10=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},_VOID_ELEMENTS=["area","base","br","col","embed","hr","img","input","link","meta","param","source","track","wbr"],_RAW_TEXT_ELEMENTS=["script","style"],_REFLECTED_PROPERTIES={alt:"alt",className:"class",href:"href",htmlFor:"for",id:"id",name:"name",src:"src",tabIndex:"tabindex",title:"title",type:"type"},_BOOLEAN_PROPERTIES=["checked","disabled","hidden","readOnly","required","selected"],_TEMPLATE_COMMENT_TEXT="template bindings={}",_TEMPLATE_BINDINGS_EXP=/^template bindings=(.*)$/,CONTAINER_END_COMMENT_TEXT="container end",_CONTAINER_END_COMMENT="<!--"+CONTAINER_END_COMMENT_TEXT+"-->",_COMPONENT_REGEX=/%COMP%/g,MemoryNode=function(){function MemoryNode(nodeType,nodeName){this.nodeType=nodeType,this.nodeName=nodeName,this.parentNode=null,this._viewRootNode=!1}return Object.defineProperty(MemoryNode.prototype,"nextSibling",{get:function(){if(!this.parentNode)return null;var siblings=this.parentNode.childNodes;return siblings[siblings.indexOf(this)+1]||null},enumerable:!0,configurable:!0}),Object.defineProperty(MemoryNode.prototype,"textContent",{get:function(){},enumerable:!0,configurable:!0}),Object.defineProperty(MemoryNode.prototype,"outerHTML",{get:function(){},enumerable:!0,configurable:!0}),MemoryNode.prototype.remove=function(){this.parentNode&&this.parentNode.removeChild(this)},MemoryNode}(),MemoryText=function(_super){function MemoryText(nodeValue){_super.call(this,3,"#text"),this.nodeValue=nodeValue}return __extends$10(MemoryText,_super),Object.defineProperty(MemoryText.prototype,"textContent",{get:function(){return this.nodeValue},enumerable:!0,configurable:!0}),Object.defineProperty(MemoryText.prototype,"outerHTML",{get:function(){return this.parentNode instanceof MemoryElement&&_RAW_TEXT_ELEMENTS.indexOf(this.parentNode.nodeName)!==-1?this.nodeValue:_escapeText(this.nodeValue)},enumerable:!0,configurable:!0}),MemoryText}(MemoryNode),MemoryComment=function(_super){function MemoryComment(nodeValue){_super.call(this,8,"#comment"),this.nodeValue=nodeValue,this._templateAnchor=!1}return __extends$10(MemoryComment,_super),Object.defineProperty(MemoryComment.prototype,"textContent",{get:function(){return""},enumerable:!0,configurable:!0}),Object.defineProperty(MemoryComment.prototype,"outerHTML",{get:function(){return"<!--"+this.nodeValue.replace(/--/g,"- -")+"-->"},enumerable:!0,configurable:!0}),MemoryComment}(MemoryNode),MemoryElement=function(_super){function MemoryElement(nodeName){_super.call(this,"#document"===nodeName?9:1,nodeName),this.attributes={},this.properties={},this.childNodes=[],this.listeners=[],this._styles={}}return __extends$10(MemoryElement,_super),Object.defineProperty(MemoryElement.prototype,"children",{get:function(){return this.childNodes.filter(function(node){return node instanceof MemoryElement})},enumerable:!0,configurable:!0}),MemoryElement.prototype.getAttribute=function(name){return this.attributes.hasOwnProperty(name)?this.attributes[name]:null},MemoryElement.prototype.setAttribute=function(name,value){"style"===name&&(this._styles=_parseStyles(value)),this.attributes[name]=String(value)},MemoryElement.prototype.removeAttribute=function(name){"style"===name&&(this._styles={}),delete this.attributes[name]},Object.defineProperty(MemoryElement.prototype,"classList",{get:function(){var classes=this.getAttribute("class");return classes?classes.split(/\s+/).filter(function(name){return!!name}):[]},enumerable:!0,configurable:!0}),MemoryElement.prototype.getStyle=function(name){return this._styles[_camelCaseToDashCase(name)]||null},MemoryElement.prototype.setStyle=function(name,value){var _this=this;isPresent(value)&&""!==value?this._styles[_camelCaseToDashCase(name)]=String(value):delete this._styles[_camelCaseToDashCase(name)];var style=Object.keys(this._styles).map(function(key){return key+": "+_this._styles[key]+";"}).join(" ");style?this.attributes.style=style:delete this.attributes.style},MemoryElement.prototype.appendChild=function(node){return this.insertBefore(node,null)},MemoryElement.prototype.insertBefore=function(node,refNode){node===refNode&&(refNode=node.nextSibling),node.remove();var index=refNode?this.childNodes.indexOf(refNode):-1;return index===-1?this.childNodes.push(node):this.childNodes.splice(index,0,node),node.parentNode=this,node},MemoryElement.prototype.removeChild=function(node){var index=this.childNodes.indexOf(node);return index!==-1&&(this.childNodes.splice(index,1),node.parentNode=null),node},MemoryElement.prototype.querySelector=function(selector){var matcher=_compileSelector(selector),result=null;return _visitElements(this,function(element){!result&&matcher(element)&&(result=element)}),result},MemoryElement.prototype.dispatchEvent=function(eventName,event){void 0===event&&(event={type:eventName,target:this}),this.listeners.slice().forEach(function(listener){listener.name===eventName&&listener.callback(event)})},Object.defineProperty(MemoryElement.prototype,"textContent",{get:function(){return this.childNodes.map(function(node){return node.textContent}).join("")},enumerable:!0,configurable:!0}),Object.defineProperty(MemoryElement.prototype,"innerHTML",{get:function(){var _this=this;return this.properties.hasOwnProperty("innerHTML")?String(this.properties.innerHTML):this.childNodes.map(function(node,i){return _this._childHTML(i)}).join("")},enumerable:!0,configurable:!0}),Object.defineProperty(MemoryElement.prototype,"outerHTML",{get:function(){return""+this._openTag()+this.innerHTML+this._closeTag()},enumerable:!0,configurable:!0}),MemoryElement.prototype._childHTML=function(index){for(var next=this.childNodes[index+1],start=index;start>=0&&this.childNodes[start]._viewRootNode;)start--;var anchor=this.childNodes[start],endsContainer=(!next||!next._viewRootNode)&&anchor instanceof MemoryComment&&anchor._templateAnchor;return this.childNodes[index].outerHTML+(endsContainer?_CONTAINER_END_COMMENT:"")},MemoryElement.prototype._openTag=function(){var _this=this;if(9===this.nodeType)return"";var attributes=Object.keys(this.attributes).map(function(name){return""===_this.attributes[name]?" "+name:" "+name+'="'+_escapeAttribute(_this.attributes[name])+'"'}).join("");return"<"+this.nodeName+attributes+">"},MemoryElement.prototype._closeTag=function(){return 9===this.nodeType||_VOID_ELEMENTS.indexOf(this.nodeName)!==-1?"":"</"+this.nodeName+">"},MemoryElement}(MemoryNode),MemoryRootRenderer=function(){function MemoryRootRenderer(appId){void 0===appId&&(appId=null),this.appId=appId,this.document=new MemoryElement("#document"),this.styles=[],this.globalListeners=[],this.rootElementContainer=null,this._renderers=new Map}return MemoryRootRenderer.prototype.renderComponent=function(componentType){var renderer=this._renderers.get(componentType.id);return renderer||(renderer=new MemoryRenderer(this,componentType),this._renderers.set(componentType.id,renderer)),renderer},MemoryRootRenderer.prototype.dispatchGlobalEvent=function(target,eventName,event){void 0===event&&(event={type:eventName,target:target}),this.globalListeners.slice().forEach(function(listener){listener.target===target&&listener.name===eventName&&listener.callback(event)})},MemoryRootRenderer.decorators=[{type:Injectable}],MemoryRootRenderer.ctorParameters=function(){return[{type:void 0,decorators:[{type:Optional},{type:Inject,args:[APP_ID]}]}]},MemoryRootRenderer}(),MemoryRenderer=function(){function MemoryRenderer(_rootRenderer,componentType){this._rootRenderer=_rootRenderer,this._contentAttr=null,this._hostAttr=null;var styleShimId=isPresent(_rootRenderer.appId)?_rootRenderer.appId+"-"+componentType.id:componentType.id;(_a=this._rootRenderer.styles).push.apply(_a,_flattenStyles(styleShimId,componentType.styles,[])),componentType.encapsulation===ViewEncapsulation.Emulated&&(this._contentAttr="_ngcontent-"+styleShimId,this._hostAttr="_nghost-"+styleShimId);var _a}return MemoryRenderer.prototype.selectRootElement=function(selectorOrNode,debugInfo){var el;if("string"==typeof selectorOrNode){el=this._rootRenderer.document.querySelector(selectorOrNode);var container=this._rootRenderer.rootElementContainer;if(!el&&container&&/^[\w-]+$/.test(selectorOrNode)&&(el=container.appendChild(new MemoryElement(selectorOrNode.toLowerCase()))),!el)throw new Error('The selector "'+selectorOrNode+'" did not match any elements')}else el=selectorOrNode;return el.childNodes.slice().forEach(function(node){return node.remove()}),el},MemoryRenderer.prototype.createElement=function(parent,name,debugInfo){var el=new MemoryElement(":"===name[0]?name.substring(name.indexOf(":",1)+1):name);return this._contentAttr&&el.setAttribute(this._contentAttr,""),parent&&parent.appendChild(el),el},MemoryRenderer.prototype.createViewRoot=function(hostElement){return this._hostAttr&&hostElement.setAttribute(this._hostAttr,""),hostElement},MemoryRenderer.prototype.createTemplateAnchor=function(parentElement,debugInfo){var comment=new MemoryComment(_TEMPLATE_COMMENT_TEXT);return comment._templateAnchor=!0,parentElement&&parentElement.appendChild(comment),comment},MemoryRenderer.prototype.createText=function(parentElement,value,debugInfo){var node=new MemoryText(value);return parentElement&&parentElement.appendChild(node),node},MemoryRenderer.prototype.projectNodes=function(parentElement,nodes){parentElement&&nodes.forEach(function(node){return parentElement.appendChild(node)})},MemoryRenderer.prototype.attachViewAfter=function(node,viewRootNodes){var parent=node.parentNode;if(parent){var nextSibling_1=node.nextSibling;viewRootNodes.forEach(function(rootNode){rootNode._viewRootNode=!0,parent.insertBefore(rootNode,nextSibling_1)})}},MemoryRenderer.prototype.detachView=function(viewRootNodes){viewRootNodes.forEach(function(node){node._viewRootNode=!1,node.remove()})},MemoryRenderer.prototype.destroyView=function(hostElement,viewAllNodes){},MemoryRenderer.prototype.listen=function(renderElement,name,callback){return _addListener(renderElement.listeners,{name:name,callback:callback})},MemoryRenderer.prototype.listenGlobal=function(target,name,callback){return _addListener(this._rootRenderer.globalListeners,{target:target,name:name,callback:callback})},MemoryRenderer.prototype.setElementProperty=function(renderElement,propertyName,propertyValue){renderElement.properties[propertyName]=propertyValue,_REFLECTED_PROPERTIES.hasOwnProperty(propertyName)?this.setElementAttribute(renderElement,_REFLECTED_PROPERTIES[propertyName],propertyValue):_BOOLEAN_PROPERTIES.indexOf(propertyName)!==-1?this.setElementAttribute(renderElement,propertyName.toLowerCase(),propertyValue?"":null):"textContent"===propertyName&&(renderElement.childNodes.slice().forEach(function(node){return node.remove()}),isPresent(propertyValue)&&""!==propertyValue&&renderElement.appendChild(new MemoryText(String(propertyValue))))},MemoryRenderer.prototype.setElementAttribute=function(renderElement,attributeName,attributeValue){var name=":"===attributeName[0]?attributeName.substring(1):attributeName;isPresent(attributeValue)?renderElement.setAttribute(name,attributeValue):renderElement.removeAttribute(name)},MemoryRenderer.prototype.setBindingDebugInfo=function(renderElement,propertyName,propertyValue){if(renderElement instanceof MemoryComment){var match=_TEMPLATE_BINDINGS_EXP.exec(renderElement.nodeValue.replace(/\n/g,"")),bindings=match?JSON.parse(match[1]):{};bindings[propertyName]=propertyValue,renderElement.nodeValue="template bindings="+JSON.stringify(bindings,null,2)}else this.setElementAttribute(renderElement,propertyName,propertyValue)},MemoryRenderer.prototype.setElementClass=function(renderElement,className,isAdd){var classes=renderElement.classList.filter(function(name){return name!==className});isAdd&&classes.push(className),classes.length?renderElement.setAttribute("class",classes.join(" ")):renderElement.removeAttribute("class")},MemoryRenderer.prototype.setElementStyle=function(renderElement,styleName,styleValue){renderElement.setStyle(styleName,styleValue)},MemoryRenderer.prototype.invokeElementMethod=function(renderElement,methodName,args){"function"==typeof renderElement[methodName]&&renderElement[methodName].apply(renderElement,args||[])},MemoryRenderer.prototype.setText=function(renderNode,text){renderNode.nodeValue=text},MemoryRenderer.prototype.animate=function(element,startingStyles,keyframes,duration,delay,easing,previousPlayers){return void 0===previousPlayers&&(previousPlayers=[]),new NoOpAnimationPlayer_},MemoryRenderer}(),_CONTENT_PROPERTIES=["innerHTML","innerText","textContent"],_creatingInContainers=[],HydrationRootRenderer=function(){function HydrationRootRenderer(_delegate,document){this._delegate=_delegate,this.document=document,this._hydrating=!0,this._renderers=new Map,this._claimed=new Set,this._serverChildren=new Map,this._containers=new Map,this._ownContent=new Set}return Object.defineProperty(HydrationRootRenderer.prototype,"hydrating",{get:function(){return this._hydrating},enumerable:!0,configurable:!0}),HydrationRootRenderer.prototype.renderComponent=function(componentType){var renderer=this._renderers.get(componentType.id);return renderer||(renderer=new HydrationRenderer(this,this._delegate.renderComponent(componentType)),this._renderers.set(componentType.id,renderer)),renderer},HydrationRootRenderer.prototype.finishHydration=function(){var _this=this;if(this._hydrating){this._hydrating=!1,this._serverChildren.forEach(function(state,parent){_this._ownContent.has(parent)||state.children.forEach(function(child){_this._claimed.has(child)||child.parentNode!==parent||parent.removeChild(child)})});for(var style;style=this.document.querySelector("style[ng-transition]");)style.parentNode.removeChild(style);this._claimed.clear(),this._serverChildren.clear(),this._containers.clear(),this._ownContent.clear()}},HydrationRootRenderer.prototype._claim=function(node){this._claimed.add(node);var state=this._serverChildren.get(node.parentNode);if(8===node.nodeType&&state){var next=state.children.indexOf(node)+1,end=_indexOfContainerEnd(state.children,next);this._containers.set(node,{state:state,next:next,end:end===-1?state.children.length:end})}else 1===node.nodeType&&this._serverChildren.set(node,{children:Array.from(node.childNodes),next:0});return node},HydrationRootRenderer.prototype._claimChild=function(parent,matches){for(var state=this._serverChildren.get(parent),i=state.next;i<state.children.length;i++){var child=state.children[i],end=8!==child.nodeType||_isContainerEnd(child)?-1:_indexOfContainerEnd(state.children,i+1);if(!this._claimed.has(child)&&matches(child))return state.next=(end===-1?i:end)+1,this._claim(child);end!==-1&&(i=end)}return null},HydrationRootRenderer.prototype._claimViewNode=function(matches){var anchor=_creatingInContainers[_creatingInContainers.length-1],container=anchor?this._containers.get(anchor):null;if(!container)return null;var node=container.state.children[container.next];return container.next<container.end&&!this._claimed.has(node)&&matches(node)?(container.next++,this._claim(node)):null},HydrationRootRenderer.prototype._nextServerChild=function(parent){for(var state=this._serverChildren.get(parent),i=state.next;i<state.children.length;i++){var child=state.children[i];if(!this._claimed.has(child)&&child.parentNode===parent)return child}return null},HydrationRootRenderer.prototype._isHydrated=function(parent){return this._hydrating&&this._serverChildren.has(parent)},HydrationRootRenderer.prototype._markOwnContent=function(element){this._isHydrated(element)&&this._ownContent.add(element)},HydrationRootRenderer}(),HydrationRenderer=function(){function HydrationRenderer(_root,_delegate){this._root=_root,this._delegate=_delegate}return HydrationRenderer.prototype.selectRootElement=function(selectorOrNode,debugInfo){if(this._root.hydrating){var el="string"==typeof selectorOrNode?this._root.document.querySelector(selectorOrNode):selectorOrNode;if(el)return this._root._claim(el)}return this._delegate.selectRootElement(selectorOrNode,debugInfo)},HydrationRenderer.prototype.createElement=function(parentElement,name,debugInfo){var _this=this,tagName=(":"===name[0]?name.substring(name.indexOf(":",1)+1):name).toLowerCase();return this._claimOrCreate(parentElement,function(node){return 1===node.nodeType&&node.nodeName.toLowerCase()===tagName},"<"+tagName+">",debugInfo,function(parent){return _this._delegate.createElement(parent,name,debugInfo)})},HydrationRenderer.prototype.createViewRoot=function(hostElement){return this._delegate.createViewRoot(hostElement)},HydrationRenderer.prototype.createTemplateAnchor=function(parentElement,debugInfo){var _this=this;return this._claimOrCreate(parentElement,function(node){return 8===node.nodeType&&!_isContainerEnd(node)},"a template anchor",debugInfo,function(parent){return _this._delegate.createTemplateAnchor(parent,debugInfo)})},HydrationRenderer.prototype.createText=function(parentElement,value,debugInfo){var _this=this;return this._claimOrCreate(parentElement,function(node){return 3===node.nodeType&&(""===value||node.nodeValue===value)},'the text "'+value+'"',debugInfo,function(parent){return _this._delegate.createText(parent,value,debugInfo)})},HydrationRenderer.prototype.projectNodes=function(parentElement,nodes){this._root.hydrating&&_areChildrenInOrder(parentElement,nodes)||this._delegate.projectNodes(parentElement,nodes)},HydrationRenderer.prototype.attachViewAfter=function(node,viewRootNodes){this._root.hydrating&&_areSiblingsInOrder(node,viewRootNodes)||this._delegate.attachViewAfter(node,viewRootNodes)},HydrationRenderer.prototype.detachView=function(viewRootNodes){this._delegate.detachView(viewRootNodes)},HydrationRenderer.prototype.destroyView=function(hostElement,viewAllNodes){this._delegate.destroyView(hostElement,viewAllNodes)},HydrationRenderer.prototype.listen=function(renderElement,name,callback){return this._delegate.listen(renderElement,name,callback)},HydrationRenderer.prototype.listenGlobal=function(target,name,callback){return this._delegate.listenGlobal(target,name,callback)},HydrationRenderer.prototype.setElementProperty=function(renderElement,propertyName,propertyValue){_CONTENT_PROPERTIES.indexOf(propertyName)!==-1&&this._root._markOwnContent(renderElement),this._delegate.setElementProperty(renderElement,propertyName,propertyValue)},HydrationRenderer.prototype.setElementAttribute=function(renderElement,attributeName,attributeValue){this._delegate.setElementAttribute(renderElement,attributeName,attributeValue)},HydrationRenderer.prototype.setBindingDebugInfo=function(renderElement,propertyName,propertyValue){this._delegate.setBindingDebugInfo(renderElement,propertyName,propertyValue)},HydrationRenderer.prototype.setElementClass=function(renderElement,className,isAdd){this._delegate.setElementClass(renderElement,className,isAdd)},HydrationRenderer.prototype.setElementStyle=function(renderElement,styleName,styleValue){this._delegate.setElementStyle(renderElement,styleName,styleValue)},HydrationRenderer.prototype.invokeElementMethod=function(renderElement,methodName,args){this._delegate.invokeElementMethod(renderElement,methodName,args)},HydrationRenderer.prototype.setText=function(renderNode,text){this._delegate.setText(renderNode,text)},HydrationRenderer.prototype.animate=function(element,startingStyles,keyframes,duration,delay,easing,previousPlayers){return void 0===previousPlayers&&(previousPlayers=[]),this._delegate.animate(element,startingStyles,keyframes,duration,delay,easing,previousPlayers)},HydrationRenderer.prototype._claimOrCreate=function(parentElement,matches,description,debugInfo,create){if(!this._root.hydrating)return create(parentElement);if(!parentElement)return this._root._claimViewNode(matches)||create(null);if(!this._root._isHydrated(parentElement))return create(parentElement);var claimed=this._root._claimChild(parentElement,matches);if(claimed)return claimed;var nextChild=this._root._nextServerChild(parentElement);if(isDevMode()){var source=debugInfo&&debugInfo.source?" at "+debugInfo.source:"";warn("Hydration mismatch"+source+": expected "+description+", found "+_describe(nextChild)+". Creating it anew.")}var node=create(null);return parentElement.insertBefore(node,nextChild),node},HydrationRenderer}(),DebugSelector=function(){function DebugSelector(){}return DebugSelector.all=function(){return function(debugElement){return!0}},DebugSelector.css=function(selector){var selectors=_parse(selector);return function(debugElement){return _matchesList(debugElement,selectors,null)}},DebugSelector.directive=function(type){return function(debugElement){return(debugElement.providerTokens||[]).indexOf(type)!==-1}},DebugSelector.ref=function(name){return function(debugElement){return _hasReference(debugElement,name)}},DebugSelector.property=function(name,value){return function(debugElement){return debugElement.properties.hasOwnProperty(name)&&(void 0===value||debugElement.properties[name]===value)}},DebugSelector}(),_ATTRIBUTE_OPERATORS=["~=","^=","$=","*=","="],_SelectorParser=function(){function _SelectorParser(source){this.source=source,this.index=0}return _SelectorParser.prototype.parseList=function(relative){for(var selectors=[this.parseComplex(relative)];this.skip(",");)selectors.push(this.parseComplex(relative));return selectors},_SelectorParser.prototype.parseComplex=function(relative){var parts=[];this.skipWhitespace();for(var combinator=relative&&this.skip(">")?">":" ";;){parts.push({combinator:combinator,compound:this.parseCompound()});var hadWhitespace=this.skipWhitespace();if(this.skip(">"))combinator=">";else{if(!hadWhitespace||this.atEnd()||this.peek(",")||this.peek(")"))return parts;combinator=" "}}},_SelectorParser.prototype.parseCompound=function(){this.skipWhitespace();var compound={tagName:null,conditions:[]};for(this.skip("*")?compound.tagName="*":/[\w-]/.test(this.source.charAt(this.index))&&(compound.tagName=this.parseName().toLowerCase());!this.atEnd();)if(this.skip("#"))compound.conditions.push({kind:"id",name:this.parseName()});else if(this.skip("."))compound.conditions.push({kind:"class",name:this.parseName()});else if(this.skip("["))compound.conditions.push(this.parseAttribute());else{if(!this.skip(":"))break;compound.conditions.push(this.parsePseudo())}return null!==compound.tagName||compound.conditions.length||this.error("expected a selector"),compound},_SelectorParser.prototype.parseAttribute=function(){var _this=this;this.skipWhitespace();var condition={kind:"attribute",name:this.parseName(),operator:null,value:null};return this.skipWhitespace(),condition.operator=_ATTRIBUTE_OPERATORS.find(function(operator){return _this.skip(operator)})||null,condition.operator&&(this.skipWhitespace(),condition.value=this.parseValue(),this.skipWhitespace()),this.expect("]"),condition},_SelectorParser.prototype.parsePseudo=function(){var name=this.parseName();this.expect("(");var condition;return"has"===name?condition={kind:"has",selectors:this.parseList(!0)}:"directive"===name||"ref"===name?(this.skipWhitespace(),condition={kind:name,name:this.parseName()}):"property"===name?(this.skipWhitespace(),condition={kind:"property",name:this.parseName(),value:null},this.skipWhitespace(),this.skip("=")&&(this.skipWhitespace(),condition.value=this.parseValue())):this.error("unsupported pseudo class :"+name),this.skipWhitespace(),this.expect(")"),condition},_SelectorParser.prototype.parseName=function(){var match=/^[\w-]+/.exec(this.source.substring(this.index));return match||this.error("expected a name"),this.index+=match[0].length,match[0]},_SelectorParser.prototype.parseValue=function(){var quote=this.source.charAt(this.index);if('"'!==quote&&"'"!==quote){var match=/^[^\s\])]*/.exec(this.source.substring(this.index));return this.index+=match[0].length,match[0]}var end=this.source.indexOf(quote,this.index+1);end===-1&&this.error("unterminated string");var value=this.source.substring(this.index+1,end);return this.index=end+1,value},_SelectorParser.prototype.skipWhitespace=function(){for(var start=this.index;/\s/.test(this.source.charAt(this.index));)this.index++;return this.index>start},_SelectorParser.prototype.skip=function(token){return!!this.peek(token)&&(this.index+=token.length,","!==token&&">"!==token||this.skipWhitespace(),!0)},_SelectorParser.prototype.peek=function(token){return this.source.substr(this.index,token.length)===token},_SelectorParser.prototype.expect=function(token){this.skip(token)||this.error('expected "'+token+'"')},_SelectorParser.prototype.atEnd=function(){return this.index>=this.source.length},_SelectorParser.prototype.error=function(message){throw new Error('Invalid selector "'+this.source+'": '+message+" at position "+this.index+".")},_SelectorParser}(),_GENERATED_ATTRIBUTE=/^(_ngcontent-|_nghost-|ng-reflect-)/,__extends$11=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},EventListener=function(){function EventListener(name,callback){this.name=name,this.callback=callback}return EventListener}(),DebugNode=function(){function DebugNode(nativeNode,parent,_debugInfo){this._debugInfo=_debugInfo,this.nativeNode=nativeNode,parent&&parent instanceof DebugElement?parent.addChild(this):this.parent=null,this.listeners=[],this._text=null}return Object.defineProperty(DebugNode.prototype,"injector",{get:function(){return this._debugInfo?this._debugInfo.injector:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugNode.prototype,"componentInstance",{get:function(){return this._debugInfo?this._debugInfo.component:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugNode.prototype,"context",{get:function(){return this._debugInfo?this._debugInfo.context:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugNode.prototype,"references",{get:function(){return this._debugInfo?this._debugInfo.references:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugNode.prototype,"providerTokens",{get:function(){return this._debugInfo?this._debugInfo.providerTokens:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugNode.prototype,"source",{get:function(){return this._debugInfo?this._debugInfo.source:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugNode.prototype,"resolutionTrace",{get:function(){var tracer=getResolutionTracer();if(!tracer||!this._debugInfo)return[];var context=this._debugInfo;return tracer.entriesForNode(context._view,context._nodeIndex)},enumerable:!0,configurable:!0}),DebugNode}(),DebugElement=function(_super){function DebugElement(nativeNode,parent,_debugInfo){_super.call(this,nativeNode,parent,_debugInfo),this.properties={},this.attributes={},this.classes={},this.styles={},this.childNodes=[],this._bindingDebugInfo={},this._globalListeners=[],this.nativeElement=nativeNode}return __extends$11(DebugElement,_super),DebugElement.prototype.addChild=function(child){child&&(this.childNodes.push(child),child.parent=this)},DebugElement.prototype.removeChild=function(child){var childIndex=this.childNodes.indexOf(child);childIndex!==-1&&(child.parent=null,this.childNodes.splice(childIndex,1))},DebugElement.prototype.insertChildrenAfter=function(child,newChildren){var siblingIndex=this.childNodes.indexOf(child);if(siblingIndex!==-1){var previousChildren=this.childNodes.slice(0,siblingIndex+1),nextChildren=this.childNodes.slice(siblingIndex+1);this.childNodes=previousChildren.concat(newChildren,nextChildren);for(var i=0;i<newChildren.length;++i){var newChild=newChildren[i];newChild.parent&&newChild.parent.removeChild(newChild),newChild.parent=this}}},DebugElement.prototype.query=function(predicate){var results=this.queryAll(predicate);return results[0]||null},DebugElement.prototype.queryAll=function(predicate){var matches=[];return _queryElementChildren(this,"string"==typeof predicate?DebugSelector.css(predicate):predicate,matches),matches},DebugElement.prototype.queryAllNodes=function(predicate){var matches=[];return _queryNodeChildren(this,predicate,matches),matches},Object.defineProperty(DebugElement.prototype,"children",{get:function(){return this.childNodes.filter(function(node){return node instanceof DebugElement})},enumerable:!0,configurable:!0}),DebugElement.prototype.triggerEventHandler=function(eventName,eventObj){this.listeners.forEach(function(listener){listener.name==eventName&&listener.callback(eventObj)})},DebugElement.prototype.dispatchEvent=function(eventName,eventObj){var _this=this,event=eventObj||_createEvent(eventName,this.nativeElement),zone=this.injector?this.injector.get(NgZone,null):null,dispatch=function(){return _dispatchEvent(_this,eventName,event)};return zone?zone.run(dispatch):dispatch(),!event.defaultPrevented},DebugElement.prototype.toSnapshot=function(options){return void 0===options&&(options={}),_toSnapshot(this,options)},DebugElement}(DebugNode),_GLOBAL_EVENT_TARGETS=["body","document","window"],_nativeNodeToDebugNode=new Map,Testability=function(){function Testability(_ngZone){this._ngZone=_ngZone,this._pendingCount=0,this._isZoneStable=!0,this._isTickScheduled=!1,this._didWork=!1,this._callbacks=[],this._updateScheduled=!1,this._lastPendingWorkKey=null,this._watchAngularEvents()}return Testability.prototype._watchAngularEvents=function(){var _this=this;this._ngZone.onUnstable.subscribe({next:function(){_this._didWork=!0,_this._isZoneStable=!1,_this._pendingWorkChanged()}}),this._ngZone._onPendingTasksChange&&this._ngZone._onPendingTasksChange.subscribe({next:function(){_this._pendingWorkChanged()}}),this._ngZone.runOutsideAngular(function(){_this._ngZone.onStable.subscribe({next:function(){NgZone.assertNotInAngularZone(),scheduleMicroTask(function(){_this._isZoneStable=!0,_this._runCallbacksIfReady()})}})})},Testability.prototype.increasePendingRequestCount=function(){return this._pendingCount+=1,this._didWork=!0,this._pendingWorkChanged(),this._pendingCount},Testability.prototype.decreasePendingRequestCount=function(){if(this._pendingCount-=1,this._pendingCount<0)throw new Error("pending async requests below zero");return this._runCallbacksIfReady(),this._pendingCount},Testability.prototype.isStable=function(){return this._isZoneStable&&!this._isTickScheduled&&0==this._pendingCount&&!this._ngZone.hasPendingMacrotasks},Testability.prototype._setTickScheduled=function(scheduled){this._isTickScheduled=scheduled,scheduled?this._didWork=!0:this._runCallbacksIfReady()},Testability.prototype._runCallbacksIfReady=function(){var _this=this;this.isStable()?scheduleMicroTask(function(){for(;0!==_this._callbacks.length;){var waiter=_this._callbacks.pop();clearTimeout(waiter.timeoutId),waiter.doneCb(_this._didWork)}_this._didWork=!1}):(this._didWork=!0,this._pendingWorkChanged())},Testability.prototype.whenStable=function(callback,timeout,updateCallback){var _this=this,waiter={doneCb:callback,updateCb:updateCallback,timeoutId:null};timeout>0&&(waiter.timeoutId=this._ngZone.runOutsideAngular(function(){return setTimeout(function(){
+_this._removeWaiter(waiter),callback(_this._didWork,_this._getPendingWork("Testability.whenStable timed out after "+timeout+"ms"))},timeout)})),this._callbacks.push(waiter),this._runCallbacksIfReady()},Testability.prototype._removeWaiter=function(waiter){clearTimeout(waiter.timeoutId);var index=this._callbacks.indexOf(waiter);index!==-1&&this._callbacks.splice(index,1)},Testability.prototype._pendingWorkChanged=function(){var _this=this;!this._updateScheduled&&this._callbacks.some(function(waiter){return!!waiter.updateCb})&&(this._updateScheduled=!0,this._ngZone.runOutsideAngular(function(){return scheduleMicroTask(function(){if(_this._updateScheduled=!1,!_this.isStable()){var pendingWork=_this._getPendingWork("Testability is waiting for"),key=[pendingWork.pendingRequestCount,pendingWork.hasPendingMacrotasks,_this._isZoneStable,_this._isTickScheduled].concat(pendingWork.pendingTasks.map(function(task){return task.source+"@"+task.creationTime})).join();key!==_this._lastPendingWorkKey&&(_this._lastPendingWorkKey=key,_this._callbacks.slice().forEach(function(waiter){waiter.updateCb&&waiter.updateCb(pendingWork)&&_this._removeWaiter(waiter)}))}})}))},Testability.prototype._getPendingWork=function(prefix){var pendingTasks=this.getPendingTasks(),hasPendingMacrotasks=this._ngZone.hasPendingMacrotasks,parts=[];return this._pendingCount>0&&parts.push(this._pendingCount+" pending request(s)"),pendingTasks.length?parts.push("pending tasks: "+pendingTasks.map(function(task){return task.source+" ("+task.age+"ms)"}).join(", ")):hasPendingMacrotasks&&parts.push("pending macrotasks (create the NgZone with `trackPendingTasks: true` to list them)"),this._isZoneStable&&!this._isTickScheduled||parts.push("change detection"),{pendingRequestCount:this._pendingCount,hasPendingMacrotasks:hasPendingMacrotasks,pendingTasks:pendingTasks,description:prefix+": "+(parts.length?parts.join(", "):"nothing")+"."}},Testability.prototype.getPendingWork=function(){return this._getPendingWork("Testability is waiting for")},Testability.prototype.getPendingRequestCount=function(){return this._pendingCount},Testability.prototype.getPendingTasks=function(){return this._ngZone.getPendingTasks()},Testability.prototype.findBindings=function(using,provider,exactMatch){return _findElements(using,function(debugEl){var bindings=[];return Object.keys(debugEl.properties).forEach(function(name){return bindings.push([name,debugEl.properties[name]])}),Object.keys(debugEl._bindingDebugInfo).forEach(function(name){name.startsWith(_BINDING_DEBUG_INFO_PREFIX)&&bindings.push([_dashCaseToCamelCase(name.substring(_BINDING_DEBUG_INFO_PREFIX.length)),debugEl._bindingDebugInfo[name]])}),bindings.some(function(_a){var name=_a[0],value=_a[1];return _matches(name,provider,exactMatch)||isPresent(value)&&_matches(String(value),provider,exactMatch)})})},Testability.prototype.findProviders=function(using,provider,exactMatch){return _findElements(using,function(debugEl){return(debugEl.providerTokens||[]).some(function(token){return _matches(stringify(token),provider,exactMatch)})})},Testability.decorators=[{type:Injectable}],Testability.ctorParameters=function(){return[{type:NgZone}]},Testability}(),_BINDING_DEBUG_INFO_PREFIX="ng-reflect-",TestabilityRegistry=function(){function TestabilityRegistry(){this._applications=new Map,_testabilityGetter.addToWindow(this)}return TestabilityRegistry.prototype.registerApplication=function(token,testability){this._applications.set(token,testability)},TestabilityRegistry.prototype.unregisterApplication=function(token){this._applications.delete(token)},TestabilityRegistry.prototype.unregisterAllApplications=function(){this._applications.clear()},TestabilityRegistry.prototype.getTestability=function(elem){return this._applications.get(elem)},TestabilityRegistry.prototype.getAllTestabilities=function(){return Array.from(this._applications.values())},TestabilityRegistry.prototype.getAllRootElements=function(){return Array.from(this._applications.keys())},TestabilityRegistry.prototype.whenAllStable=function(callback,timeout){this._whenAllStable(callback,timeout,!1)},TestabilityRegistry.prototype._whenAllStable=function(callback,timeout,didWorkBefore){var _this=this,testabilities=_unique(this.getAllTestabilities());if(!testabilities.length)return void scheduleMicroTask(function(){return callback(didWorkBefore)});var remaining=testabilities.length,didWork=didWorkBefore,timedOut=[];testabilities.forEach(function(testability){testability.whenStable(function(didWorkInApp,pendingWork){didWork=didWork||didWorkInApp,pendingWork&&timedOut.push(testability),--remaining>0||(timedOut.length?callback(didWork,_this._getPendingWork(timedOut)):testabilities.some(function(other){return!other.isStable()})?_this._whenAllStable(callback,timeout,didWork):callback(didWork))},timeout)})},TestabilityRegistry.prototype.getPendingWork=function(){return this._getPendingWork(this.getAllTestabilities().filter(function(testability){return!testability.isStable()}))},TestabilityRegistry.prototype._getPendingWork=function(testabilities){var pendingWork=new Map;return this._applications.forEach(function(testability,rootElement){testabilities.indexOf(testability)!==-1&&pendingWork.set(rootElement,testability.getPendingWork())}),pendingWork},TestabilityRegistry.prototype.findTestabilityInTree=function(elem,findInAncestors){return void 0===findInAncestors&&(findInAncestors=!0),_testabilityGetter.findTestabilityInTree(this,elem,findInAncestors)},TestabilityRegistry.decorators=[{type:Injectable}],TestabilityRegistry.ctorParameters=function(){return[]},TestabilityRegistry}(),_NoopGetTestability=function(){function _NoopGetTestability(){}return _NoopGetTestability.prototype.addToWindow=function(registry){},_NoopGetTestability.prototype.findTestabilityInTree=function(registry,elem,findInAncestors){return null},_NoopGetTestability}(),_testabilityGetter=new _NoopGetTestability,__extends$12=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},TickScheduler=function(){function TickScheduler(){}return TickScheduler.prototype.schedule=function(tick){},TickScheduler.prototype.cancel=function(handle){},TickScheduler}(),AnimationFrameTickScheduler=function(_super){function AnimationFrameTickScheduler(){_super.apply(this,arguments)}return __extends$12(AnimationFrameTickScheduler,_super),AnimationFrameTickScheduler.prototype.schedule=function(tick){return global$1.requestAnimationFrame?global$1.requestAnimationFrame(tick):setTimeout(tick,0)},AnimationFrameTickScheduler.prototype.cancel=function(handle){global$1.cancelAnimationFrame?global$1.cancelAnimationFrame(handle):clearTimeout(handle)},AnimationFrameTickScheduler}(TickScheduler),TimeoutTickScheduler=function(_super){function TimeoutTickScheduler(delay){void 0===delay&&(delay=0),_super.call(this),this.delay=delay}return __extends$12(TimeoutTickScheduler,_super),TimeoutTickScheduler.prototype.schedule=function(tick){return setTimeout(tick,this.delay)},TimeoutTickScheduler.prototype.cancel=function(handle){clearTimeout(handle)},TimeoutTickScheduler}(TickScheduler),__extends$3=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},_devMode=!0,_runModeLocked=!1,NgProbeToken=function(){function NgProbeToken(name,token){this.name=name,this.token=token}return NgProbeToken}(),ALLOW_MULTIPLE_PLATFORMS=new OpaqueToken("AllowMultipleToken"),PlatformRef=function(){function PlatformRef(){}return PlatformRef.prototype.bootstrapModuleFactory=function(moduleFactory,options){throw unimplemented()},PlatformRef.prototype.bootstrapModule=function(moduleType,compilerOptions){throw void 0===compilerOptions&&(compilerOptions=[]),unimplemented()},PlatformRef.prototype.onDestroy=function(callback){},Object.defineProperty(PlatformRef.prototype,"injector",{get:function(){throw unimplemented()},enumerable:!0,configurable:!0}),PlatformRef.prototype.destroy=function(){},Object.defineProperty(PlatformRef.prototype,"destroyed",{get:function(){throw unimplemented()},enumerable:!0,configurable:!0}),PlatformRef}(),PlatformRef_=function(_super){function PlatformRef_(_injector){_super.call(this),this._injector=_injector,this._modules=[],this._destroyListeners=[],this._destroyed=!1}return __extends$3(PlatformRef_,_super),PlatformRef_.prototype.onDestroy=function(callback){this._destroyListeners.push(callback)},Object.defineProperty(PlatformRef_.prototype,"injector",{get:function(){return this._injector},enumerable:!0,configurable:!0}),Object.defineProperty(PlatformRef_.prototype,"destroyed",{get:function(){return this._destroyed},enumerable:!0,configurable:!0}),PlatformRef_.prototype.destroy=function(){if(this._destroyed)throw new Error("The platform has already been destroyed!");this._modules.slice().forEach(function(module){return module.destroy()}),this._destroyListeners.forEach(function(listener){return listener()}),this._destroyed=!0},PlatformRef_.prototype.bootstrapModuleFactory=function(moduleFactory,options){return this._bootstrapModuleFactoryWithZone(moduleFactory,options?options.ngZone:null,options?options.tickScheduler:null)},PlatformRef_.prototype._bootstrapModuleFactoryWithZone=function(moduleFactory,ngZone,tickScheduler){var _this=this;return void 0===tickScheduler&&(tickScheduler=null),ngZone||(ngZone=new NgZone({enableLongStackTrace:isDevMode()})),ngZone.run(function(){var providers=[{provide:NgZone,useValue:ngZone}];tickScheduler&&providers.push({provide:TickScheduler,useValue:tickScheduler});var moduleRef,ngZoneInjector=ReflectiveInjector.resolveAndCreate(providers,_this.injector),earlyErrorHandler=null;try{moduleRef=moduleFactory._create(ngZoneInjector,function(injector){earlyErrorHandler=_addErrorReporters(injector)})}catch(e){throw earlyErrorHandler&&earlyErrorHandler.handleError(e),e}var exceptionHandler=moduleRef.injector.get(ErrorHandler,null);if(!exceptionHandler)throw new Error("No ErrorHandler. Is platform module (BrowserModule) included?");return earlyErrorHandler||_addErrorReporters(moduleRef.injector),_this._modules.push(moduleRef),moduleRef.onDestroy(function(){return ListWrapper.remove(_this._modules,moduleRef)}),ngZone.onError.subscribe({next:function(error){exceptionHandler.handleError(error)}}),_callAndReportToErrorHandler(exceptionHandler,function(){var initStatus=moduleRef.injector.get(ApplicationInitStatus);return initStatus.donePromise.then(function(){return _this._moduleDoBootstrap(moduleRef),moduleRef})})})},PlatformRef_.prototype.bootstrapModule=function(moduleType,compilerOptions){return void 0===compilerOptions&&(compilerOptions=[]),this._bootstrapModuleWithZone(moduleType,compilerOptions,null)},PlatformRef_.prototype._bootstrapModuleWithZone=function(moduleType,compilerOptions,ngZone,componentFactoryCallback){var _this=this;void 0===compilerOptions&&(compilerOptions=[]);var compilerFactory=this.injector.get(CompilerFactory),compiler=compilerFactory.createCompiler(Array.isArray(compilerOptions)?compilerOptions:[compilerOptions]);return componentFactoryCallback?compiler.compileModuleAndAllComponentsAsync(moduleType).then(function(_a){var ngModuleFactory=_a.ngModuleFactory,componentFactories=_a.componentFactories;return componentFactoryCallback(componentFactories),_this._bootstrapModuleFactoryWithZone(ngModuleFactory,ngZone)}):compiler.compileModuleAsync(moduleType).then(function(moduleFactory){return _this._bootstrapModuleFactoryWithZone(moduleFactory,ngZone)})},PlatformRef_.prototype._moduleDoBootstrap=function(moduleRef){var appRef=moduleRef.injector.get(ApplicationRef);if(moduleRef.bootstrapFactories.length>0)moduleRef.bootstrapFactories.forEach(function(compFactory){return appRef.bootstrap(compFactory)});else{if(!moduleRef.instance.ngDoBootstrap)throw new Error("The module "+stringify(moduleRef.instance.constructor)+' was bootstrapped, but it does not declare "@NgModule.bootstrap" components nor a "ngDoBootstrap" method. Please define one of these.');moduleRef.instance.ngDoBootstrap(appRef)}var rootRenderer=moduleRef.injector.get(RootRenderer,null);rootRenderer instanceof HydrationRootRenderer&&rootRenderer.finishHydration()},PlatformRef_.decorators=[{type:Injectable}],PlatformRef_.ctorParameters=function(){return[{type:Injector}]},PlatformRef_}(PlatformRef),ApplicationRef=function(){function ApplicationRef(){}return ApplicationRef.prototype.bootstrap=function(componentFactory){},ApplicationRef.prototype.tick=function(){},ApplicationRef.prototype.flushTick=function(){},Object.defineProperty(ApplicationRef.prototype,"componentTypes",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ApplicationRef.prototype,"components",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ApplicationRef.prototype.attachView=function(view){unimplemented()},ApplicationRef.prototype.detachView=function(view){unimplemented()},Object.defineProperty(ApplicationRef.prototype,"viewCount",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ApplicationRef}(),ApplicationRef_=function(_super){function ApplicationRef_(_zone,_console,_injector,_exceptionHandler,_componentFactoryResolver,_initStatus,_testabilityRegistry,_testability,_tickScheduler){var _this=this;void 0===_tickScheduler&&(_tickScheduler=null),_super.call(this),this._zone=_zone,this._console=_console,this._injector=_injector,this._exceptionHandler=_exceptionHandler,this._componentFactoryResolver=_componentFactoryResolver,this._initStatus=_initStatus,this._testabilityRegistry=_testabilityRegistry,this._testability=_testability,this._tickScheduler=_tickScheduler,this._bootstrapListeners=[],this._rootComponents=[],this._rootComponentTypes=[],this._views=[],this._runningTick=!1,this._enforceNoNewChanges=!1,this._scheduledTick=null,this._runningScheduledTick=!1,this._enforceNoNewChanges=isDevMode(),this._zone.onMicrotaskEmpty.subscribe({next:function(){_this._tickScheduler?_this._scheduleTick():_this._zone.run(function(){_this.tick()})}})}return __extends$3(ApplicationRef_,_super),ApplicationRef_.prototype._scheduleTick=function(){var _this=this;null!==this._scheduledTick||this._runningScheduledTick||(this._scheduledTick=this._zone.runOutsideAngular(function(){return _this._tickScheduler.schedule(function(){return _this._runScheduledTick()})}),this._testability&&this._testability._setTickScheduled(!0))},ApplicationRef_.prototype._runScheduledTick=function(){var _this=this;this._scheduledTick=null,this._runningScheduledTick=!0;try{this._zone.runGuarded(function(){_this.tick()})}finally{this._runningScheduledTick=!1,this._testability&&this._testability._setTickScheduled(!1)}},ApplicationRef_.prototype._cancelScheduledTick=function(){return null!==this._scheduledTick&&(this._tickScheduler.cancel(this._scheduledTick),this._scheduledTick=null,this._testability&&this._testability._setTickScheduled(!1),!0)},ApplicationRef_.prototype.attachView=function(viewRef){var view=viewRef.internalView;this._views.push(view),view.attachToAppRef(this)},ApplicationRef_.prototype.detachView=function(viewRef){var view=viewRef.internalView;ListWrapper.remove(this._views,view),view.detach()},ApplicationRef_.prototype.bootstrap=function(componentOrFactory){var _this=this;if(!this._initStatus.done)throw new Error("Cannot bootstrap as there are still asynchronous initializers running. Bootstrap components in the `ngDoBootstrap` method of the root module.");var componentFactory;componentFactory=componentOrFactory instanceof ComponentFactory?componentOrFactory:this._componentFactoryResolver.resolveComponentFactory(componentOrFactory),this._rootComponentTypes.push(componentFactory.componentType);var compRef=componentFactory.create(this._injector,[],componentFactory.selector);compRef.onDestroy(function(){_this._unloadComponent(compRef)});var testability=compRef.injector.get(Testability,null);return testability&&compRef.injector.get(TestabilityRegistry).registerApplication(compRef.location.nativeElement,testability),this._loadComponent(compRef),isDevMode()&&this._console.log("Angular is running in the development mode. Call enableProdMode() to enable the production mode."),compRef},ApplicationRef_.prototype._loadComponent=function(componentRef){this.attachView(componentRef.hostView),this.tick(),this._rootComponents.push(componentRef);var listeners=this._injector.get(APP_BOOTSTRAP_LISTENER,[]).concat(this._bootstrapListeners);listeners.forEach(function(listener){return listener(componentRef)})},ApplicationRef_.prototype._unloadComponent=function(componentRef){this.detachView(componentRef.hostView),ListWrapper.remove(this._rootComponents,componentRef),this._testabilityRegistry&&this._testabilityRegistry.unregisterApplication(componentRef.location.nativeElement)},ApplicationRef_.prototype.tick=function(){if(this._runningTick)throw new Error("ApplicationRef.tick is called recursively");this._cancelScheduledTick();var scope=ApplicationRef_._tickScope(),profiler=getChangeDetectionProfiler(),monitor=getBindingMonitor();try{this._runningTick=!0,profiler&&profiler._startTick(),monitor&&monitor._startTick(),this._views.forEach(function(view){return view.ref.detectChanges()}),this._enforceNoNewChanges&&this._views.forEach(function(view){return view.ref.checkNoChanges()})}finally{this._runningTick=!1,profiler&&profiler._endTick(),wtfLeave(scope)}},ApplicationRef_.prototype.flushTick=function(){return!!this._cancelScheduledTick()&&(this._runScheduledTick(),!0)},ApplicationRef_.prototype.ngOnDestroy=function(){this._cancelScheduledTick(),this._views.slice().forEach(function(view){return view.destroy()})},Object.defineProperty(ApplicationRef_.prototype,"viewCount",{get:function(){return this._views.length},enumerable:!0,configurable:!0}),Object.defineProperty(ApplicationRef_.prototype,"componentTypes",{get:function(){return this._rootComponentTypes},enumerable:!0,configurable:!0}),Object.defineProperty(ApplicationRef_.prototype,"components",{get:function(){return this._rootComponents},enumerable:!0,configurable:!0}),ApplicationRef_._tickScope=wtfCreateScope("ApplicationRef#tick()"),ApplicationRef_.decorators=[{type:Injectable}],ApplicationRef_.ctorParameters=function(){return[{type:NgZone},{type:Console},{type:Injector},{type:ErrorHandler},{type:ComponentFactoryResolver},{type:ApplicationInitStatus},{type:TestabilityRegistry,decorators:[{type:Optional}]},{type:Testability,decorators:[{type:Optional}]},{type:TickScheduler,decorators:[{type:Optional}]}]},ApplicationRef_}(ApplicationRef),_ARGUMENTS={selectRootElement:["selectorOrNode"],createElement:["node","value"],createViewRoot:["node"],createTemplateAnchor:["node"],createText:["node","value"],projectNodes:["node","nodes"],attachViewAfter:["node","nodes"],detachView:["nodes"],destroyView:["node","nodes"],listen:["node","value"],listenGlobal:["value","value"],setElementProperty:["node","value","value"],setElementAttribute:["node","value","value"],setBindingDebugInfo:["node","value","value"],setElementClass:["node","value","value"],setElementStyle:["node","value","value"],invokeElementMethod:["node","value","value"],setText:["node","value"],animate:["node","value","value","value","value","value"]},_NODE_FACTORIES=["selectRootElement","createElement","createViewRoot","createTemplateAnchor","createText"],RecordingRootRenderer=function(){function RecordingRootRenderer(_delegate){this._delegate=_delegate,this.commands=[],this._renderers=new Map,this._componentTypes=new Map,this._recordedComponents=new Set,this._nodeIds=new WeakMap,this._nextNodeId=0,this._nextListenerId=0}return RecordingRootRenderer.prototype.renderComponent=function(componentType){var renderer=this._renderers.get(componentType.id);return renderer||(this._componentTypes.set(componentType.id,toSnapshotValue({id:componentType.id,templateUrl:componentType.templateUrl,slotCount:componentType.slotCount,encapsulation:componentType.encapsulation,styles:componentType.styles},!1)),this._recordRenderComponent(componentType.id),renderer=new RecordingRenderer(this,componentType.id,this._delegate.renderComponent(componentType)),this._renderers.set(componentType.id,renderer)),renderer},RecordingRootRenderer.prototype.clear=function(){this.commands=[],this._recordedComponents.clear()},RecordingRootRenderer.prototype.getNodeId=function(node){var id=this._nodeIds.get(node);return void 0===id&&(id=this._nextNodeId++,this._nodeIds.set(node,id)),id},RecordingRootRenderer.prototype._record=function(component,method,args,call){var _this=this;this._recordRenderComponent(component);var command={component:component,method:method,args:_ARGUMENTS[method].map(function(kind,index){return _this._recordArgument(kind,args[index])})};this.commands.push(command);var result=call();if(_NODE_FACTORIES.indexOf(method)!==-1)command.result=this.getNodeId(result);else if("listen"===method||"listenGlobal"===method){var listenerId_1=command.result=this._nextListenerId++;return function(){_this.commands.push({component:component,method:"unlisten",args:[listenerId_1]}),result()}}return result},RecordingRootRenderer.prototype._recordRenderComponent=function(component){this._recordedComponents.has(component)||(this._recordedComponents.add(component),this.commands.push({component:component,method:"renderComponent",args:[this._componentTypes.get(component)]}))},RecordingRootRenderer.prototype._recordArgument=function(kind,arg){var _this=this;switch(kind){case"node":return isPresent(arg)?this.getNodeId(arg):null;case"nodes":return(arg||[]).map(function(node){return _this.getNodeId(node)});case"selectorOrNode":return"string"==typeof arg?arg:this.getNodeId(arg);default:return toSnapshotValue(arg,!1)}},RecordingRootRenderer}(),RecordingRenderer=function(){function RecordingRenderer(_root,_component,_delegate){this._root=_root,this._component=_component,this._delegate=_delegate}return RecordingRenderer.prototype._record=function(method,args){var _this=this;return this._root._record(this._component,method,args,function(){return _this._delegate[method].apply(_this._delegate,args)})},RecordingRenderer.prototype.selectRootElement=function(selectorOrNode,debugInfo){return this._record("selectRootElement",[selectorOrNode,debugInfo])},RecordingRenderer.prototype.createElement=function(parentElement,name,debugInfo){return this._record("createElement",[parentElement,name,debugInfo])},RecordingRenderer.prototype.createViewRoot=function(hostElement){return this._record("createViewRoot",[hostElement])},RecordingRenderer.prototype.createTemplateAnchor=function(parentElement,debugInfo){return this._record("createTemplateAnchor",[parentElement,debugInfo])},RecordingRenderer.prototype.createText=function(parentElement,value,debugInfo){return this._record("createText",[parentElement,value,debugInfo])},RecordingRenderer.prototype.projectNodes=function(parentElement,nodes){this._record("projectNodes",[parentElement,nodes])},RecordingRenderer.prototype.attachViewAfter=function(node,viewRootNodes){this._record("attachViewAfter",[node,viewRootNodes])},RecordingRenderer.prototype.detachView=function(viewRootNodes){this._record("detachView",[viewRootNodes])},RecordingRenderer.prototype.destroyView=function(hostElement,viewAllNodes){this._record("destroyView",[hostElement,viewAllNodes])},RecordingRenderer.prototype.listen=function(renderElement,name,callback){return this._record("listen",[renderElement,name,callback])},RecordingRenderer.prototype.listenGlobal=function(target,name,callback){return this._record("listenGlobal",[target,name,callback])},RecordingRenderer.prototype.setElementProperty=function(renderElement,propertyName,propertyValue){this._record("setElementProperty",[renderElement,propertyName,propertyValue])},RecordingRenderer.prototype.setElementAttribute=function(renderElement,attributeName,attributeValue){this._record("setElementAttribute",[renderElement,attributeName,attributeValue])},RecordingRenderer.prototype.setBindingDebugInfo=function(renderElement,propertyName,propertyValue){this._record("setBindingDebugInfo",[renderElement,propertyName,propertyValue])},RecordingRenderer.prototype.setElementClass=function(renderElement,className,isAdd){this._record("setElementClass",[renderElement,className,isAdd])},RecordingRenderer.prototype.setElementStyle=function(renderElement,styleName,styleValue){this._record("setElementStyle",[renderElement,styleName,styleValue])},RecordingRenderer.prototype.invokeElementMethod=function(renderElement,methodName,args){this._record("invokeElementMethod",[renderElement,methodName,args])},RecordingRenderer.prototype.setText=function(renderNode,text){this._record("setText",[renderNode,text])},RecordingRenderer.prototype.animate=function(element,startingStyles,keyframes,duration,delay,easing,previousPlayers){return void 0===previousPlayers&&(previousPlayers=[]),this._record("animate",[element,startingStyles,keyframes,duration,delay,easing,previousPlayers])},RecordingRenderer}(),RenderCommandReplayer=function(){function RenderCommandReplayer(_rootRenderer){this._rootRenderer=_rootRenderer,this._renderers=new Map,this._nodes=new Map,this._unlisteners=new Map}return RenderCommandReplayer.prototype.replay=function(commands){var _this=this;commands.forEach(function(command){return _this._apply(command)})},RenderCommandReplayer.prototype.getNode=function(id){return this._nodes.has(id)?this._nodes.get(id):null},RenderCommandReplayer.prototype.setNode=function(id,node){this._nodes.set(id,node)},RenderCommandReplayer.prototype._apply=function(command){var _this=this;if("renderComponent"===command.method){var type=command.args[0];if(this._renderers.has(command.component))return;return void this._renderers.set(command.component,this._rootRenderer.renderComponent(new RenderComponentType(type.id,type.templateUrl,type.slotCount,type.encapsulation,type.styles,{})))}if("unlisten"===command.method){var unlisten=this._unlisteners.get(command.args[0]);return this._unlisteners.delete(command.args[0]),void(unlisten&&unlisten())}if("animate"!==command.method){var renderer=this._renderers.get(command.component);if(!renderer)throw new Error("Cannot replay "+command.method+": the renderComponent command for component "+command.component+" is missing.");var args=_ARGUMENTS[command.method].map(function(kind,index){return _this._replayArgument(command,kind,command.args[index])});"listen"!==command.method&&"listenGlobal"!==command.method||args.push(function(){});var result=renderer[command.method].apply(renderer,args);_NODE_FACTORIES.indexOf(command.method)!==-1?this._nodes.set(command.result,result):"listen"!==command.method&&"listenGlobal"!==command.method||this._unlisteners.set(command.result,result)}},RenderCommandReplayer.prototype._replayArgument=function(command,kind,arg){var _this=this;switch(kind){case"node":return null===arg?null:this._getKnownNode(command,arg);case"nodes":return arg.map(function(id){return _this._getKnownNode(command,id)});case"selectorOrNode":return"string"==typeof arg?arg:this._getKnownNode(command,arg);default:return arg}},RenderCommandReplayer.prototype._getKnownNode=function(command,id){if(!this._nodes.has(id))throw new Error("Cannot replay "+command.method+": node "+id+" is unknown. Replay the commands that created it first, or pass it via setNode.");return this._nodes.get(id)},RenderCommandReplayer}(),__extends$13=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},NgModuleRef=function(){function NgModuleRef(){}return Object.defineProperty(NgModuleRef.prototype,"injector",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(NgModuleRef.prototype,"componentFactoryResolver",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(NgModuleRef.prototype,"instance",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),NgModuleRef.prototype.destroy=function(){},NgModuleRef.prototype.onDestroy=function(callback){},NgModuleRef}(),NgModuleFactory=function(){function NgModuleFactory(_injectorClass,_moduleType){this._injectorClass=_injectorClass,this._moduleType=_moduleType,this._scopedProviders=null}return Object.defineProperty(NgModuleFactory.prototype,"moduleType",{get:function(){return this._moduleType},enumerable:!0,configurable:!0}),NgModuleFactory.prototype.create=function(parentInjector){return this._create(parentInjector,null)},NgModuleFactory.prototype._create=function(parentInjector,beforeCreate){parentInjector||(parentInjector=Injector.NULL);var instance=new this._injectorClass(parentInjector);return null===this._scopedProviders&&(this._scopedProviders=_resolveScopedProviders(this._moduleType)),instance._setScopedProviders(this._scopedProviders),beforeCreate&&beforeCreate(instance),instance.create(),instance},NgModuleFactory}(),_UNDEFINED=new Object,NgModuleInjector=function(_super){function NgModuleInjector(parent,factories,bootstrapFactories){_super.call(this,factories,parent.get(ComponentFactoryResolver,ComponentFactoryResolver.NULL)),this.parent=parent,this.bootstrapFactories=bootstrapFactories,this._destroyListeners=[],this._destroyed=!1,this._scopedInjector=null,this._scopedTokens=null}return __extends$13(NgModuleInjector,_super),NgModuleInjector.prototype._setScopedProviders=function(providers){providers.length>0&&(this._scopedInjector=ReflectiveInjector.fromResolvedProviders(providers,this),this._scopedTokens=new Set(providers.map(function(provider){return provider.key.token})))},NgModuleInjector.prototype.create=function(){this.instance=this.createInternal()},NgModuleInjector.prototype.createInternal=function(){},NgModuleInjector.prototype.get=function(token,notFoundValue){var _this=this;if(void 0===notFoundValue&&(notFoundValue=THROW_IF_NOT_FOUND),token===Injector||token===ComponentFactoryResolver)return this;if(null!==this._scopedTokens&&this._scopedTokens.has(token))return this._scopedInjector.get(token,notFoundValue);if(getResolutionTracer())return traceLookup(token,null,null,function(){return _this._getTraced(token,notFoundValue)});var result=this.getInternal(token,_UNDEFINED);return result===_UNDEFINED?this.parent.get(token,notFoundValue):result},NgModuleInjector.prototype._getTraced=function(token,notFoundValue){var _this=this,name=this.instance?stringify(this.instance.constructor):"NgModule",result=traceLevel("module",name,_UNDEFINED,!1,function(){return _this.getInternal(token,_UNDEFINED)});return result===_UNDEFINED?this.parent.get(token,notFoundValue):result},NgModuleInjector.prototype.getAsync=function(token,notFoundValue){var _this=this;return void 0===notFoundValue&&(notFoundValue=THROW_IF_NOT_FOUND),token===Injector||token===ComponentFactoryResolver?Promise.resolve(this):null!==this._scopedTokens&&this._scopedTokens.has(token)?this._scopedInjector.getAsync(token,notFoundValue):new Promise(function(resolve){return resolve(_this.getInternal(token,_UNDEFINED))}).then(function(result){return result===_UNDEFINED?getAsyncFromInjector(_this.parent,token,notFoundValue):result})},NgModuleInjector.prototype.getInternal=function(token,notFoundValue){},Object.defineProperty(NgModuleInjector.prototype,"injector",{get:function(){return this},enumerable:!0,configurable:!0}),Object.defineProperty(NgModuleInjector.prototype,"componentFactoryResolver",{get:function(){return this},enumerable:!0,configurable:!0}),NgModuleInjector.prototype.destroy=function(){if(this._destroyed)throw new Error("The ng module "+stringify(this.instance.constructor)+" has already been destroyed.");this._destroyed=!0,this._scopedInjector&&this._scopedInjector.destroy(),this.destroyInternal(),this._destroyListeners.forEach(function(listener){return listener()})},NgModuleInjector.prototype.onDestroy=function(callback){this._destroyListeners.push(callback)},NgModuleInjector.prototype.destroyInternal=function(){},
+NgModuleInjector}(CodegenComponentFactoryResolver),NgModuleFactoryLoader=function(){function NgModuleFactoryLoader(){}return NgModuleFactoryLoader.prototype.load=function(path){},NgModuleFactoryLoader}(),moduleFactories=new Map,QueryList=function(){function QueryList(){this._dirty=!0,this._results=[],this._emitter=new EventEmitter}return Object.defineProperty(QueryList.prototype,"changes",{get:function(){return this._emitter},enumerable:!0,configurable:!0}),Object.defineProperty(QueryList.prototype,"length",{get:function(){return this._results.length},enumerable:!0,configurable:!0}),Object.defineProperty(QueryList.prototype,"first",{get:function(){return this._results[0]},enumerable:!0,configurable:!0}),Object.defineProperty(QueryList.prototype,"last",{get:function(){return this._results[this.length-1]},enumerable:!0,configurable:!0}),QueryList.prototype.map=function(fn){return this._results.map(fn)},QueryList.prototype.filter=function(fn){return this._results.filter(fn)},QueryList.prototype.find=function(fn){return this._results.find(fn)},QueryList.prototype.reduce=function(fn,init){return this._results.reduce(fn,init)},QueryList.prototype.forEach=function(fn){this._results.forEach(fn)},QueryList.prototype.some=function(fn){return this._results.some(fn)},QueryList.prototype.toArray=function(){return this._results.slice()},QueryList.prototype[getSymbolIterator()]=function(){return this._results[getSymbolIterator()]()},QueryList.prototype.toString=function(){return this._results.toString()},QueryList.prototype.reset=function(res){this._results=ListWrapper.flatten(res),this._dirty=!1},QueryList.prototype.notifyOnChanges=function(){this._emitter.emit(this)},QueryList.prototype.setDirty=function(){this._dirty=!0},Object.defineProperty(QueryList.prototype,"dirty",{get:function(){return this._dirty},enumerable:!0,configurable:!0}),QueryList}(),_SEPARATOR="#",FACTORY_CLASS_SUFFIX="NgFactory",SystemJsNgModuleLoaderConfig=function(){function SystemJsNgModuleLoaderConfig(){}return SystemJsNgModuleLoaderConfig}(),DEFAULT_CONFIG={factoryPathPrefix:"",factoryPathSuffix:".ngfactory"},SystemJsNgModuleLoader=function(){function SystemJsNgModuleLoader(_compiler,config){this._compiler=_compiler,this._config=config||DEFAULT_CONFIG}return SystemJsNgModuleLoader.prototype.load=function(path){var offlineMode=this._compiler instanceof Compiler;return offlineMode?this.loadFactory(path):this.loadAndCompile(path)},SystemJsNgModuleLoader.prototype.loadAndCompile=function(path){var _this=this,_a=path.split(_SEPARATOR),module=_a[0],exportName=_a[1];return void 0===exportName&&(exportName="default"),System.import(module).then(function(module){return module[exportName]}).then(function(type){return checkNotEmpty(type,module,exportName)}).then(function(type){return _this._compiler.compileModuleAsync(type)})},SystemJsNgModuleLoader.prototype.loadFactory=function(path){var _a=path.split(_SEPARATOR),module=_a[0],exportName=_a[1],factoryClassSuffix=FACTORY_CLASS_SUFFIX;return void 0===exportName&&(exportName="default",factoryClassSuffix=""),System.import(this._config.factoryPathPrefix+module+this._config.factoryPathSuffix).then(function(module){return module[exportName+factoryClassSuffix]}).then(function(factory){return checkNotEmpty(factory,module,exportName)})},SystemJsNgModuleLoader.decorators=[{type:Injectable}],SystemJsNgModuleLoader.ctorParameters=function(){return[{type:Compiler},{type:SystemJsNgModuleLoaderConfig,decorators:[{type:Optional}]}]},SystemJsNgModuleLoader}(),__extends$14=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},TemplateRef=function(){function TemplateRef(){}return Object.defineProperty(TemplateRef.prototype,"elementRef",{get:function(){return null},enumerable:!0,configurable:!0}),TemplateRef.prototype.createEmbeddedView=function(context){},TemplateRef}(),TemplateRef_=function(_super){function TemplateRef_(_parentView,_nodeIndex,_nativeElement){_super.call(this),this._parentView=_parentView,this._nodeIndex=_nodeIndex,this._nativeElement=_nativeElement}return __extends$14(TemplateRef_,_super),TemplateRef_.prototype.createEmbeddedView=function(context){var view=this._parentView.createEmbeddedViewInternal(this._nodeIndex);return view.create(context||{}),view.ref},Object.defineProperty(TemplateRef_.prototype,"elementRef",{get:function(){return new ElementRef(this._nativeElement)},enumerable:!0,configurable:!0}),TemplateRef_}(TemplateRef),ViewContainerRef=function(){function ViewContainerRef(){}return Object.defineProperty(ViewContainerRef.prototype,"element",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainerRef.prototype,"injector",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainerRef.prototype,"parentInjector",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ViewContainerRef.prototype.clear=function(){},ViewContainerRef.prototype.get=function(index){},Object.defineProperty(ViewContainerRef.prototype,"length",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ViewContainerRef.prototype.createEmbeddedView=function(templateRef,context,index){},ViewContainerRef.prototype.createComponent=function(componentFactory,index,injector,projectableNodes){},ViewContainerRef.prototype.insert=function(viewRef,index){},ViewContainerRef.prototype.move=function(viewRef,currentIndex){},ViewContainerRef.prototype.indexOf=function(viewRef){},ViewContainerRef.prototype.remove=function(index){},ViewContainerRef.prototype.detach=function(index){},ViewContainerRef}(),ViewContainerRef_=function(){function ViewContainerRef_(_element){this._element=_element,this._createComponentInContainerScope=wtfCreateScope("ViewContainerRef#createComponent()"),this._insertScope=wtfCreateScope("ViewContainerRef#insert()"),this._removeScope=wtfCreateScope("ViewContainerRef#remove()"),this._detachScope=wtfCreateScope("ViewContainerRef#detach()")}return ViewContainerRef_.prototype.get=function(index){return this._element.nestedViews[index].ref},Object.defineProperty(ViewContainerRef_.prototype,"length",{get:function(){var views=this._element.nestedViews;return isPresent(views)?views.length:0},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainerRef_.prototype,"element",{get:function(){return this._element.elementRef},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainerRef_.prototype,"injector",{get:function(){return this._element.injector},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainerRef_.prototype,"parentInjector",{get:function(){return this._element.parentInjector},enumerable:!0,configurable:!0}),ViewContainerRef_.prototype.createEmbeddedView=function(templateRef,context,index){void 0===context&&(context=null),void 0===index&&(index=-1);var viewRef=createInContainer(this._element.nativeElement,function(){return templateRef.createEmbeddedView(context)});return this.insert(viewRef,index),viewRef},ViewContainerRef_.prototype.createComponent=function(componentFactory,index,injector,projectableNodes){void 0===index&&(index=-1),void 0===injector&&(injector=null),void 0===projectableNodes&&(projectableNodes=null);var s=this._createComponentInContainerScope(),contextInjector=injector||this._element.parentInjector,componentRef=createInContainer(this._element.nativeElement,function(){return componentFactory.create(contextInjector,projectableNodes)});return this.insert(componentRef.hostView,index),wtfLeave(s,componentRef)},ViewContainerRef_.prototype.insert=function(viewRef,index){void 0===index&&(index=-1);var s=this._insertScope();index==-1&&(index=this.length);var viewRef_=viewRef;return this._element.attachView(viewRef_.internalView,index),wtfLeave(s,viewRef_)},ViewContainerRef_.prototype.move=function(viewRef,currentIndex){var s=this._insertScope();if(currentIndex!=-1){var viewRef_=viewRef;return this._element.moveView(viewRef_.internalView,currentIndex),wtfLeave(s,viewRef_)}},ViewContainerRef_.prototype.indexOf=function(viewRef){return this._element.nestedViews.indexOf(viewRef.internalView)},ViewContainerRef_.prototype.remove=function(index){void 0===index&&(index=-1);var s=this._removeScope();index==-1&&(index=this.length-1);var view=this._element.detachView(index);view.destroy(),wtfLeave(s)},ViewContainerRef_.prototype.detach=function(index){void 0===index&&(index=-1);var s=this._detachScope();index==-1&&(index=this.length-1);var view=this._element.detachView(index);return wtfLeave(s,view.ref)},ViewContainerRef_.prototype.clear=function(){for(var i=this.length-1;i>=0;i--)this.remove(i)},ViewContainerRef_}(),__extends$15=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},ViewRef=function(_super){function ViewRef(){_super.apply(this,arguments)}return __extends$15(ViewRef,_super),ViewRef.prototype.destroy=function(){},Object.defineProperty(ViewRef.prototype,"destroyed",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),ViewRef.prototype.onDestroy=function(callback){},ViewRef}(ChangeDetectorRef),EmbeddedViewRef=function(_super){function EmbeddedViewRef(){_super.apply(this,arguments)}return __extends$15(EmbeddedViewRef,_super),Object.defineProperty(EmbeddedViewRef.prototype,"context",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),Object.defineProperty(EmbeddedViewRef.prototype,"rootNodes",{get:function(){return unimplemented()},enumerable:!0,configurable:!0}),EmbeddedViewRef}(ViewRef),ViewRef_=function(){function ViewRef_(_view,animationQueue){this._view=_view,this.animationQueue=animationQueue,this._view=_view,this._originalMode=this._view.cdMode}return Object.defineProperty(ViewRef_.prototype,"internalView",{get:function(){return this._view},enumerable:!0,configurable:!0}),Object.defineProperty(ViewRef_.prototype,"rootNodes",{get:function(){return this._view.flatRootNodes},enumerable:!0,configurable:!0}),Object.defineProperty(ViewRef_.prototype,"context",{get:function(){return this._view.context},enumerable:!0,configurable:!0}),Object.defineProperty(ViewRef_.prototype,"destroyed",{get:function(){return this._view.destroyed},enumerable:!0,configurable:!0}),ViewRef_.prototype.markForCheck=function(){this._view.markPathToRootAsCheckOnce();var noopZone=this._view.viewUtils.noopZone;noopZone&&noopZone.scheduleTick()},ViewRef_.prototype.detach=function(){this._view.cdMode=ChangeDetectorStatus.Detached},ViewRef_.prototype.detectChanges=function(){this._view.detectChanges(!1),this.animationQueue.flush()},ViewRef_.prototype.checkNoChanges=function(){this._view.detectChanges(!0)},ViewRef_.prototype.reattach=function(){this._view.cdMode=this._originalMode,this.markForCheck()},ViewRef_.prototype.onDestroy=function(callback){this._view.disposables||(this._view.disposables=[]),this._view.disposables.push(callback)},ViewRef_.prototype.destroy=function(){this._view.detachAndDestroy()},ViewRef_}(),__extends$16=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},ElementInjector=function(_super){function ElementInjector(_view,_nodeIndex){_super.call(this),this._view=_view,this._nodeIndex=_nodeIndex}return __extends$16(ElementInjector,_super),ElementInjector.prototype.get=function(token,notFoundValue){return void 0===notFoundValue&&(notFoundValue=THROW_IF_NOT_FOUND),this._view.injectorGet(token,this._nodeIndex,notFoundValue)},ElementInjector}(Injector),AnimationGroupPlayer_=function(){function AnimationGroupPlayer(_players){var _this=this;this._players=_players,this._onDoneFns=[],this._onStartFns=[],this._finished=!1,this._started=!1,this._destroyed=!1,this.parentPlayer=null;var count=0,total=this._players.length;0==total?scheduleMicroTask(function(){return _this._onFinish()}):this._players.forEach(function(player){player.parentPlayer=_this,player.onDone(function(){++count>=total&&_this._onFinish()})})}return AnimationGroupPlayer.prototype._onFinish=function(){this._finished||(this._finished=!0,this._onDoneFns.forEach(function(fn){return fn()}),this._onDoneFns=[])},AnimationGroupPlayer.prototype.init=function(){this._players.forEach(function(player){return player.init()})},AnimationGroupPlayer.prototype.onStart=function(fn){this._onStartFns.push(fn)},AnimationGroupPlayer.prototype.onDone=function(fn){this._onDoneFns.push(fn)},AnimationGroupPlayer.prototype.hasStarted=function(){return this._started},AnimationGroupPlayer.prototype.play=function(){isPresent(this.parentPlayer)||this.init(),this.hasStarted()||(this._onStartFns.forEach(function(fn){return fn()}),this._onStartFns=[],this._started=!0),this._players.forEach(function(player){return player.play()})},AnimationGroupPlayer.prototype.pause=function(){this._players.forEach(function(player){return player.pause()})},AnimationGroupPlayer.prototype.restart=function(){this._players.forEach(function(player){return player.restart()})},AnimationGroupPlayer.prototype.finish=function(){this._onFinish(),this._players.forEach(function(player){return player.finish()})},AnimationGroupPlayer.prototype.destroy=function(){this._destroyed||(this._onFinish(),this._players.forEach(function(player){return player.destroy()}),this._destroyed=!0)},AnimationGroupPlayer.prototype.reset=function(){this._players.forEach(function(player){return player.reset()}),this._destroyed=!1,this._finished=!1,this._started=!1},AnimationGroupPlayer.prototype.setPosition=function(p){this._players.forEach(function(player){player.setPosition(p)})},AnimationGroupPlayer.prototype.getPosition=function(){var min=0;return this._players.forEach(function(player){var p=player.getPosition();min=Math.min(p,min)}),min},Object.defineProperty(AnimationGroupPlayer.prototype,"players",{get:function(){return this._players},enumerable:!0,configurable:!0}),AnimationGroupPlayer}(),AnimationSequencePlayer_=function(){function AnimationSequencePlayer(_players){var _this=this;this._players=_players,this._currentIndex=0,this._onDoneFns=[],this._onStartFns=[],this._finished=!1,this._started=!1,this._destroyed=!1,this.parentPlayer=null,this._players.forEach(function(player){player.parentPlayer=_this}),this._onNext(!1)}return AnimationSequencePlayer.prototype._onNext=function(start){var _this=this;if(!this._finished)if(0==this._players.length)this._activePlayer=new NoOpAnimationPlayer_,scheduleMicroTask(function(){return _this._onFinish()});else if(this._currentIndex>=this._players.length)this._activePlayer=new NoOpAnimationPlayer_,this._onFinish();else{var player=this._players[this._currentIndex++];player.onDone(function(){return _this._onNext(!0)}),this._activePlayer=player,start&&player.play()}},AnimationSequencePlayer.prototype._onFinish=function(){this._finished||(this._finished=!0,this._onDoneFns.forEach(function(fn){return fn()}),this._onDoneFns=[])},AnimationSequencePlayer.prototype.init=function(){this._players.forEach(function(player){return player.init()})},AnimationSequencePlayer.prototype.onStart=function(fn){this._onStartFns.push(fn)},AnimationSequencePlayer.prototype.onDone=function(fn){this._onDoneFns.push(fn)},AnimationSequencePlayer.prototype.hasStarted=function(){return this._started},AnimationSequencePlayer.prototype.play=function(){isPresent(this.parentPlayer)||this.init(),this.hasStarted()||(this._onStartFns.forEach(function(fn){return fn()}),this._onStartFns=[],this._started=!0),this._activePlayer.play()},AnimationSequencePlayer.prototype.pause=function(){this._activePlayer.pause()},AnimationSequencePlayer.prototype.restart=function(){this.reset(),this._players.length>0&&this._players[0].restart()},AnimationSequencePlayer.prototype.reset=function(){this._players.forEach(function(player){return player.reset()}),this._destroyed=!1,this._finished=!1,this._started=!1},AnimationSequencePlayer.prototype.finish=function(){this._onFinish(),this._players.forEach(function(player){return player.finish()})},AnimationSequencePlayer.prototype.destroy=function(){this._destroyed||(this._onFinish(),this._players.forEach(function(player){return player.destroy()}),this._destroyed=!0,this._activePlayer=new NoOpAnimationPlayer_)},AnimationSequencePlayer.prototype.setPosition=function(p){this._players[0].setPosition(p)},AnimationSequencePlayer.prototype.getPosition=function(){return this._players[0].getPosition()},Object.defineProperty(AnimationSequencePlayer.prototype,"players",{get:function(){return this._players},enumerable:!0,configurable:!0}),AnimationSequencePlayer}(),ViewAnimationMap=function(){function ViewAnimationMap(){this._map=new Map,this._allPlayers=[]}return ViewAnimationMap.prototype.find=function(element,animationName){var playersByAnimation=this._map.get(element);if(isPresent(playersByAnimation))return playersByAnimation[animationName]},ViewAnimationMap.prototype.findAllPlayersByElement=function(element){var el=this._map.get(element);return el?Object.keys(el).map(function(k){return el[k]}):[]},ViewAnimationMap.prototype.set=function(element,animationName,player){var playersByAnimation=this._map.get(element);isPresent(playersByAnimation)||(playersByAnimation={});var existingEntry=playersByAnimation[animationName];isPresent(existingEntry)&&this.remove(element,animationName),playersByAnimation[animationName]=player,this._allPlayers.push(player),this._map.set(element,playersByAnimation)},ViewAnimationMap.prototype.getAllPlayers=function(){return this._allPlayers},ViewAnimationMap.prototype.remove=function(element,animationName,targetPlayer){void 0===targetPlayer&&(targetPlayer=null);var playersByAnimation=this._map.get(element);if(playersByAnimation){var player=playersByAnimation[animationName];if(!targetPlayer||player===targetPlayer){delete playersByAnimation[animationName];var index=this._allPlayers.indexOf(player);this._allPlayers.splice(index,1),0===Object.keys(playersByAnimation).length&&this._map.delete(element)}}},ViewAnimationMap}(),AnimationViewContext=function(){function AnimationViewContext(_animationQueue){this._animationQueue=_animationQueue,this._players=new ViewAnimationMap}return AnimationViewContext.prototype.onAllActiveAnimationsDone=function(callback){var activeAnimationPlayers=this._players.getAllPlayers();activeAnimationPlayers.length?new AnimationGroupPlayer_(activeAnimationPlayers).onDone(function(){return callback()}):callback()},AnimationViewContext.prototype.queueAnimation=function(element,animationName,player){var _this=this;this._animationQueue.enqueue(player),this._players.set(element,animationName,player),player.onDone(function(){return _this._players.remove(element,animationName,player)})},AnimationViewContext.prototype.getAnimationPlayers=function(element,animationName){void 0===animationName&&(animationName=null);var players=[];if(animationName){var currentPlayer=this._players.find(element,animationName);currentPlayer&&_recursePlayers(currentPlayer,players)}else this._players.findAllPlayersByElement(element).forEach(function(player){return _recursePlayers(player,players)});return players},AnimationViewContext}(),ViewType={};ViewType.HOST=0,ViewType.COMPONENT=1,ViewType.EMBEDDED=2,ViewType[ViewType.HOST]="HOST",ViewType[ViewType.COMPONENT]="COMPONENT",ViewType[ViewType.EMBEDDED]="EMBEDDED";var StaticNodeDebugInfo=function(){function StaticNodeDebugInfo(providerTokens,componentToken,refTokens){this.providerTokens=providerTokens,this.componentToken=componentToken,this.refTokens=refTokens}return StaticNodeDebugInfo}(),DebugContext=function(){function DebugContext(_view,_nodeIndex,_tplRow,_tplCol){this._view=_view,this._nodeIndex=_nodeIndex,this._tplRow=_tplRow,this._tplCol=_tplCol}return Object.defineProperty(DebugContext.prototype,"_staticNodeInfo",{get:function(){return isPresent(this._nodeIndex)?this._view.staticNodeDebugInfos[this._nodeIndex]:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"context",{get:function(){return this._view.context},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"component",{get:function(){var staticNodeInfo=this._staticNodeInfo;return isPresent(staticNodeInfo)&&isPresent(staticNodeInfo.componentToken)?this.injector.get(staticNodeInfo.componentToken):null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"componentRenderElement",{get:function(){for(var componentView=this._view;isPresent(componentView.parentView)&&componentView.type!==ViewType.COMPONENT;)componentView=componentView.parentView;return componentView.parentElement},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"viewComponent",{get:function(){for(var componentView=this._view;isPresent(componentView.parentView)&&componentView.type!==ViewType.COMPONENT;)componentView=componentView.parentView;return componentView.type===ViewType.COMPONENT?componentView.context:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"injector",{get:function(){return this._view.injector(this._nodeIndex)},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"renderNode",{get:function(){return isPresent(this._nodeIndex)&&this._view.allNodes?this._view.allNodes[this._nodeIndex]:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"providerTokens",{get:function(){var staticNodeInfo=this._staticNodeInfo;return isPresent(staticNodeInfo)?staticNodeInfo.providerTokens:null},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"source",{get:function(){return this._view.componentType.templateUrl+":"+this._tplRow+":"+this._tplCol},enumerable:!0,configurable:!0}),Object.defineProperty(DebugContext.prototype,"references",{get:function(){var _this=this,varValues={},staticNodeInfo=this._staticNodeInfo;if(isPresent(staticNodeInfo)){var refs_1=staticNodeInfo.refTokens;Object.keys(refs_1).forEach(function(refName){var varValue,refToken=refs_1[refName];varValue=isBlank(refToken)?_this._view.allNodes?_this._view.allNodes[_this._nodeIndex]:null:_this._view.injectorGet(refToken,_this._nodeIndex,null),varValues[refName]=varValue})}return varValues},enumerable:!0,configurable:!0}),DebugContext}(),__extends$17=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},_scope_check=wtfCreateScope("AppView#check(ascii id)"),EMPTY_CONTEXT=new Object,UNDEFINED$1=new Object,AppView=function(){function AppView(clazz,componentType,type,viewUtils,parentView,parentIndex,parentElement,cdMode,declaredViewContainer){void 0===declaredViewContainer&&(declaredViewContainer=null),this.clazz=clazz,this.componentType=componentType,this.type=type,this.viewUtils=viewUtils,this.parentView=parentView,this.parentIndex=parentIndex,this.parentElement=parentElement,this.cdMode=cdMode,this.declaredViewContainer=declaredViewContainer,this.numberOfChecks=0,this.throwOnChange=!1,this._errorBoundaryFailed=!1,this._errorBoundary=UNDEFINED$1,this._errorBoundaries=null,this._viewContainers=null,this.ref=new ViewRef_(this,viewUtils.animationQueue),type===ViewType.COMPONENT&&isPresent(parentView)&&(parentView._errorBoundaries=parentView._errorBoundaries||[],parentView._errorBoundaries.push(this)),type===ViewType.COMPONENT||type===ViewType.HOST?this.renderer=viewUtils.renderComponent(componentType):this.renderer=parentView.renderer,this._directRenderer=this.renderer.directRenderer}return Object.defineProperty(AppView.prototype,"animationContext",{get:function(){return this._animationContext||(this._animationContext=new AnimationViewContext(this.viewUtils.animationQueue)),this._animationContext},enumerable:!0,configurable:!0}),Object.defineProperty(AppView.prototype,"destroyed",{get:function(){return this.cdMode===ChangeDetectorStatus.Destroyed},enumerable:!0,configurable:!0}),AppView.prototype.create=function(context){if(this.context=context,this.type===ViewType.COMPONENT&&isPresent(this.parentView)&&!_isErrorBoundary(context)){var boundaries=this.parentView._errorBoundaries,index=boundaries?boundaries.lastIndexOf(this):-1;index!==-1&&boundaries.splice(index,1)}return this.createInternal(null)},AppView.prototype.createHostView=function(rootSelectorOrNode,hostInjector,projectableNodes){return this.context=EMPTY_CONTEXT,this._hasExternalHostElement=isPresent(rootSelectorOrNode),this._hostInjector=hostInjector,this._hostProjectableNodes=projectableNodes,this.createInternal(rootSelectorOrNode)},AppView.prototype.createInternal=function(rootSelectorOrNode){return null},AppView.prototype.createEmbeddedViewInternal=function(templateNodeIndex){return null},AppView.prototype.init=function(lastRootNode,allNodes,disposables){this.lastRootNode=lastRootNode,this.allNodes=allNodes,this.disposables=disposables,this.type===ViewType.COMPONENT&&this.dirtyParentQueriesInternal()},AppView.prototype.injectorGet=function(token,nodeIndex,notFoundValue){var _this=this;return void 0===notFoundValue&&(notFoundValue=THROW_IF_NOT_FOUND),getResolutionTracer()?traceLookup(token,this,nodeIndex,function(){return _this._injectorGet(token,nodeIndex,notFoundValue,!0)}):this._injectorGet(token,nodeIndex,notFoundValue,!1)},AppView.prototype._injectorGet=function(token,nodeIndex,notFoundValue,traced){for(var result=UNDEFINED$1,view=this,_loop_1=function(){if(isPresent(nodeIndex))if(traced){var elementView_1=view,elementIndex_1=nodeIndex;result=traceLevel("element",stringify(view.clazz)+"#"+nodeIndex,UNDEFINED$1,!1,function(){return elementView_1.injectorGetInternal(token,elementIndex_1,UNDEFINED$1)})}else result=view.injectorGetInternal(token,nodeIndex,UNDEFINED$1);result===UNDEFINED$1&&view.type===ViewType.HOST&&(result=view._hostInjector.get(token,notFoundValue)),nodeIndex=view.parentIndex,view=view.parentView};result===UNDEFINED$1;)_loop_1();return result},AppView.prototype.injectorGetInternal=function(token,nodeIndex,notFoundResult){return notFoundResult},AppView.prototype.injector=function(nodeIndex){return new ElementInjector(this,nodeIndex)},AppView.prototype.detachAndDestroy=function(){this.viewContainer?this.viewContainer.detachView(this.viewContainer.nestedViews.indexOf(this)):this.appRef?this.appRef.detachView(this.ref):this._hasExternalHostElement&&this.detach(),this.destroy()},AppView.prototype.destroy=function(){var _this=this;if(this.cdMode!==ChangeDetectorStatus.Destroyed){var hostElement=this.type===ViewType.COMPONENT?this.parentElement:null;if(this.disposables)for(var i=0;i<this.disposables.length;i++)this.disposables[i]();this.destroyInternal(),this.dirtyParentQueriesInternal(),this._animationContext?this._animationContext.onAllActiveAnimationsDone(function(){return _this.renderer.destroyView(hostElement,_this.allNodes)}):this.renderer.destroyView(hostElement,this.allNodes),this.cdMode=ChangeDetectorStatus.Destroyed}},AppView.prototype.destroyInternal=function(){},AppView.prototype.detachInternal=function(){},AppView.prototype.detach=function(){var _this=this;if(this.detachInternal(),this._animationContext?this._animationContext.onAllActiveAnimationsDone(function(){return _this._renderDetach()}):this._renderDetach(),this.declaredViewContainer&&this.declaredViewContainer!==this.viewContainer&&this.declaredViewContainer.projectedViews){var projectedViews=this.declaredViewContainer.projectedViews,index=projectedViews.indexOf(this);index>=projectedViews.length-1?projectedViews.pop():projectedViews.splice(index,1)}this.appRef=null,this.viewContainer=null,this.dirtyParentQueriesInternal()},AppView.prototype._renderDetach=function(){this._directRenderer?this.visitRootNodesInternal(this._directRenderer.remove,null):this.renderer.detachView(this.flatRootNodes)},AppView.prototype.attachToAppRef=function(appRef){if(this.viewContainer)throw new Error("This view is already attached to a ViewContainer!");this.appRef=appRef,this.dirtyParentQueriesInternal()},AppView.prototype.attachAfter=function(viewContainer,prevView){if(this.appRef)throw new Error("This view is already attached directly to the ApplicationRef!");this._renderAttach(viewContainer,prevView),this.viewContainer=viewContainer,this.declaredViewContainer&&this.declaredViewContainer!==viewContainer&&(this.declaredViewContainer.projectedViews||(this.declaredViewContainer.projectedViews=[]),this.declaredViewContainer.projectedViews.push(this)),this.dirtyParentQueriesInternal()},AppView.prototype.moveAfter=function(viewContainer,prevView){this._renderAttach(viewContainer,prevView),this.dirtyParentQueriesInternal()},AppView.prototype._renderAttach=function(viewContainer,prevView){var prevNode=prevView?prevView.lastRootNode:viewContainer.nativeElement;if(this._directRenderer){var nextSibling=this._directRenderer.nextSibling(prevNode);if(nextSibling)this.visitRootNodesInternal(this._directRenderer.insertBefore,nextSibling);else{var parentElement=this._directRenderer.parentElement(prevNode);parentElement&&this.visitRootNodesInternal(this._directRenderer.appendChild,parentElement)}}else this.renderer.attachViewAfter(prevNode,this.flatRootNodes)},Object.defineProperty(AppView.prototype,"changeDetectorRef",{get:function(){return this.ref},enumerable:!0,configurable:!0}),Object.defineProperty(AppView.prototype,"flatRootNodes",{get:function(){var nodes=[];return this.visitRootNodesInternal(addToArray,nodes),nodes},enumerable:!0,configurable:!0}),AppView.prototype.projectNodes=function(parentElement,ngContentIndex){if(this._directRenderer)this.visitProjectedNodes(ngContentIndex,this._directRenderer.appendChild,parentElement);else{var nodes=[];this.visitProjectedNodes(ngContentIndex,addToArray,nodes),this.renderer.projectNodes(parentElement,nodes)}},AppView.prototype.visitProjectedNodes=function(ngContentIndex,cb,c){switch(this.type){case ViewType.EMBEDDED:this.parentView.visitProjectedNodes(ngContentIndex,cb,c);break;case ViewType.COMPONENT:if(this.parentView.type===ViewType.HOST)for(var nodes=this.parentView._hostProjectableNodes[ngContentIndex]||[],i=0;i<nodes.length;i++)cb(nodes[i],c);else this.parentView.visitProjectableNodesInternal(this.parentIndex,ngContentIndex,cb,c)}},AppView.prototype.visitRootNodesInternal=function(cb,c){},AppView.prototype.visitProjectableNodesInternal=function(nodeIndex,ngContentIndex,cb,c){},AppView.prototype.dirtyParentQueriesInternal=function(){},AppView.prototype.internalDetectChanges=function(throwOnChange){if(this.cdMode!==ChangeDetectorStatus.Detached){var boundary=this._getErrorBoundary();if(boundary)try{this.detectChanges(throwOnChange)}catch(e){_containError(boundary,e)}else this.detectChanges(throwOnChange)}},AppView.prototype.detectChanges=function(throwOnChange){if(this.cdMode!==ChangeDetectorStatus.Checked&&this.cdMode!==ChangeDetectorStatus.Errored){this.cdMode===ChangeDetectorStatus.Destroyed&&this.throwDestroyedError("detectChanges");var s=_scope_check(this.clazz);this.throwOnChange=throwOnChange;var profiler=throwOnChange?null:getChangeDetectionProfiler();profiler&&profiler._enterView(this);try{this.detectChangesInternal(),this.cdMode===ChangeDetectorStatus.CheckOnce&&(this.cdMode=ChangeDetectorStatus.Checked),this.numberOfChecks++}finally{profiler&&profiler._leaveView(this),wtfLeave(s)}}},AppView.prototype.detectChangesInternal=function(){},AppView.prototype.markAsCheckOnce=function(){this.cdMode=ChangeDetectorStatus.CheckOnce},AppView.prototype.markPathToRootAsCheckOnce=function(){for(var c=this;isPresent(c)&&c.cdMode!==ChangeDetectorStatus.Detached;)c.cdMode===ChangeDetectorStatus.Checked&&(c.cdMode=ChangeDetectorStatus.CheckOnce),c=c.type===ViewType.COMPONENT?c.parentView:c.viewContainer?c.viewContainer.parentView:null},AppView.prototype.eventHandler=function(cb){var _this=this,handler=cb;_findErrorBoundary(this,null,!0)&&(handler=function(eventName,event){
+try{return cb.call(_this,eventName,event)}catch(e){var boundary=_this._getErrorBoundary();if(!boundary)throw e;return _containError(boundary,e),!0}});var noopZone=this.viewUtils.noopZone;return noopZone?function(eventName,event){return noopZone.runGuarded(function(){return handler(eventName,event)})}:handler},AppView.prototype._getErrorBoundary=function(){return this._errorBoundary===UNDEFINED$1&&(this._errorBoundary=_findErrorBoundary(this,null,!1)),this._errorBoundary},AppView.prototype._failErrorBoundary=function(error){if(!this._errorBoundaryFailed){var component=this.context;this._errorBoundaryFailed=!0,this.cdMode=ChangeDetectorStatus.Errored,this._removeContent();try{var fallback=component.ngOnViewError(error);if(fallback){var viewContainer=_findViewContainer(this.parentView,this.parentIndex);if(!viewContainer)throw new Error(stringify(component.constructor)+" needs to inject ViewContainerRef to render a fallback template.");viewContainer.vcRef.createEmbeddedView(fallback).detectChanges()}}catch(e){var outer=_findErrorBoundary(this.parentView,this.parentIndex,!1);if(!outer)throw e;_containError(outer,e)}}},AppView.prototype._removeContent=function(){var _this=this,nodes=this.allNodes.slice();this._viewContainers&&this._viewContainers.forEach(function(viewContainer){return viewContainer.visitNestedViewRootNodes(addToArray,nodes)});for(var i=0;i<this.componentType.slotCount;i++)this.visitProjectedNodes(i,addToArray,nodes);this._directRenderer?nodes.forEach(function(node){return _this._directRenderer.remove(node)}):this.renderer.detachView(nodes)},AppView.prototype.throwDestroyedError=function(details){throw new ViewDestroyedError(details)},AppView}(),DebugAppView=function(_super){function DebugAppView(clazz,componentType,type,viewUtils,parentView,parentIndex,parentNode,cdMode,staticNodeDebugInfos,declaredViewContainer){void 0===declaredViewContainer&&(declaredViewContainer=null),_super.call(this,clazz,componentType,type,viewUtils,parentView,parentIndex,parentNode,cdMode,declaredViewContainer),this.staticNodeDebugInfos=staticNodeDebugInfos,this._currentDebugContext=null}return __extends$17(DebugAppView,_super),DebugAppView.prototype.create=function(context){this._resetDebug();try{return _super.prototype.create.call(this,context)}catch(e){throw this._rethrowWithContext(e),e}},DebugAppView.prototype.createHostView=function(rootSelectorOrNode,injector,projectableNodes){void 0===projectableNodes&&(projectableNodes=null),this._resetDebug();try{return _super.prototype.createHostView.call(this,rootSelectorOrNode,injector,projectableNodes)}catch(e){throw this._rethrowWithContext(e),e}},DebugAppView.prototype.injectorGet=function(token,nodeIndex,notFoundResult){this._resetDebug();try{return _super.prototype.injectorGet.call(this,token,nodeIndex,notFoundResult)}catch(e){throw this._rethrowWithContext(e),e}},DebugAppView.prototype.detach=function(){this._resetDebug();try{_super.prototype.detach.call(this)}catch(e){throw this._rethrowWithContext(e),e}},DebugAppView.prototype.destroy=function(){this._resetDebug();try{_super.prototype.destroy.call(this)}catch(e){throw this._rethrowWithContext(e),e}},DebugAppView.prototype.detectChanges=function(throwOnChange){this._resetDebug();try{_super.prototype.detectChanges.call(this,throwOnChange)}catch(e){throw this._rethrowWithContext(e),e}},DebugAppView.prototype._resetDebug=function(){this._currentDebugContext=null},DebugAppView.prototype.debug=function(nodeIndex,rowNum,colNum){return this._currentDebugContext=new DebugContext(this,nodeIndex,rowNum,colNum)},DebugAppView.prototype._rethrowWithContext=function(e){if(!(e instanceof ViewWrappedError)&&(e instanceof ExpressionChangedAfterItHasBeenCheckedError||(this.cdMode=ChangeDetectorStatus.Errored),isPresent(this._currentDebugContext)))throw new ViewWrappedError(e,this._currentDebugContext)},DebugAppView.prototype.eventHandler=function(cb){var _this=this;return _super.prototype.eventHandler.call(this,function(eventName,event){_this._resetDebug();try{return cb.call(_this,eventName,event)}catch(e){throw _this._rethrowWithContext(e),e}})},DebugAppView}(AppView),_CORE_PLATFORM_PROVIDERS=[PlatformRef_,{provide:PlatformRef,useExisting:PlatformRef_},{provide:Reflector,useFactory:_reflector,deps:[]},{provide:ReflectorReader,useExisting:Reflector},TestabilityRegistry,Console],platformCore=createPlatformFactory(null,"core",_CORE_PLATFORM_PROVIDERS),_DEFAULT_TIMEOUT=1e4,LOCALE_ID=new OpaqueToken("LocaleId"),TRANSLATIONS=new OpaqueToken("Translations"),TRANSLATIONS_FORMAT=new OpaqueToken("TranslationsFormat"),ApplicationModule=function(){function ApplicationModule(){}return ApplicationModule.decorators=[{type:NgModule,args:[{providers:[ApplicationRef_,{provide:ApplicationRef,useExisting:ApplicationRef_},ApplicationInitStatus,Compiler,APP_ID_RANDOM_PROVIDER,ViewUtils,AnimationQueue,{provide:IterableDiffers,useFactory:_iterableDiffersFactory},{provide:KeyValueDiffers,useFactory:_keyValueDiffersFactory},{provide:LOCALE_ID,useFactory:_localeFactory,deps:[[new Inject(LOCALE_ID),new Optional,new SkipSelf]]}]}]}],ApplicationModule.ctorParameters=function(){return[]},ApplicationModule}(),FILL_STYLE_FLAG="true",ANY_STATE="*",DEFAULT_STATE="*",EMPTY_STATE="void",AnimationKeyframe=function(){function AnimationKeyframe(offset,styles){this.offset=offset,this.styles=styles}return AnimationKeyframe}(),__extends$18=this&&this.__extends||function(d,b){function __(){this.constructor=d}for(var p in b)b.hasOwnProperty(p)&&(d[p]=b[p]);d.prototype=null===b?Object.create(b):(__.prototype=b.prototype,new __)},AUTO_STYLE="*",AnimationEntryMetadata=function(){function AnimationEntryMetadata(name,definitions){this.name=name,this.definitions=definitions}return AnimationEntryMetadata}(),AnimationStateMetadata=function(){function AnimationStateMetadata(){}return AnimationStateMetadata}(),AnimationStateDeclarationMetadata=function(_super){function AnimationStateDeclarationMetadata(stateNameExpr,styles){_super.call(this),this.stateNameExpr=stateNameExpr,this.styles=styles}return __extends$18(AnimationStateDeclarationMetadata,_super),AnimationStateDeclarationMetadata}(AnimationStateMetadata),AnimationStateTransitionMetadata=function(_super){function AnimationStateTransitionMetadata(stateChangeExpr,steps){_super.call(this),this.stateChangeExpr=stateChangeExpr,this.steps=steps}return __extends$18(AnimationStateTransitionMetadata,_super),AnimationStateTransitionMetadata}(AnimationStateMetadata),AnimationMetadata=function(){function AnimationMetadata(){}return AnimationMetadata}(),AnimationKeyframesSequenceMetadata=function(_super){function AnimationKeyframesSequenceMetadata(steps){_super.call(this),this.steps=steps}return __extends$18(AnimationKeyframesSequenceMetadata,_super),AnimationKeyframesSequenceMetadata}(AnimationMetadata),AnimationStyleMetadata=function(_super){function AnimationStyleMetadata(styles,offset){void 0===offset&&(offset=null),_super.call(this),this.styles=styles,this.offset=offset}return __extends$18(AnimationStyleMetadata,_super),AnimationStyleMetadata}(AnimationMetadata),AnimationAnimateMetadata=function(_super){function AnimationAnimateMetadata(timings,styles){_super.call(this),this.timings=timings,this.styles=styles}return __extends$18(AnimationAnimateMetadata,_super),AnimationAnimateMetadata}(AnimationMetadata),AnimationWithStepsMetadata=function(_super){function AnimationWithStepsMetadata(){_super.call(this)}return __extends$18(AnimationWithStepsMetadata,_super),Object.defineProperty(AnimationWithStepsMetadata.prototype,"steps",{get:function(){throw new Error("NOT IMPLEMENTED: Base Class")},enumerable:!0,configurable:!0}),AnimationWithStepsMetadata}(AnimationMetadata),AnimationSequenceMetadata=function(_super){function AnimationSequenceMetadata(_steps){_super.call(this),this._steps=_steps}return __extends$18(AnimationSequenceMetadata,_super),Object.defineProperty(AnimationSequenceMetadata.prototype,"steps",{get:function(){return this._steps},enumerable:!0,configurable:!0}),AnimationSequenceMetadata}(AnimationWithStepsMetadata),AnimationGroupMetadata=function(_super){function AnimationGroupMetadata(_steps){_super.call(this),this._steps=_steps}return __extends$18(AnimationGroupMetadata,_super),Object.defineProperty(AnimationGroupMetadata.prototype,"steps",{get:function(){return this._steps},enumerable:!0,configurable:!0}),AnimationGroupMetadata}(AnimationWithStepsMetadata),AnimationStyles=function(){function AnimationStyles(styles){this.styles=styles}return AnimationStyles}(),AnimationTransitionEvent=function(){function AnimationTransitionEvent(_a){var fromState=_a.fromState,toState=_a.toState,totalTime=_a.totalTime,phaseName=_a.phaseName,element=_a.element,triggerName=_a.triggerName;this.fromState=fromState,this.toState=toState,this.totalTime=totalTime,this.phaseName=phaseName,this.element=new ElementRef(element),this.triggerName=triggerName}return AnimationTransitionEvent}(),AnimationTransition=function(){function AnimationTransition(_player,_element,_triggerName,_fromState,_toState,_totalTime){this._player=_player,this._element=_element,this._triggerName=_triggerName,this._fromState=_fromState,this._toState=_toState,this._totalTime=_totalTime}return AnimationTransition.prototype._createEvent=function(phaseName){return new AnimationTransitionEvent({fromState:this._fromState,toState:this._toState,totalTime:this._totalTime,phaseName:phaseName,element:this._element,triggerName:this._triggerName})},AnimationTransition.prototype.onStart=function(callback){var _this=this,fn=_wrapInCurrentZone(function(){return callback(_this._createEvent("start"))},"player.onStart");this._player.onStart(fn)},AnimationTransition.prototype.onDone=function(callback){var _this=this,fn=_wrapInCurrentZone(function(){return callback(_this._createEvent("done"))},"player.onDone");this._player.onDone(fn)},AnimationTransition}(),DebugDomRootRenderer=function(){function DebugDomRootRenderer(_delegate){this._delegate=_delegate,this._globalListeners=[]}return DebugDomRootRenderer.prototype.renderComponent=function(componentProto){return new DebugDomRenderer(this._delegate.renderComponent(componentProto),this._globalListeners)},DebugDomRootRenderer}(),DebugDomRenderer=function(){function DebugDomRenderer(_delegate,_globalListeners){void 0===_globalListeners&&(_globalListeners=[]),this._delegate=_delegate,this._globalListeners=_globalListeners}return DebugDomRenderer.prototype.selectRootElement=function(selectorOrNode,debugInfo){var nativeEl=this._delegate.selectRootElement(selectorOrNode,debugInfo),debugEl=new DebugElement(nativeEl,null,debugInfo);return debugEl._globalListeners=this._globalListeners,indexDebugNode(debugEl),nativeEl},DebugDomRenderer.prototype.createElement=function(parentElement,name,debugInfo){var nativeEl=this._delegate.createElement(parentElement,name,debugInfo),debugEl=new DebugElement(nativeEl,getDebugNode(parentElement),debugInfo);return debugEl.name=name,debugEl._globalListeners=this._globalListeners,indexDebugNode(debugEl),nativeEl},DebugDomRenderer.prototype.createViewRoot=function(hostElement){return this._delegate.createViewRoot(hostElement)},DebugDomRenderer.prototype.createTemplateAnchor=function(parentElement,debugInfo){var comment=this._delegate.createTemplateAnchor(parentElement,debugInfo),debugEl=new DebugNode(comment,getDebugNode(parentElement),debugInfo);return indexDebugNode(debugEl),comment},DebugDomRenderer.prototype.createText=function(parentElement,value,debugInfo){var text=this._delegate.createText(parentElement,value,debugInfo),debugEl=new DebugNode(text,getDebugNode(parentElement),debugInfo);return debugEl._text=value,indexDebugNode(debugEl),text},DebugDomRenderer.prototype.projectNodes=function(parentElement,nodes){var debugParent=getDebugNode(parentElement);if(isPresent(debugParent)&&debugParent instanceof DebugElement){var debugElement_1=debugParent;nodes.forEach(function(node){debugElement_1.addChild(getDebugNode(node))})}this._delegate.projectNodes(parentElement,nodes)},DebugDomRenderer.prototype.attachViewAfter=function(node,viewRootNodes){var debugNode=getDebugNode(node);if(isPresent(debugNode)){var debugParent=debugNode.parent;if(viewRootNodes.length>0&&isPresent(debugParent)){var debugViewRootNodes_1=[];viewRootNodes.forEach(function(rootNode){return debugViewRootNodes_1.push(getDebugNode(rootNode))}),debugParent.insertChildrenAfter(debugNode,debugViewRootNodes_1)}}this._delegate.attachViewAfter(node,viewRootNodes)},DebugDomRenderer.prototype.detachView=function(viewRootNodes){viewRootNodes.forEach(function(node){var debugNode=getDebugNode(node);isPresent(debugNode)&&isPresent(debugNode.parent)&&debugNode.parent.removeChild(debugNode)}),this._delegate.detachView(viewRootNodes)},DebugDomRenderer.prototype.destroyView=function(hostElement,viewAllNodes){viewAllNodes=viewAllNodes||[],viewAllNodes.forEach(function(node){removeDebugNodeFromIndex(getDebugNode(node))}),this._delegate.destroyView(hostElement,viewAllNodes)},DebugDomRenderer.prototype.listen=function(renderElement,name,callback){var debugEl=getDebugNode(renderElement);return isPresent(debugEl)&&debugEl.listeners.push(new EventListener(name,callback)),this._delegate.listen(renderElement,name,callback)},DebugDomRenderer.prototype.listenGlobal=function(target,name,callback){var _this=this,entry={target:target,listener:new EventListener(name,callback)};this._globalListeners.push(entry);var unlisten=this._delegate.listenGlobal(target,name,callback);return function(){var index=_this._globalListeners.indexOf(entry);index!==-1&&_this._globalListeners.splice(index,1),unlisten()}},DebugDomRenderer.prototype.setElementProperty=function(renderElement,propertyName,propertyValue){var debugEl=getDebugNode(renderElement);isPresent(debugEl)&&debugEl instanceof DebugElement&&(debugEl.properties[propertyName]=propertyValue),this._delegate.setElementProperty(renderElement,propertyName,propertyValue)},DebugDomRenderer.prototype.setElementAttribute=function(renderElement,attributeName,attributeValue){var debugEl=getDebugNode(renderElement);isPresent(debugEl)&&debugEl instanceof DebugElement&&(debugEl.attributes[attributeName]=attributeValue),this._delegate.setElementAttribute(renderElement,attributeName,attributeValue)},DebugDomRenderer.prototype.setBindingDebugInfo=function(renderElement,propertyName,propertyValue){var debugEl=getDebugNode(renderElement);isPresent(debugEl)&&debugEl instanceof DebugElement&&(debugEl._bindingDebugInfo[propertyName]=propertyValue),this._delegate.setBindingDebugInfo(renderElement,propertyName,propertyValue)},DebugDomRenderer.prototype.setElementClass=function(renderElement,className,isAdd){var debugEl=getDebugNode(renderElement);isPresent(debugEl)&&debugEl instanceof DebugElement&&(debugEl.classes[className]=isAdd),this._delegate.setElementClass(renderElement,className,isAdd)},DebugDomRenderer.prototype.setElementStyle=function(renderElement,styleName,styleValue){var debugEl=getDebugNode(renderElement);isPresent(debugEl)&&debugEl instanceof DebugElement&&(debugEl.styles[styleName]=styleValue),this._delegate.setElementStyle(renderElement,styleName,styleValue)},DebugDomRenderer.prototype.invokeElementMethod=function(renderElement,methodName,args){this._delegate.invokeElementMethod(renderElement,methodName,args)},DebugDomRenderer.prototype.setText=function(renderNode,text){var debugNode=getDebugNode(renderNode);isPresent(debugNode)&&(debugNode._text=text),this._delegate.setText(renderNode,text)},DebugDomRenderer.prototype.animate=function(element,startingStyles,keyframes,duration,delay,easing,previousPlayers){return void 0===previousPlayers&&(previousPlayers=[]),this._delegate.animate(element,startingStyles,keyframes,duration,delay,easing,previousPlayers)},DebugDomRenderer}(),ViewContainer=function(){function ViewContainer(index,parentIndex,parentView,nativeElement){this.index=index,this.parentIndex=parentIndex,this.parentView=parentView,this.nativeElement=nativeElement,parentView._viewContainers=parentView._viewContainers||[],parentView._viewContainers.push(this)}return Object.defineProperty(ViewContainer.prototype,"elementRef",{get:function(){return new ElementRef(this.nativeElement)},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainer.prototype,"vcRef",{get:function(){return new ViewContainerRef_(this)},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainer.prototype,"parentInjector",{get:function(){return this.parentView.injector(this.parentIndex)},enumerable:!0,configurable:!0}),Object.defineProperty(ViewContainer.prototype,"injector",{get:function(){return this.parentView.injector(this.index)},enumerable:!0,configurable:!0}),ViewContainer.prototype.detectChangesInNestedViews=function(throwOnChange){if(this.nestedViews)for(var i=0;i<this.nestedViews.length;i++)this.nestedViews[i].detectChanges(throwOnChange)},ViewContainer.prototype.destroyNestedViews=function(){if(this.nestedViews)for(var i=0;i<this.nestedViews.length;i++)this.nestedViews[i].destroy()},ViewContainer.prototype.visitNestedViewRootNodes=function(cb,c){if(this.nestedViews)for(var i=0;i<this.nestedViews.length;i++)this.nestedViews[i].visitRootNodesInternal(cb,c)},ViewContainer.prototype.mapNestedViews=function(nestedViewClass,callback){var result=[];if(this.nestedViews)for(var i=0;i<this.nestedViews.length;i++){var nestedView=this.nestedViews[i];nestedView.clazz===nestedViewClass&&result.push(callback(nestedView))}if(this.projectedViews)for(var i=0;i<this.projectedViews.length;i++){var projectedView=this.projectedViews[i];projectedView.clazz===nestedViewClass&&result.push(callback(projectedView))}return result},ViewContainer.prototype.moveView=function(view,currentIndex){var previousIndex=this.nestedViews.indexOf(view);if(view.type===ViewType.COMPONENT)throw new Error("Component views can't be moved!");var nestedViews=this.nestedViews;null==nestedViews&&(nestedViews=[],this.nestedViews=nestedViews),nestedViews.splice(previousIndex,1),nestedViews.splice(currentIndex,0,view);var prevView=currentIndex>0?nestedViews[currentIndex-1]:null;view.moveAfter(this,prevView)},ViewContainer.prototype.attachView=function(view,viewIndex){if(view.type===ViewType.COMPONENT)throw new Error("Component views can't be moved!");var nestedViews=this.nestedViews;null==nestedViews&&(nestedViews=[],this.nestedViews=nestedViews),viewIndex>=nestedViews.length?nestedViews.push(view):nestedViews.splice(viewIndex,0,view);var prevView=viewIndex>0?nestedViews[viewIndex-1]:null;view.attachAfter(this,prevView)},ViewContainer.prototype.detachView=function(viewIndex){var view=this.nestedViews[viewIndex];if(viewIndex>=this.nestedViews.length-1?this.nestedViews.pop():this.nestedViews.splice(viewIndex,1),view.type===ViewType.COMPONENT)throw new Error("Component views can't be moved!");return view.detach(),view},ViewContainer}(),__core_private__={isDefaultChangeDetectionStrategy:isDefaultChangeDetectionStrategy,ChangeDetectorStatus:ChangeDetectorStatus,constructDependencies:constructDependencies,LifecycleHooks:LifecycleHooks,LIFECYCLE_HOOKS_VALUES:LIFECYCLE_HOOKS_VALUES,ReflectorReader:ReflectorReader,CodegenComponentFactoryResolver:CodegenComponentFactoryResolver,ComponentRef_:ComponentRef_,ViewContainer:ViewContainer,AppView:AppView,DebugAppView:DebugAppView,NgModuleInjector:NgModuleInjector,registerModuleFactory:registerModuleFactory,ViewType:ViewType,view_utils:view_utils,ViewMetadata:ViewMetadata,DebugContext:DebugContext,StaticNodeDebugInfo:StaticNodeDebugInfo,devModeEqual:devModeEqual,ValueUnwrapper:ValueUnwrapper,RenderDebugInfo:RenderDebugInfo,TemplateRef_:TemplateRef_,ReflectionCapabilities:ReflectionCapabilities,makeDecorator:makeDecorator,DebugDomRootRenderer:DebugDomRootRenderer,Console:Console,reflector:reflector,Reflector:Reflector,NoOpAnimationPlayer:NoOpAnimationPlayer_,AnimationPlayer:AnimationPlayer_,AnimationSequencePlayer:AnimationSequencePlayer_,AnimationGroupPlayer:AnimationGroupPlayer_,AnimationKeyframe:AnimationKeyframe,prepareFinalAnimationStyles:prepareFinalAnimationStyles,balanceAnimationKeyframes:balanceAnimationKeyframes,flattenStyles:flattenStyles,clearStyles:clearStyles,renderStyles:renderStyles,collectAndResolveStyles:collectAndResolveStyles,APP_ID_RANDOM_PROVIDER:APP_ID_RANDOM_PROVIDER,AnimationStyles:AnimationStyles,ANY_STATE:ANY_STATE,DEFAULT_STATE:DEFAULT_STATE,EMPTY_STATE:EMPTY_STATE,FILL_STYLE_FLAG:FILL_STYLE_FLAG,ComponentStillLoadingError:ComponentStillLoadingError,isPromise:isPromise,AnimationTransition:AnimationTransition};exports.createPlatform=createPlatform,exports.assertPlatform=assertPlatform,exports.destroyPlatform=destroyPlatform,exports.getPlatform=getPlatform,exports.PlatformRef=PlatformRef,exports.ApplicationRef=ApplicationRef,exports.enableProdMode=enableProdMode,exports.isDevMode=isDevMode,exports.createPlatformFactory=createPlatformFactory,exports.NgProbeToken=NgProbeToken,exports.TickScheduler=TickScheduler,exports.AnimationFrameTickScheduler=AnimationFrameTickScheduler,exports.TimeoutTickScheduler=TimeoutTickScheduler,exports.APP_ID=APP_ID,exports.PACKAGE_ROOT_URL=PACKAGE_ROOT_URL,exports.PLATFORM_INITIALIZER=PLATFORM_INITIALIZER,exports.APP_BOOTSTRAP_LISTENER=APP_BOOTSTRAP_LISTENER,exports.APP_INITIALIZER=APP_INITIALIZER,exports.ApplicationInitStatus=ApplicationInitStatus,exports.DebugElement=DebugElement,exports.DebugNode=DebugNode,exports.asNativeElements=asNativeElements,exports.getDebugNode=getDebugNode,exports.DebugSelector=DebugSelector,exports.diffSnapshots=diffSnapshots,exports.getInjectorGraph=getInjectorGraph,exports.ResolutionTracer=ResolutionTracer,exports.getResolutionTracer=getResolutionTracer,exports.setResolutionTracer=setResolutionTracer,exports.Testability=Testability,exports.TestabilityRegistry=TestabilityRegistry,exports.setTestabilityGetter=setTestabilityGetter,exports.TRANSLATIONS=TRANSLATIONS,exports.TRANSLATIONS_FORMAT=TRANSLATIONS_FORMAT,exports.LOCALE_ID=LOCALE_ID,exports.ApplicationModule=ApplicationModule,exports.wtfCreateScope=wtfCreateScope,exports.wtfLeave=wtfLeave,exports.wtfStartTimeRange=wtfStartTimeRange,exports.wtfEndTimeRange=wtfEndTimeRange,exports.getProfilingBackend=getProfilingBackend,exports.setProfilingBackend=setProfilingBackend,exports.MemoryProfilingBackend=MemoryProfilingBackend,exports.TraceEventProfilingBackend=TraceEventProfilingBackend,exports.UserTimingProfilingBackend=UserTimingProfilingBackend,exports.WtfProfilingBackend=WtfProfilingBackend,exports.ChangeDetectionProfiler=ChangeDetectionProfiler,exports.getChangeDetectionProfiler=getChangeDetectionProfiler,exports.setChangeDetectionProfiler=setChangeDetectionProfiler,exports.BindingMonitor=BindingMonitor,exports.getBindingMonitor=getBindingMonitor,exports.setBindingMonitor=setBindingMonitor,exports.Type=Type,exports.EventEmitter=EventEmitter,exports.ERROR_REPORTERS=ERROR_REPORTERS,exports.ErrorHandler=ErrorHandler,exports.AnimationTransitionEvent=AnimationTransitionEvent,exports.AnimationPlayer=AnimationPlayer_,exports.Sanitizer=Sanitizer,exports.SecurityContext=SecurityContext,exports.ANALYZE_FOR_ENTRY_COMPONENTS=ANALYZE_FOR_ENTRY_COMPONENTS,exports.Attribute=Attribute,exports.ContentChild=ContentChild,exports.ContentChildren=ContentChildren,exports.Query=Query,exports.ViewChild=ViewChild,exports.ViewChildren=ViewChildren,exports.Component=Component,exports.Directive=Directive,exports.HostBinding=HostBinding,exports.HostListener=HostListener,exports.Input=Input,exports.Output=Output,exports.Pipe=Pipe,exports.AfterContentChecked=AfterContentChecked,exports.AfterContentInit=AfterContentInit,exports.AfterViewChecked=AfterViewChecked,exports.AfterViewInit=AfterViewInit,exports.DoCheck=DoCheck,exports.OnChanges=OnChanges,exports.OnDestroy=OnDestroy,exports.OnInit=OnInit,exports.OnViewError=OnViewError,exports.CUSTOM_ELEMENTS_SCHEMA=CUSTOM_ELEMENTS_SCHEMA,exports.NO_ERRORS_SCHEMA=NO_ERRORS_SCHEMA,exports.NgModule=NgModule,exports.ViewEncapsulation=ViewEncapsulation,exports.Version=Version,exports.VERSION=VERSION,exports.Class=Class,exports.forwardRef=forwardRef,exports.resolveForwardRef=resolveForwardRef,exports.Injector=Injector,exports.ReflectiveInjector=ReflectiveInjector,exports.ResolvedReflectiveFactory=ResolvedReflectiveFactory,exports.ReflectiveKey=ReflectiveKey,exports.OpaqueToken=OpaqueToken,exports.ProviderScope=ProviderScope,exports.Inject=Inject,exports.Optional=Optional,exports.Injectable=Injectable,exports.Self=Self,exports.SkipSelf=SkipSelf,exports.Host=Host,exports.NgZone=NgZone,exports.NoopNgZone=NoopNgZone,exports.HydrationRootRenderer=HydrationRootRenderer,exports.MemoryComment=MemoryComment,exports.MemoryElement=MemoryElement,exports.MemoryNode=MemoryNode,exports.MemoryRootRenderer=MemoryRootRenderer,exports.MemoryText=MemoryText,exports.RecordingRootRenderer=RecordingRootRenderer,exports.RenderCommandReplayer=RenderCommandReplayer,exports.RenderComponentType=RenderComponentType,exports.Renderer=Renderer,exports.RootRenderer=RootRenderer,exports.COMPILER_OPTIONS=COMPILER_OPTIONS,exports.Compiler=Compiler,exports.CompilerFactory=CompilerFactory,exports.ModuleWithComponentFactories=ModuleWithComponentFactories,exports.ComponentFactory=ComponentFactory,exports.ComponentRef=ComponentRef,exports.ComponentFactoryResolver=ComponentFactoryResolver,exports.ElementRef=ElementRef,exports.NgModuleFactory=NgModuleFactory,exports.NgModuleRef=NgModuleRef,exports.NgModuleFactoryLoader=NgModuleFactoryLoader,exports.getModuleFactory=getModuleFactory,exports.QueryList=QueryList,exports.SystemJsNgModuleLoader=SystemJsNgModuleLoader,exports.SystemJsNgModuleLoaderConfig=SystemJsNgModuleLoaderConfig,exports.TemplateRef=TemplateRef,exports.ViewContainerRef=ViewContainerRef,exports.EmbeddedViewRef=EmbeddedViewRef,exports.ViewRef=ViewRef,exports.ChangeDetectionStrategy=ChangeDetectionStrategy,exports.ChangeDetectorRef=ChangeDetectorRef,exports.DefaultIterableDiffer=DefaultIterableDiffer,exports.IterableDiffers=IterableDiffers,exports.KeyValueDiffers=KeyValueDiffers,exports.SimpleChange=SimpleChange,exports.WrappedValue=WrappedValue,exports.platformCore=platformCore,exports.renderModuleToStream=renderModuleToStream,exports.renderModuleToString=renderModuleToString,exports.__core_private__=__core_private__,exports.AUTO_STYLE=AUTO_STYLE,exports.AnimationEntryMetadata=AnimationEntryMetadata,exports.AnimationStateMetadata=AnimationStateMetadata,exports.AnimationStateDeclarationMetadata=AnimationStateDeclarationMetadata,exports.AnimationStateTransitionMetadata=AnimationStateTransitionMetadata,exports.AnimationMetadata=AnimationMetadata,exports.AnimationKeyframesSequenceMetadata=AnimationKeyframesSequenceMetadata,exports.AnimationStyleMetadata=AnimationStyleMetadata,exports.AnimationAnimateMetadata=AnimationAnimateMetadata,exports.AnimationWithStepsMetadata=AnimationWithStepsMetadata,exports.AnimationSequenceMetadata=AnimationSequenceMetadata,exports.AnimationGroupMetadata=AnimationGroupMetadata,exports.animate=animate,exports.group=group,exports.sequence=sequence,exports.style=style,exports.state=state,exports.keyframes=keyframes,exports.transition=transition,exports.trigger=trigger});
\ No newline at end of file
@@ -35,7 +35,7 @@ export class AnimationTransition {
      * @return {?}
      */
     onStart(callback) {
-        const /** @type {?} */ fn = (Zone.current.wrap(() => callback(this._createEvent('start')), 'player.onStart'));
+        const /** @type {?} */ fn = _wrapInCurrentZone(() => callback(this._createEvent('start')), 'player.onStart');
         this._player.onStart(fn);
     }
     /**
@@ -43,7 +43,7 @@ export class AnimationTransition {
      * @return {?}
      */
     onDone(callback) {
-        const /** @type {?} */ fn = (Zone.current.wrap(() => callback(this._createEvent('done')), 'player.onDone'));
+        const /** @type {?} */ fn = _wrapInCurrentZone(() => callback(this._createEvent('done')), 'player.onDone');
         this._player.onDone(fn);
     }
 }
@@ -61,4 +61,13 @@ function AnimationTransition_tsickle_Closure_declarations() {
     /** @type {?} */
     AnimationTransition.prototype._totalTime;
 }
+/**
+ * @param {?} fn
+ * @param {?} source
+ * @return {?}
+ */
+function _wrapInCurrentZone(fn, source) {
+    // Without Zone.js, the listeners schedule change detection themselves.
+    return typeof Zone == 'undefined' ? fn : Zone.current.wrap(fn, source);
+}
 //# sourceMappingURL=animation_transition.js.map
\ No newline at end of file
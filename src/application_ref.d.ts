@@ -8,13 +8,14 @@
 import { ErrorHandler } from '../src/error_handler';
 import { ApplicationInitStatus } from './application_init';
 import { Console } from './console';
-import { Injector, Provider } from './di';
+import { Injector, OpaqueToken, Provider } from './di';
 import { CompilerOptions } from './linker/compiler';
 import { ComponentFactory, ComponentRef } from './linker/component_factory';
 import { ComponentFactoryResolver } from './linker/component_factory_resolver';
 import { NgModuleFactory, NgModuleRef } from './linker/ng_module_factory';
 import { ViewRef } from './linker/view_ref';
 import { Testability, TestabilityRegistry } from './testability/testability';
+import { TickScheduler } from './tick_scheduler';
 import { Type } from './type';
 import { NgZone } from './zone/ng_zone';
 /**
@@ -47,6 +48,11 @@ export declare class NgProbeToken {
     token: any;
     constructor(name: string, token: any);
 }
+/**
+ * A token that allows to create another platform while the platform that provides it is
+ * running, e.g. to render several modules on the server at the same time.
+ */
+export declare const ALLOW_MULTIPLE_PLATFORMS: OpaqueToken;
 /**
  * Creates a platform.
  * Platforms have to be eagerly created via this function.
@@ -79,6 +85,23 @@ export declare function destroyPlatform(): void;
  * @experimental APIs related to application bootstrap are currently under review.
  */
 export declare function getPlatform(): PlatformRef;
+/**
+ * Options for {@link PlatformRef#bootstrapModuleFactory}.
+ *
+ * @experimental APIs related to application bootstrap are currently under review.
+ */
+export interface BootstrapOptions {
+    /**
+     * The zone to run the application in, e.g. a {@link NoopNgZone}. A new `NgZone` that requires
+     * Zone.js is created by default.
+     */
+    ngZone?: NgZone;
+    /**
+     * Coalesces the ticks of the application, see {@link TickScheduler}. By default, a tick runs
+     * whenever the zone has no more pending microtasks.
+     */
+    tickScheduler?: TickScheduler;
+}
 /**
  * The Angular platform is the entry point for Angular on a web page. Each page
  * has exactly one platform, and services (such as reflection) which are common
@@ -111,9 +134,13 @@ export declare abstract class PlatformRef {
      * let moduleRef = platformBrowser().bootstrapModuleFactory(MyModuleNgFactory);
      * ```
      *
+     * To run the application without Zone.js, pass a {@link NoopNgZone} as `options.ngZone`. To
+     * coalesce change detection, e.g. into one tick per animation frame, pass a
+     * {@link TickScheduler} as `options.tickScheduler`.
+     *
      * @experimental APIs related to application bootstrap are currently under review.
      */
-    bootstrapModuleFactory<M>(moduleFactory: NgModuleFactory<M>): Promise<NgModuleRef<M>>;
+    bootstrapModuleFactory<M>(moduleFactory: NgModuleFactory<M>, options?: BootstrapOptions): Promise<NgModuleRef<M>>;
     /**
      * Creates an instance of an `@NgModule` for a given platform using the given runtime compiler.
      *
@@ -155,8 +182,8 @@ export declare class PlatformRef_ extends PlatformRef {
     readonly injector: Injector;
     readonly destroyed: boolean;
     destroy(): void;
-    bootstrapModuleFactory<M>(moduleFactory: NgModuleFactory<M>): Promise<NgModuleRef<M>>;
-    private _bootstrapModuleFactoryWithZone<M>(moduleFactory, ngZone);
+    bootstrapModuleFactory<M>(moduleFactory: NgModuleFactory<M>, options?: BootstrapOptions): Promise<NgModuleRef<M>>;
+    private _bootstrapModuleFactoryWithZone<M>(moduleFactory, ngZone, tickScheduler?);
     bootstrapModule<M>(moduleType: Type<M>, compilerOptions?: CompilerOptions | CompilerOptions[]): Promise<NgModuleRef<M>>;
     private _bootstrapModuleWithZone<M>(moduleType, compilerOptions, ngZone, componentFactoryCallback?);
     private _moduleDoBootstrap(moduleRef);
@@ -193,6 +220,11 @@ export declare abstract class ApplicationRef {
      * detection pass during which all change detection must complete.
      */
     abstract tick(): void;
+    /**
+     * Runs the tick that the {@link TickScheduler} of the application has scheduled right away,
+     * instead of waiting for it. Returns whether a tick was scheduled.
+     */
+    abstract flushTick(): boolean;
     /**
      * Get a list of component types registered to this application.
      * This list is populated even before the component is created.
@@ -226,19 +258,26 @@ export declare class ApplicationRef_ extends ApplicationRef {
     private _initStatus;
     private _testabilityRegistry;
     private _testability;
+    private _tickScheduler;
     private _bootstrapListeners;
     private _rootComponents;
     private _rootComponentTypes;
     private _views;
     private _runningTick;
     private _enforceNoNewChanges;
-    constructor(_zone: NgZone, _console: Console, _injector: Injector, _exceptionHandler: ErrorHandler, _componentFactoryResolver: ComponentFactoryResolver, _initStatus: ApplicationInitStatus, _testabilityRegistry: TestabilityRegistry, _testability: Testability);
+    private _scheduledTick;
+    private _runningScheduledTick;
+    constructor(_zone: NgZone, _console: Console, _injector: Injector, _exceptionHandler: ErrorHandler, _componentFactoryResolver: ComponentFactoryResolver, _initStatus: ApplicationInitStatus, _testabilityRegistry: TestabilityRegistry, _testability: Testability, _tickScheduler?: TickScheduler);
+    private _scheduleTick();
+    private _runScheduledTick();
+    private _cancelScheduledTick();
     attachView(viewRef: ViewRef): void;
     detachView(viewRef: ViewRef): void;
     bootstrap<C>(componentOrFactory: ComponentFactory<C> | Type<C>): ComponentRef<C>;
     private _loadComponent(componentRef);
     private _unloadComponent(componentRef);
     tick(): void;
+    flushTick(): boolean;
     ngOnDestroy(): void;
     readonly viewCount: number;
     readonly componentTypes: Type<any>[];
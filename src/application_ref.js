@@ -5,7 +5,7 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-import { ErrorHandler } from '../src/error_handler';
+import { ERROR_REPORTERS, ErrorHandler } from '../src/error_handler';
 import { ListWrapper } from '../src/facade/collection';
 import { unimplemented } from '../src/facade/errors';
 import { stringify } from '../src/facade/lang';
@@ -17,8 +17,13 @@ import { Injectable, Injector, OpaqueToken, Optional, ReflectiveInjector } from
 import { CompilerFactory } from './linker/compiler';
 import { ComponentFactory } from './linker/component_factory';
 import { ComponentFactoryResolver } from './linker/component_factory_resolver';
+import { getBindingMonitor } from './profile/binding_monitor';
+import { getChangeDetectionProfiler } from './profile/change_detection_profiler';
 import { wtfCreateScope, wtfLeave } from './profile/profile';
+import { RootRenderer } from './render/api';
+import { HydrationRootRenderer } from './render/hydration_renderer';
 import { Testability, TestabilityRegistry } from './testability/testability';
+import { TickScheduler } from './tick_scheduler';
 import { NgZone } from './zone/ng_zone';
 let /** @type {?} */ _devMode = true;
 let /** @type {?} */ _runModeLocked = false;
@@ -74,6 +79,11 @@ function NgProbeToken_tsickle_Closure_declarations() {
     /** @type {?} */
     NgProbeToken.prototype.token;
 }
+/**
+ * A token that allows to create another platform while the platform that provides it is
+ * running, e.g. to render several modules on the server at the same time.
+ */
+export const /** @type {?} */ ALLOW_MULTIPLE_PLATFORMS = new OpaqueToken('AllowMultipleToken');
 /**
  * Creates a platform.
  * Platforms have to be eagerly created via this function.
@@ -83,7 +93,8 @@ function NgProbeToken_tsickle_Closure_declarations() {
  * @return {?}
  */
 export function createPlatform(injector) {
-    if (_platform && !_platform.destroyed) {
+    if (_platform && !_platform.destroyed &&
+        !_platform.injector.get(ALLOW_MULTIPLE_PLATFORMS, false)) {
         throw new Error('There can be only one platform. Destroy the previous one to create a new one.');
     }
     _platform = injector.get(PlatformRef);
@@ -104,7 +115,8 @@ export function createPlatform(injector) {
 export function createPlatformFactory(parentPlatformFactory, name, providers = []) {
     const /** @type {?} */ marker = new OpaqueToken(`Platform: ${name}`);
     return (extraProviders = []) => {
-        if (!getPlatform()) {
+        const /** @type {?} */ platform = getPlatform();
+        if (!platform || platform.injector.get(ALLOW_MULTIPLE_PLATFORMS, false)) {
             if (parentPlatformFactory) {
                 parentPlatformFactory(providers.concat(extraProviders).concat({ provide: marker, useValue: true }));
             }
@@ -186,11 +198,16 @@ export class PlatformRef {
      * let moduleRef = platformBrowser().bootstrapModuleFactory(MyModuleNgFactory);
      * ```
      *
+     * To run the application without Zone.js, pass a {\@link NoopNgZone} as `options.ngZone`. To
+     * coalesce change detection, e.g. into one tick per animation frame, pass a
+     * {\@link TickScheduler} as `options.tickScheduler`.
+     *
      * \@experimental APIs related to application bootstrap are currently under review.
      * @param {?} moduleFactory
+     * @param {?=} options
      * @return {?}
      */
-    bootstrapModuleFactory(moduleFactory) {
+    bootstrapModuleFactory(moduleFactory, options) {
         throw unimplemented();
     }
     /**
@@ -262,6 +279,32 @@ function _callAndReportToErrorHandler(errorHandler, callback) {
         throw e;
     }
 }
+/**
+ * Registers the {\@link ERROR_REPORTERS} of `injector` with its {\@link ErrorHandler}, and returns
+ * the latter, if it has been created already.
+ * @param {?} injector
+ * @return {?}
+ */
+function _addErrorReporters(injector) {
+    const /** @type {?} */ errorHandler = injector.get(ErrorHandler, null);
+    if (!errorHandler) {
+        return null;
+    }
+    const /** @type {?} */ reporters = injector.get(ERROR_REPORTERS, null);
+    if (!reporters || !reporters.length) {
+        return errorHandler;
+    }
+    if (errorHandler instanceof ErrorHandler) {
+        reporters.forEach((reporter) => errorHandler.addReporter(reporter));
+    }
+    else if (isDevMode()) {
+        const /** @type {?} */ console = injector.get(Console, null);
+        if (console) {
+            console.warn(`The ERROR_REPORTERS are ignored, as ${stringify(errorHandler.constructor)} does not extend ErrorHandler.`);
+        }
+    }
+    return errorHandler;
+}
 export class PlatformRef_ extends PlatformRef {
     /**
      * @param {?} _injector
@@ -299,17 +342,19 @@ export class PlatformRef_ extends PlatformRef {
     }
     /**
      * @param {?} moduleFactory
+     * @param {?=} options
      * @return {?}
      */
-    bootstrapModuleFactory(moduleFactory) {
-        return this._bootstrapModuleFactoryWithZone(moduleFactory, null);
+    bootstrapModuleFactory(moduleFactory, options) {
+        return this._bootstrapModuleFactoryWithZone(moduleFactory, options ? options.ngZone : null, options ? options.tickScheduler : null);
     }
     /**
      * @param {?} moduleFactory
      * @param {?} ngZone
+     * @param {?=} tickScheduler
      * @return {?}
      */
-    _bootstrapModuleFactoryWithZone(moduleFactory, ngZone) {
+    _bootstrapModuleFactoryWithZone(moduleFactory, ngZone, tickScheduler = null) {
         // Note: We need to create the NgZone _before_ we instantiate the module,
         // as instantiating the module creates some providers eagerly.
         // So we create a mini parent injector that just contains the new NgZone and
@@ -319,12 +364,34 @@ export class PlatformRef_ extends PlatformRef {
         // Attention: Don't use ApplicationRef.run here,
         // as we want to be sure that all possible constructor calls are inside `ngZone.run`!
         return ngZone.run(() => {
-            const /** @type {?} */ ngZoneInjector = ReflectiveInjector.resolveAndCreate([{ provide: NgZone, useValue: ngZone }], this.injector);
-            const /** @type {?} */ moduleRef = (moduleFactory.create(ngZoneInjector));
+            const /** @type {?} */ providers = [{ provide: NgZone, useValue: ngZone }];
+            if (tickScheduler) {
+                providers.push({ provide: TickScheduler, useValue: tickScheduler });
+            }
+            const /** @type {?} */ ngZoneInjector = ReflectiveInjector.resolveAndCreate(providers, this.injector);
+            // The reporters are registered before the module is created, so that they learn
+            // about the errors of its eager providers, unless the ErrorHandler is eager itself.
+            let /** @type {?} */ earlyErrorHandler = null;
+            let /** @type {?} */ moduleRef;
+            try {
+                moduleRef = (moduleFactory._create(ngZoneInjector, (injector) => {
+                    earlyErrorHandler = _addErrorReporters(injector);
+                }));
+            }
+            catch (e) {
+                if (earlyErrorHandler) {
+                    earlyErrorHandler.handleError(e);
+                }
+                throw e;
+            }
             const /** @type {?} */ exceptionHandler = moduleRef.injector.get(ErrorHandler, null);
             if (!exceptionHandler) {
                 throw new Error('No ErrorHandler. Is platform module (BrowserModule) included?');
             }
+            if (!earlyErrorHandler) {
+                _addErrorReporters(moduleRef.injector);
+            }
+            this._modules.push(moduleRef);
             moduleRef.onDestroy(() => ListWrapper.remove(this._modules, moduleRef));
             ngZone.onError.subscribe({ next: (error) => { exceptionHandler.handleError(error); } });
             return _callAndReportToErrorHandler(exceptionHandler, () => {
@@ -383,6 +450,12 @@ export class PlatformRef_ extends PlatformRef {
             throw new Error(`The module ${stringify(moduleRef.instance.constructor)} was bootstrapped, but it does not declare "@NgModule.bootstrap" components nor a "ngDoBootstrap" method. ` +
                 `Please define one of these.`);
         }
+        // Bootstrapping checks the components once, after which they have claimed all the
+        // server-rendered nodes they need.
+        const /** @type {?} */ rootRenderer = moduleRef.injector.get(RootRenderer, null);
+        if (rootRenderer instanceof HydrationRootRenderer) {
+            rootRenderer.finishHydration();
+        }
     }
 }
 PlatformRef_.decorators = [
@@ -447,6 +520,13 @@ export class ApplicationRef {
      * @return {?}
      */
     tick() { }
+    /**
+     * Runs the tick that the {\@link TickScheduler} of the application has scheduled right away,
+     * instead of waiting for it. Returns whether a tick was scheduled.
+     * @abstract
+     * @return {?}
+     */
+    flushTick() { }
     /**
      * Get a list of component types registered to this application.
      * This list is populated even before the component is created.
@@ -490,8 +570,9 @@ export class ApplicationRef_ extends ApplicationRef {
      * @param {?} _initStatus
      * @param {?} _testabilityRegistry
      * @param {?} _testability
+     * @param {?=} _tickScheduler
      */
-    constructor(_zone, _console, _injector, _exceptionHandler, _componentFactoryResolver, _initStatus, _testabilityRegistry, _testability) {
+    constructor(_zone, _console, _injector, _exceptionHandler, _componentFactoryResolver, _initStatus, _testabilityRegistry, _testability, _tickScheduler = null) {
         super();
         this._zone = _zone;
         this._console = _console;
@@ -501,14 +582,69 @@ export class ApplicationRef_ extends ApplicationRef {
         this._initStatus = _initStatus;
         this._testabilityRegistry = _testabilityRegistry;
         this._testability = _testability;
+        this._tickScheduler = _tickScheduler;
         this._bootstrapListeners = [];
         this._rootComponents = [];
         this._rootComponentTypes = [];
         this._views = [];
         this._runningTick = false;
         this._enforceNoNewChanges = false;
+        this._scheduledTick = null;
+        this._runningScheduledTick = false;
         this._enforceNoNewChanges = isDevMode();
-        this._zone.onMicrotaskEmpty.subscribe({ next: () => { this._zone.run(() => { this.tick(); }); } });
+        this._zone.onMicrotaskEmpty.subscribe({
+            next: () => {
+                if (this._tickScheduler) {
+                    this._scheduleTick();
+                }
+                else {
+                    this._zone.run(() => { this.tick(); });
+                }
+            }
+        });
+    }
+    /**
+     * @return {?}
+     */
+    _scheduleTick() {
+        // Running the scheduled tick makes the zone empty again, which must not schedule the next.
+        if (this._scheduledTick !== null || this._runningScheduledTick) {
+            return;
+        }
+        this._scheduledTick = this._zone.runOutsideAngular(() => this._tickScheduler.schedule(() => this._runScheduledTick()));
+        if (this._testability) {
+            this._testability._setTickScheduled(true);
+        }
+    }
+    /**
+     * @return {?}
+     */
+    _runScheduledTick() {
+        this._scheduledTick = null;
+        this._runningScheduledTick = true;
+        try {
+            this._zone.runGuarded(() => { this.tick(); });
+        }
+        finally {
+            this._runningScheduledTick = false;
+            if (this._testability) {
+                this._testability._setTickScheduled(false);
+            }
+        }
+    }
+    /**
+     * @return {?}
+     */
+    _cancelScheduledTick() {
+        if (this._scheduledTick === null) {
+            return false;
+        }
+        this._tickScheduler.cancel(this._scheduledTick);
+        this._scheduledTick = null;
+        if (this._testability) {
+            this._testability._setTickScheduled(false);
+        }
+        return true;
     }
     /**
      * @param {?} viewRef
@@ -577,6 +713,9 @@ export class ApplicationRef_ extends ApplicationRef {
     _unloadComponent(componentRef) {
         this.detachView(componentRef.hostView);
         ListWrapper.remove(this._rootComponents, componentRef);
+        if (this._testabilityRegistry) {
+            this._testabilityRegistry.unregisterApplication(componentRef.location.nativeElement);
+        }
     }
     /**
      * @return {?}
@@ -585,9 +724,19 @@ export class ApplicationRef_ extends ApplicationRef {
         if (this._runningTick) {
             throw new Error('ApplicationRef.tick is called recursively');
         }
+        // This tick covers the work that a scheduled tick was waiting for.
+        this._cancelScheduledTick();
         const /** @type {?} */ scope = ApplicationRef_._tickScope();
+        const /** @type {?} */ profiler = getChangeDetectionProfiler();
+        const /** @type {?} */ monitor = getBindingMonitor();
         try {
             this._runningTick = true;
+            if (profiler) {
+                profiler._startTick();
+            }
+            if (monitor) {
+                monitor._startTick();
+            }
             this._views.forEach((view) => view.ref.detectChanges());
             if (this._enforceNoNewChanges) {
                 this._views.forEach((view) => view.ref.checkNoChanges());
@@ -595,14 +744,28 @@ export class ApplicationRef_ extends ApplicationRef {
         }
         finally {
             this._runningTick = false;
+            if (profiler) {
+                profiler._endTick();
+            }
             wtfLeave(scope);
         }
     }
+    /**
+     * @return {?}
+     */
+    flushTick() {
+        if (!this._cancelScheduledTick()) {
+            return false;
+        }
+        this._runScheduledTick();
+        return true;
+    }
     /**
      * @return {?}
      */
     ngOnDestroy() {
         // TODO(alxhub): Dispose of the NgZone.
+        this._cancelScheduledTick();
         this._views.slice().forEach((view) => view.destroy());
     }
     /**
@@ -633,6 +796,7 @@ ApplicationRef_.ctorParameters = () => [
     { type: ApplicationInitStatus, },
     { type: TestabilityRegistry, decorators: [{ type: Optional },] },
     { type: Testability, decorators: [{ type: Optional },] },
+    { type: TickScheduler, decorators: [{ type: Optional },] },
 ];
 function ApplicationRef__tsickle_Closure_declarations() {
     /**
@@ -674,6 +838,12 @@ function ApplicationRef__tsickle_Closure_declarations() {
     /** @type {?} */
     ApplicationRef_.prototype._testabilityRegistry;
     /** @type {?} */
+    ApplicationRef_.prototype._scheduledTick;
+    /** @type {?} */
+    ApplicationRef_.prototype._runningScheduledTick;
+    /** @type {?} */
     ApplicationRef_.prototype._testability;
+    /** @type {?} */
+    ApplicationRef_.prototype._tickScheduler;
 }
 //# sourceMappingURL=application_ref.js.map
\ No newline at end of file
@@ -14,22 +14,31 @@ export * from './metadata';
 export * from './version';
 export * from './util';
 export * from './di';
-export { createPlatform, assertPlatform, destroyPlatform, getPlatform, PlatformRef, ApplicationRef, enableProdMode, isDevMode, createPlatformFactory, NgProbeToken } from './application_ref';
+export { createPlatform, assertPlatform, destroyPlatform, getPlatform, PlatformRef, ApplicationRef, enableProdMode, isDevMode, createPlatformFactory, NgProbeToken, BootstrapOptions } from './application_ref';
+export { TickScheduler, AnimationFrameTickScheduler, TimeoutTickScheduler } from './tick_scheduler';
 export { APP_ID, PACKAGE_ROOT_URL, PLATFORM_INITIALIZER, APP_BOOTSTRAP_LISTENER } from './application_tokens';
 export { APP_INITIALIZER, ApplicationInitStatus } from './application_init';
 export * from './zone';
 export * from './render';
 export * from './linker';
 export { DebugElement, DebugNode, asNativeElements, getDebugNode } from './debug/debug_node';
-export { GetTestability, Testability, TestabilityRegistry, setTestabilityGetter } from './testability/testability';
+export { DebugSelector } from './debug/debug_selector';
+export { DebugElementSnapshot, DebugNodeSnapshot, DebugSnapshotOptions, DebugTextSnapshot, SnapshotDifference, diffSnapshots } from './debug/debug_snapshot';
+export { getInjectorGraph, InjectorGraphLevel, InjectorGraphProvider } from './debug/injector_graph';
+export { ResolutionTracer, ResolutionTraceEntry, getResolutionTracer, setResolutionTracer } from './di/resolution_tracer';
+export { GetTestability, PendingWork, Testability, TestabilityRegistry, setTestabilityGetter } from './testability/testability';
 export * from './change_detection';
 export * from './platform_core_providers';
+export { RenderModuleOptions, renderModuleToStream, renderModuleToString } from './server_rendering';
 export { TRANSLATIONS, TRANSLATIONS_FORMAT, LOCALE_ID } from './i18n/tokens';
 export { ApplicationModule } from './application_module';
-export { wtfCreateScope, wtfLeave, wtfStartTimeRange, wtfEndTimeRange, WtfScopeFn } from './profile/profile';
+export { wtfCreateScope, wtfLeave, wtfStartTimeRange, wtfEndTimeRange, WtfScopeFn, getProfilingBackend, setProfilingBackend } from './profile/profile';
+export { MemoryProfilingBackend, ProfilingBackend, ProfilingEvent, TraceEventProfilingBackend, UserTimingProfilingBackend, WtfProfilingBackend } from './profile/profiling_backends';
+export { ChangeDetectionProfile, ChangeDetectionProfiler, getChangeDetectionProfiler, setChangeDetectionProfiler } from './profile/change_detection_profiler';
+export { BindingMonitor, BindingReport, getBindingMonitor, setBindingMonitor } from './profile/binding_monitor';
 export { Type } from './type';
 export { EventEmitter } from './facade/async';
-export { ErrorHandler } from './error_handler';
+export { ERROR_REPORTERS, ErrorHandler, ErrorReport, ErrorReporter } from './error_handler';
 export * from './core_private_export';
 export * from './animation/metadata';
 export { AnimationTransitionEvent } from './animation/animation_transition_event';
@@ -6,8 +6,10 @@
  * found in the LICENSE file at https://angular.io/license
  */
 import { Injector } from '../di';
+import { ResolutionTraceEntry } from '../di/resolution_tracer';
 import { Predicate } from '../facade/collection';
 import { RenderDebugInfo } from '../render/api';
+import { DebugElementSnapshot, DebugSnapshotOptions } from './debug_snapshot';
 export declare class EventListener {
     name: string;
     callback: Function;
@@ -30,6 +32,11 @@ export declare class DebugNode {
     };
     readonly providerTokens: any[];
     readonly source: string;
+    /**
+     * The dependency lookups that started at this node while a {@link ResolutionTracer} was
+     * installed.
+     */
+    readonly resolutionTrace: ResolutionTraceEntry[];
 }
 /**
  * @experimental All debugging apis are currently experimental.
@@ -54,11 +61,43 @@ export declare class DebugElement extends DebugNode {
     addChild(child: DebugNode): void;
     removeChild(child: DebugNode): void;
     insertChildrenAfter(child: DebugNode, newChildren: DebugNode[]): void;
-    query(predicate: Predicate<DebugElement>): DebugElement;
-    queryAll(predicate: Predicate<DebugElement>): DebugElement[];
+    /**
+     * Returns the first descendant that matches `predicate`, which can also be a selector as
+     * supported by {@link DebugSelector#css}.
+     */
+    query(predicate: Predicate<DebugElement> | string): DebugElement;
+    /**
+     * Returns all descendants that match `predicate`, which can also be a selector as supported
+     * by {@link DebugSelector#css}.
+     */
+    queryAll(predicate: Predicate<DebugElement> | string): DebugElement[];
     queryAllNodes(predicate: Predicate<DebugNode>): DebugNode[];
     readonly children: DebugElement[];
     triggerEventHandler(eventName: string, eventObj: any): void;
+    /**
+     * Dispatches an event like the browser would, without needing a DOM.
+     *
+     * The listeners of this element are called first, then the ones of its ancestors, and
+     * finally the global listeners for `body`, `document` and `window`, e.g. from
+     * `@HostListener('document:click')`. Propagation stops when a listener calls
+     * `stopPropagation()`, or right away when `eventObj.bubbles` is `false`.
+     *
+     * If no `eventObj` is given, a plain object is created with `type`, `target`, `bubbles`,
+     * `defaultPrevented` and the methods mentioned above and `preventDefault()`. The event is
+     * dispatched in the `NgZone` of the application, so that change detection runs afterwards.
+     *
+     * Returns `false` if a listener called `preventDefault()`, like `EventTarget.dispatchEvent()`.
+     */
+    dispatchEvent(eventName: string, eventObj?: any): boolean;
+    /**
+     * Returns the state of this element and its descendants as a tree that only contains
+     * strings, numbers, booleans, arrays, plain objects and `null`s, e.g. to compare it with a
+     * golden file via {@link diffSnapshots}.
+     *
+     * Text nodes are trimmed, and the ones that only contain whitespace are left out, as are
+     * template anchors, removed classes and styles, and attributes that were set to `null`.
+     */
+    toSnapshot(options?: DebugSnapshotOptions): DebugElementSnapshot;
 }
 /**
  * @experimental
@@ -5,6 +5,11 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
+import { getResolutionTracer } from '../di/resolution_tracer';
+import { stringify } from '../facade/lang';
+import { NgZone } from '../zone/ng_zone';
+import { DebugSelector } from './debug_selector';
+import { getInputNames, isGeneratedAttribute, toSnapshotMap, toSnapshotValue } from './debug_snapshot';
 export class EventListener {
     /**
      * @param {?} name
@@ -41,6 +46,8 @@ export class DebugNode {
             this.parent = null;
         }
         this.listeners = [];
+        /** @internal */
+        this._text = null;
     }
     /**
      * @return {?}
@@ -68,6 +75,19 @@ export class DebugNode {
      * @return {?}
      */
     get source() { return this._debugInfo ? this._debugInfo.source : null; }
+    /**
+     * The dependency lookups that started at this node while a {\@link ResolutionTracer} was
+     * installed.
+     * @return {?}
+     */
+    get resolutionTrace() {
+        const /** @type {?} */ tracer = getResolutionTracer();
+        if (!tracer || !this._debugInfo) {
+            return [];
+        }
+        const /** @type {?} */ context = (this._debugInfo);
+        return tracer.entriesForNode(context._view, context._nodeIndex);
+    }
 }
 function DebugNode_tsickle_Closure_declarations() {
     /** @type {?} */
@@ -76,6 +96,11 @@ function DebugNode_tsickle_Closure_declarations() {
     DebugNode.prototype.listeners;
     /** @type {?} */
     DebugNode.prototype.parent;
+    /**
+     * \@internal
+     * @type {?}
+     */
+    DebugNode.prototype._text;
     /** @type {?} */
     DebugNode.prototype._debugInfo;
 }
@@ -95,6 +120,17 @@ export class DebugElement extends DebugNode {
         this.classes = {};
         this.styles = {};
         this.childNodes = [];
+        /**
+         * The binding debug info that the renderer was given for the element, by attribute name.
+         * \@internal
+         */
+        this._bindingDebugInfo = {};
+        /**
+         * The global listeners of the root renderer that created the element, as
+         * `{target, listener}` entries.
+         * \@internal
+         */
+        this._globalListeners = [];
         this.nativeElement = nativeNode;
     }
     /**
@@ -139,6 +175,8 @@ export class DebugElement extends DebugNode {
         }
     }
     /**
+     * Returns the first descendant that matches `predicate`, which can also be a selector as
+     * supported by {\@link DebugSelector#css}.
      * @param {?} predicate
      * @return {?}
      */
@@ -147,12 +185,14 @@ export class DebugElement extends DebugNode {
         return results[0] || null;
     }
     /**
+     * Returns all descendants that match `predicate`, which can also be a selector as supported
+     * by {\@link DebugSelector#css}.
      * @param {?} predicate
      * @return {?}
      */
     queryAll(predicate) {
         const /** @type {?} */ matches = [];
-        _queryElementChildren(this, predicate, matches);
+        _queryElementChildren(this, typeof predicate === 'string' ? DebugSelector.css(predicate) : predicate, matches);
         return matches;
     }
     /**
@@ -182,6 +222,41 @@ export class DebugElement extends DebugNode {
             }
         });
     }
+    /**
+     * Dispatches an event like the browser would, without needing a DOM.
+     *
+     * The listeners of this element are called first, then the ones of its ancestors, and
+     * finally the global listeners for `body`, `document` and `window`, e.g. from
+     * `\@HostListener('document:click')`. Propagation stops when a listener calls
+     * `stopPropagation()`, or right away when `eventObj.bubbles` is `false`.
+     *
+     * If no `eventObj` is given, a plain object is created with `type`, `target`, `bubbles`,
+     * `defaultPrevented` and the methods mentioned above and `preventDefault()`. The event is
+     * dispatched in the `NgZone` of the application, so that change detection runs afterwards.
+     *
+     * Returns `false` if a listener called `preventDefault()`, like `EventTarget.dispatchEvent()`.
+     * @param {?} eventName
+     * @param {?=} eventObj
+     * @return {?}
+     */
+    dispatchEvent(eventName, eventObj) {
+        const /** @type {?} */ event = eventObj || _createEvent(eventName, this.nativeElement);
+        const /** @type {?} */ zone = this.injector ? this.injector.get(NgZone, null) : null;
+        const /** @type {?} */ dispatch = () => _dispatchEvent(this, eventName, event);
+        zone ? zone.run(dispatch) : dispatch();
+        return !event.defaultPrevented;
+    }
+    /**
+     * Returns the state of this element and its descendants as a tree that only contains
+     * strings, numbers, booleans, arrays, plain objects and `null`s, e.g. to compare it with a
+     * golden file via {\@link diffSnapshots}.
+     *
+     * Text nodes are trimmed, and the ones that only contain whitespace are left out, as are
+     * template anchors, removed classes and styles, and attributes that were set to `null`.
+     * @param {?=} options
+     * @return {?}
+     */
+    toSnapshot(options = {}) { return (_toSnapshot(this, options)); }
 }
 function DebugElement_tsickle_Closure_declarations() {
     /** @type {?} */
@@ -198,6 +273,138 @@ function DebugElement_tsickle_Closure_declarations() {
     DebugElement.prototype.childNodes;
     /** @type {?} */
     DebugElement.prototype.nativeElement;
+    /**
+     * The binding debug info that the renderer was given for the element, by attribute name.
+     * \@internal
+     * @type {?}
+     */
+    DebugElement.prototype._bindingDebugInfo;
+    /**
+     * The global listeners of the root renderer that created the element, as
+     * `{target, listener}` entries.
+     * \@internal
+     * @type {?}
+     */
+    DebugElement.prototype._globalListeners;
+}
+/**
+ * @param {?} eventName
+ * @param {?} target
+ * @return {?}
+ */
+function _createEvent(eventName, target) {
+    return {
+        type: eventName,
+        target,
+        bubbles: true,
+        defaultPrevented: false,
+        /**
+         * @return {?}
+         */
+        preventDefault() { this.defaultPrevented = true; },
+        /**
+         * @return {?}
+         */
+        stopPropagation() { },
+        /**
+         * @return {?}
+         */
+        stopImmediatePropagation() { }
+    };
+}
+/**
+ * @param {?} element
+ * @param {?} eventName
+ * @param {?} event
+ * @return {?}
+ */
+function _dispatchEvent(element, eventName, event) {
+    let /** @type {?} */ propagationStopped = event.bubbles === false;
+    let /** @type {?} */ immediatePropagationStopped = false;
+    // Wraps the methods of the event itself, so that native events keep working as well.
+    const /** @type {?} */ ownMethods = ['stopPropagation', 'stopImmediatePropagation'].filter((name) => event.hasOwnProperty(name));
+    const /** @type {?} */ stopPropagation = event.stopPropagation;
+    const /** @type {?} */ stopImmediatePropagation = event.stopImmediatePropagation;
+    event.stopPropagation = function () {
+        propagationStopped = true;
+        if (stopPropagation) {
+            stopPropagation.apply(this, arguments);
+        }
+    };
+    event.stopImmediatePropagation = function () {
+        propagationStopped = immediatePropagationStopped = true;
+        if (stopImmediatePropagation) {
+            stopImmediatePropagation.apply(this, arguments);
+        }
+    };
+    const /** @type {?} */ callListeners = (listeners) => {
+        for (let /** @type {?} */ i = 0; i < listeners.length && !immediatePropagationStopped; i++) {
+            if (listeners[i].name === eventName) {
+                listeners[i].callback(event);
+            }
+        }
+    };
+    try {
+        for (let /** @type {?} */ current = element; current; current = current.parent) {
+            callListeners(current.listeners.slice());
+            if (propagationStopped) {
+                return;
+            }
+        }
+        for (let /** @type {?} */ i = 0; i < _GLOBAL_EVENT_TARGETS.length; i++) {
+            callListeners(element._globalListeners.filter((entry) => entry.target === _GLOBAL_EVENT_TARGETS[i])
+                .map((entry) => entry.listener));
+            if (propagationStopped) {
+                return;
+            }
+        }
+    }
+    finally {
+        delete event.stopPropagation;
+        delete event.stopImmediatePropagation;
+        if (ownMethods.indexOf('stopPropagation') !== -1) {
+            event.stopPropagation = stopPropagation;
+        }
+        if (ownMethods.indexOf('stopImmediatePropagation') !== -1) {
+            event.stopImmediatePropagation = stopImmediatePropagation;
+        }
+    }
+}
+/**
+ * @param {?} node
+ * @param {?} options
+ * @return {?}
+ */
+function _toSnapshot(node, options) {
+    if (!(node instanceof DebugElement)) {
+        const /** @type {?} */ text = node._text !== null ? node._text.trim() : '';
+        return text ? { text } : null;
+    }
+    const /** @type {?} */ sortKeys = !!options.sortKeys;
+    const /** @type {?} */ snapshot = { name: node.name };
+    const /** @type {?} */ component = node.componentInstance;
+    if (component) {
+        snapshot.component = stringify(component.constructor);
+        if (options.includeInputs) {
+            const /** @type {?} */ inputs = {};
+            getInputNames(component).forEach((name) => inputs[name] = component[name]);
+            snapshot.inputs = toSnapshotValue(inputs, sortKeys);
+        }
+    }
+    snapshot.attributes = toSnapshotMap(node.attributes, sortKeys, (value, name) => value === null || value === undefined ||
+        (options.dropGeneratedAttributes && isGeneratedAttribute(name)) ?
+        undefined :
+        String(value));
+    snapshot.properties = toSnapshotValue(node.properties, sortKeys);
+    snapshot.classes = Object.keys(node.classes).filter((name) => node.classes[name]);
+    if (sortKeys) {
+        snapshot.classes.sort();
+    }
+    snapshot.styles = toSnapshotMap(node.styles, sortKeys, (value) => value === null || value === undefined ? undefined : String(value));
+    snapshot.listeners = node.listeners.map((listener) => listener.name);
+    snapshot.children = node.childNodes.map((child) => _toSnapshot(child, options))
+        .filter((child) => child !== null);
+    return snapshot;
 }
 /**
  * \@experimental
@@ -241,6 +448,8 @@ function _queryNodeChildren(parentNode, predicate, matches) {
         });
     }
 }
+// In the order in which a bubbling event reaches them.
+const /** @type {?} */ _GLOBAL_EVENT_TARGETS = ['body', 'document', 'window'];
 // Need to keep the nodes in a global Map so that multiple angular apps are supported.
 const /** @type {?} */ _nativeNodeToDebugNode = new Map();
 /**
@@ -9,14 +9,20 @@ import { AnimationKeyframe } from '../animation/animation_keyframe';
 import { AnimationPlayer } from '../animation/animation_player';
 import { AnimationStyles } from '../animation/animation_styles';
 import { RenderComponentType, RenderDebugInfo, Renderer, RootRenderer } from '../render/api';
+import { EventListener } from './debug_node';
 export declare class DebugDomRootRenderer implements RootRenderer {
     private _delegate;
+    private _globalListeners;
     constructor(_delegate: RootRenderer);
     renderComponent(componentProto: RenderComponentType): Renderer;
 }
 export declare class DebugDomRenderer {
     private _delegate;
-    constructor(_delegate: Renderer);
+    private _globalListeners;
+    constructor(_delegate: Renderer, _globalListeners?: {
+        target: string;
+        listener: EventListener;
+    }[]);
     selectRootElement(selectorOrNode: string | any, debugInfo?: RenderDebugInfo): any;
     createElement(parentElement: any, name: string, debugInfo?: RenderDebugInfo): any;
     createViewRoot(hostElement: any): any;
@@ -13,25 +13,30 @@ export class DebugDomRootRenderer {
      */
     constructor(_delegate) {
         this._delegate = _delegate;
+        this._globalListeners = [];
     }
     /**
      * @param {?} componentProto
      * @return {?}
      */
     renderComponent(componentProto) {
-        return new DebugDomRenderer(this._delegate.renderComponent(componentProto));
+        return new DebugDomRenderer(this._delegate.renderComponent(componentProto), this._globalListeners);
     }
 }
 function DebugDomRootRenderer_tsickle_Closure_declarations() {
+    /** @type {?} */
+    DebugDomRootRenderer.prototype._globalListeners;
     /** @type {?} */
     DebugDomRootRenderer.prototype._delegate;
 }
 export class DebugDomRenderer {
     /**
      * @param {?} _delegate
+     * @param {?=} _globalListeners
      */
-    constructor(_delegate) {
+    constructor(_delegate, _globalListeners = []) {
         this._delegate = _delegate;
+        this._globalListeners = _globalListeners;
     }
     /**
      * @param {?} selectorOrNode
@@ -41,6 +46,7 @@ export class DebugDomRenderer {
     selectRootElement(selectorOrNode, debugInfo) {
         const /** @type {?} */ nativeEl = this._delegate.selectRootElement(selectorOrNode, debugInfo);
         const /** @type {?} */ debugEl = new DebugElement(nativeEl, null, debugInfo);
+        debugEl._globalListeners = this._globalListeners;
         indexDebugNode(debugEl);
         return nativeEl;
     }
@@ -54,6 +60,7 @@ export class DebugDomRenderer {
         const /** @type {?} */ nativeEl = this._delegate.createElement(parentElement, name, debugInfo);
         const /** @type {?} */ debugEl = new DebugElement(nativeEl, getDebugNode(parentElement), debugInfo);
         debugEl.name = name;
+        debugEl._globalListeners = this._globalListeners;
         indexDebugNode(debugEl);
         return nativeEl;
     }
@@ -82,6 +89,7 @@ export class DebugDomRenderer {
     createText(parentElement, value, debugInfo) {
         const /** @type {?} */ text = this._delegate.createText(parentElement, value, debugInfo);
         const /** @type {?} */ debugEl = new DebugNode(text, getDebugNode(parentElement), debugInfo);
+        debugEl._text = value;
         indexDebugNode(debugEl);
         return text;
     }
@@ -158,7 +166,16 @@ export class DebugDomRenderer {
      * @return {?}
      */
     listenGlobal(target, name, callback) {
-        return this._delegate.listenGlobal(target, name, callback);
+        const /** @type {?} */ entry = { target, listener: new EventListener(name, callback) };
+        this._globalListeners.push(entry);
+        const /** @type {?} */ unlisten = this._delegate.listenGlobal(target, name, callback);
+        return () => {
+            const /** @type {?} */ index = this._globalListeners.indexOf(entry);
+            if (index !== -1) {
+                this._globalListeners.splice(index, 1);
+            }
+            unlisten();
+        };
     }
     /**
      * @param {?} renderElement
@@ -193,6 +210,10 @@ export class DebugDomRenderer {
      * @return {?}
      */
     setBindingDebugInfo(renderElement, propertyName, propertyValue) {
+        const /** @type {?} */ debugEl = getDebugNode(renderElement);
+        if (isPresent(debugEl) && debugEl instanceof DebugElement) {
+            debugEl._bindingDebugInfo[propertyName] = propertyValue;
+        }
         this._delegate.setBindingDebugInfo(renderElement, propertyName, propertyValue);
     }
     /**
@@ -235,7 +256,13 @@ export class DebugDomRenderer {
      * @param {?} text
      * @return {?}
      */
-    setText(renderNode, text) { this._delegate.setText(renderNode, text); }
+    setText(renderNode, text) {
+        const /** @type {?} */ debugNode = getDebugNode(renderNode);
+        if (isPresent(debugNode)) {
+            debugNode._text = text;
+        }
+        this._delegate.setText(renderNode, text);
+    }
     /**
      * @param {?} element
      * @param {?} startingStyles
@@ -253,5 +280,7 @@ export class DebugDomRenderer {
 function DebugDomRenderer_tsickle_Closure_declarations() {
     /** @type {?} */
     DebugDomRenderer.prototype._delegate;
+    /** @type {?} */
+    DebugDomRenderer.prototype._globalListeners;
 }
 //# sourceMappingURL=debug_renderer.js.map
\ No newline at end of file
@@ -0,0 +1,55 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Predicate } from '../facade/collection';
+import { Type } from '../type';
+import { DebugElement } from './debug_node';
+/**
+ * Predicates for `DebugElement.query()` and `DebugElement.queryAll()` that only look at the debug
+ * tree, so that they work the same with every renderer, including server renderers whose
+ * elements have no `matches()` method.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * fixture.debugElement.queryAll(DebugSelector.css('ul > li:has(.done)'));
+ * fixture.debugElement.query(DebugSelector.directive(HeroComponent));
+ * ```
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export declare class DebugSelector {
+    /**
+     * Matches all elements.
+     */
+    static all(): Predicate<DebugElement>;
+    /**
+     * Matches elements by a CSS selector.
+     *
+     * Supported are tag names, `*`, `#id`, `.class`, attribute selectors with the operators
+     * `=`, `~=`, `^=`, `$=` and `*=`, `:has()`, descendant and child combinators, and lists
+     * separated by commas. Classes and ids are matched against both attributes and bound
+     * properties. In addition, the debug tree can be queried via
+     * - `:directive(Name)`: elements with a directive or component whose class is named `Name`,
+     * - `:ref(name)`: elements with a template reference variable `#name`,
+     * - `:property(name)` and `:property(name=value)`: elements with a bound property `name`,
+     *   whose value converted to a string is `value`.
+     */
+    static css(selector: string): Predicate<DebugElement>;
+    /**
+     * Matches elements that have an instance of `type` as directive or component.
+     */
+    static directive(type: Type<any>): Predicate<DebugElement>;
+    /**
+     * Matches elements that have the template reference variable `#name`.
+     */
+    static ref(name: string): Predicate<DebugElement>;
+    /**
+     * Matches elements with a bound property `name`, whose value is `value` if given.
+     */
+    static property(name: string, value?: any): Predicate<DebugElement>;
+}
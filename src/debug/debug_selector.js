@@ -0,0 +1,423 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { stringify } from '../facade/lang';
+/**
+ * Predicates for `DebugElement.query()` and `DebugElement.queryAll()` that only look at the debug
+ * tree, so that they work the same with every renderer, including server renderers whose
+ * elements have no `matches()` method.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * fixture.debugElement.queryAll(DebugSelector.css('ul > li:has(.done)'));
+ * fixture.debugElement.query(DebugSelector.directive(HeroComponent));
+ * ```
+ *
+ * \@experimental All debugging apis are currently experimental.
+ */
+export class DebugSelector {
+    /**
+     * Matches all elements.
+     * @return {?}
+     */
+    static all() { return (debugElement) => true; }
+    /**
+     * Matches elements by a CSS selector.
+     *
+     * Supported are tag names, `*`, `#id`, `.class`, attribute selectors with the operators
+     * `=`, `~=`, `^=`, `$=` and `*=`, `:has()`, descendant and child combinators, and lists
+     * separated by commas. Classes and ids are matched against both attributes and bound
+     * properties. In addition, the debug tree can be queried via
+     * - `:directive(Name)`: elements with a directive or component whose class is named `Name`,
+     * - `:ref(name)`: elements with a template reference variable `#name`,
+     * - `:property(name)` and `:property(name=value)`: elements with a bound property `name`,
+     *   whose value converted to a string is `value`.
+     * @param {?} selector
+     * @return {?}
+     */
+    static css(selector) {
+        const /** @type {?} */ selectors = _parse(selector);
+        return (debugElement) => _matchesList(debugElement, selectors, null);
+    }
+    /**
+     * Matches elements that have an instance of `type` as directive or component.
+     * @param {?} type
+     * @return {?}
+     */
+    static directive(type) {
+        return (debugElement) => (debugElement.providerTokens || []).indexOf(type) !== -1;
+    }
+    /**
+     * Matches elements that have the template reference variable `#name`.
+     * @param {?} name
+     * @return {?}
+     */
+    static ref(name) { return (debugElement) => _hasReference(debugElement, name); }
+    /**
+     * Matches elements with a bound property `name`, whose value is `value` if given.
+     * @param {?} name
+     * @param {?=} value
+     * @return {?}
+     */
+    static property(name, value) {
+        return (debugElement) => debugElement.properties.hasOwnProperty(name) &&
+            (value === undefined || debugElement.properties[name] === value);
+    }
+}
+const /** @type {?} */ _ATTRIBUTE_OPERATORS = ['~=', '^=', '$=', '*=', '='];
+class _SelectorParser {
+    /**
+     * @param {?} source
+     */
+    constructor(source) {
+        this.source = source;
+        this.index = 0;
+    }
+    /**
+     * @param {?} relative
+     * @return {?}
+     */
+    parseList(relative) {
+        const /** @type {?} */ selectors = [this.parseComplex(relative)];
+        while (this.skip(',')) {
+            selectors.push(this.parseComplex(relative));
+        }
+        return selectors;
+    }
+    /**
+     * @param {?} relative
+     * @return {?}
+     */
+    parseComplex(relative) {
+        const /** @type {?} */ parts = [];
+        this.skipWhitespace();
+        let /** @type {?} */ combinator = relative && this.skip('>') ? '>' : ' ';
+        while (true) {
+            parts.push({ combinator, compound: this.parseCompound() });
+            const /** @type {?} */ hadWhitespace = this.skipWhitespace();
+            if (this.skip('>')) {
+                combinator = '>';
+            }
+            else if (hadWhitespace && !this.atEnd() && !this.peek(',') && !this.peek(')')) {
+                combinator = ' ';
+            }
+            else {
+                return parts;
+            }
+        }
+    }
+    /**
+     * @return {?}
+     */
+    parseCompound() {
+        this.skipWhitespace();
+        const /** @type {?} */ compound = { tagName: null, conditions: [] };
+        if (this.skip('*')) {
+            compound.tagName = '*';
+        }
+        else if (/[\w-]/.test(this.source.charAt(this.index))) {
+            compound.tagName = this.parseName().toLowerCase();
+        }
+        while (!this.atEnd()) {
+            if (this.skip('#')) {
+                compound.conditions.push({ kind: 'id', name: this.parseName() });
+            }
+            else if (this.skip('.')) {
+                compound.conditions.push({ kind: 'class', name: this.parseName() });
+            }
+            else if (this.skip('[')) {
+                compound.conditions.push(this.parseAttribute());
+            }
+            else if (this.skip(':')) {
+                compound.conditions.push(this.parsePseudo());
+            }
+            else {
+                break;
+            }
+        }
+        if (compound.tagName === null && !compound.conditions.length) {
+            this.error('expected a selector');
+        }
+        return compound;
+    }
+    /**
+     * @return {?}
+     */
+    parseAttribute() {
+        this.skipWhitespace();
+        const /** @type {?} */ condition = { kind: 'attribute', name: this.parseName(), operator: null, value: null };
+        this.skipWhitespace();
+        condition.operator = _ATTRIBUTE_OPERATORS.find((operator) => this.skip(operator)) || null;
+        if (condition.operator) {
+            this.skipWhitespace();
+            condition.value = this.parseValue();
+            this.skipWhitespace();
+        }
+        this.expect(']');
+        return condition;
+    }
+    /**
+     * @return {?}
+     */
+    parsePseudo() {
+        const /** @type {?} */ name = this.parseName();
+        this.expect('(');
+        let /** @type {?} */ condition;
+        if (name === 'has') {
+            condition = { kind: 'has', selectors: this.parseList(true) };
+        }
+        else if (name === 'directive' || name === 'ref') {
+            this.skipWhitespace();
+            condition = { kind: name, name: this.parseName() };
+        }
+        else if (name === 'property') {
+            this.skipWhitespace();
+            condition = { kind: 'property', name: this.parseName(), value: null };
+            this.skipWhitespace();
+            if (this.skip('=')) {
+                this.skipWhitespace();
+                condition.value = this.parseValue();
+            }
+        }
+        else {
+            this.error(`unsupported pseudo class :${name}`);
+        }
+        this.skipWhitespace();
+        this.expect(')');
+        return condition;
+    }
+    /**
+     * @return {?}
+     */
+    parseName() {
+        const /** @type {?} */ match = /^[\w-]+/.exec(this.source.substring(this.index));
+        if (!match) {
+            this.error('expected a name');
+        }
+        this.index += match[0].length;
+        return match[0];
+    }
+    /**
+     * @return {?}
+     */
+    parseValue() {
+        const /** @type {?} */ quote = this.source.charAt(this.index);
+        if (quote !== '"' && quote !== '\'') {
+            const /** @type {?} */ match = /^[^\s\])]*/.exec(this.source.substring(this.index));
+            this.index += match[0].length;
+            return match[0];
+        }
+        const /** @type {?} */ end = this.source.indexOf(quote, this.index + 1);
+        if (end === -1) {
+            this.error('unterminated string');
+        }
+        const /** @type {?} */ value = this.source.substring(this.index + 1, end);
+        this.index = end + 1;
+        return value;
+    }
+    /**
+     * @return {?}
+     */
+    skipWhitespace() {
+        const /** @type {?} */ start = this.index;
+        while (/\s/.test(this.source.charAt(this.index))) {
+            this.index++;
+        }
+        return this.index > start;
+    }
+    /**
+     * @param {?} token
+     * @return {?}
+     */
+    skip(token) {
+        if (!this.peek(token)) {
+            return false;
+        }
+        this.index += token.length;
+        if (token === ',' || token === '>') {
+            this.skipWhitespace();
+        }
+        return true;
+    }
+    /**
+     * @param {?} token
+     * @return {?}
+     */
+    peek(token) { return this.source.substr(this.index, token.length) === token; }
+    /**
+     * @param {?} token
+     * @return {?}
+     */
+    expect(token) {
+        if (!this.skip(token)) {
+            this.error(`expected "${token}"`);
+        }
+    }
+    /**
+     * @return {?}
+     */
+    atEnd() { return this.index >= this.source.length; }
+    /**
+     * @param {?} message
+     * @return {?}
+     */
+    error(message) {
+        throw new Error(`Invalid selector "${this.source}": ${message} at position ${this.index}.`);
+    }
+}
+function _SelectorParser_tsickle_Closure_declarations() {
+    /** @type {?} */
+    _SelectorParser.prototype.index;
+    /** @type {?} */
+    _SelectorParser.prototype.source;
+}
+/**
+ * @param {?} selector
+ * @return {?}
+ */
+function _parse(selector) {
+    const /** @type {?} */ parser = new _SelectorParser(selector);
+    const /** @type {?} */ selectors = parser.parseList(false);
+    parser.skipWhitespace();
+    if (!parser.atEnd()) {
+        parser.error('unexpected character');
+    }
+    return selectors;
+}
+/**
+ * Returns whether `element` matches one of `selectors`. Combinators only look at the ancestors
+ * of `element` up to `scope`, the element that a `:has()` belongs to.
+ * @param {?} element
+ * @param {?} selectors
+ * @param {?} scope
+ * @return {?}
+ */
+function _matchesList(element, selectors, scope) {
+    return selectors.some((parts) => _matchesComplex(element, parts, parts.length - 1, scope));
+}
+/**
+ * @param {?} element
+ * @param {?} parts
+ * @param {?} index
+ * @param {?} scope
+ * @return {?}
+ */
+function _matchesComplex(element, parts, index, scope) {
+    if (!_matchesCompound(element, parts[index].compound)) {
+        return false;
+    }
+    const /** @type {?} */ combinator = parts[index].combinator;
+    if (index === 0) {
+        return !scope || (combinator === '>' ? element.parent === scope : element !== scope);
+    }
+    for (let /** @type {?} */ ancestor = element.parent; ancestor && ancestor !== scope; ancestor = ancestor.parent) {
+        if (_matchesComplex(ancestor, parts, index - 1, scope)) {
+            return true;
+        }
+        if (combinator === '>') {
+            break;
+        }
+    }
+    return false;
+}
+/**
+ * @param {?} element
+ * @param {?} compound
+ * @return {?}
+ */
+function _matchesCompound(element, compound) {
+    if (compound.tagName !== null && compound.tagName !== '*' &&
+        String(element.name).toLowerCase() !== compound.tagName) {
+        return false;
+    }
+    return compound.conditions.every((condition) => _matchesCondition(element, condition));
+}
+/**
+ * @param {?} element
+ * @param {?} condition
+ * @return {?}
+ */
+function _matchesCondition(element, condition) {
+    switch (condition.kind) {
+        case 'id':
+            return element.attributes['id'] === condition.name ||
+                element.properties['id'] === condition.name;
+        case 'class':
+            return _hasClass(element, condition.name);
+        case 'attribute':
+            return _matchesAttribute(element.attributes[condition.name], condition);
+        case 'has':
+            return _hasDescendant(element, (descendant) => _matchesList(descendant, condition.selectors, element));
+        case 'directive':
+            return (element.providerTokens || []).some((token) => stringify(token) === condition.name);
+        case 'ref':
+            return _hasReference(element, condition.name);
+        case 'property':
+            return element.properties.hasOwnProperty(condition.name) &&
+                (condition.value === null ||
+                    String(element.properties[condition.name]) === condition.value);
+    }
+    return false;
+}
+/**
+ * @param {?} element
+ * @param {?} name
+ * @return {?}
+ */
+function _hasClass(element, name) {
+    if (element.classes.hasOwnProperty(name)) {
+        return element.classes[name];
+    }
+    const /** @type {?} */ classNames = [element.attributes['class'], element.properties['className']];
+    return classNames.some((value) => typeof value === 'string' && value.split(/\s+/).indexOf(name) !== -1);
+}
+/**
+ * @param {?} value
+ * @param {?} condition
+ * @return {?}
+ */
+function _matchesAttribute(value, condition) {
+    if (value === null || value === undefined) {
+        return false;
+    }
+    const /** @type {?} */ actual = String(value);
+    const /** @type {?} */ expected = condition.value;
+    switch (condition.operator) {
+        case null:
+            return true;
+        case '=':
+            return actual === expected;
+        case '~=':
+            return actual.split(/\s+/).indexOf(expected) !== -1;
+        case '^=':
+            return !!expected && actual.startsWith(expected);
+        case '$=':
+            return !!expected && actual.endsWith(expected);
+        case '*=':
+            return !!expected && actual.indexOf(expected) !== -1;
+    }
+    return false;
+}
+/**
+ * @param {?} element
+ * @param {?} predicate
+ * @return {?}
+ */
+function _hasDescendant(element, predicate) {
+    return element.children.some((child) => predicate(child) || _hasDescendant(child, predicate));
+}
+/**
+ * @param {?} element
+ * @param {?} name
+ * @return {?}
+ */
+function _hasReference(element, name) {
+    const /** @type {?} */ references = element.references;
+    return !!references && references.hasOwnProperty(name);
+}
+//# sourceMappingURL=debug_selector.js.map
\ No newline at end of file
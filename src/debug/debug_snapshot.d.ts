@@ -0,0 +1,88 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Options for `DebugElement.toSnapshot()`.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export interface DebugSnapshotOptions {
+    /**
+     * Whether to leave out the attributes that Angular generates, i.e. `_ngcontent-*`,
+     * `_nghost-*` and `ng-reflect-*`. Defaults to `false`.
+     */
+    dropGeneratedAttributes?: boolean;
+    /**
+     * Whether to add the values of the inputs of component instances. Defaults to `false`.
+     */
+    includeInputs?: boolean;
+    /**
+     * Whether to sort the keys of all maps, so that the snapshot doesn't depend on the order
+     * in which bindings were set. Defaults to `false`.
+     */
+    sortKeys?: boolean;
+}
+/**
+ * The state of an element, as returned by `DebugElement.toSnapshot()`.
+ *
+ * `component` is the name of the component of the element, if any. `inputs` is only set for
+ * elements with a component and if `includeInputs` was requested.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export interface DebugElementSnapshot {
+    name: string;
+    component?: string;
+    inputs?: {
+        [key: string]: any;
+    };
+    attributes: {
+        [key: string]: string;
+    };
+    properties: {
+        [key: string]: any;
+    };
+    classes: string[];
+    styles: {
+        [key: string]: string;
+    };
+    listeners: string[];
+    children: DebugNodeSnapshot[];
+}
+/**
+ * The trimmed text of a text node, as returned by `DebugElement.toSnapshot()`.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export interface DebugTextSnapshot {
+    text: string;
+}
+/**
+ * @experimental All debugging apis are currently experimental.
+ */
+export declare type DebugNodeSnapshot = DebugElementSnapshot | DebugTextSnapshot;
+/**
+ * A difference between two snapshots, as returned by {@link diffSnapshots}.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export interface SnapshotDifference {
+    path: string;
+    expected: any;
+    actual: any;
+}
+/**
+ * Compares two snapshots created via `DebugElement.toSnapshot()`, e.g. a golden file and the
+ * snapshot of the current test run, and returns their differences in document order.
+ *
+ * Every difference has the path of the value that differs, e.g.
+ * `children[1].attributes.title`. Values that only exist in one of the snapshots are
+ * `undefined` in the other one.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export declare function diffSnapshots(expected: DebugNodeSnapshot, actual: DebugNodeSnapshot): SnapshotDifference[];
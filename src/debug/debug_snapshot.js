@@ -0,0 +1,160 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { stringify } from '../facade/lang';
+import { Directive, Input } from '../metadata/directives';
+import { reflector } from '../reflection/reflection';
+const /** @type {?} */ _GENERATED_ATTRIBUTE = /^(_ngcontent-|_nghost-|ng-reflect-)/;
+/**
+ * Compares two snapshots created via `DebugElement.toSnapshot()`, e.g. a golden file and the
+ * snapshot of the current test run, and returns their differences in document order.
+ *
+ * Every difference has the path of the value that differs, e.g.
+ * `children[1].attributes.title`. Values that only exist in one of the snapshots are
+ * `undefined` in the other one.
+ *
+ * \@experimental All debugging apis are currently experimental.
+ * @param {?} expected
+ * @param {?} actual
+ * @return {?}
+ */
+export function diffSnapshots(expected, actual) {
+    const /** @type {?} */ differences = [];
+    _diff('', expected, actual, differences);
+    return differences;
+}
+/**
+ * @param {?} path
+ * @param {?} expected
+ * @param {?} actual
+ * @param {?} differences
+ * @return {?}
+ */
+function _diff(path, expected, actual, differences) {
+    if (Array.isArray(expected) && Array.isArray(actual)) {
+        const /** @type {?} */ length = Math.max(expected.length, actual.length);
+        for (let /** @type {?} */ i = 0; i < length; i++) {
+            _diff(`${path}[${i}]`, expected[i], actual[i], differences);
+        }
+    }
+    else if (_isObject(expected) && _isObject(actual)) {
+        const /** @type {?} */ keys = Object.keys(expected);
+        Object.keys(actual).forEach((key) => {
+            if (!expected.hasOwnProperty(key)) {
+                keys.push(key);
+            }
+        });
+        keys.forEach((key) => _diff(path ? `${path}.${key}` : key, expected[key], actual[key], differences));
+    }
+    else if (expected !== actual) {
+        differences.push({ path, expected, actual });
+    }
+}
+/**
+ * @param {?} value
+ * @return {?}
+ */
+function _isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+/**
+ * \@internal
+ * @param {?} name
+ * @return {?}
+ */
+export function isGeneratedAttribute(name) {
+    return _GENERATED_ATTRIBUTE.test(name);
+}
+/**
+ * Returns the names of the properties of `component` that are inputs.
+ *
+ * \@internal
+ * @param {?} component
+ * @return {?}
+ */
+export function getInputNames(component) {
+    const /** @type {?} */ type = component.constructor;
+    const /** @type {?} */ names = [];
+    reflector.annotations(type).forEach((annotation) => {
+        if (annotation instanceof Directive && annotation.inputs) {
+            annotation.inputs.forEach((input) => names.push(input.split(':')[0].trim()));
+        }
+    });
+    const /** @type {?} */ propMetadata = reflector.propMetadata(type);
+    Object.keys(propMetadata).forEach((name) => {
+        if (propMetadata[name].some((metadata) => metadata instanceof Input) &&
+            names.indexOf(name) === -1) {
+            names.push(name);
+        }
+    });
+    return names;
+}
+/**
+ * Converts `value` into a value that `JSON.stringify` keeps as is.
+ *
+ * Arrays and plain objects are converted recursively, instances of other classes are replaced
+ * with the name of their class, e.g. `'[Hero]'`.
+ *
+ * \@internal
+ * @param {?} value
+ * @param {?} sortKeys
+ * @param {?=} parents
+ * @return {?}
+ */
+export function toSnapshotValue(value, sortKeys, parents = []) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (typeof value === 'number') {
+        return isFinite(value) ? value : String(value);
+    }
+    if (typeof value === 'string' || typeof value === 'boolean') {
+        return value;
+    }
+    if (typeof value === 'function') {
+        return `[Function ${stringify(value)}]`;
+    }
+    if (parents.indexOf(value) !== -1) {
+        return '[Circular]';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    const /** @type {?} */ nestedParents = parents.concat([value]);
+    if (Array.isArray(value)) {
+        return value.map((item) => toSnapshotValue(item, sortKeys, nestedParents));
+    }
+    const /** @type {?} */ proto = Object.getPrototypeOf(value);
+    if (proto !== Object.prototype && proto !== null) {
+        return `[${stringify(value.constructor)}]`;
+    }
+    return toSnapshotMap(value, sortKeys, (item) => toSnapshotValue(item, sortKeys, nestedParents));
+}
+/**
+ * Copies the entries of `map` for which `transform` doesn't return `undefined`.
+ *
+ * \@internal
+ * @param {?} map
+ * @param {?} sortKeys
+ * @param {?} transform
+ * @return {?}
+ */
+export function toSnapshotMap(map, sortKeys, transform) {
+    const /** @type {?} */ keys = Object.keys(map);
+    if (sortKeys) {
+        keys.sort();
+    }
+    const /** @type {?} */ result = {};
+    keys.forEach((key) => {
+        const /** @type {?} */ value = transform(map[key], key);
+        if (value !== undefined) {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+//# sourceMappingURL=debug_snapshot.js.map
\ No newline at end of file
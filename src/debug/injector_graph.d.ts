@@ -0,0 +1,44 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Injector } from '../di/injector';
+/**
+ * A provider of one level of an {@link InjectorGraphLevel}.
+ *
+ * `instantiated` is `null` when the level doesn't track it.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export interface InjectorGraphProvider {
+    token: string;
+    multi: boolean;
+    instantiated: boolean;
+}
+/**
+ * One level of the injector hierarchy, as returned by {@link getInjectorGraph}.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export interface InjectorGraphLevel {
+    kind: 'element' | 'reflective' | 'module' | 'unknown';
+    name: string;
+    providers: InjectorGraphProvider[];
+}
+/**
+ * Walks from `injector` up to the root injector and describes the providers of every level.
+ *
+ * The result only contains strings, booleans and `null`s and can therefore be passed to
+ * `JSON.stringify`. The first level is the given injector, the last one is the root.
+ *
+ * Levels of kind `module` list the providers of the `@NgModule` metadata of the module and of the
+ * modules it imports. Element levels list the providers of the element, but only in dev mode.
+ * `instantiated` is `null` when it can't be told from the code generated for the level, and
+ * `providers` is `null` for levels of kind `unknown`.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export declare function getInjectorGraph(injector: Injector): InjectorGraphLevel[];
@@ -0,0 +1,214 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { resolveForwardRef } from '../di/forward_ref';
+import { Injector } from '../di/injector';
+import { ReflectiveInjector_ } from '../di/reflective_injector';
+import { stringify } from '../facade/lang';
+import { ElementInjector } from '../linker/element_injector';
+import { NgModuleInjector, getModuleProviders } from '../linker/ng_module_factory';
+import { AppView } from '../linker/view';
+import { ViewType } from '../linker/view_type';
+import { Component, Directive } from '../metadata/directives';
+import { reflector } from '../reflection/reflection';
+import { Type } from '../type';
+/**
+ * Walks from `injector` up to the root injector and describes the providers of every level.
+ *
+ * The result only contains strings, booleans and `null`s and can therefore be passed to
+ * `JSON.stringify`. The first level is the given injector, the last one is the root.
+ *
+ * Levels of kind `module` list the providers of the `\@NgModule` metadata of the module and of the
+ * modules it imports. Element levels list the providers of the element, but only in dev mode.
+ * `instantiated` is `null` when it can't be told from the code generated for the level, and
+ * `providers` is `null` for levels of kind `unknown`.
+ *
+ * \@experimental All debugging apis are currently experimental.
+ * @param {?} injector
+ * @return {?}
+ */
+export function getInjectorGraph(injector) {
+    const /** @type {?} */ levels = [];
+    let /** @type {?} */ inj = injector;
+    while (inj && inj !== Injector.NULL) {
+        if (inj instanceof ReflectiveInjector_) {
+            levels.push(_describeReflectiveInjector(inj));
+            inj = inj.parent;
+        }
+        else if (inj instanceof NgModuleInjector) {
+            levels.push(_describeModuleInjector(inj));
+            inj = inj.parent;
+        }
+        else if (inj instanceof ElementInjector) {
+            inj = _describeElementInjector(inj, levels);
+        }
+        else {
+            levels.push({ kind: 'unknown', name: stringify(inj.constructor), providers: null });
+            inj = inj.parent instanceof Injector ? inj.parent : null;
+        }
+    }
+    return levels;
+}
+/**
+ * @param {?} inj
+ * @return {?}
+ */
+function _describeReflectiveInjector(inj) {
+    const /** @type {?} */ providers = [];
+    for (let /** @type {?} */ i = 0; i < inj._proto.numberOfProviders; i++) {
+        const /** @type {?} */ provider = inj._proto.getProviderAtIndex(i);
+        providers.push({
+            token: provider.key.displayName,
+            multi: !!provider.multiProvider,
+            instantiated: inj._isInstantiatedAt(i)
+        });
+    }
+    return { kind: 'reflective', name: 'ReflectiveInjector', providers };
+}
+/**
+ * @param {?} inj
+ * @return {?}
+ */
+function _describeModuleInjector(inj) {
+    const /** @type {?} */ moduleType = inj.instance ? inj.instance.constructor : null;
+    if (!moduleType) {
+        return { kind: 'module', name: 'NgModule', providers: [] };
+    }
+    const /** @type {?} */ providersByToken = new Map();
+    _addProviders(getModuleProviders(moduleType), providersByToken);
+    const /** @type {?} */ providers = [];
+    providersByToken.forEach((provider, token) => {
+        // Scoped providers are created by a ReflectiveInjector for each lookup.
+        const /** @type {?} */ instantiated = provider.scope ? null : _isInstantiated(inj, NgModuleInjector, `_${_fieldName(token)}_`);
+        providers.push({ token: stringify(token), multi: !!provider.multi, instantiated });
+    });
+    return { kind: 'module', name: stringify(moduleType), providers };
+}
+/**
+ * Adds a level for every element between the given element and its host view and
+ * returns the injector the host view was created with.
+ * @param {?} inj
+ * @param {?} levels
+ * @return {?}
+ */
+function _describeElementInjector(inj, levels) {
+    let /** @type {?} */ view = inj._view;
+    let /** @type {?} */ nodeIndex = inj._nodeIndex;
+    if (!(view instanceof AppView)) {
+        levels.push({ kind: 'unknown', name: stringify(inj.constructor), providers: null });
+        return null;
+    }
+    while (view) {
+        if (nodeIndex != null) {
+            levels.push(_describeElement(view, nodeIndex));
+        }
+        if (view.type === ViewType.HOST) {
+            return view._hostInjector || null;
+        }
+        nodeIndex = view.parentIndex;
+        view = view.parentView;
+    }
+    return null;
+}
+/**
+ * @param {?} view
+ * @param {?} nodeIndex
+ * @return {?}
+ */
+function _describeElement(view, nodeIndex) {
+    const /** @type {?} */ debugInfo = view.staticNodeDebugInfos ? view.staticNodeDebugInfos[nodeIndex] : null;
+    const /** @type {?} */ tokens = debugInfo ? debugInfo.providerTokens : [];
+    const /** @type {?} */ multiTokens = _multiTokensOfDirectives(tokens);
+    return {
+        kind: 'element',
+        name: `${stringify(view.clazz)}#${nodeIndex}`,
+        providers: tokens.map(token => ({
+            token: stringify(token),
+            multi: multiTokens.has(token),
+            instantiated: _isInstantiated(view, AppView, `_${_fieldName(token)}_${nodeIndex}_`)
+        }))
+    };
+}
+/**
+ * Returns the tokens of the multi providers that the directives among `tokens` declare in their
+ * `providers` and `viewProviders`.
+ * @param {?} tokens
+ * @return {?}
+ */
+function _multiTokensOfDirectives(tokens) {
+    const /** @type {?} */ multiTokens = new Set();
+    tokens.forEach(token => {
+        if (!(token instanceof Type)) {
+            return;
+        }
+        reflector.annotations(token).forEach(annotation => {
+            const /** @type {?} */ providersByToken = new Map();
+            if (annotation instanceof Directive) {
+                _addProviders(annotation.providers || [], providersByToken);
+            }
+            if (annotation instanceof Component) {
+                _addProviders(annotation.viewProviders || [], providersByToken);
+            }
+            providersByToken.forEach((provider, providerToken) => {
+                if (provider.multi) {
+                    multiTokens.add(providerToken);
+                }
+            });
+        });
+    });
+    return multiTokens;
+}
+/**
+ * Flattens `providers` into a map from token to the last provider declared for it.
+ * @param {?} providers
+ * @param {?} providersByToken
+ * @return {?}
+ */
+function _addProviders(providers, providersByToken) {
+    providers.forEach(provider => {
+        if (Array.isArray(provider)) {
+            _addProviders(provider, providersByToken);
+        }
+        else if (provider instanceof Type) {
+            providersByToken.set(provider, { provide: provider, useClass: provider });
+        }
+        else if (provider && provider.provide !== undefined) {
+            providersByToken.set(resolveForwardRef(provider.provide), provider);
+        }
+    });
+}
+/**
+ * The compiler stores every provider of a view or module in a field whose name starts with the
+ * given prefix, built from the token, and ends with a counter. Eager providers are assigned to the
+ * field when the view or module is created. Lazy ones are created by a getter of that name, which
+ * stores them in a field with an additional `_` in front.
+ *
+ * Returns `null` if no such field exists, e.g. for tokens without a name.
+ * @param {?} target
+ * @param {?} baseClass
+ * @param {?} prefix
+ * @return {?}
+ */
+function _isInstantiated(target, baseClass, prefix) {
+    const /** @type {?} */ isField = (name) => name.startsWith(prefix) && /^\d+$/.test(name.slice(prefix.length));
+    for (let /** @type {?} */ proto = Object.getPrototypeOf(target); proto && proto !== baseClass.prototype; proto = Object.getPrototypeOf(proto)) {
+        const /** @type {?} */ getter = Object.getOwnPropertyNames(proto).find(isField);
+        if (getter) {
+            return target['_' + getter] != null;
+        }
+    }
+    const /** @type {?} */ field = Object.keys(target).find(isField);
+    return field ? target[field] != null : null;
+}
+/**
+ * @param {?} token
+ * @return {?}
+ */
+function _fieldName(token) {
+    return stringify(token).replace(/\W/g, '_');
+}
+//# sourceMappingURL=injector_graph.js.map
\ No newline at end of file
@@ -14,7 +14,7 @@ export * from './di/metadata';
 export { forwardRef, resolveForwardRef, ForwardRefFn } from './di/forward_ref';
 export { Injector } from './di/injector';
 export { ReflectiveInjector } from './di/reflective_injector';
-export { Provider, TypeProvider, ValueProvider, ClassProvider, ExistingProvider, FactoryProvider } from './di/provider';
+export { Provider, TypeProvider, ValueProvider, ClassProvider, ExistingProvider, FactoryProvider, DecoratorProvider, ProviderScope } from './di/provider';
 export { ResolvedReflectiveFactory, ResolvedReflectiveProvider } from './di/reflective_provider';
 export { ReflectiveKey } from './di/reflective_key';
 export { OpaqueToken } from './di/opaque_token';
@@ -14,6 +14,7 @@ export { Inject, Optional, Injectable, Self, SkipSelf, Host } from './di/metadat
 export { forwardRef, resolveForwardRef } from './di/forward_ref';
 export { Injector } from './di/injector';
 export { ReflectiveInjector } from './di/reflective_injector';
+export { ProviderScope } from './di/provider';
 export { ResolvedReflectiveFactory } from './di/reflective_provider';
 export { ReflectiveKey } from './di/reflective_key';
 export { OpaqueToken } from './di/opaque_token';
@@ -30,4 +30,19 @@ export declare abstract class Injector {
      * - Returns the `notFoundValue` otherwise
      */
     get(token: any, notFoundValue?: any): any;
+    /**
+     * Retrieves an instance from the injector based on the provided token, waiting for
+     * providers whose factories return a `Promise`.
+     *
+     * The returned `Promise` is rejected in the cases where `get` would throw.
+     *
+     * By default this calls `get` and waits for its result if it is a `Promise`. Injectors that
+     * know their providers, like {@link ReflectiveInjector}, also wait for every dependency
+     * on the way.
+     */
+    getAsync(token: any, notFoundValue?: any): Promise<any>;
 }
+/**
+ * Calls `getAsync` on injectors that have it and falls back to `get` for the others.
+ */
+export declare function getAsyncFromInjector(injector: Injector, token: any, notFoundValue: any): Promise<any>;
@@ -21,6 +21,14 @@ class _NullInjector {
         }
         return notFoundValue;
     }
+    /**
+     * @param {?} token
+     * @param {?=} notFoundValue
+     * @return {?}
+     */
+    getAsync(token, notFoundValue = _THROW_IF_NOT_FOUND) {
+        return new Promise(resolve => resolve(this.get(token, notFoundValue)));
+    }
 }
 /**
  * \@whatItDoes Injector interface
@@ -55,9 +63,38 @@ export class Injector {
      * @return {?}
      */
     get(token, notFoundValue) { return unimplemented(); }
+    /**
+     * Retrieves an instance from the injector based on the provided token, waiting for
+     * providers whose factories return a `Promise`.
+     *
+     * The returned `Promise` is rejected in the cases where `get` would throw.
+     *
+     * By default this calls `get` and waits for its result if it is a `Promise`. Injectors that
+     * know their providers, like {\@link ReflectiveInjector}, also wait for every dependency
+     * on the way.
+     * @param {?} token
+     * @param {?=} notFoundValue
+     * @return {?}
+     */
+    getAsync(token, notFoundValue = _THROW_IF_NOT_FOUND) {
+        return new Promise(resolve => resolve(this.get(token, notFoundValue)));
+    }
 }
 Injector.THROW_IF_NOT_FOUND = _THROW_IF_NOT_FOUND;
 Injector.NULL = new _NullInjector();
+/**
+ * Calls `getAsync` on injectors that have it and falls back to `get` for the others.
+ * @param {?} injector
+ * @param {?} token
+ * @param {?} notFoundValue
+ * @return {?}
+ */
+export function getAsyncFromInjector(injector, token, notFoundValue) {
+    if (typeof injector.getAsync === 'function') {
+        return injector.getAsync(token, notFoundValue);
+    }
+    return new Promise(resolve => resolve(injector.get(token, notFoundValue)));
+}
 function Injector_tsickle_Closure_declarations() {
     /** @type {?} */
     Injector.THROW_IF_NOT_FOUND;
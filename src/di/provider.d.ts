@@ -6,6 +6,39 @@
  * found in the LICENSE file at https://angular.io/license
  */
 import { Type } from '../type';
+/**
+ * @whatItDoes Describes how long an instance created by a provider lives.
+ * @howToUse
+ * ```
+ * const provider: ClassProvider = {provide: Logger, useClass: Logger, scope: ProviderScope.Transient};
+ * ```
+ *
+ * @description
+ * Only {@link ClassProvider}s and {@link FactoryProvider}s can have a scope, other providers throw
+ * when they are resolved. A singleton must not depend on a provider with another scope, as it
+ * would keep the first instance it got forever.
+ *
+ * Scopes are supported by {@link ReflectiveInjector} and by the injectors of `@NgModule`s, which
+ * read the scoped providers of the module and of its imported modules from their `@NgModule`
+ * metadata. The providers of components and directives are always singletons.
+ *
+ * @experimental
+ */
+export declare enum ProviderScope {
+    /**
+     * One instance per injector, created on first use. This is the default.
+     */
+    Singleton = 0,
+    /**
+     * A new instance every time the token is requested.
+     */
+    Transient = 1,
+    /**
+     * One instance per resolution, i.e. per call to `Injector.get`. All dependencies of the
+     * requested object that ask for the token share the same instance.
+     */
+    Resolution = 2,
+}
 /**
  * @whatItDoes Configures the {@link Injector} to return an instance of `Type` when `Type' is used
  * as token.
@@ -107,6 +140,11 @@ export interface ClassProvider {
      * {@example core/di/ts/provider_spec.ts region='MultiProviderAspect'}
      */
     multi?: boolean;
+    /**
+     * How long an instance created by this provider lives. Defaults to
+     * {@link ProviderScope#Singleton}.
+     */
+    scope?: ProviderScope;
 }
 /**
  * @whatItDoes Configures the {@link Injector} to return a value of another `useExisting` token.
@@ -189,16 +227,61 @@ export interface FactoryProvider {
      * {@example core/di/ts/provider_spec.ts region='MultiProviderAspect'}
      */
     multi?: boolean;
+    /**
+     * How long an instance created by this provider lives. Defaults to
+     * {@link ProviderScope#Singleton}.
+     */
+    scope?: ProviderScope;
+}
+/**
+ * @whatItDoes Configures the {@link Injector} to wrap the value another provider produces for a
+ * token.
+ * @howToUse
+ * ```
+ * function loggingErrorHandler(delegate: ErrorHandler, console: Console) { ... }
+ *
+ * const provider: DecoratorProvider =
+ *     {provide: ErrorHandler, useDecorator: loggingErrorHandler, deps: [Console]};
+ * ```
+ *
+ * @description
+ * The `useDecorator` function is called with the value that the token would have without the
+ * decorator, followed by the resolved values of the `deps`. Its return value is injected instead.
+ *
+ * The decorated value is the one of the provider declared before the decorator in the same
+ * injector, or, if there is none, the one of the parent injector. Several decorators for the same
+ * token are applied in the order they are declared, so the last one wraps all the others. A
+ * regular provider declared after a decorator replaces the decorator as well.
+ *
+ * The decorator of a multi provider receives the array of the values declared before it. The
+ * values of the multi providers declared after it are appended to the array it returns.
+ *
+ * @experimental
+ */
+export interface DecoratorProvider {
+    /**
+     * An injection token. (Typically an instance of `Type` or `OpaqueToken`, but can be `any`).
+     */
+    provide: any;
+    /**
+     * A function to invoke with the value to decorate, followed by the resolved values of `deps`.
+     */
+    useDecorator: Function;
+    /**
+     * A list of `token`s which need to be resolved by the injector. Their values are passed to the
+     * `useDecorator` function after the value to decorate.
+     */
+    deps?: any[];
 }
 /**
  * @whatItDoes Describes how the {@link Injector} should be configured.
  * @howToUse
  * See {@link TypeProvider}, {@link ValueProvider}, {@link ClassProvider}, {@link ExistingProvider},
- * {@link FactoryProvider}.
+ * {@link FactoryProvider}, {@link DecoratorProvider}.
  *
  * @description
  * For more details, see the {@linkDocs guide/dependency-injection "Dependency Injection Guide"}.
  *
  * @stable
  */
-export declare type Provider = TypeProvider | ValueProvider | ClassProvider | ExistingProvider | FactoryProvider | any[];
+export declare type Provider = TypeProvider | ValueProvider | ClassProvider | ExistingProvider | FactoryProvider | DecoratorProvider | any[];
@@ -5,4 +5,11 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-//# sourceMappingURL=provider.js.map
\ No newline at end of file
+export let ProviderScope = {};
+ProviderScope.Singleton = 0;
+ProviderScope.Transient = 1;
+ProviderScope.Resolution = 2;
+ProviderScope[ProviderScope.Singleton] = "Singleton";
+ProviderScope[ProviderScope.Transient] = "Transient";
+ProviderScope[ProviderScope.Resolution] = "Resolution";
+//# sourceMappingURL=provider.js.map
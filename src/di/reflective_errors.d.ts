@@ -7,6 +7,7 @@
  */
 import { BaseError, WrappedError } from '../facade/errors';
 import { Type } from '../type';
+import { ProviderScope } from './provider';
 import { ReflectiveInjector } from './reflective_injector';
 import { ReflectiveKey } from './reflective_key';
 /**
@@ -14,6 +15,11 @@ import { ReflectiveKey } from './reflective_key';
  * @stable
  */
 export declare class AbstractProviderError extends BaseError {
+    /**
+     * The injector levels that were searched for the failing token, if a `ResolutionTracer` was
+     * installed.
+     */
+    searchedLevels: string[];
     constructor(injector: ReflectiveInjector, key: ReflectiveKey, constructResolvingMessage: Function);
     addKey(injector: ReflectiveInjector, key: ReflectiveKey): void;
 }
@@ -55,6 +61,42 @@ export declare class NoProviderError extends AbstractProviderError {
 export declare class CyclicDependencyError extends AbstractProviderError {
     constructor(injector: ReflectiveInjector, key: ReflectiveKey);
 }
+/**
+ * Thrown when a singleton depends on a provider that is not a singleton.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * var injector = Injector.resolveAndCreate([
+ *   {provide: "one", useFactory: (two) => "two", deps: [[new Inject("two")]]},
+ *   {provide: "two", useFactory: () => "one", scope: ProviderScope.Transient}
+ * ]);
+ *
+ * expect(() => injector.get("one")).toThrowError();
+ * ```
+ * @experimental
+ */
+export declare class ScopedDependencyError extends AbstractProviderError {
+    constructor(injector: ReflectiveInjector, key: ReflectiveKey, scope: ProviderScope);
+}
+/**
+ * Thrown when `get` asks for a singleton whose factory is still awaited by `getAsync`.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * var injector = Injector.resolveAndCreate([
+ *   {provide: "config", useFactory: () => fetchConfig()}
+ * ]);
+ *
+ * injector.getAsync("config");
+ * expect(() => injector.get("config")).toThrowError();
+ * ```
+ * @experimental
+ */
+export declare class PendingAsyncProviderError extends AbstractProviderError {
+    constructor(injector: ReflectiveInjector, key: ReflectiveKey);
+}
 /**
  * Thrown when a constructing type returns with an Error.
  *
@@ -83,6 +125,11 @@ export declare class CyclicDependencyError extends AbstractProviderError {
  * @stable
  */
 export declare class InstantiationError extends WrappedError {
+    /**
+     * The injector levels that were searched for the token that failed to instantiate, if a
+     * `ResolutionTracer` was installed.
+     */
+    searchedLevels: string[];
     constructor(injector: ReflectiveInjector, originalException: any, originalStack: any, key: ReflectiveKey);
     addKey(injector: ReflectiveInjector, key: ReflectiveKey): void;
     readonly message: string;
@@ -102,6 +149,22 @@ export declare class InstantiationError extends WrappedError {
 export declare class InvalidProviderError extends BaseError {
     constructor(provider: any);
 }
+/**
+ * Thrown when a provider that doesn't create its own instances, i.e. a {@link ValueProvider} or an
+ * {@link ExistingProvider}, has a scope other than {@link ProviderScope#Singleton}.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * expect(() => Injector.resolveAndCreate([
+ *   {provide: "config", useValue: {}, scope: ProviderScope.Transient}
+ * ])).toThrowError();
+ * ```
+ * @experimental
+ */
+export declare class InvalidProviderScopeError extends BaseError {
+    constructor(provider: any);
+}
 /**
  * Thrown when the class has no annotation information.
  *
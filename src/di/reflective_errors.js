@@ -7,6 +7,7 @@
  */
 import { BaseError, WrappedError } from '../facade/errors';
 import { stringify } from '../facade/lang';
+import { ProviderScope } from './provider';
 /**
  * @param {?} keys
  * @return {?}
@@ -34,6 +35,13 @@ function constructResolvingPath(keys) {
     }
     return '';
 }
+/**
+ * @param {?} levels
+ * @return {?}
+ */
+function constructSearchedLevels(levels) {
+    return levels && levels.length ? ` Searched: ${levels.join(', ')}.` : '';
+}
 /**
  * Base class for all errors arising from misconfigured providers.
  * \@stable
@@ -49,6 +57,7 @@ export class AbstractProviderError extends BaseError {
         this.keys = [key];
         this.injectors = [injector];
         this.constructResolvingMessage = constructResolvingMessage;
+        this.searchedLevels = null;
         this.message = this.constructResolvingMessage(this.keys);
     }
     /**
@@ -59,7 +68,18 @@ export class AbstractProviderError extends BaseError {
     addKey(injector, key) {
         this.injectors.push(injector);
         this.keys.push(key);
-        this.message = this.constructResolvingMessage(this.keys);
+        this.message =
+            this.constructResolvingMessage(this.keys) + constructSearchedLevels(this.searchedLevels);
+    }
+    /**
+     * \@internal
+     * @param {?} levels
+     * @return {?}
+     */
+    addSearchedLevels(levels) {
+        this.searchedLevels = levels;
+        this.message =
+            this.constructResolvingMessage(this.keys) + constructSearchedLevels(this.searchedLevels);
     }
 }
 function AbstractProviderError_tsickle_Closure_declarations() {
@@ -83,6 +103,12 @@ function AbstractProviderError_tsickle_Closure_declarations() {
      * @type {?}
      */
     AbstractProviderError.prototype.constructResolvingMessage;
+    /**
+     * The injector levels that were searched for the failing token, if a `ResolutionTracer` was
+     * installed.
+     * @type {?}
+     */
+    AbstractProviderError.prototype.searchedLevels;
 }
 /**
  * Thrown when trying to retrieve a dependency by key from {\@link Injector}, but the
@@ -139,6 +165,61 @@ export class CyclicDependencyError extends AbstractProviderError {
         });
     }
 }
+/**
+ * Thrown when a singleton depends on a provider that is not a singleton.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * var injector = Injector.resolveAndCreate([
+ *   {provide: "one", useFactory: (two) => "two", deps: [[new Inject("two")]]},
+ *   {provide: "two", useFactory: () => "one", scope: ProviderScope.Transient}
+ * ]);
+ *
+ * expect(() => injector.get("one")).toThrowError();
+ * ```
+ * \@experimental
+ */
+export class ScopedDependencyError extends AbstractProviderError {
+    /**
+     * @param {?} injector
+     * @param {?} key
+     * @param {?} scope
+     */
+    constructor(injector, key, scope) {
+        super(injector, key, function (keys) {
+            const first = stringify(keys[0].token);
+            return `Cannot inject ${first} into a singleton, as its scope is ${ProviderScope[scope]}!${constructResolvingPath(keys)}`;
+        });
+    }
+}
+/**
+ * Thrown when `get` asks for a singleton whose factory is still awaited by `getAsync`.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * var injector = Injector.resolveAndCreate([
+ *   {provide: "config", useFactory: () => fetchConfig()}
+ * ]);
+ *
+ * injector.getAsync("config");
+ * expect(() => injector.get("config")).toThrowError();
+ * ```
+ * \@experimental
+ */
+export class PendingAsyncProviderError extends AbstractProviderError {
+    /**
+     * @param {?} injector
+     * @param {?} key
+     */
+    constructor(injector, key) {
+        super(injector, key, function (keys) {
+            const first = stringify(keys[0].token);
+            return `Cannot get ${first} while getAsync is still waiting for it!${constructResolvingPath(keys)}`;
+        });
+    }
+}
 /**
  * Thrown when a constructing type returns with an Error.
  *
@@ -176,6 +257,7 @@ export class InstantiationError extends WrappedError {
         super('DI Error', originalException);
         this.keys = [key];
         this.injectors = [injector];
+        this.searchedLevels = null;
     }
     /**
      * @param {?} injector
@@ -186,12 +268,18 @@ export class InstantiationError extends WrappedError {
         this.injectors.push(injector);
         this.keys.push(key);
     }
+    /**
+     * \@internal
+     * @param {?} levels
+     * @return {?}
+     */
+    addSearchedLevels(levels) { this.searchedLevels = levels; }
     /**
      * @return {?}
      */
     get message() {
         const /** @type {?} */ first = stringify(this.keys[0].token);
-        return `${this.originalError.message}: Error during instantiation of ${first}!${constructResolvingPath(this.keys)}.`;
+        return `${this.originalError.message}: Error during instantiation of ${first}!${constructResolvingPath(this.keys)}.${constructSearchedLevels(this.searchedLevels)}`;
     }
     /**
      * @return {?}
@@ -209,6 +297,12 @@ function InstantiationError_tsickle_Closure_declarations() {
      * @type {?}
      */
     InstantiationError.prototype.injectors;
+    /**
+     * The injector levels that were searched for the token that failed to instantiate, if a
+     * `ResolutionTracer` was installed.
+     * @type {?}
+     */
+    InstantiationError.prototype.searchedLevels;
 }
 /**
  * Thrown when an object other then {\@link Provider} (or `Type`) is passed to {\@link Injector}
@@ -229,6 +323,27 @@ export class InvalidProviderError extends BaseError {
         super(`Invalid provider - only instances of Provider and Type are allowed, got: ${provider}`);
     }
 }
+/**
+ * Thrown when a provider that doesn't create its own instances, i.e. a {\@link ValueProvider} or an
+ * {\@link ExistingProvider}, has a scope other than {\@link ProviderScope#Singleton}.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * expect(() => Injector.resolveAndCreate([
+ *   {provide: "config", useValue: {}, scope: ProviderScope.Transient}
+ * ])).toThrowError();
+ * ```
+ * \@experimental
+ */
+export class InvalidProviderScopeError extends BaseError {
+    /**
+     * @param {?} provider
+     */
+    constructor(provider) {
+        super(`Invalid provider for ${stringify(provider.provide)} - only providers with useClass or useFactory can have a scope, got: ${ProviderScope[provider.scope]}`);
+    }
+}
 /**
  * Thrown when the class has no annotation information.
  *
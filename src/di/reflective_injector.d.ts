@@ -40,12 +40,17 @@ export declare class ReflectiveProtoInjectorDynamicStrategy implements Reflectiv
 export declare class ReflectiveProtoInjector {
     static fromResolvedProviders(providers: ResolvedReflectiveProvider[]): ReflectiveProtoInjector;
     numberOfProviders: number;
+    /**
+     * The providers that are not singletons, by key id. `null` if there are none.
+     */
+    scopedProviders: Map<number, ResolvedReflectiveProvider>;
     constructor(providers: ResolvedReflectiveProvider[]);
     getProviderAtIndex(index: number): ResolvedReflectiveProvider;
 }
 export interface ReflectiveInjectorStrategy {
     getObjByKeyId(keyId: number): any;
     getObjAtIndex(index: number): any;
+    setObjAtIndex(index: number, obj: any): void;
     getMaxNumberOfObjects(): number;
     resetConstructionCounter(): void;
     instantiateProvider(provider: ResolvedReflectiveProvider): any;
@@ -68,6 +73,7 @@ export declare class ReflectiveInjectorInlineStrategy implements ReflectiveInjec
     instantiateProvider(provider: ResolvedReflectiveProvider): any;
     getObjByKeyId(keyId: number): any;
     getObjAtIndex(index: number): any;
+    setObjAtIndex(index: number, obj: any): void;
     getMaxNumberOfObjects(): number;
 }
 export declare class ReflectiveInjectorDynamicStrategy implements ReflectiveInjectorStrategy {
@@ -79,6 +85,7 @@ export declare class ReflectiveInjectorDynamicStrategy implements ReflectiveInje
     instantiateProvider(provider: ResolvedReflectiveProvider): any;
     getObjByKeyId(keyId: number): any;
     getObjAtIndex(index: number): any;
+    setObjAtIndex(index: number, obj: any): void;
     getMaxNumberOfObjects(): number;
 }
 /**
@@ -178,6 +185,37 @@ export declare abstract class ReflectiveInjector implements Injector {
      * See {@link Injector#resolve} and {@link Injector#fromResolvedProviders}.
      */
     static resolveAndCreate(providers: Provider[], parent?: Injector): ReflectiveInjector;
+    /**
+     * Checks an array of provider definitions without instantiating anything.
+     *
+     * Returns the errors that the providers would cause at runtime: missing providers,
+     * dependency cycles, singletons depending on providers with another scope, and tokens that
+     * have both multi and regular providers. `parentTokens` lists the tokens the parent injector
+     * will provide.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * \@Injectable()
+     * class Engine {
+     * }
+     *
+     * \@Injectable()
+     * class Car {
+     *   constructor(public engine:Engine) {}
+     * }
+     *
+     * expect(ReflectiveInjector.validate([Car, Engine])).toEqual([]);
+     *
+     * var errors = ReflectiveInjector.validate([Car]);
+     * expect(errors[0] instanceof NoProviderError).toBe(true);
+     * expect(errors[0].message).toEqual('No provider for Engine! (Car -> Engine)');
+     *
+     * expect(ReflectiveInjector.validate([Car], [Engine])).toEqual([]);
+     * ```
+     * @experimental
+     */
+    static validate(providers: Provider[], parentTokens?: any[]): Error[];
     /**
      * Creates an injector from previously resolved providers.
      *
@@ -322,24 +360,97 @@ export declare abstract class ReflectiveInjector implements Injector {
      */
     instantiateResolved(provider: ResolvedReflectiveProvider): any;
     abstract get(token: any, notFoundValue?: any): any;
+    /**
+     * Retrieves an instance from the injector, waiting for every provider on the way whose
+     * factory returns a `Promise`.
+     *
+     * Dependencies are resolved one after the other, and each of them is awaited before the
+     * factory that needs it is called. Once resolved, the value (not the `Promise`) is cached
+     * like any other instance, so later calls to `get` return it as well. Concurrent calls share
+     * the pending factory of a singleton, and `get` throws while it is pending.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * var injector = ReflectiveInjector.resolveAndCreate([
+     *   {provide: Config, useFactory: () => fetchConfig()},
+     *   {provide: Api, useFactory: (config) => new Api(config), deps: [Config]}
+     * ]);
+     *
+     * injector.getAsync(Api).then((api) => {
+     *   expect(api.config instanceof Config).toBe(true);
+     * });
+     * ```
+     */
+    abstract getAsync(token: any, notFoundValue?: any): Promise<any>;
+    /**
+     * Destroys the injector.
+     *
+     * Calls `ngOnDestroy` on the services that the injector created from a class, in reverse
+     * creation order, and then the callbacks registered via {@link onDestroy}. Instances that were
+     * passed in via `useValue`, created by a `useFactory` or looked up in a parent injector are
+     * left alone. Every hook and callback is called even if an earlier one throws, and the first
+     * error is rethrown afterwards.
+     *
+     * Using a destroyed injector, e.g. via `get` or {@link instantiateResolved}, throws, and so does
+     * a child injector whose lookup reaches it.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * class Connection implements OnDestroy {
+     *   closed = false;
+     *   ngOnDestroy() { this.closed = true; }
+     * }
+     *
+     * var injector = ReflectiveInjector.resolveAndCreate([Connection]);
+     * var connection = injector.get(Connection);
+     * injector.destroy();
+     * expect(connection.closed).toBe(true);
+     * ```
+     */
+    abstract destroy(): void;
+    /**
+     * Registers a callback that is called when the injector is destroyed.
+     */
+    abstract onDestroy(callback: () => void): void;
 }
 export declare class ReflectiveInjector_ implements ReflectiveInjector {
     private _strategy;
+    private _destroyed;
+    private _destroyListeners;
+    private _instancesToDestroy;
+    private _pendingAsync;
     /**
      * Private
      */
     constructor(_proto: any, _parent?: Injector);
     get(token: any, notFoundValue?: any): any;
     getAt(index: number): any;
+    destroy(): void;
+    onDestroy(callback: () => void): void;
+    private _assertNotDestroyed();
+    private _trackForDestroy(factory, scope, obj);
     readonly parent: Injector;
     resolveAndCreateChild(providers: Provider[]): ReflectiveInjector;
     createChildFromResolved(providers: ResolvedReflectiveProvider[]): ReflectiveInjector;
     resolveAndInstantiate(provider: Provider): any;
     instantiateResolved(provider: ResolvedReflectiveProvider): any;
+    private _newScoped(provider);
+    private _instantiateInScope(provider, scope);
     private _instantiateProvider(provider);
+    private _decorate(provider, decorator, delegate);
     private _instantiate(provider, ResolvedReflectiveFactory);
     private _getByReflectiveDependency(provider, dep);
     private _getByKey(key, lowerBoundVisibility, upperBoundVisibility, notFoundValue);
+    private _getByKeyUntraced(key, lowerBoundVisibility, upperBoundVisibility, notFoundValue);
+    private _getTracedObjByKeyId(keyId);
+    getAsync(token: any, notFoundValue?: any): Promise<any>;
+    private _getByKeyAsync(key, lowerBoundVisibility, upperBoundVisibility, notFoundValue, resolution);
+    private _indexOfKeyId(keyId);
+    private _getAtIndexAsync(index, resolution);
+    private _instantiateProviderAsync(provider, resolution);
+    private _instantiateAsync(provider, ResolvedReflectiveFactory, resolution, leadingArgs?);
     readonly displayName: string;
     toString(): string;
 }
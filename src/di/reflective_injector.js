@@ -6,14 +6,22 @@
  * found in the LICENSE file at https://angular.io/license
  */
 import { unimplemented } from '../facade/errors';
-import { Injector, THROW_IF_NOT_FOUND } from './injector';
+import { Injector, THROW_IF_NOT_FOUND, getAsyncFromInjector } from './injector';
 import { Self, SkipSelf } from './metadata';
-import { AbstractProviderError, CyclicDependencyError, InstantiationError, NoProviderError, OutOfBoundsError } from './reflective_errors';
+import { ProviderScope } from './provider';
+import { AbstractProviderError, CyclicDependencyError, InstantiationError, NoProviderError, OutOfBoundsError, PendingAsyncProviderError, ScopedDependencyError } from './reflective_errors';
 import { ReflectiveKey } from './reflective_key';
-import { resolveReflectiveProviders } from './reflective_provider';
+import { isDecoratorOnly, resolveReflectiveProviders, validateReflectiveProviders } from './reflective_provider';
+import { enterResolution, getResolutionScoped, leaveResolution } from './resolution_scope';
+import { getResolutionTracer, traceConstruction, traceLevel, traceLookup } from './resolution_tracer';
 // Threshold for the dynamic version
 const /** @type {?} */ _MAX_CONSTRUCTION_COUNTER = 10;
 const /** @type {?} */ UNDEFINED = new Object();
+const /** @type {?} */ _SKIP_SELF = new SkipSelf();
+// Scope of the provider whose object is currently being created, null if none.
+let /** @type {?} */ _instantiatingScope = null;
+// Non singleton providers whose objects are currently being created, to detect cycles.
+const /** @type {?} */ _scopedInConstruction = new Set();
 export class ReflectiveProtoInjectorInlineStrategy {
     /**
      * @param {?} protoEI
@@ -205,6 +213,16 @@ export class ReflectiveProtoInjector {
         this._strategy = providers.length > _MAX_CONSTRUCTION_COUNTER ?
             new ReflectiveProtoInjectorDynamicStrategy(this, providers) :
             new ReflectiveProtoInjectorInlineStrategy(this, providers);
+        this.scopedProviders = null;
+        for (let i = 0; i < providers.length; i++) {
+            const /** @type {?} */ provider = providers[i];
+            if (provider.scope && provider.scope !== ProviderScope.Singleton) {
+                if (!this.scopedProviders) {
+                    this.scopedProviders = new Map();
+                }
+                this.scopedProviders.set(provider.key.id, provider);
+            }
+        }
     }
     /**
      * @param {?} providers
@@ -229,6 +247,11 @@ function ReflectiveProtoInjector_tsickle_Closure_declarations() {
     ReflectiveProtoInjector.prototype._strategy;
     /** @type {?} */
     ReflectiveProtoInjector.prototype.numberOfProviders;
+    /**
+     * The providers that are not singletons, by key id. `null` if there are none.
+     * @type {?}
+     */
+    ReflectiveProtoInjector.prototype.scopedProviders;
 }
 export class ReflectiveInjectorInlineStrategy {
     /**
@@ -356,6 +379,54 @@ export class ReflectiveInjectorInlineStrategy {
             return this.obj9;
         throw new OutOfBoundsError(index);
     }
+    /**
+     * @param {?} index
+     * @param {?} obj
+     * @return {?}
+     */
+    setObjAtIndex(index, obj) {
+        if (index == 0) {
+            this.obj0 = obj;
+            return;
+        }
+        if (index == 1) {
+            this.obj1 = obj;
+            return;
+        }
+        if (index == 2) {
+            this.obj2 = obj;
+            return;
+        }
+        if (index == 3) {
+            this.obj3 = obj;
+            return;
+        }
+        if (index == 4) {
+            this.obj4 = obj;
+            return;
+        }
+        if (index == 5) {
+            this.obj5 = obj;
+            return;
+        }
+        if (index == 6) {
+            this.obj6 = obj;
+            return;
+        }
+        if (index == 7) {
+            this.obj7 = obj;
+            return;
+        }
+        if (index == 8) {
+            this.obj8 = obj;
+            return;
+        }
+        if (index == 9) {
+            this.obj9 = obj;
+            return;
+        }
+        throw new OutOfBoundsError(index);
+    }
     /**
      * @return {?}
      */
@@ -434,6 +505,17 @@ export class ReflectiveInjectorDynamicStrategy {
         }
         return this.objs[index];
     }
+    /**
+     * @param {?} index
+     * @param {?} obj
+     * @return {?}
+     */
+    setObjAtIndex(index, obj) {
+        if (index < 0 || index >= this.objs.length) {
+            throw new OutOfBoundsError(index);
+        }
+        this.objs[index] = obj;
+    }
     /**
      * @return {?}
      */
@@ -555,6 +637,42 @@ export class ReflectiveInjector {
         const /** @type {?} */ ResolvedReflectiveProviders = ReflectiveInjector.resolve(providers);
         return ReflectiveInjector.fromResolvedProviders(ResolvedReflectiveProviders, parent);
     }
+    /**
+     * Checks an array of provider definitions without instantiating anything.
+     *
+     * Returns the errors that the providers would cause at runtime: missing providers,
+     * dependency cycles, singletons depending on providers with another scope, and tokens that
+     * have both multi and regular providers. `parentTokens` lists the tokens the parent injector
+     * will provide.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * \@Injectable()
+     * class Engine {
+     * }
+     *
+     * \@Injectable()
+     * class Car {
+     *   constructor(public engine:Engine) {}
+     * }
+     *
+     * expect(ReflectiveInjector.validate([Car, Engine])).toEqual([]);
+     *
+     * var errors = ReflectiveInjector.validate([Car]);
+     * expect(errors[0] instanceof NoProviderError).toBe(true);
+     * expect(errors[0].message).toEqual('No provider for Engine! (Car -> Engine)');
+     *
+     * expect(ReflectiveInjector.validate([Car], [Engine])).toEqual([]);
+     * ```
+     * \@experimental
+     * @param {?} providers
+     * @param {?=} parentTokens
+     * @return {?}
+     */
+    static validate(providers, parentTokens = []) {
+        return validateReflectiveProviders(providers, parentTokens);
+    }
     /**
      * Creates an injector from previously resolved providers.
      *
@@ -721,6 +839,69 @@ export class ReflectiveInjector {
      * @return {?}
      */
     get(token, notFoundValue) { }
+    /**
+     * Retrieves an instance from the injector, waiting for every provider on the way whose
+     * factory returns a `Promise`.
+     *
+     * Dependencies are resolved one after the other, and each of them is awaited before the
+     * factory that needs it is called. Once resolved, the value (not the `Promise`) is cached
+     * like any other instance, so later calls to `get` return it as well. Concurrent calls share
+     * the pending factory of a singleton, and `get` throws while it is pending.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * var injector = ReflectiveInjector.resolveAndCreate([
+     *   {provide: Config, useFactory: () => fetchConfig()},
+     *   {provide: Api, useFactory: (config) => new Api(config), deps: [Config]}
+     * ]);
+     *
+     * injector.getAsync(Api).then((api) => {
+     *   expect(api.config instanceof Config).toBe(true);
+     * });
+     * ```
+     * @abstract
+     * @param {?} token
+     * @param {?=} notFoundValue
+     * @return {?}
+     */
+    getAsync(token, notFoundValue) { }
+    /**
+     * Destroys the injector.
+     *
+     * Calls `ngOnDestroy` on the services that the injector created from a class, in reverse
+     * creation order, and then the callbacks registered via {\@link onDestroy}. Instances that were
+     * passed in via `useValue`, created by a `useFactory` or looked up in a parent injector are
+     * left alone. Every hook and callback is called even if an earlier one throws, and the first
+     * error is rethrown afterwards.
+     *
+     * Using a destroyed injector, e.g. via `get` or {\@link instantiateResolved}, throws, and so does
+     * a child injector whose lookup reaches it.
+     *
+     * ### Example
+     *
+     * ```typescript
+     * class Connection implements OnDestroy {
+     *   closed = false;
+     *   ngOnDestroy() { this.closed = true; }
+     * }
+     *
+     * var injector = ReflectiveInjector.resolveAndCreate([Connection]);
+     * var connection = injector.get(Connection);
+     * injector.destroy();
+     * expect(connection.closed).toBe(true);
+     * ```
+     * @abstract
+     * @return {?}
+     */
+    destroy() { }
+    /**
+     * Registers a callback that is called when the injector is destroyed.
+     * @abstract
+     * @param {?} callback
+     * @return {?}
+     */
+    onDestroy(callback) { }
 }
 export class ReflectiveInjector_ {
     /**
@@ -731,6 +912,10 @@ export class ReflectiveInjector_ {
     constructor(_proto /* ProtoInjector */, _parent = null) {
         /** @internal */
         this._constructionCounter = 0;
+        this._destroyed = false;
+        this._destroyListeners = [];
+        this._instancesToDestroy = [];
+        this._pendingAsync = new Map();
         this._proto = _proto;
         this._parent = _parent;
         this._strategy = _proto._strategy.createInjectorStrategy(this);
@@ -741,13 +926,77 @@ export class ReflectiveInjector_ {
      * @return {?}
      */
     get(token, notFoundValue = THROW_IF_NOT_FOUND) {
-        return this._getByKey(ReflectiveKey.get(token), null, null, notFoundValue);
+        this._assertNotDestroyed();
+        enterResolution();
+        try {
+            return this._getByKey(ReflectiveKey.get(token), null, null, notFoundValue);
+        }
+        finally {
+            leaveResolution();
+        }
     }
     /**
      * @param {?} index
      * @return {?}
      */
     getAt(index) { return this._strategy.getObjAtIndex(index); }
+    /**
+     * @return {?}
+     */
+    destroy() {
+        if (this._destroyed) {
+            throw new Error(`The injector has already been destroyed.`);
+        }
+        this._destroyed = true;
+        const /** @type {?} */ instances = this._instancesToDestroy;
+        this._instancesToDestroy = [];
+        // Every hook and callback runs even if an earlier one throws, so that none of them leaks
+        // its resources. The first error is rethrown afterwards.
+        const /** @type {?} */ errors = [];
+        const /** @type {?} */ callSafely = (fn) => {
+            try {
+                fn();
+            }
+            catch (e) {
+                errors.push(e);
+            }
+        };
+        for (let /** @type {?} */ i = instances.length - 1; i >= 0; i--) {
+            const /** @type {?} */ instance = instances[i];
+            callSafely(() => instance.ngOnDestroy());
+        }
+        this._destroyListeners.forEach(callSafely);
+        if (errors.length > 0) {
+            throw errors[0];
+        }
+    }
+    /**
+     * @param {?} callback
+     * @return {?}
+     */
+    onDestroy(callback) { this._destroyListeners.push(callback); }
+    /**
+     * @return {?}
+     */
+    _assertNotDestroyed() {
+        if (this._destroyed) {
+            throw new Error(`Cannot use an injector that has already been destroyed.`);
+        }
+    }
+    /**
+     * Remembers `obj` for `destroy` if the injector owns it, i.e. if it is a singleton created
+     * from a class.
+     * @param {?} factory
+     * @param {?} scope
+     * @param {?} obj
+     * @return {?}
+     */
+    _trackForDestroy(factory, scope, obj) {
+        if (scope === ProviderScope.Singleton && factory.type && obj &&
+            typeof obj.ngOnDestroy === 'function') {
+            this._instancesToDestroy.push(obj);
+        }
+    }
     /**
      * @return {?}
      */
@@ -759,6 +1008,13 @@ export class ReflectiveInjector_ {
      * @return {?}
      */
     get internalStrategy() { return this._strategy; }
+    /**
+     * \@internal
+     * Whether the object for the provider at `index` has already been created.
+     * @param {?} index
+     * @return {?}
+     */
+    _isInstantiatedAt(index) { return this._strategy.getObjAtIndex(index) !== UNDEFINED; }
     /**
      * @param {?} providers
      * @return {?}
@@ -789,7 +1045,14 @@ export class ReflectiveInjector_ {
      * @return {?}
      */
     instantiateResolved(provider) {
-        return this._instantiateProvider(provider);
+        this._assertNotDestroyed();
+        enterResolution();
+        try {
+            return this._instantiateInScope(provider, null);
+        }
+        finally {
+            leaveResolution();
+        }
     }
     /**
      * \@internal
@@ -797,25 +1060,113 @@ export class ReflectiveInjector_ {
      * @return {?}
      */
     _new(provider) {
+        if (this._pendingAsync.has(provider)) {
+            throw new PendingAsyncProviderError(this, provider.key);
+        }
         if (this._constructionCounter++ > this._strategy.getMaxNumberOfObjects()) {
             throw new CyclicDependencyError(this, provider.key);
         }
-        return this._instantiateProvider(provider);
+        return this._instantiateInScope(provider, ProviderScope.Singleton);
+    }
+    /**
+     * \@internal
+     * @param {?} provider
+     * @return {?}
+     */
+    _getScoped(provider) {
+        if (_instantiatingScope === ProviderScope.Singleton) {
+            throw new ScopedDependencyError(this, provider.key, provider.scope);
+        }
+        if (provider.scope === ProviderScope.Transient) {
+            return this._newScoped(provider);
+        }
+        return getResolutionScoped(this, provider.key.id, () => this._newScoped(provider));
+    }
+    /**
+     * @param {?} provider
+     * @return {?}
+     */
+    _newScoped(provider) {
+        if (_scopedInConstruction.has(provider)) {
+            throw new CyclicDependencyError(this, provider.key);
+        }
+        _scopedInConstruction.add(provider);
+        try {
+            return this._instantiateInScope(provider, provider.scope);
+        }
+        finally {
+            _scopedInConstruction.delete(provider);
+        }
+    }
+    /**
+     * @param {?} provider
+     * @param {?} scope
+     * @return {?}
+     */
+    _instantiateInScope(provider, scope) {
+        const /** @type {?} */ previousScope = _instantiatingScope;
+        _instantiatingScope = scope;
+        try {
+            return getResolutionTracer() ?
+                traceConstruction(provider.key.token, () => this._instantiateProvider(provider)) :
+                this._instantiateProvider(provider);
+        }
+        finally {
+            _instantiatingScope = previousScope;
+        }
     }
     /**
      * @param {?} provider
      * @return {?}
      */
     _instantiateProvider(provider) {
-        if (provider.multiProvider) {
-            const /** @type {?} */ res = new Array(provider.resolvedFactories.length);
+        let /** @type {?} */ obj;
+        const /** @type {?} */ decorators = provider.resolvedDecorators || [];
+        let /** @type {?} */ decorated = 0;
+        if (isDecoratorOnly(provider)) {
+            obj = this._getByKeyDefault(provider.key, THROW_IF_NOT_FOUND, _SKIP_SELF);
+        }
+        else if (provider.multiProvider) {
+            // Decorators only wrap the values declared before them.
+            const /** @type {?} */ counts = provider.decoratedFactoryCounts || [];
+            obj = [];
             for (let /** @type {?} */ i = 0; i < provider.resolvedFactories.length; ++i) {
-                res[i] = this._instantiate(provider, provider.resolvedFactories[i]);
+                for (; decorated < counts.length && counts[decorated] === i; ++decorated) {
+                    obj = this._decorate(provider, decorators[decorated], obj);
+                }
+                obj = obj.concat([this._instantiate(provider, provider.resolvedFactories[i])]);
             }
-            return res;
         }
         else {
-            return this._instantiate(provider, provider.resolvedFactories[0]);
+            obj = this._instantiate(provider, provider.resolvedFactories[0]);
+        }
+        for (; decorated < decorators.length; ++decorated) {
+            obj = this._decorate(provider, decorators[decorated], obj);
+        }
+        return obj;
+    }
+    /**
+     * @param {?} provider
+     * @param {?} decorator
+     * @param {?} delegate
+     * @return {?}
+     */
+    _decorate(provider, decorator, delegate) {
+        let /** @type {?} */ deps;
+        try {
+            deps = decorator.dependencies.map(dep => this._getByReflectiveDependency(provider, dep));
+        }
+        catch (e) {
+            if (e instanceof AbstractProviderError || e instanceof InstantiationError) {
+                e.addKey(this, provider.key);
+            }
+            throw e;
+        }
+        try {
+            return decorator.factory(delegate, ...deps);
+        }
+        catch (e) {
+            throw new InstantiationError(this, e, e.stack, provider.key);
         }
     }
     /**
@@ -948,6 +1299,7 @@ export class ReflectiveInjector_ {
         catch (e) {
             throw new InstantiationError(this, e, e.stack, provider.key);
         }
+        this._trackForDestroy(ResolvedReflectiveFactory, _instantiatingScope, obj);
         return obj;
     }
     /**
@@ -969,6 +1321,19 @@ export class ReflectiveInjector_ {
         if (key === INJECTOR_KEY) {
             return this;
         }
+        if (getResolutionTracer()) {
+            return traceLookup(key.token, null, null, () => this._getByKeyUntraced(key, lowerBoundVisibility, upperBoundVisibility, notFoundValue));
+        }
+        return this._getByKeyUntraced(key, lowerBoundVisibility, upperBoundVisibility, notFoundValue);
+    }
+    /**
+     * @param {?} key
+     * @param {?} lowerBoundVisibility
+     * @param {?} upperBoundVisibility
+     * @param {?} notFoundValue
+     * @return {?}
+     */
+    _getByKeyUntraced(key, lowerBoundVisibility, upperBoundVisibility, notFoundValue) {
         if (upperBoundVisibility instanceof Self) {
             return this._getByKeySelf(key, notFoundValue);
         }
@@ -976,6 +1341,29 @@ export class ReflectiveInjector_ {
             return this._getByKeyDefault(key, notFoundValue, lowerBoundVisibility);
         }
     }
+    /**
+     * \@internal
+     * @param {?} keyId
+     * @return {?}
+     */
+    _getObjByKeyId(keyId) {
+        const /** @type {?} */ scopedProviders = this._proto.scopedProviders;
+        if (scopedProviders !== null && scopedProviders.has(keyId)) {
+            return this._getScoped(scopedProviders.get(keyId));
+        }
+        return this._strategy.getObjByKeyId(keyId);
+    }
+    /**
+     * @param {?} keyId
+     * @return {?}
+     */
+    _getTracedObjByKeyId(keyId) {
+        if (!getResolutionTracer()) {
+            return this._getObjByKeyId(keyId);
+        }
+        const /** @type {?} */ level = this._parent ? 'host' : 'platform';
+        return traceLevel(level, 'ReflectiveInjector', UNDEFINED, true, () => this._getObjByKeyId(keyId));
+    }
     /**
      * \@internal
      * @param {?} key
@@ -997,7 +1385,7 @@ export class ReflectiveInjector_ {
      * @return {?}
      */
     _getByKeySelf(key, notFoundValue) {
-        const /** @type {?} */ obj = this._strategy.getObjByKeyId(key.id);
+        const /** @type {?} */ obj = this._getTracedObjByKeyId(key.id);
         return (obj !== UNDEFINED) ? obj : this._throwOrNull(key, notFoundValue);
     }
     /**
@@ -1017,7 +1405,8 @@ export class ReflectiveInjector_ {
         }
         while (inj instanceof ReflectiveInjector_) {
             const /** @type {?} */ inj_ = (inj);
-            const /** @type {?} */ obj = inj_._strategy.getObjByKeyId(key.id);
+            inj_._assertNotDestroyed();
+            const /** @type {?} */ obj = inj_._getTracedObjByKeyId(key.id);
             if (obj !== UNDEFINED)
                 return obj;
             inj = inj_._parent;
@@ -1029,6 +1418,182 @@ export class ReflectiveInjector_ {
             return this._throwOrNull(key, notFoundValue);
         }
     }
+    /**
+     * @param {?} token
+     * @param {?=} notFoundValue
+     * @return {?}
+     */
+    getAsync(token, notFoundValue = THROW_IF_NOT_FOUND) {
+        if (this._destroyed) {
+            return new Promise(() => this._assertNotDestroyed());
+        }
+        const /** @type {?} */ resolution = { path: [], scope: null, objs: new Map() };
+        return this._getByKeyAsync(ReflectiveKey.get(token), null, null, notFoundValue, resolution);
+    }
+    /**
+     * @param {?} key
+     * @param {?} lowerBoundVisibility
+     * @param {?} upperBoundVisibility
+     * @param {?} notFoundValue
+     * @param {?} resolution
+     * @return {?}
+     */
+    _getByKeyAsync(key, lowerBoundVisibility, upperBoundVisibility, notFoundValue, resolution) {
+        if (key === INJECTOR_KEY) {
+            return Promise.resolve(this);
+        }
+        let /** @type {?} */ inj = this;
+        if (upperBoundVisibility instanceof Self) {
+            const /** @type {?} */ index = this._indexOfKeyId(key.id);
+            if (index !== -1) {
+                return this._getAtIndexAsync(index, resolution);
+            }
+            inj = null;
+        }
+        else if (lowerBoundVisibility instanceof SkipSelf) {
+            inj = this._parent;
+        }
+        while (inj instanceof ReflectiveInjector_) {
+            const /** @type {?} */ inj_ = (inj);
+            if (inj_._destroyed) {
+                return new Promise(() => inj_._assertNotDestroyed());
+            }
+            const /** @type {?} */ index = inj_._indexOfKeyId(key.id);
+            if (index !== -1) {
+                return inj_._getAtIndexAsync(index, resolution);
+            }
+            inj = inj_._parent;
+        }
+        if (inj !== null) {
+            return getAsyncFromInjector(inj, key.token, notFoundValue);
+        }
+        return new Promise(resolve => resolve(this._throwOrNull(key, notFoundValue)));
+    }
+    /**
+     * @param {?} keyId
+     * @return {?}
+     */
+    _indexOfKeyId(keyId) {
+        for (let /** @type {?} */ i = 0; i < this._proto.numberOfProviders; i++) {
+            if (this._proto.getProviderAtIndex(i).key.id === keyId) {
+                return i;
+            }
+        }
+        return -1;
+    }
+    /**
+     * @param {?} index
+     * @param {?} resolution
+     * @return {?}
+     */
+    _getAtIndexAsync(index, resolution) {
+        const /** @type {?} */ provider = this._proto.getProviderAtIndex(index);
+        if (resolution.path.indexOf(provider) !== -1) {
+            return Promise.reject(new CyclicDependencyError(this, provider.key));
+        }
+        if (provider.scope && provider.scope !== ProviderScope.Singleton) {
+            if (resolution.scope === ProviderScope.Singleton) {
+                return Promise.reject(new ScopedDependencyError(this, provider.key, provider.scope));
+            }
+            if (provider.scope === ProviderScope.Transient) {
+                return this._instantiateProviderAsync(provider, resolution);
+            }
+            let /** @type {?} */ objs = resolution.objs.get(this);
+            if (!objs) {
+                objs = new Map();
+                resolution.objs.set(this, objs);
+            }
+            if (!objs.has(provider)) {
+                objs.set(provider, this._instantiateProviderAsync(provider, resolution));
+            }
+            return objs.get(provider);
+        }
+        const /** @type {?} */ existing = this._strategy.getObjAtIndex(index);
+        if (existing !== UNDEFINED) {
+            return Promise.resolve(existing);
+        }
+        // Concurrent calls wait for the same factory instead of calling it again.
+        let /** @type {?} */ pending = this._pendingAsync.get(provider);
+        if (!pending) {
+            pending = this._instantiateProviderAsync(provider, resolution).then(obj => {
+                this._pendingAsync.delete(provider);
+                this._strategy.setObjAtIndex(index, obj);
+                return obj;
+            }, e => {
+                this._pendingAsync.delete(provider);
+                throw e;
+            });
+            this._pendingAsync.set(provider, pending);
+        }
+        return pending;
+    }
+    /**
+     * @param {?} provider
+     * @param {?} resolution
+     * @return {?}
+     */
+    _instantiateProviderAsync(provider, resolution) {
+        const /** @type {?} */ depResolution = {
+            path: resolution.path.concat([provider]),
+            scope: provider.scope || ProviderScope.Singleton,
+            objs: resolution.objs
+        };
+        let /** @type {?} */ chain;
+        const /** @type {?} */ decorators = provider.resolvedDecorators || [];
+        let /** @type {?} */ decorated = 0;
+        const /** @type {?} */ decorate = (obj) => this._instantiateAsync(provider, decorators[decorated++], depResolution, [obj]);
+        if (isDecoratorOnly(provider)) {
+            chain = this._getByKeyAsync(provider.key, _SKIP_SELF, null, THROW_IF_NOT_FOUND, resolution);
+        }
+        else if (provider.multiProvider) {
+            // Decorators only wrap the values declared before them.
+            const /** @type {?} */ counts = provider.decoratedFactoryCounts || [];
+            chain = Promise.resolve([]);
+            provider.resolvedFactories.forEach((factory, i) => {
+                for (let /** @type {?} */ d = 0; d < counts.length; d++) {
+                    if (counts[d] === i) {
+                        chain = chain.then(decorate);
+                    }
+                }
+                chain = chain.then(res => this._instantiateAsync(provider, factory, depResolution)
+                    .then(obj => res.concat([obj])));
+            });
+        }
+        else {
+            chain = this._instantiateAsync(provider, provider.resolvedFactories[0], depResolution);
+        }
+        return chain.then(function decorateRest(obj) {
+            return decorated < decorators.length ? decorate(obj).then(decorateRest) : obj;
+        });
+    }
+    /**
+     * @param {?} provider
+     * @param {?} ResolvedReflectiveFactory
+     * @param {?} resolution
+     * @param {?=} leadingArgs
+     * @return {?}
+     */
+    _instantiateAsync(provider, ResolvedReflectiveFactory, resolution, leadingArgs = []) {
+        const /** @type {?} */ factory = ResolvedReflectiveFactory.factory;
+        const /** @type {?} */ deps = leadingArgs.slice();
+        let /** @type {?} */ chain = Promise.resolve(null);
+        ResolvedReflectiveFactory.dependencies.forEach(dep => {
+            chain = chain
+                .then(() => this._getByKeyAsync(dep.key, dep.lowerBoundVisibility, dep.upperBoundVisibility, dep.optional ? null : THROW_IF_NOT_FOUND, resolution))
+                .then(obj => { deps.push(obj); });
+        });
+        return chain.then(() => new Promise(resolve => resolve(factory(...deps))).then(obj => {
+            this._trackForDestroy(ResolvedReflectiveFactory, resolution.scope, obj);
+            return obj;
+        }, e => {
+            throw new InstantiationError(this, e, e.stack, provider.key);
+        }), e => {
+            if (e instanceof AbstractProviderError || e instanceof InstantiationError) {
+                e.addKey(this, provider.key);
+            }
+            throw e;
+        });
+    }
     /**
      * @return {?}
      */
@@ -1050,6 +1615,18 @@ function ReflectiveInjector__tsickle_Closure_declarations() {
      * @type {?}
      */
     ReflectiveInjector_.prototype._constructionCounter;
+    /** @type {?} */
+    ReflectiveInjector_.prototype._destroyed;
+    /** @type {?} */
+    ReflectiveInjector_.prototype._destroyListeners;
+    /** @type {?} */
+    ReflectiveInjector_.prototype._instancesToDestroy;
+    /**
+     * The singletons whose factories are awaited by `getAsync`, with the `Promise` for their
+     * value.
+     * @type {?}
+     */
+    ReflectiveInjector_.prototype._pendingAsync;
     /**
      * \@internal
      * @type {?}
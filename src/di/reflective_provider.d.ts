@@ -1,4 +1,4 @@
-import { Provider } from './provider';
+import { Provider, ProviderScope } from './provider';
 import { ReflectiveKey } from './reflective_key';
 /**
  * `Dependency` is used by the framework to extend DI.
@@ -44,12 +44,28 @@ export interface ResolvedReflectiveProvider {
      * Indicates if the provider is a multi-provider or a regular provider.
      */
     multiProvider: boolean;
+    /**
+     * How long the instances created by the provider live.
+     */
+    scope: ProviderScope;
+    /**
+     * Functions that wrap the value created by the `resolvedFactories`, in the order they are
+     * applied. If there are no `resolvedFactories`, the value of the parent injector is wrapped.
+     */
+    resolvedDecorators: ResolvedReflectiveFactory[];
 }
 export declare class ResolvedReflectiveProvider_ implements ResolvedReflectiveProvider {
     key: ReflectiveKey;
     resolvedFactories: ResolvedReflectiveFactory[];
     multiProvider: boolean;
-    constructor(key: ReflectiveKey, resolvedFactories: ResolvedReflectiveFactory[], multiProvider: boolean);
+    scope: ProviderScope;
+    resolvedDecorators: ResolvedReflectiveFactory[];
+    /**
+     * The number of `resolvedFactories` declared before each of the `resolvedDecorators`. A
+     * decorator of a multi provider only wraps the values of those factories.
+     */
+    decoratedFactoryCounts: number[];
+    constructor(key: ReflectiveKey, resolvedFactories: ResolvedReflectiveFactory[], multiProvider: boolean, scope?: ProviderScope, resolvedDecorators?: ResolvedReflectiveFactory[], decoratedFactoryCounts?: number[]);
     readonly resolvedFactory: ResolvedReflectiveFactory;
 }
 /**
@@ -66,6 +82,10 @@ export declare class ResolvedReflectiveFactory {
      * Arguments (dependencies) to the `factory` function.
      */
     dependencies: ReflectiveDependency[];
+    /**
+     * The class that `factory` instantiates, or `null` if the factory is not backed by a class.
+     */
+    type: any;
     constructor(
         /**
          * Factory function which can return an instance of an object represented by a key.
@@ -74,7 +94,11 @@ export declare class ResolvedReflectiveFactory {
         /**
          * Arguments (dependencies) to the `factory` function.
          */
-        dependencies: ReflectiveDependency[]);
+        dependencies: ReflectiveDependency[], 
+        /**
+         * The class that `factory` instantiates, or `null` if the factory is not backed by a class.
+         */
+        type?: any);
 }
 /**
  * Resolve a list of Providers.
@@ -84,6 +108,24 @@ export declare function resolveReflectiveProviders(providers: Provider[]): Resol
  * Merges a list of ResolvedProviders into a list where
  * each key is contained exactly once and multi providers
  * have been merged.
+ *
+ * Decorators are appended to the provider declared before them for the same key. Decorators
+ * without such a provider decorate the value of the parent injector.
  */
 export declare function mergeResolvedReflectiveProviders(providers: ResolvedReflectiveProvider[], normalizedProvidersMap: Map<number, ResolvedReflectiveProvider>): Map<number, ResolvedReflectiveProvider>;
+/**
+ * Checks a list of Providers without instantiating anything and returns the errors found:
+ * - a {@link MixingMultiProvidersWithRegularProvidersError} for each token that has both kinds
+ *   of providers,
+ * - a {@link NoProviderError} for each non optional dependency that is neither provided in the
+ *   list nor contained in `parentTokens`,
+ * - a {@link CyclicDependencyError} for each dependency cycle,
+ * - a {@link ScopedDependencyError} for each singleton that depends on a provider of the list
+ *   with another scope.
+ */
+export declare function validateReflectiveProviders(providers: Provider[], parentTokens?: any[]): Error[];
+/**
+ * Whether the provider only decorates the value of the parent injector.
+ */
+export declare function isDecoratorOnly(provider: ResolvedReflectiveProvider): boolean;
 export declare function constructDependencies(typeOrFunc: any, dependencies: any[]): ReflectiveDependency[];
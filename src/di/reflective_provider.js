@@ -8,8 +8,10 @@
 import { reflector } from '../reflection/reflection';
 import { Type } from '../type';
 import { resolveForwardRef } from './forward_ref';
+import { Injector } from './injector';
 import { Host, Inject, Optional, Self, SkipSelf } from './metadata';
-import { InvalidProviderError, MixingMultiProvidersWithRegularProvidersError, NoAnnotationError } from './reflective_errors';
+import { ProviderScope } from './provider';
+import { CyclicDependencyError, InvalidProviderError, InvalidProviderScopeError, MixingMultiProvidersWithRegularProvidersError, NoAnnotationError, NoProviderError, ScopedDependencyError } from './reflective_errors';
 import { ReflectiveKey } from './reflective_key';
 /**
  * `Dependency` is used by the framework to extend DI.
@@ -56,11 +58,17 @@ export class ResolvedReflectiveProvider_ {
      * @param {?} key
      * @param {?} resolvedFactories
      * @param {?} multiProvider
+     * @param {?=} scope
+     * @param {?=} resolvedDecorators
+     * @param {?=} decoratedFactoryCounts
      */
-    constructor(key, resolvedFactories, multiProvider) {
+    constructor(key, resolvedFactories, multiProvider, scope = ProviderScope.Singleton, resolvedDecorators = _EMPTY_LIST, decoratedFactoryCounts = _EMPTY_LIST) {
         this.key = key;
         this.resolvedFactories = resolvedFactories;
         this.multiProvider = multiProvider;
+        this.scope = scope;
+        this.resolvedDecorators = resolvedDecorators;
+        this.decoratedFactoryCounts = decoratedFactoryCounts;
     }
     /**
      * @return {?}
@@ -74,6 +82,16 @@ function ResolvedReflectiveProvider__tsickle_Closure_declarations() {
     ResolvedReflectiveProvider_.prototype.resolvedFactories;
     /** @type {?} */
     ResolvedReflectiveProvider_.prototype.multiProvider;
+    /** @type {?} */
+    ResolvedReflectiveProvider_.prototype.scope;
+    /** @type {?} */
+    ResolvedReflectiveProvider_.prototype.resolvedDecorators;
+    /**
+     * The number of `resolvedFactories` declared before each of the `resolvedDecorators`. A
+     * decorator of a multi provider only wraps the values of those factories.
+     * @type {?}
+     */
+    ResolvedReflectiveProvider_.prototype.decoratedFactoryCounts;
 }
 /**
  * An internal resolved representation of a factory function created by resolving {\@link
@@ -84,10 +102,12 @@ export class ResolvedReflectiveFactory {
     /**
      * @param {?} factory
      * @param {?} dependencies
+     * @param {?=} type
      */
-    constructor(factory, dependencies) {
+    constructor(factory, dependencies, type = null) {
         this.factory = factory;
         this.dependencies = dependencies;
+        this.type = type;
     }
 }
 function ResolvedReflectiveFactory_tsickle_Closure_declarations() {
@@ -101,6 +121,11 @@ function ResolvedReflectiveFactory_tsickle_Closure_declarations() {
      * @type {?}
      */
     ResolvedReflectiveFactory.prototype.dependencies;
+    /**
+     * The class that `factory` instantiates, or `null` if the factory is not backed by a class.
+     * @type {?}
+     */
+    ResolvedReflectiveFactory.prototype.type;
 }
 /**
  * Resolve a single provider.
@@ -110,9 +135,11 @@ function ResolvedReflectiveFactory_tsickle_Closure_declarations() {
 function resolveReflectiveFactory(provider) {
     let /** @type {?} */ factoryFn;
     let /** @type {?} */ resolvedDeps;
+    let /** @type {?} */ type = null;
     if (provider.useClass) {
         const /** @type {?} */ useClass = resolveForwardRef(provider.useClass);
         factoryFn = reflector.factory(useClass);
+        type = useClass;
         resolvedDeps = _dependenciesFor(useClass);
     }
     else if (provider.useExisting) {
@@ -127,7 +154,7 @@ function resolveReflectiveFactory(provider) {
         factoryFn = () => provider.useValue;
         resolvedDeps = _EMPTY_LIST;
     }
-    return new ResolvedReflectiveFactory(factoryFn, resolvedDeps);
+    return new ResolvedReflectiveFactory(factoryFn, resolvedDeps, type);
 }
 /**
  * Converts the {\@link Provider} into {\@link ResolvedProvider}.
@@ -138,7 +165,14 @@ function resolveReflectiveFactory(provider) {
  * @return {?}
  */
 function resolveReflectiveProvider(provider) {
-    return new ResolvedReflectiveProvider_(ReflectiveKey.get(provider.provide), [resolveReflectiveFactory(provider)], provider.multi);
+    if (provider.useDecorator) {
+        const /** @type {?} */ decorator = new ResolvedReflectiveFactory(provider.useDecorator, constructDependencies(provider.useDecorator, provider.deps || _EMPTY_LIST));
+        return new ResolvedReflectiveProvider_(ReflectiveKey.get(provider.provide), _EMPTY_LIST, false, ProviderScope.Singleton, [decorator], [0]);
+    }
+    if (provider.scope && !provider.useClass && !provider.useFactory) {
+        throw new InvalidProviderScopeError(provider);
+    }
+    return new ResolvedReflectiveProvider_(ReflectiveKey.get(provider.provide), [resolveReflectiveFactory(provider)], provider.multi, provider.scope || ProviderScope.Singleton);
 }
 /**
  * Resolve a list of Providers.
@@ -155,6 +189,10 @@ export function resolveReflectiveProviders(providers) {
  * Merges a list of ResolvedProviders into a list where
  * each key is contained exactly once and multi providers
  * have been merged.
+ *
+ * Decorators are appended to the provider declared before them for the same key, together with
+ * the number of factories of that provider. Decorators without such a provider decorate the value
+ * of the parent injector.
  * @param {?} providers
  * @param {?} normalizedProvidersMap
  * @return {?}
@@ -162,7 +200,20 @@ export function resolveReflectiveProviders(providers) {
 export function mergeResolvedReflectiveProviders(providers, normalizedProvidersMap) {
     for (let /** @type {?} */ i = 0; i < providers.length; i++) {
         const /** @type {?} */ provider = providers[i];
-        const /** @type {?} */ existing = normalizedProvidersMap.get(provider.key.id);
+        let /** @type {?} */ existing = normalizedProvidersMap.get(provider.key.id);
+        if (isDecoratorOnly(provider)) {
+            if (existing) {
+                normalizedProvidersMap.set(provider.key.id, new ResolvedReflectiveProvider_(existing.key, existing.resolvedFactories.slice(), existing.multiProvider, existing.scope, existing.resolvedDecorators.concat(provider.resolvedDecorators), existing.decoratedFactoryCounts.concat([existing.resolvedFactories.length])));
+            }
+            else {
+                normalizedProvidersMap.set(provider.key.id, provider);
+            }
+            continue;
+        }
+        if (existing && isDecoratorOnly(existing)) {
+            // A regular provider replaces everything declared before it.
+            existing = null;
+        }
         if (existing) {
             if (provider.multiProvider !== existing.multiProvider) {
                 throw new MixingMultiProvidersWithRegularProvidersError(existing, provider);
@@ -179,7 +230,7 @@ export function mergeResolvedReflectiveProviders(providers, normalizedProvidersM
         else {
             let /** @type {?} */ resolvedProvider;
             if (provider.multiProvider) {
-                resolvedProvider = new ResolvedReflectiveProvider_(provider.key, provider.resolvedFactories.slice(), provider.multiProvider);
+                resolvedProvider = new ResolvedReflectiveProvider_(provider.key, provider.resolvedFactories.slice(), provider.multiProvider, provider.scope, provider.resolvedDecorators, provider.decoratedFactoryCounts);
             }
             else {
                 resolvedProvider = provider;
@@ -189,6 +240,125 @@ export function mergeResolvedReflectiveProviders(providers, normalizedProvidersM
     }
     return normalizedProvidersMap;
 }
+/**
+ * Checks a list of Providers without instantiating anything and returns the errors found:
+ * - a {\@link MixingMultiProvidersWithRegularProvidersError} for each token that has both kinds
+ *   of providers,
+ * - a {\@link NoProviderError} for each non optional dependency that is neither provided in the
+ *   list nor contained in `parentTokens`,
+ * - a {\@link CyclicDependencyError} for each dependency cycle,
+ * - a {\@link ScopedDependencyError} for each singleton that depends on a provider of the list
+ *   with another scope.
+ * @param {?} providers
+ * @param {?=} parentTokens
+ * @return {?}
+ */
+export function validateReflectiveProviders(providers, parentTokens = []) {
+    const /** @type {?} */ errors = [];
+    let /** @type {?} */ resolved;
+    try {
+        resolved = _normalizeProviders(providers, []).map(resolveReflectiveProvider);
+    }
+    catch (e) {
+        errors.push(e);
+        return errors;
+    }
+    const /** @type {?} */ providersById = new Map();
+    resolved.forEach(provider => {
+        try {
+            mergeResolvedReflectiveProviders([provider], providersById);
+        }
+        catch (e) {
+            errors.push(e);
+        }
+    });
+    const /** @type {?} */ parentIds = new Set(parentTokens.map(token => ReflectiveKey.get(token).id));
+    parentIds.add(ReflectiveKey.get(Injector).id);
+    const /** @type {?} */ ownDeps = new Map();
+    providersById.forEach((provider, id) => {
+        const /** @type {?} */ deps = [];
+        if (isDecoratorOnly(provider) && !parentIds.has(id)) {
+            errors.push(new NoProviderError(null, provider.key));
+        }
+        provider.resolvedFactories.concat(provider.resolvedDecorators).forEach(factory => factory.dependencies.forEach(dep => {
+            const /** @type {?} */ depId = dep.key.id;
+            const /** @type {?} */ inSelf = !(dep.lowerBoundVisibility instanceof SkipSelf) && providersById.has(depId);
+            const /** @type {?} */ inParent = !(dep.upperBoundVisibility instanceof Self) && parentIds.has(depId);
+            if (inSelf) {
+                deps.push(providersById.get(depId));
+            }
+            else if (!inParent && !dep.optional) {
+                const /** @type {?} */ error = new NoProviderError(null, dep.key);
+                error.addKey(null, provider.key);
+                errors.push(error);
+            }
+        }));
+        ownDeps.set(provider, deps);
+    });
+    _validateScopes(ownDeps, errors);
+    _findCycles(ownDeps, errors);
+    return errors;
+}
+/**
+ * @param {?} ownDeps
+ * @param {?} errors
+ * @return {?}
+ */
+function _validateScopes(ownDeps, errors) {
+    ownDeps.forEach((deps, provider) => {
+        if (provider.scope !== ProviderScope.Singleton) {
+            return;
+        }
+        deps.forEach(dep => {
+            if (dep.scope !== ProviderScope.Singleton) {
+                const /** @type {?} */ error = new ScopedDependencyError(null, dep.key, dep.scope);
+                error.addKey(null, provider.key);
+                errors.push(error);
+            }
+        });
+    });
+}
+/**
+ * Reports one error for every dependency that leads back to a provider on the current path.
+ * @param {?} ownDeps
+ * @param {?} errors
+ * @return {?}
+ */
+function _findCycles(ownDeps, errors) {
+    const /** @type {?} */ visited = new Set();
+    const /** @type {?} */ path = [];
+    const /** @type {?} */ visit = (provider) => {
+        visited.add(provider);
+        path.push(provider);
+        ownDeps.get(provider).forEach(dep => {
+            const /** @type {?} */ cycleStart = path.indexOf(dep);
+            if (cycleStart !== -1) {
+                const /** @type {?} */ error = new CyclicDependencyError(null, dep.key);
+                for (let /** @type {?} */ i = path.length - 1; i >= cycleStart; i--) {
+                    error.addKey(null, path[i].key);
+                }
+                errors.push(error);
+            }
+            else if (!visited.has(dep)) {
+                visit(dep);
+            }
+        });
+        path.pop();
+    };
+    ownDeps.forEach((deps, provider) => {
+        if (!visited.has(provider)) {
+            visit(provider);
+        }
+    });
+}
+/**
+ * Whether the provider only decorates the value of the parent injector.
+ * @param {?} provider
+ * @return {?}
+ */
+export function isDecoratorOnly(provider) {
+    return provider.resolvedFactories.length === 0;
+}
 /**
  * @param {?} providers
  * @param {?} res
@@ -0,0 +1,7 @@
+export declare function enterResolution(): void;
+export declare function leaveResolution(): void;
+/**
+ * Returns the object that `owner` created for `id` during the current resolution, creating it
+ * via `factory` if needed. Outside of a resolution, a new object is created every time.
+ */
+export declare function getResolutionScoped(owner: any, id: any, factory: () => any): any;
@@ -0,0 +1,55 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Book-keeping for providers with `ProviderScope.Resolution`.
+ *
+ * A resolution starts with the outermost call to `Injector.get` and ends when that call returns.
+ * Nested calls, also across injectors, are part of the same resolution.
+ */
+let /** @type {?} */ _resolutionDepth = 0;
+let /** @type {?} */ _resolutionObjs = null;
+/**
+ * @return {?}
+ */
+export function enterResolution() {
+    _resolutionDepth++;
+}
+/**
+ * @return {?}
+ */
+export function leaveResolution() {
+    if (--_resolutionDepth === 0) {
+        _resolutionObjs = null;
+    }
+}
+/**
+ * Returns the object that `owner` created for `id` during the current resolution, creating it
+ * via `factory` if needed. Outside of a resolution, a new object is created every time.
+ * @param {?} owner
+ * @param {?} id
+ * @param {?} factory
+ * @return {?}
+ */
+export function getResolutionScoped(owner, id, factory) {
+    if (_resolutionDepth === 0) {
+        return factory();
+    }
+    if (!_resolutionObjs) {
+        _resolutionObjs = new Map();
+    }
+    let /** @type {?} */ objs = _resolutionObjs.get(owner);
+    if (!objs) {
+        objs = new Map();
+        _resolutionObjs.set(owner, objs);
+    }
+    if (!objs.has(id)) {
+        objs.set(id, factory());
+    }
+    return objs.get(id);
+}
+//# sourceMappingURL=resolution_scope.js.map
\ No newline at end of file
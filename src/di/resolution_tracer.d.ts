@@ -0,0 +1,90 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * One dependency lookup recorded by a {@link ResolutionTracer}.
+ *
+ * `level` is `element` for a node of a view, `module` for an `NgModule` injector, `platform` for
+ * a `ReflectiveInjector` without parent and `host` for any other `ReflectiveInjector`, e.g. one
+ * that a component was created with. It is `null` if no level had a provider for the token.
+ *
+ * `cached` is `null` for element and module levels, as they can't tell whether they just created
+ * the object. For them, `duration` is the time it took the level to answer, for the other levels
+ * the time it took to create the object, or `0` if it was cached.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export interface ResolutionTraceEntry {
+    token: string;
+    level: 'element' | 'host' | 'module' | 'platform';
+    source: string;
+    cached: boolean;
+    duration: number;
+    depth: number;
+    searched: string[];
+}
+/**
+ * Records every dependency lookup while it is installed via {@link setResolutionTracer}.
+ *
+ * A lookup is recorded as one {@link ResolutionTraceEntry}. Lookups that are needed to create
+ * the requested object are recorded right after it, with a higher `depth`. When a lookup fails
+ * with a `NoProviderError` or an `InstantiationError`, the levels that were searched are added
+ * to the error message.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const tracer = new ResolutionTracer();
+ * setResolutionTracer(tracer);
+ * injector.get(Car);
+ * setResolutionTracer(null);
+ * console.log(tracer.entries);
+ * ```
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export declare class ResolutionTracer {
+    /**
+     * The recorded lookups, in the order in which they started.
+     */
+    entries: ResolutionTraceEntry[];
+    private _frames;
+    private _nodeEntries;
+    /**
+     * Forgets all entries recorded so far.
+     */
+    clear(): void;
+}
+/**
+ * Installs `tracer` to record all following dependency lookups, or stops recording if `tracer`
+ * is `null`.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export declare function setResolutionTracer(tracer: ResolutionTracer): void;
+/**
+ * Returns the tracer installed via {@link setResolutionTracer}, if any.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export declare function getResolutionTracer(): ResolutionTracer;
+/**
+ * Runs the lookup `fn` for `token`. If `view` is given, the lookup started at its node
+ * `nodeIndex`. Lookups of a token that is still being searched for continue the
+ * ongoing lookup.
+ */
+export declare function traceLookup<T>(token: any, view: any, nodeIndex: number, fn: () => T): T;
+/**
+ * Asks the injector level `source` for the current token via `fn`, which returns `notFound`
+ * if the level has no provider for it. Levels that create objects via `traceConstruction`
+ * pass `tracksCreation`, the others can't tell whether the object was cached.
+ */
+export declare function traceLevel<T>(level: string, source: string, notFound: any, tracksCreation: boolean, fn: () => T): T;
+/**
+ * Creates the object for `token` via `fn` and records how long that took.
+ */
+export declare function traceConstruction<T>(token: any, fn: () => T): T;
@@ -0,0 +1,238 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { global, stringify } from '../facade/lang';
+import { AbstractProviderError, InstantiationError } from './reflective_errors';
+let /** @type {?} */ _tracer = null;
+/**
+ * @return {?}
+ */
+function _now() {
+    const /** @type {?} */ performance = global['performance'];
+    return performance && performance.now ? performance.now() : Date.now();
+}
+/**
+ * Records every dependency lookup while it is installed via {\@link setResolutionTracer}.
+ *
+ * A lookup is recorded as one {\@link ResolutionTraceEntry}. Lookups that are needed to create
+ * the requested object are recorded right after it, with a higher `depth`. When a lookup fails
+ * with a `NoProviderError` or an `InstantiationError`, the levels that were searched are added
+ * to the error message.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const tracer = new ResolutionTracer();
+ * setResolutionTracer(tracer);
+ * injector.get(Car);
+ * setResolutionTracer(null);
+ * console.log(tracer.entries);
+ * ```
+ *
+ * \@experimental All debugging apis are currently experimental.
+ */
+export class ResolutionTracer {
+    constructor() {
+        this.entries = [];
+        this._frames = [];
+        this._nodeEntries = new WeakMap();
+    }
+    /**
+     * Forgets all entries recorded so far.
+     * @return {?}
+     */
+    clear() {
+        this.entries = [];
+        this._nodeEntries = new WeakMap();
+    }
+    /**
+     * \@internal
+     * The entries of the lookups that started at the given node of `view`.
+     * @param {?} view
+     * @param {?} nodeIndex
+     * @return {?}
+     */
+    entriesForNode(view, nodeIndex) {
+        const /** @type {?} */ nodes = this._nodeEntries.get(view);
+        return nodes && nodes.has(nodeIndex) ? nodes.get(nodeIndex).slice() : [];
+    }
+    /**
+     * \@internal
+     * @param {?} token
+     * @param {?} view
+     * @param {?} nodeIndex
+     * @return {?}
+     */
+    _start(token, view, nodeIndex) {
+        const /** @type {?} */ parent = this._frames.length ? this._frames[this._frames.length - 1] : null;
+        if (parent && parent.token === token && !parent.answered) {
+            // The level that was asked first delegates to the next one.
+            return null;
+        }
+        const /** @type {?} */ entry = {
+            token: stringify(token),
+            level: null,
+            source: null,
+            cached: null,
+            duration: 0,
+            depth: parent ? parent.entry.depth + 1 : 0,
+            searched: []
+        };
+        const /** @type {?} */ frame = {
+            token,
+            entry,
+            view: parent ? parent.view : view,
+            nodeIndex: parent ? parent.nodeIndex : nodeIndex,
+            answered: false,
+            created: false,
+            constructionTime: 0
+        };
+        this.entries.push(entry);
+        if (frame.view) {
+            let /** @type {?} */ nodes = this._nodeEntries.get(frame.view);
+            if (!nodes) {
+                nodes = new Map();
+                this._nodeEntries.set(frame.view, nodes);
+            }
+            if (!nodes.has(frame.nodeIndex)) {
+                nodes.set(frame.nodeIndex, []);
+            }
+            nodes.get(frame.nodeIndex).push(entry);
+        }
+        this._frames.push(frame);
+        return frame;
+    }
+    /**
+     * \@internal
+     * @param {?} frame
+     * @param {?} error
+     * @return {?}
+     */
+    _end(frame, error) {
+        this._frames.splice(this._frames.lastIndexOf(frame), 1);
+        if ((error instanceof AbstractProviderError || error instanceof InstantiationError) &&
+            !error.searchedLevels) {
+            error.addSearchedLevels(frame.entry.searched);
+        }
+    }
+    /**
+     * \@internal
+     * @return {?}
+     */
+    _current() {
+        return this._frames.length ? this._frames[this._frames.length - 1] : null;
+    }
+}
+function ResolutionTracer_tsickle_Closure_declarations() {
+    /**
+     * The recorded lookups, in the order in which they started.
+     * @type {?}
+     */
+    ResolutionTracer.prototype.entries;
+    /** @type {?} */
+    ResolutionTracer.prototype._frames;
+    /** @type {?} */
+    ResolutionTracer.prototype._nodeEntries;
+}
+/**
+ * Installs `tracer` to record all following dependency lookups, or stops recording if `tracer`
+ * is `null`.
+ *
+ * \@experimental All debugging apis are currently experimental.
+ * @param {?} tracer
+ * @return {?}
+ */
+export function setResolutionTracer(tracer) {
+    _tracer = tracer;
+}
+/**
+ * Returns the tracer installed via {\@link setResolutionTracer}, if any.
+ *
+ * \@experimental All debugging apis are currently experimental.
+ * @return {?}
+ */
+export function getResolutionTracer() {
+    return _tracer;
+}
+/**
+ * Runs the lookup `fn` for `token`. If `view` is given, the lookup started at its node
+ * `nodeIndex`. Lookups of a token that is still being searched for continue the
+ * ongoing lookup.
+ * @param {?} token
+ * @param {?} view
+ * @param {?} nodeIndex
+ * @param {?} fn
+ * @return {?}
+ */
+export function traceLookup(token, view, nodeIndex, fn) {
+    const /** @type {?} */ tracer = _tracer;
+    const /** @type {?} */ frame = tracer ? tracer._start(token, view, nodeIndex) : null;
+    if (!frame) {
+        return fn();
+    }
+    try {
+        const /** @type {?} */ result = fn();
+        tracer._end(frame, null);
+        return result;
+    }
+    catch (e) {
+        tracer._end(frame, e);
+        throw e;
+    }
+}
+/**
+ * Asks the injector level `source` for the current token via `fn`, which returns `notFound`
+ * if the level has no provider for it. Levels that create objects via `traceConstruction`
+ * pass `tracksCreation`, the others can't tell whether the object was cached.
+ * @param {?} level
+ * @param {?} source
+ * @param {?} notFound
+ * @param {?} tracksCreation
+ * @param {?} fn
+ * @return {?}
+ */
+export function traceLevel(level, source, notFound, tracksCreation, fn) {
+    const /** @type {?} */ frame = _tracer ? _tracer._current() : null;
+    if (!frame || frame.answered) {
+        return fn();
+    }
+    frame.entry.searched.push(`${level} ${source}`);
+    const /** @type {?} */ start = _now();
+    const /** @type {?} */ result = fn();
+    if (result !== notFound) {
+        frame.answered = true;
+        frame.entry.level = level;
+        frame.entry.source = source;
+        if (tracksCreation) {
+            frame.entry.cached = !frame.created;
+            frame.entry.duration = frame.constructionTime;
+        }
+        else {
+            frame.entry.cached = null;
+            frame.entry.duration = _now() - start;
+        }
+    }
+    return result;
+}
+/**
+ * Creates the object for `token` via `fn` and records how long that took.
+ * @param {?} token
+ * @param {?} fn
+ * @return {?}
+ */
+export function traceConstruction(token, fn) {
+    const /** @type {?} */ frame = _tracer ? _tracer._current() : null;
+    if (!frame || frame.token !== token) {
+        return fn();
+    }
+    const /** @type {?} */ start = _now();
+    const /** @type {?} */ result = fn();
+    frame.created = true;
+    frame.constructionTime = _now() - start;
+    return result;
+}
+//# sourceMappingURL=resolution_tracer.js.map
\ No newline at end of file
@@ -1,3 +1,51 @@
+import { OpaqueToken } from './di/opaque_token';
+/**
+ * Everything that is known about an error handled by the {@link ErrorHandler}.
+ *
+ * `errorChain` holds the messages of the error and of the errors it wraps, outermost first.
+ * `source`, `component` and `providerTokens` describe the template node the error happened at,
+ * and are only known in development mode.
+ *
+ * @experimental
+ */
+export interface ErrorReport {
+    message: string;
+    errorChain: string[];
+    originalError: any;
+    stack: string;
+    source: string;
+    component: string;
+    providerTokens: string[];
+}
+/**
+ * Receives the {@link ErrorReport}s of the {@link ErrorHandler}, see {@link ERROR_REPORTERS}.
+ *
+ * @experimental
+ */
+export interface ErrorReporter {
+    report(report: ErrorReport): void;
+}
+/**
+ * A multi provider token for the {@link ErrorReporter}s that the {@link ErrorHandler} of an
+ * application sends its {@link ErrorReport}s to.
+ *
+ * ### Example
+ *
+ * ```
+ * class CollectorReporter implements ErrorReporter {
+ *   constructor(private http: Http) {}
+ *   report(report: ErrorReport) { this.http.post('/errors', report).subscribe(); }
+ * }
+ *
+ * @NgModule({
+ *   providers: [{provide: ERROR_REPORTERS, useClass: CollectorReporter, multi: true}]
+ * })
+ * class MyModule {}
+ * ```
+ *
+ * @experimental
+ */
+export declare const ERROR_REPORTERS: OpaqueToken;
 /**
  * @whatItDoes Provides a hook for centralized exception handling.
  *
@@ -22,9 +70,29 @@
  * class MyModule {}
  * ```
  *
+ * Besides logging, the default implementation sends an {@link ErrorReport} of every error to the
+ * {@link ErrorReporter}s registered via {@link ERROR_REPORTERS}. Identical errors are only
+ * reported once a minute, and no more than 10 reports are sent per minute.
+ *
  * @stable
  */
 export declare class ErrorHandler {
     constructor(rethrowError?: boolean);
     handleError(error: any): void;
+    /**
+     * Registers a reporter that receives an {@link ErrorReport} for the errors handled from now on.
+     *
+     * Reporters that are provided via {@link ERROR_REPORTERS} are registered when the application
+     * is bootstrapped, before its module is created. This requires the `ErrorHandler` of the
+     * application to extend this class.
+     *
+     * @experimental
+     */
+    addReporter(reporter: ErrorReporter): void;
+    /**
+     * Collects what is known about `error` into an {@link ErrorReport}.
+     *
+     * @experimental
+     */
+    createReport(error: any): ErrorReport;
 }
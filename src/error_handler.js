@@ -5,6 +5,33 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
+import { OpaqueToken } from './di/opaque_token';
+import { stringify } from './facade/lang';
+/**
+ * A multi provider token for the {\@link ErrorReporter}s that the {\@link ErrorHandler} of an
+ * application sends its {\@link ErrorReport}s to.
+ *
+ * ### Example
+ *
+ * ```
+ * class CollectorReporter implements ErrorReporter {
+ *   constructor(private http: Http) {}
+ *   report(report: ErrorReport) { this.http.post('/errors', report).subscribe(); }
+ * }
+ *
+ * \@NgModule({
+ *   providers: [{provide: ERROR_REPORTERS, useClass: CollectorReporter, multi: true}]
+ * })
+ * class MyModule {}
+ * ```
+ *
+ * \@experimental
+ */
+export const /** @type {?} */ ERROR_REPORTERS = new OpaqueToken('ErrorReporters');
+// Identical errors are only reported once within this time.
+const /** @type {?} */ _REPORT_DEDUPLICATION_TIME = 60 * 1000;
+// At most this many reports are sent per minute, the others are dropped.
+const /** @type {?} */ _MAX_REPORTS_PER_MINUTE = 10;
 /**
  * \@whatItDoes Provides a hook for centralized exception handling.
  *
@@ -29,6 +56,10 @@
  * class MyModule {}
  * ```
  *
+ * Besides logging, the default implementation sends an {\@link ErrorReport} of every error to the
+ * {\@link ErrorReporter}s registered via {\@link ERROR_REPORTERS}. Identical errors are only
+ * reported once a minute, and no more than 10 reports are sent per minute.
+ *
  * \@stable
  */
 export class ErrorHandler {
@@ -40,6 +71,18 @@ export class ErrorHandler {
          * @internal
          */
         this._console = console;
+        /**
+         * @internal
+         */
+        this._reporters = [];
+        /**
+         * @internal
+         */
+        this._lastReportTimes = new Map();
+        /**
+         * @internal
+         */
+        this._recentReportTimes = [];
         this.rethrowError = rethrowError;
     }
     /**
@@ -62,11 +105,90 @@ export class ErrorHandler {
             this._console.error('ERROR CONTEXT:');
             this._console.error(context);
         }
+        if (this._reporters.length) {
+            this._report(this.createReport(error));
+        }
         // We rethrow exceptions, so operations like 'bootstrap' will result in an error
         // when an error happens. If we do not rethrow, bootstrap will always succeed.
         if (this.rethrowError)
             throw error;
     }
+    /**
+     * Registers a reporter that receives an {\@link ErrorReport} for the errors handled from now on.
+     *
+     * Reporters that are provided via {\@link ERROR_REPORTERS} are registered when the application
+     * is bootstrapped, before its module is created. This requires the `ErrorHandler` of the
+     * application to extend this class.
+     *
+     * \@experimental
+     * @param {?} reporter
+     * @return {?}
+     */
+    addReporter(reporter) { this._reporters.push(reporter); }
+    /**
+     * Collects what is known about `error` into an {\@link ErrorReport}.
+     *
+     * \@experimental
+     * @param {?} error
+     * @return {?}
+     */
+    createReport(error) {
+        const /** @type {?} */ errorChain = [];
+        for (let /** @type {?} */ e = error; e; e = ((e)).originalError) {
+            errorChain.push(e);
+        }
+        const /** @type {?} */ context = this._findContext(error);
+        let /** @type {?} */ component = null;
+        if (context) {
+            component = context.viewComponent || context.component;
+        }
+        return {
+            message: this._extractMessage(error),
+            errorChain: errorChain.map(e => this._extractMessage(e)),
+            originalError: errorChain[errorChain.length - 1],
+            stack: this._findOriginalStack(error),
+            source: context ? context.source : null,
+            component: component ? stringify(component.constructor) : null,
+            providerTokens: context && context.providerTokens ?
+                context.providerTokens.map((token) => stringify(token)) :
+                null
+        };
+    }
+    /**
+     * \@internal
+     * @param {?} report
+     * @return {?}
+     */
+    _report(report) {
+        const /** @type {?} */ now = Date.now();
+        const /** @type {?} */ key = `${report.message}\n${report.source}`;
+        const /** @type {?} */ lastReportTime = this._lastReportTimes.get(key);
+        if (lastReportTime !== undefined && now - lastReportTime < _REPORT_DEDUPLICATION_TIME) {
+            return;
+        }
+        while (this._recentReportTimes.length && now - this._recentReportTimes[0] >= 60 * 1000) {
+            this._recentReportTimes.shift();
+        }
+        if (this._recentReportTimes.length >= _MAX_REPORTS_PER_MINUTE) {
+            return;
+        }
+        this._lastReportTimes.forEach((time, reportedKey) => {
+            if (now - time >= _REPORT_DEDUPLICATION_TIME) {
+                this._lastReportTimes.delete(reportedKey);
+            }
+        });
+        this._lastReportTimes.set(key, now);
+        this._recentReportTimes.push(now);
+        this._reporters.forEach((reporter) => {
+            try {
+                reporter.report(report);
+            }
+            catch (e) {
+                // A failing reporter must not break error handling.
+                this._console.error(`ERROR REPORTER FAILED: ${this._extractMessage(e)}`);
+            }
+        });
+    }
     /**
      * \@internal
      * @param {?} error
@@ -129,5 +251,20 @@ function ErrorHandler_tsickle_Closure_declarations() {
      * @type {?}
      */
     ErrorHandler.prototype.rethrowError;
+    /**
+     * \@internal
+     * @type {?}
+     */
+    ErrorHandler.prototype._reporters;
+    /**
+     * \@internal
+     * @type {?}
+     */
+    ErrorHandler.prototype._lastReportTimes;
+    /**
+     * \@internal
+     * @type {?}
+     */
+    ErrorHandler.prototype._recentReportTimes;
 }
 //# sourceMappingURL=error_handler.js.map
\ No newline at end of file
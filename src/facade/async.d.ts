@@ -55,8 +55,17 @@ export { Subject } from 'rxjs/Subject';
  * Once a reference implementation of the spec is available, switch to it.
  * @stable
  */
+/**
+ * Sets the function that returns the zone which the `EventEmitter`s created at that moment
+ * schedule change detection in. The zone code registers it, so that the facade doesn't depend
+ * on it.
+ */
+export declare function setNoopZoneGetter(getCurrentNoopZone: () => {
+    scheduleTick(): void;
+}): void;
 export declare class EventEmitter<T> extends Subject<T> {
     __isAsync: boolean;
+    private __noopZone;
     /**
      * Creates an instance of [EventEmitter], which depending on [isAsync],
      * delivers events synchronously or asynchronously.
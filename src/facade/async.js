@@ -8,6 +8,17 @@
 import { Subject } from 'rxjs/Subject';
 export { Observable } from 'rxjs/Observable';
 export { Subject } from 'rxjs/Subject';
+let /** @type {?} */ _getCurrentNoopZone = () => null;
+/**
+ * Sets the function that returns the zone which the `EventEmitter`s created at that moment
+ * schedule change detection in. The zone code registers it, so that the facade doesn't depend
+ * on it.
+ * @param {?} getCurrentNoopZone
+ * @return {?}
+ */
+export function setNoopZoneGetter(getCurrentNoopZone) {
+    _getCurrentNoopZone = getCurrentNoopZone;
+}
 /**
  * Use by directives and components to emit custom Events.
  *
@@ -64,12 +75,19 @@ export class EventEmitter extends Subject {
     constructor(isAsync = false) {
         super();
         this.__isAsync = isAsync;
+        this.__noopZone = _getCurrentNoopZone();
     }
     /**
      * @param {?=} value
      * @return {?}
      */
-    emit(value) { super.next(value); }
+    emit(value) {
+        super.next(value);
+        // Without Zone.js, nothing else tells Angular that the listeners might have changed state.
+        if (this.__noopZone) {
+            this.__noopZone.scheduleTick();
+        }
+    }
     /**
      * @param {?=} generatorOrNext
      * @param {?=} error
@@ -111,5 +129,10 @@ export class EventEmitter extends Subject {
 function EventEmitter_tsickle_Closure_declarations() {
     /** @type {?} */
     EventEmitter.prototype.__isAsync;
+    /**
+     * The zone to schedule change detection in after an emission, if it runs without Zone.js.
+     * @type {?}
+     */
+    EventEmitter.prototype.__noopZone;
 }
 //# sourceMappingURL=async.js.map
\ No newline at end of file
@@ -31,6 +31,10 @@ export declare function scheduleMicroTask(fn: Function): void;
 declare const _global: BrowserNodeGlobal;
 export { _global as global };
 export declare function getTypeNameForDebugging(type: any): string;
+/**
+ * Milliseconds since an arbitrary point in time, with sub-millisecond precision where available.
+ */
+export declare function performanceNow(): number;
 export declare function isPresent(obj: any): boolean;
 export declare function isBlank(obj: any): boolean;
 export declare function isStrictStringMap(obj: any): boolean;
@@ -23,6 +23,11 @@ else {
  * @return {?}
  */
 export function scheduleMicroTask(fn) {
+    if (typeof Zone == 'undefined') {
+        // Applications that run with a `NoopNgZone` don't load Zone.js.
+        Promise.resolve(null).then(() => { fn(); });
+        return;
+    }
     Zone.current.scheduleMicroTask('scheduleMicrotask', fn);
 }
 // Need to declare a new variable for global here since TypeScript
@@ -36,6 +41,14 @@ export { _global as global };
 export function getTypeNameForDebugging(type) {
     return type['name'] || typeof type;
 }
+/**
+ * Milliseconds since an arbitrary point in time, with sub-millisecond precision where available.
+ * @return {?}
+ */
+export function performanceNow() {
+    const /** @type {?} */ performance = _global['performance'];
+    return performance && performance.now ? performance.now() : Date.now();
+}
 // TODO: remove calls to assert in production environment
 // Note: Can't just export this and import in in other files
 // as `assert` is a reserved keyword in Dart
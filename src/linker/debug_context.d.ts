@@ -28,6 +28,10 @@ export declare class DebugContext implements RenderDebugInfo {
     readonly context: any;
     readonly component: any;
     readonly componentRenderElement: any;
+    /**
+     * The component whose template contains the node.
+     */
+    readonly viewComponent: any;
     readonly injector: Injector;
     readonly renderNode: any;
     readonly providerTokens: any[];
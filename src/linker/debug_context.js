@@ -70,6 +70,17 @@ export class DebugContext {
         }
         return componentView.parentElement;
     }
+    /**
+     * The component whose template contains the node.
+     * @return {?}
+     */
+    get viewComponent() {
+        let /** @type {?} */ componentView = this._view;
+        while (isPresent(componentView.parentView) && componentView.type !== ViewType.COMPONENT) {
+            componentView = (componentView.parentView);
+        }
+        return componentView.type === ViewType.COMPONENT ? componentView.context : null;
+    }
     /**
      * @return {?}
      */
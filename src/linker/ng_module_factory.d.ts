@@ -6,6 +6,7 @@
  * found in the LICENSE file at https://angular.io/license
  */
 import { Injector } from '../di/injector';
+import { Provider } from '../di/provider';
 import { Type } from '../type';
 import { ComponentFactory } from './component_factory';
 import { CodegenComponentFactoryResolver, ComponentFactoryResolver } from './component_factory_resolver';
@@ -46,12 +47,25 @@ export declare abstract class NgModuleRef<T> {
 export declare class NgModuleFactory<T> {
     private _injectorClass;
     private _moduleType;
+    private _scopedProviders;
     constructor(_injectorClass: {
         new (parentInjector: Injector): NgModuleInjector<T>;
     }, _moduleType: Type<T>);
     readonly moduleType: Type<T>;
     create(parentInjector: Injector): NgModuleRef<T>;
+    /**
+     * @internal
+     * Calls `beforeCreate` with the injector of the module before the module and its eager
+     * providers are created. Only the other providers can be retrieved from it at that point.
+     */
+    _create(parentInjector: Injector, beforeCreate: (injector: Injector) => void): NgModuleRef<T>;
 }
+/**
+ * Returns the providers declared in the `@NgModule` metadata of the module and of the modules it
+ * imports or exports, in the order of the compiler: those of the other modules first, so that the
+ * module's own providers override them. The list can contain nested arrays.
+ */
+export declare function getModuleProviders(moduleType: Type<any>): Provider[];
 export declare abstract class NgModuleInjector<T> extends CodegenComponentFactoryResolver implements Injector, NgModuleRef<T> {
     parent: Injector;
     bootstrapFactories: ComponentFactory<any>[];
@@ -62,6 +76,8 @@ export declare abstract class NgModuleInjector<T> extends CodegenComponentFactor
     create(): void;
     abstract createInternal(): T;
     get(token: any, notFoundValue?: any): any;
+    private _getTraced(token, notFoundValue);
+    getAsync(token: any, notFoundValue?: any): Promise<any>;
     abstract getInternal(token: any, notFoundValue: any): any;
     readonly injector: Injector;
     readonly componentFactoryResolver: ComponentFactoryResolver;
@@ -5,9 +5,17 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-import { Injector, THROW_IF_NOT_FOUND } from '../di/injector';
+import { resolveForwardRef } from '../di/forward_ref';
+import { Injector, THROW_IF_NOT_FOUND, getAsyncFromInjector } from '../di/injector';
+import { ProviderScope } from '../di/provider';
+import { ScopedDependencyError } from '../di/reflective_errors';
+import { ReflectiveInjector } from '../di/reflective_injector';
+import { resolveReflectiveProviders, validateReflectiveProviders } from '../di/reflective_provider';
+import { getResolutionTracer, traceLevel, traceLookup } from '../di/resolution_tracer';
 import { unimplemented } from '../facade/errors';
 import { stringify } from '../facade/lang';
+import { NgModule } from '../metadata/ng_module';
+import { reflector } from '../reflection/reflection';
 import { CodegenComponentFactoryResolver, ComponentFactoryResolver } from './component_factory_resolver';
 /**
  * Represents an instance of an NgModule created via a {\@link NgModuleFactory}.
@@ -60,6 +68,7 @@ export class NgModuleFactory {
     constructor(_injectorClass, _moduleType) {
         this._injectorClass = _injectorClass;
         this._moduleType = _moduleType;
+        this._scopedProviders = null;
     }
     /**
      * @return {?}
@@ -69,11 +78,27 @@ export class NgModuleFactory {
      * @param {?} parentInjector
      * @return {?}
      */
-    create(parentInjector) {
+    create(parentInjector) { return this._create(parentInjector, null); }
+    /**
+     * \@internal
+     * Calls `beforeCreate` with the injector of the module before the module and its eager
+     * providers are created. Only the other providers can be retrieved from it at that point.
+     * @param {?} parentInjector
+     * @param {?} beforeCreate
+     * @return {?}
+     */
+    _create(parentInjector, beforeCreate) {
         if (!parentInjector) {
             parentInjector = Injector.NULL;
         }
         const /** @type {?} */ instance = new this._injectorClass(parentInjector);
+        if (this._scopedProviders === null) {
+            this._scopedProviders = _resolveScopedProviders(this._moduleType);
+        }
+        instance._setScopedProviders(this._scopedProviders);
+        if (beforeCreate) {
+            beforeCreate(instance);
+        }
         instance.create();
         return instance;
     }
@@ -83,6 +108,83 @@ function NgModuleFactory_tsickle_Closure_declarations() {
     NgModuleFactory.prototype._injectorClass;
     /** @type {?} */
     NgModuleFactory.prototype._moduleType;
+    /**
+     * The providers of the module that are not singletons, resolved on first use.
+     * @type {?}
+     */
+    NgModuleFactory.prototype._scopedProviders;
+}
+/**
+ * Resolves the providers of the module, and of the modules it imports, whose scope is not
+ * {\@link ProviderScope#Singleton}. The compiler turns every provider into a singleton, so these
+ * are read from the `\@NgModule` metadata and created by a {\@link ReflectiveInjector} instead.
+ * @param {?} moduleType
+ * @return {?}
+ */
+function _resolveScopedProviders(moduleType) {
+    const /** @type {?} */ providers = getModuleProviders(moduleType);
+    if (!providers.some(_hasScope)) {
+        return [];
+    }
+    // The module and its singletons are compiled, so they can't get a new instance of a scoped
+    // provider for each lookup.
+    const /** @type {?} */ scopeError = validateReflectiveProviders(providers.concat([moduleType]))
+        .find(error => error instanceof ScopedDependencyError);
+    if (scopeError) {
+        throw scopeError;
+    }
+    return resolveReflectiveProviders(providers)
+        .filter(provider => provider.scope !== ProviderScope.Singleton);
+}
+/**
+ * Returns the providers declared in the `\@NgModule` metadata of the module and of the modules it
+ * imports or exports, in the order of the compiler: those of the other modules first, so that the
+ * module's own providers override them. The list can contain nested arrays.
+ * @param {?} moduleType
+ * @return {?}
+ */
+export function getModuleProviders(moduleType) {
+    return _collectModuleProviders(moduleType, new Set(), []);
+}
+/**
+ * @param {?} moduleType
+ * @param {?} visited
+ * @param {?} providers
+ * @return {?}
+ */
+function _collectModuleProviders(moduleType, visited, providers) {
+    if (visited.has(moduleType)) {
+        return providers;
+    }
+    visited.add(moduleType);
+    const /** @type {?} */ metadata = reflector.annotations(moduleType).filter(annotation => annotation instanceof NgModule).pop();
+    if (!metadata) {
+        return providers;
+    }
+    const /** @type {?} */ visitModules = (modules) => modules.forEach(module => {
+        module = resolveForwardRef(module);
+        if (Array.isArray(module)) {
+            visitModules(module);
+        }
+        else if (module && module.ngModule) {
+            _collectModuleProviders(module.ngModule, visited, providers);
+            providers.push(module.providers || []);
+        }
+        else if (module) {
+            _collectModuleProviders(module, visited, providers);
+        }
+    });
+    visitModules(metadata.imports || []);
+    visitModules(metadata.exports || []);
+    providers.push(metadata.providers || []);
+    return providers;
+}
+/**
+ * @param {?} provider
+ * @return {?}
+ */
+function _hasScope(provider) {
+    return Array.isArray(provider) ? provider.some(_hasScope) : !!(provider && provider.scope);
 }
 const /** @type {?} */ _UNDEFINED = new Object();
 /**
@@ -100,6 +202,20 @@ export class NgModuleInjector extends CodegenComponentFactoryResolver {
         this.bootstrapFactories = bootstrapFactories;
         this._destroyListeners = [];
         this._destroyed = false;
+        this._scopedInjector = null;
+        this._scopedTokens = null;
+    }
+    /**
+     * \@internal
+     * Lets a {\@link ReflectiveInjector} create the given providers instead of the compiled getters.
+     * @param {?} providers
+     * @return {?}
+     */
+    _setScopedProviders(providers) {
+        if (providers.length > 0) {
+            this._scopedInjector = ReflectiveInjector.fromResolvedProviders(providers, this);
+            this._scopedTokens = new Set(providers.map(provider => provider.key.token));
+        }
     }
     /**
      * @return {?}
@@ -119,9 +235,39 @@ export class NgModuleInjector extends CodegenComponentFactoryResolver {
         if (token === Injector || token === ComponentFactoryResolver) {
             return this;
         }
+        if (this._scopedTokens !== null && this._scopedTokens.has(token)) {
+            return this._scopedInjector.get(token, notFoundValue);
+        }
+        if (getResolutionTracer()) {
+            return traceLookup(token, null, null, () => this._getTraced(token, notFoundValue));
+        }
         const /** @type {?} */ result = this.getInternal(token, _UNDEFINED);
         return result === _UNDEFINED ? this.parent.get(token, notFoundValue) : result;
     }
+    /**
+     * @param {?} token
+     * @param {?} notFoundValue
+     * @return {?}
+     */
+    _getTraced(token, notFoundValue) {
+        const /** @type {?} */ name = this.instance ? stringify(this.instance.constructor) : 'NgModule';
+        const /** @type {?} */ result = traceLevel('module', name, _UNDEFINED, false, () => this.getInternal(token, _UNDEFINED));
+        return result === _UNDEFINED ? this.parent.get(token, notFoundValue) : result;
+    }
+    /**
+     * @param {?} token
+     * @param {?=} notFoundValue
+     * @return {?}
+     */
+    getAsync(token, notFoundValue = THROW_IF_NOT_FOUND) {
+        if (token === Injector || token === ComponentFactoryResolver) {
+            return Promise.resolve(this);
+        }
+        if (this._scopedTokens !== null && this._scopedTokens.has(token)) {
+            return this._scopedInjector.getAsync(token, notFoundValue);
+        }
+        return new Promise(resolve => resolve(this.getInternal(token, _UNDEFINED))).then(result => result === _UNDEFINED ? getAsyncFromInjector(this.parent, token, notFoundValue) : result);
+    }
     /**
      * @abstract
      * @param {?} token
@@ -145,6 +291,9 @@ export class NgModuleInjector extends CodegenComponentFactoryResolver {
             throw new Error(`The ng module ${stringify(this.instance.constructor)} has already been destroyed.`);
         }
         this._destroyed = true;
+        if (this._scopedInjector) {
+            this._scopedInjector.destroy();
+        }
         this.destroyInternal();
         this._destroyListeners.forEach((listener) => listener());
     }
@@ -164,6 +313,17 @@ function NgModuleInjector_tsickle_Closure_declarations() {
     NgModuleInjector.prototype._destroyListeners;
     /** @type {?} */
     NgModuleInjector.prototype._destroyed;
+    /**
+     * \@internal
+     * Creates the providers of the module that are not singletons, null if there are none.
+     * @type {?}
+     */
+    NgModuleInjector.prototype._scopedInjector;
+    /**
+     * \@internal
+     * @type {?}
+     */
+    NgModuleInjector.prototype._scopedTokens;
     /** @type {?} */
     NgModuleInjector.prototype.instance;
     /** @type {?} */
@@ -44,6 +44,9 @@ export declare abstract class AppView<T> {
     private _hostProjectableNodes;
     private _animationContext;
     private _directRenderer;
+    private _errorBoundaryFailed;
+    private _errorBoundary;
+    private _errorBoundaries;
     context: T;
     constructor(clazz: any, componentType: RenderComponentType, type: ViewType, viewUtils: ViewUtils, parentView: AppView<any>, parentIndex: number, parentElement: any, cdMode: ChangeDetectorStatus, declaredViewContainer?: ViewContainer);
     readonly animationContext: AnimationViewContext;
@@ -61,6 +64,7 @@ export declare abstract class AppView<T> {
     createEmbeddedViewInternal(templateNodeIndex: number): AppView<any>;
     init(lastRootNode: any, allNodes: any[], disposables: Function[]): void;
     injectorGet(token: any, nodeIndex: number, notFoundValue?: any): any;
+    private _injectorGet(token, nodeIndex, notFoundValue, traced);
     /**
      * Overwritten by implementations
      */
@@ -107,6 +111,8 @@ export declare abstract class AppView<T> {
     markAsCheckOnce(): void;
     markPathToRootAsCheckOnce(): void;
     eventHandler<E, R>(cb: (eventName: string, event?: E) => R): (eventName: string, event?: E) => R;
+    private _getErrorBoundary();
+    private _failErrorBoundary(error);
     throwDestroyedError(details: string): void;
 }
 export declare class DebugAppView<T> extends AppView<T> {
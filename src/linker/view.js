@@ -7,7 +7,9 @@
  */
 import { ChangeDetectorStatus } from '../change_detection/change_detection';
 import { THROW_IF_NOT_FOUND } from '../di/injector';
-import { isPresent } from '../facade/lang';
+import { getResolutionTracer, traceLevel, traceLookup } from '../di/resolution_tracer';
+import { isPresent, stringify } from '../facade/lang';
+import { getChangeDetectionProfiler } from '../profile/change_detection_profiler';
 import { wtfCreateScope, wtfLeave } from '../profile/profile';
 import { AnimationViewContext } from './animation_view_context';
 import { DebugContext } from './debug_context';
@@ -51,7 +53,21 @@ export class AppView {
         this.declaredViewContainer = declaredViewContainer;
         this.numberOfChecks = 0;
         this.throwOnChange = false;
+        this._errorBoundaryFailed = false;
+        this._errorBoundary = UNDEFINED;
+        this._errorBoundaries = null;
+        /**
+         * \@internal
+         * The view containers of the elements of this view.
+         */
+        this._viewContainers = null;
         this.ref = new ViewRef_(this, viewUtils.animationQueue);
+        if (type === ViewType.COMPONENT && isPresent(parentView)) {
+            // Until its component is known, the view may be the error boundary of the content
+            // children that are created before it.
+            parentView._errorBoundaries = parentView._errorBoundaries || [];
+            parentView._errorBoundaries.push(this);
+        }
         if (type === ViewType.COMPONENT || type === ViewType.HOST) {
             this.renderer = viewUtils.renderComponent(componentType);
         }
@@ -79,6 +95,15 @@ export class AppView {
      */
     create(context) {
         this.context = context;
+        if (this.type === ViewType.COMPONENT && isPresent(this.parentView) &&
+            !_isErrorBoundary(context)) {
+            const /** @type {?} */ boundaries = this.parentView._errorBoundaries;
+            // Content children are created before their host, so this is usually the last one.
+            const /** @type {?} */ index = boundaries ? boundaries.lastIndexOf(this) : -1;
+            if (index !== -1) {
+                boundaries.splice(index, 1);
+            }
+        }
         return this.createInternal(null);
     }
     /**
@@ -128,11 +153,31 @@ export class AppView {
      * @return {?}
      */
     injectorGet(token, nodeIndex, notFoundValue = THROW_IF_NOT_FOUND) {
+        if (getResolutionTracer()) {
+            return traceLookup(token, this, nodeIndex, () => this._injectorGet(token, nodeIndex, notFoundValue, true));
+        }
+        return this._injectorGet(token, nodeIndex, notFoundValue, false);
+    }
+    /**
+     * @param {?} token
+     * @param {?} nodeIndex
+     * @param {?} notFoundValue
+     * @param {?} traced
+     * @return {?}
+     */
+    _injectorGet(token, nodeIndex, notFoundValue, traced) {
         let /** @type {?} */ result = UNDEFINED;
         let /** @type {?} */ view = this;
         while (result === UNDEFINED) {
             if (isPresent(nodeIndex)) {
-                result = view.injectorGetInternal(token, nodeIndex, UNDEFINED);
+                if (traced) {
+                    const /** @type {?} */ elementView = view;
+                    const /** @type {?} */ elementIndex = nodeIndex;
+                    result = traceLevel('element', `${stringify(view.clazz)}#${nodeIndex}`, UNDEFINED, false, () => elementView.injectorGetInternal(token, elementIndex, UNDEFINED));
+                }
+                else {
+                    result = view.injectorGetInternal(token, nodeIndex, UNDEFINED);
+                }
             }
             if (result === UNDEFINED && view.type === ViewType.HOST) {
                 result = view._hostInjector.get(token, notFoundValue);
@@ -382,7 +427,19 @@ export class AppView {
      * @return {?}
      */
     internalDetectChanges(throwOnChange) {
-        if (this.cdMode !== ChangeDetectorStatus.Detached) {
+        if (this.cdMode === ChangeDetectorStatus.Detached) {
+            return;
+        }
+        const /** @type {?} */ boundary = this._getErrorBoundary();
+        if (boundary) {
+            try {
+                this.detectChanges(throwOnChange);
+            }
+            catch (e) {
+                _containError(boundary, e);
+            }
+        }
+        else {
             this.detectChanges(throwOnChange);
         }
     }
@@ -391,19 +448,34 @@ export class AppView {
      * @return {?}
      */
     detectChanges(throwOnChange) {
-        const /** @type {?} */ s = _scope_check(this.clazz);
         if (this.cdMode === ChangeDetectorStatus.Checked ||
             this.cdMode === ChangeDetectorStatus.Errored)
             return;
         if (this.cdMode === ChangeDetectorStatus.Destroyed) {
             this.throwDestroyedError('detectChanges');
         }
+        // The scope is only entered once the view is really checked, as the returns above would
+        // leave it open in the profiling backend.
+        const /** @type {?} */ s = _scope_check(this.clazz);
         this.throwOnChange = throwOnChange;
-        this.detectChangesInternal();
-        if (this.cdMode === ChangeDetectorStatus.CheckOnce)
-            this.cdMode = ChangeDetectorStatus.Checked;
-        this.numberOfChecks++;
-        wtfLeave(s);
+        const /** @type {?} */ profiler = throwOnChange ? null : getChangeDetectionProfiler();
+        if (profiler) {
+            profiler._enterView(this);
+        }
+        try {
+            this.detectChangesInternal();
+            if (this.cdMode === ChangeDetectorStatus.CheckOnce)
+                this.cdMode = ChangeDetectorStatus.Checked;
+            this.numberOfChecks++;
+        }
+        finally {
+            // Error boundaries keep the application running after errors, so the scope has to be
+            // left for them as well.
+            if (profiler) {
+                profiler._leaveView(this);
+            }
+            wtfLeave(s);
+        }
     }
     /**
      * Overwritten by implementations
@@ -436,7 +508,95 @@ export class AppView {
      * @return {?}
      */
     eventHandler(cb) {
-        return cb;
+        let /** @type {?} */ handler = cb;
+        // The components of the content children of this view might not be known yet.
+        if (_findErrorBoundary(this, null, true)) {
+            handler = (eventName, event) => {
+                try {
+                    return cb.call(this, eventName, event);
+                }
+                catch (e) {
+                    const /** @type {?} */ boundary = this._getErrorBoundary();
+                    if (!boundary) {
+                        throw e;
+                    }
+                    _containError(boundary, e);
+                    return true;
+                }
+            };
+        }
+        const /** @type {?} */ noopZone = this.viewUtils.noopZone;
+        // Without Zone.js, running the handler in the zone is what triggers change detection.
+        return noopZone ? (eventName, event) => noopZone.runGuarded(() => handler(eventName, event)) :
+            handler;
+    }
+    /**
+     * Returns the closest component view, starting at this view, whose component implements
+     * `OnViewError`. Once the views are created, it doesn't change anymore.
+     * @return {?}
+     */
+    _getErrorBoundary() {
+        if (this._errorBoundary === UNDEFINED) {
+            this._errorBoundary = _findErrorBoundary(this, null, false);
+        }
+        return this._errorBoundary;
+    }
+    /**
+     * Stops checking this component view after `error` was thrown in it or below it, removes
+     * its content and renders the fallback template of the component, if any.
+     * Later errors, e.g. from event handlers of the removed content, are ignored.
+     * @param {?} error
+     * @return {?}
+     */
+    _failErrorBoundary(error) {
+        if (this._errorBoundaryFailed) {
+            return;
+        }
+        const /** @type {?} */ component = this.context;
+        this._errorBoundaryFailed = true;
+        this.cdMode = ChangeDetectorStatus.Errored;
+        this._removeContent();
+        try {
+            const /** @type {?} */ fallback = component.ngOnViewError(error);
+            if (fallback) {
+                const /** @type {?} */ viewContainer = _findViewContainer(this.parentView, this.parentIndex);
+                if (!viewContainer) {
+                    throw new Error(`${stringify(component.constructor)} needs to inject ViewContainerRef to render a fallback template.`);
+                }
+                // The view container has already been checked in this turn, so check the
+                // fallback right away.
+                viewContainer.vcRef.createEmbeddedView(fallback).detectChanges();
+            }
+        }
+        catch (e) {
+            // Errors of the boundary itself go to the boundary around it.
+            const /** @type {?} */ outer = _findErrorBoundary(this.parentView, this.parentIndex, false);
+            if (!outer) {
+                throw e;
+            }
+            _containError(outer, e);
+        }
+    }
+    /**
+     * Removes the nodes of this component view from the DOM, together with the embedded views of
+     * its view containers and the nodes projected into it. Unlike other views, component views
+     * have no root nodes that could be detached.
+     * @return {?}
+     */
+    _removeContent() {
+        const /** @type {?} */ nodes = this.allNodes.slice();
+        if (this._viewContainers) {
+            this._viewContainers.forEach((viewContainer) => viewContainer.visitNestedViewRootNodes(addToArray, nodes));
+        }
+        for (let /** @type {?} */ i = 0; i < this.componentType.slotCount; i++) {
+            this.visitProjectedNodes(i, addToArray, nodes);
+        }
+        if (this._directRenderer) {
+            nodes.forEach((node) => this._directRenderer.remove(node));
+        }
+        else {
+            this.renderer.detachView(nodes);
+        }
     }
     /**
      * @param {?} details
@@ -444,6 +604,95 @@ export class AppView {
      */
     throwDestroyedError(details) { throw new ViewDestroyedError(details); }
 }
+/**
+ * @param {?} component
+ * @return {?}
+ */
+function _isErrorBoundary(component) {
+    return isPresent(component) && typeof component.ngOnViewError === 'function';
+}
+/**
+ * Reports `error` to the `ErrorHandler` of the application and lets `boundary` contain it.
+ * @param {?} boundary
+ * @param {?} error
+ * @return {?}
+ */
+function _containError(boundary, error) {
+    const /** @type {?} */ errorHandler = boundary.viewUtils.errorHandler;
+    if (errorHandler) {
+        try {
+            errorHandler.handleError(error);
+        }
+        catch (e) {
+            // The error is contained even if the handler rethrows it.
+            if (e !== error) {
+                throw e;
+            }
+        }
+    }
+    boundary._failErrorBoundary(error);
+}
+/**
+ * Returns the view container of the element at `nodeIndex` of `view`, or `null`.
+ * @param {?} view
+ * @param {?} nodeIndex
+ * @return {?}
+ */
+function _findViewContainer(view, nodeIndex) {
+    const /** @type {?} */ viewContainers = view._viewContainers || [];
+    for (let /** @type {?} */ i = 0; i < viewContainers.length; i++) {
+        if (viewContainers[i].index === nodeIndex) {
+            return viewContainers[i];
+        }
+    }
+    return null;
+}
+/**
+ * Returns the closest error boundary of the node at `nodeIndex` of `view`, or of `view` itself if
+ * `nodeIndex` is `null`. Like the injector, it follows the element hierarchy, so the components
+ * that content children are projected into are boundaries of them as well.
+ *
+ * With `includePending`, component views whose component has not been created yet are returned
+ * as well.
+ * @param {?} view
+ * @param {?} nodeIndex
+ * @param {?} includePending
+ * @return {?}
+ */
+function _findErrorBoundary(view, nodeIndex, includePending) {
+    while (isPresent(view)) {
+        const /** @type {?} */ boundaries = isPresent(nodeIndex) ? view._errorBoundaries : null;
+        if (boundaries) {
+            // Hosts are created before their content, so the innermost boundary is the last one.
+            for (let /** @type {?} */ i = boundaries.length - 1; i >= 0; i--) {
+                const /** @type {?} */ boundary = boundaries[i];
+                if (boundary.parentIndex >= nodeIndex) {
+                    continue;
+                }
+                if (isPresent(boundary.context) ?
+                    view.injectorGetInternal(boundary.context.constructor, nodeIndex, UNDEFINED) === boundary.context :
+                    includePending) {
+                    return boundary;
+                }
+            }
+        }
+        if (view.type === ViewType.COMPONENT && _isErrorBoundary(view.context)) {
+            return view;
+        }
+        if (isPresent(view.parentView)) {
+            nodeIndex = view.parentIndex;
+            view = view.parentView;
+        }
+        else if (view.viewContainer) {
+            nodeIndex = view.viewContainer.index;
+            view = view.viewContainer.parentView;
+        }
+        else {
+            view = null;
+        }
+    }
+    return null;
+}
 function AppView_tsickle_Closure_declarations() {
     /** @type {?} */
     AppView.prototype.ref;
@@ -493,6 +742,22 @@ function AppView_tsickle_Closure_declarations() {
     AppView.prototype.cdMode;
     /** @type {?} */
     AppView.prototype.declaredViewContainer;
+    /** @type {?} */
+    AppView.prototype._errorBoundaryFailed;
+    /** @type {?} */
+    AppView.prototype._errorBoundary;
+    /**
+     * The component views of this view that are error boundaries, or whose component has not
+     * been created yet.
+     * @type {?}
+     */
+    AppView.prototype._errorBoundaries;
+    /**
+     * \@internal
+     * The view containers of the elements of this view.
+     * @type {?}
+     */
+    AppView.prototype._viewContainers;
 }
 export class DebugAppView extends AppView {
     /**
@@ -630,17 +895,16 @@ export class DebugAppView extends AppView {
      * @return {?}
      */
     eventHandler(cb) {
-        const /** @type {?} */ superHandler = super.eventHandler(cb);
-        return (eventName, event) => {
+        return super.eventHandler((eventName, event) => {
             this._resetDebug();
             try {
-                return superHandler.call(this, eventName, event);
+                return cb.call(this, eventName, event);
             }
             catch (e) {
                 this._rethrowWithContext(e);
                 throw e;
             }
-        };
+        });
     }
 }
 function DebugAppView_tsickle_Closure_declarations() {
@@ -24,6 +24,8 @@ export class ViewContainer {
         this.parentIndex = parentIndex;
         this.parentView = parentView;
         this.nativeElement = nativeElement;
+        parentView._viewContainers = parentView._viewContainers || [];
+        parentView._viewContainers.push(this);
     }
     /**
      * @return {?}
@@ -8,6 +8,7 @@
 import { unimplemented } from '../facade/errors';
 import { isPresent } from '../facade/lang';
 import { wtfCreateScope, wtfLeave } from '../profile/profile';
+import { createInContainer } from '../render/hydration_renderer';
 /**
  * Represents a container where one or more Views can be attached.
  *
@@ -190,7 +191,9 @@ export class ViewContainerRef_ {
      * @return {?}
      */
     createEmbeddedView(templateRef, context = null, index = -1) {
-        const /** @type {?} */ viewRef = templateRef.createEmbeddedView(context);
+        // While hydrating, the root nodes of the view claim the server-rendered nodes of this
+        // container.
+        const /** @type {?} */ viewRef = createInContainer(this._element.nativeElement, () => templateRef.createEmbeddedView(context));
         this.insert(viewRef, index);
         return viewRef;
     }
@@ -204,7 +207,7 @@ export class ViewContainerRef_ {
     createComponent(componentFactory, index = -1, injector = null, projectableNodes = null) {
         const /** @type {?} */ s = this._createComponentInContainerScope();
         const /** @type {?} */ contextInjector = injector || this._element.parentInjector;
-        const /** @type {?} */ componentRef = componentFactory.create(contextInjector, projectableNodes);
+        const /** @type {?} */ componentRef = createInContainer(this._element.nativeElement, () => componentFactory.create(contextInjector, projectableNodes));
         this.insert(componentRef.hostView, index);
         return wtfLeave(s, componentRef);
     }
@@ -126,7 +126,13 @@ export class ViewRef_ {
     /**
      * @return {?}
      */
-    markForCheck() { this._view.markPathToRootAsCheckOnce(); }
+    markForCheck() {
+        this._view.markPathToRootAsCheckOnce();
+        const /** @type {?} */ noopZone = this._view.viewUtils.noopZone;
+        if (noopZone) {
+            noopZone.scheduleTick();
+        }
+    }
     /**
      * @return {?}
      */
@@ -7,17 +7,19 @@
  */
 import { AnimationQueue } from '../animation/animation_queue';
 import { SimpleChange } from '../change_detection/change_detection';
+import { ErrorHandler } from '../error_handler';
 import { ViewEncapsulation } from '../metadata/view';
 import { RenderComponentType, RenderDebugInfo, Renderer, RootRenderer } from '../render/api';
 import { Sanitizer, SecurityContext } from '../security';
 import { Type } from '../type';
+import { NgZone } from '../zone/ng_zone';
 import { ComponentFactory } from './component_factory';
 import { AppView } from './view';
 export declare class ViewUtils {
     private _renderer;
     animationQueue: AnimationQueue;
     sanitizer: Sanitizer;
-    constructor(_renderer: RootRenderer, sanitizer: Sanitizer, animationQueue: AnimationQueue);
+    constructor(_renderer: RootRenderer, sanitizer: Sanitizer, animationQueue: AnimationQueue, zone?: NgZone, errorHandler?: ErrorHandler);
 }
 export declare function createRenderComponentType(templateUrl: string, slotCount: number, encapsulation: ViewEncapsulation, styles: Array<string | any[]>, animations: {
     [key: string]: Function;
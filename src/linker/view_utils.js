@@ -7,22 +7,30 @@
  */
 import { AnimationQueue } from '../animation/animation_queue';
 import { SimpleChange, devModeEqual } from '../change_detection/change_detection';
-import { Injectable } from '../di';
+import { Injectable, Optional } from '../di';
+import { ErrorHandler } from '../error_handler';
 import { isPresent, looseIdentical } from '../facade/lang';
+import { getBindingMonitor } from '../profile/binding_monitor';
+import { getChangeDetectionProfiler } from '../profile/change_detection_profiler';
 import { RenderComponentType, RootRenderer } from '../render/api';
 import { Sanitizer } from '../security';
 import { VERSION } from '../version';
+import { NgZone, NoopNgZone } from '../zone/ng_zone';
 import { ExpressionChangedAfterItHasBeenCheckedError } from './errors';
 export class ViewUtils {
     /**
      * @param {?} _renderer
      * @param {?} sanitizer
      * @param {?} animationQueue
+     * @param {?=} zone
+     * @param {?=} errorHandler
      */
-    constructor(_renderer, sanitizer, animationQueue) {
+    constructor(_renderer, sanitizer, animationQueue, zone = null, errorHandler = null) {
         this._renderer = _renderer;
         this.animationQueue = animationQueue;
+        this.errorHandler = errorHandler;
         this.sanitizer = sanitizer;
+        this.noopZone = zone instanceof NoopNgZone ? zone : null;
     }
     /**
      * \@internal
@@ -41,6 +49,8 @@ ViewUtils.ctorParameters = () => [
     { type: RootRenderer, },
     { type: Sanitizer, },
     { type: AnimationQueue, },
+    { type: NgZone, decorators: [{ type: Optional },] },
+    { type: ErrorHandler, decorators: [{ type: Optional },] },
 ];
 function ViewUtils_tsickle_Closure_declarations() {
     /** @type {?} */
@@ -56,6 +66,20 @@ function ViewUtils_tsickle_Closure_declarations() {
     ViewUtils.prototype._renderer;
     /** @type {?} */
     ViewUtils.prototype.animationQueue;
+    /**
+     * \@internal
+     * The zone of the application if it runs without Zone.js, in which case views have to
+     * schedule change detection themselves.
+     * @type {?}
+     */
+    ViewUtils.prototype.noopZone;
+    /**
+     * \@internal
+     * The error handler of the application, which is told about the errors that error boundaries
+     * contain.
+     * @type {?}
+     */
+    ViewUtils.prototype.errorHandler;
 }
 let /** @type {?} */ nextRenderComponentTypeId = 0;
 /**
@@ -169,7 +193,18 @@ export function checkBinding(view, oldValue, newValue, forceUpdate) {
         return false;
     }
     else {
-        return isFirstCheck || forceUpdate || !looseIdentical(oldValue, newValue);
+        const /** @type {?} */ changed = isFirstCheck || forceUpdate || !looseIdentical(oldValue, newValue);
+        if (changed) {
+            const /** @type {?} */ profiler = getChangeDetectionProfiler();
+            if (profiler) {
+                profiler._bindingChanged();
+            }
+        }
+        const /** @type {?} */ monitor = getBindingMonitor();
+        if (monitor) {
+            monitor._bindingChecked(view, oldValue, newValue, changed);
+        }
+        return changed;
     }
 }
 /**
@@ -7,7 +7,7 @@
  */
 export { ANALYZE_FOR_ENTRY_COMPONENTS, Attribute, ContentChild, ContentChildren, Query, ViewChild, ViewChildren } from './metadata/di';
 export { Component, Directive, HostBinding, HostListener, Input, Output, Pipe } from './metadata/directives';
-export { AfterContentChecked, AfterContentInit, AfterViewChecked, AfterViewInit, DoCheck, OnChanges, OnDestroy, OnInit } from './metadata/lifecycle_hooks';
+export { AfterContentChecked, AfterContentInit, AfterViewChecked, AfterViewInit, DoCheck, OnChanges, OnDestroy, OnInit, OnViewError } from './metadata/lifecycle_hooks';
 export { CUSTOM_ELEMENTS_SCHEMA, NO_ERRORS_SCHEMA, NgModule } from './metadata/ng_module';
 export { ViewEncapsulation } from './metadata/view';
 //# sourceMappingURL=metadata.js.map
\ No newline at end of file
@@ -6,6 +6,7 @@
  * found in the LICENSE file at https://angular.io/license
  */
 import { SimpleChange } from '../change_detection/change_detection_util';
+import { TemplateRef } from '../linker/template_ref';
 /**
  * @stable
  */
@@ -158,3 +159,36 @@ export declare abstract class AfterViewInit {
 export declare abstract class AfterViewChecked {
     abstract ngAfterViewChecked(): void;
 }
+/**
+ * @whatItDoes Lifecycle hook that turns a component into an error boundary for its subtree.
+ * @howToUse
+ * ```
+ * @Component({selector: 'widget-boundary', template: '<ng-content></ng-content>'})
+ * class WidgetBoundary implements OnViewError {
+ *   @ContentChild('fallback') fallback: TemplateRef<any>;
+ *   constructor(vcRef: ViewContainerRef) {}
+ *
+ *   ngOnViewError(error: any) {
+ *     console.warn(error);
+ *     return this.fallback;
+ *   }
+ * }
+ * ```
+ *
+ * @description
+ * `ngOnViewError` is called when the change detection or an event handler of the component's
+ * view, or of any view below it, throws. This includes the components projected into its
+ * `<ng-content>`. The error is reported to the `ErrorHandler`, but not rethrown, so the rest of
+ * the application keeps being checked. Instead, the component's view stops being checked and its
+ * content, including the projected nodes, is removed from the DOM.
+ *
+ * If `ngOnViewError` returns a `TemplateRef`, it is rendered next to the component as a fallback.
+ * This needs a `ViewContainerRef` at the component's element, i.e. the component has to inject
+ * `ViewContainerRef`. Errors thrown by `ngOnViewError` itself, or while rendering the fallback,
+ * are passed on to the next error boundary around the component.
+ *
+ * @experimental
+ */
+export declare abstract class OnViewError {
+    abstract ngOnViewError(error: any): TemplateRef<any> | void;
+}
@@ -0,0 +1,104 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * What a {@link BindingMonitor} recorded for the bindings at one template location.
+ *
+ * `checkedTicks` and `changedTicks` count the ticks in which the binding was checked or changed
+ * at least once, while `checks` and `changes` count every check, e.g. once per row of an
+ * `ngFor`. `identityChanges` counts the changes where only the identity of the value changed.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export interface BindingReport {
+    /**
+     * The location of the binding, as `templateUrl:row:col`.
+     */
+    source: string;
+    /**
+     * The name of the component whose template contains the binding.
+     */
+    component: string;
+    checks: number;
+    changes: number;
+    identityChanges: number;
+    checkedTicks: number;
+    changedTicks: number;
+    /**
+     * The number of ticks in a row, up to the last one in which the binding was checked, in which
+     * it changed.
+     */
+    consecutiveChangedTicks: number;
+    lastValue: any;
+    hot: boolean;
+}
+/**
+ * Counts how often every template binding changes, to find the bindings that keep change
+ * detection busy.
+ *
+ * While installed via {@link setBindingMonitor}, every binding that is checked in dev mode is
+ * recorded by the source location of its template expression. A binding is hot once it has
+ * changed in `hotThreshold` ticks in a row, e.g. because it is bound to a new object literal or
+ * to a method that returns a new array every time. Changes where the new value equals the old
+ * one apart from its identity are counted as `identityChanges`.
+ *
+ * Ticks are counted by `ApplicationRef.tick()`. Bindings that are checked outside of a tick,
+ * e.g. via `ChangeDetectorRef.detectChanges()`, count towards the last tick. The first check
+ * of a binding is not a change, and neither is the second pass of `tick()` in dev mode, which
+ * only verifies that no binding changed.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const monitor = new BindingMonitor();
+ * setBindingMonitor(monitor);
+ * // interact with the application
+ * setBindingMonitor(null);
+ * console.table(monitor.getHotBindings());
+ * ```
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export declare class BindingMonitor {
+    /**
+     * The number of ticks in a row in which a binding has to change to be hot.
+     */
+    hotThreshold: number;
+    private _ticks;
+    private _records;
+    constructor(hotThreshold?: number);
+    /**
+     * The number of ticks observed so far.
+     */
+    readonly ticks: number;
+    /**
+     * Returns a report of all recorded bindings, the ones that changed most often first.
+     */
+    getReport(): BindingReport[];
+    /**
+     * Returns the reports of the bindings that are currently hot.
+     */
+    getHotBindings(): BindingReport[];
+    /**
+     * Forgets all bindings and ticks recorded so far.
+     */
+    clear(): void;
+    private _toReport(record);
+}
+/**
+ * Installs `monitor` to record all following binding checks, or stops recording if `monitor`
+ * is `null`.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export declare function setBindingMonitor(monitor: BindingMonitor): void;
+/**
+ * Returns the monitor installed via {@link setBindingMonitor}, if any.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export declare function getBindingMonitor(): BindingMonitor;
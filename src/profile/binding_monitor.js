@@ -0,0 +1,192 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { devModeEqual } from '../change_detection/change_detection_util';
+import { isPresent, stringify } from '../facade/lang';
+let /** @type {?} */ _monitor = null;
+/**
+ * Counts how often every template binding changes, to find the bindings that keep change
+ * detection busy.
+ *
+ * While installed via {\@link setBindingMonitor}, every binding that is checked in dev mode is
+ * recorded by the source location of its template expression. A binding is hot once it has
+ * changed in `hotThreshold` ticks in a row, e.g. because it is bound to a new object literal or
+ * to a method that returns a new array every time. Changes where the new value equals the old
+ * one apart from its identity are counted as `identityChanges`.
+ *
+ * Ticks are counted by `ApplicationRef.tick()`. Bindings that are checked outside of a tick,
+ * e.g. via `ChangeDetectorRef.detectChanges()`, count towards the last tick. The first check
+ * of a binding is not a change, and neither is the second pass of `tick()` in dev mode, which
+ * only verifies that no binding changed.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const monitor = new BindingMonitor();
+ * setBindingMonitor(monitor);
+ * // interact with the application
+ * setBindingMonitor(null);
+ * console.table(monitor.getHotBindings());
+ * ```
+ *
+ * \@experimental All debugging apis are currently experimental.
+ */
+export class BindingMonitor {
+    /**
+     * @param {?=} hotThreshold
+     */
+    constructor(hotThreshold = 3) {
+        this.hotThreshold = hotThreshold;
+        this._ticks = 0;
+        this._records = new Map();
+    }
+    /**
+     * The number of ticks observed so far.
+     * @return {?}
+     */
+    get ticks() { return this._ticks; }
+    /**
+     * Returns a report of all recorded bindings, the ones that changed most often first.
+     * @return {?}
+     */
+    getReport() {
+        const /** @type {?} */ reports = [];
+        this._records.forEach((record) => reports.push(this._toReport(record)));
+        return reports.sort((a, b) => b.changedTicks - a.changedTicks || b.changes - a.changes);
+    }
+    /**
+     * Returns the reports of the bindings that are currently hot.
+     * @return {?}
+     */
+    getHotBindings() { return this.getReport().filter((report) => report.hot); }
+    /**
+     * Forgets all bindings and ticks recorded so far.
+     * @return {?}
+     */
+    clear() {
+        this._ticks = 0;
+        this._records = new Map();
+    }
+    /**
+     * \@internal
+     * @return {?}
+     */
+    _startTick() { this._ticks++; }
+    /**
+     * \@internal
+     * @param {?} view
+     * @param {?} oldValue
+     * @param {?} newValue
+     * @param {?} changed
+     * @return {?}
+     */
+    _bindingChecked(view, oldValue, newValue, changed) {
+        const /** @type {?} */ debugContext = view._currentDebugContext;
+        if (!debugContext) {
+            // Only views that were compiled in dev mode know where their bindings are.
+            return;
+        }
+        const /** @type {?} */ source = debugContext.source;
+        let /** @type {?} */ record = this._records.get(source);
+        if (!record) {
+            record = {
+                source,
+                component: stringify(_constructorOf(debugContext.viewComponent)),
+                checks: 0,
+                changes: 0,
+                identityChanges: 0,
+                checkedTicks: 0,
+                changedTicks: 0,
+                streak: 0,
+                changedInPreviousTick: false,
+                lastCheckedTick: -1,
+                lastChangedTick: -1,
+                lastValue: undefined
+            };
+            this._records.set(source, record);
+        }
+        const /** @type {?} */ tick = this._ticks;
+        record.checks++;
+        if (record.lastCheckedTick !== tick) {
+            record.changedInPreviousTick = record.lastChangedTick === record.lastCheckedTick;
+            record.checkedTicks++;
+            record.lastCheckedTick = tick;
+        }
+        if (!changed || view.numberOfChecks === 0) {
+            return;
+        }
+        record.changes++;
+        record.lastValue = newValue;
+        if (devModeEqual(oldValue, newValue)) {
+            record.identityChanges++;
+        }
+        if (record.lastChangedTick !== tick) {
+            record.streak = record.changedInPreviousTick ? record.streak + 1 : 1;
+            record.changedTicks++;
+            record.lastChangedTick = tick;
+        }
+    }
+    /**
+     * @param {?} record
+     * @return {?}
+     */
+    _toReport(record) {
+        // A binding that was checked in a later tick without changing is no longer on a streak.
+        const /** @type {?} */ streak = record.lastChangedTick === record.lastCheckedTick ? record.streak : 0;
+        return {
+            source: record.source,
+            component: record.component,
+            checks: record.checks,
+            changes: record.changes,
+            identityChanges: record.identityChanges,
+            checkedTicks: record.checkedTicks,
+            changedTicks: record.changedTicks,
+            consecutiveChangedTicks: streak,
+            lastValue: record.lastValue,
+            hot: streak >= this.hotThreshold
+        };
+    }
+}
+function BindingMonitor_tsickle_Closure_declarations() {
+    /**
+     * The number of ticks in a row in which a binding has to change to be hot.
+     * @type {?}
+     */
+    BindingMonitor.prototype.hotThreshold;
+    /** @type {?} */
+    BindingMonitor.prototype._ticks;
+    /** @type {?} */
+    BindingMonitor.prototype._records;
+}
+/**
+ * @param {?} obj
+ * @return {?}
+ */
+function _constructorOf(obj) {
+    return isPresent(obj) ? obj.constructor : null;
+}
+/**
+ * Installs `monitor` to record all following binding checks, or stops recording if `monitor`
+ * is `null`.
+ *
+ * \@experimental All debugging apis are currently experimental.
+ * @param {?} monitor
+ * @return {?}
+ */
+export function setBindingMonitor(monitor) {
+    _monitor = monitor;
+}
+/**
+ * Returns the monitor installed via {\@link setBindingMonitor}, if any.
+ *
+ * \@experimental All debugging apis are currently experimental.
+ * @return {?}
+ */
+export function getBindingMonitor() {
+    return _monitor;
+}
+//# sourceMappingURL=binding_monitor.js.map
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * A node of the tree recorded by a {@link ChangeDetectionProfiler}.
+ *
+ * `start` and `duration` are in milliseconds. `duration` and `changedBindings` include the views
+ * that were checked by this one. `numberOfChecks` is the number of times the view has been
+ * checked so far, and `null` for the roots.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export interface ChangeDetectionProfile {
+    name: string;
+    start: number;
+    duration: number;
+    numberOfChecks: number;
+    changedBindings: number;
+    children: ChangeDetectionProfile[];
+}
+/**
+ * Records how long change detection spends in every view.
+ *
+ * While installed via {@link setChangeDetectionProfiler}, every `ApplicationRef.tick()` is
+ * recorded as a tree of {@link ChangeDetectionProfile}s: the tick is the root, and every checked
+ * view is a child of the view that checked it. Views that are checked outside of a tick, e.g. via
+ * `ChangeDetectorRef.detectChanges()`, are recorded as a root of their own. The second pass of
+ * `tick()` in dev mode, which only verifies that no binding changed, is not recorded.
+ *
+ * Only the last `maxTicks` roots are kept.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const profiler = new ChangeDetectionProfiler();
+ * setChangeDetectionProfiler(profiler);
+ * appRef.tick();
+ * setChangeDetectionProfiler(null);
+ * const json = JSON.stringify({traceEvents: profiler.toTraceEvents()});
+ * ```
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export declare class ChangeDetectionProfiler {
+    /**
+     * The maximum number of ticks that are kept.
+     */
+    maxTicks: number;
+    /**
+     * The recorded ticks, oldest first.
+     */
+    ticks: ChangeDetectionProfile[];
+    private _stack;
+    private _views;
+    private _implicitRoot;
+    constructor(maxTicks?: number);
+    /**
+     * Forgets all ticks recorded so far.
+     */
+    clear(): void;
+    /**
+     * Returns all recorded ticks as children of a single root, e.g. to render a flame graph.
+     */
+    toTree(): ChangeDetectionProfile;
+    /**
+     * Returns the recorded ticks as complete events of the Chrome trace event format, which
+     * `chrome://tracing` and the performance panel of the DevTools can load as
+     * `{"traceEvents": [...]}`.
+     */
+    toTraceEvents(): any[];
+    private _enter(name, view);
+    /**
+     * Ends `profile` and all profiles that were started after it, e.g. because their view
+     * threw an error.
+     */
+    private _leave(profile);
+}
+/**
+ * Installs `profiler` to record all following change detection runs, or stops recording if
+ * `profiler` is `null`.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export declare function setChangeDetectionProfiler(profiler: ChangeDetectionProfiler): void;
+/**
+ * Returns the profiler installed via {@link setChangeDetectionProfiler}, if any.
+ *
+ * @experimental All debugging apis are currently experimental.
+ */
+export declare function getChangeDetectionProfiler(): ChangeDetectionProfiler;
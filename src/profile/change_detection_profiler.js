@@ -0,0 +1,232 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { performanceNow, stringify } from '../facade/lang';
+let /** @type {?} */ _profiler = null;
+/**
+ * Records how long change detection spends in every view.
+ *
+ * While installed via {\@link setChangeDetectionProfiler}, every `ApplicationRef.tick()` is
+ * recorded as a tree of {\@link ChangeDetectionProfile}s: the tick is the root, and every checked
+ * view is a child of the view that checked it. Views that are checked outside of a tick, e.g. via
+ * `ChangeDetectorRef.detectChanges()`, are recorded as a root of their own. The second pass of
+ * `tick()` in dev mode, which only verifies that no binding changed, is not recorded.
+ *
+ * Only the last `maxTicks` roots are kept.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const profiler = new ChangeDetectionProfiler();
+ * setChangeDetectionProfiler(profiler);
+ * appRef.tick();
+ * setChangeDetectionProfiler(null);
+ * const json = JSON.stringify({traceEvents: profiler.toTraceEvents()});
+ * ```
+ *
+ * \@experimental All debugging apis are currently experimental.
+ */
+export class ChangeDetectionProfiler {
+    /**
+     * @param {?=} maxTicks
+     */
+    constructor(maxTicks = 100) {
+        this.maxTicks = maxTicks;
+        this.ticks = [];
+        this._stack = [];
+        this._views = [];
+        this._implicitRoot = null;
+    }
+    /**
+     * Forgets all ticks recorded so far.
+     * @return {?}
+     */
+    clear() { this.ticks = []; }
+    /**
+     * Returns all recorded ticks as children of a single root, e.g. to render a flame graph.
+     * @return {?}
+     */
+    toTree() {
+        const /** @type {?} */ start = this.ticks.length ? this.ticks[0].start : 0;
+        const /** @type {?} */ end = this.ticks.length ?
+            this.ticks[this.ticks.length - 1].start + this.ticks[this.ticks.length - 1].duration :
+            0;
+        return {
+            name: 'ChangeDetection',
+            start,
+            duration: end - start,
+            numberOfChecks: null,
+            changedBindings: this.ticks.reduce((sum, tick) => sum + tick.changedBindings, 0),
+            children: this.ticks.slice()
+        };
+    }
+    /**
+     * Returns the recorded ticks as complete events of the Chrome trace event format, which
+     * `chrome://tracing` and the performance panel of the DevTools can load as
+     * `{"traceEvents": [...]}`.
+     * @return {?}
+     */
+    toTraceEvents() {
+        const /** @type {?} */ events = [];
+        this.ticks.forEach((tick) => _addTraceEvents(tick, events));
+        return events;
+    }
+    /**
+     * \@internal
+     * @return {?}
+     */
+    _startTick() { this._enter('ApplicationRef#tick', null); }
+    /**
+     * \@internal
+     * @return {?}
+     */
+    _endTick() {
+        if (this._stack.length) {
+            this._leave(this._stack[0]);
+        }
+    }
+    /**
+     * \@internal
+     * @param {?} view
+     * @return {?}
+     */
+    _enterView(view) {
+        if (!this._stack.length) {
+            this._implicitRoot = this._enter('detectChanges', null);
+        }
+        this._enter(stringify(view.clazz), view);
+    }
+    /**
+     * \@internal
+     * @param {?} view
+     * @return {?}
+     */
+    _leaveView(view) {
+        const /** @type {?} */ index = this._views.lastIndexOf(view);
+        if (index === -1) {
+            return;
+        }
+        const /** @type {?} */ profile = this._stack[index];
+        profile.numberOfChecks = view.numberOfChecks;
+        this._leave(profile);
+        if (this._stack.length === 1 && this._stack[0] === this._implicitRoot) {
+            this._leave(this._implicitRoot);
+            this._implicitRoot = null;
+        }
+    }
+    /**
+     * \@internal
+     * @return {?}
+     */
+    _bindingChanged() {
+        if (this._stack.length) {
+            this._stack[this._stack.length - 1].changedBindings++;
+        }
+    }
+    /**
+     * @param {?} name
+     * @param {?} view
+     * @return {?}
+     */
+    _enter(name, view) {
+        const /** @type {?} */ profile = {
+            name,
+            start: performanceNow(),
+            duration: 0,
+            numberOfChecks: null,
+            changedBindings: 0,
+            children: []
+        };
+        if (this._stack.length) {
+            this._stack[this._stack.length - 1].children.push(profile);
+        }
+        this._stack.push(profile);
+        this._views.push(view);
+        return profile;
+    }
+    /**
+     * Ends `profile` and all profiles that were started after it, e.g. because their view
+     * threw an error.
+     * @param {?} profile
+     * @return {?}
+     */
+    _leave(profile) {
+        const /** @type {?} */ end = performanceNow();
+        let /** @type {?} */ current;
+        do {
+            current = this._stack.pop();
+            this._views.pop();
+            current.duration = end - current.start;
+            if (this._stack.length) {
+                this._stack[this._stack.length - 1].changedBindings += current.changedBindings;
+            }
+        } while (current !== profile);
+        if (!this._stack.length) {
+            this.ticks.push(profile);
+            if (this.ticks.length > this.maxTicks) {
+                this.ticks.shift();
+            }
+        }
+    }
+}
+function ChangeDetectionProfiler_tsickle_Closure_declarations() {
+    /**
+     * The maximum number of ticks that are kept.
+     * @type {?}
+     */
+    ChangeDetectionProfiler.prototype.maxTicks;
+    /**
+     * The recorded ticks, oldest first.
+     * @type {?}
+     */
+    ChangeDetectionProfiler.prototype.ticks;
+    /** @type {?} */
+    ChangeDetectionProfiler.prototype._stack;
+    /** @type {?} */
+    ChangeDetectionProfiler.prototype._views;
+    /** @type {?} */
+    ChangeDetectionProfiler.prototype._implicitRoot;
+}
+/**
+ * @param {?} profile
+ * @param {?} events
+ * @return {?}
+ */
+function _addTraceEvents(profile, events) {
+    events.push({
+        name: profile.name,
+        cat: 'change_detection',
+        ph: 'X',
+        ts: Math.round(profile.start * 1000),
+        dur: Math.round(profile.duration * 1000),
+        pid: 1,
+        tid: 1,
+        args: { numberOfChecks: profile.numberOfChecks, changedBindings: profile.changedBindings }
+    });
+    profile.children.forEach((child) => _addTraceEvents(child, events));
+}
+/**
+ * Installs `profiler` to record all following change detection runs, or stops recording if
+ * `profiler` is `null`.
+ *
+ * \@experimental All debugging apis are currently experimental.
+ * @param {?} profiler
+ * @return {?}
+ */
+export function setChangeDetectionProfiler(profiler) {
+    _profiler = profiler;
+}
+/**
+ * Returns the profiler installed via {\@link setChangeDetectionProfiler}, if any.
+ *
+ * \@experimental All debugging apis are currently experimental.
+ * @return {?}
+ */
+export function getChangeDetectionProfiler() {
+    return _profiler;
+}
+//# sourceMappingURL=change_detection_profiler.js.map
\ No newline at end of file
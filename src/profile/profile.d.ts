@@ -5,6 +5,7 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
+import { ProfilingBackend } from './profiling_backends';
 import { WtfScopeFn } from './wtf_impl';
 export { WtfScopeFn } from './wtf_impl';
 /**
@@ -12,7 +13,30 @@ export { WtfScopeFn } from './wtf_impl';
  */
 export declare const wtfEnabled: boolean;
 /**
- * Create trace scope.
+ * Installs the backend that all following scopes and time ranges are sent to, or disables
+ * profiling if `backend` is `null`.
+ *
+ * When WTF is present at load time, a {@link WtfProfilingBackend} is installed by default.
+ * Scopes and time ranges that are open while the backend changes are still closed on the backend
+ * they were opened on.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * setProfilingBackend(new UserTimingProfilingBackend());
+ * ```
+ *
+ * @experimental
+ */
+export declare function setProfilingBackend(backend: ProfilingBackend): void;
+/**
+ * Returns the backend installed via {@link setProfilingBackend}, if any.
+ *
+ * @experimental
+ */
+export declare function getProfilingBackend(): ProfilingBackend;
+/**
+ * Create trace scope, which is sent to the backend installed via {@link setProfilingBackend}.
  *
  * Scopes must be strictly nested and are analogous to stack frames, but
  * do not have to follow the stack frames. Instead it is recommended that they follow logical
@@ -54,8 +78,8 @@ export declare const wtfCreateScope: (signature: string, flags?: any) => WtfScop
 export declare const wtfLeave: <T>(scope: any, returnValue?: T) => T;
 /**
  * Used to mark Async start. Async are similar to scope but they don't have to be strictly nested.
- * The return value is used in the call to [endAsync]. Async ranges only work if WTF has been
- * enabled.
+ * The return value is used in the call to [endAsync]. Async ranges only work if a profiling
+ * backend has been installed.
  *
  *     someMethod() {
  *        var s = wtfStartTimeRange('HTTP:GET', 'some.url');
@@ -68,8 +92,8 @@ export declare const wtfLeave: <T>(scope: any, returnValue?: T) => T;
 export declare const wtfStartTimeRange: (rangeType: string, action: string) => any;
 /**
  * Ends a async time range operation.
- * [range] is the return value from [wtfStartTimeRange] Async ranges only work if WTF has been
- * enabled.
+ * [range] is the return value from [wtfStartTimeRange] Async ranges only work if a profiling
+ * backend has been installed.
  * @experimental
  */
 export declare const wtfEndTimeRange: (range: any) => void;
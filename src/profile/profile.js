@@ -5,21 +5,85 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-import { createScope, detectWTF, endTimeRange, leave, startTimeRange } from './wtf_impl';
+import { WtfProfilingBackend } from './profiling_backends';
+import { detectWTF } from './wtf_impl';
 /**
  * True if WTF is enabled.
  */
 export const /** @type {?} */ wtfEnabled = detectWTF();
+let /** @type {?} */ _backend = wtfEnabled ? new WtfProfilingBackend() : null;
 /**
- * @param {?=} arg0
- * @param {?=} arg1
+ * Installs the backend that all following scopes and time ranges are sent to, or disables
+ * profiling if `backend` is `null`.
+ *
+ * When WTF is present at load time, a {\@link WtfProfilingBackend} is installed by default.
+ * Scopes and time ranges that are open while the backend changes are still closed on the backend
+ * they were opened on.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * setProfilingBackend(new UserTimingProfilingBackend());
+ * ```
+ *
+ * \@experimental
+ * @param {?} backend
+ * @return {?}
+ */
+export function setProfilingBackend(backend) {
+    _backend = backend;
+}
+/**
+ * Returns the backend installed via {\@link setProfilingBackend}, if any.
+ *
+ * \@experimental
+ * @return {?}
+ */
+export function getProfilingBackend() {
+    return _backend;
+}
+/**
+ * An open scope or time range, together with the backend that has to close it.
+ */
+class _OpenEvent {
+    /**
+     * @param {?} backend
+     * @param {?} handle
+     */
+    constructor(backend, handle) {
+        this.backend = backend;
+        this.handle = handle;
+    }
+}
+function _OpenEvent_tsickle_Closure_declarations() {
+    /** @type {?} */
+    _OpenEvent.prototype.backend;
+    /** @type {?} */
+    _OpenEvent.prototype.handle;
+}
+/**
+ * @param {?} signature
+ * @param {?=} flags
  * @return {?}
  */
-function noopScope(arg0, arg1) {
-    return null;
+function createScope(signature, flags = null) {
+    // Scopes are usually created when a module is loaded, i.e. before a backend is installed,
+    // so the scope of the backend is only created on first use.
+    let /** @type {?} */ scopeBackend = null;
+    let /** @type {?} */ backendScope = null;
+    return (arg0, arg1) => {
+        if (!_backend) {
+            return null;
+        }
+        if (scopeBackend !== _backend) {
+            scopeBackend = _backend;
+            backendScope = _backend.createScope(signature, flags);
+        }
+        return new _OpenEvent(scopeBackend, backendScope(arg0, arg1));
+    };
 }
 /**
- * Create trace scope.
+ * Create trace scope, which is sent to the backend installed via {\@link setProfilingBackend}.
  *
  * Scopes must be strictly nested and are analogous to stack frames, but
  * do not have to follow the stack frames. Instead it is recommended that they follow logical
@@ -48,7 +112,7 @@ function noopScope(arg0, arg1) {
  *
  * @experimental
  */
-export const /** @type {?} */ wtfCreateScope = wtfEnabled ? createScope : (signature, flags) => noopScope;
+export const /** @type {?} */ wtfCreateScope = createScope;
 /**
  * Used to mark end of Scope.
  *
@@ -58,11 +122,16 @@ export const /** @type {?} */ wtfCreateScope = wtfEnabled ? createScope : (signa
  * Returns the `returnValue for easy chaining.
  * @experimental
  */
-export const /** @type {?} */ wtfLeave = wtfEnabled ? leave : (s, r) => r;
+export const /** @type {?} */ wtfLeave = (scope, returnValue) => {
+    if (scope instanceof _OpenEvent) {
+        scope.backend.leaveScope(scope.handle, returnValue);
+    }
+    return returnValue;
+};
 /**
  * Used to mark Async start. Async are similar to scope but they don't have to be strictly nested.
- * The return value is used in the call to [endAsync]. Async ranges only work if WTF has been
- * enabled.
+ * The return value is used in the call to [endAsync]. Async ranges only work if a profiling
+ * backend has been installed.
  *
  *     someMethod() {
  *        var s = wtfStartTimeRange('HTTP:GET', 'some.url');
@@ -72,12 +141,16 @@ export const /** @type {?} */ wtfLeave = wtfEnabled ? leave : (s, r) => r;
  *     }
  * @experimental
  */
-export const /** @type {?} */ wtfStartTimeRange = wtfEnabled ? startTimeRange : (rangeType, action) => null;
+export const /** @type {?} */ wtfStartTimeRange = (rangeType, action) => _backend ? new _OpenEvent(_backend, _backend.beginTimeRange(rangeType, action)) : null;
 /**
  * Ends a async time range operation.
- * [range] is the return value from [wtfStartTimeRange] Async ranges only work if WTF has been
- * enabled.
+ * [range] is the return value from [wtfStartTimeRange] Async ranges only work if a profiling
+ * backend has been installed.
  * @experimental
  */
-export const /** @type {?} */ wtfEndTimeRange = wtfEnabled ? endTimeRange : (r) => null;
+export const /** @type {?} */ wtfEndTimeRange = (range) => {
+    if (range instanceof _OpenEvent) {
+        range.backend.endTimeRange(range.handle);
+    }
+};
 //# sourceMappingURL=profile.js.map
\ No newline at end of file
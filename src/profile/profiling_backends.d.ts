@@ -0,0 +1,155 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { WtfScopeFn } from './wtf_impl';
+/**
+ * Receives the scopes and time ranges created via `wtfCreateScope` and `wtfStartTimeRange`.
+ *
+ * Install a backend via {@link setProfilingBackend}.
+ *
+ * @experimental
+ */
+export interface ProfilingBackend {
+    /**
+     * Creates the scope for a WTF event `signature`, e.g. `'AppView#check(ascii id)'`. Calling the
+     * returned function enters the scope and returns a value that is passed to `leaveScope`.
+     */
+    createScope(signature: string, flags?: any): WtfScopeFn;
+    leaveScope(scope: any, returnValue?: any): void;
+    /**
+     * Starts a time range. The returned value is passed to `endTimeRange`.
+     */
+    beginTimeRange(rangeType: string, action: string): any;
+    endTimeRange(range: any): void;
+}
+/**
+ * A scope or time range recorded by a {@link MemoryProfilingBackend}.
+ *
+ * Times are in milliseconds, as returned by `performance.now()`.
+ *
+ * @experimental
+ */
+export interface ProfilingEvent {
+    kind: 'scope' | 'range';
+    /**
+     * The name of the scope or the range type, followed by the first argument or the action.
+     */
+    name: string;
+    start: number;
+    duration: number;
+}
+/**
+ * Sends scopes and time ranges to the Web Tracing Framework (WTF).
+ *
+ * It is installed by default when WTF is present when Angular is loaded.
+ *
+ * @experimental
+ */
+export declare class WtfProfilingBackend implements ProfilingBackend {
+    createScope(signature: string, flags?: any): WtfScopeFn;
+    leaveScope(scope: any, returnValue?: any): void;
+    beginTimeRange(rangeType: string, action: string): any;
+    endTimeRange(range: any): void;
+}
+/**
+ * Records scopes and time ranges as measures of the User Timing API, which the performance
+ * panel of the browser DevTools shows in its timings track.
+ *
+ * A scope created for `'AppView#check(ascii id)'` and entered with `MyComp` is measured as
+ * `AppView#check MyComp`.
+ *
+ * @experimental
+ */
+export declare class UserTimingProfilingBackend implements ProfilingBackend {
+    private _performance;
+    private _markId;
+    constructor(performance?: any);
+    createScope(signature: string, flags?: any): WtfScopeFn;
+    leaveScope(scope: any, returnValue?: any): void;
+    beginTimeRange(rangeType: string, action: string): any;
+    endTimeRange(range: any): void;
+    private _mark(name);
+    private _measure(mark);
+}
+/**
+ * Keeps the last `capacity` {@link ProfilingEvent}s in memory, e.g. to inspect them in a test
+ * or to attach them to an error report.
+ *
+ * Events are added when their scope is left or their time range ends, so the outer scope of
+ * nested scopes comes after the inner ones.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const backend = new MemoryProfilingBackend();
+ * setProfilingBackend(backend);
+ * appRef.tick();
+ * setProfilingBackend(null);
+ * console.log(backend.events);
+ * ```
+ *
+ * @experimental
+ */
+export declare class MemoryProfilingBackend implements ProfilingBackend {
+    /**
+     * The maximum number of events that are kept.
+     */
+    capacity: number;
+    private _events;
+    private _next;
+    constructor(capacity?: number);
+    /**
+     * The recorded events, oldest first.
+     */
+    readonly events: ProfilingEvent[];
+    /**
+     * Forgets all events recorded so far.
+     */
+    clear(): void;
+    createScope(signature: string, flags?: any): WtfScopeFn;
+    leaveScope(scope: any, returnValue?: any): void;
+    beginTimeRange(rangeType: string, action: string): any;
+    endTimeRange(range: any): void;
+    private _add(event);
+}
+/**
+ * Records scopes and time ranges in the Chrome trace event format, which `chrome://tracing`
+ * and the performance panel of the DevTools can load.
+ *
+ * Scopes are recorded as complete events, time ranges as async events.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const backend = new TraceEventProfilingBackend();
+ * setProfilingBackend(backend);
+ * appRef.tick();
+ * setProfilingBackend(null);
+ * download(backend.toJson());
+ * ```
+ *
+ * @experimental
+ */
+export declare class TraceEventProfilingBackend implements ProfilingBackend {
+    /**
+     * The recorded events, in the order in which they were completed.
+     */
+    traceEvents: any[];
+    private _rangeId;
+    /**
+     * Forgets all events recorded so far.
+     */
+    clear(): void;
+    /**
+     * Returns the recorded events as a trace file.
+     */
+    toJson(): string;
+    createScope(signature: string, flags?: any): WtfScopeFn;
+    leaveScope(scope: any, returnValue?: any): void;
+    beginTimeRange(rangeType: string, action: string): any;
+    endTimeRange(range: any): void;
+}
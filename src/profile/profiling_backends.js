@@ -0,0 +1,356 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { global, isPresent, performanceNow, stringify } from '../facade/lang';
+import { createScope, endTimeRange, leave, startTimeRange } from './wtf_impl';
+/**
+ * Sends scopes and time ranges to the Web Tracing Framework (WTF).
+ *
+ * It is installed by default when WTF is present when Angular is loaded.
+ *
+ * \@experimental
+ */
+export class WtfProfilingBackend {
+    /**
+     * @param {?} signature
+     * @param {?=} flags
+     * @return {?}
+     */
+    createScope(signature, flags = null) { return createScope(signature, flags); }
+    /**
+     * @param {?} scope
+     * @param {?=} returnValue
+     * @return {?}
+     */
+    leaveScope(scope, returnValue) { leave(scope, returnValue); }
+    /**
+     * @param {?} rangeType
+     * @param {?} action
+     * @return {?}
+     */
+    beginTimeRange(rangeType, action) { return startTimeRange(rangeType, action); }
+    /**
+     * @param {?} range
+     * @return {?}
+     */
+    endTimeRange(range) { endTimeRange(range); }
+}
+/**
+ * Records scopes and time ranges as measures of the User Timing API, which the performance
+ * panel of the browser DevTools shows in its timings track.
+ *
+ * A scope created for `'AppView#check(ascii id)'` and entered with `MyComp` is measured as
+ * `AppView#check MyComp`.
+ *
+ * \@experimental
+ */
+export class UserTimingProfilingBackend {
+    /**
+     * @param {?=} performance
+     */
+    constructor(performance = global['performance']) {
+        this._performance = performance;
+        this._markId = 0;
+    }
+    /**
+     * @param {?} signature
+     * @param {?=} flags
+     * @return {?}
+     */
+    createScope(signature, flags = null) {
+        const /** @type {?} */ scopeName = _scopeName(signature);
+        return (arg0, arg1) => this._mark(_eventName(scopeName, arg0));
+    }
+    /**
+     * @param {?} scope
+     * @param {?=} returnValue
+     * @return {?}
+     */
+    leaveScope(scope, returnValue) { this._measure(scope); }
+    /**
+     * @param {?} rangeType
+     * @param {?} action
+     * @return {?}
+     */
+    beginTimeRange(rangeType, action) { return this._mark(_eventName(rangeType, action)); }
+    /**
+     * @param {?} range
+     * @return {?}
+     */
+    endTimeRange(range) { this._measure(range); }
+    /**
+     * @param {?} name
+     * @return {?}
+     */
+    _mark(name) {
+        const /** @type {?} */ markName = `${name} #${this._markId++}`;
+        this._performance.mark(markName);
+        return { name, markName };
+    }
+    /**
+     * @param {?} mark
+     * @return {?}
+     */
+    _measure(mark) {
+        this._performance.measure(mark.name, mark.markName);
+        this._performance.clearMarks(mark.markName);
+    }
+}
+function UserTimingProfilingBackend_tsickle_Closure_declarations() {
+    /** @type {?} */
+    UserTimingProfilingBackend.prototype._performance;
+    /** @type {?} */
+    UserTimingProfilingBackend.prototype._markId;
+}
+/**
+ * Keeps the last `capacity` {\@link ProfilingEvent}s in memory, e.g. to inspect them in a test
+ * or to attach them to an error report.
+ *
+ * Events are added when their scope is left or their time range ends, so the outer scope of
+ * nested scopes comes after the inner ones.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const backend = new MemoryProfilingBackend();
+ * setProfilingBackend(backend);
+ * appRef.tick();
+ * setProfilingBackend(null);
+ * console.log(backend.events);
+ * ```
+ *
+ * \@experimental
+ */
+export class MemoryProfilingBackend {
+    /**
+     * @param {?=} capacity
+     */
+    constructor(capacity = 1000) {
+        this.capacity = capacity;
+        this._events = [];
+        this._next = 0;
+    }
+    /**
+     * The recorded events, oldest first.
+     * @return {?}
+     */
+    get events() {
+        return this._events.slice(this._next).concat(this._events.slice(0, this._next));
+    }
+    /**
+     * Forgets all events recorded so far.
+     * @return {?}
+     */
+    clear() {
+        this._events = [];
+        this._next = 0;
+    }
+    /**
+     * @param {?} signature
+     * @param {?=} flags
+     * @return {?}
+     */
+    createScope(signature, flags = null) {
+        const /** @type {?} */ scopeName = _scopeName(signature);
+        return (arg0, arg1) => _startEvent('scope', _eventName(scopeName, arg0));
+    }
+    /**
+     * @param {?} scope
+     * @param {?=} returnValue
+     * @return {?}
+     */
+    leaveScope(scope, returnValue) { this._add(scope); }
+    /**
+     * @param {?} rangeType
+     * @param {?} action
+     * @return {?}
+     */
+    beginTimeRange(rangeType, action) {
+        return _startEvent('range', _eventName(rangeType, action));
+    }
+    /**
+     * @param {?} range
+     * @return {?}
+     */
+    endTimeRange(range) { this._add(range); }
+    /**
+     * @param {?} event
+     * @return {?}
+     */
+    _add(event) {
+        event.duration = performanceNow() - event.start;
+        if (this._events.length < this.capacity) {
+            this._events.push(event);
+        }
+        else if (this.capacity > 0) {
+            this._events[this._next] = event;
+            this._next = (this._next + 1) % this.capacity;
+        }
+    }
+}
+function MemoryProfilingBackend_tsickle_Closure_declarations() {
+    /**
+     * The maximum number of events that are kept.
+     * @type {?}
+     */
+    MemoryProfilingBackend.prototype.capacity;
+    /** @type {?} */
+    MemoryProfilingBackend.prototype._events;
+    /** @type {?} */
+    MemoryProfilingBackend.prototype._next;
+}
+/**
+ * Records scopes and time ranges in the Chrome trace event format, which `chrome://tracing`
+ * and the performance panel of the DevTools can load.
+ *
+ * Scopes are recorded as complete events, time ranges as async events.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const backend = new TraceEventProfilingBackend();
+ * setProfilingBackend(backend);
+ * appRef.tick();
+ * setProfilingBackend(null);
+ * download(backend.toJson());
+ * ```
+ *
+ * \@experimental
+ */
+export class TraceEventProfilingBackend {
+    constructor() {
+        this.traceEvents = [];
+        this._rangeId = 0;
+    }
+    /**
+     * Forgets all events recorded so far.
+     * @return {?}
+     */
+    clear() { this.traceEvents = []; }
+    /**
+     * Returns the recorded events as a trace file.
+     * @return {?}
+     */
+    toJson() { return JSON.stringify({ traceEvents: this.traceEvents }); }
+    /**
+     * @param {?} signature
+     * @param {?=} flags
+     * @return {?}
+     */
+    createScope(signature, flags = null) {
+        const /** @type {?} */ scopeName = _scopeName(signature);
+        return (arg0, arg1) => ({ name: scopeName, args: _traceArgs(arg0, arg1), start: performanceNow() });
+    }
+    /**
+     * @param {?} scope
+     * @param {?=} returnValue
+     * @return {?}
+     */
+    leaveScope(scope, returnValue) {
+        this.traceEvents.push({
+            name: scope.name,
+            cat: 'angular',
+            ph: 'X',
+            ts: _micros(scope.start),
+            dur: _micros(performanceNow() - scope.start),
+            pid: 1,
+            tid: 1,
+            args: scope.args
+        });
+    }
+    /**
+     * @param {?} rangeType
+     * @param {?} action
+     * @return {?}
+     */
+    beginTimeRange(rangeType, action) {
+        const /** @type {?} */ range = { name: rangeType, id: this._rangeId++ };
+        this.traceEvents.push({
+            name: rangeType,
+            cat: 'angular',
+            ph: 'b',
+            id: range.id,
+            ts: _micros(performanceNow()),
+            pid: 1,
+            tid: 1,
+            args: { action }
+        });
+        return range;
+    }
+    /**
+     * @param {?} range
+     * @return {?}
+     */
+    endTimeRange(range) {
+        this.traceEvents.push({
+            name: range.name,
+            cat: 'angular',
+            ph: 'e',
+            id: range.id,
+            ts: _micros(performanceNow()),
+            pid: 1,
+            tid: 1
+        });
+    }
+}
+function TraceEventProfilingBackend_tsickle_Closure_declarations() {
+    /**
+     * The recorded events, in the order in which they were completed.
+     * @type {?}
+     */
+    TraceEventProfilingBackend.prototype.traceEvents;
+    /** @type {?} */
+    TraceEventProfilingBackend.prototype._rangeId;
+}
+/**
+ * @param {?} kind
+ * @param {?} name
+ * @return {?}
+ */
+function _startEvent(kind, name) {
+    return { kind, name, start: performanceNow(), duration: 0 };
+}
+/**
+ * Strips the argument list from a WTF event signature, e.g. `'AppView#check(ascii id)'`.
+ * @param {?} signature
+ * @return {?}
+ */
+function _scopeName(signature) {
+    const /** @type {?} */ paren = signature.indexOf('(');
+    return paren === -1 ? signature : signature.substring(0, paren);
+}
+/**
+ * @param {?} name
+ * @param {?} arg
+ * @return {?}
+ */
+function _eventName(name, arg) {
+    return isPresent(arg) ? `${name} ${stringify(arg)}` : name;
+}
+/**
+ * @param {?} arg0
+ * @param {?} arg1
+ * @return {?}
+ */
+function _traceArgs(arg0, arg1) {
+    const /** @type {?} */ args = {};
+    if (isPresent(arg0)) {
+        args['arg0'] = stringify(arg0);
+    }
+    if (isPresent(arg1)) {
+        args['arg1'] = stringify(arg1);
+    }
+    return args;
+}
+/**
+ * @param {?} millis
+ * @return {?}
+ */
+function _micros(millis) {
+    return Math.round(millis * 1000);
+}
+//# sourceMappingURL=profiling_backends.js.map
\ No newline at end of file
@@ -6,3 +6,6 @@
  * found in the LICENSE file at https://angular.io/license
  */
 export { RenderComponentType, Renderer, RootRenderer } from './render/api';
+export { HydrationRootRenderer } from './render/hydration_renderer';
+export { MemoryComment, MemoryElement, MemoryNode, MemoryRootRenderer, MemoryText } from './render/memory_renderer';
+export { RecordingRootRenderer, RenderCommand, RenderCommandReplayer } from './render/recording_renderer';
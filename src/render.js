@@ -7,4 +7,7 @@
  */
 // Public API for render
 export { RenderComponentType, Renderer, RootRenderer } from './render/api';
+export { HydrationRootRenderer } from './render/hydration_renderer';
+export { MemoryComment, MemoryElement, MemoryNode, MemoryRootRenderer, MemoryText } from './render/memory_renderer';
+export { RecordingRootRenderer, RenderCommandReplayer } from './render/recording_renderer';
 //# sourceMappingURL=render.js.map
\ No newline at end of file
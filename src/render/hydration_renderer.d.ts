@@ -0,0 +1,112 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { AnimationKeyframe } from '../animation/animation_keyframe';
+import { AnimationPlayer } from '../animation/animation_player';
+import { AnimationStyles } from '../animation/animation_styles';
+import { RenderComponentType, RenderDebugInfo, Renderer, RootRenderer } from './api';
+/**
+ * Calls `create`, during which the root nodes of new views can claim the server-rendered nodes
+ * that follow the template anchor `anchor` of a container.
+ */
+export declare function createInContainer<T>(anchor: any, create: () => T): T;
+/**
+ * A {@link RootRenderer} that reuses the DOM rendered on the server, e.g. via
+ * {@link renderModuleToString}, instead of creating it anew, and otherwise forwards to the
+ * renderers of its delegate, e.g. the DOM renderer of the platform.
+ *
+ * While hydrating, root components take over the elements that match their selectors without
+ * clearing them. Every element, text and template anchor that is created in an element taken
+ * over this way claims the next server-rendered child of that element with the same tag, or
+ * of the same kind for texts and anchors, in creation order. Static texts have to match as
+ * well, while bound texts are updated by change detection. The root nodes of the embedded
+ * views that a `ViewContainerRef` creates, e.g. for `ngIf` or `ngFor`, claim the nodes that
+ * follow the template anchor of that container. Other nodes without a parent element, e.g.
+ * projected content, are always created anew. Listeners and bindings are then applied to the
+ * claimed nodes as usual.
+ *
+ * The nodes that follow a container only claim server-rendered nodes after the
+ * `<!--container end-->` comment that the server puts after its embedded views. Containers
+ * that are root nodes of embedded views themselves, e.g. an `ngIf` directly inside an `ngFor`,
+ * share the end comment of the outer container, so their embedded views can still claim the
+ * nodes of later views of the outer container if they have the same tag.
+ *
+ * Nodes that don't match are created anew in their place, and a warning with the template
+ * location from `DebugContext.source` is logged in dev mode. Server-rendered nodes that were
+ * not claimed, e.g. projected content or end comments, and the `style[ng-transition]`
+ * elements of the server are removed by `finishHydration()`, which also ends hydration. The
+ * platform calls it once the components of the bootstrapped module have been checked for the
+ * first time, so components bootstrapped later, e.g. by `ngDoBootstrap` after a delay, are
+ * rendered anew.
+ *
+ * The `APP_ID` of the client has to be the one used on the server, so that the attributes of
+ * emulated view encapsulation match. This renderer should wrap the DOM renderer directly, so
+ * that debug renderers see the claimed nodes.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const hydration = new HydrationRootRenderer(domRootRenderer, document);
+ * // bootstrap with `{provide: RootRenderer, useValue: hydration}`
+ * platformBrowser().bootstrapModuleFactory(AppModuleNgFactory);
+ * ```
+ *
+ * @experimental
+ */
+export declare class HydrationRootRenderer implements RootRenderer {
+    private _delegate;
+    /**
+     * The document in which root elements are looked up.
+     */
+    document: any;
+    private _hydrating;
+    private _renderers;
+    private _claimed;
+    private _serverChildren;
+    private _containers;
+    private _ownContent;
+    constructor(_delegate: RootRenderer, document: any);
+    /**
+     * Whether nodes are still claimed, i.e. `finishHydration()` wasn't called yet.
+     */
+    readonly hydrating: boolean;
+    renderComponent(componentType: RenderComponentType): Renderer;
+    /**
+     * Removes the server-rendered nodes that were not claimed as well as the styles of the
+     * server and stops claiming nodes.
+     */
+    finishHydration(): void;
+}
+export declare class HydrationRenderer implements Renderer {
+    private _root;
+    private _delegate;
+    constructor(_root: HydrationRootRenderer, _delegate: Renderer);
+    selectRootElement(selectorOrNode: string | any, debugInfo?: RenderDebugInfo): any;
+    createElement(parentElement: any, name: string, debugInfo?: RenderDebugInfo): any;
+    createViewRoot(hostElement: any): any;
+    createTemplateAnchor(parentElement: any, debugInfo?: RenderDebugInfo): any;
+    createText(parentElement: any, value: string, debugInfo?: RenderDebugInfo): any;
+    projectNodes(parentElement: any, nodes: any[]): void;
+    attachViewAfter(node: any, viewRootNodes: any[]): void;
+    detachView(viewRootNodes: any[]): void;
+    destroyView(hostElement: any, viewAllNodes: any[]): void;
+    listen(renderElement: any, name: string, callback: Function): Function;
+    listenGlobal(target: string, name: string, callback: Function): Function;
+    setElementProperty(renderElement: any, propertyName: string, propertyValue: any): void;
+    setElementAttribute(renderElement: any, attributeName: string, attributeValue: string): void;
+    setBindingDebugInfo(renderElement: any, propertyName: string, propertyValue: string): void;
+    setElementClass(renderElement: any, className: string, isAdd: boolean): void;
+    setElementStyle(renderElement: any, styleName: string, styleValue: string): void;
+    invokeElementMethod(renderElement: any, methodName: string, args?: any[]): void;
+    setText(renderNode: any, text: string): void;
+    animate(element: any, startingStyles: AnimationStyles, keyframes: AnimationKeyframe[], duration: number, delay: number, easing: string, previousPlayers?: AnimationPlayer[]): AnimationPlayer;
+    /**
+     * Claims a server-rendered node that `matches`, or creates a new one via `create` and puts
+     * it where the server-rendered node was expected.
+     */
+    private _claimOrCreate(parentElement, matches, description, debugInfo, create);
+}
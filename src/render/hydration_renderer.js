@@ -0,0 +1,554 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { isDevMode } from '../application_ref';
+import { warn } from '../facade/lang';
+import { CONTAINER_END_COMMENT_TEXT } from './memory_renderer';
+/**
+ * The properties that replace the content of an element, so that the server-rendered
+ * children of the element must not be removed when hydration finishes.
+ */
+const /** @type {?} */ _CONTENT_PROPERTIES = ['innerHTML', 'innerText', 'textContent'];
+/**
+ * The template anchors of the containers whose views are being created, innermost last.
+ */
+const /** @type {?} */ _creatingInContainers = [];
+/**
+ * Calls `create`, during which the root nodes of new views can claim the server-rendered nodes
+ * that follow the template anchor `anchor` of a container.
+ * @param {?} anchor
+ * @param {?} create
+ * @return {?}
+ */
+export function createInContainer(anchor, create) {
+    _creatingInContainers.push(anchor);
+    try {
+        return create();
+    }
+    finally {
+        _creatingInContainers.pop();
+    }
+}
+/**
+ * A {\@link RootRenderer} that reuses the DOM rendered on the server, e.g. via
+ * {\@link renderModuleToString}, instead of creating it anew, and otherwise forwards to the
+ * renderers of its delegate, e.g. the DOM renderer of the platform.
+ *
+ * While hydrating, root components take over the elements that match their selectors without
+ * clearing them. Every element, text and template anchor that is created in an element taken
+ * over this way claims the next server-rendered child of that element with the same tag, or
+ * of the same kind for texts and anchors, in creation order. Static texts have to match as
+ * well, while bound texts are updated by change detection. The root nodes of the embedded
+ * views that a `ViewContainerRef` creates, e.g. for `ngIf` or `ngFor`, claim the nodes that
+ * follow the template anchor of that container. Other nodes without a parent element, e.g.
+ * projected content, are always created anew. Listeners and bindings are then applied to the
+ * claimed nodes as usual.
+ *
+ * The nodes that follow a container only claim server-rendered nodes after the
+ * `<!--container end-->` comment that the server puts after its embedded views. Containers
+ * that are root nodes of embedded views themselves, e.g. an `ngIf` directly inside an `ngFor`,
+ * share the end comment of the outer container, so their embedded views can still claim the
+ * nodes of later views of the outer container if they have the same tag.
+ *
+ * Nodes that don't match are created anew in their place, and a warning with the template
+ * location from `DebugContext.source` is logged in dev mode. Server-rendered nodes that were
+ * not claimed, e.g. projected content or end comments, and the `style[ng-transition]`
+ * elements of the server are removed by `finishHydration()`, which also ends hydration. The
+ * platform calls it once the components of the bootstrapped module have been checked for the
+ * first time, so components bootstrapped later, e.g. by `ngDoBootstrap` after a delay, are
+ * rendered anew.
+ *
+ * The `APP_ID` of the client has to be the one used on the server, so that the attributes of
+ * emulated view encapsulation match. This renderer should wrap the DOM renderer directly, so
+ * that debug renderers see the claimed nodes.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const hydration = new HydrationRootRenderer(domRootRenderer, document);
+ * // bootstrap with `{provide: RootRenderer, useValue: hydration}`
+ * platformBrowser().bootstrapModuleFactory(AppModuleNgFactory);
+ * ```
+ *
+ * \@experimental
+ */
+export class HydrationRootRenderer {
+    /**
+     * @param {?} _delegate
+     * @param {?} document
+     */
+    constructor(_delegate, document) {
+        this._delegate = _delegate;
+        this.document = document;
+        this._hydrating = true;
+        this._renderers = new Map();
+        this._claimed = new Set();
+        this._serverChildren = new Map();
+        this._containers = new Map();
+        this._ownContent = new Set();
+    }
+    /**
+     * Whether nodes are still claimed, i.e. `finishHydration()` wasn't called yet.
+     * @return {?}
+     */
+    get hydrating() { return this._hydrating; }
+    /**
+     * @param {?} componentType
+     * @return {?}
+     */
+    renderComponent(componentType) {
+        let /** @type {?} */ renderer = this._renderers.get(componentType.id);
+        if (!renderer) {
+            renderer = new HydrationRenderer(this, this._delegate.renderComponent(componentType));
+            this._renderers.set(componentType.id, renderer);
+        }
+        return renderer;
+    }
+    /**
+     * Removes the server-rendered nodes that were not claimed as well as the styles of the
+     * server and stops claiming nodes.
+     * @return {?}
+     */
+    finishHydration() {
+        if (!this._hydrating) {
+            return;
+        }
+        this._hydrating = false;
+        this._serverChildren.forEach((state, parent) => {
+            if (this._ownContent.has(parent)) {
+                return;
+            }
+            state.children.forEach((child) => {
+                if (!this._claimed.has(child) && child.parentNode === parent) {
+                    parent.removeChild(child);
+                }
+            });
+        });
+        let /** @type {?} */ style;
+        while ((style = this.document.querySelector('style[ng-transition]'))) {
+            style.parentNode.removeChild(style);
+        }
+        this._claimed.clear();
+        this._serverChildren.clear();
+        this._containers.clear();
+        this._ownContent.clear();
+    }
+    /**
+     * \@internal
+     * Claims `node` and remembers its current children, which are claimed by the nodes that are
+     * created in it later on.
+     * @param {?} node
+     * @return {?}
+     */
+    _claim(node) {
+        this._claimed.add(node);
+        const /** @type {?} */ state = this._serverChildren.get(node.parentNode);
+        if (node.nodeType === 8 && state) {
+            const /** @type {?} */ next = state.children.indexOf(node) + 1;
+            const /** @type {?} */ end = _indexOfContainerEnd(state.children, next);
+            this._containers.set(node, { state, next, end: end === -1 ? state.children.length : end });
+        }
+        else if (node.nodeType === 1) {
+            this._serverChildren.set(node, { children: Array.from(node.childNodes), next: 0 });
+        }
+        return node;
+    }
+    /**
+     * \@internal
+     * Returns the next unclaimed server-rendered child of `parent` that `matches`, or `null`.
+     * Children that are skipped stay unclaimed, e.g. for embedded views, and the embedded views
+     * of containers are skipped up to their end comment.
+     * @param {?} parent
+     * @param {?} matches
+     * @return {?}
+     */
+    _claimChild(parent, matches) {
+        const /** @type {?} */ state = this._serverChildren.get(parent);
+        for (let /** @type {?} */ i = state.next; i < state.children.length; i++) {
+            const /** @type {?} */ child = state.children[i];
+            const /** @type {?} */ end = child.nodeType === 8 && !_isContainerEnd(child) ?
+                _indexOfContainerEnd(state.children, i + 1) :
+                -1;
+            if (!this._claimed.has(child) && matches(child)) {
+                state.next = (end === -1 ? i : end) + 1;
+                return this._claim(child);
+            }
+            if (end !== -1) {
+                i = end;
+            }
+        }
+        return null;
+    }
+    /**
+     * \@internal
+     * Returns the next unclaimed server-rendered node that directly follows the template anchor
+     * of the container whose views are being created, or the nodes already claimed for it,
+     * before the end comment of the container and that `matches`, or `null`.
+     * @param {?} matches
+     * @return {?}
+     */
+    _claimViewNode(matches) {
+        const /** @type {?} */ anchor = _creatingInContainers[_creatingInContainers.length - 1];
+        const /** @type {?} */ container = anchor ? this._containers.get(anchor) : null;
+        if (!container) {
+            return null;
+        }
+        const /** @type {?} */ node = container.state.children[container.next];
+        if (container.next < container.end && !this._claimed.has(node) && matches(node)) {
+            container.next++;
+            return this._claim(node);
+        }
+        return null;
+    }
+    /**
+     * \@internal
+     * Returns the first unclaimed server-rendered child of `parent` that follows the nodes
+     * claimed so far, i.e. where a node that is created anew has to be inserted.
+     * @param {?} parent
+     * @return {?}
+     */
+    _nextServerChild(parent) {
+        const /** @type {?} */ state = this._serverChildren.get(parent);
+        for (let /** @type {?} */ i = state.next; i < state.children.length; i++) {
+            const /** @type {?} */ child = state.children[i];
+            if (!this._claimed.has(child) && child.parentNode === parent) {
+                return child;
+            }
+        }
+        return null;
+    }
+    /**
+     * \@internal
+     * @param {?} parent
+     * @return {?}
+     */
+    _isHydrated(parent) { return this._hydrating && this._serverChildren.has(parent); }
+    /**
+     * \@internal
+     * @param {?} element
+     * @return {?}
+     */
+    _markOwnContent(element) {
+        if (this._isHydrated(element)) {
+            this._ownContent.add(element);
+        }
+    }
+}
+function HydrationRootRenderer_tsickle_Closure_declarations() {
+    /**
+     * The document in which root elements are looked up.
+     * @type {?}
+     */
+    HydrationRootRenderer.prototype.document;
+    /** @type {?} */
+    HydrationRootRenderer.prototype._hydrating;
+    /** @type {?} */
+    HydrationRootRenderer.prototype._renderers;
+    /** @type {?} */
+    HydrationRootRenderer.prototype._claimed;
+    /**
+     * The server-rendered children of the claimed elements, and the index after the child that
+     * was claimed last.
+     * @type {?}
+     */
+    HydrationRootRenderer.prototype._serverChildren;
+    /**
+     * The claimed template anchors, the index of the node in their parent that the next root
+     * node of an embedded view can claim, and the index of the end comment of their container.
+     * @type {?}
+     */
+    HydrationRootRenderer.prototype._containers;
+    /** @type {?} */
+    HydrationRootRenderer.prototype._ownContent;
+    /** @type {?} */
+    HydrationRootRenderer.prototype._delegate;
+}
+export class HydrationRenderer {
+    /**
+     * @param {?} _root
+     * @param {?} _delegate
+     */
+    constructor(_root, _delegate) {
+        this._root = _root;
+        this._delegate = _delegate;
+    }
+    /**
+     * @param {?} selectorOrNode
+     * @param {?=} debugInfo
+     * @return {?}
+     */
+    selectRootElement(selectorOrNode, debugInfo) {
+        if (this._root.hydrating) {
+            const /** @type {?} */ el = typeof selectorOrNode === 'string' ?
+                this._root.document.querySelector(selectorOrNode) :
+                selectorOrNode;
+            if (el) {
+                return this._root._claim(el);
+            }
+        }
+        return this._delegate.selectRootElement(selectorOrNode, debugInfo);
+    }
+    /**
+     * @param {?} parentElement
+     * @param {?} name
+     * @param {?=} debugInfo
+     * @return {?}
+     */
+    createElement(parentElement, name, debugInfo) {
+        // Namespaced names look like `:svg:rect`.
+        const /** @type {?} */ tagName = (name[0] === ':' ? name.substring(name.indexOf(':', 1) + 1) : name).toLowerCase();
+        return this._claimOrCreate(parentElement, (node) => node.nodeType === 1 && node.nodeName.toLowerCase() === tagName, `<${tagName}>`, debugInfo, (parent) => this._delegate.createElement(parent, name, debugInfo));
+    }
+    /**
+     * @param {?} hostElement
+     * @return {?}
+     */
+    createViewRoot(hostElement) { return this._delegate.createViewRoot(hostElement); }
+    /**
+     * @param {?} parentElement
+     * @param {?=} debugInfo
+     * @return {?}
+     */
+    createTemplateAnchor(parentElement, debugInfo) {
+        return this._claimOrCreate(parentElement, (node) => node.nodeType === 8 && !_isContainerEnd(node), 'a template anchor', debugInfo, (parent) => this._delegate.createTemplateAnchor(parent, debugInfo));
+    }
+    /**
+     * @param {?} parentElement
+     * @param {?} value
+     * @param {?=} debugInfo
+     * @return {?}
+     */
+    createText(parentElement, value, debugInfo) {
+        // Bound texts are created empty and can have any value on the server.
+        return this._claimOrCreate(parentElement, (node) => node.nodeType === 3 && (value === '' || node.nodeValue === value), `the text "${value}"`, debugInfo, (parent) => this._delegate.createText(parent, value, debugInfo));
+    }
+    /**
+     * @param {?} parentElement
+     * @param {?} nodes
+     * @return {?}
+     */
+    projectNodes(parentElement, nodes) {
+        if (!this._root.hydrating || !_areChildrenInOrder(parentElement, nodes)) {
+            this._delegate.projectNodes(parentElement, nodes);
+        }
+    }
+    /**
+     * @param {?} node
+     * @param {?} viewRootNodes
+     * @return {?}
+     */
+    attachViewAfter(node, viewRootNodes) {
+        // Claimed root nodes are already in place, and moving them could e.g. reload iframes.
+        if (!this._root.hydrating || !_areSiblingsInOrder(node, viewRootNodes)) {
+            this._delegate.attachViewAfter(node, viewRootNodes);
+        }
+    }
+    /**
+     * @param {?} viewRootNodes
+     * @return {?}
+     */
+    detachView(viewRootNodes) { this._delegate.detachView(viewRootNodes); }
+    /**
+     * @param {?} hostElement
+     * @param {?} viewAllNodes
+     * @return {?}
+     */
+    destroyView(hostElement, viewAllNodes) {
+        this._delegate.destroyView(hostElement, viewAllNodes);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} name
+     * @param {?} callback
+     * @return {?}
+     */
+    listen(renderElement, name, callback) {
+        return this._delegate.listen(renderElement, name, callback);
+    }
+    /**
+     * @param {?} target
+     * @param {?} name
+     * @param {?} callback
+     * @return {?}
+     */
+    listenGlobal(target, name, callback) {
+        return this._delegate.listenGlobal(target, name, callback);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} propertyName
+     * @param {?} propertyValue
+     * @return {?}
+     */
+    setElementProperty(renderElement, propertyName, propertyValue) {
+        if (_CONTENT_PROPERTIES.indexOf(propertyName) !== -1) {
+            this._root._markOwnContent(renderElement);
+        }
+        this._delegate.setElementProperty(renderElement, propertyName, propertyValue);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} attributeName
+     * @param {?} attributeValue
+     * @return {?}
+     */
+    setElementAttribute(renderElement, attributeName, attributeValue) {
+        this._delegate.setElementAttribute(renderElement, attributeName, attributeValue);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} propertyName
+     * @param {?} propertyValue
+     * @return {?}
+     */
+    setBindingDebugInfo(renderElement, propertyName, propertyValue) {
+        this._delegate.setBindingDebugInfo(renderElement, propertyName, propertyValue);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} className
+     * @param {?} isAdd
+     * @return {?}
+     */
+    setElementClass(renderElement, className, isAdd) {
+        this._delegate.setElementClass(renderElement, className, isAdd);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} styleName
+     * @param {?} styleValue
+     * @return {?}
+     */
+    setElementStyle(renderElement, styleName, styleValue) {
+        this._delegate.setElementStyle(renderElement, styleName, styleValue);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} methodName
+     * @param {?=} args
+     * @return {?}
+     */
+    invokeElementMethod(renderElement, methodName, args) {
+        this._delegate.invokeElementMethod(renderElement, methodName, args);
+    }
+    /**
+     * @param {?} renderNode
+     * @param {?} text
+     * @return {?}
+     */
+    setText(renderNode, text) { this._delegate.setText(renderNode, text); }
+    /**
+     * @param {?} element
+     * @param {?} startingStyles
+     * @param {?} keyframes
+     * @param {?} duration
+     * @param {?} delay
+     * @param {?} easing
+     * @param {?=} previousPlayers
+     * @return {?}
+     */
+    animate(element, startingStyles, keyframes, duration, delay, easing, previousPlayers = []) {
+        return this._delegate.animate(element, startingStyles, keyframes, duration, delay, easing, previousPlayers);
+    }
+    /**
+     * Claims a server-rendered node that `matches`, or creates a new one via `create` and puts
+     * it where the server-rendered node was expected.
+     * @param {?} parentElement
+     * @param {?} matches
+     * @param {?} description
+     * @param {?} debugInfo
+     * @param {?} create
+     * @return {?}
+     */
+    _claimOrCreate(parentElement, matches, description, debugInfo, create) {
+        if (!this._root.hydrating) {
+            return create(parentElement);
+        }
+        if (!parentElement) {
+            // Root nodes of embedded views that were not rendered on the server are expected, and
+            // projected content is not claimed at all.
+            return this._root._claimViewNode(matches) || create(null);
+        }
+        if (!this._root._isHydrated(parentElement)) {
+            return create(parentElement);
+        }
+        const /** @type {?} */ claimed = this._root._claimChild(parentElement, matches);
+        if (claimed) {
+            return claimed;
+        }
+        const /** @type {?} */ nextChild = this._root._nextServerChild(parentElement);
+        if (isDevMode()) {
+            const /** @type {?} */ source = debugInfo && debugInfo.source ? ` at ${debugInfo.source}` : '';
+            warn(`Hydration mismatch${source}: expected ${description}, found ${_describe(nextChild)}. Creating it anew.`);
+        }
+        const /** @type {?} */ node = create(null);
+        parentElement.insertBefore(node, nextChild);
+        return node;
+    }
+}
+function HydrationRenderer_tsickle_Closure_declarations() {
+    /** @type {?} */
+    HydrationRenderer.prototype._root;
+    /** @type {?} */
+    HydrationRenderer.prototype._delegate;
+}
+/**
+ * @param {?} node
+ * @return {?}
+ */
+function _describe(node) {
+    if (!node) {
+        return 'nothing';
+    }
+    switch (node.nodeType) {
+        case 1:
+            return `<${node.nodeName.toLowerCase()}>`;
+        case 3:
+            return `the text "${node.nodeValue}"`;
+        case 8:
+            return 'a comment';
+    }
+    return node.nodeName;
+}
+/**
+ * @param {?} node
+ * @return {?}
+ */
+function _isContainerEnd(node) {
+    return node.nodeType === 8 && node.nodeValue === CONTAINER_END_COMMENT_TEXT;
+}
+/**
+ * Returns the index of the first end comment of a container in `nodes` from `start` on, or -1.
+ * @param {?} nodes
+ * @param {?} start
+ * @return {?}
+ */
+function _indexOfContainerEnd(nodes, start) {
+    for (let /** @type {?} */ i = start; i < nodes.length; i++) {
+        if (_isContainerEnd(nodes[i])) {
+            return i;
+        }
+    }
+    return -1;
+}
+/**
+ * @param {?} node
+ * @param {?} nodes
+ * @return {?}
+ */
+function _areSiblingsInOrder(node, nodes) {
+    return nodes.every((sibling, i) => (i === 0 ? node : nodes[i - 1]).nextSibling === sibling);
+}
+/**
+ * @param {?} parent
+ * @param {?} nodes
+ * @return {?}
+ */
+function _areChildrenInOrder(parent, nodes) {
+    return nodes.every((node, i) => node.parentNode === parent && (i === 0 || nodes[i - 1].nextSibling === node));
+}
+//# sourceMappingURL=hydration_renderer.js.map
\ No newline at end of file
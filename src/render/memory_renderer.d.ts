@@ -0,0 +1,190 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { AnimationKeyframe } from '../animation/animation_keyframe';
+import { AnimationPlayer } from '../animation/animation_player';
+import { AnimationStyles } from '../animation/animation_styles';
+import { RenderComponentType, RenderDebugInfo, Renderer, RootRenderer } from './api';
+/**
+ * The text of the comment that marks where the embedded views that follow a template anchor end
+ * in the serialized HTML, so that hydration can tell them from the nodes after them.
+ */
+export declare const CONTAINER_END_COMMENT_TEXT: string;
+/**
+ * A node of the tree that {@link MemoryRootRenderer} renders into.
+ *
+ * The nodes mimic the parts of the DOM that are needed to inspect and serialize the tree, e.g.
+ * `nodeType`, `nodeName`, `parentNode`, `childNodes` and `outerHTML`.
+ *
+ * @experimental
+ */
+export declare abstract class MemoryNode {
+    nodeType: number;
+    nodeName: string;
+    parentNode: MemoryElement;
+    constructor(nodeType: number, nodeName: string);
+    readonly nextSibling: MemoryNode;
+    readonly textContent: string;
+    readonly outerHTML: string;
+    /**
+     * Removes this node from its parent, if any.
+     */
+    remove(): void;
+}
+/**
+ * @experimental
+ */
+export declare class MemoryText extends MemoryNode {
+    nodeValue: string;
+    constructor(nodeValue: string);
+    readonly textContent: string;
+    readonly outerHTML: string;
+}
+/**
+ * @experimental
+ */
+export declare class MemoryComment extends MemoryNode {
+    nodeValue: string;
+    constructor(nodeValue: string);
+    readonly textContent: string;
+    readonly outerHTML: string;
+}
+/**
+ * An element of the tree that {@link MemoryRootRenderer} renders into.
+ *
+ * Classes and styles are kept in the `class` and `style` attributes. Properties are kept in
+ * `properties`, apart from a few that the DOM reflects as attributes, like `id`, `className`,
+ * `href` and `disabled`, which are set as attributes as well. `innerHTML` is serialized as is.
+ *
+ * In the serialized HTML, the root nodes of the embedded views that follow a template anchor are
+ * followed by a `<!--container end-->` comment, unless the anchor is a root node of an embedded
+ * view itself.
+ *
+ * @experimental
+ */
+export declare class MemoryElement extends MemoryNode {
+    attributes: {
+        [name: string]: string;
+    };
+    properties: {
+        [name: string]: any;
+    };
+    childNodes: MemoryNode[];
+    /**
+     * The listeners registered via `Renderer.listen`.
+     */
+    listeners: {
+        name: string;
+        callback: Function;
+    }[];
+    private _styles;
+    constructor(nodeName: string);
+    readonly children: MemoryElement[];
+    getAttribute(name: string): string;
+    setAttribute(name: string, value: string): void;
+    removeAttribute(name: string): void;
+    readonly classList: string[];
+    getStyle(name: string): string;
+    setStyle(name: string, value: string): void;
+    appendChild(node: MemoryNode): MemoryNode;
+    /**
+     * Inserts `node` before `refNode`, or at the end if `refNode` is `null`.
+     */
+    insertBefore(node: MemoryNode, refNode: MemoryNode): MemoryNode;
+    removeChild(node: MemoryNode): MemoryNode;
+    /**
+     * Returns the first descendant that matches `selector`, which can be a tag name, `#id`,
+     * `.class`, `[attribute]` or `[attribute=value]`, or a combination of those.
+     */
+    querySelector(selector: string): MemoryElement;
+    /**
+     * Calls the listeners of this element for `eventName`.
+     */
+    dispatchEvent(eventName: string, event?: any): void;
+    readonly textContent: string;
+    readonly innerHTML: string;
+    readonly outerHTML: string;
+}
+/**
+ * A {@link RootRenderer} that renders into a tree of {@link MemoryNode}s instead of the DOM,
+ * e.g. to run component tests or to prerender pages in Node without a DOM shim.
+ *
+ * Root components are rendered into the elements of `document` that match their selectors, so
+ * those have to be added first, unless `rootElementContainer` is set. In that case, root
+ * elements whose selector is a tag name are appended to it if they don't exist yet. The styles
+ * of all rendered components are collected in `styles`. Global listeners are registered in
+ * `globalListeners` and are called via `dispatchGlobalEvent`. Animations finish right away.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const rootRenderer = new MemoryRootRenderer();
+ * rootRenderer.document.appendChild(new MemoryElement('my-app'));
+ * // bootstrap with `{provide: RootRenderer, useValue: rootRenderer}`
+ * console.log(rootRenderer.document.outerHTML);
+ * ```
+ *
+ * @experimental
+ */
+export declare class MemoryRootRenderer implements RootRenderer {
+    appId: string;
+    /**
+     * The root of the rendered tree.
+     */
+    document: MemoryElement;
+    /**
+     * The styles of the components rendered so far, with the encapsulation of emulated
+     * components applied.
+     */
+    styles: string[];
+    globalListeners: {
+        target: string;
+        name: string;
+        callback: Function;
+    }[];
+    /**
+     * The element that missing root elements are appended to, e.g. the `body` of `document`.
+     */
+    rootElementContainer: MemoryElement;
+    private _renderers;
+    constructor(appId?: string);
+    renderComponent(componentType: RenderComponentType): Renderer;
+    /**
+     * Calls the global listeners for `target`, i.e. `window`, `document` or `body`, and
+     * `eventName`.
+     */
+    dispatchGlobalEvent(target: string, eventName: string, event?: any): void;
+}
+export declare class MemoryRenderer implements Renderer {
+    private _rootRenderer;
+    private _contentAttr;
+    private _hostAttr;
+    constructor(_rootRenderer: MemoryRootRenderer, componentType: RenderComponentType);
+    selectRootElement(selectorOrNode: string | any, debugInfo?: RenderDebugInfo): any;
+    createElement(parent: any, name: string, debugInfo?: RenderDebugInfo): any;
+    createViewRoot(hostElement: any): any;
+    createTemplateAnchor(parentElement: any, debugInfo?: RenderDebugInfo): any;
+    createText(parentElement: any, value: string, debugInfo?: RenderDebugInfo): any;
+    projectNodes(parentElement: any, nodes: any[]): void;
+    attachViewAfter(node: any, viewRootNodes: any[]): void;
+    detachView(viewRootNodes: any[]): void;
+    destroyView(hostElement: any, viewAllNodes: any[]): void;
+    listen(renderElement: any, name: string, callback: Function): Function;
+    listenGlobal(target: string, name: string, callback: Function): Function;
+    setElementProperty(renderElement: any, propertyName: string, propertyValue: any): void;
+    setElementAttribute(renderElement: any, attributeName: string, attributeValue: string): void;
+    setBindingDebugInfo(renderElement: any, propertyName: string, propertyValue: string): void;
+    setElementClass(renderElement: any, className: string, isAdd: boolean): void;
+    setElementStyle(renderElement: any, styleName: string, styleValue: string): void;
+    /**
+     * Calls `methodName` if the element has such a method, and does nothing otherwise, e.g. for
+     * `focus()`.
+     */
+    invokeElementMethod(renderElement: any, methodName: string, args?: any[]): void;
+    setText(renderNode: any, text: string): void;
+    animate(element: any, startingStyles: AnimationStyles, keyframes: AnimationKeyframe[], duration: number, delay: number, easing: string, previousPlayers?: AnimationPlayer[]): AnimationPlayer;
+}
@@ -0,0 +1,896 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { NoOpAnimationPlayer } from '../animation/animation_player';
+import { APP_ID } from '../application_tokens';
+import { Inject, Injectable, Optional } from '../di';
+import { isPresent } from '../facade/lang';
+import { ViewEncapsulation } from '../metadata/view';
+const /** @type {?} */ _VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+const /** @type {?} */ _RAW_TEXT_ELEMENTS = ['script', 'style'];
+/**
+ * Properties that the DOM reflects as attributes, so that they are part of the serialized HTML.
+ */
+const /** @type {?} */ _REFLECTED_PROPERTIES = {
+    'alt': 'alt',
+    'className': 'class',
+    'href': 'href',
+    'htmlFor': 'for',
+    'id': 'id',
+    'name': 'name',
+    'src': 'src',
+    'tabIndex': 'tabindex',
+    'title': 'title',
+    'type': 'type'
+};
+const /** @type {?} */ _BOOLEAN_PROPERTIES = ['checked', 'disabled', 'hidden', 'readOnly', 'required', 'selected'];
+const /** @type {?} */ _TEMPLATE_COMMENT_TEXT = 'template bindings={}';
+const /** @type {?} */ _TEMPLATE_BINDINGS_EXP = /^template bindings=(.*)$/;
+/**
+ * The text of the comment that marks where the embedded views that follow a template anchor end
+ * in the serialized HTML, so that hydration can tell them from the nodes after them.
+ */
+export const /** @type {?} */ CONTAINER_END_COMMENT_TEXT = 'container end';
+const /** @type {?} */ _CONTAINER_END_COMMENT = `<!--${CONTAINER_END_COMMENT_TEXT}-->`;
+const /** @type {?} */ _COMPONENT_REGEX = /%COMP%/g;
+/**
+ * A node of the tree that {\@link MemoryRootRenderer} renders into.
+ *
+ * The nodes mimic the parts of the DOM that are needed to inspect and serialize the tree, e.g.
+ * `nodeType`, `nodeName`, `parentNode`, `childNodes` and `outerHTML`.
+ *
+ * \@experimental
+ * @abstract
+ */
+export class MemoryNode {
+    /**
+     * @param {?} nodeType
+     * @param {?} nodeName
+     */
+    constructor(nodeType, nodeName) {
+        this.nodeType = nodeType;
+        this.nodeName = nodeName;
+        this.parentNode = null;
+        /**
+         * Whether the node was attached as a root node of an embedded view.
+         * \@internal
+         */
+        this._viewRootNode = false;
+    }
+    /**
+     * @return {?}
+     */
+    get nextSibling() {
+        if (!this.parentNode) {
+            return null;
+        }
+        const /** @type {?} */ siblings = this.parentNode.childNodes;
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+    /**
+     * @abstract
+     * @return {?}
+     */
+    get textContent() { }
+    /**
+     * @abstract
+     * @return {?}
+     */
+    get outerHTML() { }
+    /**
+     * Removes this node from its parent, if any.
+     * @return {?}
+     */
+    remove() {
+        if (this.parentNode) {
+            this.parentNode.removeChild(this);
+        }
+    }
+}
+function MemoryNode_tsickle_Closure_declarations() {
+    /** @type {?} */
+    MemoryNode.prototype.parentNode;
+    /** @type {?} */
+    MemoryNode.prototype.nodeType;
+    /** @type {?} */
+    MemoryNode.prototype.nodeName;
+    /**
+     * Whether the node was attached as a root node of an embedded view.
+     * \@internal
+     * @type {?}
+     */
+    MemoryNode.prototype._viewRootNode;
+}
+/**
+ * \@experimental
+ */
+export class MemoryText extends MemoryNode {
+    /**
+     * @param {?} nodeValue
+     */
+    constructor(nodeValue) {
+        super(3, '#text');
+        this.nodeValue = nodeValue;
+    }
+    /**
+     * @return {?}
+     */
+    get textContent() { return this.nodeValue; }
+    /**
+     * @return {?}
+     */
+    get outerHTML() {
+        return this.parentNode instanceof MemoryElement &&
+            _RAW_TEXT_ELEMENTS.indexOf(this.parentNode.nodeName) !== -1 ?
+            this.nodeValue :
+            _escapeText(this.nodeValue);
+    }
+}
+function MemoryText_tsickle_Closure_declarations() {
+    /** @type {?} */
+    MemoryText.prototype.nodeValue;
+}
+/**
+ * \@experimental
+ */
+export class MemoryComment extends MemoryNode {
+    /**
+     * @param {?} nodeValue
+     */
+    constructor(nodeValue) {
+        super(8, '#comment');
+        this.nodeValue = nodeValue;
+        /**
+         * Whether the comment was created as a template anchor.
+         * \@internal
+         */
+        this._templateAnchor = false;
+    }
+    /**
+     * @return {?}
+     */
+    get textContent() { return ''; }
+    /**
+     * @return {?}
+     */
+    get outerHTML() { return `<!--${this.nodeValue.replace(/--/g, '- -')}-->`; }
+}
+function MemoryComment_tsickle_Closure_declarations() {
+    /** @type {?} */
+    MemoryComment.prototype.nodeValue;
+    /**
+     * Whether the comment was created as a template anchor.
+     * \@internal
+     * @type {?}
+     */
+    MemoryComment.prototype._templateAnchor;
+}
+/**
+ * An element of the tree that {\@link MemoryRootRenderer} renders into.
+ *
+ * Classes and styles are kept in the `class` and `style` attributes. Properties are kept in
+ * `properties`, apart from a few that the DOM reflects as attributes, like `id`, `className`,
+ * `href` and `disabled`, which are set as attributes as well. `innerHTML` is serialized as is.
+ *
+ * In the serialized HTML, the root nodes of the embedded views that follow a template anchor are
+ * followed by a `<!--container end-->` comment, unless the anchor is a root node of an embedded
+ * view itself.
+ *
+ * \@experimental
+ */
+export class MemoryElement extends MemoryNode {
+    /**
+     * @param {?} nodeName
+     */
+    constructor(nodeName) {
+        super(nodeName === '#document' ? 9 : 1, nodeName);
+        this.attributes = {};
+        this.properties = {};
+        this.childNodes = [];
+        this.listeners = [];
+        this._styles = {};
+    }
+    /**
+     * @return {?}
+     */
+    get children() {
+        return (this.childNodes.filter((node) => node instanceof MemoryElement));
+    }
+    /**
+     * @param {?} name
+     * @return {?}
+     */
+    getAttribute(name) {
+        return this.attributes.hasOwnProperty(name) ? this.attributes[name] : null;
+    }
+    /**
+     * @param {?} name
+     * @param {?} value
+     * @return {?}
+     */
+    setAttribute(name, value) {
+        if (name === 'style') {
+            this._styles = _parseStyles(value);
+        }
+        this.attributes[name] = String(value);
+    }
+    /**
+     * @param {?} name
+     * @return {?}
+     */
+    removeAttribute(name) {
+        if (name === 'style') {
+            this._styles = {};
+        }
+        delete this.attributes[name];
+    }
+    /**
+     * @return {?}
+     */
+    get classList() {
+        const /** @type {?} */ classes = this.getAttribute('class');
+        return classes ? classes.split(/\s+/).filter((name) => !!name) : [];
+    }
+    /**
+     * @param {?} name
+     * @return {?}
+     */
+    getStyle(name) { return this._styles[_camelCaseToDashCase(name)] || null; }
+    /**
+     * @param {?} name
+     * @param {?} value
+     * @return {?}
+     */
+    setStyle(name, value) {
+        if (isPresent(value) && value !== '') {
+            this._styles[_camelCaseToDashCase(name)] = String(value);
+        }
+        else {
+            delete this._styles[_camelCaseToDashCase(name)];
+        }
+        const /** @type {?} */ style = Object.keys(this._styles).map((key) => `${key}: ${this._styles[key]};`).join(' ');
+        if (style) {
+            this.attributes['style'] = style;
+        }
+        else {
+            delete this.attributes['style'];
+        }
+    }
+    /**
+     * @param {?} node
+     * @return {?}
+     */
+    appendChild(node) { return this.insertBefore(node, null); }
+    /**
+     * Inserts `node` before `refNode`, or at the end if `refNode` is `null`.
+     * @param {?} node
+     * @param {?} refNode
+     * @return {?}
+     */
+    insertBefore(node, refNode) {
+        if (node === refNode) {
+            refNode = node.nextSibling;
+        }
+        node.remove();
+        const /** @type {?} */ index = refNode ? this.childNodes.indexOf(refNode) : -1;
+        if (index === -1) {
+            this.childNodes.push(node);
+        }
+        else {
+            this.childNodes.splice(index, 0, node);
+        }
+        node.parentNode = this;
+        return node;
+    }
+    /**
+     * @param {?} node
+     * @return {?}
+     */
+    removeChild(node) {
+        const /** @type {?} */ index = this.childNodes.indexOf(node);
+        if (index !== -1) {
+            this.childNodes.splice(index, 1);
+            node.parentNode = null;
+        }
+        return node;
+    }
+    /**
+     * Returns the first descendant that matches `selector`, which can be a tag name, `#id`,
+     * `.class`, `[attribute]` or `[attribute=value]`, or a combination of those.
+     * @param {?} selector
+     * @return {?}
+     */
+    querySelector(selector) {
+        const /** @type {?} */ matcher = _compileSelector(selector);
+        let /** @type {?} */ result = null;
+        _visitElements(this, (element) => {
+            if (!result && matcher(element)) {
+                result = element;
+            }
+        });
+        return result;
+    }
+    /**
+     * Calls the listeners of this element for `eventName`.
+     * @param {?} eventName
+     * @param {?=} event
+     * @return {?}
+     */
+    dispatchEvent(eventName, event = { type: eventName, target: this }) {
+        this.listeners.slice().forEach((listener) => {
+            if (listener.name === eventName) {
+                listener.callback(event);
+            }
+        });
+    }
+    /**
+     * @return {?}
+     */
+    get textContent() {
+        return this.childNodes.map((node) => node.textContent).join('');
+    }
+    /**
+     * @return {?}
+     */
+    get innerHTML() {
+        if (this.properties.hasOwnProperty('innerHTML')) {
+            return String(this.properties['innerHTML']);
+        }
+        return this.childNodes.map((node, i) => this._childHTML(i)).join('');
+    }
+    /**
+     * @return {?}
+     */
+    get outerHTML() { return `${this._openTag()}${this.innerHTML}${this._closeTag()}`; }
+    /**
+     * The markup of the child at `index`, followed by the comment that marks the end of a
+     * container if the child is the last node of one.
+     * \@internal
+     * @param {?} index
+     * @return {?}
+     */
+    _childHTML(index) {
+        const /** @type {?} */ next = this.childNodes[index + 1];
+        let /** @type {?} */ start = index;
+        while (start >= 0 && this.childNodes[start]._viewRootNode) {
+            start--;
+        }
+        const /** @type {?} */ anchor = this.childNodes[start];
+        const /** @type {?} */ endsContainer = (!next || !next._viewRootNode) &&
+            anchor instanceof MemoryComment && anchor._templateAnchor;
+        return this.childNodes[index].outerHTML + (endsContainer ? _CONTAINER_END_COMMENT : '');
+    }
+    /**
+     * The markup before the children of this element, i.e. its start tag.
+     * \@internal
+     * @return {?}
+     */
+    _openTag() {
+        if (this.nodeType === 9) {
+            return '';
+        }
+        const /** @type {?} */ attributes = Object.keys(this.attributes)
+            .map((name) => this.attributes[name] === '' ? ` ${name}` :
+            ` ${name}="${_escapeAttribute(this.attributes[name])}"`)
+            .join('');
+        return `<${this.nodeName}${attributes}>`;
+    }
+    /**
+     * The markup after the children of this element, i.e. its end tag.
+     * \@internal
+     * @return {?}
+     */
+    _closeTag() {
+        if (this.nodeType === 9 || _VOID_ELEMENTS.indexOf(this.nodeName) !== -1) {
+            return '';
+        }
+        return `</${this.nodeName}>`;
+    }
+}
+function MemoryElement_tsickle_Closure_declarations() {
+    /** @type {?} */
+    MemoryElement.prototype.attributes;
+    /** @type {?} */
+    MemoryElement.prototype.properties;
+    /** @type {?} */
+    MemoryElement.prototype.childNodes;
+    /**
+     * The listeners registered via `Renderer.listen`.
+     * @type {?}
+     */
+    MemoryElement.prototype.listeners;
+    /** @type {?} */
+    MemoryElement.prototype._styles;
+}
+/**
+ * A {\@link RootRenderer} that renders into a tree of {\@link MemoryNode}s instead of the DOM,
+ * e.g. to run component tests or to prerender pages in Node without a DOM shim.
+ *
+ * Root components are rendered into the elements of `document` that match their selectors, so
+ * those have to be added first, unless `rootElementContainer` is set. In that case, root
+ * elements whose selector is a tag name are appended to it if they don't exist yet. The styles
+ * of all rendered components are collected in `styles`. Global listeners are registered in
+ * `globalListeners` and are called via `dispatchGlobalEvent`. Animations finish right away.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const rootRenderer = new MemoryRootRenderer();
+ * rootRenderer.document.appendChild(new MemoryElement('my-app'));
+ * // bootstrap with `{provide: RootRenderer, useValue: rootRenderer}`
+ * console.log(rootRenderer.document.outerHTML);
+ * ```
+ *
+ * \@experimental
+ */
+export class MemoryRootRenderer {
+    /**
+     * @param {?=} appId
+     */
+    constructor(appId = null) {
+        this.appId = appId;
+        this.document = new MemoryElement('#document');
+        this.styles = [];
+        this.globalListeners = [];
+        this.rootElementContainer = null;
+        this._renderers = new Map();
+    }
+    /**
+     * @param {?} componentType
+     * @return {?}
+     */
+    renderComponent(componentType) {
+        let /** @type {?} */ renderer = this._renderers.get(componentType.id);
+        if (!renderer) {
+            renderer = new MemoryRenderer(this, componentType);
+            this._renderers.set(componentType.id, renderer);
+        }
+        return renderer;
+    }
+    /**
+     * Calls the global listeners for `target`, i.e. `window`, `document` or `body`, and
+     * `eventName`.
+     * @param {?} target
+     * @param {?} eventName
+     * @param {?=} event
+     * @return {?}
+     */
+    dispatchGlobalEvent(target, eventName, event = { type: eventName, target }) {
+        this.globalListeners.slice().forEach((listener) => {
+            if (listener.target === target && listener.name === eventName) {
+                listener.callback(event);
+            }
+        });
+    }
+}
+MemoryRootRenderer.decorators = [
+    { type: Injectable },
+];
+/** @nocollapse */
+MemoryRootRenderer.ctorParameters = () => [
+    { type: undefined, decorators: [{ type: Optional }, { type: Inject, args: [APP_ID,] },] },
+];
+function MemoryRootRenderer_tsickle_Closure_declarations() {
+    /** @type {?} */
+    MemoryRootRenderer.decorators;
+    /**
+     * @nocollapse
+     * @type {?}
+     */
+    MemoryRootRenderer.ctorParameters;
+    /**
+     * The root of the rendered tree.
+     * @type {?}
+     */
+    MemoryRootRenderer.prototype.document;
+    /**
+     * The styles of the components rendered so far, with the encapsulation of emulated
+     * components applied.
+     * @type {?}
+     */
+    MemoryRootRenderer.prototype.styles;
+    /** @type {?} */
+    MemoryRootRenderer.prototype.globalListeners;
+    /**
+     * The element that missing root elements are appended to, e.g. the `body` of `document`.
+     * @type {?}
+     */
+    MemoryRootRenderer.prototype.rootElementContainer;
+    /** @type {?} */
+    MemoryRootRenderer.prototype._renderers;
+    /** @type {?} */
+    MemoryRootRenderer.prototype.appId;
+}
+export class MemoryRenderer {
+    /**
+     * @param {?} _rootRenderer
+     * @param {?} componentType
+     */
+    constructor(_rootRenderer, componentType) {
+        this._rootRenderer = _rootRenderer;
+        this._contentAttr = null;
+        this._hostAttr = null;
+        const /** @type {?} */ styleShimId = isPresent(_rootRenderer.appId) ? `${_rootRenderer.appId}-${componentType.id}` : componentType.id;
+        this._rootRenderer.styles.push(..._flattenStyles(styleShimId, componentType.styles, []));
+        if (componentType.encapsulation === ViewEncapsulation.Emulated) {
+            this._contentAttr = `_ngcontent-${styleShimId}`;
+            this._hostAttr = `_nghost-${styleShimId}`;
+        }
+    }
+    /**
+     * @param {?} selectorOrNode
+     * @param {?=} debugInfo
+     * @return {?}
+     */
+    selectRootElement(selectorOrNode, debugInfo) {
+        let /** @type {?} */ el;
+        if (typeof selectorOrNode === 'string') {
+            el = this._rootRenderer.document.querySelector(selectorOrNode);
+            const /** @type {?} */ container = this._rootRenderer.rootElementContainer;
+            if (!el && container && /^[\w-]+$/.test(selectorOrNode)) {
+                el = container.appendChild(new MemoryElement(selectorOrNode.toLowerCase()));
+            }
+            if (!el) {
+                throw new Error(`The selector "${selectorOrNode}" did not match any elements`);
+            }
+        }
+        else {
+            el = selectorOrNode;
+        }
+        el.childNodes.slice().forEach((node) => node.remove());
+        return el;
+    }
+    /**
+     * @param {?} parent
+     * @param {?} name
+     * @param {?=} debugInfo
+     * @return {?}
+     */
+    createElement(parent, name, debugInfo) {
+        // Namespaced names look like `:svg:rect`.
+        const /** @type {?} */ el = new MemoryElement(name[0] === ':' ? name.substring(name.indexOf(':', 1) + 1) : name);
+        if (this._contentAttr) {
+            el.setAttribute(this._contentAttr, '');
+        }
+        if (parent) {
+            parent.appendChild(el);
+        }
+        return el;
+    }
+    /**
+     * @param {?} hostElement
+     * @return {?}
+     */
+    createViewRoot(hostElement) {
+        if (this._hostAttr) {
+            hostElement.setAttribute(this._hostAttr, '');
+        }
+        return hostElement;
+    }
+    /**
+     * @param {?} parentElement
+     * @param {?=} debugInfo
+     * @return {?}
+     */
+    createTemplateAnchor(parentElement, debugInfo) {
+        const /** @type {?} */ comment = new MemoryComment(_TEMPLATE_COMMENT_TEXT);
+        comment._templateAnchor = true;
+        if (parentElement) {
+            parentElement.appendChild(comment);
+        }
+        return comment;
+    }
+    /**
+     * @param {?} parentElement
+     * @param {?} value
+     * @param {?=} debugInfo
+     * @return {?}
+     */
+    createText(parentElement, value, debugInfo) {
+        const /** @type {?} */ node = new MemoryText(value);
+        if (parentElement) {
+            parentElement.appendChild(node);
+        }
+        return node;
+    }
+    /**
+     * @param {?} parentElement
+     * @param {?} nodes
+     * @return {?}
+     */
+    projectNodes(parentElement, nodes) {
+        if (parentElement) {
+            nodes.forEach((node) => parentElement.appendChild(node));
+        }
+    }
+    /**
+     * @param {?} node
+     * @param {?} viewRootNodes
+     * @return {?}
+     */
+    attachViewAfter(node, viewRootNodes) {
+        const /** @type {?} */ parent = node.parentNode;
+        if (parent) {
+            const /** @type {?} */ nextSibling = node.nextSibling;
+            viewRootNodes.forEach((rootNode) => {
+                rootNode._viewRootNode = true;
+                parent.insertBefore(rootNode, nextSibling);
+            });
+        }
+    }
+    /**
+     * @param {?} viewRootNodes
+     * @return {?}
+     */
+    detachView(viewRootNodes) {
+        viewRootNodes.forEach((node) => {
+            node._viewRootNode = false;
+            node.remove();
+        });
+    }
+    /**
+     * @param {?} hostElement
+     * @param {?} viewAllNodes
+     * @return {?}
+     */
+    destroyView(hostElement, viewAllNodes) { }
+    /**
+     * @param {?} renderElement
+     * @param {?} name
+     * @param {?} callback
+     * @return {?}
+     */
+    listen(renderElement, name, callback) {
+        return _addListener(renderElement.listeners, { name, callback });
+    }
+    /**
+     * @param {?} target
+     * @param {?} name
+     * @param {?} callback
+     * @return {?}
+     */
+    listenGlobal(target, name, callback) {
+        return _addListener(this._rootRenderer.globalListeners, { target, name, callback });
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} propertyName
+     * @param {?} propertyValue
+     * @return {?}
+     */
+    setElementProperty(renderElement, propertyName, propertyValue) {
+        renderElement.properties[propertyName] = propertyValue;
+        if (_REFLECTED_PROPERTIES.hasOwnProperty(propertyName)) {
+            this.setElementAttribute(renderElement, _REFLECTED_PROPERTIES[propertyName], propertyValue);
+        }
+        else if (_BOOLEAN_PROPERTIES.indexOf(propertyName) !== -1) {
+            this.setElementAttribute(renderElement, propertyName.toLowerCase(), propertyValue ? '' : null);
+        }
+        else if (propertyName === 'textContent') {
+            renderElement.childNodes.slice().forEach((node) => node.remove());
+            if (isPresent(propertyValue) && propertyValue !== '') {
+                renderElement.appendChild(new MemoryText(String(propertyValue)));
+            }
+        }
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} attributeName
+     * @param {?} attributeValue
+     * @return {?}
+     */
+    setElementAttribute(renderElement, attributeName, attributeValue) {
+        // Namespaced names look like `:xlink:href`.
+        const /** @type {?} */ name = attributeName[0] === ':' ? attributeName.substring(1) : attributeName;
+        if (isPresent(attributeValue)) {
+            renderElement.setAttribute(name, attributeValue);
+        }
+        else {
+            renderElement.removeAttribute(name);
+        }
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} propertyName
+     * @param {?} propertyValue
+     * @return {?}
+     */
+    setBindingDebugInfo(renderElement, propertyName, propertyValue) {
+        if (renderElement instanceof MemoryComment) {
+            // Like the DOM renderer, list the bindings of template anchors in their text.
+            const /** @type {?} */ match = _TEMPLATE_BINDINGS_EXP.exec(renderElement.nodeValue.replace(/\n/g, ''));
+            const /** @type {?} */ bindings = match ? JSON.parse(match[1]) : {};
+            bindings[propertyName] = propertyValue;
+            renderElement.nodeValue = `template bindings=${JSON.stringify(bindings, null, 2)}`;
+        }
+        else {
+            this.setElementAttribute(renderElement, propertyName, propertyValue);
+        }
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} className
+     * @param {?} isAdd
+     * @return {?}
+     */
+    setElementClass(renderElement, className, isAdd) {
+        const /** @type {?} */ classes = renderElement.classList.filter((name) => name !== className);
+        if (isAdd) {
+            classes.push(className);
+        }
+        if (classes.length) {
+            renderElement.setAttribute('class', classes.join(' '));
+        }
+        else {
+            renderElement.removeAttribute('class');
+        }
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} styleName
+     * @param {?} styleValue
+     * @return {?}
+     */
+    setElementStyle(renderElement, styleName, styleValue) {
+        renderElement.setStyle(styleName, styleValue);
+    }
+    /**
+     * Calls `methodName` if the element has such a method, and does nothing otherwise, e.g. for
+     * `focus()`.
+     * @param {?} renderElement
+     * @param {?} methodName
+     * @param {?=} args
+     * @return {?}
+     */
+    invokeElementMethod(renderElement, methodName, args) {
+        if (typeof renderElement[methodName] === 'function') {
+            renderElement[methodName].apply(renderElement, args || []);
+        }
+    }
+    /**
+     * @param {?} renderNode
+     * @param {?} text
+     * @return {?}
+     */
+    setText(renderNode, text) { renderNode.nodeValue = text; }
+    /**
+     * @param {?} element
+     * @param {?} startingStyles
+     * @param {?} keyframes
+     * @param {?} duration
+     * @param {?} delay
+     * @param {?} easing
+     * @param {?=} previousPlayers
+     * @return {?}
+     */
+    animate(element, startingStyles, keyframes, duration, delay, easing, previousPlayers = []) {
+        return new NoOpAnimationPlayer();
+    }
+}
+function MemoryRenderer_tsickle_Closure_declarations() {
+    /** @type {?} */
+    MemoryRenderer.prototype._contentAttr;
+    /** @type {?} */
+    MemoryRenderer.prototype._hostAttr;
+    /** @type {?} */
+    MemoryRenderer.prototype._rootRenderer;
+}
+/**
+ * @param {?} listeners
+ * @param {?} listener
+ * @return {?}
+ */
+function _addListener(listeners, listener) {
+    listeners.push(listener);
+    return () => {
+        const /** @type {?} */ index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    };
+}
+/**
+ * @param {?} compId
+ * @param {?} styles
+ * @param {?} target
+ * @return {?}
+ */
+function _flattenStyles(compId, styles, target) {
+    for (let /** @type {?} */ i = 0; i < styles.length; i++) {
+        let /** @type {?} */ style = styles[i];
+        if (Array.isArray(style)) {
+            _flattenStyles(compId, style, target);
+        }
+        else {
+            style = style.replace(_COMPONENT_REGEX, compId);
+            target.push(style);
+        }
+    }
+    return target;
+}
+/**
+ * @param {?} selector
+ * @return {?}
+ */
+function _compileSelector(selector) {
+    const /** @type {?} */ conditions = [];
+    const /** @type {?} */ partExp = /([#.]?)([\w-]+)|\[\s*([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]*)))?\s*\]/g;
+    let /** @type {?} */ consumed = 0;
+    let /** @type {?} */ match;
+    while ((match = partExp.exec(selector)) !== null && match.index === consumed) {
+        consumed += match[0].length;
+        if (match[3]) {
+            const /** @type {?} */ name = match[3];
+            const /** @type {?} */ value = [match[4], match[5], match[6]].find((group) => group !== undefined);
+            conditions.push((el) => el.attributes.hasOwnProperty(name) &&
+                (value === undefined || el.attributes[name] === value));
+        }
+        else if (match[1] === '#') {
+            const /** @type {?} */ id = match[2];
+            conditions.push((el) => el.attributes['id'] === id);
+        }
+        else if (match[1] === '.') {
+            const /** @type {?} */ className = match[2];
+            conditions.push((el) => el.classList.indexOf(className) !== -1);
+        }
+        else {
+            const /** @type {?} */ tagName = match[2].toLowerCase();
+            conditions.push((el) => el.nodeName.toLowerCase() === tagName);
+        }
+    }
+    if (!conditions.length || consumed !== selector.trim().length) {
+        throw new Error(`Unsupported selector "${selector}"`);
+    }
+    return (el) => conditions.every((condition) => condition(el));
+}
+/**
+ * @param {?} element
+ * @param {?} visitor
+ * @return {?}
+ */
+function _visitElements(element, visitor) {
+    element.children.forEach((child) => {
+        visitor(child);
+        _visitElements(child, visitor);
+    });
+}
+/**
+ * @param {?} style
+ * @return {?}
+ */
+function _parseStyles(style) {
+    const /** @type {?} */ styles = {};
+    String(style).split(';').forEach((declaration) => {
+        const /** @type {?} */ colon = declaration.indexOf(':');
+        if (colon !== -1) {
+            styles[declaration.substring(0, colon).trim()] = declaration.substring(colon + 1).trim();
+        }
+    });
+    return styles;
+}
+/**
+ * @param {?} input
+ * @return {?}
+ */
+function _camelCaseToDashCase(input) {
+    return input.replace(/[A-Z]/g, (m) => '-' + m.toLowerCase());
+}
+/**
+ * @param {?} text
+ * @return {?}
+ */
+function _escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+/**
+ * @param {?} value
+ * @return {?}
+ */
+function _escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+//# sourceMappingURL=memory_renderer.js.map
\ No newline at end of file
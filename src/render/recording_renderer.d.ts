@@ -0,0 +1,142 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { AnimationKeyframe } from '../animation/animation_keyframe';
+import { AnimationPlayer } from '../animation/animation_player';
+import { AnimationStyles } from '../animation/animation_styles';
+import { RenderComponentType, RenderDebugInfo, Renderer, RootRenderer } from './api';
+/**
+ * A call to a {@link Renderer}, as recorded by {@link RecordingRootRenderer}.
+ *
+ * `component` is the id of the {@link RenderComponentType} of the renderer. Nodes in `args` are
+ * replaced with their ids, and `result` is the id of the node that the call created, or of the
+ * listener that it registered. The method `renderComponent` stands for the creation of a
+ * renderer, and `unlisten` for a call of the function that `listen` returned.
+ *
+ * @experimental
+ */
+export interface RenderCommand {
+    component: string;
+    method: string;
+    args: any[];
+    result?: number;
+}
+/**
+ * A {@link RootRenderer} that records every call to the renderers it creates as
+ * {@link RenderCommand}s and then forwards it to the renderers of its delegate.
+ *
+ * Nodes are identified by ids that are assigned in the order in which the nodes are first seen,
+ * so recording the same interaction twice yields the same commands. The commands can be
+ * serialized via `JSON.stringify`, and applied to another renderer via
+ * {@link RenderCommandReplayer}.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const recorder = new RecordingRootRenderer(domRootRenderer);
+ * // bootstrap with `{provide: RootRenderer, useValue: recorder}`
+ * recorder.clear();
+ * appRef.tick();
+ * console.log(`${recorder.commands.length} renderer calls`);
+ * ```
+ *
+ * @experimental
+ */
+export declare class RecordingRootRenderer implements RootRenderer {
+    private _delegate;
+    /**
+     * The commands recorded so far, oldest first.
+     */
+    commands: RenderCommand[];
+    private _renderers;
+    private _componentTypes;
+    /**
+     * The components whose `renderComponent` command is part of `commands`.
+     */
+    private _recordedComponents;
+    private _nodeIds;
+    private _nextNodeId;
+    private _nextListenerId;
+    constructor(_delegate: RootRenderer);
+    renderComponent(componentType: RenderComponentType): Renderer;
+    /**
+     * Forgets the commands recorded so far.
+     *
+     * Node ids stay the same, so the commands recorded afterwards can refer to nodes that were
+     * created before. The `renderComponent` command of a renderer is recorded again before its
+     * next call.
+     */
+    clear(): void;
+    /**
+     * Returns the id of `node` in the recorded commands.
+     */
+    getNodeId(node: any): number;
+    private _recordRenderComponent(component);
+    private _recordArgument(kind, arg);
+}
+export declare class RecordingRenderer implements Renderer {
+    private _root;
+    private _component;
+    private _delegate;
+    constructor(_root: RecordingRootRenderer, _component: string, _delegate: Renderer);
+    private _record(method, args);
+    selectRootElement(selectorOrNode: string | any, debugInfo?: RenderDebugInfo): any;
+    createElement(parentElement: any, name: string, debugInfo?: RenderDebugInfo): any;
+    createViewRoot(hostElement: any): any;
+    createTemplateAnchor(parentElement: any, debugInfo?: RenderDebugInfo): any;
+    createText(parentElement: any, value: string, debugInfo?: RenderDebugInfo): any;
+    projectNodes(parentElement: any, nodes: any[]): void;
+    attachViewAfter(node: any, viewRootNodes: any[]): void;
+    detachView(viewRootNodes: any[]): void;
+    destroyView(hostElement: any, viewAllNodes: any[]): void;
+    listen(renderElement: any, name: string, callback: Function): Function;
+    listenGlobal(target: string, name: string, callback: Function): Function;
+    setElementProperty(renderElement: any, propertyName: string, propertyValue: any): void;
+    setElementAttribute(renderElement: any, attributeName: string, attributeValue: string): void;
+    setBindingDebugInfo(renderElement: any, propertyName: string, propertyValue: string): void;
+    setElementClass(renderElement: any, className: string, isAdd: boolean): void;
+    setElementStyle(renderElement: any, styleName: string, styleValue: string): void;
+    invokeElementMethod(renderElement: any, methodName: string, args?: any[]): void;
+    setText(renderNode: any, text: string): void;
+    animate(element: any, startingStyles: AnimationStyles, keyframes: AnimationKeyframe[], duration: number, delay: number, easing: string, previousPlayers?: AnimationPlayer[]): AnimationPlayer;
+}
+/**
+ * Applies {@link RenderCommand}s recorded by a {@link RecordingRootRenderer} to the renderers
+ * of another {@link RootRenderer}.
+ *
+ * Nodes are created anew, except for nodes that were not created by a recorded command, e.g.
+ * the host element of a root component that was selected by passing the node itself, which
+ * can be passed via `setNode`. The nodes are kept across calls of `replay`, so the commands
+ * recorded after `clear()` can be replayed after the ones recorded before, or with the nodes
+ * they refer to passed via `setNode`. Listeners are registered without a callback, and `animate`
+ * commands are skipped as their styles and keyframes are not recorded as objects. Values that
+ * are not serializable, e.g. objects bound to properties, are applied as recorded.
+ *
+ * @experimental
+ */
+export declare class RenderCommandReplayer {
+    private _rootRenderer;
+    private _renderers;
+    private _nodes;
+    private _unlisteners;
+    constructor(_rootRenderer: RootRenderer);
+    /**
+     * Applies `commands` in order.
+     */
+    replay(commands: RenderCommand[]): void;
+    /**
+     * Returns the node of the target renderer for the recorded node id `id`.
+     */
+    getNode(id: number): any;
+    /**
+     * Makes commands that reference the recorded node id `id` use `node`.
+     */
+    setNode(id: number, node: any): void;
+    private _apply(command);
+    private _replayArgument(command, kind, arg);
+    private _getKnownNode(command, id);
+}
@@ -0,0 +1,511 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { toSnapshotValue } from '../debug/debug_snapshot';
+import { isPresent } from '../facade/lang';
+import { RenderComponentType } from './api';
+/**
+ * How the arguments of every renderer method are recorded: `node` as a node id, `nodes` as
+ * a list of node ids, `selectorOrNode` as a string or a node id and `value` as a value that
+ * `JSON.stringify` can handle. Arguments that aren't listed, like debug infos and callbacks,
+ * are not recorded.
+ */
+const /** @type {?} */ _ARGUMENTS = {
+    selectRootElement: ['selectorOrNode'],
+    createElement: ['node', 'value'],
+    createViewRoot: ['node'],
+    createTemplateAnchor: ['node'],
+    createText: ['node', 'value'],
+    projectNodes: ['node', 'nodes'],
+    attachViewAfter: ['node', 'nodes'],
+    detachView: ['nodes'],
+    destroyView: ['node', 'nodes'],
+    listen: ['node', 'value'],
+    listenGlobal: ['value', 'value'],
+    setElementProperty: ['node', 'value', 'value'],
+    setElementAttribute: ['node', 'value', 'value'],
+    setBindingDebugInfo: ['node', 'value', 'value'],
+    setElementClass: ['node', 'value', 'value'],
+    setElementStyle: ['node', 'value', 'value'],
+    invokeElementMethod: ['node', 'value', 'value'],
+    setText: ['node', 'value'],
+    animate: ['node', 'value', 'value', 'value', 'value', 'value']
+};
+/**
+ * The methods whose result is a new node.
+ */
+const /** @type {?} */ _NODE_FACTORIES = ['selectRootElement', 'createElement', 'createViewRoot', 'createTemplateAnchor', 'createText'];
+/**
+ * A {\@link RootRenderer} that records every call to the renderers it creates as
+ * {\@link RenderCommand}s and then forwards it to the renderers of its delegate.
+ *
+ * Nodes are identified by ids that are assigned in the order in which the nodes are first seen,
+ * so recording the same interaction twice yields the same commands. The commands can be
+ * serialized via `JSON.stringify`, and applied to another renderer via
+ * {\@link RenderCommandReplayer}.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * const recorder = new RecordingRootRenderer(domRootRenderer);
+ * // bootstrap with `{provide: RootRenderer, useValue: recorder}`
+ * recorder.clear();
+ * appRef.tick();
+ * console.log(`${recorder.commands.length} renderer calls`);
+ * ```
+ *
+ * \@experimental
+ */
+export class RecordingRootRenderer {
+    /**
+     * @param {?} _delegate
+     */
+    constructor(_delegate) {
+        this._delegate = _delegate;
+        this.commands = [];
+        this._renderers = new Map();
+        this._componentTypes = new Map();
+        this._recordedComponents = new Set();
+        this._nodeIds = new WeakMap();
+        this._nextNodeId = 0;
+        this._nextListenerId = 0;
+    }
+    /**
+     * @param {?} componentType
+     * @return {?}
+     */
+    renderComponent(componentType) {
+        let /** @type {?} */ renderer = this._renderers.get(componentType.id);
+        if (!renderer) {
+            this._componentTypes.set(componentType.id, toSnapshotValue({
+                id: componentType.id,
+                templateUrl: componentType.templateUrl,
+                slotCount: componentType.slotCount,
+                encapsulation: componentType.encapsulation,
+                styles: componentType.styles
+            }, false));
+            this._recordRenderComponent(componentType.id);
+            renderer = new RecordingRenderer(this, componentType.id, this._delegate.renderComponent(componentType));
+            this._renderers.set(componentType.id, renderer);
+        }
+        return renderer;
+    }
+    /**
+     * Forgets the commands recorded so far.
+     *
+     * Node ids stay the same, so the commands recorded afterwards can refer to nodes that were
+     * created before. The `renderComponent` command of a renderer is recorded again before its
+     * next call.
+     * @return {?}
+     */
+    clear() {
+        this.commands = [];
+        this._recordedComponents.clear();
+    }
+    /**
+     * Returns the id of `node` in the recorded commands.
+     * @param {?} node
+     * @return {?}
+     */
+    getNodeId(node) {
+        let /** @type {?} */ id = this._nodeIds.get(node);
+        if (id === undefined) {
+            id = this._nextNodeId++;
+            this._nodeIds.set(node, id);
+        }
+        return id;
+    }
+    /**
+     * \@internal
+     * @param {?} component
+     * @param {?} method
+     * @param {?} args
+     * @param {?} call
+     * @return {?}
+     */
+    _record(component, method, args, call) {
+        this._recordRenderComponent(component);
+        const /** @type {?} */ command = {
+            component,
+            method,
+            args: _ARGUMENTS[method].map((kind, index) => this._recordArgument(kind, args[index]))
+        };
+        this.commands.push(command);
+        const /** @type {?} */ result = call();
+        if (_NODE_FACTORIES.indexOf(method) !== -1) {
+            command.result = this.getNodeId(result);
+        }
+        else if (method === 'listen' || method === 'listenGlobal') {
+            const /** @type {?} */ listenerId = command.result = this._nextListenerId++;
+            return () => {
+                this.commands.push({ component, method: 'unlisten', args: [listenerId] });
+                result();
+            };
+        }
+        return result;
+    }
+    /**
+     * @param {?} component
+     * @return {?}
+     */
+    _recordRenderComponent(component) {
+        if (!this._recordedComponents.has(component)) {
+            this._recordedComponents.add(component);
+            this.commands.push({ component, method: 'renderComponent', args: [this._componentTypes.get(component)] });
+        }
+    }
+    /**
+     * @param {?} kind
+     * @param {?} arg
+     * @return {?}
+     */
+    _recordArgument(kind, arg) {
+        switch (kind) {
+            case 'node':
+                return isPresent(arg) ? this.getNodeId(arg) : null;
+            case 'nodes':
+                return (arg || []).map((node) => this.getNodeId(node));
+            case 'selectorOrNode':
+                return typeof arg === 'string' ? arg : this.getNodeId(arg);
+            default:
+                return toSnapshotValue(arg, false);
+        }
+    }
+}
+function RecordingRootRenderer_tsickle_Closure_declarations() {
+    /**
+     * The commands recorded so far, oldest first.
+     * @type {?}
+     */
+    RecordingRootRenderer.prototype.commands;
+    /** @type {?} */
+    RecordingRootRenderer.prototype._renderers;
+    /** @type {?} */
+    RecordingRootRenderer.prototype._componentTypes;
+    /**
+     * The components whose `renderComponent` command is part of `commands`.
+     * @type {?}
+     */
+    RecordingRootRenderer.prototype._recordedComponents;
+    /** @type {?} */
+    RecordingRootRenderer.prototype._nodeIds;
+    /** @type {?} */
+    RecordingRootRenderer.prototype._nextNodeId;
+    /** @type {?} */
+    RecordingRootRenderer.prototype._nextListenerId;
+    /** @type {?} */
+    RecordingRootRenderer.prototype._delegate;
+}
+export class RecordingRenderer {
+    /**
+     * @param {?} _root
+     * @param {?} _component
+     * @param {?} _delegate
+     */
+    constructor(_root, _component, _delegate) {
+        this._root = _root;
+        this._component = _component;
+        this._delegate = _delegate;
+    }
+    /**
+     * @param {?} method
+     * @param {?} args
+     * @return {?}
+     */
+    _record(method, args) {
+        return this._root._record(this._component, method, args, () => this._delegate[method].apply(this._delegate, args));
+    }
+    /**
+     * @param {?} selectorOrNode
+     * @param {?=} debugInfo
+     * @return {?}
+     */
+    selectRootElement(selectorOrNode, debugInfo) {
+        return this._record('selectRootElement', [selectorOrNode, debugInfo]);
+    }
+    /**
+     * @param {?} parentElement
+     * @param {?} name
+     * @param {?=} debugInfo
+     * @return {?}
+     */
+    createElement(parentElement, name, debugInfo) {
+        return this._record('createElement', [parentElement, name, debugInfo]);
+    }
+    /**
+     * @param {?} hostElement
+     * @return {?}
+     */
+    createViewRoot(hostElement) { return this._record('createViewRoot', [hostElement]); }
+    /**
+     * @param {?} parentElement
+     * @param {?=} debugInfo
+     * @return {?}
+     */
+    createTemplateAnchor(parentElement, debugInfo) {
+        return this._record('createTemplateAnchor', [parentElement, debugInfo]);
+    }
+    /**
+     * @param {?} parentElement
+     * @param {?} value
+     * @param {?=} debugInfo
+     * @return {?}
+     */
+    createText(parentElement, value, debugInfo) {
+        return this._record('createText', [parentElement, value, debugInfo]);
+    }
+    /**
+     * @param {?} parentElement
+     * @param {?} nodes
+     * @return {?}
+     */
+    projectNodes(parentElement, nodes) { this._record('projectNodes', [parentElement, nodes]); }
+    /**
+     * @param {?} node
+     * @param {?} viewRootNodes
+     * @return {?}
+     */
+    attachViewAfter(node, viewRootNodes) {
+        this._record('attachViewAfter', [node, viewRootNodes]);
+    }
+    /**
+     * @param {?} viewRootNodes
+     * @return {?}
+     */
+    detachView(viewRootNodes) { this._record('detachView', [viewRootNodes]); }
+    /**
+     * @param {?} hostElement
+     * @param {?} viewAllNodes
+     * @return {?}
+     */
+    destroyView(hostElement, viewAllNodes) {
+        this._record('destroyView', [hostElement, viewAllNodes]);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} name
+     * @param {?} callback
+     * @return {?}
+     */
+    listen(renderElement, name, callback) {
+        return this._record('listen', [renderElement, name, callback]);
+    }
+    /**
+     * @param {?} target
+     * @param {?} name
+     * @param {?} callback
+     * @return {?}
+     */
+    listenGlobal(target, name, callback) {
+        return this._record('listenGlobal', [target, name, callback]);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} propertyName
+     * @param {?} propertyValue
+     * @return {?}
+     */
+    setElementProperty(renderElement, propertyName, propertyValue) {
+        this._record('setElementProperty', [renderElement, propertyName, propertyValue]);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} attributeName
+     * @param {?} attributeValue
+     * @return {?}
+     */
+    setElementAttribute(renderElement, attributeName, attributeValue) {
+        this._record('setElementAttribute', [renderElement, attributeName, attributeValue]);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} propertyName
+     * @param {?} propertyValue
+     * @return {?}
+     */
+    setBindingDebugInfo(renderElement, propertyName, propertyValue) {
+        this._record('setBindingDebugInfo', [renderElement, propertyName, propertyValue]);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} className
+     * @param {?} isAdd
+     * @return {?}
+     */
+    setElementClass(renderElement, className, isAdd) {
+        this._record('setElementClass', [renderElement, className, isAdd]);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} styleName
+     * @param {?} styleValue
+     * @return {?}
+     */
+    setElementStyle(renderElement, styleName, styleValue) {
+        this._record('setElementStyle', [renderElement, styleName, styleValue]);
+    }
+    /**
+     * @param {?} renderElement
+     * @param {?} methodName
+     * @param {?=} args
+     * @return {?}
+     */
+    invokeElementMethod(renderElement, methodName, args) {
+        this._record('invokeElementMethod', [renderElement, methodName, args]);
+    }
+    /**
+     * @param {?} renderNode
+     * @param {?} text
+     * @return {?}
+     */
+    setText(renderNode, text) { this._record('setText', [renderNode, text]); }
+    /**
+     * @param {?} element
+     * @param {?} startingStyles
+     * @param {?} keyframes
+     * @param {?} duration
+     * @param {?} delay
+     * @param {?} easing
+     * @param {?=} previousPlayers
+     * @return {?}
+     */
+    animate(element, startingStyles, keyframes, duration, delay, easing, previousPlayers = []) {
+        return this._record('animate', [element, startingStyles, keyframes, duration, delay, easing, previousPlayers]);
+    }
+}
+function RecordingRenderer_tsickle_Closure_declarations() {
+    /** @type {?} */
+    RecordingRenderer.prototype._root;
+    /** @type {?} */
+    RecordingRenderer.prototype._component;
+    /** @type {?} */
+    RecordingRenderer.prototype._delegate;
+}
+/**
+ * Applies {\@link RenderCommand}s recorded by a {\@link RecordingRootRenderer} to the renderers
+ * of another {\@link RootRenderer}.
+ *
+ * Nodes are created anew, except for nodes that were not created by a recorded command, e.g.
+ * the host element of a root component that was selected by passing the node itself, which
+ * can be passed via `setNode`. The nodes are kept across calls of `replay`, so the commands
+ * recorded after `clear()` can be replayed after the ones recorded before, or with the nodes
+ * they refer to passed via `setNode`. Listeners are registered without a callback, and `animate`
+ * commands are skipped as their styles and keyframes are not recorded as objects. Values that
+ * are not serializable, e.g. objects bound to properties, are applied as recorded.
+ *
+ * \@experimental
+ */
+export class RenderCommandReplayer {
+    /**
+     * @param {?} _rootRenderer
+     */
+    constructor(_rootRenderer) {
+        this._rootRenderer = _rootRenderer;
+        this._renderers = new Map();
+        this._nodes = new Map();
+        this._unlisteners = new Map();
+    }
+    /**
+     * Applies `commands` in order.
+     * @param {?} commands
+     * @return {?}
+     */
+    replay(commands) { commands.forEach((command) => this._apply(command)); }
+    /**
+     * Returns the node of the target renderer for the recorded node id `id`.
+     * @param {?} id
+     * @return {?}
+     */
+    getNode(id) { return this._nodes.has(id) ? this._nodes.get(id) : null; }
+    /**
+     * Makes commands that reference the recorded node id `id` use `node`.
+     * @param {?} id
+     * @param {?} node
+     * @return {?}
+     */
+    setNode(id, node) { this._nodes.set(id, node); }
+    /**
+     * @param {?} command
+     * @return {?}
+     */
+    _apply(command) {
+        if (command.method === 'renderComponent') {
+            const /** @type {?} */ type = command.args[0];
+            if (this._renderers.has(command.component)) {
+                return;
+            }
+            this._renderers.set(command.component, this._rootRenderer.renderComponent(new RenderComponentType(type.id, type.templateUrl, type.slotCount, type.encapsulation, type.styles, {})));
+            return;
+        }
+        if (command.method === 'unlisten') {
+            const /** @type {?} */ unlisten = this._unlisteners.get(command.args[0]);
+            this._unlisteners.delete(command.args[0]);
+            if (unlisten) {
+                unlisten();
+            }
+            return;
+        }
+        if (command.method === 'animate') {
+            return;
+        }
+        const /** @type {?} */ renderer = this._renderers.get(command.component);
+        if (!renderer) {
+            throw new Error(`Cannot replay ${command.method}: the renderComponent command for component ${command.component} is missing.`);
+        }
+        const /** @type {?} */ args = _ARGUMENTS[command.method].map((kind, index) => this._replayArgument(command, kind, command.args[index]));
+        if (command.method === 'listen' || command.method === 'listenGlobal') {
+            args.push(() => { });
+        }
+        const /** @type {?} */ result = ((renderer))[command.method].apply(renderer, args);
+        if (_NODE_FACTORIES.indexOf(command.method) !== -1) {
+            this._nodes.set(command.result, result);
+        }
+        else if (command.method === 'listen' || command.method === 'listenGlobal') {
+            this._unlisteners.set(command.result, result);
+        }
+    }
+    /**
+     * @param {?} command
+     * @param {?} kind
+     * @param {?} arg
+     * @return {?}
+     */
+    _replayArgument(command, kind, arg) {
+        switch (kind) {
+            case 'node':
+                return arg === null ? null : this._getKnownNode(command, arg);
+            case 'nodes':
+                return arg.map((id) => this._getKnownNode(command, id));
+            case 'selectorOrNode':
+                return typeof arg === 'string' ? arg : this._getKnownNode(command, arg);
+            default:
+                return arg;
+        }
+    }
+    /**
+     * @param {?} command
+     * @param {?} id
+     * @return {?}
+     */
+    _getKnownNode(command, id) {
+        if (!this._nodes.has(id)) {
+            throw new Error(`Cannot replay ${command.method}: node ${id} is unknown. Replay the commands that created it first, or pass it via setNode.`);
+        }
+        return this._nodes.get(id);
+    }
+}
+function RenderCommandReplayer_tsickle_Closure_declarations() {
+    /** @type {?} */
+    RenderCommandReplayer.prototype._renderers;
+    /** @type {?} */
+    RenderCommandReplayer.prototype._nodes;
+    /** @type {?} */
+    RenderCommandReplayer.prototype._unlisteners;
+    /** @type {?} */
+    RenderCommandReplayer.prototype._rootRenderer;
+}
+//# sourceMappingURL=recording_renderer.js.map
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Observable } from 'rxjs/Observable';
+import { BootstrapOptions, PlatformRef } from './application_ref';
+import { Provider } from './di';
+import { NgModuleFactory } from './linker/ng_module_factory';
+import { MemoryElement } from './render/memory_renderer';
+/**
+ * Options for {@link renderModuleToString} and {@link renderModuleToStream}.
+ *
+ * @experimental
+ */
+export interface RenderModuleOptions extends BootstrapOptions {
+    /**
+     * The document to render into. Defaults to an empty document with `html`, `head` and `body`.
+     */
+    document?: MemoryElement;
+    /**
+     * How many milliseconds to wait for the application to become stable. When the timeout
+     * passes, the pending work is logged and the current state is rendered. Defaults to 10000.
+     */
+    timeout?: number;
+    /**
+     * The `APP_ID` that the attributes of emulated view encapsulation are based on. Has to be
+     * provided on the client as well when it hydrates the document via
+     * {@link HydrationRootRenderer}.
+     */
+    appId?: string;
+    /**
+     * Additional providers for the platform.
+     */
+    extraProviders?: Provider[];
+}
+/**
+ * Renders a module on the server and resolves with the HTML of the document once the
+ * application is stable.
+ *
+ * A new platform is created via `platformFactory` with a {@link MemoryRootRenderer} as
+ * provider, and `moduleFactory` is bootstrapped on it. The module has to render with that
+ * renderer, e.g. by providing `{provide: RootRenderer, useExisting: MemoryRootRenderer}`. Root
+ * components whose selector is a tag name are added to the `body` of the document if they are
+ * missing. Rendering waits until the `NgZone` of the application is stable and its
+ * {@link Testability} has no pending requests, but not longer than `options.timeout`. The
+ * styles of the rendered components are added to the `head` of the document with an
+ * `ng-transition` attribute, so that hydration can remove them once the client has added its
+ * own, and the module and the platform are destroyed afterwards. Several modules can be
+ * rendered at the same time, as the platform doesn't prevent other platforms from being
+ * created.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * renderModuleToString(platformServer, AppServerModuleNgFactory, {timeout: 5000})
+ *     .then(html => response.send(html));
+ * ```
+ *
+ * @experimental
+ */
+export declare function renderModuleToString<M>(platformFactory: (extraProviders?: Provider[]) => PlatformRef, moduleFactory: NgModuleFactory<M>, options?: RenderModuleOptions): Promise<string>;
+/**
+ * Renders a module like {@link renderModuleToString}, but emits the HTML in chunks.
+ *
+ * Everything before the first root component is emitted as soon as the module is bootstrapped,
+ * so that clients can start to load the resources in the `head`. The root components and the
+ * rest of the document follow once the application is stable, with every child of a root
+ * component emitted as soon as it is serialized. The rendering starts when the observable is
+ * subscribed to.
+ *
+ * @experimental
+ */
+export declare function renderModuleToStream<M>(platformFactory: (extraProviders?: Provider[]) => PlatformRef, moduleFactory: NgModuleFactory<M>, options?: RenderModuleOptions): Observable<string>;
@@ -0,0 +1,281 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { Observable } from 'rxjs/Observable';
+import { ALLOW_MULTIPLE_PLATFORMS, ApplicationRef } from './application_ref';
+import { Console } from './console';
+import { isPresent } from './facade/lang';
+import { MemoryElement, MemoryRootRenderer, MemoryText } from './render/memory_renderer';
+import { Testability } from './testability/testability';
+import { NgZone } from './zone/ng_zone';
+const /** @type {?} */ _DEFAULT_TIMEOUT = 10000;
+/**
+ * Renders a module on the server and resolves with the HTML of the document once the
+ * application is stable.
+ *
+ * A new platform is created via `platformFactory` with a {\@link MemoryRootRenderer} as
+ * provider, and `moduleFactory` is bootstrapped on it. The module has to render with that
+ * renderer, e.g. by providing `{provide: RootRenderer, useExisting: MemoryRootRenderer}`. Root
+ * components whose selector is a tag name are added to the `body` of the document if they are
+ * missing. Rendering waits until the `NgZone` of the application is stable and its
+ * {\@link Testability} has no pending requests, but not longer than `options.timeout`. The
+ * styles of the rendered components are added to the `head` of the document with an
+ * `ng-transition` attribute, so that hydration can remove them once the client has added its
+ * own, and the module and the platform are destroyed afterwards. Several modules can be
+ * rendered at the same time, as the platform doesn't prevent other platforms from being
+ * created.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * renderModuleToString(platformServer, AppServerModuleNgFactory, {timeout: 5000})
+ *     .then(html => response.send(html));
+ * ```
+ *
+ * \@experimental
+ * @param {?} platformFactory
+ * @param {?} moduleFactory
+ * @param {?=} options
+ * @return {?}
+ */
+export function renderModuleToString(platformFactory, moduleFactory, options = {}) {
+    const /** @type {?} */ chunks = [];
+    return _renderModule(platformFactory, moduleFactory, options, (chunk) => chunks.push(chunk), false)
+        .then(() => chunks.join(''));
+}
+/**
+ * Renders a module like {\@link renderModuleToString}, but emits the HTML in chunks.
+ *
+ * Everything before the first root component is emitted as soon as the module is bootstrapped,
+ * so that clients can start to load the resources in the `head`. The root components and the
+ * rest of the document follow once the application is stable, with every child of a root
+ * component emitted as soon as it is serialized. The rendering starts when the observable is
+ * subscribed to.
+ *
+ * \@experimental
+ * @param {?} platformFactory
+ * @param {?} moduleFactory
+ * @param {?=} options
+ * @return {?}
+ */
+export function renderModuleToStream(platformFactory, moduleFactory, options = {}) {
+    return new Observable((subscriber) => {
+        _renderModule(platformFactory, moduleFactory, options, (chunk) => subscriber.next(chunk), true)
+            .then(() => subscriber.complete(), (error) => subscriber.error(error));
+    });
+}
+/**
+ * @param {?} platformFactory
+ * @param {?} moduleFactory
+ * @param {?} options
+ * @param {?} write
+ * @param {?} flushEarly
+ * @return {?}
+ */
+function _renderModule(platformFactory, moduleFactory, options, write, flushEarly) {
+    const /** @type {?} */ document = options.document || _createDocument();
+    const /** @type {?} */ rootRenderer = new MemoryRootRenderer(options.appId || null);
+    rootRenderer.document = document;
+    rootRenderer.rootElementContainer = document.querySelector('body') || document;
+    let /** @type {?} */ platform;
+    try {
+        // Every render has a platform of its own, so that several modules can be rendered at once.
+        platform = platformFactory([
+            { provide: ALLOW_MULTIPLE_PLATFORMS, useValue: true },
+            { provide: MemoryRootRenderer, useValue: rootRenderer }
+        ].concat(options.extraProviders || []));
+    }
+    catch (error) {
+        return Promise.reject(error);
+    }
+    let /** @type {?} */ moduleRef = null;
+    // The module is destroyed before the platform, so that the `ngOnDestroy` hooks of its
+    // components and providers run, e.g. to stop their timers. The platform is destroyed even if
+    // that fails.
+    const /** @type {?} */ destroy = () => {
+        try {
+            if (moduleRef) {
+                moduleRef.destroy();
+            }
+        }
+        finally {
+            if (!platform.destroyed) {
+                platform.destroy();
+            }
+        }
+    };
+    return platform.bootstrapModuleFactory(moduleFactory, options)
+        .then((ref) => {
+        moduleRef = ref;
+        const /** @type {?} */ rootElements = moduleRef.injector.get(ApplicationRef).components.map((componentRef) => componentRef.location.nativeElement);
+        if (rootElements.some((element) => !_contains(document, element))) {
+            throw new Error('The root components were not rendered into the document. ' +
+                'Provide {provide: RootRenderer, useExisting: MemoryRootRenderer} in the module.');
+        }
+        let /** @type {?} */ chunks = null;
+        let /** @type {?} */ styleCount = 0;
+        if (flushEarly) {
+            // Only the markup around the root elements is serialized now; their content is
+            // serialized once the application is stable.
+            styleCount = _addStyles(document, rootRenderer.styles, options.appId);
+            chunks = [];
+            _splitAtElements(document, rootElements, chunks);
+            while (chunks.length && typeof chunks[0] === 'string') {
+                write(chunks.shift());
+            }
+        }
+        return _whenStable(moduleRef, isPresent(options.timeout) ? options.timeout : _DEFAULT_TIMEOUT)
+            .then(() => {
+            if (!chunks) {
+                _addStyles(document, rootRenderer.styles, options.appId);
+                write(document.outerHTML);
+                return;
+            }
+            // Styles of components created while waiting can't go into the `head` anymore.
+            const /** @type {?} */ lateStyles = rootRenderer.styles.slice(styleCount);
+            if (lateStyles.length) {
+                write(lateStyles.map((style) => _createStyle(style, options.appId).outerHTML).join(''));
+            }
+            chunks.forEach((chunk) => typeof chunk === 'string' ? write(chunk) : _writeChildren(chunk, write));
+        });
+    })
+        .then(destroy, (error) => {
+        destroy();
+        throw error;
+    });
+}
+/**
+ * Resolves once the application is stable or `timeout` has passed, and warns about the pending
+ * work in the latter case.
+ * @param {?} moduleRef
+ * @param {?} timeout
+ * @return {?}
+ */
+function _whenStable(moduleRef, timeout) {
+    const /** @type {?} */ zone = moduleRef.injector.get(NgZone);
+    const /** @type {?} */ testability = moduleRef.injector.get(Testability, null) || new Testability(zone);
+    // A new `Testability` only learns about the zone on its next `onStable`.
+    const /** @type {?} */ zoneStable = zone.isStable ?
+        Promise.resolve(null) :
+        new Promise((resolve) => {
+            const /** @type {?} */ subscription = zone.onStable.subscribe(() => {
+                subscription.unsubscribe();
+                resolve(null);
+            });
+        });
+    return zoneStable.then(() => new Promise((resolve) => {
+        testability.whenStable((didWork, pendingWork) => {
+            if (pendingWork) {
+                moduleRef.injector.get(Console).warn(`${pendingWork.description} Rendering the current state.`);
+            }
+            resolve(null);
+        }, timeout);
+    }));
+}
+/**
+ * Splits the markup of `node` into strings and the elements of `elements`, which are
+ * serialized later.
+ * @param {?} node
+ * @param {?} elements
+ * @param {?} chunks
+ * @return {?}
+ */
+function _splitAtElements(node, elements, chunks) {
+    if (elements.indexOf(node) !== -1) {
+        chunks.push(node);
+    }
+    else if (node instanceof MemoryElement &&
+        elements.some((element) => _contains(node, element))) {
+        _appendChunk(chunks, node._openTag());
+        node.childNodes.forEach((child) => _splitAtElements(child, elements, chunks));
+        _appendChunk(chunks, node._closeTag());
+    }
+    else {
+        _appendChunk(chunks, node.outerHTML);
+    }
+}
+/**
+ * Writes the markup of `element` in one chunk per child, so that the first children can be sent
+ * before the last ones are serialized.
+ * @param {?} element
+ * @param {?} write
+ * @return {?}
+ */
+function _writeChildren(element, write) {
+    write(element._openTag());
+    for (let /** @type {?} */ i = 0; i < element.childNodes.length; i++) {
+        write(element._childHTML(i));
+    }
+    write(element._closeTag());
+}
+/**
+ * @param {?} chunks
+ * @param {?} markup
+ * @return {?}
+ */
+function _appendChunk(chunks, markup) {
+    if (!markup) {
+        return;
+    }
+    if (typeof chunks[chunks.length - 1] === 'string') {
+        chunks[chunks.length - 1] += markup;
+    }
+    else {
+        chunks.push(markup);
+    }
+}
+/**
+ * @param {?} ancestor
+ * @param {?} node
+ * @return {?}
+ */
+function _contains(ancestor, node) {
+    for (; node; node = node.parentNode) {
+        if (node === ancestor) {
+            return true;
+        }
+    }
+    return false;
+}
+/**
+ * @return {?}
+ */
+function _createDocument() {
+    const /** @type {?} */ document = new MemoryElement('#document');
+    const /** @type {?} */ html = document.appendChild(new MemoryElement('html'));
+    html.appendChild(new MemoryElement('head'));
+    html.appendChild(new MemoryElement('body'));
+    return document;
+}
+/**
+ * Adds `style` elements for `styles` to the `head` of `document`, if it has one, and returns
+ * how many were added.
+ * @param {?} document
+ * @param {?} styles
+ * @param {?} appId
+ * @return {?}
+ */
+function _addStyles(document, styles, appId) {
+    const /** @type {?} */ head = document.querySelector('head');
+    if (!head) {
+        return 0;
+    }
+    styles.forEach((style) => head.appendChild(_createStyle(style, appId)));
+    return styles.length;
+}
+/**
+ * @param {?} style
+ * @param {?} appId
+ * @return {?}
+ */
+function _createStyle(style, appId) {
+    const /** @type {?} */ element = new MemoryElement('style');
+    element.setAttribute('ng-transition', appId || '');
+    element.appendChild(new MemoryText(style));
+    return element;
+}
+//# sourceMappingURL=server_rendering.js.map
\ No newline at end of file
@@ -1,4 +1,20 @@
-import { NgZone } from '../zone/ng_zone';
+import { NgZone, PendingTask } from '../zone/ng_zone';
+/**
+ * The work that a {@link Testability} is waiting for.
+ *
+ * `pendingTasks` is only filled if the `NgZone` of the application tracks its tasks.
+ *
+ * @experimental
+ */
+export interface PendingWork {
+    /**
+     * The count maintained via `increasePendingRequestCount`/`decreasePendingRequestCount`.
+     */
+    pendingRequestCount: number;
+    hasPendingMacrotasks: boolean;
+    pendingTasks: PendingTask[];
+    description: string;
+}
 /**
  * Testability API.
  * `declare` keyword causes tsickle to generate externs, so these methods are
@@ -7,8 +23,9 @@ import { NgZone } from '../zone/ng_zone';
  */
 export interface PublicTestability {
     isStable(): boolean;
-    whenStable(callback: Function): void;
+    whenStable(callback: Function, timeout?: number, updateCallback?: Function): void;
     findProviders(using: any, provider: string, exactMatch: boolean): any[];
+    getPendingTasks(): PendingTask[];
 }
 /**
  * The Testability service provides testing hooks that can be accessed from
@@ -22,10 +39,41 @@ export declare class Testability implements PublicTestability {
     increasePendingRequestCount(): number;
     decreasePendingRequestCount(): number;
     isStable(): boolean;
-    whenStable(callback: Function): void;
+    /**
+     * Calls `callback` with whether any work was done once the application is stable.
+     *
+     * If the application is not stable within `timeout` milliseconds, `callback` is called with
+     * the {@link PendingWork} that it is still waiting for as second argument instead.
+     * `updateCallback` is called with the pending work whenever it changes; if it returns `true`,
+     * the wait is cancelled and `callback` is not called.
+     */
+    whenStable(callback: (didWork: boolean, pendingWork?: PendingWork) => void, timeout?: number, updateCallback?: (pendingWork: PendingWork) => boolean | void): void;
+    /**
+     * Returns the work that the application is currently waiting for.
+     */
+    getPendingWork(): PendingWork;
     getPendingRequestCount(): number;
-    /** @deprecated use findProviders */
+    /**
+     * Returns the tasks that the zone of the application is waiting for, e.g. to find out why
+     * `whenStable` doesn't call back. Tasks are only tracked if the `NgZone` of the application
+     * was created with `trackPendingTasks: true`.
+     */
+    getPendingTasks(): PendingTask[];
+    /**
+     * @deprecated use findProviders
+     *
+     * Returns the elements in `using`, including `using` itself, that have a binding whose name
+     * or current value is `provider`, or contains it unless `exactMatch` is set.
+     *
+     * Property bindings are matched by property name, input bindings by the name of the
+     * input, e.g. `userName` for `[userName]="user.name"`. Only bindings of components that
+     * were compiled in dev mode are known.
+     */
     findBindings(using: any, provider: string, exactMatch: boolean): any[];
+    /**
+     * Returns the elements in `using`, including `using` itself, that have a provider whose
+     * token's name is `provider`, or contains it unless `exactMatch` is set.
+     */
     findProviders(using: any, provider: string, exactMatch: boolean): any[];
 }
 /**
@@ -35,9 +83,30 @@ export declare class Testability implements PublicTestability {
 export declare class TestabilityRegistry {
     constructor();
     registerApplication(token: any, testability: Testability): void;
+    /**
+     * Removes the application registered for `token`, e.g. when its root component is destroyed.
+     */
+    unregisterApplication(token: any): void;
+    unregisterAllApplications(): void;
     getTestability(elem: any): Testability;
     getAllTestabilities(): Testability[];
     getAllRootElements(): any[];
+    /**
+     * Calls `callback` with whether any work was done once all registered applications are
+     * stable at the same time.
+     *
+     * If the applications are not stable within `timeout` milliseconds, `callback` is called with
+     * the pending work of the applications that are still busy as second argument instead, keyed
+     * by their root elements.
+     */
+    whenAllStable(callback: (didWork: boolean, pendingWork?: Map<any, PendingWork>) => void, timeout?: number): void;
+    /**
+     * Returns the work that the registered applications which are not stable are waiting for,
+     * keyed by their root elements.
+     */
+    getPendingWork(): Map<any, PendingWork>;
+    private _whenAllStable(callback, timeout, didWorkBefore);
+    private _getPendingWork(testabilities);
     findTestabilityInTree(elem: Node, findInAncestors?: boolean): Testability;
 }
 /**
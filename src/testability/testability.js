@@ -5,8 +5,9 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
+import { DebugElement, getAllDebugNodes, getDebugNode } from '../debug/debug_node';
 import { Injectable } from '../di';
-import { scheduleMicroTask } from '../facade/lang';
+import { isPresent, scheduleMicroTask, stringify } from '../facade/lang';
 import { NgZone } from '../zone/ng_zone';
 /**
  * The Testability service provides testing hooks that can be accessed from
@@ -24,6 +25,8 @@ export class Testability {
         this._pendingCount = 0;
         /** @internal */
         this._isZoneStable = true;
+        /** @internal */
+        this._isTickScheduled = false;
         /**
          * Whether any work was done since the last 'whenStable' callback. This is
          * useful to detect if this could have potentially destabilized another
@@ -33,6 +36,10 @@ export class Testability {
         this._didWork = false;
         /** @internal */
         this._callbacks = [];
+        /** @internal */
+        this._updateScheduled = false;
+        /** @internal */
+        this._lastPendingWorkKey = null;
         this._watchAngularEvents();
     }
     /**
@@ -44,8 +51,12 @@ export class Testability {
             next: () => {
                 this._didWork = true;
                 this._isZoneStable = false;
+                this._pendingWorkChanged();
             }
         });
+        if (this._ngZone._onPendingTasksChange) {
+            this._ngZone._onPendingTasksChange.subscribe({ next: () => { this._pendingWorkChanged(); } });
+        }
         this._ngZone.runOutsideAngular(() => {
             this._ngZone.onStable.subscribe({
                 next: () => {
@@ -64,6 +75,7 @@ export class Testability {
     increasePendingRequestCount() {
         this._pendingCount += 1;
         this._didWork = true;
+        this._pendingWorkChanged();
         return this._pendingCount;
     }
     /**
@@ -81,7 +93,23 @@ export class Testability {
      * @return {?}
      */
     isStable() {
-        return this._isZoneStable && this._pendingCount == 0 && !this._ngZone.hasPendingMacrotasks;
+        return this._isZoneStable && !this._isTickScheduled && this._pendingCount == 0 &&
+            !this._ngZone.hasPendingMacrotasks;
+    }
+    /**
+     * \@internal
+     * Called by `ApplicationRef` while a tick of its `TickScheduler` is pending.
+     * @param {?} scheduled
+     * @return {?}
+     */
+    _setTickScheduled(scheduled) {
+        this._isTickScheduled = scheduled;
+        if (scheduled) {
+            this._didWork = true;
+        }
+        else {
+            this._runCallbacksIfReady();
+        }
     }
     /**
      * \@internal
@@ -92,7 +120,9 @@ export class Testability {
             // Schedules the call backs in a new frame so that it is always async.
             scheduleMicroTask(() => {
                 while (this._callbacks.length !== 0) {
-                    (this._callbacks.pop())(this._didWork);
+                    const /** @type {?} */ waiter = this._callbacks.pop();
+                    clearTimeout(waiter.timeoutId);
+                    waiter.doneCb(this._didWork);
                 }
                 this._didWork = false;
             });
@@ -100,40 +130,159 @@ export class Testability {
         else {
             // Not Ready
             this._didWork = true;
+            this._pendingWorkChanged();
         }
     }
     /**
+     * Calls `callback` with whether any work was done once the application is stable.
+     *
+     * If the application is not stable within `timeout` milliseconds, `callback` is called with
+     * the {\@link PendingWork} that it is still waiting for as second argument instead.
+     * `updateCallback` is called with the pending work whenever it changes; if it returns `true`,
+     * the wait is cancelled and `callback` is not called.
      * @param {?} callback
+     * @param {?=} timeout
+     * @param {?=} updateCallback
      * @return {?}
      */
-    whenStable(callback) {
-        this._callbacks.push(callback);
+    whenStable(callback, timeout, updateCallback) {
+        const /** @type {?} */ waiter = { doneCb: callback, updateCb: updateCallback, timeoutId: null };
+        if (timeout > 0) {
+            // A timer in the Angular zone would itself keep the application unstable.
+            waiter.timeoutId = this._ngZone.runOutsideAngular(() => setTimeout(() => {
+                this._removeWaiter(waiter);
+                callback(this._didWork, this._getPendingWork(`Testability.whenStable timed out after ${timeout}ms`));
+            }, timeout));
+        }
+        this._callbacks.push(waiter);
         this._runCallbacksIfReady();
     }
+    /**
+     * \@internal
+     * @param {?} waiter
+     * @return {?}
+     */
+    _removeWaiter(waiter) {
+        clearTimeout(waiter.timeoutId);
+        const /** @type {?} */ index = this._callbacks.indexOf(waiter);
+        if (index !== -1) {
+            this._callbacks.splice(index, 1);
+        }
+    }
+    /**
+     * \@internal
+     * Sends the update callbacks the pending work once the current work is done, if it changed.
+     * @return {?}
+     */
+    _pendingWorkChanged() {
+        if (this._updateScheduled || !this._callbacks.some((waiter) => !!waiter.updateCb)) {
+            return;
+        }
+        this._updateScheduled = true;
+        this._ngZone.runOutsideAngular(() => scheduleMicroTask(() => {
+            this._updateScheduled = false;
+            if (this.isStable()) {
+                return;
+            }
+            const /** @type {?} */ pendingWork = this._getPendingWork('Testability is waiting for');
+            const /** @type {?} */ key = [
+                pendingWork.pendingRequestCount, pendingWork.hasPendingMacrotasks, this._isZoneStable,
+                this._isTickScheduled
+            ].concat(pendingWork.pendingTasks.map((task) => `${task.source}@${task.creationTime}`))
+                .join();
+            if (key === this._lastPendingWorkKey) {
+                return;
+            }
+            this._lastPendingWorkKey = key;
+            this._callbacks.slice().forEach((waiter) => {
+                if (waiter.updateCb && waiter.updateCb(pendingWork)) {
+                    this._removeWaiter(waiter);
+                }
+            });
+        }));
+    }
+    /**
+     * \@internal
+     * @param {?} prefix
+     * @return {?}
+     */
+    _getPendingWork(prefix) {
+        const /** @type {?} */ pendingTasks = this.getPendingTasks();
+        const /** @type {?} */ hasPendingMacrotasks = this._ngZone.hasPendingMacrotasks;
+        const /** @type {?} */ parts = [];
+        if (this._pendingCount > 0) {
+            parts.push(`${this._pendingCount} pending request(s)`);
+        }
+        if (pendingTasks.length) {
+            parts.push(`pending tasks: ${pendingTasks.map((task) => `${task.source} (${task.age}ms)`).join(', ')}`);
+        }
+        else if (hasPendingMacrotasks) {
+            parts.push('pending macrotasks (create the NgZone with `trackPendingTasks: true` to list them)');
+        }
+        if (!this._isZoneStable || this._isTickScheduled) {
+            parts.push('change detection');
+        }
+        return {
+            pendingRequestCount: this._pendingCount,
+            hasPendingMacrotasks,
+            pendingTasks,
+            description: `${prefix}: ${parts.length ? parts.join(', ') : 'nothing'}.`
+        };
+    }
+    /**
+     * Returns the work that the application is currently waiting for.
+     * @return {?}
+     */
+    getPendingWork() { return this._getPendingWork('Testability is waiting for'); }
     /**
      * @return {?}
      */
     getPendingRequestCount() { return this._pendingCount; }
+    /**
+     * Returns the tasks that the zone of the application is waiting for, e.g. to find out why
+     * `whenStable` doesn't call back. Tasks are only tracked if the `NgZone` of the application
+     * was created with `trackPendingTasks: true`.
+     * @return {?}
+     */
+    getPendingTasks() { return this._ngZone.getPendingTasks(); }
     /**
      * @deprecated use findProviders
+     *
+     * Returns the elements in `using`, including `using` itself, that have a binding whose name
+     * or current value is `provider`, or contains it unless `exactMatch` is set.
+     *
+     * Property bindings are matched by property name, input bindings by the name of the
+     * input, e.g. `userName` for `[userName]="user.name"`. Only bindings of components that
+     * were compiled in dev mode are known.
      * @param {?} using
      * @param {?} provider
      * @param {?} exactMatch
      * @return {?}
      */
     findBindings(using, provider, exactMatch) {
-        // TODO(juliemr): implement.
-        return [];
+        return _findElements(using, (debugEl) => {
+            const /** @type {?} */ bindings = [];
+            Object.keys(debugEl.properties).forEach((name) => bindings.push([name, debugEl.properties[name]]));
+            Object.keys(debugEl._bindingDebugInfo).forEach((name) => {
+                if (name.startsWith(_BINDING_DEBUG_INFO_PREFIX)) {
+                    bindings.push([_dashCaseToCamelCase(name.substring(_BINDING_DEBUG_INFO_PREFIX.length)), debugEl._bindingDebugInfo[name]]);
+                }
+            });
+            return bindings.some(([name, value]) => _matches(name, provider, exactMatch) ||
+                (isPresent(value) && _matches(String(value), provider, exactMatch)));
+        });
     }
     /**
+     * Returns the elements in `using`, including `using` itself, that have a provider whose
+     * token's name is `provider`, or contains it unless `exactMatch` is set.
      * @param {?} using
      * @param {?} provider
      * @param {?} exactMatch
      * @return {?}
      */
     findProviders(using, provider, exactMatch) {
-        // TODO(juliemr): implement.
-        return [];
+        return _findElements(using, (debugEl) => (debugEl.providerTokens || [])
+            .some((token) => _matches(stringify(token), provider, exactMatch)));
     }
 }
 Testability.decorators = [
@@ -161,6 +310,11 @@ function Testability_tsickle_Closure_declarations() {
      * @type {?}
      */
     Testability.prototype._isZoneStable;
+    /**
+     * \@internal
+     * @type {?}
+     */
+    Testability.prototype._isTickScheduled;
     /**
      * Whether any work was done since the last 'whenStable' callback. This is
      * useful to detect if this could have potentially destabilized another
@@ -174,9 +328,67 @@ function Testability_tsickle_Closure_declarations() {
      * @type {?}
      */
     Testability.prototype._callbacks;
+    /**
+     * \@internal
+     * @type {?}
+     */
+    Testability.prototype._updateScheduled;
+    /**
+     * \@internal
+     * @type {?}
+     */
+    Testability.prototype._lastPendingWorkKey;
     /** @type {?} */
     Testability.prototype._ngZone;
 }
+const /** @type {?} */ _BINDING_DEBUG_INFO_PREFIX = 'ng-reflect-';
+/**
+ * Returns the native elements of the debug elements in `root` that match `predicate`.
+ * @param {?} root
+ * @param {?} predicate
+ * @return {?}
+ */
+function _findElements(root, predicate) {
+    const /** @type {?} */ rootDebugNode = getDebugNode(root);
+    return getAllDebugNodes()
+        .filter((node) => node instanceof DebugElement && _isInside(node, root, rootDebugNode) &&
+        predicate(node))
+        .map((debugEl) => debugEl.nativeElement);
+}
+/**
+ * @param {?} node
+ * @param {?} root
+ * @param {?} rootDebugNode
+ * @return {?}
+ */
+function _isInside(node, root, rootDebugNode) {
+    if (!rootDebugNode) {
+        // E.g. the document, which contains the root elements of the applications.
+        return !root || !root.contains || root.contains(node.nativeNode);
+    }
+    for (let /** @type {?} */ current = node; current; current = current.parent) {
+        if (current === rootDebugNode) {
+            return true;
+        }
+    }
+    return false;
+}
+/**
+ * @param {?} value
+ * @param {?} search
+ * @param {?} exactMatch
+ * @return {?}
+ */
+function _matches(value, search, exactMatch) {
+    return exactMatch ? value === search : value.indexOf(search) !== -1;
+}
+/**
+ * @param {?} input
+ * @return {?}
+ */
+function _dashCaseToCamelCase(input) {
+    return input.replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+}
 /**
  * A global registry of {\@link Testability} instances for specific elements.
  * \@experimental
@@ -195,6 +407,16 @@ export class TestabilityRegistry {
     registerApplication(token, testability) {
         this._applications.set(token, testability);
     }
+    /**
+     * Removes the application registered for `token`, e.g. when its root component is destroyed.
+     * @param {?} token
+     * @return {?}
+     */
+    unregisterApplication(token) { this._applications.delete(token); }
+    /**
+     * @return {?}
+     */
+    unregisterAllApplications() { this._applications.clear(); }
     /**
      * @param {?} elem
      * @return {?}
@@ -208,6 +430,77 @@ export class TestabilityRegistry {
      * @return {?}
      */
     getAllRootElements() { return Array.from(this._applications.keys()); }
+    /**
+     * Calls `callback` with whether any work was done once all registered applications are
+     * stable at the same time.
+     *
+     * If the applications are not stable within `timeout` milliseconds, `callback` is called with
+     * the pending work of the applications that are still busy as second argument instead, keyed
+     * by their root elements.
+     * @param {?} callback
+     * @param {?=} timeout
+     * @return {?}
+     */
+    whenAllStable(callback, timeout) { this._whenAllStable(callback, timeout, false); }
+    /**
+     * @param {?} callback
+     * @param {?} timeout
+     * @param {?} didWorkBefore
+     * @return {?}
+     */
+    _whenAllStable(callback, timeout, didWorkBefore) {
+        const /** @type {?} */ testabilities = _unique(this.getAllTestabilities());
+        if (!testabilities.length) {
+            scheduleMicroTask(() => callback(didWorkBefore));
+            return;
+        }
+        let /** @type {?} */ remaining = testabilities.length;
+        let /** @type {?} */ didWork = didWorkBefore;
+        const /** @type {?} */ timedOut = [];
+        testabilities.forEach((testability) => {
+            testability.whenStable((didWorkInApp, pendingWork) => {
+                didWork = didWork || didWorkInApp;
+                if (pendingWork) {
+                    timedOut.push(testability);
+                }
+                if (--remaining > 0) {
+                    return;
+                }
+                if (timedOut.length) {
+                    callback(didWork, this._getPendingWork(timedOut));
+                }
+                else if (testabilities.some((other) => !other.isStable())) {
+                    // An application that became stable first may have been destabilized by
+                    // the work of the others in the meantime.
+                    this._whenAllStable(callback, timeout, didWork);
+                }
+                else {
+                    callback(didWork);
+                }
+            }, timeout);
+        });
+    }
+    /**
+     * Returns the work that the registered applications which are not stable are waiting for,
+     * keyed by their root elements.
+     * @return {?}
+     */
+    getPendingWork() {
+        return this._getPendingWork(this.getAllTestabilities().filter((testability) => !testability.isStable()));
+    }
+    /**
+     * @param {?} testabilities
+     * @return {?}
+     */
+    _getPendingWork(testabilities) {
+        const /** @type {?} */ pendingWork = new Map();
+        this._applications.forEach((testability, rootElement) => {
+            if (testabilities.indexOf(testability) !== -1) {
+                pendingWork.set(rootElement, testability.getPendingWork());
+            }
+        });
+        return pendingWork;
+    }
     /**
      * @param {?} elem
      * @param {?=} findInAncestors
@@ -236,6 +529,13 @@ function TestabilityRegistry_tsickle_Closure_declarations() {
      */
     TestabilityRegistry.prototype._applications;
 }
+/**
+ * @param {?} items
+ * @return {?}
+ */
+function _unique(items) {
+    return items.filter((item, index) => items.indexOf(item) === index);
+}
 class _NoopGetTestability {
     /**
      * @param {?} registry
@@ -0,0 +1,55 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+/**
+ * Decides when `ApplicationRef` runs change detection after the application did some work.
+ *
+ * By default, `ApplicationRef.tick()` runs as soon as the zone has no more pending microtasks.
+ * When a `TickScheduler` is provided, e.g. via the `tickScheduler` option of
+ * {@link PlatformRef#bootstrapModuleFactory}, all requests for change detection until the
+ * scheduled tick runs are coalesced into that one tick. `ApplicationRef.flushTick()` runs the
+ * scheduled tick right away.
+ *
+ * `Testability` reports the application as unstable until the scheduled tick has run.
+ *
+ * @experimental
+ */
+export declare abstract class TickScheduler {
+    /**
+     * Arranges for `tick` to be called later and returns a handle for `cancel`.
+     */
+    abstract schedule(tick: () => void): any;
+    /**
+     * Cancels the call that `schedule` returned `handle` for.
+     */
+    abstract cancel(handle: any): void;
+}
+/**
+ * Runs at most one tick per animation frame.
+ *
+ * Browsers don't run animation frames for pages in background tabs, so those don't run change
+ * detection until they are shown again. Where `requestAnimationFrame` is not available, a
+ * timeout is used instead.
+ *
+ * @experimental
+ */
+export declare class AnimationFrameTickScheduler extends TickScheduler {
+    schedule(tick: () => void): any;
+    cancel(handle: any): void;
+}
+/**
+ * Runs at most one tick per macrotask, `delay` milliseconds after change detection was first
+ * requested.
+ *
+ * @experimental
+ */
+export declare class TimeoutTickScheduler extends TickScheduler {
+    delay: number;
+    constructor(delay?: number);
+    schedule(tick: () => void): any;
+    cancel(handle: any): void;
+}
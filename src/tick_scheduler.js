@@ -0,0 +1,99 @@
+/**
+ * @license
+ * Copyright Google Inc. All Rights Reserved.
+ *
+ * Use of this source code is governed by an MIT-style license that can be
+ * found in the LICENSE file at https://angular.io/license
+ */
+import { global } from './facade/lang';
+/**
+ * Decides when `ApplicationRef` runs change detection after the application did some work.
+ *
+ * By default, `ApplicationRef.tick()` runs as soon as the zone has no more pending microtasks.
+ * When a `TickScheduler` is provided, e.g. via the `tickScheduler` option of
+ * {\@link PlatformRef#bootstrapModuleFactory}, all requests for change detection until the
+ * scheduled tick runs are coalesced into that one tick. `ApplicationRef.flushTick()` runs the
+ * scheduled tick right away.
+ *
+ * `Testability` reports the application as unstable until the scheduled tick has run.
+ *
+ * \@experimental
+ * @abstract
+ */
+export class TickScheduler {
+    /**
+     * Arranges for `tick` to be called later and returns a handle for `cancel`.
+     * @abstract
+     * @param {?} tick
+     * @return {?}
+     */
+    schedule(tick) { }
+    /**
+     * Cancels the call that `schedule` returned `handle` for.
+     * @abstract
+     * @param {?} handle
+     * @return {?}
+     */
+    cancel(handle) { }
+}
+/**
+ * Runs at most one tick per animation frame.
+ *
+ * Browsers don't run animation frames for pages in background tabs, so those don't run change
+ * detection until they are shown again. Where `requestAnimationFrame` is not available, a
+ * timeout is used instead.
+ *
+ * \@experimental
+ */
+export class AnimationFrameTickScheduler extends TickScheduler {
+    /**
+     * @param {?} tick
+     * @return {?}
+     */
+    schedule(tick) {
+        return global['requestAnimationFrame'] ? global['requestAnimationFrame'](tick) :
+            setTimeout(tick, 0);
+    }
+    /**
+     * @param {?} handle
+     * @return {?}
+     */
+    cancel(handle) {
+        if (global['cancelAnimationFrame']) {
+            global['cancelAnimationFrame'](handle);
+        }
+        else {
+            clearTimeout(handle);
+        }
+    }
+}
+/**
+ * Runs at most one tick per macrotask, `delay` milliseconds after change detection was first
+ * requested.
+ *
+ * \@experimental
+ */
+export class TimeoutTickScheduler extends TickScheduler {
+    /**
+     * @param {?=} delay
+     */
+    constructor(delay = 0) {
+        super();
+        this.delay = delay;
+    }
+    /**
+     * @param {?} tick
+     * @return {?}
+     */
+    schedule(tick) { return setTimeout(tick, this.delay); }
+    /**
+     * @param {?} handle
+     * @return {?}
+     */
+    cancel(handle) { clearTimeout(handle); }
+}
+function TimeoutTickScheduler_tsickle_Closure_declarations() {
+    /** @type {?} */
+    TimeoutTickScheduler.prototype.delay;
+}
+//# sourceMappingURL=tick_scheduler.js.map
\ No newline at end of file
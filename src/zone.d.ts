@@ -5,4 +5,4 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-export { NgZone } from './zone/ng_zone';
+export { NgZone, NoopNgZone, PendingTask } from './zone/ng_zone';
@@ -87,8 +87,10 @@ export declare class NgZone {
     private _onMicrotaskEmpty;
     private _onStable;
     private _onErrorEvents;
-    constructor({enableLongStackTrace}: {
+    private _pendingTasks;
+    constructor({enableLongStackTrace, trackPendingTasks}: {
         enableLongStackTrace?: boolean;
+        trackPendingTasks?: boolean;
     });
     static isInAngularZone(): boolean;
     static assertInAngularZone(): void;
@@ -150,7 +152,17 @@ export declare class NgZone {
     readonly isStable: boolean;
     readonly hasPendingMicrotasks: boolean;
     readonly hasPendingMacrotasks: boolean;
+    /**
+     * Returns the micro- and macrotasks, e.g. timers and XHRs, that the Angular zone is waiting
+     * for, oldest first. Periodic tasks, e.g. intervals, are pending until they are cancelled.
+     *
+     * Tasks are only tracked if the zone was created with `trackPendingTasks: true`, as that
+     * records a stack trace whenever a task is scheduled. Otherwise the result is always empty.
+     */
+    getPendingTasks(): PendingTask[];
     private checkStable();
+    private forkInnerZoneWithTaskTracking();
+    private _untrackTask(task);
     private forkInnerZoneWithAngularBehavior();
     private onEnter();
     private onLeave();
@@ -158,3 +170,58 @@ export declare class NgZone {
     private setHasMacrotask(hasMacrotasks);
     private triggerError(error);
 }
+/**
+ * A task that an {@link NgZone} is waiting for.
+ *
+ * `creationTime` is a timestamp as returned by `Date.now()`, `age` is in milliseconds.
+ *
+ * @experimental
+ */
+export interface PendingTask {
+    type: string;
+    /**
+     * The API that scheduled the task, e.g. `setTimeout` or `XMLHttpRequest.send`.
+     */
+    source: string;
+    creationStack: string;
+    creationTime: number;
+    age: number;
+}
+/**
+ * An {@link NgZone} for applications that run without Zone.js, e.g. widgets that are embedded
+ * into pages that must not have their globals patched.
+ *
+ * As nothing tells it when asynchronous work finishes, change detection only runs:
+ * - after `run`, as with Zone.js,
+ * - after the event handlers of templates,
+ * - after `ChangeDetectorRef.markForCheck()`,
+ * - after an `EventEmitter` that was created inside of `run`, e.g. by a component, emits,
+ * - after `scheduleTick()` was called.
+ *
+ * Change detection that is scheduled by the last four runs in a microtask, once for all work
+ * that was scheduled until then. The zone is stable when no change detection is scheduled, so
+ * `Testability.whenStable` waits for it. Other work that `whenStable` should wait for can be
+ * tracked via `Testability.increasePendingRequestCount`.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * platformBrowser().bootstrapModuleFactory(MyModuleNgFactory, {ngZone: new NoopNgZone()});
+ * ```
+ *
+ * @experimental
+ */
+export declare class NoopNgZone extends NgZone {
+    constructor();
+    run(fn: () => any): any;
+    runGuarded(fn: () => any): any;
+    runOutsideAngular(fn: () => any): any;
+    /**
+     * Schedules change detection in a microtask, unless it is already scheduled.
+     */
+    scheduleTick(): void;
+}
+/**
+ * Returns the {@link NoopNgZone} whose `run` is currently executing, if any.
+ */
+export declare function getCurrentNoopZone(): NoopNgZone;
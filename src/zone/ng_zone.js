@@ -5,7 +5,15 @@
  * Use of this source code is governed by an MIT-style license that can be
  * found in the LICENSE file at https://angular.io/license
  */
-import { EventEmitter } from '../facade/async';
+import { EventEmitter, setNoopZoneGetter } from '../facade/async';
+/**
+ * Passed by {\@link NoopNgZone} to skip the setup of Zone.js.
+ */
+const /** @type {?} */ _NOOP_ZONE_OPTIONS = {};
+/**
+ * The {\@link NoopNgZone} whose `run` is currently executing, if any.
+ */
+let /** @type {?} */ _currentNoopZone = null;
 /**
  * An injectable service for executing work inside or outside of the Angular zone.
  *
@@ -80,7 +88,7 @@ export class NgZone {
     /**
      * @param {?} __0
      */
-    constructor({ enableLongStackTrace = false }) {
+    constructor({ enableLongStackTrace = false, trackPendingTasks = false }) {
         this._hasPendingMicrotasks = false;
         this._hasPendingMacrotasks = false;
         this._isStable = true;
@@ -89,6 +97,11 @@ export class NgZone {
         this._onMicrotaskEmpty = new EventEmitter(false);
         this._onStable = new EventEmitter(false);
         this._onErrorEvents = new EventEmitter(false);
+        this._pendingTasks = null;
+        this._onPendingTasksChange = null;
+        if (arguments[0] === _NOOP_ZONE_OPTIONS) {
+            return;
+        }
         if (typeof Zone == 'undefined') {
             throw new Error('Angular requires Zone.js prolyfill.');
         }
@@ -100,12 +113,18 @@ export class NgZone {
         if (enableLongStackTrace && Zone['longStackTraceZoneSpec']) {
             this.inner = this.inner.fork(Zone['longStackTraceZoneSpec']);
         }
+        if (trackPendingTasks) {
+            this.forkInnerZoneWithTaskTracking();
+        }
         this.forkInnerZoneWithAngularBehavior();
     }
     /**
      * @return {?}
      */
-    static isInAngularZone() { return Zone.current.get('isAngularZone') === true; }
+    static isInAngularZone() {
+        return _currentNoopZone !== null ||
+            (typeof Zone != 'undefined' && Zone.current.get('isAngularZone') === true);
+    }
     /**
      * @return {?}
      */
@@ -196,6 +215,29 @@ export class NgZone {
      * @return {?}
      */
     get hasPendingMacrotasks() { return this._hasPendingMacrotasks; }
+    /**
+     * Returns the micro- and macrotasks, e.g. timers and XHRs, that the Angular zone is waiting
+     * for, oldest first. Periodic tasks, e.g. intervals, are pending until they are cancelled.
+     *
+     * Tasks are only tracked if the zone was created with `trackPendingTasks: true`, as that
+     * records a stack trace whenever a task is scheduled. Otherwise the result is always empty.
+     * @return {?}
+     */
+    getPendingTasks() {
+        if (!this._pendingTasks) {
+            return [];
+        }
+        const /** @type {?} */ now = Date.now();
+        const /** @type {?} */ tasks = [];
+        this._pendingTasks.forEach((info) => tasks.push({
+            type: info.type,
+            source: info.source,
+            creationStack: info.creationStack,
+            creationTime: info.creationTime,
+            age: now - info.creationTime
+        }));
+        return tasks;
+    }
     /**
      * @return {?}
      */
@@ -218,6 +260,52 @@ export class NgZone {
             }
         }
     }
+    /**
+     * @return {?}
+     */
+    forkInnerZoneWithTaskTracking() {
+        this._pendingTasks = new Map();
+        this._onPendingTasksChange = new EventEmitter(false);
+        // As the parent of the Angular zone, this zone also sees the tasks of its child zones.
+        this.inner = this.inner.fork({
+            name: 'angularTaskTracking',
+            onScheduleTask: (delegate, current, target, task) => {
+                if (task.type !== 'eventTask') {
+                    this._pendingTasks.set(task, {
+                        type: task.type,
+                        source: task.source,
+                        creationStack: new Error(`${task.type} scheduled by ${task.source}`).stack,
+                        creationTime: Date.now()
+                    });
+                    this._onPendingTasksChange.emit(null);
+                }
+                return delegate.scheduleTask(target, task);
+            },
+            onInvokeTask: (delegate, current, target, task, applyThis, applyArgs) => {
+                try {
+                    return delegate.invokeTask(target, task, applyThis, applyArgs);
+                }
+                finally {
+                    if (!task.data || !task.data.isPeriodic) {
+                        this._untrackTask(task);
+                    }
+                }
+            },
+            onCancelTask: (delegate, current, target, task) => {
+                this._untrackTask(task);
+                return delegate.cancelTask(target, task);
+            }
+        });
+    }
+    /**
+     * @param {?} task
+     * @return {?}
+     */
+    _untrackTask(task) {
+        if (this._pendingTasks.delete(task)) {
+            this._onPendingTasksChange.emit(null);
+        }
+    }
     /**
      * @return {?}
      */
@@ -320,5 +408,115 @@ function NgZone_tsickle_Closure_declarations() {
     NgZone.prototype._onStable;
     /** @type {?} */
     NgZone.prototype._onErrorEvents;
+    /** @type {?} */
+    NgZone.prototype._pendingTasks;
+    /**
+     * \@internal
+     * Emits whenever a task is added to or removed from `_pendingTasks`.
+     * @type {?}
+     */
+    NgZone.prototype._onPendingTasksChange;
+}
+/**
+ * An {\@link NgZone} for applications that run without Zone.js, e.g. widgets that are embedded
+ * into pages that must not have their globals patched.
+ *
+ * As nothing tells it when asynchronous work finishes, change detection only runs:
+ * - after `run`, as with Zone.js,
+ * - after the event handlers of templates,
+ * - after `ChangeDetectorRef.markForCheck()`,
+ * - after an `EventEmitter` that was created inside of `run`, e.g. by a component, emits,
+ * - after `scheduleTick()` was called.
+ *
+ * Change detection that is scheduled by the last four runs in a microtask, once for all work
+ * that was scheduled until then. The zone is stable when no change detection is scheduled, so
+ * `Testability.whenStable` waits for it. Other work that `whenStable` should wait for can be
+ * tracked via `Testability.increasePendingRequestCount`.
+ *
+ * ### Example
+ *
+ * ```typescript
+ * platformBrowser().bootstrapModuleFactory(MyModuleNgFactory, {ngZone: new NoopNgZone()});
+ * ```
+ *
+ * \@experimental
+ */
+export class NoopNgZone extends NgZone {
+    constructor() {
+        super(_NOOP_ZONE_OPTIONS);
+    }
+    /**
+     * @param {?} fn
+     * @return {?}
+     */
+    run(fn) {
+        const /** @type {?} */ previous = _currentNoopZone;
+        _currentNoopZone = this;
+        this.onEnter();
+        try {
+            return fn();
+        }
+        finally {
+            _currentNoopZone = previous;
+            this.onLeave();
+        }
+    }
+    /**
+     * @param {?} fn
+     * @return {?}
+     */
+    runGuarded(fn) {
+        try {
+            return this.run(fn);
+        }
+        catch (e) {
+            this.triggerError(e);
+        }
+    }
+    /**
+     * @param {?} fn
+     * @return {?}
+     */
+    runOutsideAngular(fn) {
+        const /** @type {?} */ previous = _currentNoopZone;
+        _currentNoopZone = null;
+        try {
+            return fn();
+        }
+        finally {
+            _currentNoopZone = previous;
+        }
+    }
+    /**
+     * Schedules change detection in a microtask, unless it is already scheduled.
+     * @return {?}
+     */
+    scheduleTick() {
+        if (this._hasPendingMicrotasks) {
+            return;
+        }
+        this._hasPendingMicrotasks = true;
+        if (this._isStable) {
+            this._isStable = false;
+            this._onUnstable.emit(null);
+        }
+        Promise.resolve(null).then(() => {
+            this._hasPendingMicrotasks = false;
+            try {
+                this.checkStable();
+            }
+            catch (e) {
+                this.triggerError(e);
+            }
+        });
+    }
+}
+/**
+ * Returns the {\@link NoopNgZone} whose `run` is currently executing, if any.
+ * @return {?}
+ */
+export function getCurrentNoopZone() {
+    return _currentNoopZone;
 }
+setNoopZoneGetter(getCurrentNoopZone);
 //# sourceMappingURL=ng_zone.js.map
\ No newline at end of file